@@ -0,0 +1,63 @@
+-- Migration 046: Create matching_scoring_profiles table
+-- Date: 19 October 2026
+-- Purpose: Per-tenant named scoring profiles for project role matching
+--          (e.g. "urgent staffing" weighting availability higher).
+--
+-- Weights are stored as percentages and always sum to 100.
+-- project_matching_results keeps a reference to the profile used plus a
+-- snapshot of its values, so past rankings remain explainable even after
+-- the profile is edited or deactivated.
+
+CREATE TABLE IF NOT EXISTS matching_scoring_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+
+  -- Factor weights (percentages, sum = 100)
+  skills_weight DECIMAL(5, 2) NOT NULL DEFAULT 40 CHECK (skills_weight >= 0),
+  availability_weight DECIMAL(5, 2) NOT NULL DEFAULT 30 CHECK (availability_weight >= 0),
+  experience_weight DECIMAL(5, 2) NOT NULL DEFAULT 20 CHECK (experience_weight >= 0),
+  preference_weight DECIMAL(5, 2) NOT NULL DEFAULT 10 CHECK (preference_weight >= 0),
+
+  -- Thresholds (0-100)
+  min_match_score INT NOT NULL DEFAULT 30 CHECK (min_match_score >= 0 AND min_match_score <= 100),
+  shortlist_threshold INT NOT NULL DEFAULT 70 CHECK (shortlist_threshold >= 0 AND shortlist_threshold <= 100),
+
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Audit
+  created_by VARCHAR(255),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT uq_matching_scoring_profiles_tenant_name UNIQUE (tenant_id, name)
+);
+
+CREATE INDEX idx_matching_scoring_profiles_tenant ON matching_scoring_profiles(tenant_id) WHERE is_active = true;
+
+-- At most one default profile per tenant
+CREATE UNIQUE INDEX uq_matching_scoring_profiles_default
+  ON matching_scoring_profiles(tenant_id)
+  WHERE is_default = true AND is_active = true;
+
+-- Link matching results to the profile used
+ALTER TABLE project_matching_results
+ADD COLUMN scoring_profile_id UUID,
+ADD COLUMN scoring_profile_snapshot JSONB;
+
+ALTER TABLE project_matching_results
+ADD CONSTRAINT fk_project_matching_results_scoring_profile
+  FOREIGN KEY (scoring_profile_id)
+  REFERENCES matching_scoring_profiles(id)
+  ON DELETE SET NULL;
+
+CREATE INDEX idx_project_matching_scoring_profile ON project_matching_results(scoring_profile_id);
+
+-- Comments
+COMMENT ON TABLE matching_scoring_profiles IS 'Per-tenant scoring profiles for project role matching (factor weights and thresholds)';
+COMMENT ON COLUMN matching_scoring_profiles.min_match_score IS 'Candidates below this score are discarded';
+COMMENT ON COLUMN matching_scoring_profiles.shortlist_threshold IS 'Candidates at or above this score are auto-shortlisted';
+COMMENT ON COLUMN project_matching_results.scoring_profile_snapshot IS 'Weights and thresholds used when the result was computed: { id, name, weights, min_match_score, shortlist_threshold }';
@@ -0,0 +1,13 @@
+-- Migration 046 Rollback: Drop matching_scoring_profiles
+-- Date: 19 October 2026
+
+DROP INDEX IF EXISTS idx_project_matching_scoring_profile;
+
+ALTER TABLE project_matching_results
+DROP CONSTRAINT IF EXISTS fk_project_matching_results_scoring_profile;
+
+ALTER TABLE project_matching_results
+DROP COLUMN IF EXISTS scoring_profile_snapshot,
+DROP COLUMN IF EXISTS scoring_profile_id;
+
+DROP TABLE IF EXISTS matching_scoring_profiles CASCADE;
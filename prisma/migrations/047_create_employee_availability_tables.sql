@@ -0,0 +1,73 @@
+-- Migration 047: Employee availability calendar
+-- Date: 19 October 2026
+-- Purpose: Time-phased availability model. Weekly capacity is derived from
+--          project_assignments (start/end/allocation), planned absences and
+--          part-time work schedules.
+--
+-- employee_absences:       vacations, leaves, training... (full or partial days)
+-- employee_work_schedules: contracted capacity over time (e.g. 50% part-time
+--                          from 2026-03-01). No row = full-time (100%).
+
+CREATE TABLE IF NOT EXISTS employee_absences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  employee_id INT NOT NULL,
+
+  absence_type VARCHAR(50) NOT NULL DEFAULT 'VACATION'
+    CHECK (absence_type IN ('VACATION', 'SICK_LEAVE', 'PARENTAL_LEAVE', 'TRAINING', 'OTHER')),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  -- Share of the working day the employee is absent (100 = whole day)
+  absence_percentage INT NOT NULL DEFAULT 100 CHECK (absence_percentage > 0 AND absence_percentage <= 100),
+  status VARCHAR(20) NOT NULL DEFAULT 'PLANNED'
+    CHECK (status IN ('PLANNED', 'APPROVED', 'CANCELLED')),
+  notes TEXT,
+
+  -- Audit
+  created_by VARCHAR(255),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_employee_absences_dates CHECK (end_date >= start_date),
+  CONSTRAINT fk_employee_absences_employee
+    FOREIGN KEY (employee_id)
+    REFERENCES employees(id)
+    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_employee_absences_employee ON employee_absences(employee_id);
+CREATE INDEX idx_employee_absences_dates ON employee_absences(start_date, end_date);
+CREATE INDEX idx_employee_absences_tenant ON employee_absences(tenant_id);
+
+CREATE TABLE IF NOT EXISTS employee_work_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  employee_id INT NOT NULL,
+
+  contract_type VARCHAR(50) NOT NULL DEFAULT 'PART_TIME'
+    CHECK (contract_type IN ('FULL_TIME', 'PART_TIME')),
+  -- Contracted capacity as a percentage of a full-time week
+  capacity_percentage INT NOT NULL CHECK (capacity_percentage > 0 AND capacity_percentage <= 100),
+  effective_from DATE NOT NULL,
+  effective_to DATE,
+  notes TEXT,
+
+  -- Audit
+  created_by VARCHAR(255),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_employee_work_schedules_dates CHECK (effective_to IS NULL OR effective_to >= effective_from),
+  CONSTRAINT fk_employee_work_schedules_employee
+    FOREIGN KEY (employee_id)
+    REFERENCES employees(id)
+    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_employee_work_schedules_employee ON employee_work_schedules(employee_id, effective_from);
+CREATE INDEX idx_employee_work_schedules_tenant ON employee_work_schedules(tenant_id);
+
+-- Comments
+COMMENT ON TABLE employee_absences IS 'Planned absences reducing employee capacity in the availability calendar';
+COMMENT ON COLUMN employee_absences.absence_percentage IS 'Share of each working day the employee is absent (100 = full day)';
+COMMENT ON TABLE employee_work_schedules IS 'Contracted capacity over time (part-time contracts). No row = 100%';
@@ -0,0 +1,5 @@
+-- Migration 047 Rollback: Drop employee availability tables
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS employee_work_schedules CASCADE;
+DROP TABLE IF EXISTS employee_absences CASCADE;
@@ -0,0 +1,67 @@
+-- Migration 048: Tenant learning catalog
+-- Date: 19 October 2026
+-- Purpose: Replace the hard-coded course list of the recommendation engine
+--          with a tenant-managed catalog of learning opportunities (external
+--          courses, internal workshops, mentors, stretch projects, reading).
+--
+-- Items are linked to competencies through skill_ids (skills, matched
+-- against skill_gaps) and soft_skill_ids (soft_skills, matched against
+-- employee_soft_skills). skill_keywords holds free-text skill names for
+-- items that cannot be linked to the taxonomy (e.g. CSV imports).
+
+CREATE TABLE IF NOT EXISTS learning_catalog_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  -- Stable key from the source system, used to upsert CSV imports
+  external_id VARCHAR(100),
+
+  item_type VARCHAR(30) NOT NULL
+    CHECK (item_type IN ('COURSE', 'WORKSHOP', 'MENTORING', 'STRETCH_PROJECT', 'READING')),
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  provider VARCHAR(255),
+  url TEXT,
+  delivery_format VARCHAR(20)
+    CHECK (delivery_format IS NULL OR delivery_format IN ('ONLINE', 'IN_PERSON', 'BLENDED')),
+  level VARCHAR(20) NOT NULL DEFAULT 'ALL'
+    CHECK (level IN ('BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'ALL')),
+  complexity VARCHAR(10)
+    CHECK (complexity IS NULL OR complexity IN ('LOW', 'MEDIUM', 'HIGH')),
+
+  -- Effort: total hours and/or calendar span
+  duration_hours DECIMAL(6,1),
+  duration_weeks INT CHECK (duration_weeks IS NULL OR duration_weeks > 0),
+
+  -- Internal mentor offering the item (MENTORING)
+  mentor_employee_id INT,
+  capacity INT CHECK (capacity IS NULL OR capacity > 0),
+  cost DECIMAL(10,2),
+  currency VARCHAR(3),
+
+  -- Competency links
+  skill_ids INT[] NOT NULL DEFAULT '{}',
+  soft_skill_ids INT[] NOT NULL DEFAULT '{}',
+  skill_keywords TEXT[] NOT NULL DEFAULT '{}',
+
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Audit
+  created_by VARCHAR(255),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT uq_learning_catalog_items_external UNIQUE (tenant_id, external_id),
+  CONSTRAINT fk_learning_catalog_items_mentor
+    FOREIGN KEY (mentor_employee_id)
+    REFERENCES employees(id)
+    ON DELETE SET NULL
+);
+
+CREATE INDEX idx_learning_catalog_items_tenant ON learning_catalog_items(tenant_id, is_active);
+CREATE INDEX idx_learning_catalog_items_skills ON learning_catalog_items USING GIN (skill_ids);
+CREATE INDEX idx_learning_catalog_items_soft_skills ON learning_catalog_items USING GIN (soft_skill_ids);
+
+-- Comments
+COMMENT ON TABLE learning_catalog_items IS 'Tenant learning catalog used to build skill-gap training plans';
+COMMENT ON COLUMN learning_catalog_items.external_id IS 'Key from the source system; CSV imports upsert on (tenant_id, external_id)';
+COMMENT ON COLUMN learning_catalog_items.skill_keywords IS 'Free-text skill names matched case-insensitively when no taxonomy link exists';
@@ -0,0 +1,4 @@
+-- Migration 048 Rollback: Drop tenant learning catalog
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS learning_catalog_items CASCADE;
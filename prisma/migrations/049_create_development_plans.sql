@@ -0,0 +1,144 @@
+-- Migration 049: Individual development plans
+-- Date: 19 October 2026
+-- Purpose: Persist per-employee development plans (IDP) with goals linked to
+--          skills / soft skills / certifications, milestones, check-ins and a
+--          manager approval step. action_plans remains the role/area-level plan.
+--
+-- Lifecycle: DRAFT -> PENDING_APPROVAL -> ACTIVE -> COMPLETED
+--                          |-> CHANGES_REQUESTED -> PENDING_APPROVAL
+--            any state -> CANCELLED
+--
+-- Goal progress is recalculated automatically when new assessment results
+-- (employee_soft_skill_assessments, assessment_results) or certifications
+-- (employee_certifications) are recorded for the employee.
+
+CREATE TABLE IF NOT EXISTS development_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  employee_id INT NOT NULL,
+
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  status VARCHAR(30) NOT NULL DEFAULT 'DRAFT'
+    CHECK (status IN ('DRAFT', 'PENDING_APPROVAL', 'CHANGES_REQUESTED', 'ACTIVE', 'COMPLETED', 'CANCELLED')),
+  source VARCHAR(30) NOT NULL DEFAULT 'MANUAL'
+    CHECK (source IN ('MANUAL', 'RECOMMENDATION_ENGINE')),
+  start_date DATE,
+  due_date DATE,
+  -- Average progress of the non-cancelled goals (0-100)
+  progress DECIMAL(5,2) NOT NULL DEFAULT 0,
+
+  -- Approval (approver is the employee's manager or HR)
+  submitted_at TIMESTAMP(6),
+  reviewed_at TIMESTAMP(6),
+  reviewed_by VARCHAR(255),
+  review_comment TEXT,
+  completed_at TIMESTAMP(6),
+  last_synced_at TIMESTAMP(6),
+
+  -- Audit
+  created_by VARCHAR(255),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_development_plans_dates CHECK (due_date IS NULL OR start_date IS NULL OR due_date >= start_date),
+  CONSTRAINT fk_development_plans_employee
+    FOREIGN KEY (employee_id)
+    REFERENCES employees(id)
+    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_development_plans_employee ON development_plans(employee_id, status);
+CREATE INDEX idx_development_plans_tenant ON development_plans(tenant_id, status);
+
+CREATE TABLE IF NOT EXISTS development_plan_goals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan_id UUID NOT NULL,
+
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  -- Competency the goal develops (at most one of skill_id / soft_skill_id)
+  skill_id INT,
+  soft_skill_id INT,
+  skill_name VARCHAR(255),
+  -- Certification to obtain (matched against employee_certifications.certification_name)
+  target_certification VARCHAR(300),
+  catalog_item_id UUID,
+
+  -- Scores on a 0-100 scale
+  baseline_score DECIMAL(5,2),
+  target_score DECIMAL(5,2) CHECK (target_score IS NULL OR (target_score > 0 AND target_score <= 100)),
+  current_score DECIMAL(5,2),
+
+  due_date DATE,
+  status VARCHAR(20) NOT NULL DEFAULT 'NOT_STARTED'
+    CHECK (status IN ('NOT_STARTED', 'IN_PROGRESS', 'ACHIEVED', 'CANCELLED')),
+  progress DECIMAL(5,2) NOT NULL DEFAULT 0,
+  certification_obtained_at DATE,
+  order_index INT NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_development_plan_goals_competency CHECK (skill_id IS NULL OR soft_skill_id IS NULL),
+  CONSTRAINT fk_development_plan_goals_plan
+    FOREIGN KEY (plan_id)
+    REFERENCES development_plans(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_development_plan_goals_catalog_item
+    FOREIGN KEY (catalog_item_id)
+    REFERENCES learning_catalog_items(id)
+    ON DELETE SET NULL
+);
+
+CREATE INDEX idx_development_plan_goals_plan ON development_plan_goals(plan_id);
+
+CREATE TABLE IF NOT EXISTS development_plan_milestones (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  goal_id UUID NOT NULL,
+
+  title VARCHAR(255) NOT NULL,
+  due_date DATE,
+  completed_at TIMESTAMP(6),
+  completed_by VARCHAR(255),
+  order_index INT NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_development_plan_milestones_goal
+    FOREIGN KEY (goal_id)
+    REFERENCES development_plan_goals(id)
+    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_development_plan_milestones_goal ON development_plan_milestones(goal_id);
+
+CREATE TABLE IF NOT EXISTS development_plan_checkins (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan_id UUID NOT NULL,
+
+  author_id VARCHAR(255) NOT NULL,
+  author_role VARCHAR(20) NOT NULL CHECK (author_role IN ('EMPLOYEE', 'MANAGER', 'HR')),
+  comment TEXT NOT NULL,
+  -- Plan progress when the check-in was recorded
+  progress_snapshot DECIMAL(5,2),
+  next_checkin_date DATE,
+
+  created_at TIMESTAMP(6) NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_development_plan_checkins_plan
+    FOREIGN KEY (plan_id)
+    REFERENCES development_plans(id)
+    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_development_plan_checkins_plan ON development_plan_checkins(plan_id, created_at);
+
+-- Comments
+COMMENT ON TABLE development_plans IS 'Per-employee individual development plans (IDP) with manager approval';
+COMMENT ON COLUMN development_plans.progress IS 'Average progress of non-cancelled goals, recalculated on new assessments/certifications';
+COMMENT ON TABLE development_plan_goals IS 'IDP goals linked to a skill, soft skill and/or target certification';
+COMMENT ON COLUMN development_plan_goals.current_score IS 'Latest assessed score (0-100) for the linked skill';
+COMMENT ON TABLE development_plan_milestones IS 'Checkpoints of an IDP goal';
+COMMENT ON TABLE development_plan_checkins IS 'Employee/manager check-in notes on an IDP';
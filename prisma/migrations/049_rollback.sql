@@ -0,0 +1,7 @@
+-- Migration 049 Rollback: Drop individual development plans
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS development_plan_checkins CASCADE;
+DROP TABLE IF EXISTS development_plan_milestones CASCADE;
+DROP TABLE IF EXISTS development_plan_goals CASCADE;
+DROP TABLE IF EXISTS development_plans CASCADE;
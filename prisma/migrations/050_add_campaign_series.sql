@@ -0,0 +1,38 @@
+-- Migration 050: Recurring campaign series
+-- Date: 19 October 2026
+-- Purpose: Link the occurrences of recurring engagement and assessment
+--          campaigns. When a recurring campaign completes, the campaign status
+--          job spawns the next occurrence (same template, audience re-resolved)
+--          and links it to the previous one through series_id.
+--
+-- series_id is the id of the first occurrence of the series (also set on the
+-- first occurrence itself once it recurs). recurring_config holds the optional
+-- limits of the series: { "max_occurrences": 12, "end_date": "2027-12-31" }.
+
+-- Engagement campaigns
+ALTER TABLE engagement_campaigns
+  ADD COLUMN IF NOT EXISTS recurring_config JSONB,
+  ADD COLUMN IF NOT EXISTS series_id TEXT,
+  ADD COLUMN IF NOT EXISTS occurrence_number INT NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS previous_campaign_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_engagement_campaigns_series ON engagement_campaigns(series_id, occurrence_number);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_engagement_campaigns_previous ON engagement_campaigns(previous_campaign_id);
+
+-- Assessment campaigns (recurring_config already exists)
+ALTER TABLE assessment_campaigns
+  ADD COLUMN IF NOT EXISTS series_id TEXT,
+  ADD COLUMN IF NOT EXISTS occurrence_number INT NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS previous_campaign_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_assessment_campaigns_series ON assessment_campaigns(series_id, occurrence_number);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assessment_campaigns_previous ON assessment_campaigns(previous_campaign_id);
+
+-- Comments
+COMMENT ON COLUMN engagement_campaigns.series_id IS 'Id of the first occurrence of a recurring campaign series';
+COMMENT ON COLUMN engagement_campaigns.occurrence_number IS 'Position of the campaign in its series (1 = first occurrence)';
+COMMENT ON COLUMN engagement_campaigns.previous_campaign_id IS 'Occurrence this campaign was spawned from (unique: one successor per occurrence)';
+COMMENT ON COLUMN engagement_campaigns.recurring_config IS 'Series limits: max_occurrences, end_date';
+COMMENT ON COLUMN assessment_campaigns.series_id IS 'Id of the first occurrence of a recurring campaign series';
+COMMENT ON COLUMN assessment_campaigns.occurrence_number IS 'Position of the campaign in its series (1 = first occurrence)';
+COMMENT ON COLUMN assessment_campaigns.previous_campaign_id IS 'Occurrence this campaign was spawned from (unique: one successor per occurrence)';
@@ -0,0 +1,17 @@
+-- Migration 050 Rollback: Drop recurring campaign series columns
+-- Date: 19 October 2026
+
+DROP INDEX IF EXISTS idx_assessment_campaigns_previous;
+DROP INDEX IF EXISTS idx_assessment_campaigns_series;
+ALTER TABLE assessment_campaigns
+  DROP COLUMN IF EXISTS previous_campaign_id,
+  DROP COLUMN IF EXISTS occurrence_number,
+  DROP COLUMN IF EXISTS series_id;
+
+DROP INDEX IF EXISTS idx_engagement_campaigns_previous;
+DROP INDEX IF EXISTS idx_engagement_campaigns_series;
+ALTER TABLE engagement_campaigns
+  DROP COLUMN IF EXISTS previous_campaign_id,
+  DROP COLUMN IF EXISTS occurrence_number,
+  DROP COLUMN IF EXISTS series_id,
+  DROP COLUMN IF EXISTS recurring_config;
@@ -0,0 +1,48 @@
+-- Migration 051: Campaign reminder log
+-- Date: 19 October 2026
+-- Purpose: Record every reminder and manager escalation sent for an engagement
+--          or assessment campaign assignment. The reminder engine uses the log
+--          to de-duplicate reminders (one row per assignment and schedule step)
+--          and to count missed reminders before escalating to the manager.
+--
+-- schedule_key identifies the step of the campaign reminder schedule:
+--   'before_3d' / 'before_0d'  N days before the deadline (0 = on deadline)
+--   'every_7d_2'               2nd periodic reminder of a 7-day interval
+--   'escalation'               escalation to the employee's manager
+
+CREATE TABLE IF NOT EXISTS campaign_reminder_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  campaign_type VARCHAR(20) NOT NULL
+    CHECK (campaign_type IN ('ENGAGEMENT', 'ASSESSMENT')),
+  campaign_id TEXT NOT NULL,
+  assignment_id TEXT NOT NULL,
+  employee_id INT NOT NULL,
+
+  reminder_type VARCHAR(20) NOT NULL
+    CHECK (reminder_type IN ('REMINDER', 'ESCALATION')),
+  schedule_key VARCHAR(50) NOT NULL,
+  -- Employee reminded, or manager for escalations
+  recipient_employee_id INT,
+  recipient_email VARCHAR(255),
+  channel VARCHAR(20) NOT NULL DEFAULT 'EMAIL',
+  status VARCHAR(20) NOT NULL
+    CHECK (status IN ('SENT', 'FAILED', 'SKIPPED')),
+  error TEXT,
+  sent_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT fk_campaign_reminder_log_employee
+    FOREIGN KEY (employee_id)
+    REFERENCES employees(id)
+    ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX idx_campaign_reminder_log_dedup
+  ON campaign_reminder_log(campaign_type, assignment_id, schedule_key);
+CREATE INDEX idx_campaign_reminder_log_campaign ON campaign_reminder_log(campaign_type, campaign_id, sent_at);
+CREATE INDEX idx_campaign_reminder_log_tenant ON campaign_reminder_log(tenant_id);
+
+-- Comments
+COMMENT ON TABLE campaign_reminder_log IS 'Reminders and manager escalations sent per campaign assignment';
+COMMENT ON COLUMN campaign_reminder_log.schedule_key IS 'Reminder schedule step, unique per assignment (de-duplication)';
+COMMENT ON COLUMN campaign_reminder_log.status IS 'SENT, FAILED (delivery error) or SKIPPED (no recipient, e.g. no manager)';
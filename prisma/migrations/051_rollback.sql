@@ -0,0 +1,4 @@
+-- Migration 051 Rollback: Drop campaign reminder log
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS campaign_reminder_log CASCADE;
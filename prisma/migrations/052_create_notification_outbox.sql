@@ -0,0 +1,99 @@
+-- Migration 052: Notification outbox
+-- Date: 19 October 2026
+-- Purpose: Deliver notifications through pluggable channels with retries and
+--          delivery tracking. Producers write one outbox row per recipient and
+--          channel (inside their own transaction); the outbox worker delivers
+--          the rows and retries failures with exponential backoff.
+--
+-- Channels:
+--   EMAIL, IN_APP           personal channels, filtered by notification_preferences
+--   WEBHOOK, SLACK, TEAMS   tenant channels configured in notification_channels
+--   FILE, CONSOLE           local channels for development and testing
+--
+-- Lifecycle: PENDING -> PROCESSING -> SENT
+--                          |-> PENDING (retry, next_attempt_at) -> ... -> FAILED
+
+CREATE TABLE IF NOT EXISTS notification_channels (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  channel_type VARCHAR(20) NOT NULL
+    CHECK (channel_type IN ('WEBHOOK', 'SLACK', 'TEAMS', 'FILE', 'CONSOLE')),
+  name VARCHAR(100) NOT NULL,
+  url TEXT,
+  -- Extra HTTP headers for WEBHOOK channels
+  headers JSONB,
+  -- Event types delivered to the channel (empty = all events)
+  event_types TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_notification_channels_tenant ON notification_channels(tenant_id, is_active);
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  channel VARCHAR(20) NOT NULL
+    CHECK (channel IN ('EMAIL', 'IN_APP', 'WEBHOOK', 'SLACK', 'TEAMS', 'FILE', 'CONSOLE')),
+  -- Tenant channel for WEBHOOK/SLACK/TEAMS deliveries
+  channel_id UUID,
+  recipient_employee_id INT,
+  recipient_email VARCHAR(255),
+
+  title VARCHAR(200) NOT NULL,
+  message TEXT,
+  payload JSONB,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+    CHECK (status IN ('PENDING', 'PROCESSING', 'SENT', 'FAILED', 'CANCELLED')),
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP(6),
+  last_error TEXT,
+  sent_at TIMESTAMP(6),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT fk_notification_outbox_channel
+    FOREIGN KEY (channel_id)
+    REFERENCES notification_channels(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_notification_outbox_employee
+    FOREIGN KEY (recipient_employee_id)
+    REFERENCES employees(id)
+    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_notification_outbox_pending ON notification_outbox(status, next_attempt_at);
+CREATE INDEX idx_notification_outbox_tenant ON notification_outbox(tenant_id, created_at);
+CREATE INDEX idx_notification_outbox_recipient ON notification_outbox(recipient_employee_id);
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  employee_id INT NOT NULL,
+  -- '*' applies to every event type without a specific preference
+  event_type VARCHAR(100) NOT NULL DEFAULT '*',
+  channel VARCHAR(20) NOT NULL
+    CHECK (channel IN ('EMAIL', 'IN_APP')),
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT fk_notification_preferences_employee
+    FOREIGN KEY (employee_id)
+    REFERENCES employees(id)
+    ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX uq_notification_preferences ON notification_preferences(employee_id, event_type, channel);
+
+-- Comments
+COMMENT ON TABLE notification_channels IS 'Tenant-level notification targets (webhook, Slack, Teams, file/console for testing)';
+COMMENT ON TABLE notification_outbox IS 'Notifications to deliver, one row per recipient and channel, with retry state';
+COMMENT ON COLUMN notification_outbox.next_attempt_at IS 'Earliest time of the next delivery attempt (exponential backoff)';
+COMMENT ON TABLE notification_preferences IS 'Per-employee opt-in/out of personal channels, per event type or * for all';
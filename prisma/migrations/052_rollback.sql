@@ -0,0 +1,6 @@
+-- Migration 052 Rollback: Drop notification outbox
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS notification_preferences CASCADE;
+DROP TABLE IF EXISTS notification_outbox CASCADE;
+DROP TABLE IF EXISTS notification_channels CASCADE;
@@ -0,0 +1,76 @@
+-- Migration 053: Outgoing webhooks
+-- Date: 19 October 2026
+-- Purpose: Let tenant integrations (HRIS, BI) subscribe to platform events.
+--          Every event is fanned out to one webhook_deliveries row per
+--          matching subscription; the webhook worker POSTs the JSON payload
+--          signed with the subscription secret (HMAC-SHA256) and retries
+--          failures with exponential backoff. Deliveries are kept as a log
+--          and can be replayed.
+--
+-- Events:
+--   CAMPAIGN_COMPLETED, ASSESSMENT_SUBMITTED, CV_EXTRACTION_COMPLETED,
+--   PROJECT_ASSIGNMENT_CREATED, EMPLOYEE_SKILLS_UPDATED, PING (test)
+--
+-- Lifecycle: PENDING -> PROCESSING -> DELIVERED
+--                          |-> PENDING (retry, next_attempt_at) -> ... -> FAILED
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  url TEXT NOT NULL,
+  -- Signing key, shown to the tenant on creation and rotation only
+  secret VARCHAR(100) NOT NULL,
+  -- Subscribed event types (empty = all events)
+  event_types TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_subscriptions_tenant ON webhook_subscriptions(tenant_id, is_active);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  subscription_id UUID NOT NULL,
+  -- Same for every delivery of one event (consumers deduplicate on it)
+  event_id UUID NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+    CHECK (status IN ('PENDING', 'PROCESSING', 'DELIVERED', 'FAILED')),
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 8,
+  next_attempt_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP(6),
+
+  -- Outcome of the last attempt
+  response_status INT,
+  response_body TEXT,
+  duration_ms INT,
+  last_error TEXT,
+  delivered_at TIMESTAMP(6),
+
+  -- Original delivery when created by a replay
+  replay_of UUID,
+  created_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT fk_webhook_deliveries_subscription
+    FOREIGN KEY (subscription_id)
+    REFERENCES webhook_subscriptions(id)
+    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+CREATE INDEX idx_webhook_deliveries_event ON webhook_deliveries(event_id);
+
+-- Comments
+COMMENT ON TABLE webhook_subscriptions IS 'Tenant endpoints subscribed to platform events';
+COMMENT ON COLUMN webhook_subscriptions.secret IS 'HMAC-SHA256 key of the X-Webhook-Signature header';
+COMMENT ON TABLE webhook_deliveries IS 'Delivery log of webhook events, one row per event and subscription, with retry state';
+COMMENT ON COLUMN webhook_deliveries.replay_of IS 'Delivery replayed by this row (manual replay)';
@@ -0,0 +1,5 @@
+-- Migration 053 Rollback: Drop outgoing webhooks
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+DROP TABLE IF EXISTS webhook_subscriptions CASCADE;
@@ -0,0 +1,29 @@
+-- Migration 054: Scoped, hashed tenant API keys
+-- Date: 19 October 2026
+-- Purpose: Machine-to-machine access for tenant integrations. "apiKey" now
+--          stores the SHA-256 hash of the key (the plain key is shown once,
+--          on creation or rotation); "keyPrefix" keeps the first characters
+--          to recognise a key in listings. Scopes limit each key to resources
+--          and access levels (e.g. employees:read, campaigns:write).
+--
+-- Keys created before this migration were never accepted by any route and
+-- their plain value cannot be hashed retroactively: they are revoked.
+
+ALTER TABLE tenant_api_keys ADD COLUMN IF NOT EXISTS "keyPrefix" VARCHAR(20);
+ALTER TABLE tenant_api_keys ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE tenant_api_keys ADD COLUMN IF NOT EXISTS "createdBy" TEXT;
+ALTER TABLE tenant_api_keys ADD COLUMN IF NOT EXISTS "revokedAt" TIMESTAMP(3);
+ALTER TABLE tenant_api_keys ADD COLUMN IF NOT EXISTS "lastUsedIp" TEXT;
+ALTER TABLE tenant_api_keys ADD COLUMN IF NOT EXISTS "rotatedFromId" INT;
+
+UPDATE tenant_api_keys
+SET "isActive" = false, "revokedAt" = CURRENT_TIMESTAMP
+WHERE "keyPrefix" IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tenant_api_keys_tenant ON tenant_api_keys(tenant_id, "isActive");
+
+-- Comments
+COMMENT ON COLUMN tenant_api_keys."apiKey" IS 'SHA-256 hash (hex) of the API key';
+COMMENT ON COLUMN tenant_api_keys."keyPrefix" IS 'First characters of the key, shown in listings';
+COMMENT ON COLUMN tenant_api_keys.scopes IS 'Granted scopes, resource:read or resource:write (write implies read)';
+COMMENT ON COLUMN tenant_api_keys."rotatedFromId" IS 'Key replaced by this one on rotation';
@@ -0,0 +1,11 @@
+-- Migration 054 Rollback: Remove API key scopes and hashing metadata
+-- Date: 19 October 2026
+
+DROP INDEX IF EXISTS idx_tenant_api_keys_tenant;
+
+ALTER TABLE tenant_api_keys DROP COLUMN IF EXISTS "rotatedFromId";
+ALTER TABLE tenant_api_keys DROP COLUMN IF EXISTS "lastUsedIp";
+ALTER TABLE tenant_api_keys DROP COLUMN IF EXISTS "revokedAt";
+ALTER TABLE tenant_api_keys DROP COLUMN IF EXISTS "createdBy";
+ALTER TABLE tenant_api_keys DROP COLUMN IF EXISTS scopes;
+ALTER TABLE tenant_api_keys DROP COLUMN IF EXISTS "keyPrefix";
@@ -0,0 +1,23 @@
+-- Migration 055: Tenant audit trail
+-- Date: 19 October 2026
+-- Purpose: tenant_audit_log records who changed what (employees, roles and
+--          skills, campaigns, project assignments, tenant users, tenant
+--          settings). "userId" only fits an employee id, so the acting
+--          tenant user (or API key) is stored in "actorId"/"actorEmail"/
+--          "actorRole". "oldValue"/"newValue" hold only the changed fields,
+--          listed in "changedFields" for filtering.
+
+ALTER TABLE tenant_audit_log ADD COLUMN IF NOT EXISTS "actorId" TEXT;
+ALTER TABLE tenant_audit_log ADD COLUMN IF NOT EXISTS "actorEmail" TEXT;
+ALTER TABLE tenant_audit_log ADD COLUMN IF NOT EXISTS "actorRole" TEXT;
+ALTER TABLE tenant_audit_log ADD COLUMN IF NOT EXISTS "changedFields" TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_tenant_audit_log_tenant_created ON tenant_audit_log(tenant_id, "createdAt" DESC);
+CREATE INDEX IF NOT EXISTS idx_tenant_audit_log_entity ON tenant_audit_log(tenant_id, entity, "entityId");
+CREATE INDEX IF NOT EXISTS idx_tenant_audit_log_actor ON tenant_audit_log(tenant_id, "actorId");
+
+-- Comments
+COMMENT ON COLUMN tenant_audit_log.action IS 'CREATE, UPDATE or DELETE';
+COMMENT ON COLUMN tenant_audit_log."userId" IS 'Employee id of the actor, if any';
+COMMENT ON COLUMN tenant_audit_log."actorId" IS 'tenant_users.id of the actor, or api-key:<id>';
+COMMENT ON COLUMN tenant_audit_log."changedFields" IS 'Fields that differ between oldValue and newValue';
@@ -0,0 +1,11 @@
+-- Migration 055 Rollback: Remove audit trail actor and diff metadata
+-- Date: 19 October 2026
+
+DROP INDEX IF EXISTS idx_tenant_audit_log_actor;
+DROP INDEX IF EXISTS idx_tenant_audit_log_entity;
+DROP INDEX IF EXISTS idx_tenant_audit_log_tenant_created;
+
+ALTER TABLE tenant_audit_log DROP COLUMN IF EXISTS "changedFields";
+ALTER TABLE tenant_audit_log DROP COLUMN IF EXISTS "actorRole";
+ALTER TABLE tenant_audit_log DROP COLUMN IF EXISTS "actorEmail";
+ALTER TABLE tenant_audit_log DROP COLUMN IF EXISTS "actorId";
@@ -0,0 +1,22 @@
+-- Migration 056: Feature usage counters for plan quotas
+-- Date: 19 October 2026
+-- Purpose: Plan entitlements (constants/plans.js) and tenant_features
+--          overrides can limit metered features (e.g. CV extractions) per
+--          calendar month. One row per tenant, feature and month counts the
+--          metered requests; it is incremented atomically only while under
+--          the quota.
+
+CREATE TABLE IF NOT EXISTS tenant_feature_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  feature_name VARCHAR(100) NOT NULL,
+  -- First day of the month (UTC)
+  period_start DATE NOT NULL,
+  used INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_tenant_feature_usage_period UNIQUE (tenant_id, feature_name, period_start)
+);
+
+-- Comments
+COMMENT ON TABLE tenant_feature_usage IS 'Monthly usage of metered features, checked against plan quotas';
+COMMENT ON COLUMN tenant_feature_usage.feature_name IS 'Feature key, same as tenant_features."featureName"';
@@ -0,0 +1,4 @@
+-- Migration 056 Rollback: Remove feature usage counters
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS tenant_feature_usage;
@@ -0,0 +1,54 @@
+-- Migration 057: Per-tenant LLM budgets and spend alerts
+-- Date: 19 October 2026
+-- Purpose: Cap what a tenant can spend on LLM calls (AI generation, CV
+--          extraction, ...). A budget applies to a daily or monthly window
+--          (UTC) and to all operations ('*') or to one operation type and its
+--          sub-operations ('cv_extraction' also covers
+--          'cv_extraction_personal_info'). Spend is the estimated_cost summed
+--          from llm_usage_logs.
+--
+--          Crossing a warning threshold (percent of the limit) raises one
+--          alert per budget, window and threshold. With hard_limit, new LLM
+--          calls are refused once the limit is reached.
+
+CREATE TABLE IF NOT EXISTS tenant_llm_budgets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  period VARCHAR(10) NOT NULL CHECK (period IN ('DAILY', 'MONTHLY')),
+  -- '*' = all operations, else an llm_usage_logs.operation_type prefix
+  operation_type VARCHAR(100) NOT NULL DEFAULT '*',
+  limit_usd DECIMAL(12, 4) NOT NULL CHECK (limit_usd >= 0),
+  warning_thresholds INT[] NOT NULL DEFAULT '{80}',
+  hard_limit BOOLEAN NOT NULL DEFAULT true,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_tenant_llm_budgets_scope UNIQUE (tenant_id, period, operation_type)
+);
+
+CREATE TABLE IF NOT EXISTS tenant_llm_budget_alerts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  budget_id UUID NOT NULL,
+  -- Start of the day or month the alert belongs to
+  window_start TIMESTAMP(6) NOT NULL,
+  -- Percent of the limit; 100 = limit reached
+  threshold INT NOT NULL,
+  spent_usd DECIMAL(12, 6) NOT NULL,
+  limit_usd DECIMAL(12, 4) NOT NULL,
+  created_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_tenant_llm_budget_alerts_window UNIQUE (budget_id, window_start, threshold),
+  CONSTRAINT fk_tenant_llm_budget_alerts_budget
+    FOREIGN KEY (budget_id)
+    REFERENCES tenant_llm_budgets(id)
+    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_tenant_llm_budget_alerts_tenant ON tenant_llm_budget_alerts(tenant_id, created_at);
+
+-- Comments
+COMMENT ON TABLE tenant_llm_budgets IS 'Daily/monthly LLM spend limits per tenant and operation type';
+COMMENT ON COLUMN tenant_llm_budgets.warning_thresholds IS 'Percentages of the limit that raise a soft-limit alert';
+COMMENT ON COLUMN tenant_llm_budgets.hard_limit IS 'Refuse new LLM calls once the limit is reached (false = alerts only)';
+COMMENT ON TABLE tenant_llm_budget_alerts IS 'Budget thresholds crossed, one row per budget, window and threshold';
@@ -0,0 +1,5 @@
+-- Migration 057 Rollback: Remove LLM budgets and spend alerts
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS tenant_llm_budget_alerts;
+DROP TABLE IF EXISTS tenant_llm_budgets;
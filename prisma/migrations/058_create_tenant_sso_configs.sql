@@ -0,0 +1,58 @@
+-- Migration 058: Single sign-on (OIDC / SAML) per tenant
+-- Date: 19 October 2026
+-- Purpose: Enterprise tenants authenticate through their own identity
+--          provider. Each tenant has at most one configuration, either OIDC
+--          (discovery URL + client) or SAML (IdP metadata: entry point,
+--          issuer, signing certificate). Users are provisioned just in time
+--          into tenant_users on their first SSO login and linked to the
+--          employee with the same email; IdP groups are mapped to
+--          application roles (role_mapping). password_login_disabled makes
+--          SSO the only way in for the tenant.
+
+CREATE TABLE IF NOT EXISTS tenant_sso_configs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  protocol VARCHAR(10) NOT NULL CHECK (protocol IN ('OIDC', 'SAML')),
+  is_enabled BOOLEAN NOT NULL DEFAULT false,
+
+  -- OIDC
+  oidc_discovery_url TEXT,
+  oidc_client_id VARCHAR(255),
+  oidc_client_secret TEXT,
+  oidc_scopes VARCHAR(255) NOT NULL DEFAULT 'openid email profile',
+
+  -- SAML (entry point, issuer and certificate are read from the metadata)
+  saml_metadata_xml TEXT,
+  saml_entry_point TEXT,
+  saml_idp_issuer TEXT,
+  saml_idp_cert TEXT,
+
+  -- Email domains routed to this IdP on the login page
+  email_domains TEXT[] NOT NULL DEFAULT '{}',
+  -- Claim / attribute carrying the user's groups
+  groups_claim VARCHAR(100) NOT NULL DEFAULT 'groups',
+  -- IdP group -> application role (constants/roles.js)
+  role_mapping JSONB NOT NULL DEFAULT '{}',
+  default_role VARCHAR(50) NOT NULL DEFAULT 'EMPLOYEE',
+  jit_provisioning BOOLEAN NOT NULL DEFAULT true,
+  password_login_disabled BOOLEAN NOT NULL DEFAULT false,
+
+  created_by VARCHAR(255),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_tenant_sso_configs_tenant UNIQUE (tenant_id)
+);
+
+CREATE INDEX idx_tenant_sso_configs_domains ON tenant_sso_configs USING GIN (email_domains);
+
+-- Identity of the user at the IdP (OIDC sub / SAML NameID)
+ALTER TABLE tenant_users ADD COLUMN IF NOT EXISTS sso_subject VARCHAR(255);
+ALTER TABLE tenant_users ADD COLUMN IF NOT EXISTS last_sso_login_at TIMESTAMP(6);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tenant_users_sso_subject ON tenant_users(tenant_id, sso_subject);
+
+-- Comments
+COMMENT ON TABLE tenant_sso_configs IS 'Per-tenant identity provider configuration (OIDC or SAML)';
+COMMENT ON COLUMN tenant_sso_configs.role_mapping IS 'IdP group name -> application role; the highest mapped role wins';
+COMMENT ON COLUMN tenant_sso_configs.password_login_disabled IS 'Refuse email/password login for the tenant users (super admins excepted)';
+COMMENT ON COLUMN tenant_users.sso_subject IS 'Subject of the user at the tenant identity provider';
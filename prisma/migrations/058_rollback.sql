@@ -0,0 +1,9 @@
+-- Migration 058 Rollback: Remove tenant single sign-on
+-- Date: 19 October 2026
+
+DROP INDEX IF EXISTS uq_tenant_users_sso_subject;
+
+ALTER TABLE tenant_users DROP COLUMN IF EXISTS last_sso_login_at;
+ALTER TABLE tenant_users DROP COLUMN IF EXISTS sso_subject;
+
+DROP TABLE IF EXISTS tenant_sso_configs;
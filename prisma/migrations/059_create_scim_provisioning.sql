@@ -0,0 +1,49 @@
+-- Migration 059: SCIM 2.0 provisioning (users and groups)
+-- Date: 19 October 2026
+-- Purpose: Identity providers (Azure AD, Okta) provision employees and their
+--          tenant users through /scim/v2, authenticated with a tenant API key
+--          holding the scim:write scope. A SCIM User is an employee (with its
+--          tenant user); scim_external_id keeps the IdP identifier.
+--
+--          SCIM Groups are stored in scim_groups with their members. A group
+--          can carry an application role: members get the highest role of
+--          their groups.
+
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS scim_external_id VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_employees_scim_external_id ON employees(tenant_id, scim_external_id);
+
+CREATE TABLE IF NOT EXISTS scim_groups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  display_name VARCHAR(255) NOT NULL,
+  external_id VARCHAR(255),
+  -- Application role granted to the members (constants/roles.js), NULL = none
+  role VARCHAR(50),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_scim_groups_name UNIQUE (tenant_id, display_name)
+);
+
+CREATE TABLE IF NOT EXISTS scim_group_members (
+  group_id UUID NOT NULL,
+  employee_id INT NOT NULL,
+  created_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (group_id, employee_id),
+  CONSTRAINT fk_scim_group_members_group
+    FOREIGN KEY (group_id)
+    REFERENCES scim_groups(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_scim_group_members_employee
+    FOREIGN KEY (employee_id)
+    REFERENCES employees(id)
+    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_scim_group_members_employee ON scim_group_members(employee_id);
+
+-- Comments
+COMMENT ON COLUMN employees.scim_external_id IS 'Identifier of the employee at the SCIM provisioning client';
+COMMENT ON TABLE scim_groups IS 'Groups provisioned through SCIM';
+COMMENT ON COLUMN scim_groups.role IS 'Application role of the members; the highest role of the groups of a user wins';
+COMMENT ON TABLE scim_group_members IS 'Employees belonging to a SCIM group';
@@ -0,0 +1,9 @@
+-- Migration 059 Rollback: Remove SCIM provisioning
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS scim_group_members;
+DROP TABLE IF EXISTS scim_groups;
+
+DROP INDEX IF EXISTS uq_employees_scim_external_id;
+
+ALTER TABLE employees DROP COLUMN IF EXISTS scim_external_id;
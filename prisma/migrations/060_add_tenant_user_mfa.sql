@@ -0,0 +1,46 @@
+-- Migration 060: TOTP multi-factor authentication for tenant users
+-- Date: 19 October 2026
+-- Purpose: Tenant users can protect their account with a TOTP authenticator
+--          app (RFC 6238). The shared secret is stored encrypted
+--          (AES-256-GCM) and only the SHA-256 hashes of the one-time
+--          recovery codes are kept. mfa_last_used_step prevents a code from
+--          being replayed within its validity window. Tenants can make MFA
+--          mandatory (tenants.mfa_required): users without MFA then have to
+--          enroll before their first token is issued. Enrollments, logins,
+--          failures, recovery code uses and admin resets are recorded in
+--          tenant_user_mfa_events.
+
+ALTER TABLE tenant_users ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE tenant_users ADD COLUMN IF NOT EXISTS mfa_secret TEXT;
+ALTER TABLE tenant_users ADD COLUMN IF NOT EXISTS mfa_pending_secret TEXT;
+ALTER TABLE tenant_users ADD COLUMN IF NOT EXISTS mfa_enrolled_at TIMESTAMP(6);
+ALTER TABLE tenant_users ADD COLUMN IF NOT EXISTS mfa_recovery_codes TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE tenant_users ADD COLUMN IF NOT EXISTS mfa_last_used_step BIGINT;
+
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS mfa_required BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS tenant_user_mfa_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id TEXT NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  -- Admin who triggered the event (resets), null for the user themself
+  actor_id TEXT,
+  actor_email VARCHAR(255),
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  created_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_tenant_user_mfa_events_user FOREIGN KEY (user_id)
+    REFERENCES tenant_users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_tenant_user_mfa_events_tenant ON tenant_user_mfa_events(tenant_id, created_at);
+CREATE INDEX idx_tenant_user_mfa_events_user ON tenant_user_mfa_events(user_id, created_at);
+
+-- Comments
+COMMENT ON TABLE tenant_user_mfa_events IS 'MFA enrollments, challenges, recovery code uses and admin resets';
+COMMENT ON COLUMN tenant_users.mfa_secret IS 'TOTP secret, AES-256-GCM encrypted (services/mfaService)';
+COMMENT ON COLUMN tenant_users.mfa_pending_secret IS 'Secret of an enrollment not confirmed yet';
+COMMENT ON COLUMN tenant_users.mfa_recovery_codes IS 'SHA-256 hashes of the unused recovery codes';
+COMMENT ON COLUMN tenant_users.mfa_last_used_step IS 'Last accepted TOTP time step (replay protection)';
+COMMENT ON COLUMN tenants.mfa_required IS 'Every tenant user must use MFA (super admins excepted)';
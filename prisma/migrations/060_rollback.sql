@@ -0,0 +1,13 @@
+-- Migration 060 Rollback: Remove tenant user MFA
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS tenant_user_mfa_events;
+
+ALTER TABLE tenants DROP COLUMN IF EXISTS mfa_required;
+
+ALTER TABLE tenant_users DROP COLUMN IF EXISTS mfa_last_used_step;
+ALTER TABLE tenant_users DROP COLUMN IF EXISTS mfa_recovery_codes;
+ALTER TABLE tenant_users DROP COLUMN IF EXISTS mfa_enrolled_at;
+ALTER TABLE tenant_users DROP COLUMN IF EXISTS mfa_pending_secret;
+ALTER TABLE tenant_users DROP COLUMN IF EXISTS mfa_secret;
+ALTER TABLE tenant_users DROP COLUMN IF EXISTS mfa_enabled;
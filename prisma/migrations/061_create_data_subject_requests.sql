@@ -0,0 +1,36 @@
+-- Migration 061: GDPR data subject requests (access / erasure)
+-- Date: 19 October 2026
+-- Purpose: Record every export (right of access) and erasure (right to be
+--          forgotten) of an employee's personal data. Each row is a receipt:
+--          receipt_hash is an HMAC of its content chained to the previous
+--          receipt of the tenant (previous_hash, gap-free sequence), so that
+--          editing, deleting or reordering receipts is detectable
+--          (services/gdpr/receiptService). Receipts hold no personal data:
+--          the subject is identified by an HMAC of their email.
+
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  sequence INTEGER NOT NULL,
+  request_type VARCHAR(20) NOT NULL CHECK (request_type IN ('EXPORT', 'ERASURE')),
+  -- Pseudonymised after an erasure, kept for the link with the receipt
+  employee_id INTEGER NOT NULL,
+  subject_hash VARCHAR(64) NOT NULL,
+  reason TEXT,
+  -- Records exported / deleted / anonymised per table, files removed
+  summary JSONB NOT NULL DEFAULT '{}',
+  requested_by VARCHAR(255),
+  requested_by_email VARCHAR(255),
+  previous_hash VARCHAR(64),
+  receipt_hash VARCHAR(64) NOT NULL,
+  completed_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_data_subject_requests_sequence UNIQUE (tenant_id, sequence)
+);
+
+CREATE INDEX idx_data_subject_requests_employee ON data_subject_requests(tenant_id, employee_id);
+CREATE INDEX idx_data_subject_requests_subject ON data_subject_requests(tenant_id, subject_hash);
+
+-- Comments
+COMMENT ON TABLE data_subject_requests IS 'Tamper-evident receipts of GDPR exports and erasures';
+COMMENT ON COLUMN data_subject_requests.subject_hash IS 'HMAC-SHA256 of the lowercased email of the data subject';
+COMMENT ON COLUMN data_subject_requests.receipt_hash IS 'HMAC-SHA256 of the receipt content, including previous_hash';
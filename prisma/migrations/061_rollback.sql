@@ -0,0 +1,4 @@
+-- Migration 061 Rollback: Remove GDPR data subject requests
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS data_subject_requests;
@@ -0,0 +1,40 @@
+-- Migration 062: Per-device sessions of tenant users
+-- Date: 19 October 2026
+-- Purpose: tenant_users.refresh_token held a single refresh token, so a
+--          login on a second device silently logged out the first one and
+--          sessions could not be listed or revoked. Each login now opens a
+--          session with its own refresh token (only its SHA-256 hash is
+--          stored). Refresh tokens are rotated on every use: presenting a
+--          token that was already rotated means it was stolen, and the
+--          session is revoked (reuse detection). Access tokens carry the
+--          session id and stop working as soon as the session is revoked.
+
+CREATE TABLE IF NOT EXISTS tenant_user_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL,
+  user_id TEXT NOT NULL,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  -- Number of refreshes, incremented by each rotation
+  rotation_count INTEGER NOT NULL DEFAULT 0,
+  device_name VARCHAR(255),
+  user_agent TEXT,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP(6) NOT NULL,
+  revoked_at TIMESTAMP(6),
+  revoked_reason VARCHAR(50),
+  -- Admin who revoked the session, null when the user did
+  revoked_by TEXT,
+  CONSTRAINT fk_tenant_user_sessions_user FOREIGN KEY (user_id)
+    REFERENCES tenant_users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_tenant_user_sessions_user ON tenant_user_sessions(user_id, revoked_at);
+CREATE INDEX idx_tenant_user_sessions_tenant ON tenant_user_sessions(tenant_id, created_at);
+
+-- Comments
+COMMENT ON TABLE tenant_user_sessions IS 'Login sessions (devices) of tenant users, one refresh token each';
+COMMENT ON COLUMN tenant_user_sessions.refresh_token_hash IS 'SHA-256 of the current refresh token; older tokens are rejected as reused';
+COMMENT ON COLUMN tenant_user_sessions.revoked_reason IS 'LOGOUT, USER_REVOKED, ADMIN_REVOKED, TOKEN_REUSE, PASSWORD_RESET, DEACTIVATED';
+COMMENT ON COLUMN tenant_users.refresh_token IS 'Deprecated: refresh tokens are stored per session (tenant_user_sessions)';
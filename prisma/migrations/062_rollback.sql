@@ -0,0 +1,6 @@
+-- Migration 062 Rollback: Remove tenant user sessions
+-- Date: 19 October 2026
+
+DROP TABLE IF EXISTS tenant_user_sessions;
+
+COMMENT ON COLUMN tenant_users.refresh_token IS NULL;
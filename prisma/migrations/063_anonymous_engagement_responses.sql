@@ -0,0 +1,60 @@
+-- Migration 063: Anonymous engagement responses and minimum reporting group size
+-- Date: 19 October 2026
+-- Purpose: engagement_campaigns.anonymous_responses was only a flag: answers
+--          were still stored with the employee, the tenant user, the
+--          assignment, the IP address and the exact submission time. Answers
+--          of anonymous campaigns are now decoupled from identity: completion
+--          is tracked on engagement_campaign_assignments only, while
+--          engagement_results / engagement_responses keep no identifying
+--          column and only the submission day. The answers of one submission
+--          are grouped by a random submission_id.
+--          tenants.engagement_min_group_size is the k-anonymity threshold of
+--          the engagement analytics: groups with fewer responses are merged
+--          or suppressed.
+--          Existing answers of anonymous campaigns are anonymized the same
+--          way (this cannot be rolled back).
+
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS engagement_min_group_size INTEGER NOT NULL DEFAULT 5;
+ALTER TABLE tenants ADD CONSTRAINT ck_tenants_engagement_min_group_size CHECK (engagement_min_group_size >= 3);
+
+ALTER TABLE engagement_results ALTER COLUMN assignment_id DROP NOT NULL;
+ALTER TABLE engagement_results ALTER COLUMN employee_id DROP NOT NULL;
+ALTER TABLE engagement_results ALTER COLUMN tenant_user_id DROP NOT NULL;
+
+ALTER TABLE engagement_responses ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE engagement_responses ADD COLUMN IF NOT EXISTS submission_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_engagement_responses_submission ON engagement_responses(submission_id);
+
+-- Anonymize the answers already given to anonymous campaigns
+UPDATE engagement_results
+SET assignment_id = NULL,
+    employee_id = NULL,
+    tenant_user_id = NULL,
+    ip_address = NULL,
+    user_agent = NULL,
+    device_type = NULL,
+    started_at = NULL,
+    time_taken = NULL,
+    completed_at = DATE_TRUNC('day', completed_at)
+WHERE campaign_id IN (SELECT id FROM engagement_campaigns WHERE anonymous_responses = true);
+
+WITH submissions AS (
+  SELECT campaign_id, user_id, gen_random_uuid()::text AS submission_id
+  FROM engagement_responses
+  WHERE user_id IS NOT NULL
+    AND campaign_id IN (SELECT id FROM engagement_campaigns WHERE anonymous_responses = true)
+  GROUP BY campaign_id, user_id
+)
+UPDATE engagement_responses er
+SET submission_id = s.submission_id,
+    user_id = NULL,
+    responded_at = DATE_TRUNC('day', er.responded_at)
+FROM submissions s
+WHERE er.campaign_id = s.campaign_id
+  AND er.user_id = s.user_id;
+
+-- Comments
+COMMENT ON COLUMN tenants.engagement_min_group_size IS 'Minimum responses per group in engagement analytics (k-anonymity)';
+COMMENT ON COLUMN engagement_responses.submission_id IS 'Random id grouping the answers of one submission (anonymous campaigns, user_id is null)';
+COMMENT ON COLUMN engagement_results.employee_id IS 'Null for anonymous campaigns';
@@ -0,0 +1,19 @@
+-- Migration 063 Rollback: Remove anonymous engagement responses
+-- Date: 19 October 2026
+-- Note: anonymous answers have no identity to restore. Responses are kept
+--       under a placeholder user_id; anonymous engagement_results cannot
+--       satisfy the restored NOT NULL constraints and are deleted.
+
+DROP INDEX IF EXISTS idx_engagement_responses_submission;
+
+UPDATE engagement_responses SET user_id = 'anonymous:' || submission_id WHERE user_id IS NULL;
+ALTER TABLE engagement_responses DROP COLUMN IF EXISTS submission_id;
+ALTER TABLE engagement_responses ALTER COLUMN user_id SET NOT NULL;
+
+DELETE FROM engagement_results WHERE assignment_id IS NULL OR employee_id IS NULL OR tenant_user_id IS NULL;
+ALTER TABLE engagement_results ALTER COLUMN tenant_user_id SET NOT NULL;
+ALTER TABLE engagement_results ALTER COLUMN employee_id SET NOT NULL;
+ALTER TABLE engagement_results ALTER COLUMN assignment_id SET NOT NULL;
+
+ALTER TABLE tenants DROP CONSTRAINT IF EXISTS ck_tenants_engagement_min_group_size;
+ALTER TABLE tenants DROP COLUMN IF EXISTS engagement_min_group_size;
@@ -0,0 +1,44 @@
+-- Migration 064: eNPS answers and segment snapshot on engagement results
+-- Date: 19 October 2026
+-- Purpose: Engagement templates can contain an eNPS question (question_type
+--          ENPS, 0-10 "how likely are you to recommend us as a place to
+--          work"). Its answer is kept out of the weighted area scores and
+--          stored in engagement_results.enps_score.
+--          engagement_index becomes the outcome of the driver analysis:
+--          the overall score, averaged with the eNPS answer (x10) when given.
+--          Department, office and role of the respondent are copied at
+--          submission time so that results can be segmented, also for
+--          anonymous campaigns (no employee_id) and after transfers. They are
+--          snapshots, without foreign keys; segments are only reported above
+--          tenants.engagement_min_group_size.
+
+ALTER TABLE engagement_results ADD COLUMN IF NOT EXISTS enps_score SMALLINT;
+ALTER TABLE engagement_results ADD COLUMN IF NOT EXISTS department_id INTEGER;
+ALTER TABLE engagement_results ADD COLUMN IF NOT EXISTS office_id INTEGER;
+ALTER TABLE engagement_results ADD COLUMN IF NOT EXISTS role_id INTEGER;
+
+ALTER TABLE engagement_results ADD CONSTRAINT ck_engagement_results_enps_score
+  CHECK (enps_score IS NULL OR enps_score BETWEEN 0 AND 10);
+
+-- Segments of the results that still have their employee
+UPDATE engagement_results er
+SET department_id = e.department_id,
+    office_id = e.office_id,
+    role_id = COALESCE(
+      (SELECT r.role_id FROM employee_roles r WHERE r.employee_id = e.id AND r.is_current = true ORDER BY r.id DESC LIMIT 1),
+      e."currentRoleId"
+    )
+FROM employees e
+WHERE er.employee_id = e.id;
+
+UPDATE engagement_results
+SET engagement_index = overall_score
+WHERE engagement_index IS NULL
+  AND overall_score IS NOT NULL;
+
+-- Comments
+COMMENT ON COLUMN engagement_results.enps_score IS 'Answer to the eNPS question (0-10): 9-10 promoter, 7-8 passive, 0-6 detractor';
+COMMENT ON COLUMN engagement_results.engagement_index IS 'Overall score, averaged with the eNPS answer x10 when given; outcome of the driver analysis';
+COMMENT ON COLUMN engagement_results.department_id IS 'Department of the respondent at submission (snapshot, no foreign key)';
+COMMENT ON COLUMN engagement_results.office_id IS 'Office of the respondent at submission (snapshot, no foreign key)';
+COMMENT ON COLUMN engagement_results.role_id IS 'Current role of the respondent at submission (snapshot, no foreign key)';
@@ -0,0 +1,11 @@
+-- Migration 064 Rollback: Remove eNPS answers and segment snapshot
+-- Date: 19 October 2026
+-- Note: engagement_index values computed from the overall score are kept.
+
+ALTER TABLE engagement_results DROP CONSTRAINT IF EXISTS ck_engagement_results_enps_score;
+ALTER TABLE engagement_results DROP COLUMN IF EXISTS role_id;
+ALTER TABLE engagement_results DROP COLUMN IF EXISTS office_id;
+ALTER TABLE engagement_results DROP COLUMN IF EXISTS department_id;
+ALTER TABLE engagement_results DROP COLUMN IF EXISTS enps_score;
+
+COMMENT ON COLUMN engagement_results.engagement_index IS NULL;
@@ -0,0 +1,22 @@
+-- Migration 065: Manager snapshot on engagement results
+-- Date: 19 October 2026
+-- Purpose: The engagement heatmap groups results by manager subtree
+--          (employees.manager_id). Like department, office and role
+--          (migration 064), the direct manager of the respondent is copied
+--          at submission time, so that anonymous results can be placed in
+--          the hierarchy and transfers do not move past answers. The subtree
+--          of a manager is resolved from the current hierarchy when the
+--          heatmap is built. Snapshot only, no foreign key.
+
+ALTER TABLE engagement_results ADD COLUMN IF NOT EXISTS manager_id INTEGER;
+
+-- Managers of the results that still have their employee
+UPDATE engagement_results er
+SET manager_id = e.manager_id
+FROM employees e
+WHERE er.employee_id = e.id;
+
+CREATE INDEX IF NOT EXISTS idx_engagement_results_campaign_manager ON engagement_results(campaign_id, manager_id);
+
+-- Comments
+COMMENT ON COLUMN engagement_results.manager_id IS 'Direct manager of the respondent at submission (snapshot, no foreign key)';
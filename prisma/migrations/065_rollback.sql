@@ -0,0 +1,5 @@
+-- Migration 065 Rollback: Remove the manager snapshot of engagement results
+-- Date: 19 October 2026
+
+DROP INDEX IF EXISTS idx_engagement_results_campaign_manager;
+ALTER TABLE engagement_results DROP COLUMN IF EXISTS manager_id;
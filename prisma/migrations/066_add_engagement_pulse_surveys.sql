@@ -0,0 +1,18 @@
+-- Migration 066: Pulse engagement surveys
+-- Date: 19 October 2026
+-- Purpose: Pulse campaigns are weekly / bi-weekly recurring engagement
+--          campaigns where every employee answers a short rotating sample of
+--          the template questions instead of the whole template. The sample
+--          of an assignment is drawn when it is created (see
+--          services/engagementPulseService) and kept, so that the employee
+--          keeps the same questions and the answers can be checked against
+--          it. Within a cycle of cycle_length occurrences every question is
+--          asked once to each employee; area scores are reconstructed over
+--          the cycle from the partial samples.
+
+ALTER TABLE engagement_campaigns ADD COLUMN IF NOT EXISTS pulse_config JSONB;
+ALTER TABLE engagement_campaign_assignments ADD COLUMN IF NOT EXISTS question_ids JSONB;
+
+-- Comments
+COMMENT ON COLUMN engagement_campaigns.pulse_config IS 'Pulse mode: { questions_per_survey, cycle_length, rotating_questions }; NULL for full surveys';
+COMMENT ON COLUMN engagement_campaign_assignments.question_ids IS 'Questions sampled for this assignment in pulse campaigns; NULL means the whole template';
@@ -0,0 +1,5 @@
+-- Migration 066 Rollback: Remove pulse engagement surveys
+-- Date: 19 October 2026
+
+ALTER TABLE engagement_campaign_assignments DROP COLUMN IF EXISTS question_ids;
+ALTER TABLE engagement_campaigns DROP COLUMN IF EXISTS pulse_config;
@@ -0,0 +1,17 @@
+-- Migration 067: Restrict tenant notification channels
+-- Date: 19 October 2026
+-- Purpose: FILE and CONSOLE are local developer channels (selected with
+--          NOTIFICATION_TEST_CHANNEL); as tenant channels they let a tenant
+--          admin pick the file written by the server. Existing FILE/CONSOLE
+--          tenant channels are removed together with their outbox rows
+--          (ON DELETE CASCADE) and only WEBHOOK, SLACK and TEAMS remain
+--          configurable.
+
+DELETE FROM notification_channels WHERE channel_type IN ('FILE', 'CONSOLE');
+
+ALTER TABLE notification_channels DROP CONSTRAINT IF EXISTS notification_channels_channel_type_check;
+ALTER TABLE notification_channels ADD CONSTRAINT notification_channels_channel_type_check
+  CHECK (channel_type IN ('WEBHOOK', 'SLACK', 'TEAMS'));
+
+-- Comments
+COMMENT ON COLUMN notification_channels.channel_type IS 'WEBHOOK, SLACK or TEAMS; FILE and CONSOLE are developer channels only';
@@ -0,0 +1,8 @@
+-- Migration 067 Rollback: Allow FILE and CONSOLE tenant notification channels again
+-- Date: 19 October 2026
+-- Note: deleted FILE/CONSOLE channels are not restored
+
+ALTER TABLE notification_channels DROP CONSTRAINT IF EXISTS notification_channels_channel_type_check;
+ALTER TABLE notification_channels ADD CONSTRAINT notification_channels_channel_type_check
+  CHECK (channel_type IN ('WEBHOOK', 'SLACK', 'TEAMS', 'FILE', 'CONSOLE'));
+COMMENT ON COLUMN notification_channels.channel_type IS NULL;
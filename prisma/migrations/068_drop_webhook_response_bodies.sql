@@ -0,0 +1,11 @@
+-- Migration 068: Stop keeping webhook response bodies
+-- Date: 19 October 2026
+-- Purpose: The delivery log returned up to 2000 characters of whatever the
+--          subscription URL answered, which let a subscription read responses
+--          of URLs it should not reach. Deliveries now keep only the status
+--          line; the bodies already stored are cleared.
+
+UPDATE webhook_deliveries SET response_body = NULL WHERE response_body IS NOT NULL;
+
+-- Comments
+COMMENT ON COLUMN webhook_deliveries.response_body IS 'Status line of the last response (e.g. "204 No Content"); the body is not stored';
@@ -0,0 +1,5 @@
+-- Migration 068 Rollback: Webhook response bodies
+-- Date: 19 October 2026
+-- Note: cleared response bodies cannot be restored
+
+COMMENT ON COLUMN webhook_deliveries.response_body IS NULL;
@@ -0,0 +1,20 @@
+-- Migration 069: Redact password reset notifications
+-- Date: 19 October 2026
+-- Purpose: Password reset emails carry the reset link, a credential for the
+--          account. The outbox now marks them as sensitive and erases their
+--          body once the delivery ends; this applies the same rule to the
+--          rows written before.
+
+UPDATE notification_outbox
+SET message = NULL,
+    payload = '{"sensitive": true, "redacted": true}'::jsonb
+WHERE event_type = 'PASSWORD_RESET_REQUESTED'
+  AND status IN ('SENT', 'FAILED', 'CANCELLED');
+
+UPDATE notification_outbox
+SET payload = COALESCE(payload, '{}'::jsonb) || '{"sensitive": true}'::jsonb
+WHERE event_type = 'PASSWORD_RESET_REQUESTED'
+  AND status IN ('PENDING', 'PROCESSING');
+
+-- Comments
+COMMENT ON COLUMN notification_outbox.payload IS '{ html, data, sensitive? }: the message and html of sensitive notifications are erased once delivered, failed or cancelled';
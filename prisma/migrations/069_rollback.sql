@@ -0,0 +1,5 @@
+-- Migration 069 Rollback: Redact password reset notifications
+-- Date: 19 October 2026
+-- Note: redacted bodies cannot be restored
+
+COMMENT ON COLUMN notification_outbox.payload IS NULL;
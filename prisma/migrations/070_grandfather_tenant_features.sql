@@ -0,0 +1,17 @@
+-- Migration 070: Grandfather existing tenants into the plan entitlements
+-- Date: 19 October 2026
+-- Purpose: Plans are now enforced, and tenants.subscription_plan defaults to
+--          'basic', which has no AI services nor engagement AI and caps CV
+--          extraction and project matching. Tenants created before that
+--          used every feature without limits; this keeps it that way with
+--          an unlimited override per feature. Overrides already set are left
+--          alone. Removing an override puts the tenant on its plan.
+
+INSERT INTO tenant_features (tenant_id, "featureName", "isEnabled", config, "createdAt", "updatedAt")
+SELECT t.id, f.feature, true, '{"monthly_quota": null, "grandfathered": true}'::jsonb, NOW(), NOW()
+FROM tenants t
+CROSS JOIN (VALUES ('ai_services'), ('cv_extraction'), ('project_matching'), ('engagement_ai')) AS f(feature)
+ON CONFLICT (tenant_id, "featureName") DO NOTHING;
+
+-- Comments
+COMMENT ON COLUMN tenant_features.config IS '{ monthly_quota?, grandfathered? }: monthly_quota replaces the plan quota (null = unlimited); grandfathered marks the overrides of migration 070';
@@ -0,0 +1,8 @@
+-- Migration 070 Rollback: Grandfather existing tenants into the plan entitlements
+-- Date: 19 October 2026
+-- Note: grandfathered overrides changed since (config rewritten) are kept
+
+DELETE FROM tenant_features
+WHERE config->>'grandfathered' = 'true';
+
+COMMENT ON COLUMN tenant_features.config IS NULL;
@@ -0,0 +1,21 @@
+-- Migration 071: Department only on anonymous engagement results
+-- Date: 19 October 2026
+-- Purpose: Department, office, role and manager were copied on every result
+--          (migrations 064 / 065), also for anonymous campaigns. Together
+--          they single out most respondents, so the row is not anonymous.
+--          Anonymous campaigns now keep the department only; this clears
+--          the other snapshot fields of the results already stored.
+
+UPDATE engagement_results er
+SET office_id = NULL,
+    role_id = NULL,
+    manager_id = NULL
+FROM engagement_campaigns c
+WHERE er.campaign_id = c.id
+  AND c.anonymous_responses = true
+  AND (er.office_id IS NOT NULL OR er.role_id IS NOT NULL OR er.manager_id IS NOT NULL);
+
+-- Comments
+COMMENT ON COLUMN engagement_results.office_id IS 'Office of the respondent at submission (snapshot, no foreign key); null for anonymous campaigns';
+COMMENT ON COLUMN engagement_results.role_id IS 'Current role of the respondent at submission (snapshot, no foreign key); null for anonymous campaigns';
+COMMENT ON COLUMN engagement_results.manager_id IS 'Direct manager of the respondent at submission (snapshot, no foreign key); null for anonymous campaigns';
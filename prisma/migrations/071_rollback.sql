@@ -0,0 +1,7 @@
+-- Migration 071 Rollback: Department only on anonymous engagement results
+-- Date: 19 October 2026
+-- Note: the cleared office, role and manager of anonymous results cannot be restored
+
+COMMENT ON COLUMN engagement_results.office_id IS 'Office of the respondent at submission (snapshot, no foreign key)';
+COMMENT ON COLUMN engagement_results.role_id IS 'Current role of the respondent at submission (snapshot, no foreign key)';
+COMMENT ON COLUMN engagement_results.manager_id IS 'Direct manager of the respondent at submission (snapshot, no foreign key)';
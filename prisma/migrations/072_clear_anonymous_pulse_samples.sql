@@ -0,0 +1,19 @@
+-- Migration 072: Clear the pulse samples of completed anonymous assignments
+-- Date: 19 October 2026
+-- Purpose: Pulse assignments stored a sample drawn for each employee
+--          (question_ids). In anonymous campaigns, the questions answered
+--          in a result then pointed back at the assignment, and so at the
+--          employee. Anonymous pulses now share one sample per occurrence,
+--          and the sample is cleared when the assignment is completed. This
+--          clears the samples of the anonymous assignments already completed.
+
+UPDATE engagement_campaign_assignments a
+SET question_ids = NULL
+FROM engagement_campaigns c
+WHERE a.campaign_id = c.id
+  AND c.anonymous_responses = true
+  AND a.status = 'COMPLETED'
+  AND a.question_ids IS NOT NULL;
+
+-- Comments
+COMMENT ON COLUMN engagement_campaign_assignments.question_ids IS 'Questions sampled for this assignment in pulse campaigns; NULL means the whole template. Anonymous campaigns share one sample per occurrence, cleared on completion';
@@ -0,0 +1,5 @@
+-- Migration 072 Rollback: Clear the pulse samples of completed anonymous assignments
+-- Date: 19 October 2026
+-- Note: cleared samples cannot be restored
+
+COMMENT ON COLUMN engagement_campaign_assignments.question_ids IS 'Questions sampled for this assignment in pulse campaigns; NULL means the whole template';
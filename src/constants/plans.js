@@ -0,0 +1,57 @@
+/**
+ * Subscription Plans and Feature Entitlements
+ * @module constants/plans
+ * @created 2026-10-19
+ *
+ * Features gated by the tenant plan (see services/entitlementService).
+ * The plan comes from the active tenant_billing period, or tenants.subscription_plan.
+ * Per-tenant overrides are stored in tenant_features (featureName = feature key).
+ * Tenants that existed before plans were enforced keep every feature through
+ * unlimited overrides (migration 070).
+ */
+
+const FEATURES = {
+  AI_SERVICES: 'ai_services',           // /api/ai/* (CV analysis, scoring, RAG search)
+  CV_EXTRACTION: 'cv_extraction',       // CV upload and AI extraction (/api/cv/*)
+  PROJECT_MATCHING: 'project_matching', // Project role matching and staffing plans
+  ENGAGEMENT_AI: 'engagement_ai'        // AI generation of engagement questions and suggestions
+};
+
+const PLANS = {
+  BASIC: 'basic',
+  PROFESSIONAL: 'professional',
+  ENTERPRISE: 'enterprise'
+};
+
+const DEFAULT_PLAN = PLANS.BASIC;
+
+// Features included in each plan; monthly_quota null = unlimited
+const PLAN_ENTITLEMENTS = {
+  [PLANS.BASIC]: {
+    [FEATURES.CV_EXTRACTION]: { monthly_quota: 20 },
+    [FEATURES.PROJECT_MATCHING]: { monthly_quota: 50 }
+  },
+  [PLANS.PROFESSIONAL]: {
+    [FEATURES.AI_SERVICES]: { monthly_quota: 1000 },
+    [FEATURES.CV_EXTRACTION]: { monthly_quota: 200 },
+    [FEATURES.PROJECT_MATCHING]: { monthly_quota: null },
+    [FEATURES.ENGAGEMENT_AI]: { monthly_quota: 100 }
+  },
+  [PLANS.ENTERPRISE]: {
+    [FEATURES.AI_SERVICES]: { monthly_quota: null },
+    [FEATURES.CV_EXTRACTION]: { monthly_quota: null },
+    [FEATURES.PROJECT_MATCHING]: { monthly_quota: null },
+    [FEATURES.ENGAGEMENT_AI]: { monthly_quota: null }
+  }
+};
+
+// tenant_billing.status values that keep the billed plan in force
+const ACTIVE_BILLING_STATUSES = ['ACTIVE', 'TRIALING', 'PAID'];
+
+module.exports = {
+  FEATURES,
+  PLANS,
+  DEFAULT_PLAN,
+  PLAN_ENTITLEMENTS,
+  ACTIVE_BILLING_STATUSES
+};
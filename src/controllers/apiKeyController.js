@@ -0,0 +1,185 @@
+/**
+ * API Key Controller
+ * @module controllers/apiKeyController
+ * @created 2026-10-19
+ *
+ * Tenant admins create, list, rotate and revoke scoped API keys used by
+ * integration scripts (see middlewares/apiKeyAuth).
+ */
+
+const prisma = require('../config/database');
+const ApiKeyService = require('../services/apiKeyService');
+const AuditLogService = require('../services/auditLogService');
+
+const { API_KEY_SCOPES } = ApiKeyService;
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+// API key fields recorded in the audit trail (never the hash)
+const API_KEY_AUDIT_FIELDS = ['keyName', 'keyPrefix', 'scopes', 'expiresAt', 'isActive', 'revokedAt', 'rotatedFromId'];
+
+class ApiKeyController {
+  /**
+   * Available scopes
+   * GET /api/api-keys/scopes
+   */
+  async getScopes(req, res) {
+    res.json({ success: true, data: API_KEY_SCOPES });
+  }
+
+  /**
+   * List the tenant API keys (hashes are never returned)
+   * GET /api/api-keys?include_revoked=true
+   */
+  async getApiKeys(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const where = { tenant_id: tenantId };
+      if (req.query.include_revoked !== 'true') {
+        where.revokedAt = null;
+      }
+
+      const apiKeys = await prisma.tenant_api_keys.findMany({
+        where,
+        orderBy: { createdAt: 'desc' }
+      });
+
+      res.json({
+        success: true,
+        data: apiKeys.map(k => ApiKeyService.serialize(k)),
+        count: apiKeys.length
+      });
+    } catch (error) {
+      console.error('Error fetching API keys:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch API keys'
+      });
+    }
+  }
+
+  /**
+   * Create an API key (the plain key is returned only here)
+   * POST /api/api-keys
+   * Body: { name, scopes: ['employees:read', ...], expires_at? }
+   */
+  async createApiKey(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const { errors, data } = ApiKeyService.validateKeyInput(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid API key',
+          details: errors
+        });
+      }
+
+      const { apiKey, key } = await ApiKeyService.createKey(tenantId, data, req.user.id);
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.CREATE,
+        entity: AUDIT_ENTITIES.API_KEY,
+        entityId: apiKey.id,
+        after: AuditLogService.snapshot(apiKey, API_KEY_AUDIT_FIELDS)
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { ...ApiKeyService.serialize(apiKey), key },
+        message: 'API key created. Store the key now: it will not be shown again'
+      });
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API key'
+      });
+    }
+  }
+
+  /**
+   * Replace an API key with a new one (same name, scopes and expiry)
+   * POST /api/api-keys/:id/rotate
+   * Body: { grace_period_minutes? } - keep the old key valid meanwhile (default: revoke now)
+   */
+  async rotateApiKey(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const result = await ApiKeyService.rotateKey(tenantId, parseInt(req.params.id), req.user.id, {
+        graceMinutes: req.body.grace_period_minutes
+      });
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Active API key not found'
+        });
+      }
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.CREATE,
+        entity: AUDIT_ENTITIES.API_KEY,
+        entityId: result.apiKey.id,
+        after: AuditLogService.snapshot(result.apiKey, API_KEY_AUDIT_FIELDS)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...ApiKeyService.serialize(result.apiKey),
+          key: result.key,
+          previous: ApiKeyService.serialize(result.previous)
+        },
+        message: 'API key rotated. Store the new key now: it will not be shown again'
+      });
+    } catch (error) {
+      console.error('Error rotating API key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rotate API key'
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * DELETE /api/api-keys/:id
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const apiKey = await ApiKeyService.revokeKey(tenantId, parseInt(req.params.id));
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found or already revoked'
+        });
+      }
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.DELETE,
+        entity: AUDIT_ENTITIES.API_KEY,
+        entityId: apiKey.id,
+        before: AuditLogService.snapshot({ ...apiKey, isActive: true, revokedAt: null }, API_KEY_AUDIT_FIELDS),
+        after: AuditLogService.snapshot(apiKey, API_KEY_AUDIT_FIELDS)
+      });
+
+      res.json({
+        success: true,
+        data: ApiKeyService.serialize(apiKey),
+        message: 'API key revoked'
+      });
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API key'
+      });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
@@ -10,6 +10,17 @@ const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const logger = require('../../utils/logger');
 const { checkAssessmentConflicts, validateAssessmentDates } = require('../../services/assessmentConflictService');
+const CampaignRecurrenceService = require('../../services/campaignRecurrenceService');
+const CampaignReminderService = require('../../services/campaignReminderService');
+const WebhookService = require('../../services/webhooks/webhookService');
+const AuditLogService = require('../../services/auditLogService');
+
+// Campaign fields recorded in the audit trail
+const CAMPAIGN_AUDIT_FIELDS = [
+  'name', 'description', 'template_id', 'status', 'start_date', 'deadline', 'frequency',
+  'recurring_config', 'mandatory', 'allow_retakes', 'max_attempts', 'target_audience',
+  'notification_settings', 'archived_at', 'assigned_employees'
+];
 
 /**
  * Create a new assessment campaign
@@ -24,24 +35,46 @@ const createCampaign = async (req, res) => {
       templateId,
       name,
       description,
-      employeeIds,
       startDate,
       deadline,
       frequency,
+      recurringConfig,
+      audienceRules,
       mandatory,
       allowRetakes,
       maxAttempts,
       notificationSettings
     } = req.body;
+    let { employeeIds } = req.body;
 
     // Validation
-    if (!templateId || !employeeIds || employeeIds.length === 0) {
+    if (!templateId || ((!employeeIds || employeeIds.length === 0) && !audienceRules)) {
       return res.status(400).json({
         success: false,
-        error: 'Template ID and employee IDs are required'
+        error: 'Template ID and employee IDs (or audience rules) are required'
       });
     }
 
+    const recurrence = CampaignRecurrenceService.validateRecurrenceInput({ frequency, recurringConfig, audienceRules });
+    if (recurrence.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid recurrence settings',
+        details: recurrence.errors
+      });
+    }
+
+    // Audience rules are resolved now and again for every recurring occurrence
+    if (recurrence.audienceRules) {
+      employeeIds = await CampaignRecurrenceService.resolveAudience(tenantId, { rules: recurrence.audienceRules });
+      if (employeeIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No active employees match the audience rules'
+        });
+      }
+    }
+
     if (!startDate || !deadline) {
       return res.status(400).json({
         success: false,
@@ -95,11 +128,7 @@ const createCampaign = async (req, res) => {
     }
 
     // Create target audience JSON
-    const targetAudience = {
-      employeeIds: employeeIds,
-      totalCount: employeeIds.length,
-      selectedAt: new Date()
-    };
+    const targetAudience = CampaignRecurrenceService.buildTargetAudience(employeeIds, recurrence.audienceRules);
 
     // Create notification settings JSON
     const notifications = notificationSettings || {
@@ -122,6 +151,7 @@ const createCampaign = async (req, res) => {
           deadline: end,
           status: 'PLANNED',
           frequency: frequency || 'once',
+          recurring_config: recurrence.recurringConfig ?? undefined,
           mandatory: mandatory || false,
           allow_retakes: allowRetakes || false,
           max_attempts: maxAttempts || 1,
@@ -144,6 +174,16 @@ const createCampaign = async (req, res) => {
       return { campaign, assignmentCount: assignments.count };
     });
 
+    await AuditLogService.record(req, {
+      action: AuditLogService.AUDIT_ACTIONS.CREATE,
+      entity: AuditLogService.AUDIT_ENTITIES.ASSESSMENT_CAMPAIGN,
+      entityId: result.campaign.id,
+      after: AuditLogService.snapshot(
+        { ...result.campaign, assigned_employees: result.assignmentCount },
+        CAMPAIGN_AUDIT_FIELDS
+      )
+    });
+
     logger.info('Created assessment campaign with assignments', {
       campaignId: result.campaign.id,
       templateId,
@@ -392,6 +432,19 @@ const updateCampaignStatus = async (req, res) => {
       newStatus: status
     });
 
+    await AuditLogService.record(req, {
+      action: AuditLogService.AUDIT_ACTIONS.UPDATE,
+      entity: AuditLogService.AUDIT_ENTITIES.ASSESSMENT_CAMPAIGN,
+      entityId: id,
+      before: AuditLogService.snapshot(campaign, CAMPAIGN_AUDIT_FIELDS),
+      after: AuditLogService.snapshot(updated, CAMPAIGN_AUDIT_FIELDS)
+    });
+
+    if (status === 'COMPLETED' && campaign.status !== 'COMPLETED') {
+      WebhookService.emit(tenantId, WebhookService.WEBHOOK_EVENTS.CAMPAIGN_COMPLETED,
+        WebhookService.campaignCompletedData('ASSESSMENT', updated, 'manual'));
+    }
+
     res.json({
       success: true,
       data: updated,
@@ -453,6 +506,13 @@ const deleteCampaign = async (req, res) => {
 
     logger.info('Deleted assessment campaign', { campaignId: id });
 
+    await AuditLogService.record(req, {
+      action: AuditLogService.AUDIT_ACTIONS.DELETE,
+      entity: AuditLogService.AUDIT_ENTITIES.ASSESSMENT_CAMPAIGN,
+      entityId: id,
+      before: AuditLogService.snapshot(campaign, CAMPAIGN_AUDIT_FIELDS)
+    });
+
     res.json({
       success: true,
       message: 'Campaign deleted successfully'
@@ -585,6 +645,71 @@ const getCampaignStats = async (req, res) => {
   }
 };
 
+/**
+ * Get the trend of the recurring series a campaign belongs to
+ * @route GET /api/assessment/campaigns/:id/series
+ */
+const getCampaignSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tenantId = req.user.tenantId || req.user.tenant_id;
+
+    const series = await CampaignRecurrenceService.getSeriesTrend('assessment', tenantId, id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    logger.error('Error fetching campaign series', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign series'
+    });
+  }
+};
+
+/**
+ * Get the reminders and escalations sent for a campaign
+ * @route GET /api/assessment/campaigns/:id/reminders?assignmentId=
+ */
+const getCampaignReminders = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tenantId = req.user.tenantId || req.user.tenant_id;
+
+    const log = await CampaignReminderService.getCampaignLog('assessment', tenantId, id, {
+      assignmentId: req.query.assignmentId
+    });
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: log,
+      count: log.length
+    });
+  } catch (error) {
+    logger.error('Error fetching campaign reminders', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign reminders'
+    });
+  }
+};
+
 module.exports = {
   createCampaign,
   getCampaigns,
@@ -592,5 +717,7 @@ module.exports = {
   updateCampaignStatus,
   deleteCampaign,
   checkConflicts,
-  getCampaignStats
+  getCampaignStats,
+  getCampaignSeries,
+  getCampaignReminders
 };
\ No newline at end of file
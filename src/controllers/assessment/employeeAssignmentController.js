@@ -5,6 +5,8 @@
  */
 
 const prisma = require('../../config/database');
+const DevelopmentPlanService = require('../../services/developmentPlanService');
+const WebhookService = require('../../services/webhooks/webhookService');
 const { validationResult } = require('express-validator');
 
 /**
@@ -554,6 +556,18 @@ const submitAssessmentResponses = async (req, res) => {
       }
     });
 
+    // Refresh development plan goals linked to the assessed categories
+    DevelopmentPlanService.scheduleSync(employeeId, 'assessment submission');
+
+    WebhookService.emit(tenantId, WebhookService.WEBHOOK_EVENTS.ASSESSMENT_SUBMITTED, {
+      campaign_id: assignment.campaign_id,
+      assignment_id: assignmentId,
+      result_id: assessmentResult.id,
+      employee_id: employeeId,
+      overall_score: calculatedOverallScore,
+      completed_at: updatedAssignment.completed_at
+    });
+
     res.json({
       success: true,
       data: {
@@ -274,9 +274,11 @@ IMPORTANTE:
       });
     } catch (error) {
       console.error('Error generating questions with AI:', error);
-      res.status(500).json({
+      // LLMBudgetExceededError carries its own status (402)
+      res.status(error.status || 500).json({
         error: 'Failed to generate questions',
-        details: error.message
+        details: error.message,
+        ...(error.code === 'LLM_BUDGET_EXCEEDED' && { code: error.code })
       });
     }
   }
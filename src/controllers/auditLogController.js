@@ -0,0 +1,80 @@
+/**
+ * Audit Log Controller
+ * @module controllers/auditLogController
+ * @created 2026-10-19
+ *
+ * Tenant audit trail for compliance reviews: search, filter and export.
+ */
+
+const AuditLogService = require('../services/auditLogService');
+
+const { MAX_EXPORT_ROWS } = AuditLogService;
+
+class AuditLogController {
+  /**
+   * Tenant admins see their own tenant, super admins any tenant
+   */
+  canAccessTenant(user, tenantId) {
+    const role = String(user.role || '').toUpperCase();
+    if (role === 'SUPER_ADMIN') return true;
+    return role === 'ADMIN' && (user.tenant_id || user.tenantId) === tenantId;
+  }
+
+  /**
+   * Search the audit trail, or export it
+   * GET /api/tenants/:id/audit-log
+   * Query: action, entity (comma-separated), entity_id, actor_id, actor (email),
+   *        field (changed field), from, to, q, page, limit, format (json|csv)
+   */
+  async getAuditLog(req, res) {
+    try {
+      const tenantId = req.params.id;
+
+      if (!this.canAccessTenant(req.user, tenantId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const { format } = req.query;
+      if (format && !['json', 'csv'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: 'format must be json or csv'
+        });
+      }
+
+      if (format) {
+        const logs = await AuditLogService.exportEntries(tenantId, req.query);
+        const filename = `audit-log_${tenantId}_${new Date().toISOString().split('T')[0]}`;
+
+        res.setHeader('X-Export-Truncated', String(logs.length >= MAX_EXPORT_ROWS));
+        if (format === 'csv') {
+          res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+          res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+          return res.send(AuditLogService.toCsv(logs));
+        }
+
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}.json`);
+        return res.json({ success: true, data: logs, count: logs.length });
+      }
+
+      const { logs, pagination } = await AuditLogService.search(tenantId, req.query);
+
+      res.json({
+        success: true,
+        data: logs,
+        pagination
+      });
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch audit log'
+      });
+    }
+  }
+}
+
+module.exports = new AuditLogController();
@@ -0,0 +1,364 @@
+/**
+ * Availability Controller
+ * @module controllers/availabilityController
+ * @created 2026-10-19
+ *
+ * Employee availability calendar (weekly time series) plus management of
+ * the inputs it is derived from: planned absences and part-time schedules.
+ * Project assignments are managed through /api/projects.
+ */
+
+const prisma = require('../config/database');
+const AvailabilityCalendar = require('../services/availabilityCalendarService');
+const { toDay } = require('../utils/allocationTimeline');
+
+const ABSENCE_TYPES = ['VACATION', 'SICK_LEAVE', 'PARENTAL_LEAVE', 'TRAINING', 'OTHER'];
+const ABSENCE_STATUSES = ['PLANNED', 'APPROVED', 'CANCELLED'];
+const CONTRACT_TYPES = ['FULL_TIME', 'PART_TIME'];
+const HR_ROLES = ['SUPER_ADMIN', 'ADMIN', 'HR_MANAGER', 'HR'];
+
+const isHrUser = (user) => HR_ROLES.includes((user.role || '').toUpperCase());
+
+class AvailabilityController {
+  /**
+   * Find an employee of the current tenant
+   */
+  async findEmployee(req) {
+    const employeeId = parseInt(req.params.id);
+    if (isNaN(employeeId)) return null;
+
+    return prisma.employees.findFirst({
+      where: { id: employeeId, tenant_id: req.tenantId },
+      select: { id: true, first_name: true, last_name: true }
+    });
+  }
+
+  /**
+   * Absences can be managed by HR or by the employee themselves
+   */
+  canManageAbsences(req, employeeId) {
+    return isHrUser(req.user) || Number(req.user.employeeId) === employeeId;
+  }
+
+  /**
+   * Get weekly availability time series
+   * @route GET /api/employees/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+   */
+  async getAvailability(req, res) {
+    try {
+      const range = AvailabilityCalendar.resolveRange(req.query.from, req.query.to);
+      if (range.error) {
+        return res.status(400).json({ success: false, error: range.error });
+      }
+
+      const calendar = await AvailabilityCalendar.getEmployeeCalendar(
+        req.tenantId,
+        parseInt(req.params.id),
+        range.from,
+        range.to
+      );
+
+      if (!calendar) {
+        return res.status(404).json({ success: false, error: 'Employee not found' });
+      }
+
+      const { summary } = calendar;
+      let availabilityStatus = 'available';
+      if (summary.average_available === 0) {
+        availabilityStatus = 'unavailable';
+      } else if (summary.min_available < 100) {
+        availabilityStatus = 'partially_available';
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...calendar,
+          // Legacy snapshot fields
+          available_from: summary.available_from,
+          notice_period_days: null,
+          availability_status: availabilityStatus
+        }
+      });
+    } catch (error) {
+      console.error('[Employee Availability] Error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch availability' });
+    }
+  }
+
+  /**
+   * List absences
+   * @route GET /api/employees/:id/absences
+   */
+  async getAbsences(req, res) {
+    try {
+      const employee = await this.findEmployee(req);
+      if (!employee) {
+        return res.status(404).json({ success: false, error: 'Employee not found' });
+      }
+
+      const where = { employee_id: employee.id };
+      if (req.query.include_cancelled !== 'true') {
+        where.status = { in: AvailabilityCalendar.ACTIVE_ABSENCE_STATUSES };
+      }
+
+      const absences = await prisma.employee_absences.findMany({
+        where,
+        orderBy: { start_date: 'asc' }
+      });
+
+      res.json({ success: true, data: absences });
+    } catch (error) {
+      console.error('[Employee Absences] Error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch absences' });
+    }
+  }
+
+  /**
+   * Create absence
+   * @route POST /api/employees/:id/absences
+   */
+  async createAbsence(req, res) {
+    try {
+      const employee = await this.findEmployee(req);
+      if (!employee) {
+        return res.status(404).json({ success: false, error: 'Employee not found' });
+      }
+      if (!this.canManageAbsences(req, employee.id)) {
+        return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+      }
+
+      const { errors, data } = this.validateAbsence(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid absence', details: errors });
+      }
+
+      const absence = await prisma.employee_absences.create({
+        data: {
+          ...data,
+          // Only HR can create pre-approved absences
+          status: isHrUser(req.user) ? (data.status || 'PLANNED') : 'PLANNED',
+          tenant_id: req.tenantId,
+          employee_id: employee.id,
+          created_by: String(req.user.id)
+        }
+      });
+
+      res.status(201).json({ success: true, data: absence });
+    } catch (error) {
+      console.error('[Employee Absences] Error:', error);
+      res.status(500).json({ success: false, error: 'Failed to create absence' });
+    }
+  }
+
+  /**
+   * Update absence
+   * @route PUT /api/employees/:id/absences/:absenceId
+   */
+  async updateAbsence(req, res) {
+    try {
+      const employee = await this.findEmployee(req);
+      if (!employee) {
+        return res.status(404).json({ success: false, error: 'Employee not found' });
+      }
+      if (!this.canManageAbsences(req, employee.id)) {
+        return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+      }
+
+      const existing = await prisma.employee_absences.findFirst({
+        where: { id: req.params.absenceId, employee_id: employee.id }
+      });
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Absence not found' });
+      }
+
+      const { errors, data } = this.validateAbsence({ ...existing, ...req.body });
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid absence', details: errors });
+      }
+      if (!isHrUser(req.user) && data.status === 'APPROVED' && existing.status !== 'APPROVED') {
+        return res.status(403).json({ success: false, error: 'Only HR can approve absences' });
+      }
+
+      const absence = await prisma.employee_absences.update({
+        where: { id: existing.id },
+        data: { ...data, updated_at: new Date() }
+      });
+
+      res.json({ success: true, data: absence });
+    } catch (error) {
+      console.error('[Employee Absences] Error:', error);
+      res.status(500).json({ success: false, error: 'Failed to update absence' });
+    }
+  }
+
+  /**
+   * Delete absence
+   * @route DELETE /api/employees/:id/absences/:absenceId
+   */
+  async deleteAbsence(req, res) {
+    try {
+      const employee = await this.findEmployee(req);
+      if (!employee) {
+        return res.status(404).json({ success: false, error: 'Employee not found' });
+      }
+      if (!this.canManageAbsences(req, employee.id)) {
+        return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+      }
+
+      const { count } = await prisma.employee_absences.deleteMany({
+        where: { id: req.params.absenceId, employee_id: employee.id }
+      });
+      if (count === 0) {
+        return res.status(404).json({ success: false, error: 'Absence not found' });
+      }
+
+      res.json({ success: true, message: 'Absence deleted' });
+    } catch (error) {
+      console.error('[Employee Absences] Error:', error);
+      res.status(500).json({ success: false, error: 'Failed to delete absence' });
+    }
+  }
+
+  /**
+   * List work schedules (part-time contracts)
+   * @route GET /api/employees/:id/work-schedules
+   */
+  async getWorkSchedules(req, res) {
+    try {
+      const employee = await this.findEmployee(req);
+      if (!employee) {
+        return res.status(404).json({ success: false, error: 'Employee not found' });
+      }
+
+      const schedules = await prisma.employee_work_schedules.findMany({
+        where: { employee_id: employee.id },
+        orderBy: { effective_from: 'asc' }
+      });
+
+      res.json({ success: true, data: schedules });
+    } catch (error) {
+      console.error('[Employee Work Schedules] Error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch work schedules' });
+    }
+  }
+
+  /**
+   * Create work schedule
+   * @route POST /api/employees/:id/work-schedules
+   * Body: { capacity_percentage, effective_from, effective_to?, contract_type?, notes? }
+   */
+  async createWorkSchedule(req, res) {
+    try {
+      const employee = await this.findEmployee(req);
+      if (!employee) {
+        return res.status(404).json({ success: false, error: 'Employee not found' });
+      }
+
+      const { capacity_percentage, effective_from, effective_to, contract_type = 'PART_TIME', notes } = req.body;
+      const errors = [];
+      const capacity = parseInt(capacity_percentage);
+
+      if (isNaN(capacity) || capacity <= 0 || capacity > 100) {
+        errors.push('capacity_percentage must be between 1 and 100');
+      }
+      if (!effective_from || isNaN(new Date(effective_from))) {
+        errors.push('effective_from is required');
+      }
+      if (effective_to && (isNaN(new Date(effective_to)) || toDay(effective_to) < toDay(effective_from))) {
+        errors.push('effective_to must be a date after effective_from');
+      }
+      if (!CONTRACT_TYPES.includes(contract_type)) {
+        errors.push(`contract_type must be one of: ${CONTRACT_TYPES.join(', ')}`);
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid work schedule', details: errors });
+      }
+
+      const schedule = await prisma.employee_work_schedules.create({
+        data: {
+          tenant_id: req.tenantId,
+          employee_id: employee.id,
+          capacity_percentage: capacity,
+          contract_type,
+          effective_from: new Date(effective_from),
+          effective_to: effective_to ? new Date(effective_to) : null,
+          notes: notes || null,
+          created_by: String(req.user.id)
+        }
+      });
+
+      res.status(201).json({ success: true, data: schedule });
+    } catch (error) {
+      console.error('[Employee Work Schedules] Error:', error);
+      res.status(500).json({ success: false, error: 'Failed to create work schedule' });
+    }
+  }
+
+  /**
+   * Delete work schedule
+   * @route DELETE /api/employees/:id/work-schedules/:scheduleId
+   */
+  async deleteWorkSchedule(req, res) {
+    try {
+      const employee = await this.findEmployee(req);
+      if (!employee) {
+        return res.status(404).json({ success: false, error: 'Employee not found' });
+      }
+
+      const { count } = await prisma.employee_work_schedules.deleteMany({
+        where: { id: req.params.scheduleId, employee_id: employee.id }
+      });
+      if (count === 0) {
+        return res.status(404).json({ success: false, error: 'Work schedule not found' });
+      }
+
+      res.json({ success: true, message: 'Work schedule deleted' });
+    } catch (error) {
+      console.error('[Employee Work Schedules] Error:', error);
+      res.status(500).json({ success: false, error: 'Failed to delete work schedule' });
+    }
+  }
+
+  /**
+   * Validate absence payload
+   * @returns {{ errors: string[], data: Object }}
+   */
+  validateAbsence(body) {
+    const errors = [];
+    const absenceType = body.absence_type || 'VACATION';
+    const percentage = body.absence_percentage !== undefined ? parseInt(body.absence_percentage) : 100;
+
+    if (!ABSENCE_TYPES.includes(absenceType)) {
+      errors.push(`absence_type must be one of: ${ABSENCE_TYPES.join(', ')}`);
+    }
+    if (body.status && !ABSENCE_STATUSES.includes(body.status)) {
+      errors.push(`status must be one of: ${ABSENCE_STATUSES.join(', ')}`);
+    }
+    if (!body.start_date || isNaN(new Date(body.start_date))) {
+      errors.push('start_date is required');
+    }
+    if (!body.end_date || isNaN(new Date(body.end_date))) {
+      errors.push('end_date is required');
+    } else if (body.start_date && toDay(body.end_date) < toDay(body.start_date)) {
+      errors.push('end_date must be after start_date');
+    }
+    if (isNaN(percentage) || percentage <= 0 || percentage > 100) {
+      errors.push('absence_percentage must be between 1 and 100');
+    }
+
+    return {
+      errors,
+      data: {
+        absence_type: absenceType,
+        start_date: new Date(body.start_date),
+        end_date: new Date(body.end_date),
+        absence_percentage: percentage,
+        ...(body.status && { status: body.status }),
+        notes: body.notes || null
+      }
+    };
+  }
+}
+
+module.exports = new AvailabilityController();
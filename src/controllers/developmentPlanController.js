@@ -0,0 +1,802 @@
+/**
+ * Development Plan Controller
+ * @module controllers/developmentPlanController
+ * @created 2026-10-19
+ *
+ * Individual development plans: CRUD of plans, goals and milestones,
+ * submission and manager approval, check-ins and progress sync.
+ * Access: the employee, their direct manager (employees.manager_id) and HR.
+ * Once a plan is ACTIVE only the manager/HR can change its goals; the
+ * employee completes milestones and records check-ins.
+ */
+
+const prisma = require('../config/database');
+const DevelopmentPlanService = require('../services/developmentPlanService');
+const { ROLE_GROUPS } = require('../constants/roles');
+
+const { EDITABLE_STATUSES } = DevelopmentPlanService;
+
+const planInclude = {
+  employees: { select: { id: true, first_name: true, last_name: true, email: true, manager_id: true } },
+  development_plan_goals: {
+    orderBy: { order_index: 'asc' },
+    include: { development_plan_milestones: { orderBy: { order_index: 'asc' } } }
+  }
+};
+
+const isHrUser = (user) => ROLE_GROUPS.HR_ROLES.includes((user.role || '').toUpperCase());
+
+class DevelopmentPlanController {
+  /**
+   * Relationship of the current user with an employee: HR, EMPLOYEE, MANAGER or null
+   * @param {Object} user - req.user
+   * @param {Object} employee - { id, manager_id }
+   */
+  getAccessRole(user, employee) {
+    const requesterEmployeeId = Number(user.employeeId);
+    if (requesterEmployeeId && requesterEmployeeId === employee.id) return 'EMPLOYEE';
+    if (requesterEmployeeId && employee.manager_id === requesterEmployeeId) return 'MANAGER';
+    if (isHrUser(user)) return 'HR';
+    return null;
+  }
+
+  /**
+   * Load a plan of the tenant with the access role of the current user
+   * Sends the 404/403 response and returns null when not accessible.
+   */
+  async loadPlan(req, res, { include = planInclude } = {}) {
+    const tenantId = req.user.tenant_id || req.user.tenantId;
+
+    const plan = await prisma.development_plans.findFirst({
+      where: { id: req.params.planId, tenant_id: tenantId },
+      include: { ...include, employees: planInclude.employees }
+    });
+
+    if (!plan) {
+      res.status(404).json({ success: false, error: 'Development plan not found' });
+      return null;
+    }
+
+    const accessRole = this.getAccessRole(req.user, plan.employees);
+    if (!accessRole) {
+      res.status(403).json({ success: false, error: 'Insufficient permissions' });
+      return null;
+    }
+
+    return { plan, accessRole };
+  }
+
+  /**
+   * Whether the current user may change goals/milestones structure
+   */
+  canEditGoals(plan, accessRole) {
+    if (!EDITABLE_STATUSES.includes(plan.status)) return false;
+    return plan.status !== 'ACTIVE' || accessRole !== 'EMPLOYEE';
+  }
+
+  /**
+   * Recalculate progress after a structural change
+   * Active plans are also refreshed from the latest assessments/certifications.
+   */
+  async refreshProgress(planId) {
+    const plan = await prisma.development_plans.findUnique({
+      where: { id: planId },
+      include: { development_plan_goals: { include: { development_plan_milestones: true } } }
+    });
+    if (plan.status === 'ACTIVE') {
+      await DevelopmentPlanService.syncEmployeeProgress(plan.employee_id, { planId });
+    } else {
+      await DevelopmentPlanService.recalculatePlan(plan);
+    }
+  }
+
+  /**
+   * List development plans
+   * GET /api/development-plans?employee_id=&status=
+   * HR sees every plan of the tenant, other users their own and their reports'
+   */
+  async getPlans(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const { employee_id, status } = req.query;
+
+      const where = { tenant_id: tenantId };
+      if (employee_id) where.employee_id = parseInt(employee_id);
+      if (status) where.status = status;
+
+      if (!isHrUser(req.user)) {
+        const requesterEmployeeId = Number(req.user.employeeId) || -1;
+        where.employees = {
+          OR: [{ id: requesterEmployeeId }, { manager_id: requesterEmployeeId }]
+        };
+      }
+
+      const plans = await prisma.development_plans.findMany({
+        where,
+        include: {
+          employees: { select: { id: true, first_name: true, last_name: true } },
+          _count: { select: { development_plan_goals: true } }
+        },
+        orderBy: { updated_at: 'desc' }
+      });
+
+      res.json({
+        success: true,
+        data: plans,
+        count: plans.length
+      });
+    } catch (error) {
+      console.error('Error fetching development plans:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch development plans'
+      });
+    }
+  }
+
+  /**
+   * Get a development plan with goals, milestones and check-ins
+   * GET /api/development-plans/:planId
+   */
+  async getPlanById(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res, {
+        include: {
+          ...planInclude,
+          development_plan_checkins: { orderBy: { created_at: 'desc' } }
+        }
+      });
+      if (!loaded) return;
+
+      res.json({
+        success: true,
+        data: loaded.plan,
+        access_role: loaded.accessRole
+      });
+    } catch (error) {
+      console.error('Error fetching development plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch development plan'
+      });
+    }
+  }
+
+  /**
+   * Goal proposals from skill gaps and the learning catalog (not persisted)
+   * GET /api/development-plans/proposals/:employeeId
+   */
+  async getProposals(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const employee = await prisma.employees.findFirst({
+        where: { id: parseInt(req.params.employeeId), tenant_id: tenantId },
+        select: { id: true, manager_id: true }
+      });
+      if (!employee) {
+        return res.status(404).json({ success: false, error: 'Employee not found' });
+      }
+      if (!this.getAccessRole(req.user, employee)) {
+        return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+      }
+
+      const goals = await DevelopmentPlanService.proposeGoals(tenantId, employee.id);
+
+      res.json({ success: true, data: goals });
+    } catch (error) {
+      console.error('Error proposing development goals:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to propose development goals'
+      });
+    }
+  }
+
+  /**
+   * Create a development plan (DRAFT)
+   * POST /api/development-plans
+   * Body: { employee_id?, title, description?, start_date?, due_date?,
+   *         goals?: [{ title, skill_id?, soft_skill_id?, skill_name?, target_certification?,
+   *                    baseline_score?, target_score?, due_date?, catalog_item_id?, milestones?: [{ title, due_date? }] }],
+   *         from_recommendations? }
+   * With from_recommendations and no goals, goals are proposed from skill gaps.
+   */
+  async createPlan(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const { title, description, start_date, due_date, from_recommendations } = req.body;
+      const employeeId = parseInt(req.body.employee_id || req.user.employeeId);
+
+      const employee = isNaN(employeeId) ? null : await prisma.employees.findFirst({
+        where: { id: employeeId, tenant_id: tenantId },
+        select: { id: true, manager_id: true }
+      });
+      if (!employee) {
+        return res.status(404).json({ success: false, error: 'Employee not found' });
+      }
+      if (!this.getAccessRole(req.user, employee)) {
+        return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+      }
+
+      const errors = [];
+      if (!title || typeof title !== 'string' || !title.trim()) errors.push('title is required');
+      if (start_date && isNaN(new Date(start_date))) errors.push('start_date must be a valid date');
+      if (due_date && isNaN(new Date(due_date))) errors.push('due_date must be a valid date');
+      if (start_date && due_date && new Date(due_date) < new Date(start_date)) {
+        errors.push('due_date must be after start_date');
+      }
+
+      let goalInputs = Array.isArray(req.body.goals) ? req.body.goals : [];
+      const fromRecommendations = from_recommendations === true && goalInputs.length === 0;
+      if (fromRecommendations) {
+        goalInputs = await DevelopmentPlanService.proposeGoals(tenantId, employee.id) || [];
+      }
+
+      const goals = goalInputs.map((input, index) => {
+        const result = DevelopmentPlanService.validateGoalInput(input);
+        result.errors.forEach(e => errors.push(`goals[${index}]: ${e}`));
+        return result;
+      });
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid development plan',
+          details: errors
+        });
+      }
+
+      const plan = await prisma.$transaction(async (tx) => {
+        const created = await tx.development_plans.create({
+          data: {
+            tenant_id: tenantId,
+            employee_id: employee.id,
+            title: title.trim(),
+            description: description || null,
+            start_date: start_date ? new Date(start_date) : null,
+            due_date: due_date ? new Date(due_date) : null,
+            source: fromRecommendations ? 'RECOMMENDATION_ENGINE' : 'MANUAL',
+            created_by: String(req.user.id)
+          }
+        });
+
+        for (const [index, goal] of goals.entries()) {
+          await tx.development_plan_goals.create({
+            data: {
+              ...goal.data,
+              plan_id: created.id,
+              order_index: index,
+              development_plan_milestones: { create: goal.milestones }
+            }
+          });
+        }
+
+        return created;
+      });
+
+      await this.refreshProgress(plan.id);
+
+      const result = await prisma.development_plans.findUnique({
+        where: { id: plan.id },
+        include: planInclude
+      });
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        message: 'Development plan created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating development plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create development plan'
+      });
+    }
+  }
+
+  /**
+   * Update plan details
+   * PUT /api/development-plans/:planId
+   * Body: { title?, description?, start_date?, due_date? }
+   */
+  async updatePlan(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res, { include: {} });
+      if (!loaded) return;
+      const { plan, accessRole } = loaded;
+
+      if (!this.canEditGoals(plan, accessRole)) {
+        return res.status(409).json({
+          success: false,
+          error: `Plan cannot be edited in status ${plan.status}`
+        });
+      }
+
+      const data = {};
+      const errors = [];
+      if (req.body.title !== undefined) {
+        if (!req.body.title || !String(req.body.title).trim()) errors.push('title cannot be empty');
+        else data.title = String(req.body.title).trim();
+      }
+      if (req.body.description !== undefined) data.description = req.body.description || null;
+      for (const field of ['start_date', 'due_date']) {
+        if (req.body[field] === undefined) continue;
+        if (req.body[field] && isNaN(new Date(req.body[field]))) errors.push(`${field} must be a valid date`);
+        else data[field] = req.body[field] ? new Date(req.body[field]) : null;
+      }
+      const start = data.start_date !== undefined ? data.start_date : plan.start_date;
+      const due = data.due_date !== undefined ? data.due_date : plan.due_date;
+      if (start && due && due < start) errors.push('due_date must be after start_date');
+
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid development plan', details: errors });
+      }
+
+      const updated = await prisma.development_plans.update({
+        where: { id: plan.id },
+        data: { ...data, updated_at: new Date() },
+        include: planInclude
+      });
+
+      res.json({
+        success: true,
+        data: updated,
+        message: 'Development plan updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating development plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update development plan'
+      });
+    }
+  }
+
+  /**
+   * Cancel a development plan
+   * DELETE /api/development-plans/:planId
+   */
+  async cancelPlan(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res, { include: {} });
+      if (!loaded) return;
+      const { plan, accessRole } = loaded;
+
+      if (['COMPLETED', 'CANCELLED'].includes(plan.status)) {
+        return res.status(409).json({ success: false, error: `Plan is already ${plan.status}` });
+      }
+      if (plan.status === 'ACTIVE' && accessRole === 'EMPLOYEE') {
+        return res.status(403).json({ success: false, error: 'Only the manager or HR can cancel an approved plan' });
+      }
+
+      await prisma.development_plans.update({
+        where: { id: plan.id },
+        data: { status: 'CANCELLED', updated_at: new Date() }
+      });
+
+      res.json({
+        success: true,
+        message: 'Development plan cancelled'
+      });
+    } catch (error) {
+      console.error('Error cancelling development plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel development plan'
+      });
+    }
+  }
+
+  /**
+   * Submit a plan for manager approval
+   * POST /api/development-plans/:planId/submit
+   */
+  async submitPlan(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res);
+      if (!loaded) return;
+      const { plan } = loaded;
+
+      if (!['DRAFT', 'CHANGES_REQUESTED'].includes(plan.status)) {
+        return res.status(409).json({ success: false, error: `Plan cannot be submitted in status ${plan.status}` });
+      }
+      if (!plan.development_plan_goals.some(g => g.status !== 'CANCELLED')) {
+        return res.status(400).json({ success: false, error: 'A plan needs at least one goal to be submitted' });
+      }
+
+      const updated = await prisma.development_plans.update({
+        where: { id: plan.id },
+        data: { status: 'PENDING_APPROVAL', submitted_at: new Date(), updated_at: new Date() }
+      });
+
+      res.json({
+        success: true,
+        data: updated,
+        message: 'Development plan submitted for approval'
+      });
+    } catch (error) {
+      console.error('Error submitting development plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to submit development plan'
+      });
+    }
+  }
+
+  /**
+   * Approve a plan or request changes (manager or HR, never the employee)
+   * POST /api/development-plans/:planId/review
+   * Body: { decision: 'APPROVE' | 'REQUEST_CHANGES', comment? }
+   */
+  async reviewPlan(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res, { include: {} });
+      if (!loaded) return;
+      const { plan, accessRole } = loaded;
+      const { decision, comment } = req.body;
+
+      if (accessRole === 'EMPLOYEE') {
+        return res.status(403).json({ success: false, error: 'Employees cannot approve their own plan' });
+      }
+      if (plan.status !== 'PENDING_APPROVAL') {
+        return res.status(409).json({ success: false, error: 'Plan is not pending approval' });
+      }
+      if (!['APPROVE', 'REQUEST_CHANGES'].includes(decision)) {
+        return res.status(400).json({ success: false, error: 'decision must be APPROVE or REQUEST_CHANGES' });
+      }
+      if (decision === 'REQUEST_CHANGES' && !comment) {
+        return res.status(400).json({ success: false, error: 'comment is required when requesting changes' });
+      }
+
+      const approved = decision === 'APPROVE';
+      await prisma.development_plans.update({
+        where: { id: plan.id },
+        data: {
+          status: approved ? 'ACTIVE' : 'CHANGES_REQUESTED',
+          reviewed_at: new Date(),
+          reviewed_by: String(req.user.id),
+          review_comment: comment || null,
+          ...(approved && !plan.start_date && { start_date: new Date() }),
+          updated_at: new Date()
+        }
+      });
+
+      if (approved) {
+        await DevelopmentPlanService.syncEmployeeProgress(plan.employee_id, { planId: plan.id });
+      }
+
+      const updated = await prisma.development_plans.findUnique({
+        where: { id: plan.id },
+        include: planInclude
+      });
+
+      res.json({
+        success: true,
+        data: updated,
+        message: approved ? 'Development plan approved' : 'Changes requested'
+      });
+    } catch (error) {
+      console.error('Error reviewing development plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to review development plan'
+      });
+    }
+  }
+
+  /**
+   * Add a goal
+   * POST /api/development-plans/:planId/goals
+   */
+  async addGoal(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res);
+      if (!loaded) return;
+      const { plan, accessRole } = loaded;
+
+      if (!this.canEditGoals(plan, accessRole)) {
+        return res.status(409).json({ success: false, error: `Goals cannot be changed in status ${plan.status}` });
+      }
+
+      const { errors, data, milestones } = DevelopmentPlanService.validateGoalInput(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid goal', details: errors });
+      }
+
+      const goal = await prisma.development_plan_goals.create({
+        data: {
+          ...data,
+          plan_id: plan.id,
+          order_index: plan.development_plan_goals.length,
+          development_plan_milestones: { create: milestones }
+        }
+      });
+
+      await this.refreshProgress(plan.id);
+
+      res.status(201).json({
+        success: true,
+        data: await prisma.development_plan_goals.findUnique({
+          where: { id: goal.id },
+          include: { development_plan_milestones: { orderBy: { order_index: 'asc' } } }
+        }),
+        message: 'Goal added successfully'
+      });
+    } catch (error) {
+      console.error('Error adding development goal:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add goal'
+      });
+    }
+  }
+
+  /**
+   * Update a goal
+   * PUT /api/development-plans/:planId/goals/:goalId
+   */
+  async updateGoal(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res);
+      if (!loaded) return;
+      const { plan, accessRole } = loaded;
+
+      const goal = plan.development_plan_goals.find(g => g.id === req.params.goalId);
+      if (!goal) {
+        return res.status(404).json({ success: false, error: 'Goal not found' });
+      }
+      if (!this.canEditGoals(plan, accessRole)) {
+        return res.status(409).json({ success: false, error: `Goals cannot be changed in status ${plan.status}` });
+      }
+
+      const { errors, data } = DevelopmentPlanService.validateGoalInput(req.body, { partial: true });
+      if ((data.skill_id ?? goal.skill_id) && (data.soft_skill_id ?? goal.soft_skill_id)) {
+        errors.push('A goal can be linked to a skill or a soft skill, not both');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid goal', details: errors });
+      }
+
+      await prisma.development_plan_goals.update({
+        where: { id: goal.id },
+        data: { ...data, updated_at: new Date() }
+      });
+
+      await this.refreshProgress(plan.id);
+
+      res.json({
+        success: true,
+        data: await prisma.development_plan_goals.findUnique({
+          where: { id: goal.id },
+          include: { development_plan_milestones: { orderBy: { order_index: 'asc' } } }
+        }),
+        message: 'Goal updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating development goal:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update goal'
+      });
+    }
+  }
+
+  /**
+   * Remove a goal (cancelled instead of deleted on approved plans)
+   * DELETE /api/development-plans/:planId/goals/:goalId
+   */
+  async deleteGoal(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res);
+      if (!loaded) return;
+      const { plan, accessRole } = loaded;
+
+      const goal = plan.development_plan_goals.find(g => g.id === req.params.goalId);
+      if (!goal) {
+        return res.status(404).json({ success: false, error: 'Goal not found' });
+      }
+      if (!this.canEditGoals(plan, accessRole)) {
+        return res.status(409).json({ success: false, error: `Goals cannot be changed in status ${plan.status}` });
+      }
+
+      if (plan.status === 'ACTIVE') {
+        await prisma.development_plan_goals.update({
+          where: { id: goal.id },
+          data: { status: 'CANCELLED', updated_at: new Date() }
+        });
+      } else {
+        await prisma.development_plan_goals.delete({ where: { id: goal.id } });
+      }
+
+      await this.refreshProgress(plan.id);
+
+      res.json({
+        success: true,
+        message: plan.status === 'ACTIVE' ? 'Goal cancelled' : 'Goal deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting development goal:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete goal'
+      });
+    }
+  }
+
+  /**
+   * Add a milestone to a goal
+   * POST /api/development-plans/:planId/goals/:goalId/milestones
+   * Body: { title, due_date? }
+   */
+  async addMilestone(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res);
+      if (!loaded) return;
+      const { plan, accessRole } = loaded;
+
+      const goal = plan.development_plan_goals.find(g => g.id === req.params.goalId);
+      if (!goal) {
+        return res.status(404).json({ success: false, error: 'Goal not found' });
+      }
+      if (!this.canEditGoals(plan, accessRole)) {
+        return res.status(409).json({ success: false, error: `Goals cannot be changed in status ${plan.status}` });
+      }
+
+      const { errors, milestones } = DevelopmentPlanService.validateGoalInput(
+        { milestones: [req.body] },
+        { partial: true }
+      );
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid milestone', details: errors });
+      }
+
+      const milestone = await prisma.development_plan_milestones.create({
+        data: {
+          ...milestones[0],
+          goal_id: goal.id,
+          order_index: goal.development_plan_milestones.length
+        }
+      });
+
+      await this.refreshProgress(plan.id);
+
+      res.status(201).json({
+        success: true,
+        data: milestone,
+        message: 'Milestone added successfully'
+      });
+    } catch (error) {
+      console.error('Error adding milestone:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add milestone'
+      });
+    }
+  }
+
+  /**
+   * Complete / reopen a milestone
+   * PATCH /api/development-plans/:planId/milestones/:milestoneId
+   * Body: { completed: boolean }
+   */
+  async updateMilestone(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res);
+      if (!loaded) return;
+      const { plan } = loaded;
+
+      const milestone = plan.development_plan_goals
+        .flatMap(g => g.development_plan_milestones)
+        .find(m => m.id === req.params.milestoneId);
+      if (!milestone) {
+        return res.status(404).json({ success: false, error: 'Milestone not found' });
+      }
+      if (plan.status !== 'ACTIVE') {
+        return res.status(409).json({ success: false, error: 'Milestones can only be completed on active plans' });
+      }
+      if (typeof req.body.completed !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'completed must be a boolean' });
+      }
+
+      const updated = await prisma.development_plan_milestones.update({
+        where: { id: milestone.id },
+        data: {
+          completed_at: req.body.completed ? (milestone.completed_at || new Date()) : null,
+          completed_by: req.body.completed ? String(req.user.id) : null,
+          updated_at: new Date()
+        }
+      });
+
+      await this.refreshProgress(plan.id);
+
+      res.json({
+        success: true,
+        data: updated
+      });
+    } catch (error) {
+      console.error('Error updating milestone:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update milestone'
+      });
+    }
+  }
+
+  /**
+   * Record a check-in
+   * POST /api/development-plans/:planId/check-ins
+   * Body: { comment, next_checkin_date? }
+   */
+  async addCheckIn(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res, { include: {} });
+      if (!loaded) return;
+      const { plan, accessRole } = loaded;
+      const { comment, next_checkin_date } = req.body;
+
+      if (plan.status === 'CANCELLED') {
+        return res.status(409).json({ success: false, error: 'Plan is cancelled' });
+      }
+      if (!comment || !String(comment).trim()) {
+        return res.status(400).json({ success: false, error: 'comment is required' });
+      }
+      if (next_checkin_date && isNaN(new Date(next_checkin_date))) {
+        return res.status(400).json({ success: false, error: 'next_checkin_date must be a valid date' });
+      }
+
+      const checkIn = await prisma.development_plan_checkins.create({
+        data: {
+          plan_id: plan.id,
+          author_id: String(req.user.id),
+          author_role: accessRole,
+          comment: String(comment).trim(),
+          progress_snapshot: plan.progress,
+          next_checkin_date: next_checkin_date ? new Date(next_checkin_date) : null
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: checkIn
+      });
+    } catch (error) {
+      console.error('Error recording check-in:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to record check-in'
+      });
+    }
+  }
+
+  /**
+   * Refresh progress from the latest assessments and certifications
+   * POST /api/development-plans/:planId/sync
+   */
+  async syncProgress(req, res) {
+    try {
+      const loaded = await this.loadPlan(req, res, { include: {} });
+      if (!loaded) return;
+      const { plan } = loaded;
+
+      if (plan.status !== 'ACTIVE') {
+        return res.status(409).json({ success: false, error: 'Only active plans are synchronized' });
+      }
+
+      const [result] = await DevelopmentPlanService.syncEmployeeProgress(plan.employee_id, { planId: plan.id });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error syncing development plan progress:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to sync development plan progress'
+      });
+    }
+  }
+}
+
+module.exports = new DevelopmentPlanController();
@@ -4,7 +4,12 @@
  * @description Handles employee engagement assignment operations
  */
 
+const { randomUUID } = require('crypto');
 const prisma = require('../../config/database');
+const EngagementAnonymityService = require('../../services/engagementAnonymityService');
+const { COMMENT_QUESTION_TYPES } = require('../../services/engagementCommentInsightsService');
+const EngagementDriverService = require('../../services/engagementDriverService');
+const EngagementPulseService = require('../../services/engagementPulseService');
 
 /**
  * Helper function to get employee.id from tenant_users.id
@@ -102,6 +107,13 @@ const getMyEngagementAssignments = async (req, res) => {
 
     console.log(`Found ${assignments.length} engagement assignments for employee:`, employeeId);
 
+    // Pulse campaigns: only the questions sampled for the assignment
+    const questionsOf = (assignment) => {
+      const questions = assignment.campaign.template.questions;
+      if (!Array.isArray(assignment.question_ids)) return questions;
+      return questions.filter(q => assignment.question_ids.includes(q.id));
+    };
+
     // Map to frontend-expected format
     const formattedAssignments = assignments.map(assignment => ({
       id: assignment.id,
@@ -118,6 +130,7 @@ const getMyEngagementAssignments = async (req, res) => {
         start_date: assignment.campaign.start_date,
         end_date: assignment.campaign.end_date,
         frequency: assignment.campaign.frequency,
+        pulse: !!assignment.campaign.pulse_config,
         template_id: assignment.campaign.template_id,
         template: assignment.campaign.template ? {
           id: assignment.campaign.template.id,
@@ -125,7 +138,7 @@ const getMyEngagementAssignments = async (req, res) => {
           description: assignment.campaign.template.description,
           engagement_type: assignment.campaign.template.type,
           frequency: assignment.campaign.template.suggested_frequency,
-          questions: assignment.campaign.template.questions.map(q => ({
+          questions: questionsOf(assignment).map(q => ({
             id: q.id,
             question_text: q.question_text,
             question_type: q.question_type,
@@ -259,18 +272,41 @@ const submitEngagementResponse = async (req, res) => {
 
     // Start transaction to save responses and update assignment
     const result = await prisma.$transaction(async (prisma) => {
-      // 1. Save each response
-      if (responses && Array.isArray(responses)) {
-        for (const question of responses) {
+      // 1. Mark assignment as completed (conditional: anonymous responses
+      // cannot be matched to it afterwards, so a second submission is refused here)
+      const { count } = await prisma.engagement_campaign_assignments.updateMany({
+        where: {
+          id: id,
+          status: {
+            in: ['ASSIGNED', 'IN_PROGRESS']
+          }
+        },
+        data: {
+          status: 'COMPLETED',
+          completed_at: new Date(),
+          completion_rate: 100
+        }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      // Anonymous campaigns: no user, the answers only share a submission id
+      const author = EngagementAnonymityService.responseAuthor(assignment.campaign, userId, randomUUID());
+
+      // 2. Save each response (pulse campaigns: only the sampled questions)
+      const answers = EngagementPulseService.filterResponses(assignment, responses);
+      if (answers && Array.isArray(answers)) {
+        for (const question of answers) {
           if (question.type === 'likert' && question.answer !== null) {
             // Save Likert scale response
             await prisma.engagement_responses.create({
               data: {
                 campaign_id: assignment.campaign_id,
-                user_id: userId, // tenant_users.id (String)
+                ...author,
                 question_id: question.id,
-                response_value: question.answer,
-                responded_at: new Date()
+                response_value: question.answer
               }
             });
           } else if (question.type === 'chips' && question.answer && question.answer.length > 0) {
@@ -278,29 +314,48 @@ const submitEngagementResponse = async (req, res) => {
             await prisma.engagement_responses.create({
               data: {
                 campaign_id: assignment.campaign_id,
-                user_id: userId,
+                ...author,
                 question_id: question.id,
-                response_text: question.answer.join(', '),
-                responded_at: new Date()
+                response_text: question.answer.join(', ')
+              }
+            });
+          } else if (question.type === 'enps' && EngagementDriverService.parseEnpsAnswer(question.answer) !== null) {
+            // Save eNPS answer (0-10)
+            await prisma.engagement_responses.create({
+              data: {
+                campaign_id: assignment.campaign_id,
+                ...author,
+                question_id: question.id,
+                response_value: EngagementDriverService.parseEnpsAnswer(question.answer)
+              }
+            });
+          } else if (COMMENT_QUESTION_TYPES.includes(String(question.type).toUpperCase()) &&
+            typeof question.answer === 'string' && question.answer.trim()) {
+            // Save open-text comment
+            await prisma.engagement_responses.create({
+              data: {
+                campaign_id: assignment.campaign_id,
+                ...author,
+                question_id: question.id,
+                response_text: question.answer.trim()
               }
             });
           }
         }
       }
 
-      // 2. Mark assignment as completed
-      const updated = await prisma.engagement_campaign_assignments.update({
-        where: { id: id },
-        data: {
-          status: 'COMPLETED',
-          completed_at: new Date(),
-          completion_rate: 100
-        }
+      return prisma.engagement_campaign_assignments.findUnique({
+        where: { id: id }
       });
-
-      return updated;
     });
 
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'Assignment already completed'
+      });
+    }
+
     res.json({
       success: true,
       data: result,
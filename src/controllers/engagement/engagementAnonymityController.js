@@ -0,0 +1,80 @@
+/**
+ * Engagement Anonymity Controller
+ * @module controllers/engagement/engagementAnonymityController
+ * @created 2026-10-19
+ * @description Minimum group size of the engagement analytics of a tenant
+ */
+
+const EngagementAnonymityService = require('../../services/engagementAnonymityService');
+const AuditLogService = require('../../services/auditLogService');
+
+const { EngagementAnonymityError, MIN_GROUP_SIZE_FLOOR } = EngagementAnonymityService;
+
+const getTenantId = (req) => req.user.tenantId || req.user.tenant_id;
+
+/**
+ * Get the anonymity settings
+ * @route GET /api/engagement/anonymity-settings
+ */
+const getAnonymitySettings = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        minGroupSize: await EngagementAnonymityService.getMinGroupSize(getTenantId(req)),
+        minAllowed: MIN_GROUP_SIZE_FLOOR
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching anonymity settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch anonymity settings'
+    });
+  }
+};
+
+/**
+ * Update the minimum group size
+ * @route PUT /api/engagement/anonymity-settings
+ */
+const updateAnonymitySettings = async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+
+    const previous = await EngagementAnonymityService.getMinGroupSize(tenantId);
+    const minGroupSize = await EngagementAnonymityService.setMinGroupSize(tenantId, req.body.minGroupSize);
+
+    await AuditLogService.record(req, {
+      action: AuditLogService.AUDIT_ACTIONS.UPDATE,
+      entity: AuditLogService.AUDIT_ENTITIES.TENANT,
+      entityId: tenantId,
+      before: { engagement_min_group_size: previous },
+      after: { engagement_min_group_size: minGroupSize }
+    });
+
+    res.json({
+      success: true,
+      data: { minGroupSize, minAllowed: MIN_GROUP_SIZE_FLOOR },
+      message: 'Anonymity settings updated'
+    });
+  } catch (error) {
+    if (error instanceof EngagementAnonymityError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error updating anonymity settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update anonymity settings'
+    });
+  }
+};
+
+module.exports = {
+  getAnonymitySettings,
+  updateAnonymitySettings
+};
@@ -8,6 +8,22 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const logger = require('../../utils/logger');
+const CampaignRecurrenceService = require('../../services/campaignRecurrenceService');
+const CampaignReminderService = require('../../services/campaignReminderService');
+const NotificationOutboxService = require('../../services/notifications/outboxService');
+const WebhookService = require('../../services/webhooks/webhookService');
+const AuditLogService = require('../../services/auditLogService');
+const EngagementCommentInsightsService = require('../../services/engagementCommentInsightsService');
+const EngagementDriverService = require('../../services/engagementDriverService');
+const EngagementHeatmapService = require('../../services/engagementHeatmapService');
+const EngagementPulseService = require('../../services/engagementPulseService');
+
+// Campaign fields recorded in the audit trail
+const CAMPAIGN_AUDIT_FIELDS = [
+  'name', 'description', 'template_id', 'status', 'start_date', 'end_date', 'frequency',
+  'recurring_config', 'target_audience', 'anonymous_responses', 'reminder_settings',
+  'pulse_config', 'assigned_employees'
+];
 
 /**
  * Check for employee conflicts with existing campaigns
@@ -192,6 +208,7 @@ const getCampaignById = async (req, res) => {
         responses: {
           select: {
             user_id: true,
+            submission_id: true,
             responded_at: true
           }
         }
@@ -252,24 +269,47 @@ const createCampaign = async (req, res) => {
       templateId,
       name,
       description,
-      employeeIds,
       startDate,
       endDate,
       frequency,
+      recurringConfig,
+      audienceRules,
       reminderSettings,
       notifyManagers,
       anonymousResponses,
-      customMessage
+      customMessage,
+      pulse
     } = req.body;
+    let { employeeIds } = req.body;
 
     // Validation
-    if (!templateId || !employeeIds || employeeIds.length === 0) {
+    if (!templateId || ((!employeeIds || employeeIds.length === 0) && !audienceRules)) {
       return res.status(400).json({
         success: false,
-        error: 'Template ID and employee IDs are required'
+        error: 'Template ID and employee IDs (or audience rules) are required'
       });
     }
 
+    const recurrence = CampaignRecurrenceService.validateRecurrenceInput({ frequency, recurringConfig, audienceRules });
+    if (recurrence.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid recurrence settings',
+        details: recurrence.errors
+      });
+    }
+
+    // Audience rules are resolved now and again for every recurring occurrence
+    if (recurrence.audienceRules) {
+      employeeIds = await CampaignRecurrenceService.resolveAudience(tenantId, { rules: recurrence.audienceRules });
+      if (employeeIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No active employees match the audience rules'
+        });
+      }
+    }
+
     if (!startDate || !endDate) {
       return res.status(400).json({
         success: false,
@@ -316,6 +356,20 @@ const createCampaign = async (req, res) => {
       });
     }
 
+    // Pulse mode: every employee gets a rotating sample of the template
+    const pulseInput = EngagementPulseService.validatePulseInput(
+      pulse,
+      frequency,
+      pulse ? await EngagementPulseService.loadQuestions(templateId) : []
+    );
+    if (pulseInput.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pulse settings',
+        details: pulseInput.errors
+      });
+    }
+
     // Check for conflicts with existing campaigns for each employee
     const conflictCheck = await checkEmployeeConflicts(employeeIds, start, end, tenantId);
 
@@ -328,11 +382,7 @@ const createCampaign = async (req, res) => {
     }
 
     // Create target audience JSON
-    const targetAudience = {
-      employeeIds: employeeIds,
-      totalCount: employeeIds.length,
-      selectedAt: new Date()
-    };
+    const targetAudience = CampaignRecurrenceService.buildTargetAudience(employeeIds, recurrence.audienceRules);
 
     // Create reminder settings JSON
     const reminderConfig = reminderSettings || {
@@ -358,26 +408,41 @@ const createCampaign = async (req, res) => {
           end_date: end,
           status: 'PLANNED',
           frequency: frequency || 'once',
+          recurring_config: recurrence.recurringConfig ?? undefined,
           target_audience: targetAudience,
           anonymous_responses: anonymousResponses || false,
           reminder_settings: reminderConfig,
+          pulse_config: pulseInput.pulseConfig ?? undefined,
           created_by: String(userId)
         }
       });
 
+      const samples = await EngagementPulseService.sampleAssignments(campaign, employeeIds.map(id => parseInt(id)));
+
       // Create assignments for each employee (now using Integer employee IDs)
       const assignments = await tx.engagement_campaign_assignments.createMany({
         data: employeeIds.map(employeeId => ({
           campaign_id: campaign.id,
           employee_id: parseInt(employeeId), // Ensure it's an integer
           assigned_by: String(userId),
-          status: 'ASSIGNED'
+          status: 'ASSIGNED',
+          question_ids: samples?.get(parseInt(employeeId)) ?? undefined
         }))
       });
 
       return { campaign, assignmentCount: assignments.count };
     });
 
+    await AuditLogService.record(req, {
+      action: AuditLogService.AUDIT_ACTIONS.CREATE,
+      entity: AuditLogService.AUDIT_ENTITIES.ENGAGEMENT_CAMPAIGN,
+      entityId: result.campaign.id,
+      after: AuditLogService.snapshot(
+        { ...result.campaign, assigned_employees: result.assignmentCount },
+        CAMPAIGN_AUDIT_FIELDS
+      )
+    });
+
     logger.info('Created engagement campaign with assignments', {
       campaignId: result.campaign.id,
       templateId,
@@ -455,6 +520,19 @@ const updateCampaignStatus = async (req, res) => {
 
     logger.info('Updated campaign status', { campaignId: id, status });
 
+    await AuditLogService.record(req, {
+      action: AuditLogService.AUDIT_ACTIONS.UPDATE,
+      entity: AuditLogService.AUDIT_ENTITIES.ENGAGEMENT_CAMPAIGN,
+      entityId: id,
+      before: AuditLogService.snapshot(existing, CAMPAIGN_AUDIT_FIELDS),
+      after: AuditLogService.snapshot(updated, CAMPAIGN_AUDIT_FIELDS)
+    });
+
+    if (status === 'COMPLETED' && existing.status !== 'COMPLETED') {
+      WebhookService.emit(tenantId, WebhookService.WEBHOOK_EVENTS.CAMPAIGN_COMPLETED,
+        WebhookService.campaignCompletedData('ENGAGEMENT', updated, 'manual'));
+    }
+
     res.json({
       success: true,
       data: updated,
@@ -553,6 +631,16 @@ const deleteCampaign = async (req, res) => {
 
     logger.info('Deleted campaign and assignments', { campaignId: id });
 
+    await AuditLogService.record(req, {
+      action: AuditLogService.AUDIT_ACTIONS.DELETE,
+      entity: AuditLogService.AUDIT_ENTITIES.ENGAGEMENT_CAMPAIGN,
+      entityId: id,
+      before: AuditLogService.snapshot(
+        { ...campaign, assigned_employees: campaign._count.assignments },
+        CAMPAIGN_AUDIT_FIELDS
+      )
+    });
+
     res.json({
       success: true,
       message: 'Campaign deleted successfully'
@@ -605,23 +693,34 @@ const sendNotifications = async (req, res) => {
       });
     }
 
-    // TODO: Implement actual notification sending
-    // This would integrate with email service, in-app notifications, etc.
+    const deadline = campaign.end_date.toLocaleDateString('it-IT');
+    const queued = await NotificationOutboxService.enqueue({
+      tenantId,
+      eventType: type === 'initial' ? 'CAMPAIGN_LAUNCHED' : 'CAMPAIGN_REMINDER',
+      title: type === 'initial'
+        ? `Nuova survey: ${campaign.name}`
+        : `Promemoria: ${campaign.name}`,
+      message: `Completa la survey "${campaign.name}" entro il ${deadline}.`,
+      data: { campaignType: 'ENGAGEMENT', campaignId: id, deadline: campaign.end_date },
+      recipients: employeeIds.map(employeeId => ({ employeeId: parseInt(employeeId) }))
+    });
 
-    logger.info('Sending notifications for campaign', {
+    logger.info('Queued notifications for campaign', {
       campaignId: id,
       type,
-      employeeCount: employeeIds.length
+      employeeCount: employeeIds.length,
+      queued
     });
 
     res.json({
       success: true,
-      message: `Notifications sent to ${employeeIds.length} employees`,
+      message: `Notifications queued for ${employeeIds.length} employees`,
       data: {
         campaignId: id,
         notificationType: type,
         recipientCount: employeeIds.length,
-        sentAt: new Date()
+        queuedCount: queued,
+        queuedAt: new Date()
       }
     });
   } catch (error) {
@@ -651,6 +750,7 @@ const getCampaignStats = async (req, res) => {
         responses: {
           select: {
             user_id: true,
+            submission_id: true,
             responded_at: true
           }
         }
@@ -668,7 +768,8 @@ const getCampaignStats = async (req, res) => {
     const targetAudience = campaign.target_audience;
     const targetCount = targetAudience?.employeeIds?.length || 0;
     const responseCount = campaign.responses.length;
-    const uniqueRespondents = [...new Set(campaign.responses.map(r => r.user_id))].length;
+    // Anonymous responses have no user, only the id of their submission
+    const uniqueRespondents = [...new Set(campaign.responses.map(r => r.user_id || r.submission_id))].length;
 
     // Get response distribution over time
     const responsesByDate = campaign.responses.reduce((acc, response) => {
@@ -703,6 +804,229 @@ const getCampaignStats = async (req, res) => {
   }
 };
 
+/**
+ * Get the trend of the recurring series a campaign belongs to
+ * @route GET /api/engagement/campaigns/:id/series
+ */
+const getCampaignSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tenantId = req.user.tenantId || req.user.tenant_id;
+
+    const series = await CampaignRecurrenceService.getSeriesTrend('engagement', tenantId, id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    logger.error('Error fetching campaign series', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign series'
+    });
+  }
+};
+
+/**
+ * Get the reminders and escalations sent for a campaign
+ * @route GET /api/engagement/campaigns/:id/reminders?assignmentId=
+ */
+const getCampaignReminders = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tenantId = req.user.tenantId || req.user.tenant_id;
+
+    const log = await CampaignReminderService.getCampaignLog('engagement', tenantId, id, {
+      assignmentId: req.query.assignmentId
+    });
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: log,
+      count: log.length
+    });
+  } catch (error) {
+    logger.error('Error fetching campaign reminders', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign reminders'
+    });
+  }
+};
+
+/**
+ * Get the analysis of the open-text comments of a campaign
+ * @route GET /api/engagement/campaigns/:id/comments-insights?refresh=true
+ */
+const getCampaignCommentInsights = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tenantId = req.user.tenantId || req.user.tenant_id;
+
+    const insights = await EngagementCommentInsightsService.getInsights(tenantId, id, {
+      userId: req.user.id,
+      refresh: req.query.refresh === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: insights
+    });
+  } catch (error) {
+    if (error instanceof EngagementCommentInsightsService.CommentInsightsError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    logger.error('Error analysing campaign comments', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyse campaign comments'
+    });
+  }
+};
+
+/**
+ * Get eNPS and key drivers of engagement_index, overall and by segment
+ * @route GET /api/engagement/campaigns/:id/drivers
+ * @query segmentBy - comma separated among department, office, role (default all;
+ *   department only for anonymous campaigns)
+ */
+const getCampaignDrivers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tenantId = req.user.tenantId || req.user.tenant_id;
+    const segmentBy = req.query.segmentBy
+      ? String(req.query.segmentBy).split(',').map(s => s.trim()).filter(Boolean)
+      : undefined;
+
+    const analysis = await EngagementDriverService.analyseCampaign(tenantId, id, { segmentBy });
+
+    res.json({
+      success: true,
+      data: analysis
+    });
+  } catch (error) {
+    if (error instanceof EngagementDriverService.EngagementDriverError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    logger.error('Error analysing campaign drivers', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyse campaign drivers'
+    });
+  }
+};
+
+/**
+ * Get the heatmap of a campaign: units x areas, with deltas vs tenant and previous campaign
+ * @route GET /api/engagement/campaigns/:id/heatmap
+ * @query groupBy - comma separated among department, office, role, manager (default department, office,
+ *   manager; department only for anonymous campaigns)
+ * @query format - csv or xlsx to download it
+ */
+const getCampaignHeatmap = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tenantId = req.user.tenantId || req.user.tenant_id;
+    const { format } = req.query;
+    const groupBy = req.query.groupBy
+      ? String(req.query.groupBy).split(',').map(s => s.trim()).filter(Boolean)
+      : undefined;
+
+    if (format && !EngagementHeatmapService.EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be ${EngagementHeatmapService.EXPORT_FORMATS.join(' or ')}`
+      });
+    }
+
+    const heatmap = await EngagementHeatmapService.getHeatmap(tenantId, id, { groupBy });
+
+    if (format) {
+      const filename = `engagement-heatmap_${id}_${new Date().toISOString().split('T')[0]}`;
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+        return res.send(EngagementHeatmapService.toCsv(heatmap));
+      }
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.xlsx`);
+      return res.send(await EngagementHeatmapService.toXlsx(heatmap));
+    }
+
+    res.json({
+      success: true,
+      data: heatmap
+    });
+  } catch (error) {
+    if (error instanceof EngagementHeatmapService.EngagementHeatmapError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    logger.error('Error building campaign heatmap', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build campaign heatmap'
+    });
+  }
+};
+
+/**
+ * Get the area scores of a pulse campaign, reconstructed over its last cycle, with confidence
+ * @route GET /api/engagement/campaigns/:id/pulse-scores
+ */
+const getCampaignPulseScores = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tenantId = req.user.tenantId || req.user.tenant_id;
+
+    const scores = await EngagementPulseService.getPulseScores(tenantId, id);
+
+    res.json({
+      success: true,
+      data: scores
+    });
+  } catch (error) {
+    if (error instanceof EngagementPulseService.EngagementPulseError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    logger.error('Error computing pulse scores', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute pulse scores'
+    });
+  }
+};
+
 module.exports = {
   getCampaigns,
   getCampaignById,
@@ -711,5 +1035,11 @@ module.exports = {
   deleteCampaign,
   sendNotifications,
   getCampaignStats,
+  getCampaignSeries,
+  getCampaignReminders,
+  getCampaignCommentInsights,
+  getCampaignDrivers,
+  getCampaignHeatmap,
+  getCampaignPulseScores,
   checkEmployeeConflicts  // Export the function for use in routes
 };
\ No newline at end of file
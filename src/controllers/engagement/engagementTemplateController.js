@@ -321,8 +321,9 @@ const createTemplate = async (req, res) => {
             metadata: {
               area: q.area,
               weight: q.weight || 1.0,
-              scaleMin: q.scaleMin || 1,
-              scaleMax: q.scaleMax || 5,
+              // eNPS questions are always answered on 0-10
+              scaleMin: q.type === 'ENPS' ? 0 : (q.scaleMin || 1),
+              scaleMax: q.type === 'ENPS' ? 10 : (q.scaleMax || 5),
               code: q.code,
               source: q.source || 'AI_GENERATED'
             },
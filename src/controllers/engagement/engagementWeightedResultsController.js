@@ -4,7 +4,13 @@
  * @description Handles engagement results with weighted scoring
  */
 
+const { Prisma } = require('@prisma/client');
 const prisma = require('../../config/database');
+const EngagementAnonymityService = require('../../services/engagementAnonymityService');
+const EngagementDriverService = require('../../services/engagementDriverService');
+const EngagementPulseService = require('../../services/engagementPulseService');
+
+const { ENPS_QUESTION_TYPE } = EngagementDriverService;
 
 /**
  * Helper function to get employee.id from tenant_users.id
@@ -35,6 +41,14 @@ const calculateWeightedScores = async (responses, templateId) => {
     where: { template_id: templateId }
   });
 
+  // The eNPS question (0-10) is the outcome, not an area
+  const enpsQuestions = await prisma.engagement_questions.findMany({
+    where: { template_id: templateId, question_type: ENPS_QUESTION_TYPE },
+    select: { id: true }
+  });
+  const enpsQuestionIds = new Set(enpsQuestions.map(q => q.id));
+  let enpsScore = null;
+
   // Create weight map for quick lookup
   const weightMap = {};
   weights.forEach(w => {
@@ -53,6 +67,11 @@ const calculateWeightedScores = async (responses, templateId) => {
   let totalWeight = 0;
 
   for (const response of responses) {
+    if (enpsQuestionIds.has(response.question_id)) {
+      enpsScore = EngagementDriverService.parseEnpsAnswer(response.answer ?? response.value);
+      continue;
+    }
+
     const questionWeight = weightMap[response.question_id] || {
       area: 'GENERAL',
       weight: 1.0,
@@ -106,7 +125,8 @@ const calculateWeightedScores = async (responses, templateId) => {
   return {
     weighted_scores: weightedScores,
     area_scores: finalAreaScores,
-    overall_score: Math.round(overallScore * 100) / 100
+    overall_score: Math.round(overallScore * 100) / 100,
+    enps_score: enpsScore
   };
 };
 
@@ -116,7 +136,6 @@ const calculateWeightedScores = async (responses, templateId) => {
 const submitWeightedEngagement = async (req, res) => {
   try {
     const { id } = req.params; // assignment_id
-    const { responses } = req.body;
     const tenantUserId = String(req.user.id);
     const tenantId = req.user.tenant_id || req.user.tenantId;
 
@@ -154,8 +173,22 @@ const submitWeightedEngagement = async (req, res) => {
       });
     }
 
+    // Pulse campaigns: only the answers to the sampled questions are scored
+    const responses = EngagementPulseService.filterResponses(assignment, req.body.responses);
+    const questionCount = Array.isArray(assignment.question_ids)
+      ? assignment.question_ids.length
+      : assignment.campaign.template.questions?.length;
+
     // Calculate weighted scores
     const scores = await calculateWeightedScores(responses, assignment.campaign.template_id);
+    const engagementIndex = EngagementDriverService.engagementIndex(scores.overall_score, scores.enps_score);
+
+    // Department, office, role and manager at submission; anonymous campaigns
+    // keep the department only, reported from the minimum group size
+    const segments = EngagementAnonymityService.resultSegments(
+      assignment.campaign,
+      await EngagementDriverService.getSegments(employeeId)
+    );
 
     // Calculate percentile (within campaign)
     const campaignResults = await prisma.engagement_results.findMany({
@@ -163,8 +196,15 @@ const submitWeightedEngagement = async (req, res) => {
       select: { overall_score: true }
     });
 
+    // For anonymous campaigns the percentile of one of the first respondents
+    // tells how the others answered
+    const anonymous = EngagementAnonymityService.isAnonymous(assignment.campaign);
+    const minGroupSize = anonymous ? await EngagementAnonymityService.getMinGroupSize(tenantId) : 0;
+
     let percentile = 100;
-    if (campaignResults.length > 0) {
+    if (anonymous && campaignResults.length < minGroupSize) {
+      percentile = null;
+    } else if (campaignResults.length > 0) {
       const lowerScores = campaignResults.filter(r => r.overall_score < scores.overall_score).length;
       percentile = (lowerScores / campaignResults.length) * 100;
     }
@@ -190,38 +230,39 @@ const submitWeightedEngagement = async (req, res) => {
 
     // Create engagement result
     const result = await prisma.$transaction(async (prisma) => {
-      // 1. Create engagement_results record
+      // 1. Complete the assignment first: anonymous results cannot be
+      // matched to it afterwards, so a second submission must be refused here
+      const { count } = await prisma.engagement_campaign_assignments.updateMany({
+        where: { id: assignment.id, status: { in: ['ASSIGNED', 'IN_PROGRESS'] } },
+        data: {
+          status: 'COMPLETED',
+          completed_at: new Date(),
+          completion_rate: 100,
+          // The sample is not needed anymore and must not be matched with the answers
+          ...(anonymous && { question_ids: Prisma.DbNull })
+        }
+      });
+      if (count === 0) return null;
+
+      // 2. Create engagement_results record
       const engagementResult = await prisma.engagement_results.create({
         data: {
           campaign_id: assignment.campaign_id,
-          assignment_id: assignment.id,
-          employee_id: employeeId,
-          tenant_user_id: tenantUserId,
+          ...EngagementAnonymityService.resultAuthor(assignment, { employeeId, tenantUserId }),
           template_id: assignment.campaign.template_id,
           responses: responses,
           weighted_scores: scores.weighted_scores,
           area_scores: scores.area_scores,
           overall_score: scores.overall_score,
+          engagement_index: engagementIndex,
+          enps_score: scores.enps_score,
+          ...segments,
           percentile: percentile,
           strengths: strengths,
           improvements: improvements,
           sentiment: sentiment,
-          completed_at: new Date(),
-          started_at: assignment.started_at || assignment.assigned_at,
-          time_taken: assignment.started_at ?
-            Math.floor((Date.now() - new Date(assignment.started_at).getTime()) / 1000) : null,
           attempt_number: 1,
-          completion_rate: (responses.length / (assignment.campaign.template.questions?.length || 1)) * 100
-        }
-      });
-
-      // 2. Update assignment status
-      await prisma.engagement_campaign_assignments.update({
-        where: { id: assignment.id },
-        data: {
-          status: 'COMPLETED',
-          completed_at: new Date(),
-          completion_rate: 100
+          completion_rate: (responses.length / (questionCount || 1)) * 100
         }
       });
 
@@ -234,11 +275,20 @@ const submitWeightedEngagement = async (req, res) => {
       return engagementResult;
     });
 
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'Assignment already completed'
+      });
+    }
+
     res.json({
       success: true,
       data: {
         id: result.id,
         overall_score: result.overall_score,
+        engagement_index: result.engagement_index,
+        enps_score: result.enps_score,
         area_scores: result.area_scores,
         percentile: result.percentile,
         strengths: result.strengths,
@@ -0,0 +1,266 @@
+/**
+ * Entitlement Controller
+ * @module controllers/entitlementController
+ * @created 2026-10-19
+ *
+ * Feature entitlements of the current tenant, and super-admin management of
+ * tenant plans and feature overrides.
+ */
+
+const prisma = require('../config/database');
+const EntitlementService = require('../services/entitlementService');
+const AuditLogService = require('../services/auditLogService');
+const { FEATURES, PLANS, PLAN_ENTITLEMENTS } = require('../constants/plans');
+
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+class EntitlementController {
+  /**
+   * Entitlements and current usage of a tenant
+   */
+  async buildSummary(tenantId) {
+    const [entitlements, usage] = await Promise.all([
+      EntitlementService.getEntitlements(tenantId),
+      EntitlementService.getUsage(tenantId)
+    ]);
+
+    const features = {};
+    for (const [feature, entitlement] of Object.entries(entitlements.features)) {
+      features[feature] = { ...entitlement, used_this_month: usage[feature] || 0 };
+    }
+
+    return {
+      plan: entitlements.plan,
+      plan_source: entitlements.source,
+      billing_status: entitlements.billing_status,
+      billing_active: entitlements.billing_active,
+      period_resets_at: EntitlementService.periodEnd(),
+      features
+    };
+  }
+
+  /**
+   * Entitlements of the current user's tenant
+   * GET /api/entitlements
+   */
+  async getMyEntitlements(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      res.json({
+        success: true,
+        data: await this.buildSummary(tenantId)
+      });
+    } catch (error) {
+      console.error('Error fetching entitlements:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch entitlements'
+      });
+    }
+  }
+
+  /**
+   * Plans and the features they include
+   * GET /api/entitlements/plans
+   */
+  async getPlans(req, res) {
+    res.json({
+      success: true,
+      data: {
+        plans: PLAN_ENTITLEMENTS,
+        features: Object.values(FEATURES)
+      }
+    });
+  }
+
+  /**
+   * Entitlements, usage and overrides of a tenant
+   * GET /api/entitlements/tenants/:tenantId
+   */
+  async getTenantEntitlements(req, res) {
+    try {
+      const { tenantId } = req.params;
+
+      const tenant = await prisma.tenants.findUnique({ where: { id: tenantId } });
+      if (!tenant || tenant.is_deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tenant not found'
+        });
+      }
+
+      const [summary, overrides] = await Promise.all([
+        this.buildSummary(tenantId),
+        prisma.tenant_features.findMany({
+          where: { tenant_id: tenantId },
+          orderBy: { featureName: 'asc' }
+        })
+      ]);
+
+      res.json({
+        success: true,
+        data: { ...summary, overrides }
+      });
+    } catch (error) {
+      console.error('Error fetching tenant entitlements:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch tenant entitlements'
+      });
+    }
+  }
+
+  /**
+   * Change the tenant plan (used when there is no active billing period)
+   * PUT /api/entitlements/tenants/:tenantId/plan
+   * Body: { plan }
+   */
+  async updateTenantPlan(req, res) {
+    try {
+      const { tenantId } = req.params;
+      const plan = EntitlementService.normalizePlan(req.body.plan);
+
+      if (!plan) {
+        return res.status(400).json({
+          success: false,
+          error: `plan must be one of: ${Object.values(PLANS).join(', ')}`
+        });
+      }
+
+      const existing = await prisma.tenants.findUnique({ where: { id: tenantId } });
+      if (!existing || existing.is_deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tenant not found'
+        });
+      }
+
+      const tenant = await prisma.tenants.update({
+        where: { id: tenantId },
+        data: { subscription_plan: plan, updatedAt: new Date() }
+      });
+      EntitlementService.clearCache(tenantId);
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.TENANT,
+        entityId: tenantId,
+        before: { subscription_plan: existing.subscription_plan },
+        after: { subscription_plan: tenant.subscription_plan },
+        tenantId
+      });
+
+      res.json({
+        success: true,
+        data: await this.buildSummary(tenantId),
+        message: `Plan set to ${plan}`
+      });
+    } catch (error) {
+      console.error('Error updating tenant plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update tenant plan'
+      });
+    }
+  }
+
+  /**
+   * Enable or disable a feature for a tenant, optionally with its own quota
+   * PUT /api/entitlements/tenants/:tenantId/features/:feature
+   * Body: { is_enabled, monthly_quota? } - monthly_quota null = unlimited
+   */
+  async setFeatureOverride(req, res) {
+    try {
+      const { tenantId, feature } = req.params;
+
+      if (!EntitlementService.isFeature(feature)) {
+        return res.status(400).json({
+          success: false,
+          error: `feature must be one of: ${Object.values(FEATURES).join(', ')}`
+        });
+      }
+
+      const { errors, data } = EntitlementService.validateOverrideInput(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid feature override',
+          details: errors
+        });
+      }
+
+      const tenant = await prisma.tenants.findUnique({ where: { id: tenantId } });
+      if (!tenant || tenant.is_deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tenant not found'
+        });
+      }
+
+      const before = await prisma.tenant_features.findUnique({
+        where: { tenant_id_featureName: { tenant_id: tenantId, featureName: feature } }
+      });
+      const override = await EntitlementService.setOverride(tenantId, feature, data);
+
+      await AuditLogService.record(req, {
+        action: before ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE,
+        entity: AUDIT_ENTITIES.TENANT_FEATURE,
+        entityId: feature,
+        before: AuditLogService.snapshot(before, ['isEnabled', 'config']),
+        after: AuditLogService.snapshot(override, ['isEnabled', 'config']),
+        tenantId
+      });
+
+      res.json({
+        success: true,
+        data: override
+      });
+    } catch (error) {
+      console.error('Error setting feature override:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to set feature override'
+      });
+    }
+  }
+
+  /**
+   * Remove a feature override (the plan applies again)
+   * DELETE /api/entitlements/tenants/:tenantId/features/:feature
+   */
+  async removeFeatureOverride(req, res) {
+    try {
+      const { tenantId, feature } = req.params;
+
+      const removed = await EntitlementService.removeOverride(tenantId, feature);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Feature override not found'
+        });
+      }
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.DELETE,
+        entity: AUDIT_ENTITIES.TENANT_FEATURE,
+        entityId: feature,
+        before: AuditLogService.snapshot(removed, ['isEnabled', 'config']),
+        tenantId
+      });
+
+      res.json({
+        success: true,
+        message: 'Feature override removed'
+      });
+    } catch (error) {
+      console.error('Error removing feature override:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove feature override'
+      });
+    }
+  }
+}
+
+module.exports = new EntitlementController();
@@ -0,0 +1,132 @@
+/**
+ * GDPR Controller
+ * @module controllers/gdprController
+ * @created 2026-10-19
+ *
+ * Data subject requests of employees: export of their personal data,
+ * erasure, and the tamper-evident receipts of both.
+ */
+
+const DataSubjectService = require('../services/gdpr/dataSubjectService');
+const ReceiptService = require('../services/gdpr/receiptService');
+const AuditLogService = require('../services/auditLogService');
+
+const { DataSubjectError } = DataSubjectService;
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+class GdprController {
+  getTenantId(req) {
+    return req.user.tenant_id || req.user.tenantId;
+  }
+
+  getActor(req) {
+    return { id: req.user.id ? String(req.user.id) : null, email: req.user.email || null };
+  }
+
+  handleError(res, error, action, message) {
+    if (error instanceof DataSubjectError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message
+    });
+  }
+
+  /**
+   * Machine-readable export of an employee's personal data (JSON, CV files base64 encoded)
+   * GET /api/gdpr/employees/:employeeId/export
+   */
+  async exportEmployee(req, res) {
+    try {
+      const { document, receipt } = await DataSubjectService.exportData(
+        this.getTenantId(req),
+        req.params.employeeId,
+        this.getActor(req)
+      );
+
+      const date = receipt.completed_at.toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="employee-${document.employee_id}-data-${date}.json"`);
+      res.send(JSON.stringify(document, null, 2));
+    } catch (error) {
+      this.handleError(res, error, 'exporting employee data', 'Failed to export employee data');
+    }
+  }
+
+  /**
+   * Erase an employee's personal data
+   * POST /api/gdpr/employees/:employeeId/erase
+   * Body: { confirmEmail, reason? }
+   */
+  async eraseEmployee(req, res) {
+    try {
+      const receipt = await DataSubjectService.erase(this.getTenantId(req), req.params.employeeId, {
+        confirmEmail: req.body.confirmEmail,
+        reason: req.body.reason,
+        actor: this.getActor(req)
+      });
+
+      // No before/after values: they would copy the erased data back into the trail
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.DELETE,
+        entity: AUDIT_ENTITIES.EMPLOYEE,
+        entityId: receipt.employee_id
+      });
+
+      console.log(`🗑️ GDPR erasure of employee ${receipt.employee_id} by ${req.user.email} (receipt ${receipt.id})`);
+
+      res.json({
+        success: true,
+        message: 'Employee personal data erased',
+        data: DataSubjectService.toReceipt(receipt)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'erasing employee data', 'Failed to erase employee data');
+    }
+  }
+
+  /**
+   * Receipts of the tenant's data subject requests, newest first
+   * GET /api/gdpr/requests
+   * Query: employee_id, email, request_type (EXPORT|ERASURE)
+   */
+  async getRequests(req, res) {
+    try {
+      const receipts = await DataSubjectService.listRequests(this.getTenantId(req), {
+        employeeId: req.query.employee_id,
+        email: req.query.email,
+        requestType: req.query.request_type
+      });
+
+      res.json({
+        success: true,
+        data: receipts
+      });
+    } catch (error) {
+      this.handleError(res, error, 'fetching data subject requests', 'Failed to fetch data subject requests');
+    }
+  }
+
+  /**
+   * Check that no receipt was modified, removed or reordered
+   * GET /api/gdpr/receipts/verify
+   */
+  async verifyReceipts(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: await ReceiptService.verifyChain(this.getTenantId(req))
+      });
+    } catch (error) {
+      this.handleError(res, error, 'verifying receipts', 'Failed to verify receipts');
+    }
+  }
+}
+
+module.exports = new GdprController();
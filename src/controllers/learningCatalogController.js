@@ -0,0 +1,363 @@
+/**
+ * Learning Catalog Controller
+ * @module controllers/learningCatalogController
+ * @created 2026-10-19
+ *
+ * CRUD and CSV import for the tenant learning catalog (learning_catalog_items),
+ * plus the per-employee training plan built from skill gaps and the catalog.
+ * Items are soft-deleted (is_active = false) so that saved plans keep
+ * a valid reference to the item they recommended.
+ */
+
+const multer = require('multer');
+const prisma = require('../config/database');
+const LearningCatalogService = require('../services/learningCatalogService');
+const recommendationEngine = require('../services/recommendationEngine');
+const { ROLE_GROUPS } = require('../constants/roles');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    const isCsv = file.mimetype === 'text/csv' ||
+      file.mimetype === 'application/vnd.ms-excel' ||
+      file.originalname.toLowerCase().endsWith('.csv');
+    cb(isCsv ? null : new Error('Only CSV files are allowed'), isCsv);
+  }
+}).single('file');
+
+const isHrUser = (user) => ROLE_GROUPS.HR_ROLES.includes((user.role || '').toUpperCase());
+
+class LearningCatalogController {
+  /**
+   * List catalog items
+   * GET /api/learning-catalog?item_type=&skill_id=&soft_skill_id=&search=&include_inactive=
+   */
+  async getItems(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const { item_type, skill_id, soft_skill_id, search, include_inactive } = req.query;
+
+      const where = { tenant_id: tenantId };
+      if (include_inactive !== 'true') where.is_active = true;
+      if (item_type) where.item_type = String(item_type).toUpperCase();
+      if (skill_id) where.skill_ids = { has: parseInt(skill_id) };
+      if (soft_skill_id) where.soft_skill_ids = { has: parseInt(soft_skill_id) };
+      if (search) {
+        where.OR = [
+          { title: { contains: search, mode: 'insensitive' } },
+          { provider: { contains: search, mode: 'insensitive' } },
+          { skill_keywords: { has: search } }
+        ];
+      }
+
+      const items = await prisma.learning_catalog_items.findMany({
+        where,
+        include: {
+          employees: { select: { id: true, first_name: true, last_name: true, email: true } }
+        },
+        orderBy: [{ item_type: 'asc' }, { title: 'asc' }]
+      });
+
+      res.json({
+        success: true,
+        data: items,
+        count: items.length
+      });
+    } catch (error) {
+      console.error('Error fetching learning catalog:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch learning catalog'
+      });
+    }
+  }
+
+  /**
+   * Get a single catalog item
+   * GET /api/learning-catalog/:itemId
+   */
+  async getItemById(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const item = await prisma.learning_catalog_items.findFirst({
+        where: { id: req.params.itemId, tenant_id: tenantId },
+        include: {
+          employees: { select: { id: true, first_name: true, last_name: true, email: true } }
+        }
+      });
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          error: 'Catalog item not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: item
+      });
+    } catch (error) {
+      console.error('Error fetching catalog item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch catalog item'
+      });
+    }
+  }
+
+  /**
+   * Create a catalog item
+   * POST /api/learning-catalog
+   * Body: { item_type, title, description?, provider?, url?, delivery_format?, level?,
+   *         complexity?, duration_hours?, duration_weeks?, mentor_employee_id?, capacity?,
+   *         cost?, currency?, skill_ids?, soft_skill_ids?, skill_keywords?, external_id? }
+   */
+  async createItem(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const { errors, data } = LearningCatalogService.validateItemInput(req.body);
+      const hasSkills = (data.skill_ids || []).length + (data.soft_skill_ids || []).length +
+        (data.skill_keywords || []).length > 0;
+      if (!hasSkills) {
+        errors.push('At least one of skill_ids, soft_skill_ids or skill_keywords is required');
+      }
+      errors.push(...await LearningCatalogService.validateReferences(tenantId, data));
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid catalog item',
+          details: errors
+        });
+      }
+
+      if (data.external_id) {
+        const duplicate = await prisma.learning_catalog_items.findFirst({
+          where: { tenant_id: tenantId, external_id: data.external_id }
+        });
+        if (duplicate) {
+          return res.status(409).json({
+            success: false,
+            error: `A catalog item with external_id "${data.external_id}" already exists`
+          });
+        }
+      }
+
+      const item = await prisma.learning_catalog_items.create({
+        data: {
+          ...data,
+          tenant_id: tenantId,
+          created_by: String(req.user.id)
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: item,
+        message: 'Catalog item created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating catalog item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create catalog item'
+      });
+    }
+  }
+
+  /**
+   * Update a catalog item
+   * PUT /api/learning-catalog/:itemId
+   */
+  async updateItem(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const existing = await prisma.learning_catalog_items.findFirst({
+        where: { id: req.params.itemId, tenant_id: tenantId }
+      });
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Catalog item not found'
+        });
+      }
+
+      const { errors, data } = LearningCatalogService.validateItemInput(req.body, { partial: true });
+      errors.push(...await LearningCatalogService.validateReferences(tenantId, data));
+
+      const merged = { ...existing, ...data };
+      if (merged.skill_ids.length + merged.soft_skill_ids.length + merged.skill_keywords.length === 0) {
+        errors.push('At least one of skill_ids, soft_skill_ids or skill_keywords is required');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid catalog item',
+          details: errors
+        });
+      }
+
+      if (data.external_id && data.external_id !== existing.external_id) {
+        const duplicate = await prisma.learning_catalog_items.findFirst({
+          where: { tenant_id: tenantId, external_id: data.external_id }
+        });
+        if (duplicate) {
+          return res.status(409).json({
+            success: false,
+            error: `A catalog item with external_id "${data.external_id}" already exists`
+          });
+        }
+      }
+
+      const item = await prisma.learning_catalog_items.update({
+        where: { id: existing.id },
+        data: { ...data, updated_at: new Date() }
+      });
+
+      res.json({
+        success: true,
+        data: item,
+        message: 'Catalog item updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating catalog item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update catalog item'
+      });
+    }
+  }
+
+  /**
+   * Deactivate a catalog item (soft delete)
+   * DELETE /api/learning-catalog/:itemId
+   */
+  async deleteItem(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const { count } = await prisma.learning_catalog_items.updateMany({
+        where: { id: req.params.itemId, tenant_id: tenantId, is_active: true },
+        data: { is_active: false, updated_at: new Date() }
+      });
+
+      if (count === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Catalog item not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Catalog item deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting catalog item:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete catalog item'
+      });
+    }
+  }
+
+  /**
+   * Import catalog items from CSV
+   * POST /api/learning-catalog/import?dry_run=true
+   * multipart/form-data with a `file` field, or JSON body { csv: "..." }
+   * Rows with external_id update the existing item, other rows are created.
+   */
+  importCsv(req, res) {
+    upload(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          error: err.message
+        });
+      }
+
+      try {
+        const tenantId = req.user.tenant_id || req.user.tenantId;
+        const content = req.file ? req.file.buffer : req.body?.csv;
+
+        if (!content) {
+          return res.status(400).json({
+            success: false,
+            error: 'A CSV file (field "file") or a "csv" body field is required'
+          });
+        }
+
+        const result = await LearningCatalogService.importCsv(tenantId, content, {
+          userId: req.user.id,
+          dryRun: req.query.dry_run === 'true' || req.body?.dry_run === true
+        });
+
+        if (result.errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'CSV import failed: no rows were imported',
+            data: result
+          });
+        }
+
+        res.status(result.dry_run ? 200 : 201).json({
+          success: true,
+          data: result,
+          message: result.dry_run
+            ? `${result.valid_rows} rows are valid`
+            : `Imported ${result.imported} catalog items (${result.created} created, ${result.updated} updated)`
+        });
+      } catch (error) {
+        console.error('Error importing learning catalog:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to import learning catalog'
+        });
+      }
+    });
+  }
+
+  /**
+   * Training plan for an employee, built from their skill gaps and the catalog
+   * GET /api/employees/:id/training-plan?learning_preference=self-paced|interactive
+   * Access: HR, the employee themselves or their manager
+   */
+  async getTrainingPlan(req, res) {
+    try {
+      const employeeId = parseInt(req.params.id);
+
+      const employee = await prisma.employees.findFirst({
+        where: { id: employeeId, tenant_id: req.tenantId },
+        select: { id: true, manager_id: true }
+      });
+      if (!employee) {
+        return res.status(404).json({ success: false, error: 'Employee not found' });
+      }
+
+      const requesterEmployeeId = Number(req.user.employeeId);
+      const allowed = isHrUser(req.user) ||
+        requesterEmployeeId === employee.id ||
+        (employee.manager_id && requesterEmployeeId === employee.manager_id);
+      if (!allowed) {
+        return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+      }
+
+      const plan = await recommendationEngine.generateEmployeeTrainingPlan(req.tenantId, employeeId, {
+        learningPreference: req.query.learning_preference
+      });
+
+      res.json({ success: true, data: plan });
+    } catch (error) {
+      console.error('[Employee Training Plan] Error:', error);
+      res.status(500).json({ success: false, error: 'Failed to generate training plan' });
+    }
+  }
+}
+
+module.exports = new LearningCatalogController();
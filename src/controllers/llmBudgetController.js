@@ -0,0 +1,172 @@
+/**
+ * LLM Budget Controller
+ * @module controllers/llmBudgetController
+ * @created 2026-10-19
+ *
+ * Tenant LLM budgets: remaining budget, limits and alerts.
+ */
+
+const prisma = require('../config/database');
+const LLMBudgetService = require('../services/llmBudgetService');
+const AuditLogService = require('../services/auditLogService');
+
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+const BUDGET_AUDIT_FIELDS = ['period', 'operation_type', 'limit_usd', 'warning_thresholds', 'hard_limit'];
+
+class LLMBudgetController {
+  /**
+   * Budgets of the tenant with spend and remaining amount in the current window
+   * GET /api/llm-budgets
+   * Query: operation_type (only the budgets covering it)
+   */
+  async getBudgets(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const operationType = req.query.operation_type || null;
+
+      const budgets = await LLMBudgetService.getStatus(tenantId, { operationType });
+      const hardLimited = budgets.filter(budget => budget.hard_limit);
+
+      res.json({
+        success: true,
+        data: {
+          budgets,
+          // Lowest amount that can still be spent before a hard limit blocks calls
+          remaining_usd: hardLimited.length > 0
+            ? Math.min(...hardLimited.map(budget => budget.remaining_usd))
+            : null,
+          blocked: hardLimited.some(budget => budget.exceeded)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching LLM budgets:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch LLM budgets'
+      });
+    }
+  }
+
+  /**
+   * Create or replace the budget for a period and operation type
+   * PUT /api/llm-budgets
+   * Body: { period, operation_type?, limit_usd, warning_thresholds?, hard_limit? }
+   */
+  async upsertBudget(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const { errors, data } = LLMBudgetService.validateBudgetInput(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid budget',
+          details: errors
+        });
+      }
+
+      const before = await prisma.tenant_llm_budgets.findUnique({
+        where: {
+          tenant_id_period_operation_type: {
+            tenant_id: tenantId,
+            period: data.period,
+            operation_type: data.operation_type
+          }
+        }
+      });
+      const budget = await LLMBudgetService.upsertBudget(tenantId, data, req.user.email || null);
+
+      await AuditLogService.record(req, {
+        action: before ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE,
+        entity: AUDIT_ENTITIES.LLM_BUDGET,
+        entityId: budget.id,
+        before: AuditLogService.snapshot(before, BUDGET_AUDIT_FIELDS),
+        after: AuditLogService.snapshot(budget, BUDGET_AUDIT_FIELDS)
+      });
+
+      res.json({
+        success: true,
+        data: budget
+      });
+    } catch (error) {
+      console.error('Error saving LLM budget:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save LLM budget'
+      });
+    }
+  }
+
+  /**
+   * Delete a budget
+   * DELETE /api/llm-budgets/:id
+   */
+  async deleteBudget(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const removed = await LLMBudgetService.removeBudget(tenantId, req.params.id);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Budget not found'
+        });
+      }
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.DELETE,
+        entity: AUDIT_ENTITIES.LLM_BUDGET,
+        entityId: removed.id,
+        before: AuditLogService.snapshot(removed, BUDGET_AUDIT_FIELDS)
+      });
+
+      res.json({
+        success: true,
+        message: 'Budget deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting LLM budget:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete LLM budget'
+      });
+    }
+  }
+
+  /**
+   * Budget alerts raised for the tenant, most recent first
+   * GET /api/llm-budgets/alerts
+   * Query: limit (default 50, max 200)
+   */
+  async getAlerts(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+      const alerts = await prisma.tenant_llm_budget_alerts.findMany({
+        where: { tenant_id: tenantId },
+        orderBy: { created_at: 'desc' },
+        take: limit,
+        include: {
+          tenant_llm_budgets: {
+            select: { period: true, operation_type: true, hard_limit: true }
+          }
+        }
+      });
+
+      res.json({
+        success: true,
+        data: alerts
+      });
+    } catch (error) {
+      console.error('Error fetching LLM budget alerts:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch LLM budget alerts'
+      });
+    }
+  }
+}
+
+module.exports = new LLMBudgetController();
@@ -0,0 +1,254 @@
+/**
+ * MFA Controller
+ * @module controllers/mfaController
+ * @created 2026-10-19
+ *
+ * Self-service TOTP enrollment of the logged-in user and the tenant admin
+ * endpoints: MFA policy, reset of a user's MFA (lost device) and MFA events.
+ * The login challenge itself lives in routes/unifiedAuthRoutes.
+ */
+
+const prisma = require('../config/database');
+const MfaService = require('../services/mfaService');
+const AuditLogService = require('../services/auditLogService');
+
+const { MfaError } = MfaService;
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+class MfaController {
+  getTenantId(req) {
+    return req.user.tenant_id || req.user.tenantId;
+  }
+
+  /**
+   * Tenant user of the request, with its tenant (MFA policy)
+   */
+  async loadCurrentUser(req) {
+    const user = await prisma.tenant_users.findFirst({
+      where: { id: req.user.id, is_active: true },
+      include: { tenants: { select: { id: true, mfa_required: true } } }
+    });
+    if (!user) {
+      throw new MfaError('User not found', 'MFA_USER_NOT_FOUND', 404);
+    }
+    return user;
+  }
+
+  handleError(res, error, action, message) {
+    if (error instanceof MfaError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message
+    });
+  }
+
+  /**
+   * MFA state of the current user
+   * GET /api/mfa/status
+   */
+  async getStatus(req, res) {
+    try {
+      const user = await this.loadCurrentUser(req);
+
+      res.json({
+        success: true,
+        data: MfaService.getStatus(user)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'fetching MFA status', 'Failed to fetch MFA status');
+    }
+  }
+
+  /**
+   * Start an enrollment: secret and otpauth:// URI to show as a QR code
+   * POST /api/mfa/enroll
+   */
+  async startEnrollment(req, res) {
+    try {
+      const user = await this.loadCurrentUser(req);
+      const enrollment = await MfaService.startEnrollment(user, MfaService.contextFromRequest(req));
+
+      res.json({
+        success: true,
+        data: enrollment
+      });
+    } catch (error) {
+      this.handleError(res, error, 'starting MFA enrollment', 'Failed to start MFA enrollment');
+    }
+  }
+
+  /**
+   * Enable MFA with the first code from the authenticator app
+   * POST /api/mfa/enroll/confirm
+   * Body: { code }
+   */
+  async confirmEnrollment(req, res) {
+    try {
+      const user = await this.loadCurrentUser(req);
+      const recoveryCodes = await MfaService.confirmEnrollment(user, req.body.code, MfaService.contextFromRequest(req));
+
+      res.json({
+        success: true,
+        message: 'MFA enabled. Store the recovery codes safely, they are only shown once',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'confirming MFA enrollment', 'Failed to confirm MFA enrollment');
+    }
+  }
+
+  /**
+   * Replace the recovery codes
+   * POST /api/mfa/recovery-codes
+   * Body: { code }
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const user = await this.loadCurrentUser(req);
+      const recoveryCodes = await MfaService.regenerateRecoveryCodes(user, req.body.code, MfaService.contextFromRequest(req));
+
+      res.json({
+        success: true,
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'regenerating recovery codes', 'Failed to regenerate recovery codes');
+    }
+  }
+
+  /**
+   * Turn MFA off (not allowed when the tenant requires it)
+   * POST /api/mfa/disable
+   * Body: { code } or { recoveryCode }
+   */
+  async disable(req, res) {
+    try {
+      const user = await this.loadCurrentUser(req);
+      await MfaService.disable(user, {
+        code: req.body.code,
+        recoveryCode: req.body.recoveryCode
+      }, MfaService.contextFromRequest(req));
+
+      res.json({
+        success: true,
+        message: 'MFA disabled'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'disabling MFA', 'Failed to disable MFA');
+    }
+  }
+
+  /**
+   * MFA policy of the tenant and how many users are enrolled
+   * GET /api/mfa/policy
+   */
+  async getPolicy(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: await MfaService.getTenantSummary(this.getTenantId(req))
+      });
+    } catch (error) {
+      this.handleError(res, error, 'fetching MFA policy', 'Failed to fetch MFA policy');
+    }
+  }
+
+  /**
+   * Make MFA mandatory or optional for the tenant users
+   * PUT /api/mfa/policy
+   * Body: { required }
+   */
+  async updatePolicy(req, res) {
+    try {
+      if (typeof req.body.required !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'required must be a boolean'
+        });
+      }
+
+      const tenantId = this.getTenantId(req);
+      const before = await MfaService.getTenantSummary(tenantId);
+      const tenant = await MfaService.setTenantPolicy(tenantId, req.body.required);
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.TENANT,
+        entityId: tenantId,
+        before: { mfa_required: before.required },
+        after: { mfa_required: tenant.mfa_required }
+      });
+
+      res.json({
+        success: true,
+        data: await MfaService.getTenantSummary(tenantId)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'updating MFA policy', 'Failed to update MFA policy');
+    }
+  }
+
+  /**
+   * Reset the MFA of a user who lost their device
+   * POST /api/mfa/users/:userId/reset
+   */
+  async resetUser(req, res) {
+    try {
+      const user = await MfaService.reset(
+        this.getTenantId(req),
+        req.params.userId,
+        MfaService.contextFromRequest(req, { asActor: true })
+      );
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.TENANT_USER,
+        entityId: user.id,
+        before: { mfa_enabled: user.mfa_enabled, mfa_enrolled_at: user.mfa_enrolled_at },
+        after: { mfa_enabled: false, mfa_enrolled_at: null }
+      });
+
+      console.log(`🔐 MFA reset for ${user.email} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'MFA reset. The user will have to enroll again'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'resetting MFA', 'Failed to reset MFA');
+    }
+  }
+
+  /**
+   * MFA events of the tenant, newest first
+   * GET /api/mfa/events
+   * Query: user_id, event_type, page, limit
+   */
+  async getEvents(req, res) {
+    try {
+      const { events, pagination } = await MfaService.listEvents(this.getTenantId(req), {
+        userId: req.query.user_id,
+        eventType: req.query.event_type,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.json({
+        success: true,
+        data: events,
+        pagination
+      });
+    } catch (error) {
+      this.handleError(res, error, 'fetching MFA events', 'Failed to fetch MFA events');
+    }
+  }
+}
+
+module.exports = new MfaController();
@@ -0,0 +1,495 @@
+/**
+ * Notification Controller
+ * @module controllers/notificationController
+ * @created 2026-10-19
+ *
+ * In-app notifications and channel preferences of the current user, plus
+ * tenant notification channels (webhook, Slack, Teams, file/console) and
+ * the delivery status of the notification outbox for HR/Admin.
+ */
+
+const prisma = require('../config/database');
+const NotificationOutboxService = require('../services/notifications/outboxService');
+
+const { PERSONAL_CHANNELS, OUTBOX_STATUSES, OUTBOX_SUMMARY_FIELDS } = NotificationOutboxService;
+
+const requireEmployee = (req, res) => {
+  const employeeId = parseInt(req.user.employeeId);
+  if (!employeeId) {
+    res.status(400).json({
+      success: false,
+      error: 'No employee profile linked to this user'
+    });
+    return null;
+  }
+  return employeeId;
+};
+
+class NotificationController {
+  /**
+   * List in-app notifications of the current user
+   * GET /api/notifications?unread=true&limit=50
+   */
+  async getMyNotifications(req, res) {
+    try {
+      const employeeId = requireEmployee(req, res);
+      if (!employeeId) return;
+
+      const where = { employee_id: employeeId };
+      if (req.query.unread === 'true') where.is_read = false;
+
+      const [notifications, unreadCount] = await Promise.all([
+        prisma.notifications.findMany({
+          where,
+          orderBy: { created_at: 'desc' },
+          take: Math.min(parseInt(req.query.limit) || 50, 200)
+        }),
+        prisma.notifications.count({ where: { employee_id: employeeId, is_read: false } })
+      ]);
+
+      res.json({
+        success: true,
+        data: notifications,
+        unread_count: unreadCount
+      });
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch notifications'
+      });
+    }
+  }
+
+  /**
+   * Mark an in-app notification as read
+   * PATCH /api/notifications/:id/read
+   */
+  async markAsRead(req, res) {
+    try {
+      const employeeId = requireEmployee(req, res);
+      if (!employeeId) return;
+
+      const { count } = await prisma.notifications.updateMany({
+        where: { id: parseInt(req.params.id), employee_id: employeeId },
+        data: { is_read: true, read_at: new Date() }
+      });
+
+      if (count === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Notification not found'
+        });
+      }
+
+      res.json({ success: true, message: 'Notification marked as read' });
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update notification'
+      });
+    }
+  }
+
+  /**
+   * Mark all in-app notifications of the current user as read
+   * PATCH /api/notifications/read-all
+   */
+  async markAllAsRead(req, res) {
+    try {
+      const employeeId = requireEmployee(req, res);
+      if (!employeeId) return;
+
+      const { count } = await prisma.notifications.updateMany({
+        where: { employee_id: employeeId, is_read: false },
+        data: { is_read: true, read_at: new Date() }
+      });
+
+      res.json({ success: true, data: { updated: count } });
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update notifications'
+      });
+    }
+  }
+
+  /**
+   * Channel preferences of the current user
+   * GET /api/notifications/preferences
+   */
+  async getPreferences(req, res) {
+    try {
+      const employeeId = requireEmployee(req, res);
+      if (!employeeId) return;
+
+      const preferences = await prisma.notification_preferences.findMany({
+        where: { employee_id: employeeId },
+        orderBy: [{ event_type: 'asc' }, { channel: 'asc' }]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          channels: PERSONAL_CHANNELS,
+          preferences
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch notification preferences'
+      });
+    }
+  }
+
+  /**
+   * Update channel preferences of the current user
+   * PUT /api/notifications/preferences
+   * Body: { preferences: [{ event_type?: '*', channel: 'EMAIL'|'IN_APP', enabled: boolean }] }
+   */
+  async updatePreferences(req, res) {
+    try {
+      const employeeId = requireEmployee(req, res);
+      if (!employeeId) return;
+
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const input = Array.isArray(req.body.preferences) ? req.body.preferences : [];
+      const errors = [];
+
+      const preferences = input.map((pref, index) => {
+        const channel = String(pref.channel || '').toUpperCase();
+        if (!PERSONAL_CHANNELS.includes(channel)) {
+          errors.push(`preferences[${index}].channel must be one of: ${PERSONAL_CHANNELS.join(', ')}`);
+        }
+        if (typeof pref.enabled !== 'boolean') {
+          errors.push(`preferences[${index}].enabled must be a boolean`);
+        }
+        return {
+          event_type: pref.event_type ? String(pref.event_type).trim().toUpperCase() : '*',
+          channel,
+          enabled: pref.enabled
+        };
+      });
+
+      if (preferences.length === 0) {
+        errors.push('preferences must be a non-empty array');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid preferences',
+          details: errors
+        });
+      }
+
+      await prisma.$transaction(preferences.map(pref => prisma.notification_preferences.upsert({
+        where: {
+          employee_id_event_type_channel: {
+            employee_id: employeeId,
+            event_type: pref.event_type,
+            channel: pref.channel
+          }
+        },
+        update: { enabled: pref.enabled, updated_at: new Date() },
+        create: { ...pref, tenant_id: tenantId, employee_id: employeeId }
+      })));
+
+      const updated = await prisma.notification_preferences.findMany({
+        where: { employee_id: employeeId },
+        orderBy: [{ event_type: 'asc' }, { channel: 'asc' }]
+      });
+
+      res.json({
+        success: true,
+        data: updated,
+        message: 'Notification preferences updated'
+      });
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update notification preferences'
+      });
+    }
+  }
+
+  /**
+   * List tenant notification channels
+   * GET /api/notifications/channels
+   */
+  async getChannels(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const channels = await prisma.notification_channels.findMany({
+        where: { tenant_id: tenantId },
+        orderBy: { created_at: 'asc' }
+      });
+
+      res.json({ success: true, data: channels, count: channels.length });
+    } catch (error) {
+      console.error('Error fetching notification channels:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch notification channels'
+      });
+    }
+  }
+
+  /**
+   * Create a tenant notification channel
+   * POST /api/notifications/channels
+   * Body: { channel_type, name, url?, headers?, event_types?, is_active? }
+   */
+  async createChannel(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const { errors, data } = NotificationOutboxService.validateChannelInput(req.body);
+      if (errors.length === 0) {
+        errors.push(...await NotificationOutboxService.validateChannelTarget(data));
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid notification channel',
+          details: errors
+        });
+      }
+
+      const channel = await prisma.notification_channels.create({
+        data: {
+          ...data,
+          tenant_id: tenantId,
+          created_by: String(req.user.id)
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: channel,
+        message: 'Notification channel created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating notification channel:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create notification channel'
+      });
+    }
+  }
+
+  /**
+   * Update a tenant notification channel
+   * PUT /api/notifications/channels/:channelId
+   */
+  async updateChannel(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const existing = await prisma.notification_channels.findFirst({
+        where: { id: req.params.channelId, tenant_id: tenantId }
+      });
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Notification channel not found'
+        });
+      }
+
+      const { errors, data } = NotificationOutboxService.validateChannelInput(req.body, { partial: true });
+      if (errors.length === 0) {
+        errors.push(...await NotificationOutboxService.validateChannelTarget({ ...existing, ...data }));
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid notification channel',
+          details: errors
+        });
+      }
+
+      const channel = await prisma.notification_channels.update({
+        where: { id: existing.id },
+        data: { ...data, updated_at: new Date() }
+      });
+
+      res.json({
+        success: true,
+        data: channel,
+        message: 'Notification channel updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating notification channel:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update notification channel'
+      });
+    }
+  }
+
+  /**
+   * Delete a tenant notification channel (pending deliveries are dropped)
+   * DELETE /api/notifications/channels/:channelId
+   */
+  async deleteChannel(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const { count } = await prisma.notification_channels.deleteMany({
+        where: { id: req.params.channelId, tenant_id: tenantId }
+      });
+
+      if (count === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Notification channel not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Notification channel deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting notification channel:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete notification channel'
+      });
+    }
+  }
+
+  /**
+   * Send a test message to a tenant channel
+   * POST /api/notifications/channels/:channelId/test
+   */
+  async testChannel(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const channel = await prisma.notification_channels.findFirst({
+        where: { id: req.params.channelId, tenant_id: tenantId }
+      });
+      if (!channel) {
+        return res.status(404).json({
+          success: false,
+          error: 'Notification channel not found'
+        });
+      }
+
+      const result = await NotificationOutboxService.testChannel(channel);
+
+      res.status(result.success ? 200 : 502).json({
+        success: result.success,
+        ...(result.success
+          ? { message: 'Test notification delivered' }
+          : { error: `Test notification failed: ${result.error}` })
+      });
+    } catch (error) {
+      console.error('Error testing notification channel:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to test notification channel'
+      });
+    }
+  }
+
+  /**
+   * Delivery status of the tenant notification outbox
+   * GET /api/notifications/outbox?status=&channel=&event_type=&page=1&limit=50
+   */
+  async getOutbox(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const { status, channel, event_type } = req.query;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const where = { tenant_id: tenantId };
+      if (status) {
+        const value = String(status).toUpperCase();
+        if (!OUTBOX_STATUSES.includes(value)) {
+          return res.status(400).json({
+            success: false,
+            error: `status must be one of: ${OUTBOX_STATUSES.join(', ')}`
+          });
+        }
+        where.status = value;
+      }
+      if (channel) where.channel = String(channel).toUpperCase();
+      if (event_type) where.event_type = String(event_type).toUpperCase();
+
+      const [items, total, byStatus] = await Promise.all([
+        prisma.notification_outbox.findMany({
+          where,
+          select: OUTBOX_SUMMARY_FIELDS,
+          orderBy: { created_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.notification_outbox.count({ where }),
+        prisma.notification_outbox.groupBy({
+          by: ['status'],
+          where: { tenant_id: tenantId },
+          _count: { _all: true }
+        })
+      ]);
+
+      res.json({
+        success: true,
+        data: items,
+        summary: Object.fromEntries(byStatus.map(s => [s.status, s._count._all])),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching notification outbox:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch notification outbox'
+      });
+    }
+  }
+
+  /**
+   * Requeue a failed or cancelled notification
+   * POST /api/notifications/outbox/:id/retry
+   */
+  async retryNotification(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const notification = await NotificationOutboxService.retry(tenantId, req.params.id);
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          error: 'Failed or cancelled notification not found (notifications carrying a secret cannot be retried)'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: notification,
+        message: 'Notification queued for delivery'
+      });
+    } catch (error) {
+      console.error('Error retrying notification:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retry notification'
+      });
+    }
+  }
+}
+
+module.exports = new NotificationController();
@@ -5,6 +5,16 @@
 
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const WebhookService = require('../../services/webhooks/webhookService');
+const AuditLogService = require('../../services/auditLogService');
+
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+// Assignment fields recorded in the audit trail
+const ASSIGNMENT_AUDIT_FIELDS = [
+  'project_id', 'employee_id', 'role_in_project', 'allocation_percentage',
+  'start_date', 'end_date', 'is_active'
+];
 
 /**
  * Get project assignments
@@ -58,6 +68,23 @@ async function assignResource(req, res) {
       }
     });
 
+    await AuditLogService.record(req, {
+      action: AUDIT_ACTIONS.CREATE,
+      entity: AUDIT_ENTITIES.PROJECT_ASSIGNMENT,
+      entityId: assignment.id,
+      after: AuditLogService.snapshot(assignment, ASSIGNMENT_AUDIT_FIELDS)
+    });
+
+    WebhookService.emit(tenantId, WebhookService.WEBHOOK_EVENTS.PROJECT_ASSIGNMENT_CREATED, {
+      assignment_id: assignment.id,
+      project_id: assignment.project_id,
+      employee_id: assignment.employee_id,
+      role_in_project: assignment.role_in_project,
+      allocation_percentage: assignment.allocation_percentage,
+      start_date: assignment.start_date,
+      end_date: assignment.end_date
+    });
+
     res.status(201).json({
       success: true,
       data: assignment
@@ -93,11 +120,24 @@ async function updateAssignment(req, res) {
       });
     }
 
+    const existing = await prisma.project_assignments.findUnique({
+      where: { id: parseInt(id) }
+    });
+
     const assignment = await prisma.project_assignments.update({
       where: { id: parseInt(id) },
       data
     });
 
+    await AuditLogService.record(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      entity: AUDIT_ENTITIES.PROJECT_ASSIGNMENT,
+      entityId: assignment.id,
+      before: AuditLogService.snapshot(existing, ASSIGNMENT_AUDIT_FIELDS),
+      after: AuditLogService.snapshot(assignment, ASSIGNMENT_AUDIT_FIELDS),
+      tenantId: assignment.tenant_id
+    });
+
     res.json({
       success: true,
       data: assignment
@@ -118,11 +158,24 @@ async function removeAssignment(req, res) {
   try {
     const { id } = req.params;
 
+    const existing = await prisma.project_assignments.findUnique({
+      where: { id: parseInt(id) }
+    });
+
     const assignment = await prisma.project_assignments.update({
       where: { id: parseInt(id) },
       data: { is_active: false }
     });
 
+    await AuditLogService.record(req, {
+      action: AUDIT_ACTIONS.DELETE,
+      entity: AUDIT_ENTITIES.PROJECT_ASSIGNMENT,
+      entityId: assignment.id,
+      before: AuditLogService.snapshot(existing, ASSIGNMENT_AUDIT_FIELDS),
+      after: AuditLogService.snapshot(assignment, ASSIGNMENT_AUDIT_FIELDS),
+      tenantId: assignment.tenant_id
+    });
+
     res.json({
       success: true,
       data: assignment,
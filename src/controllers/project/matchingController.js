@@ -8,9 +8,17 @@
  * - Availability (30%)
  * - Experience (20%)
  * - Preferences (10%)
+ *
+ * Weights and thresholds above are the built-in defaults; tenants can
+ * override them with named scoring profiles (see matchingProfileService).
  */
 
 const prisma = require('../../config/database');
+const MatchingProfileService = require('../../services/matchingProfileService');
+const { optimizeStaffing } = require('../../services/staffingOptimizerService');
+const AvailabilityCalendar = require('../../services/availabilityCalendarService');
+const { DAY_MS, toDay } = require('../../utils/allocationTimeline');
+const { DEFAULT_SCORING_PROFILE } = MatchingProfileService;
 
 const SENIORITY_MAP = {
   'JUNIOR': 1, 'Junior': 1,
@@ -24,11 +32,12 @@ class MatchingController {
   /**
    * Run matching algorithm for a project role
    * POST /api/project-roles/:roleId/match
+   * Body: { filters?, profile_id? } - profile_id selects a tenant scoring profile
    */
   async runMatching(req, res) {
     try {
       const { roleId } = req.params;
-      const { filters = {} } = req.body;
+      const { filters = {}, profile_id: profileId } = req.body;
       const tenantId = req.user.tenant_id || req.user.tenantId;
 
       // Get role with project details
@@ -46,6 +55,16 @@ class MatchingController {
         });
       }
 
+      // Resolve scoring profile (explicit, tenant default or built-in)
+      const profile = await MatchingProfileService.resolveProfile(tenantId, profileId);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scoring profile not found'
+        });
+      }
+
       // Get available employees
       const employees = await this.getAvailableEmployees(
         tenantId,
@@ -61,7 +80,8 @@ class MatchingController {
             role_id: roleId,
             total_candidates: 0,
             qualified_matches: 0,
-            top_matches: []
+            top_matches: [],
+            scoring_profile: MatchingProfileService.toSnapshot(profile)
           },
           message: 'No available employees found'
         });
@@ -70,13 +90,13 @@ class MatchingController {
       // Calculate match scores for all employees
       const matches = await Promise.all(
         employees.map(employee =>
-          this.calculateMatchScore(employee, role)
+          this.calculateMatchScore(employee, role, profile)
         )
       );
 
       // Filter and sort matches
       const qualifiedMatches = matches
-        .filter(m => m.match_score > 30) // Minimum threshold
+        .filter(m => m.match_score > profile.min_match_score) // Minimum threshold
         .sort((a, b) => b.match_score - a.match_score)
         .slice(0, 20); // Top 20 candidates
 
@@ -86,6 +106,7 @@ class MatchingController {
       });
 
       // Save new matching results
+      const profileSnapshot = MatchingProfileService.toSnapshot(profile);
       if (qualifiedMatches.length > 0) {
         await prisma.project_matching_results.createMany({
           data: qualifiedMatches.map(match => ({
@@ -100,7 +121,9 @@ class MatchingController {
             suggested_allocation: match.suggested_allocation,
             risk_factors: match.risks,
             growth_potential: match.growth,
-            is_shortlisted: match.match_score >= 70 // Auto-shortlist high matches
+            is_shortlisted: match.match_score >= profile.shortlist_threshold, // Auto-shortlist high matches
+            scoring_profile_id: profile.id,
+            scoring_profile_snapshot: profileSnapshot
           }))
         });
       }
@@ -115,7 +138,8 @@ class MatchingController {
           metadata: {
             role_id: roleId,
             candidates_evaluated: employees.length,
-            qualified_matches: qualifiedMatches.length
+            qualified_matches: qualifiedMatches.length,
+            scoring_profile: profileSnapshot
           }
         }
       });
@@ -140,7 +164,8 @@ class MatchingController {
           role_id: roleId,
           total_candidates: employees.length,
           qualified_matches: qualifiedMatches.length,
-          top_matches: topMatches
+          top_matches: topMatches,
+          scoring_profile: profileSnapshot
         }
       });
 
@@ -153,10 +178,172 @@ class MatchingController {
     }
   }
 
+  /**
+   * Propose a staffing plan across all open roles of a project
+   * POST /api/projects/:projectId/staffing-plan
+   * Body: { role_ids?, profile_id?, min_match_score?, max_alternatives?,
+   *         allow_multiple_roles?, filters? }
+   *
+   * Nothing is persisted: the plan is a proposal to be confirmed through
+   * the assignment endpoints.
+   */
+  async optimizeProjectStaffing(req, res) {
+    try {
+      const projectId = parseInt(req.params.projectId);
+      const {
+        role_ids: roleIds,
+        profile_id: profileId,
+        min_match_score: minMatchScore,
+        max_alternatives: maxAlternatives = 3,
+        allow_multiple_roles: allowMultipleRoles = false,
+        filters = {}
+      } = req.body;
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      if (isNaN(projectId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid project id'
+        });
+      }
+
+      const project = await prisma.projects.findFirst({
+        where: { id: projectId, tenant_id: tenantId },
+        include: {
+          project_roles: {
+            where: Array.isArray(roleIds) && roleIds.length > 0
+              ? { id: { in: roleIds } }
+              : { status: { in: ['OPEN', 'IN_PROGRESS'] } }
+          }
+        }
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      const profile = await MatchingProfileService.resolveProfile(tenantId, profileId);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scoring profile not found'
+        });
+      }
+
+      const roles = project.project_roles;
+      if (roles.length === 0) {
+        return res.json({
+          success: true,
+          data: {
+            project_id: projectId,
+            assignments: [],
+            unfilled: [],
+            summary: { total_slots: 0, filled_slots: 0, unfilled_slots: 0 }
+          },
+          message: 'No open roles to staff'
+        });
+      }
+
+      const employees = await this.getAvailableEmployees(
+        tenantId,
+        project.start_date,
+        project.end_date,
+        filters
+      );
+
+      // Per-factor scores for every role/employee pair
+      const candidatesByRole = {};
+      for (const role of roles) {
+        candidatesByRole[role.id] = await Promise.all(
+          employees.map(employee => this.calculateMatchScore(employee, role, profile))
+        );
+      }
+
+      const capacities = {};
+      for (const employee of employees) {
+        capacities[employee.id] = employee.available_allocation;
+      }
+
+      const plan = optimizeStaffing({
+        roles,
+        candidatesByRole,
+        capacities,
+        options: {
+          minMatchScore: minMatchScore !== undefined ? Number(minMatchScore) : profile.min_match_score,
+          maxAlternatives: parseInt(maxAlternatives) || 3,
+          allowMultipleRoles: Boolean(allowMultipleRoles)
+        }
+      });
+
+      // Attach employee names for display
+      const employeeInfo = new Map(employees.map(e => [e.id, {
+        first_name: e.first_name,
+        last_name: e.last_name,
+        email: e.email,
+        current_allocation: e.current_allocation
+      }]));
+      const withEmployee = (entry) => ({ ...entry, employee: employeeInfo.get(entry.employee_id) || null });
+
+      plan.assignments = plan.assignments.map(a => ({
+        ...withEmployee(a),
+        alternatives: a.alternatives.map(withEmployee)
+      }));
+      plan.unfilled = plan.unfilled.map(u => ({
+        ...u,
+        alternatives: u.alternatives.map(withEmployee)
+      }));
+
+      await prisma.project_activity_logs.create({
+        data: {
+          project_id: projectId,
+          activity_type: 'STAFFING_PLAN_GENERATED',
+          description: `Staffing plan generated for ${roles.length} role(s)`,
+          user_id: String(req.user.id),
+          metadata: {
+            role_ids: roles.map(r => r.id),
+            candidates_evaluated: employees.length,
+            summary: plan.summary,
+            scoring_profile: MatchingProfileService.toSnapshot(profile)
+          }
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          project_id: projectId,
+          scoring_profile: MatchingProfileService.toSnapshot(profile),
+          ...plan
+        }
+      });
+
+    } catch (error) {
+      console.error('Error optimizing project staffing:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate staffing plan'
+      });
+    }
+  }
+
   /**
    * Get available employees based on date range and filters
+   * Availability is time-phased: each employee carries a weekly calendar
+   * (assignments, absences, part-time schedules) over the project range.
+   * Open-ended ranges are evaluated over the next 26 weeks.
    */
   async getAvailableEmployees(tenantId, startDate, endDate, filters = {}) {
+    const rangeStart = new Date(toDay(startDate || new Date()));
+    const maxEnd = toDay(rangeStart) + AvailabilityCalendar.MAX_WEEKS * 7 * DAY_MS;
+    const rangeEnd = new Date(Math.min(
+      endDate ? toDay(endDate) : toDay(rangeStart) + 26 * 7 * DAY_MS,
+      maxEnd
+    ));
+
     const where = {
       tenant_id: tenantId,
       is_active: true
@@ -193,41 +380,31 @@ class MatchingController {
             languages: true
           }
         },
-        project_assignments: {
-          where: {
-            OR: [
-              {
-                AND: [
-                  { start_date: { lte: endDate || new Date('2100-01-01') } },
-                  { end_date: { gte: startDate || new Date() } }
-                ]
-              }
-            ],
-            is_active: true
-          }
-        }
+        ...AvailabilityCalendar.calendarInclude(rangeStart, rangeEnd)
       }
     });
 
     // Calculate availability for each employee
     return employees.map(employee => {
-      const totalAllocation = employee.project_assignments.reduce(
-        (sum, assignment) => sum + (assignment.allocation_percentage || 0),
-        0
-      );
+      const calendar = AvailabilityCalendar.calendarForEmployee(employee, rangeStart, rangeEnd);
 
       return {
         ...employee,
-        current_allocation: totalAllocation,
-        available_allocation: 100 - totalAllocation
+        availability_calendar: calendar,
+        current_allocation: calendar.summary.peak_allocated,
+        // Capacity free for the whole range (worst week)
+        available_allocation: calendar.summary.min_available
       };
     });
   }
 
   /**
    * Calculate match score for an employee-role pair
+   * @param {Object} employee - Employee with availability (see getAvailableEmployees)
+   * @param {Object} role - project_roles row
+   * @param {Object} [profile] - Scoring profile (defaults to the built-in 40/30/20/10)
    */
-  async calculateMatchScore(employee, role) {
+  async calculateMatchScore(employee, role, profile = DEFAULT_SCORING_PROFILE) {
     const scores = {
       skills_match: 0,
       availability_match: 0,
@@ -235,28 +412,23 @@ class MatchingController {
       preference_match: 0
     };
 
-    // 1. Skills Match (40%)
+    // 1. Skills Match
     scores.skills_match = await this.calculateSkillsMatch(employee, role);
 
-    // 2. Availability Match (30%)
+    // 2. Availability Match
     scores.availability_match = this.calculateAvailabilityMatch(employee, role);
 
-    // 3. Experience Match (20%)
+    // 3. Experience Match
     scores.experience_match = this.calculateExperienceMatch(employee, role);
 
-    // 4. Preference Match (10%)
+    // 4. Preference Match
     scores.preference_match = await this.calculatePreferenceMatch(employee, role);
 
     // Calculate total weighted score
-    const totalScore = (
-      scores.skills_match * 0.4 +
-      scores.availability_match * 0.3 +
-      scores.experience_match * 0.2 +
-      scores.preference_match * 0.1
-    );
+    const totalScore = this.calculateWeightedScore(scores, profile.weights);
 
     // Generate reasoning and recommendations
-    const reasoning = this.generateMatchReasoning(scores, employee, role);
+    const reasoning = this.generateMatchReasoning(scores, employee, role, profile.weights);
     const risks = this.identifyRisks(scores, employee, role);
     const growth = this.assessGrowthPotential(scores, employee, role);
 
@@ -271,6 +443,21 @@ class MatchingController {
     };
   }
 
+  /**
+   * Combine per-factor scores using profile weights
+   * @param {Object} scores - { skills_match, availability_match, experience_match, preference_match }
+   * @param {Object} weights - { skills, availability, experience, preferences } as fractions summing to 1
+   * @returns {number} Weighted score (0-100, not rounded)
+   */
+  calculateWeightedScore(scores, weights = DEFAULT_SCORING_PROFILE.weights) {
+    return (
+      scores.skills_match * weights.skills +
+      scores.availability_match * weights.availability +
+      scores.experience_match * weights.experience +
+      scores.preference_match * weights.preferences
+    );
+  }
+
   /**
    * Calculate skills match score
    * Uses proficiency-weighted scoring: each matched skill contributes
@@ -350,10 +537,20 @@ class MatchingController {
 
   /**
    * Calculate availability match score
+   * With a weekly calendar, each week scores available/required (capped
+   * at 1) and the result is the average over the project range, so that
+   * being free in March but fully booked in April is partially credited.
    */
   calculateAvailabilityMatch(employee, role) {
     const requiredAllocation = role.allocation_percentage || 100;
-    const availableAllocation = employee.available_allocation || 100;
+
+    const weeks = (employee.availability_calendar?.weeks || []).filter(w => w.working_days > 0);
+    if (weeks.length > 0) {
+      const weeklyScores = weeks.map(w => Math.min(w.available / requiredAllocation, 1));
+      return Math.round((weeklyScores.reduce((sum, v) => sum + v, 0) / weeks.length) * 100);
+    }
+
+    const availableAllocation = employee.available_allocation ?? 100;
 
     if (availableAllocation >= requiredAllocation) {
       return 100;
@@ -514,7 +711,7 @@ class MatchingController {
   /**
    * Generate match reasoning explanation
    */
-  generateMatchReasoning(scores, employee, role) {
+  generateMatchReasoning(scores, employee, role, weights = DEFAULT_SCORING_PROFILE.weights) {
     const reasoning = {
       strengths: [],
       weaknesses: [],
@@ -541,8 +738,7 @@ class MatchingController {
     }
 
     // Overall assessment (weighted average matching the algorithm weights)
-    const avgScore = scores.skills_match * 0.4 + scores.availability_match * 0.3 +
-                     scores.experience_match * 0.2 + scores.preference_match * 0.1;
+    const avgScore = this.calculateWeightedScore(scores, weights);
 
     if (avgScore >= 80) {
       reasoning.overall = 'Excellent match - highly recommended';
@@ -623,7 +819,7 @@ class MatchingController {
    */
   suggestAllocation(employee, role, scores) {
     const requiredAllocation = role.allocation_percentage || 100;
-    const availableAllocation = employee.available_allocation || 100;
+    const availableAllocation = employee.available_allocation ?? 100;
 
     if (availableAllocation >= requiredAllocation) {
       return requiredAllocation;
@@ -0,0 +1,244 @@
+/**
+ * Scoring Profile Controller
+ * @module controllers/project/scoringProfile
+ * @created 2026-10-19
+ *
+ * CRUD for tenant matching scoring profiles (matching_scoring_profiles).
+ * Profiles are soft-deleted so that project_matching_results rows keep
+ * a valid reference to the profile that produced them.
+ */
+
+const prisma = require('../../config/database');
+const MatchingProfileService = require('../../services/matchingProfileService');
+
+class ScoringProfileController {
+  /**
+   * List active scoring profiles for the tenant
+   * GET /api/matching-profiles
+   */
+  async getProfiles(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const profiles = await prisma.matching_scoring_profiles.findMany({
+        where: { tenant_id: tenantId, is_active: true },
+        orderBy: [{ is_default: 'desc' }, { name: 'asc' }]
+      });
+
+      res.json({
+        success: true,
+        data: profiles,
+        builtin_default: MatchingProfileService.toSnapshot(MatchingProfileService.DEFAULT_SCORING_PROFILE),
+        count: profiles.length
+      });
+    } catch (error) {
+      console.error('Error fetching scoring profiles:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch scoring profiles'
+      });
+    }
+  }
+
+  /**
+   * Get a single scoring profile
+   * GET /api/matching-profiles/:profileId
+   */
+  async getProfileById(req, res) {
+    try {
+      const { profileId } = req.params;
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const profile = await prisma.matching_scoring_profiles.findFirst({
+        where: { id: profileId, tenant_id: tenantId, is_active: true }
+      });
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scoring profile not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      console.error('Error fetching scoring profile:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch scoring profile'
+      });
+    }
+  }
+
+  /**
+   * Create a scoring profile
+   * POST /api/matching-profiles
+   * Body: { name, description?, weights: { skills, availability, experience, preferences },
+   *         min_match_score?, shortlist_threshold?, is_default? }
+   */
+  async createProfile(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const { errors, data } = MatchingProfileService.validateProfileInput(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid scoring profile',
+          details: errors
+        });
+      }
+
+      const profile = await prisma.$transaction(async (tx) => {
+        if (data.is_default) {
+          await tx.matching_scoring_profiles.updateMany({
+            where: { tenant_id: tenantId, is_default: true },
+            data: { is_default: false, updated_at: new Date() }
+          });
+        }
+
+        return tx.matching_scoring_profiles.create({
+          data: {
+            ...data,
+            tenant_id: tenantId,
+            created_by: String(req.user.id)
+          }
+        });
+      });
+
+      res.status(201).json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      console.error('Error creating scoring profile:', error);
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          error: 'A scoring profile with this name already exists'
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create scoring profile'
+      });
+    }
+  }
+
+  /**
+   * Update a scoring profile
+   * PUT /api/matching-profiles/:profileId
+   */
+  async updateProfile(req, res) {
+    try {
+      const { profileId } = req.params;
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const existing = await prisma.matching_scoring_profiles.findFirst({
+        where: { id: profileId, tenant_id: tenantId, is_active: true }
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scoring profile not found'
+        });
+      }
+
+      const { errors, data } = MatchingProfileService.validateProfileInput(req.body, { partial: true });
+
+      // Thresholds may be updated one at a time: validate against stored value
+      const minScore = data.min_match_score ?? existing.min_match_score;
+      const shortlist = data.shortlist_threshold ?? existing.shortlist_threshold;
+      if (shortlist < minScore) {
+        errors.push('shortlist_threshold must be greater than or equal to min_match_score');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid scoring profile',
+          details: [...new Set(errors)]
+        });
+      }
+
+      const profile = await prisma.$transaction(async (tx) => {
+        if (data.is_default) {
+          await tx.matching_scoring_profiles.updateMany({
+            where: { tenant_id: tenantId, is_default: true, id: { not: profileId } },
+            data: { is_default: false, updated_at: new Date() }
+          });
+        }
+
+        return tx.matching_scoring_profiles.update({
+          where: { id: profileId },
+          data: { ...data, updated_at: new Date() }
+        });
+      });
+
+      res.json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      console.error('Error updating scoring profile:', error);
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          error: 'A scoring profile with this name already exists'
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update scoring profile'
+      });
+    }
+  }
+
+  /**
+   * Deactivate a scoring profile (soft delete)
+   * DELETE /api/matching-profiles/:profileId
+   */
+  async deleteProfile(req, res) {
+    try {
+      const { profileId } = req.params;
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const existing = await prisma.matching_scoring_profiles.findFirst({
+        where: { id: profileId, tenant_id: tenantId, is_active: true }
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scoring profile not found'
+        });
+      }
+
+      await prisma.matching_scoring_profiles.update({
+        where: { id: profileId },
+        data: {
+          is_active: false,
+          is_default: false,
+          updated_at: new Date()
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Scoring profile deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting scoring profile:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete scoring profile'
+      });
+    }
+  }
+}
+
+module.exports = new ScoringProfileController();
@@ -0,0 +1,78 @@
+/**
+ * Staffing Simulation Controller
+ * @module controllers/project/simulation
+ * @created 2026-10-19
+ *
+ * Sandbox "what-if" endpoint for project assignments. Read-only: use
+ * POST /api/projects/roles/:roleId/assign to commit an assignment.
+ */
+
+const prisma = require('../../config/database');
+const StaffingSimulationService = require('../../services/staffingSimulationService');
+
+class SimulationController {
+  /**
+   * Simulate assigning employees to a project
+   * POST /api/projects/:projectId/simulate-assignments
+   * Body: { assignments: [{ employee_id, role_id?, allocation_percentage?, start_date?, end_date? }] }
+   */
+  async simulateAssignments(req, res) {
+    try {
+      const projectId = parseInt(req.params.projectId);
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      if (isNaN(projectId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid project id'
+        });
+      }
+
+      const project = await prisma.projects.findFirst({
+        where: { id: projectId, tenant_id: tenantId },
+        include: { project_roles: true }
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      const { errors, assignments } = StaffingSimulationService.normalizeAssignments(
+        req.body.assignments,
+        project
+      );
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid simulation input',
+          details: errors
+        });
+      }
+
+      const result = await StaffingSimulationService.simulate({
+        tenantId,
+        project,
+        assignments
+      });
+
+      res.json({
+        success: true,
+        simulated: true,
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error simulating assignments:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to simulate assignments'
+      });
+    }
+  }
+}
+
+module.exports = new SimulationController();
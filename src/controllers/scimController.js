@@ -0,0 +1,327 @@
+/**
+ * SCIM Controller
+ * @module controllers/scimController
+ * @created 2026-10-19
+ *
+ * SCIM 2.0 endpoints (/scim/v2) used by identity providers to provision
+ * employees, tenant users and groups, plus the tenant admin endpoints that
+ * set the role granted by each provisioned group (/api/scim).
+ */
+
+const ScimUserService = require('../services/scim/scimUserService');
+const ScimGroupService = require('../services/scim/scimGroupService');
+const AuditLogService = require('../services/auditLogService');
+const prisma = require('../config/database');
+const { SCHEMAS, ScimError } = require('../services/scim/scimCommon');
+
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+const EMPLOYEE_AUDIT_FIELDS = [
+  'first_name', 'last_name', 'email', 'position', 'employee_code',
+  'department_id', 'manager_id', 'is_active', 'scim_external_id'
+];
+const GROUP_AUDIT_FIELDS = ['display_name', 'external_id', 'role'];
+
+class ScimController {
+  getTenantId(req) {
+    return req.user.tenant_id || req.user.tenantId;
+  }
+
+  getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  }
+
+  send(res, status, body) {
+    res.status(status).type('application/scim+json').send(JSON.stringify(body));
+  }
+
+  handleError(res, error, action) {
+    if (!(error instanceof ScimError)) {
+      if (error.code === 'P2002') {
+        error = new ScimError(409, 'Resource already exists', 'uniqueness');
+      } else {
+        console.error(`Error ${action}:`, error);
+        error = new ScimError(500, `Failed ${action}`);
+      }
+    }
+    this.send(res, error.status, error.toJSON());
+  }
+
+  /**
+   * GET /scim/v2/ServiceProviderConfig
+   */
+  serviceProviderConfig(req, res) {
+    this.send(res, 200, {
+      schemas: [SCHEMAS.SERVICE_PROVIDER_CONFIG],
+      patch: { supported: true },
+      bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+      filter: { supported: true, maxResults: 200 },
+      changePassword: { supported: false },
+      sort: { supported: false },
+      etag: { supported: false },
+      authenticationSchemes: [{
+        type: 'oauthbearertoken',
+        name: 'API key',
+        description: 'Tenant API key with the scim:write scope, sent as a bearer token',
+        primary: true
+      }]
+    });
+  }
+
+  /**
+   * GET /scim/v2/ResourceTypes
+   */
+  resourceTypes(req, res) {
+    const resources = [
+      { id: 'User', name: 'User', endpoint: '/Users', schema: SCHEMAS.USER,
+        schemaExtensions: [{ schema: SCHEMAS.ENTERPRISE_USER, required: false }] },
+      { id: 'Group', name: 'Group', endpoint: '/Groups', schema: SCHEMAS.GROUP }
+    ].map(resource => ({ schemas: [SCHEMAS.RESOURCE_TYPE], ...resource }));
+
+    this.send(res, 200, {
+      schemas: [SCHEMAS.LIST_RESPONSE],
+      totalResults: resources.length,
+      startIndex: 1,
+      itemsPerPage: resources.length,
+      Resources: resources
+    });
+  }
+
+  /**
+   * GET /scim/v2/Users
+   * Query: filter (userName|externalId|emails.value|id|active eq "..."), startIndex, count
+   */
+  async listUsers(req, res) {
+    try {
+      this.send(res, 200, await ScimUserService.list(this.getTenantId(req), req.query, this.getBaseUrl(req)));
+    } catch (error) {
+      this.handleError(res, error, 'listing SCIM users');
+    }
+  }
+
+  /**
+   * GET /scim/v2/Users/:id
+   */
+  async getUser(req, res) {
+    try {
+      const employee = await ScimUserService.findEmployee(this.getTenantId(req), req.params.id);
+      this.send(res, 200, ScimUserService.toResource(employee, this.getBaseUrl(req)));
+    } catch (error) {
+      this.handleError(res, error, 'fetching SCIM user');
+    }
+  }
+
+  /**
+   * POST /scim/v2/Users
+   */
+  async createUser(req, res) {
+    try {
+      const tenantId = this.getTenantId(req);
+      const { defaultRole } = await ScimGroupService.getRoleSettings(tenantId);
+      const employee = await ScimUserService.create(tenantId, req.body, { defaultRole });
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.CREATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE,
+        entityId: employee.id,
+        after: AuditLogService.snapshot(employee, EMPLOYEE_AUDIT_FIELDS)
+      });
+
+      this.send(res, 201, ScimUserService.toResource(employee, this.getBaseUrl(req)));
+    } catch (error) {
+      this.handleError(res, error, 'creating SCIM user');
+    }
+  }
+
+  /**
+   * PUT /scim/v2/Users/:id and PATCH /scim/v2/Users/:id
+   */
+  async updateUser(req, res) {
+    try {
+      const tenantId = this.getTenantId(req);
+      const { defaultRole } = await ScimGroupService.getRoleSettings(tenantId);
+      const { before, after } = req.method === 'PATCH'
+        ? await ScimUserService.patch(tenantId, req.params.id, req.body, { defaultRole })
+        : await ScimUserService.replace(tenantId, req.params.id, req.body, { defaultRole });
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE,
+        entityId: after.id,
+        before: AuditLogService.snapshot(before, EMPLOYEE_AUDIT_FIELDS),
+        after: AuditLogService.snapshot(after, EMPLOYEE_AUDIT_FIELDS)
+      });
+
+      this.send(res, 200, ScimUserService.toResource(after, this.getBaseUrl(req)));
+    } catch (error) {
+      this.handleError(res, error, 'updating SCIM user');
+    }
+  }
+
+  /**
+   * DELETE /scim/v2/Users/:id (deactivates the employee and its tenant user)
+   */
+  async deleteUser(req, res) {
+    try {
+      const employee = await ScimUserService.deactivate(this.getTenantId(req), req.params.id);
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE,
+        entityId: employee.id,
+        before: AuditLogService.snapshot(employee, EMPLOYEE_AUDIT_FIELDS),
+        after: { ...AuditLogService.snapshot(employee, EMPLOYEE_AUDIT_FIELDS), is_active: false }
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      this.handleError(res, error, 'deleting SCIM user');
+    }
+  }
+
+  /**
+   * GET /scim/v2/Groups
+   * Query: filter (displayName|externalId|id eq "..."), excludedAttributes, startIndex, count
+   */
+  async listGroups(req, res) {
+    try {
+      this.send(res, 200, await ScimGroupService.list(this.getTenantId(req), req.query, this.getBaseUrl(req)));
+    } catch (error) {
+      this.handleError(res, error, 'listing SCIM groups');
+    }
+  }
+
+  /**
+   * GET /scim/v2/Groups/:id
+   */
+  async getGroup(req, res) {
+    try {
+      const group = await ScimGroupService.findGroup(this.getTenantId(req), req.params.id);
+      this.send(res, 200, ScimGroupService.toResource(group, this.getBaseUrl(req)));
+    } catch (error) {
+      this.handleError(res, error, 'fetching SCIM group');
+    }
+  }
+
+  /**
+   * POST /scim/v2/Groups
+   */
+  async createGroup(req, res) {
+    try {
+      const group = await ScimGroupService.create(this.getTenantId(req), req.body);
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.CREATE,
+        entity: AUDIT_ENTITIES.SCIM_GROUP,
+        entityId: group.id,
+        after: AuditLogService.snapshot(group, GROUP_AUDIT_FIELDS)
+      });
+
+      this.send(res, 201, ScimGroupService.toResource(group, this.getBaseUrl(req)));
+    } catch (error) {
+      this.handleError(res, error, 'creating SCIM group');
+    }
+  }
+
+  /**
+   * PUT /scim/v2/Groups/:id and PATCH /scim/v2/Groups/:id
+   */
+  async updateGroup(req, res) {
+    try {
+      const tenantId = this.getTenantId(req);
+      const group = req.method === 'PATCH'
+        ? await ScimGroupService.patch(tenantId, req.params.id, req.body)
+        : await ScimGroupService.replace(tenantId, req.params.id, req.body);
+
+      this.send(res, 200, ScimGroupService.toResource(group, this.getBaseUrl(req)));
+    } catch (error) {
+      this.handleError(res, error, 'updating SCIM group');
+    }
+  }
+
+  /**
+   * DELETE /scim/v2/Groups/:id
+   */
+  async deleteGroup(req, res) {
+    try {
+      const group = await ScimGroupService.remove(this.getTenantId(req), req.params.id);
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.DELETE,
+        entity: AUDIT_ENTITIES.SCIM_GROUP,
+        entityId: group.id,
+        before: AuditLogService.snapshot(group, GROUP_AUDIT_FIELDS)
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      this.handleError(res, error, 'deleting SCIM group');
+    }
+  }
+
+  /**
+   * Provisioned groups with the role they grant
+   * GET /api/scim/groups
+   */
+  async getGroupRoles(req, res) {
+    try {
+      const groups = await prisma.scim_groups.findMany({
+        where: { tenant_id: this.getTenantId(req) },
+        orderBy: { display_name: 'asc' },
+        include: { _count: { select: { scim_group_members: true } } }
+      });
+
+      res.json({
+        success: true,
+        data: groups.map(({ _count, ...group }) => ({ ...group, member_count: _count.scim_group_members })),
+        roles: ScimGroupService.GROUP_ROLES
+      });
+    } catch (error) {
+      console.error('Error fetching SCIM groups:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch SCIM groups'
+      });
+    }
+  }
+
+  /**
+   * Set the role granted by a group and resync its members
+   * PUT /api/scim/groups/:id/role
+   * Body: { role } (null for none)
+   */
+  async setGroupRole(req, res) {
+    try {
+      const tenantId = this.getTenantId(req);
+      const before = await ScimGroupService.findGroup(tenantId, req.params.id);
+      const group = await ScimGroupService.setRole(tenantId, req.params.id, req.body.role);
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.SCIM_GROUP,
+        entityId: group.id,
+        before: AuditLogService.snapshot(before, GROUP_AUDIT_FIELDS),
+        after: AuditLogService.snapshot(group, GROUP_AUDIT_FIELDS)
+      });
+
+      res.json({
+        success: true,
+        data: group
+      });
+    } catch (error) {
+      if (error instanceof ScimError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error setting SCIM group role:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to set group role'
+      });
+    }
+  }
+}
+
+module.exports = new ScimController();
@@ -0,0 +1,116 @@
+/**
+ * Session Controller
+ * @module controllers/sessionController
+ * @created 2026-10-19
+ *
+ * Devices the logged-in user is signed in on, revocation of one of them,
+ * and "log out everywhere" for tenant admins.
+ */
+
+const SessionService = require('../services/sessionService');
+const AuditLogService = require('../services/auditLogService');
+
+const { SessionError } = SessionService;
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+class SessionController {
+  getTenantId(req) {
+    return req.user.tenant_id || req.user.tenantId;
+  }
+
+  handleError(res, error, action, message) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message
+    });
+  }
+
+  /**
+   * Open sessions of the current user; the one of the request is flagged as current
+   * GET /api/sessions
+   */
+  async getSessions(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: await SessionService.listForUser(req.user.id, req.user.sid)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'fetching sessions', 'Failed to fetch sessions');
+    }
+  }
+
+  /**
+   * Log one of the current user's devices out
+   * DELETE /api/sessions/:id
+   */
+  async revokeSession(req, res) {
+    try {
+      await SessionService.revokeOwn(req.user.id, req.params.id);
+
+      res.json({
+        success: true,
+        message: req.params.id === req.user.sid ? 'Logged out' : 'Session revoked'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'revoking session', 'Failed to revoke session');
+    }
+  }
+
+  /**
+   * Open sessions of a user of the tenant
+   * GET /api/sessions/users/:userId
+   */
+  async getUserSessions(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: await SessionService.listForTenantUser(this.getTenantId(req), req.params.userId)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'fetching user sessions', 'Failed to fetch user sessions');
+    }
+  }
+
+  /**
+   * Log a user of the tenant out of every device
+   * DELETE /api/sessions/users/:userId
+   */
+  async revokeUserSessions(req, res) {
+    try {
+      const { user, revoked } = await SessionService.revokeAllForTenantUser(
+        this.getTenantId(req),
+        req.params.userId,
+        req.user.id
+      );
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.TENANT_USER,
+        entityId: user.id,
+        before: { active_sessions: revoked },
+        after: { active_sessions: 0 }
+      });
+
+      console.log(`🔒 ${user.email} logged out of ${revoked} session(s) by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'User logged out of every device',
+        data: { revoked }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'revoking user sessions', 'Failed to revoke user sessions');
+    }
+  }
+}
+
+module.exports = new SessionController();
@@ -7,6 +7,7 @@
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
 const pdfGenerator = require('../services/pdfGeneratorService');
+const DevelopmentPlanService = require('../services/developmentPlanService');
 const path = require('path');
 
 /**
@@ -568,6 +569,9 @@ const completeAssessment = async (req, res) => {
           score: avgScore
         });
       }
+
+      // Refresh development plan goals linked to these soft skills
+      DevelopmentPlanService.scheduleSync(employeeId, 'soft skill assessment');
     }
 
     res.json({
@@ -0,0 +1,271 @@
+/**
+ * SSO Controller
+ * @module controllers/ssoController
+ * @created 2026-10-19
+ *
+ * Single sign-on: IdP discovery, login redirects, OIDC/SAML callbacks and the
+ * tenant SSO configuration. Callbacks end on the frontend with the tokens in
+ * the URL fragment, or on its login page with an sso_error code.
+ */
+
+const SSOService = require('../services/sso/ssoService');
+const SAMLProvider = require('../services/sso/samlProvider');
+const AuthTokenService = require('../services/authTokenService');
+const SessionService = require('../services/sessionService');
+const AuditLogService = require('../services/auditLogService');
+
+const { SSOError } = SSOService;
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+const CONFIG_AUDIT_FIELDS = [
+  'protocol', 'is_enabled', 'oidc_discovery_url', 'oidc_client_id', 'oidc_client_secret',
+  'oidc_scopes', 'saml_entry_point', 'saml_idp_issuer', 'email_domains', 'groups_claim',
+  'role_mapping', 'default_role', 'jit_provisioning', 'password_login_disabled'
+];
+
+class SSOController {
+  /**
+   * Send the browser back to the frontend login page with an error code
+   */
+  redirectWithError(res, error) {
+    const code = error instanceof SSOError ? error.code : 'SSO_FAILED';
+    if (!(error instanceof SSOError)) console.error('SSO login error:', error);
+
+    const url = new URL('/login', process.env.FRONTEND_URL || 'http://localhost:5173');
+    url.searchParams.set('sso_error', code);
+    res.redirect(url.toString());
+  }
+
+  async loadTenant(req) {
+    const tenant = await SSOService.findTenant(req.params.tenant);
+    const config = await SSOService.getEnabledConfig(tenant);
+    return { tenant, config };
+  }
+
+  /**
+   * Provision the user, issue our tokens and hand them to the frontend
+   */
+  async completeLogin(req, res, tenant, config, profile) {
+    const user = await SSOService.provisionUser(tenant, config, profile);
+    const { accessToken, refreshToken } = await AuthTokenService.issueTokens(user, SessionService.contextFromRequest(req));
+
+    console.log(`✅ SSO login: ${user.email} (tenant ${tenant.slug || tenant.id}, ${config.protocol})`);
+
+    const fragment = new URLSearchParams({ accessToken, refreshToken }).toString();
+    res.redirect(`${AuthTokenService.getRedirectUrl(user.role)}/sso/callback#${fragment}`);
+  }
+
+  /**
+   * Identity provider handling an email address
+   * GET /api/sso/discover?email=
+   */
+  async discover(req, res) {
+    try {
+      if (!req.query.email) {
+        return res.status(400).json({
+          success: false,
+          error: 'email is required'
+        });
+      }
+
+      const result = await SSOService.discover(req.query.email);
+
+      res.json({
+        success: true,
+        data: result ? { sso: true, ...result } : { sso: false }
+      });
+    } catch (error) {
+      console.error('Error discovering SSO:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to discover SSO'
+      });
+    }
+  }
+
+  /**
+   * Redirect to the tenant identity provider
+   * GET /api/sso/:tenant/login
+   */
+  async login(req, res) {
+    try {
+      const { tenant, config } = await this.loadTenant(req);
+      res.redirect(await SSOService.getLoginUrl(tenant, config));
+    } catch (error) {
+      this.redirectWithError(res, error);
+    }
+  }
+
+  /**
+   * OIDC authorization code callback
+   * GET /api/sso/:tenant/oidc/callback
+   */
+  async oidcCallback(req, res) {
+    try {
+      if (req.query.error) {
+        throw new SSOError(`Identity provider error: ${req.query.error}`, 'SSO_IDP_ERROR', 401);
+      }
+
+      const { tenant, config } = await this.loadTenant(req);
+      const profile = await SSOService.handleOidcCallback(tenant, config, req.query);
+      await this.completeLogin(req, res, tenant, config, profile);
+    } catch (error) {
+      this.redirectWithError(res, error);
+    }
+  }
+
+  /**
+   * SAML assertion consumer service (HTTP-POST binding)
+   * POST /api/sso/:tenant/saml/acs
+   */
+  async samlAcs(req, res) {
+    try {
+      const { tenant, config } = await this.loadTenant(req);
+      const profile = await SSOService.handleSamlResponse(tenant, config, req.body);
+      await this.completeLogin(req, res, tenant, config, profile);
+    } catch (error) {
+      this.redirectWithError(res, error);
+    }
+  }
+
+  /**
+   * Service provider metadata to register at the IdP
+   * GET /api/sso/:tenant/saml/metadata
+   */
+  async samlMetadata(req, res) {
+    try {
+      const tenant = await SSOService.findTenant(req.params.tenant);
+      const config = tenant ? await SSOService.getConfig(tenant.id) : null;
+      if (!config || config.protocol !== 'SAML' || !config.saml_idp_cert) {
+        return res.status(404).json({
+          success: false,
+          error: 'SAML is not configured for this organization'
+        });
+      }
+
+      res.type('application/xml').send(
+        SAMLProvider.getServiceProviderMetadata(config, SSOService.getServiceProvider(tenant))
+      );
+    } catch (error) {
+      console.error('Error generating SAML metadata:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate SAML metadata'
+      });
+    }
+  }
+
+  /**
+   * SSO configuration of the tenant, with the endpoints to register at the IdP
+   * GET /api/sso/config
+   */
+  async getConfig(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const tenant = await SSOService.findTenant(tenantId);
+      const config = await SSOService.getConfig(tenantId);
+
+      res.json({
+        success: true,
+        data: {
+          config: SSOService.toPublicConfig(config),
+          service_provider: tenant ? SSOService.getServiceProvider(tenant) : null
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching SSO configuration:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch SSO configuration'
+      });
+    }
+  }
+
+  /**
+   * Create or update the SSO configuration of the tenant
+   * PUT /api/sso/config
+   * Body: { protocol, is_enabled?, oidc_discovery_url?, oidc_client_id?, oidc_client_secret?,
+   *         oidc_scopes?, saml_metadata_xml?, email_domains?, groups_claim?, role_mapping?,
+   *         default_role?, jit_provisioning?, password_login_disabled? }
+   */
+  async updateConfig(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const before = await SSOService.getConfig(tenantId);
+
+      const { errors, data } = await SSOService.validateConfigInput(req.body, before, tenantId);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid SSO configuration',
+          details: errors
+        });
+      }
+
+      const config = await SSOService.saveConfig(tenantId, data, req.user.email || null);
+
+      await AuditLogService.record(req, {
+        action: before ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE,
+        entity: AUDIT_ENTITIES.SSO_CONFIG,
+        entityId: config.id,
+        before: AuditLogService.snapshot(before, CONFIG_AUDIT_FIELDS),
+        after: AuditLogService.snapshot(config, CONFIG_AUDIT_FIELDS)
+      });
+
+      res.json({
+        success: true,
+        data: SSOService.toPublicConfig(config)
+      });
+    } catch (error) {
+      if (error instanceof SSOError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+      console.error('Error saving SSO configuration:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save SSO configuration'
+      });
+    }
+  }
+
+  /**
+   * Remove the SSO configuration (password login applies again)
+   * DELETE /api/sso/config
+   */
+  async deleteConfig(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const config = await SSOService.removeConfig(tenantId);
+      if (!config) {
+        return res.status(404).json({
+          success: false,
+          error: 'SSO is not configured'
+        });
+      }
+
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.DELETE,
+        entity: AUDIT_ENTITIES.SSO_CONFIG,
+        entityId: config.id,
+        before: AuditLogService.snapshot(config, CONFIG_AUDIT_FIELDS)
+      });
+
+      res.json({
+        success: true,
+        message: 'SSO configuration deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting SSO configuration:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete SSO configuration'
+      });
+    }
+  }
+}
+
+module.exports = new SSOController();
@@ -8,8 +8,17 @@ const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const prisma = require('../config/database');
 const tenantUserService = require('../services/tenantUserService');
+const AuditLogService = require('../services/auditLogService');
 const { generateTempPassword, formatUserResponse, generateImportReport } = require('../utils/tenantUserHelpers');
 
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+// tenant_users fields recorded in the audit trail (secrets are redacted)
+const AUDITED_USER_FIELDS = [
+  'email', 'role', 'is_active', 'employee_id', 'first_name', 'last_name', 'position',
+  'force_password_change', 'password', 'password_hash'
+];
+
 /**
  * @description Ottiene tutti gli utenti di un tenant
  * @param {Object} req - Express request
@@ -121,6 +130,14 @@ const createUser = async (req, res) => {
       password_hash: hashedPassword
     });
 
+    await AuditLogService.record(req, {
+      action: AUDIT_ACTIONS.CREATE,
+      entity: AUDIT_ENTITIES.TENANT_USER,
+      entityId: newUser.id,
+      after: AuditLogService.snapshot({ ...userData, ...newUser }, AUDITED_USER_FIELDS),
+      tenantId
+    });
+
     res.status(201).json({
       success: true,
       message: 'User created successfully',
@@ -172,6 +189,7 @@ const updateUser = async (req, res) => {
       delete updateData.forcePasswordChange;
     }
 
+    const existingUser = await tenantUserService.getUserById(userId, tenantId);
     const updatedUser = await tenantUserService.updateUser(userId, tenantId, updateData);
 
     if (!updatedUser) {
@@ -181,6 +199,21 @@ const updateUser = async (req, res) => {
       });
     }
 
+    await AuditLogService.record(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      entity: AUDIT_ENTITIES.TENANT_USER,
+      entityId: userId,
+      before: AuditLogService.snapshot(existingUser, AUDITED_USER_FIELDS),
+      after: AuditLogService.snapshot({
+        ...updatedUser,
+        // Names and position are stored on employees
+        first_name: updateData.first_name ?? existingUser.first_name,
+        last_name: updateData.last_name ?? existingUser.last_name,
+        position: updateData.position ?? existingUser.position
+      }, AUDITED_USER_FIELDS),
+      tenantId
+    });
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -205,6 +238,7 @@ const deleteUser = async (req, res) => {
   try {
     const { tenantId, userId } = req.params;
 
+    const existingUser = await tenantUserService.getUserById(userId, tenantId);
     const deleted = await tenantUserService.deleteUser(userId, tenantId);
 
     if (!deleted) {
@@ -214,6 +248,14 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    await AuditLogService.record(req, {
+      action: AUDIT_ACTIONS.DELETE,
+      entity: AUDIT_ENTITIES.TENANT_USER,
+      entityId: userId,
+      before: AuditLogService.snapshot(existingUser, AUDITED_USER_FIELDS),
+      tenantId
+    });
+
     res.json({
       success: true,
       message: 'User deleted successfully'
@@ -323,6 +365,15 @@ const updateTenantUserById = async (req, res) => {
       }
     });
 
+    await AuditLogService.record(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      entity: AUDIT_ENTITIES.TENANT_USER,
+      entityId: id,
+      before: AuditLogService.snapshot(tenantUser, AUDITED_USER_FIELDS),
+      after: AuditLogService.snapshot(updated, AUDITED_USER_FIELDS),
+      tenantId: tenantUser.tenant_id
+    });
+
     res.json({
       success: true,
       message: 'Utente aggiornato con successo',
@@ -370,7 +421,7 @@ const updateTenantUserPassword = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Update the password
-    await prisma.tenant_users.update({
+    const updated = await prisma.tenant_users.update({
       where: { id: id },
       data: {
         password: hashedPassword,
@@ -379,6 +430,15 @@ const updateTenantUserPassword = async (req, res) => {
       }
     });
 
+    await AuditLogService.record(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      entity: AUDIT_ENTITIES.TENANT_USER,
+      entityId: id,
+      before: AuditLogService.snapshot(tenantUser, AUDITED_USER_FIELDS),
+      after: AuditLogService.snapshot(updated, AUDITED_USER_FIELDS),
+      tenantId: tenantUser.tenant_id
+    });
+
     res.json({
       success: true,
       message: 'Password aggiornata con successo'
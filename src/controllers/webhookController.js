@@ -0,0 +1,430 @@
+/**
+ * Webhook Controller
+ * @module controllers/webhookController
+ * @created 2026-10-19
+ *
+ * Tenant webhook subscriptions, their delivery log, replay and test ping.
+ */
+
+const prisma = require('../config/database');
+const WebhookService = require('../services/webhooks/webhookService');
+
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = WebhookService;
+
+const findSubscription = (tenantId, id) => prisma.webhook_subscriptions.findFirst({
+  where: { id, tenant_id: tenantId }
+});
+
+class WebhookController {
+  /**
+   * Event types available for subscriptions
+   * GET /api/webhooks/events
+   */
+  async getEvents(req, res) {
+    res.json({
+      success: true,
+      data: Object.values(WEBHOOK_EVENTS).filter(e => e !== WEBHOOK_EVENTS.PING)
+    });
+  }
+
+  /**
+   * List webhook subscriptions of the tenant
+   * GET /api/webhooks
+   */
+  async getSubscriptions(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const subscriptions = await prisma.webhook_subscriptions.findMany({
+        where: { tenant_id: tenantId },
+        orderBy: { created_at: 'asc' }
+      });
+
+      res.json({
+        success: true,
+        data: subscriptions.map(s => WebhookService.serialize(s)),
+        count: subscriptions.length
+      });
+    } catch (error) {
+      console.error('Error fetching webhook subscriptions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook subscriptions'
+      });
+    }
+  }
+
+  /**
+   * Get a webhook subscription with its delivery summary
+   * GET /api/webhooks/:id
+   */
+  async getSubscription(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const subscription = await findSubscription(tenantId, req.params.id);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook subscription not found'
+        });
+      }
+
+      const [byStatus, lastDelivery] = await Promise.all([
+        prisma.webhook_deliveries.groupBy({
+          by: ['status'],
+          where: { subscription_id: subscription.id },
+          _count: { _all: true }
+        }),
+        prisma.webhook_deliveries.findFirst({
+          where: { subscription_id: subscription.id, attempts: { gt: 0 } },
+          orderBy: { updated_at: 'desc' },
+          select: { id: true, event_type: true, status: true, response_status: true, updated_at: true }
+        })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ...WebhookService.serialize(subscription),
+          deliveries: Object.fromEntries(byStatus.map(s => [s.status, s._count._all])),
+          last_delivery: lastDelivery
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching webhook subscription:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook subscription'
+      });
+    }
+  }
+
+  /**
+   * Create a webhook subscription (the signing secret is returned only here)
+   * POST /api/webhooks
+   * Body: { name, url, event_types?: [], is_active? }
+   */
+  async createSubscription(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const { errors, data } = WebhookService.validateSubscriptionInput(req.body);
+      if (errors.length === 0) {
+        errors.push(...await WebhookService.validateSubscriptionUrl(data.url));
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid webhook subscription',
+          details: errors
+        });
+      }
+
+      const subscription = await prisma.webhook_subscriptions.create({
+        data: {
+          ...data,
+          tenant_id: tenantId,
+          secret: WebhookService.generateSecret(),
+          created_by: String(req.user.id)
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: WebhookService.serialize(subscription, { revealSecret: true }),
+        message: 'Webhook subscription created. Store the secret now: it will not be shown again'
+      });
+    } catch (error) {
+      console.error('Error creating webhook subscription:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook subscription'
+      });
+    }
+  }
+
+  /**
+   * Update a webhook subscription
+   * PUT /api/webhooks/:id
+   */
+  async updateSubscription(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const existing = await findSubscription(tenantId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook subscription not found'
+        });
+      }
+
+      const { errors, data } = WebhookService.validateSubscriptionInput(req.body, { partial: true });
+      if (errors.length === 0) {
+        errors.push(...await WebhookService.validateSubscriptionUrl(data.url || existing.url));
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid webhook subscription',
+          details: errors
+        });
+      }
+
+      const subscription = await prisma.webhook_subscriptions.update({
+        where: { id: existing.id },
+        data: { ...data, updated_at: new Date() }
+      });
+
+      res.json({
+        success: true,
+        data: WebhookService.serialize(subscription),
+        message: 'Webhook subscription updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating webhook subscription:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update webhook subscription'
+      });
+    }
+  }
+
+  /**
+   * Delete a webhook subscription and its delivery log
+   * DELETE /api/webhooks/:id
+   */
+  async deleteSubscription(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const { count } = await prisma.webhook_subscriptions.deleteMany({
+        where: { id: req.params.id, tenant_id: tenantId }
+      });
+
+      if (count === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook subscription not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Webhook subscription deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting webhook subscription:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete webhook subscription'
+      });
+    }
+  }
+
+  /**
+   * Replace the signing secret (pending deliveries are signed with the new one)
+   * POST /api/webhooks/:id/rotate-secret
+   */
+  async rotateSecret(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const existing = await findSubscription(tenantId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook subscription not found'
+        });
+      }
+
+      const subscription = await prisma.webhook_subscriptions.update({
+        where: { id: existing.id },
+        data: { secret: WebhookService.generateSecret(), updated_at: new Date() }
+      });
+
+      res.json({
+        success: true,
+        data: WebhookService.serialize(subscription, { revealSecret: true }),
+        message: 'Webhook secret rotated. Store the new secret now: it will not be shown again'
+      });
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rotate webhook secret'
+      });
+    }
+  }
+
+  /**
+   * Send a signed PING event to the subscription right away
+   * POST /api/webhooks/:id/ping
+   */
+  async pingSubscription(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const subscription = await findSubscription(tenantId, req.params.id);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook subscription not found'
+        });
+      }
+
+      const delivery = await WebhookService.ping(subscription);
+      const delivered = delivery.status === 'DELIVERED';
+
+      res.status(delivered ? 200 : 502).json({
+        success: delivered,
+        data: delivery,
+        ...(delivered
+          ? { message: 'Ping delivered' }
+          : { error: `Ping failed: ${delivery.last_error}` })
+      });
+    } catch (error) {
+      console.error('Error pinging webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to ping webhook'
+      });
+    }
+  }
+
+  /**
+   * Delivery log of a subscription
+   * GET /api/webhooks/:id/deliveries?status=&event_type=&page=1&limit=50
+   */
+  async getDeliveries(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const subscription = await findSubscription(tenantId, req.params.id);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook subscription not found'
+        });
+      }
+
+      const where = { subscription_id: subscription.id };
+      if (req.query.status) {
+        const status = String(req.query.status).toUpperCase();
+        if (!DELIVERY_STATUSES.includes(status)) {
+          return res.status(400).json({
+            success: false,
+            error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+          });
+        }
+        where.status = status;
+      }
+      if (req.query.event_type) where.event_type = String(req.query.event_type).toUpperCase();
+
+      const [deliveries, total] = await Promise.all([
+        prisma.webhook_deliveries.findMany({
+          where,
+          select: {
+            id: true,
+            event_id: true,
+            event_type: true,
+            status: true,
+            attempts: true,
+            max_attempts: true,
+            next_attempt_at: true,
+            response_status: true,
+            duration_ms: true,
+            last_error: true,
+            delivered_at: true,
+            replay_of: true,
+            created_at: true
+          },
+          orderBy: { created_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.webhook_deliveries.count({ where })
+      ]);
+
+      res.json({
+        success: true,
+        data: deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook deliveries'
+      });
+    }
+  }
+
+  /**
+   * Delivery detail with payload and last response
+   * GET /api/webhooks/deliveries/:deliveryId
+   */
+  async getDelivery(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const delivery = await prisma.webhook_deliveries.findFirst({
+        where: { id: req.params.deliveryId, tenant_id: tenantId }
+      });
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook delivery not found'
+        });
+      }
+
+      res.json({ success: true, data: delivery });
+    } catch (error) {
+      console.error('Error fetching webhook delivery:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook delivery'
+      });
+    }
+  }
+
+  /**
+   * Queue the event of a delivery again (same event id, new delivery)
+   * POST /api/webhooks/deliveries/:deliveryId/replay
+   */
+  async replayDelivery(req, res) {
+    try {
+      const tenantId = req.user.tenant_id || req.user.tenantId;
+
+      const delivery = await WebhookService.replay(tenantId, req.params.deliveryId);
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook delivery not found'
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        data: delivery,
+        message: 'Webhook delivery queued for replay'
+      });
+    } catch (error) {
+      console.error('Error replaying webhook delivery:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to replay webhook delivery'
+      });
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -8,6 +8,9 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const logger = require('../utils/logger');
+const CampaignRecurrenceService = require('../services/campaignRecurrenceService');
+const CampaignReminderService = require('../services/campaignReminderService');
+const WebhookService = require('../services/webhooks/webhookService');
 
 /**
  * Update campaign statuses based on dates
@@ -62,7 +65,7 @@ async function updateCampaignStatuses() {
     }
 
     // 2. ACTIVE/IN_PROGRESS → COMPLETED: campaigns that ended
-    const campaignsToComplete = await prisma.engagement_campaigns.updateMany({
+    const endedCampaigns = await prisma.engagement_campaigns.findMany({
       where: {
         status: {
           in: ['ACTIVE', 'IN_PROGRESS']
@@ -70,6 +73,14 @@ async function updateCampaignStatuses() {
         end_date: {
           lt: today
         }
+      }
+    });
+
+    const campaignsToComplete = await prisma.engagement_campaigns.updateMany({
+      where: {
+        id: {
+          in: endedCampaigns.map(c => c.id)
+        }
       },
       data: {
         status: 'COMPLETED',
@@ -80,6 +91,11 @@ async function updateCampaignStatuses() {
     if (campaignsToComplete.count > 0) {
       logger.info(`Completed ${campaignsToComplete.count} campaigns`);
 
+      for (const campaign of endedCampaigns) {
+        await WebhookService.emit(campaign.tenant_id, WebhookService.WEBHOOK_EVENTS.CAMPAIGN_COMPLETED,
+          WebhookService.campaignCompletedData('ENGAGEMENT', campaign, 'schedule'));
+      }
+
       // Mark assignments as expired if not completed
       const completedCampaigns = await prisma.engagement_campaigns.findMany({
         where: {
@@ -164,6 +180,101 @@ async function updateCampaignStatuses() {
   }
 }
 
+/**
+ * Update assessment campaign statuses based on start date and deadline
+ * This job should run daily, before spawnRecurringCampaigns
+ */
+async function updateAssessmentCampaignStatuses() {
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  try {
+    logger.info('Starting assessment campaign status update job');
+
+    // 1. PLANNED → ACTIVE: campaigns that should start today
+    const campaignsToActivate = await prisma.assessment_campaigns.updateMany({
+      where: {
+        status: 'PLANNED',
+        start_date: {
+          lte: now
+        }
+      },
+      data: {
+        status: 'ACTIVE',
+        updated_at: now
+      }
+    });
+
+    if (campaignsToActivate.count > 0) {
+      logger.info(`Activated ${campaignsToActivate.count} assessment campaigns`);
+    }
+
+    // 2. ACTIVE → COMPLETED: campaigns past their deadline
+    const campaignsToComplete = await prisma.assessment_campaigns.findMany({
+      where: {
+        status: 'ACTIVE',
+        deadline: {
+          lt: today
+        }
+      },
+      select: { id: true, tenant_id: true, name: true, series_id: true, occurrence_number: true }
+    });
+
+    for (const campaign of campaignsToComplete) {
+      await prisma.$transaction([
+        prisma.assessment_campaigns.update({
+          where: { id: campaign.id },
+          data: {
+            status: 'COMPLETED',
+            updated_at: now
+          }
+        }),
+        prisma.assessment_campaign_assignments.updateMany({
+          where: {
+            campaign_id: campaign.id,
+            status: {
+              in: ['ASSIGNED', 'IN_PROGRESS']
+            }
+          },
+          data: {
+            status: 'EXPIRED',
+            expired_at: now
+          }
+        })
+      ]);
+
+      await WebhookService.emit(campaign.tenant_id, WebhookService.WEBHOOK_EVENTS.CAMPAIGN_COMPLETED,
+        WebhookService.campaignCompletedData('ASSESSMENT', campaign, 'schedule'));
+    }
+
+    if (campaignsToComplete.length > 0) {
+      logger.info(`Completed ${campaignsToComplete.length} assessment campaigns`);
+    }
+
+    logger.info('Assessment campaign status update job completed successfully');
+  } catch (error) {
+    logger.error('Error in assessment campaign status update job', error);
+    throw error;
+  }
+}
+
+/**
+ * Spawn the next occurrence of completed recurring campaigns
+ * Runs after the status updates so that campaigns completed today recur today
+ */
+async function spawnRecurringCampaigns() {
+  try {
+    logger.info('Starting recurring campaigns job');
+
+    const created = await CampaignRecurrenceService.processRecurringCampaigns();
+
+    logger.info(`Spawned ${created.engagement} engagement and ${created.assessment} assessment campaign occurrences`);
+  } catch (error) {
+    logger.error('Error in recurring campaigns job', error);
+    throw error;
+  }
+}
+
 /**
  * Check for data integrity issues
  */
@@ -240,89 +351,122 @@ async function checkDataIntegrity() {
 }
 
 /**
- * Send reminder notifications
+ * Send reminder notifications and manager escalations
+ * Schedules, escalation and quiet hours are configured per campaign
+ * (see services/campaignReminderService)
  */
 async function sendReminders() {
   try {
     logger.info('Starting reminder notification job');
 
-    const activeCampaigns = await prisma.engagement_campaigns.findMany({
-      where: {
-        status: {
-          in: ['ACTIVE', 'IN_PROGRESS']
-        },
-        reminder_settings: {
-          path: ['enabled'],
-          equals: true
-        }
-      },
-      include: {
-        assignments: {
-          where: {
-            status: {
-              in: ['ASSIGNED', 'IN_PROGRESS']
-            },
-            completed_at: null
-          }
-        }
-      }
-    });
+    const stats = await CampaignReminderService.processReminders();
+
+    logger.info(`Sent ${stats.reminders.sent} reminder notifications and ${stats.escalations.sent} escalations`, stats);
+  } catch (error) {
+    logger.error('Error in reminder notification job', error);
+    throw error;
+  }
+}
 
-    let totalReminders = 0;
+/**
+ * Run all campaign jobs once (without closing the Prisma connection)
+ */
+async function runJobs() {
+  logger.info('Starting all campaign management jobs');
 
-    for (const campaign of activeCampaigns) {
-      const reminderSettings = campaign.reminder_settings;
-      const frequency = reminderSettings?.frequency || 7; // Default 7 days
+  try {
+    await updateCampaignStatuses();
+    await updateAssessmentCampaignStatuses();
+    await spawnRecurringCampaigns();
+    await checkDataIntegrity();
+    await sendReminders();
+    logger.info('All campaign management jobs completed successfully');
+  } catch (error) {
+    logger.error('Error running campaign management jobs', error);
+  }
+}
 
-      for (const assignment of campaign.assignments) {
-        const lastReminder = assignment.last_reminder_at;
-        const now = new Date();
+// Key of the Postgres advisory lock held while the jobs run
+const JOBS_LOCK_KEY = 512608;
 
-        // Check if it's time to send a reminder
-        const shouldSendReminder = !lastReminder ||
-          (now.getTime() - new Date(lastReminder).getTime()) > (frequency * 24 * 60 * 60 * 1000);
+/**
+ * Run the jobs unless another instance is already running them
+ * The transaction-scoped advisory lock is released when the run ends, or
+ * by Postgres if the instance dies.
+ * @param {number} timeoutMs - Longest run before the lock is given up
+ * @returns {Promise<boolean>} Whether this instance ran the jobs
+ */
+async function runJobsExclusively(timeoutMs) {
+  return prisma.$transaction(async (tx) => {
+    const [{ locked }] = await tx.$queryRaw`SELECT pg_try_advisory_xact_lock(${JOBS_LOCK_KEY}::bigint) AS locked`;
+    if (!locked) {
+      logger.info('Campaign jobs already running on another instance, skipping');
+      return false;
+    }
+    await runJobs();
+    return true;
+  }, { timeout: timeoutMs });
+}
 
-        if (shouldSendReminder) {
-          // TODO: Send actual reminder (email, in-app notification)
-          logger.info(`Sending reminder for assignment ${assignment.id}`);
+let schedulerInterval = null;
+let jobsRunning = false;
 
-          await prisma.engagement_campaign_assignments.update({
-            where: { id: assignment.id },
-            data: {
-              reminder_count: assignment.reminder_count + 1,
-              last_reminder_at: now
-            }
-          });
+/**
+ * Run the campaign jobs periodically inside the API process
+ * Reminders honour per-campaign quiet hours, so the interval should be
+ * well below a day (default: 1 hour). With several instances only one
+ * runs the jobs at a time.
+ * @param {number} intervalMs - Interval in milliseconds
+ */
+function startScheduler(intervalMs = 60 * 60 * 1000) {
+  if (schedulerInterval) {
+    logger.info('Campaign job scheduler already running');
+    return;
+  }
 
-          totalReminders++;
-        }
-      }
+  const tick = async () => {
+    if (jobsRunning) return; // previous run still in progress
+    jobsRunning = true;
+    try {
+      await runJobsExclusively(intervalMs);
+    } catch (error) {
+      logger.error('Error running scheduled campaign jobs', error);
+    } finally {
+      jobsRunning = false;
     }
+  };
 
-    logger.info(`Sent ${totalReminders} reminder notifications`);
-  } catch (error) {
-    logger.error('Error in reminder notification job', error);
-    throw error;
+  tick();
+  schedulerInterval = setInterval(tick, intervalMs);
+  logger.info(`Campaign job scheduler started (every ${intervalMs / 1000}s)`);
+}
+
+/**
+ * Stop the campaign job scheduler
+ */
+function stopScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+    logger.info('Campaign job scheduler stopped');
   }
 }
 
 // Export functions for use in cron job or manual execution
 module.exports = {
   updateCampaignStatuses,
+  updateAssessmentCampaignStatuses,
+  spawnRecurringCampaigns,
   checkDataIntegrity,
   sendReminders,
+  runJobsExclusively,
+  startScheduler,
+  stopScheduler,
 
   // Main function to run all jobs
   async runAllJobs() {
-    logger.info('Starting all campaign management jobs');
-
     try {
-      await updateCampaignStatuses();
-      await checkDataIntegrity();
-      await sendReminders();
-      logger.info('All campaign management jobs completed successfully');
-    } catch (error) {
-      logger.error('Error running campaign management jobs', error);
+      await runJobs();
     } finally {
       await prisma.$disconnect();
     }
@@ -0,0 +1,82 @@
+/**
+ * API Key Authentication Middleware
+ * @module middlewares/apiKeyAuth
+ * @created 2026-10-19
+ *
+ * Mounted in front of the routers that integrations may call. Requests with
+ * an API key (X-API-Key header, or Authorization: ApiKey|Bearer mbk_...) are
+ * authenticated here and checked against the key scopes; `authenticate` and
+ * `authenticateTenantUser` then let them through and `authorize` checks them
+ * as ApiKeyService.API_KEY_ROLE. Requests without an API key continue to the
+ * usual JWT authentication.
+ */
+
+const ApiKeyService = require('../services/apiKeyService');
+
+/**
+ * Plain API key of the request, if any
+ */
+const extractApiKey = (req) => {
+  const headerKey = req.headers['x-api-key'];
+  if (headerKey) return String(headerKey).trim();
+
+  const authHeader = req.headers.authorization || '';
+  const [scheme, value] = authHeader.split(' ');
+  if (scheme === 'ApiKey' || (scheme === 'Bearer' && ApiKeyService.isApiKey(value))) {
+    return value;
+  }
+  return null;
+};
+
+/**
+ * Resource of a request: the first override whose paths match, else the default
+ */
+const resolveResource = (req, resource, overrides) => {
+  const match = Object.entries(overrides).find(([, paths]) => paths.some(path => path.test(req.path)));
+  return match ? match[0] : resource;
+};
+
+/**
+ * Accept API keys with a scope on the resource (read for GET, write otherwise)
+ * @param {string} resource - one of API_KEY_RESOURCES
+ * @param {Object<string, RegExp[]>} [overrides] - other resources for some paths
+ *   of the router, e.g. { analytics: [/^\/campaigns\/[^/]+\/heatmap$/] }
+ */
+const allowApiKey = (resource, overrides = {}) => async (req, res, next) => {
+  const key = extractApiKey(req);
+  if (!key) return next();
+
+  try {
+    const apiKey = req.apiKey || await ApiKeyService.authenticate(key, req.ip);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or revoked API key'
+      });
+    }
+
+    const requiredScope = ApiKeyService.scopeFor(resolveResource(req, resource, overrides), req.method);
+    if (!ApiKeyService.hasScope(apiKey.scopes, requiredScope)) {
+      return res.status(403).json({
+        success: false,
+        message: 'API key is missing the required scope',
+        requiredScope
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.user = ApiKeyService.toPrincipal(apiKey);
+    next();
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
+module.exports = {
+  allowApiKey,
+  extractApiKey
+};
@@ -1,4 +1,5 @@
-const authService = require('../services/authService');
+const SessionService = require('../services/sessionService');
+const { API_KEY_ROLE } = require('../services/apiKeyService');
 
 // Middleware to verify JWT token
 const authenticate = async (req, res, next) => {
@@ -6,6 +7,11 @@ const authenticate = async (req, res, next) => {
   console.log('Path:', req.path);
   console.log('Headers:', req.headers.authorization ? 'Has Authorization header' : 'No Authorization header');
 
+  // Already authenticated with a scoped API key (middlewares/apiKeyAuth)
+  if (req.apiKey) {
+    return next();
+  }
+
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
@@ -23,8 +29,8 @@ const authenticate = async (req, res, next) => {
     console.log('Token extracted, attempting to verify...');
 
     try {
-      // Verify token
-      const decoded = authService.verifyAccessToken(token);
+      // Verify token; tokens of a revoked session (logout, "log out everywhere") are refused
+      const decoded = await SessionService.verifyAccessToken(token);
       console.log('Token verified successfully. User:', decoded.email, 'Role:', decoded.role);
 
       // Add user info to request
@@ -35,7 +41,9 @@ const authenticate = async (req, res, next) => {
       console.log('Token verification failed:', error.message);
       return res.status(401).json({
         success: false,
-        message: 'Invalid or expired token'
+        ...(error instanceof SessionService.SessionError
+          ? { message: error.message, code: error.code }
+          : { message: 'Invalid or expired token' })
       });
     }
   } catch (error) {
@@ -63,8 +71,9 @@ const authorize = (allowedRoles) => {
     let hasRole = false;
 
     if (req.user.role) {
-      // Unified auth format: role as string
-      const userRole = req.user.role.toUpperCase();
+      // Unified auth format: role as string. API keys (scopes checked by
+      // allowApiKey) count as API_KEY_ROLE
+      const userRole = (req.apiKey ? API_KEY_ROLE : req.user.role).toUpperCase();
       hasRole = allowedRoles.some(allowed => {
         // Check if allowed is a string before calling toUpperCase
         if (typeof allowed === 'string') {
@@ -101,7 +110,7 @@ const optionalAuth = async (req, res, next) => {
       const token = authHeader.substring(7);
       
       try {
-        const decoded = authService.verifyAccessToken(token);
+        const decoded = await SessionService.verifyAccessToken(token);
         req.user = decoded;
       } catch (error) {
         // Token is invalid but we continue anyway
@@ -0,0 +1,91 @@
+/**
+ * Feature Entitlement Middleware
+ * @module middlewares/entitlements
+ * @created 2026-10-19
+ *
+ * Gates routes on the tenant plan and feature overrides (services/entitlementService).
+ * Must run after authentication. Denials:
+ * - 403 FEATURE_DISABLED: switched off for the tenant
+ * - 402 PLAN_UPGRADE_REQUIRED / BILLING_INACTIVE: not included in the plan in force
+ * - 402 QUOTA_EXCEEDED: monthly quota used up (metered routes)
+ */
+
+const EntitlementService = require('../services/entitlementService');
+
+const { DENIAL_REASONS } = EntitlementService;
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const DENIAL_MESSAGES = {
+  [DENIAL_REASONS.DISABLED]: 'This feature is disabled for your organization',
+  [DENIAL_REASONS.NOT_IN_PLAN]: 'This feature is not included in your plan',
+  [DENIAL_REASONS.BILLING_INACTIVE]: 'This feature requires an active subscription',
+  [DENIAL_REASONS.QUOTA_EXCEEDED]: 'Monthly quota for this feature has been reached'
+};
+
+/**
+ * Require a feature for the tenant of the request
+ * @param {string} feature - one of FEATURES (constants/plans)
+ * @param {Object} [options]
+ * @param {boolean} [options.metered] - count one use per successful (2xx) request
+ *   (safe methods are never counted)
+ */
+const requireFeature = (feature, { metered = false } = {}) => async (req, res, next) => {
+  const tenantId = req.user?.tenant_id || req.user?.tenantId || req.tenantId;
+  if (!tenantId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Tenant context required'
+    });
+  }
+
+  try {
+    const now = new Date();
+    const result = await EntitlementService.check(tenantId, feature, {
+      metered: metered && !SAFE_METHODS.includes(req.method),
+      now
+    });
+
+    if (result.usage && result.usage.quota !== null) {
+      res.setHeader('X-Quota-Limit', String(result.usage.quota));
+      res.setHeader('X-Quota-Remaining', String(Math.max(result.usage.quota - (result.usage.used || 0), 0)));
+      res.setHeader('X-Quota-Reset', result.usage.resets_at.toISOString());
+    }
+
+    if (!result.allowed) {
+      return res.status(result.reason === DENIAL_REASONS.DISABLED ? 403 : 402).json({
+        success: false,
+        message: DENIAL_MESSAGES[result.reason],
+        code: result.reason,
+        feature,
+        plan: result.plan,
+        ...(result.reason === DENIAL_REASONS.QUOTA_EXCEEDED
+          ? { quota: result.usage.quota, resetsAt: result.usage.resets_at }
+          : {})
+      });
+    }
+
+    if (result.usage) {
+      // The use was counted up front: give it back unless the request succeeds
+      res.once('close', () => {
+        if (res.writableFinished && res.statusCode >= 200 && res.statusCode < 300) return;
+        EntitlementService.release(tenantId, feature, now).catch((error) => {
+          console.error(`Entitlement release error (${feature}):`, error);
+        });
+      });
+    }
+
+    req.entitlement = result.entitlement;
+    next();
+  } catch (error) {
+    console.error(`Entitlement check error (${feature}):`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Entitlement check failed'
+    });
+  }
+};
+
+module.exports = {
+  requireFeature
+};
@@ -0,0 +1,47 @@
+/**
+ * SCIM Authentication Middleware
+ * @module middlewares/scimAuth
+ * @created 2026-10-19
+ *
+ * /scim/v2 only accepts tenant API keys with the scim:write scope, sent as
+ * the bearer token configured in the identity provider. Failures use the
+ * SCIM error schema.
+ */
+
+const ApiKeyService = require('../services/apiKeyService');
+const { extractApiKey } = require('./apiKeyAuth');
+const { ScimError } = require('../services/scim/scimCommon');
+
+const SCIM_SCOPE = 'scim:write';
+
+const sendError = (res, error) => res.status(error.status).type('application/scim+json').json(error.toJSON());
+
+const requireScimToken = async (req, res, next) => {
+  const key = extractApiKey(req);
+  if (!key) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="scim"');
+    return sendError(res, new ScimError(401, 'A tenant API key is required'));
+  }
+
+  try {
+    const apiKey = await ApiKeyService.authenticate(key, req.ip);
+    if (!apiKey) {
+      return sendError(res, new ScimError(401, 'Invalid, expired or revoked API key'));
+    }
+    if (!ApiKeyService.hasScope(apiKey.scopes, SCIM_SCOPE)) {
+      return sendError(res, new ScimError(403, `API key is missing the ${SCIM_SCOPE} scope`));
+    }
+
+    req.apiKey = apiKey;
+    req.user = ApiKeyService.toPrincipal(apiKey);
+    next();
+  } catch (error) {
+    console.error('SCIM authentication error:', error);
+    return sendError(res, new ScimError(500, 'Authentication error'));
+  }
+};
+
+module.exports = {
+  requireScimToken,
+  SCIM_SCOPE
+};
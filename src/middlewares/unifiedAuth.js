@@ -1,7 +1,25 @@
-const jwt = require('jsonwebtoken');
+const SessionService = require('../services/sessionService');
+
+const { SessionError } = SessionService;
+
+// 401 for a token that failed verification; revoked sessions keep their code
+const invalidToken = (res, error) => {
+  console.error('Token verification error:', error.message);
+  return res.status(401).json({
+    success: false,
+    ...(error instanceof SessionError
+      ? { message: error.message, code: error.code }
+      : { message: 'Invalid token' })
+  });
+};
 
 // Unified authentication middleware for tenant users
 const authenticateTenantUser = async (req, res, next) => {
+  // Already authenticated with a scoped API key (middlewares/apiKeyAuth)
+  if (req.apiKey) {
+    return next();
+  }
+
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
 
@@ -12,17 +30,14 @@ const authenticateTenantUser = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    // Tokens of a revoked session (logout, "log out everywhere") are refused
+    const decoded = await SessionService.verifyAccessToken(token);
 
     // Store user info in request
     req.user = decoded;
     next();
   } catch (error) {
-    console.error('Token verification error:', error.message);
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid token'
-    });
+    return invalidToken(res, error);
   }
 };
 
@@ -40,7 +55,7 @@ const requireAdmin = async (req, res, next) => {
     }
 
     console.log('Token received in requireAdmin:', token.substring(0, 20) + '...');
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    const decoded = await SessionService.verifyAccessToken(token);
     console.log('Decoded token:', { id: decoded.id, role: decoded.role, tenant_id: decoded.tenant_id });
 
     // Check if user has admin or super_admin role
@@ -56,11 +71,7 @@ const requireAdmin = async (req, res, next) => {
     req.admin = decoded; // For backward compatibility
     next();
   } catch (error) {
-    console.error('Token verification error:', error.message);
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid token'
-    });
+    return invalidToken(res, error);
   }
 };
 
@@ -76,7 +87,7 @@ const requireSuperAdmin = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    const decoded = await SessionService.verifyAccessToken(token);
 
     // Check if user is super_admin
     if (decoded.role !== 'super_admin') {
@@ -90,11 +101,7 @@ const requireSuperAdmin = async (req, res, next) => {
     req.admin = decoded; // For backward compatibility
     next();
   } catch (error) {
-    console.error('Token verification error:', error.message);
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid token'
-    });
+    return invalidToken(res, error);
   }
 };
 
@@ -110,7 +117,7 @@ const requireTenantAccess = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    const decoded = await SessionService.verifyAccessToken(token);
 
     // Super admin can access all tenants
     if (decoded.role === 'super_admin') {
@@ -130,11 +137,7 @@ const requireTenantAccess = async (req, res, next) => {
     req.user = decoded;
     next();
   } catch (error) {
-    console.error('Token verification error:', error.message);
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid token'
-    });
+    return invalidToken(res, error);
   }
 };
 
@@ -1,8 +1,6 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const prisma = require('../config/database');
-const { body, validationResult } = require('express-validator');
+const SessionService = require('../services/sessionService');
+const { LOGIN_VALIDATORS, passwordLogin } = require('./unifiedAuthRoutes');
 
 const router = express.Router();
 
@@ -18,7 +16,7 @@ const authenticateAdmin = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    const decoded = await SessionService.verifyAccessToken(token);
     
     // Check if user is admin
     if (decoded.role !== 'admin' && decoded.role !== 'super_admin') {
@@ -33,113 +31,16 @@ const authenticateAdmin = async (req, res, next) => {
   } catch (error) {
     return res.status(401).json({
       success: false,
-      message: 'Invalid token'
+      ...(error instanceof SessionService.SessionError
+        ? { message: error.message, code: error.code }
+        : { message: 'Invalid token' })
     });
   }
 };
 
-// Admin login endpoint
-router.post('/login', 
-  [
-    body('email').isEmail().normalizeEmail(),
-    body('password').notEmpty()
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array()
-        });
-      }
-
-      const { email, password } = req.body;
-
-      // Find user in tenant_users table
-      const user = await prisma.tenant_users.findFirst({
-        where: { email },
-        include: {
-          tenants: {
-            select: {
-              id: true,
-              name: true,
-              slug: true
-            }
-          }
-        }
-      });
-
-      if (!user || !user.is_active) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials'
-        });
-      }
-
-      // Check if user has admin or super_admin role
-      if (user.role !== 'admin' && user.role !== 'super_admin') {
-        return res.status(403).json({
-          success: false,
-          message: 'Admin access required'
-        });
-      }
-
-      // Verify password
-      const validPassword = await bcrypt.compare(password, user.password_hash);
-      if (!validPassword) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials'
-        });
-      }
-
-      // Generate tokens
-      const payload = {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        tenantId: user.tenant_id,
-        tenant: user.tenants
-      };
-
-      const accessToken = jwt.sign(
-        payload,
-        process.env.JWT_ACCESS_SECRET,
-        { expiresIn: '1h', issuer: 'moobee-admin' }
-      );
-
-      const refreshToken = jwt.sign(
-        { id: user.id },
-        process.env.JWT_REFRESH_SECRET,
-        { expiresIn: '7d', issuer: 'moobee-admin' }
-      );
-
-      res.json({
-        success: true,
-        message: 'Login successful',
-        accessToken,
-        refreshToken,
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.first_name,
-          lastName: user.last_name,
-          role: user.role,
-          tenantId: user.tenant_id,
-          tenant: user.tenants
-        }
-      });
-    } catch (error) {
-      console.error('Admin login error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
-    }
-  }
-);
+// Admin login endpoint: the unified password login (SSO enforcement, MFA
+// challenge, session-bound tokens) restricted to admins. The MFA step is
+// completed on /api/login/mfa
+router.post('/login', LOGIN_VALIDATORS, passwordLogin(['admin', 'super_admin']));
 
 module.exports = { router, authenticateAdmin };
\ No newline at end of file
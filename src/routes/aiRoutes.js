@@ -7,9 +7,11 @@
 const router = require('express').Router();
 const multer = require('multer');
 const aiController = require('../controllers/aiController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate } = require('../middlewares/authMiddleware');
 const { determineTenant } = require('../middleware/tenantMiddleware');
 const { authorize } = require('../middleware/roleAuth');
+const { requireFeature } = require('../middlewares/entitlements');
+const { FEATURES } = require('../constants/plans');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -41,6 +43,9 @@ const upload = multer({
 router.use(authenticate);
 router.use(determineTenant);
 
+// AI services are a plan feature; each call counts towards the monthly quota
+router.use(requireFeature(FEATURES.AI_SERVICES, { metered: true }));
+
 /**
  * CV Analysis Endpoints
  */
@@ -0,0 +1,66 @@
+/**
+ * API Key Routes
+ * @module routes/apiKeyRoutes
+ * @created 2026-10-19
+ */
+
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const { ROLE_GROUPS } = require('../constants/roles');
+const apiKeyController = require('../controllers/apiKeyController');
+
+// Protect all routes: API keys are managed by tenant admins only
+router.use(authenticate);
+router.use(authorize(ROLE_GROUPS.TENANT_ADMINS));
+
+/**
+ * @route GET /api/api-keys/scopes
+ * @desc Available API key scopes
+ * @access Private (Admin)
+ */
+router.get(
+  '/scopes',
+  apiKeyController.getScopes.bind(apiKeyController)
+);
+
+/**
+ * @route GET /api/api-keys
+ * @desc List tenant API keys (?include_revoked=true)
+ * @access Private (Admin)
+ */
+router.get(
+  '/',
+  apiKeyController.getApiKeys.bind(apiKeyController)
+);
+
+/**
+ * @route POST /api/api-keys
+ * @desc Create a scoped API key (returns the key once)
+ * @access Private (Admin)
+ */
+router.post(
+  '/',
+  apiKeyController.createApiKey.bind(apiKeyController)
+);
+
+/**
+ * @route POST /api/api-keys/:id/rotate
+ * @desc Replace an API key, optionally keeping the old one valid for a grace period
+ * @access Private (Admin)
+ */
+router.post(
+  '/:id/rotate',
+  apiKeyController.rotateApiKey.bind(apiKeyController)
+);
+
+/**
+ * @route DELETE /api/api-keys/:id
+ * @desc Revoke an API key
+ * @access Private (Admin)
+ */
+router.delete(
+  '/:id',
+  apiKeyController.revokeApiKey.bind(apiKeyController)
+);
+
+module.exports = router;
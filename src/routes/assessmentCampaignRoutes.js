@@ -20,12 +20,14 @@ router.use(authenticate);
  */
 const createCampaignValidation = [
   body('templateId').notEmpty().isInt().withMessage('Valid template ID is required'),
-  body('employeeIds').isArray({ min: 1 }).withMessage('At least one employee must be selected'),
+  body('employeeIds').if(body('audienceRules').not().exists()).isArray({ min: 1 }).withMessage('At least one employee must be selected'),
+  body('audienceRules').optional().isObject(),
   body('startDate').isISO8601().toDate().withMessage('Valid start date is required'),
   body('deadline').isISO8601().toDate().withMessage('Valid deadline is required'),
   body('name').optional().isString().trim(),
   body('description').optional().isString().trim(),
-  body('frequency').optional().isIn(['once', 'recurring']),
+  body('frequency').optional().isIn(['once', 'recurring', 'weekly', 'biweekly', 'monthly', 'quarterly', 'annually']),
+  body('recurringConfig').optional().isObject(),
   body('mandatory').optional().isBoolean(),
   body('allowRetakes').optional().isBoolean(),
   body('maxAttempts').optional().isInt({ min: 1, max: 10 })
@@ -89,6 +91,20 @@ router.get('/:id/stats',
   assessmentCampaignController.getCampaignStats
 );
 
+// Get trend of the recurring series the campaign belongs to
+router.get('/:id/series',
+  param('id').isUUID(),
+  validateRequest,
+  assessmentCampaignController.getCampaignSeries
+);
+
+// Get reminders and escalations sent for the campaign
+router.get('/:id/reminders',
+  param('id').isUUID(),
+  validateRequest,
+  assessmentCampaignController.getCampaignReminders
+);
+
 // Update campaign status
 router.patch('/:id/status',
   updateStatusValidation,
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authService = require('../services/authService');
+const SessionService = require('../services/sessionService');
 
 const router = express.Router();
 
@@ -103,7 +104,7 @@ router.get('/verify', async (req, res) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = authService.verifyAccessToken(token);
+    const decoded = await SessionService.verifyAccessToken(token);
     
     res.json({
       success: true,
@@ -13,7 +13,9 @@ const {
   updateCampaignStatus,
   deleteCampaign,
   sendNotifications,
-  getCampaignStats
+  getCampaignStats,
+  getCampaignSeries,
+  getCampaignReminders
 } = require('../controllers/engagement/engagementCampaignController');
 
 const {
@@ -96,6 +98,12 @@ router.post('/campaigns/:id/notify', sendNotifications);
 // Get campaign statistics
 router.get('/campaigns/:id/stats', getCampaignStats);
 
+// Get trend of the recurring series the campaign belongs to
+router.get('/campaigns/:id/series', getCampaignSeries);
+
+// Get reminders and escalations sent for the campaign
+router.get('/campaigns/:id/reminders', getCampaignReminders);
+
 // ========================================
 // Assignment Management Routes
 // ========================================
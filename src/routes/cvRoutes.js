@@ -18,6 +18,8 @@ const CVExtractionService = require('../services/cvExtractionService');
 const CVDataSaveService = require('../services/cvDataSaveService');
 const { processExtractionInBackground } = require('../services/cvExtractionBackgroundJob');
 const { authenticate } = require('../middlewares/authMiddleware');
+const { requireFeature } = require('../middlewares/entitlements');
+const { FEATURES } = require('../constants/plans');
 const { getCVStorageService } = require('../services/cvStorageService');
 
 // Configure multer for file uploads
@@ -311,7 +313,7 @@ router.delete('/extractions/:id', async (req, res) => {
  * Simple file upload endpoint
  * Used by Employee Profile page for CV upload
  */
-router.post('/upload', authenticate, upload.single('file'), async (req, res) => {
+router.post('/upload', authenticate, requireFeature(FEATURES.CV_EXTRACTION), upload.single('file'), async (req, res) => {
   try {
     const { employee_id } = req.body;
 
@@ -354,7 +356,7 @@ router.post('/upload', authenticate, upload.single('file'), async (req, res) =>
  *   employee_id: number
  * }
  */
-router.post('/extract-and-save', authenticate, async (req, res) => {
+router.post('/extract-and-save', authenticate, requireFeature(FEATURES.CV_EXTRACTION, { metered: true }), async (req, res) => {
   try {
     const { employee_id } = req.body;
     const { PrismaClient } = require('@prisma/client');
@@ -442,7 +444,7 @@ router.post('/extract-and-save', authenticate, async (req, res) => {
 const { PrismaClient } = require('@prisma/client');
 const uploadMemory = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
 
-router.post('/extract-mvp', authenticate, uploadMemory.single('file'), async (req, res) => {
+router.post('/extract-mvp', authenticate, requireFeature(FEATURES.CV_EXTRACTION, { metered: true }), uploadMemory.single('file'), async (req, res) => {
   const prisma = new PrismaClient();
 
   try {
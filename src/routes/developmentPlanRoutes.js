@@ -0,0 +1,96 @@
+/**
+ * Development Plan Routes
+ * @module routes/developmentPlanRoutes
+ * @created 2026-10-19
+ *
+ * Access control (employee / direct manager / HR) is enforced per plan
+ * by the controller.
+ */
+
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/authMiddleware');
+const developmentPlanController = require('../controllers/developmentPlanController');
+
+// Protect all routes
+router.use(authenticate);
+
+/**
+ * @route GET /api/development-plans
+ * @desc List development plans (own and direct reports; all for HR)
+ * @access Private
+ */
+router.get('/', developmentPlanController.getPlans.bind(developmentPlanController));
+
+/**
+ * @route GET /api/development-plans/proposals/:employeeId
+ * @desc Goal proposals from skill gaps and the learning catalog
+ * @access Private (Employee, manager, HR)
+ */
+router.get('/proposals/:employeeId', developmentPlanController.getProposals.bind(developmentPlanController));
+
+/**
+ * @route POST /api/development-plans
+ * @desc Create a development plan (DRAFT)
+ * @access Private (Employee, manager, HR)
+ */
+router.post('/', developmentPlanController.createPlan.bind(developmentPlanController));
+
+/**
+ * @route GET /api/development-plans/:planId
+ * @desc Get plan with goals, milestones and check-ins
+ * @access Private (Employee, manager, HR)
+ */
+router.get('/:planId', developmentPlanController.getPlanById.bind(developmentPlanController));
+
+/**
+ * @route PUT /api/development-plans/:planId
+ * @desc Update plan details
+ * @access Private (Employee, manager, HR)
+ */
+router.put('/:planId', developmentPlanController.updatePlan.bind(developmentPlanController));
+
+/**
+ * @route DELETE /api/development-plans/:planId
+ * @desc Cancel a plan
+ * @access Private (Employee before approval, manager, HR)
+ */
+router.delete('/:planId', developmentPlanController.cancelPlan.bind(developmentPlanController));
+
+/**
+ * @route POST /api/development-plans/:planId/submit
+ * @desc Submit plan for manager approval
+ * @access Private (Employee, manager, HR)
+ */
+router.post('/:planId/submit', developmentPlanController.submitPlan.bind(developmentPlanController));
+
+/**
+ * @route POST /api/development-plans/:planId/review
+ * @desc Approve plan or request changes
+ * @access Private (Manager, HR)
+ */
+router.post('/:planId/review', developmentPlanController.reviewPlan.bind(developmentPlanController));
+
+/**
+ * @route POST /api/development-plans/:planId/sync
+ * @desc Refresh progress from latest assessments and certifications
+ * @access Private (Employee, manager, HR)
+ */
+router.post('/:planId/sync', developmentPlanController.syncProgress.bind(developmentPlanController));
+
+/**
+ * @route POST /api/development-plans/:planId/check-ins
+ * @desc Record a check-in
+ * @access Private (Employee, manager, HR)
+ */
+router.post('/:planId/check-ins', developmentPlanController.addCheckIn.bind(developmentPlanController));
+
+// Goals
+router.post('/:planId/goals', developmentPlanController.addGoal.bind(developmentPlanController));
+router.put('/:planId/goals/:goalId', developmentPlanController.updateGoal.bind(developmentPlanController));
+router.delete('/:planId/goals/:goalId', developmentPlanController.deleteGoal.bind(developmentPlanController));
+
+// Milestones
+router.post('/:planId/goals/:goalId/milestones', developmentPlanController.addMilestone.bind(developmentPlanController));
+router.patch('/:planId/milestones/:milestoneId', developmentPlanController.updateMilestone.bind(developmentPlanController));
+
+module.exports = router;
@@ -4,9 +4,42 @@ const { authenticate, authorize } = require('../middlewares/authMiddleware');
 const { determineTenant, requireTenant } = require('../middlewares/tenantMiddleware');
 const { body, param, query, validationResult } = require('express-validator');
 const LLMRoleMatchingService = require('../services/llmRoleMatchingService');
+const availabilityController = require('../controllers/availabilityController');
+const learningCatalogController = require('../controllers/learningCatalogController');
+const DevelopmentPlanService = require('../services/developmentPlanService');
+const WebhookService = require('../services/webhooks/webhookService');
+const AuditLogService = require('../services/auditLogService');
+const { requireFeature } = require('../middlewares/entitlements');
+const { FEATURES } = require('../constants/plans');
 
 const router = express.Router();
 
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+// Audit trail: employee fields, and role/skill lists recorded as a whole per employee
+const EMPLOYEE_AUDIT_FIELDS = [
+  'first_name', 'last_name', 'email', 'phone', 'hire_date', 'department_id',
+  'position', 'manager_id', 'is_active', 'employee_code'
+];
+const ROLE_AUDIT_FIELDS = ['id', 'role_id', 'sub_role_id', 'anni_esperienza', 'seniority', 'is_current'];
+const SKILL_AUDIT_FIELDS = ['skill_id', 'proficiency_level', 'years_experience', 'source', 'notes'];
+
+const loadAuditedRoles = async (employeeId) => {
+  const roles = await prisma.employee_roles.findMany({
+    where: { employee_id: employeeId },
+    orderBy: { id: 'asc' }
+  });
+  return { roles: roles.map(role => AuditLogService.snapshot(role, ROLE_AUDIT_FIELDS)) };
+};
+
+const loadAuditedSkills = async (employeeId) => {
+  const skills = await prisma.employee_skills.findMany({
+    where: { employee_id: employeeId },
+    orderBy: { skill_id: 'asc' }
+  });
+  return { skills: skills.map(skill => AuditLogService.snapshot(skill, SKILL_AUDIT_FIELDS)) };
+};
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -261,6 +294,14 @@ router.post('/',
         }
       });
 
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.CREATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE,
+        entityId: employee.id,
+        after: AuditLogService.snapshot(employee, EMPLOYEE_AUDIT_FIELDS),
+        tenantId: employee.tenant_id
+      });
+
       res.status(201).json({
         success: true,
         message: 'Employee created successfully',
@@ -343,6 +384,15 @@ router.put('/:id',
         }
       });
 
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE,
+        entityId: employeeId,
+        before: AuditLogService.snapshot(existingEmployee, EMPLOYEE_AUDIT_FIELDS),
+        after: AuditLogService.snapshot(employee, EMPLOYEE_AUDIT_FIELDS),
+        tenantId: employee.tenant_id
+      });
+
       res.json({
         success: true,
         message: 'Employee updated successfully',
@@ -504,6 +554,8 @@ router.put('/:id/roles',
         });
       }
 
+      const rolesBefore = await loadAuditedRoles(employeeId);
+
       // Delete all existing roles and create new ones (same logic as POST)
       const result = await prisma.$transaction(async (tx) => {
         // Delete all existing roles for this employee
@@ -529,6 +581,15 @@ router.put('/:id/roles',
         return newRoles;
       });
 
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE_ROLE,
+        entityId: employeeId,
+        before: rolesBefore,
+        after: await loadAuditedRoles(employeeId),
+        tenantId
+      });
+
       res.json({
         success: true,
         message: 'Roles updated successfully',
@@ -587,6 +648,8 @@ router.post('/:id/roles',
         });
       }
 
+      const rolesBefore = await loadAuditedRoles(employeeId);
+
       // Upsert logic: update if id exists, create if not
       // Delete roles not in the list, then upsert the provided ones
       const result = await prisma.$transaction(async (tx) => {
@@ -760,6 +823,15 @@ router.post('/:id/roles',
         return savedRoles;
       });
 
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE_ROLE,
+        entityId: employeeId,
+        before: rolesBefore,
+        after: await loadAuditedRoles(employeeId),
+        tenantId
+      });
+
       res.json({
         success: true,
         message: 'Roles saved successfully',
@@ -870,12 +942,23 @@ router.put('/:id/roles/:roleId',
       // Note: Multiple current roles are now allowed (constraint idx_employee_roles_one_current dropped in migration 036)
       // BUSINESS RULE: Employee must have AT LEAST 1 current role (validated above)
 
+      const rolesBefore = await loadAuditedRoles(employeeId);
+
       // Update the role directly (no transaction needed)
       const updatedRole = await prisma.employee_roles.update({
         where: { id: roleId },
         data: updateData
       });
 
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE_ROLE,
+        entityId: employeeId,
+        before: rolesBefore,
+        after: await loadAuditedRoles(employeeId),
+        tenantId
+      });
+
       res.json({
         success: true,
         message: 'Role updated successfully',
@@ -942,11 +1025,22 @@ router.delete('/:id/roles/:roleId',
         }
       }
 
+      const rolesBefore = await loadAuditedRoles(employeeId);
+
       // Hard delete the role
       await prisma.employee_roles.delete({
         where: { id: roleId }
       });
 
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE_ROLE,
+        entityId: employeeId,
+        before: rolesBefore,
+        after: await loadAuditedRoles(employeeId),
+        tenantId: req.tenantId
+      });
+
       res.json({
         success: true,
         message: 'Role removed successfully'
@@ -1219,6 +1313,8 @@ router.put('/:id/skills',
         });
       }
 
+      const skillsBefore = await loadAuditedSkills(employeeId);
+
       // Upsert hard skills
       // FIX: Use skill_id if available (from GET response), otherwise use id (for backward compatibility)
       const hardSkillOps = hard.map((skill, index) => {
@@ -1262,6 +1358,22 @@ router.put('/:id/skills',
 
       await Promise.all(hardSkillOps);
 
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE_SKILL,
+        entityId: employeeId,
+        before: skillsBefore,
+        after: await loadAuditedSkills(employeeId),
+        tenantId
+      });
+
+      WebhookService.emit(tenantId, WebhookService.WEBHOOK_EVENTS.EMPLOYEE_SKILLS_UPDATED, {
+        employee_id: employeeId,
+        source: 'profile',
+        action: 'upsert',
+        skill_ids: hard.map(skill => parseInt(skill.skill_id || skill.id))
+      });
+
       res.json({
         success: true,
         message: 'Skills updated successfully',
@@ -1312,6 +1424,8 @@ router.post('/:id/skills',
         });
       }
 
+      const skillsBefore = await loadAuditedSkills(employeeId);
+
       // Upsert skills (update if exists, create if not)
       const operations = skills.map(skill =>
         prisma.employee_skills.upsert({
@@ -1343,6 +1457,22 @@ router.post('/:id/skills',
 
       const result = await prisma.$transaction(operations);
 
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE_SKILL,
+        entityId: employeeId,
+        before: skillsBefore,
+        after: await loadAuditedSkills(employeeId),
+        tenantId
+      });
+
+      WebhookService.emit(tenantId, WebhookService.WEBHOOK_EVENTS.EMPLOYEE_SKILLS_UPDATED, {
+        employee_id: employeeId,
+        source,
+        action: 'upsert',
+        skill_ids: result.map(skill => skill.skill_id)
+      });
+
       res.json({
         success: true,
         message: 'Skills saved successfully',
@@ -1529,14 +1659,35 @@ router.delete('/:id/skills/:skillId',
     try {
       const employeeId = parseInt(req.params.id);
       const skillId = parseInt(req.params.skillId);
+      const tenantId = req.tenantId || req.user?.tenantId;
 
-      await prisma.employee_skills.deleteMany({
+      const skillsBefore = await loadAuditedSkills(employeeId);
+
+      const { count } = await prisma.employee_skills.deleteMany({
         where: {
           employee_id: employeeId,
           skill_id: skillId
         }
       });
 
+      if (count > 0) {
+        await AuditLogService.record(req, {
+          action: AUDIT_ACTIONS.UPDATE,
+          entity: AUDIT_ENTITIES.EMPLOYEE_SKILL,
+          entityId: employeeId,
+          before: skillsBefore,
+          after: await loadAuditedSkills(employeeId),
+          tenantId
+        });
+
+        WebhookService.emit(tenantId, WebhookService.WEBHOOK_EVENTS.EMPLOYEE_SKILLS_UPDATED, {
+          employee_id: employeeId,
+          source: 'manual',
+          action: 'delete',
+          skill_ids: [skillId]
+        });
+      }
+
       res.json({
         success: true,
         message: 'Skill removed successfully'
@@ -1619,6 +1770,7 @@ router.put('/profile', require('../middlewares/unifiedAuth').authenticateTenantU
 // POST /api/employees/:id/cv - Upload and analyze CV
 router.post('/:id/cv',
   authenticate,
+  requireFeature(FEATURES.CV_EXTRACTION),
   async (req, res) => {
     console.log('[Employee CV Route] Authenticated user:', req.user);
     console.log('[Employee CV Route] Employee ID param:', req.params.id);
@@ -1942,24 +2094,87 @@ router.get('/:id/preferences', authenticate, async (req, res) => {
   }
 });
 
-// GET /api/employees/:id/availability - Get employee availability
-router.get('/:id/availability', authenticate, async (req, res) => {
-  try {
-    const employeeId = parseInt(req.params.id);
+// ============================================================================
+// AVAILABILITY CALENDAR ENDPOINTS
+// ============================================================================
 
-    // Return empty availability for now (can be implemented later)
-    const availability = {
-      available_from: null,
-      notice_period_days: null,
-      availability_status: 'unknown'
-    };
+// GET /api/employees/:id/availability - Weekly availability time series (?from&to)
+router.get('/:id/availability',
+  authenticate,
+  determineTenant,
+  requireTenant,
+  [param('id').isInt()],
+  handleValidationErrors,
+  availabilityController.getAvailability.bind(availabilityController)
+);
 
-    res.json({ success: true, data: availability });
-  } catch (error) {
-    console.error('[Employee Availability] Error:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+// GET /api/employees/:id/absences - List planned absences
+router.get('/:id/absences',
+  authenticate,
+  determineTenant,
+  requireTenant,
+  availabilityController.getAbsences.bind(availabilityController)
+);
+
+// POST /api/employees/:id/absences - Plan an absence (HR or the employee)
+router.post('/:id/absences',
+  authenticate,
+  determineTenant,
+  requireTenant,
+  availabilityController.createAbsence.bind(availabilityController)
+);
+
+// PUT /api/employees/:id/absences/:absenceId - Update/approve/cancel an absence
+router.put('/:id/absences/:absenceId',
+  authenticate,
+  determineTenant,
+  requireTenant,
+  availabilityController.updateAbsence.bind(availabilityController)
+);
+
+// DELETE /api/employees/:id/absences/:absenceId - Delete an absence
+router.delete('/:id/absences/:absenceId',
+  authenticate,
+  determineTenant,
+  requireTenant,
+  availabilityController.deleteAbsence.bind(availabilityController)
+);
+
+// GET /api/employees/:id/work-schedules - List part-time schedules
+router.get('/:id/work-schedules',
+  authenticate,
+  determineTenant,
+  requireTenant,
+  availabilityController.getWorkSchedules.bind(availabilityController)
+);
+
+// POST /api/employees/:id/work-schedules - Add a part-time schedule
+router.post('/:id/work-schedules',
+  authenticate,
+  determineTenant,
+  requireTenant,
+  authorize(['ADMIN', 'SUPER_ADMIN', 'HR_MANAGER', 'HR']),
+  availabilityController.createWorkSchedule.bind(availabilityController)
+);
+
+// DELETE /api/employees/:id/work-schedules/:scheduleId - Remove a schedule
+router.delete('/:id/work-schedules/:scheduleId',
+  authenticate,
+  determineTenant,
+  requireTenant,
+  authorize(['ADMIN', 'SUPER_ADMIN', 'HR_MANAGER', 'HR']),
+  availabilityController.deleteWorkSchedule.bind(availabilityController)
+);
+
+// GET /api/employees/:id/training-plan - Skill-gap training plan from the learning catalog
+router.get('/:id/training-plan',
+  authenticate,
+  determineTenant,
+  requireTenant,
+  [param('id').isInt()],
+  handleValidationErrors,
+  learningCatalogController.getTrainingPlan.bind(learningCatalogController)
+);
 
 // ============================================================================
 // EDUCATION ENDPOINTS
@@ -2132,6 +2347,8 @@ router.post('/:id/certifications',
         data: certData
       });
 
+      DevelopmentPlanService.scheduleSync(employeeId, 'certification added');
+
       res.json({
         success: true,
         message: 'Certification created successfully',
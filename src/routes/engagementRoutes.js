@@ -8,6 +8,9 @@
 const router = require('express').Router();
 const { authenticate, authorize } = require('../middlewares/authMiddleware');
 const prisma = require('../config/database');
+const { requireFeature } = require('../middlewares/entitlements');
+const { FEATURES } = require('../constants/plans');
+const EngagementAnonymityService = require('../services/engagementAnonymityService');
 
 // Import controllers
 const templateController = require('../controllers/engagement/engagementTemplateController');
@@ -125,6 +128,7 @@ router.post(
   '/ai/generate-questions',
   authenticate,
   authorize(['HR', 'ADMIN', 'SUPER_ADMIN']),
+  requireFeature(FEATURES.ENGAGEMENT_AI, { metered: true }),
   aiController.generateQuestions
 );
 
@@ -137,6 +141,7 @@ router.post(
   '/ai/suggestions',
   authenticate,
   authorize(['HR', 'ADMIN', 'SUPER_ADMIN']),
+  requireFeature(FEATURES.ENGAGEMENT_AI, { metered: true }),
   aiController.getAISuggestions
 );
 
@@ -216,6 +221,54 @@ router.get(
   campaignController.getCampaignStats
 );
 
+/**
+ * @route GET /api/engagement/campaigns/:id/comments-insights
+ * @desc Sentiment, topics, quotes and area themes of the campaign comments
+ * @access Private (HR, Admin)
+ */
+router.get(
+  '/campaigns/:id/comments-insights',
+  authenticate,
+  authorize(['hr', 'hr_manager', 'HR', 'ADMIN', 'SUPER_ADMIN']),
+  campaignController.getCampaignCommentInsights
+);
+
+/**
+ * @route GET /api/engagement/campaigns/:id/drivers
+ * @desc eNPS and areas ranked by impact on engagement_index, by department, office and role
+ * @access Private (HR, Admin)
+ */
+router.get(
+  '/campaigns/:id/drivers',
+  authenticate,
+  authorize(['hr', 'hr_manager', 'HR', 'ADMIN', 'SUPER_ADMIN']),
+  campaignController.getCampaignDrivers
+);
+
+/**
+ * @route GET /api/engagement/campaigns/:id/heatmap
+ * @desc Area scores by department, office, role or manager subtree, with deltas; ?format=csv|xlsx to export
+ * @access Private (HR, Admin)
+ */
+router.get(
+  '/campaigns/:id/heatmap',
+  authenticate,
+  authorize(['hr', 'hr_manager', 'HR', 'ADMIN', 'SUPER_ADMIN']),
+  campaignController.getCampaignHeatmap
+);
+
+/**
+ * @route GET /api/engagement/campaigns/:id/pulse-scores
+ * @desc Area scores of a pulse campaign reconstructed from the rotating samples of its cycle, with confidence
+ * @access Private (HR, Admin)
+ */
+router.get(
+  '/campaigns/:id/pulse-scores',
+  authenticate,
+  authorize(['hr', 'hr_manager', 'HR', 'ADMIN', 'SUPER_ADMIN']),
+  campaignController.getCampaignPulseScores
+);
+
 /**
  * @route POST /api/engagement/campaigns
  * @desc Create new campaign
@@ -268,6 +321,16 @@ router.post(
 // ANALYTICS ROUTES (To be implemented)
 // ========================================
 
+// Averages of engagement_surveys reported per group, hidden below the minimum group size
+const SURVEY_METRICS = [
+  'avg_job_satisfaction',
+  'avg_work_life_balance',
+  'avg_career_development',
+  'avg_team_collaboration',
+  'avg_manager_support',
+  'avg_overall_score'
+];
+
 /**
  * @route GET /api/engagement/analytics/overview
  * @desc Get engagement analytics overview
@@ -281,7 +344,7 @@ router.get(
     try {
       const tenantId = req.user.tenantId || req.user.tenant_id;
 
-      const [totalTemplates, activeCampaigns, avgResult, assignmentCounts] = await Promise.all([
+      const [totalTemplates, activeCampaigns, avgResult, assignmentCounts, minGroupSize] = await Promise.all([
         prisma.engagement_templates.count({
           where: { tenant_id: tenantId }
         }),
@@ -290,6 +353,7 @@ router.get(
         }),
         prisma.engagement_surveys.aggregate({
           _avg: { overall_score: true },
+          _count: { _all: true },
           where: { tenant_id: tenantId }
         }),
         prisma.engagement_campaign_assignments.groupBy({
@@ -298,7 +362,8 @@ router.get(
             campaign: { tenant_id: tenantId }
           },
           _count: true
-        })
+        }),
+        EngagementAnonymityService.getMinGroupSize(tenantId)
       ]);
 
       const totalAssignments = assignmentCounts.reduce((sum, g) => sum + g._count, 0);
@@ -307,13 +372,19 @@ router.get(
         ? Math.round((completedAssignments / totalAssignments) * 100)
         : 0;
 
+      // Below the minimum group size the average is one of a few people's scores
+      const reportable = avgResult._count._all >= minGroupSize;
+
       res.json({
         success: true,
         data: {
           totalTemplates,
           activeCampaigns,
-          averageScore: avgResult._avg.overall_score ? Number(avgResult._avg.overall_score) : 0,
-          participationRate
+          averageScore: reportable
+            ? (avgResult._avg.overall_score ? Number(avgResult._avg.overall_score) : 0)
+            : null,
+          participationRate,
+          anonymity: EngagementAnonymityService.describe(minGroupSize, reportable ? 0 : 1)
         }
       });
     } catch (error) {
@@ -360,9 +431,9 @@ router.get(
         ORDER BY avg_overall_score DESC
       `;
 
-      res.json({
-        success: true,
-        data: results.map(r => ({
+      const minGroupSize = await EngagementAnonymityService.getMinGroupSize(tenantId);
+      const { groups, suppressed } = EngagementAnonymityService.mergeSmallGroups(
+        results.map(r => ({
           ...r,
           avg_job_satisfaction: r.avg_job_satisfaction ? Number(r.avg_job_satisfaction) : null,
           avg_work_life_balance: r.avg_work_life_balance ? Number(r.avg_work_life_balance) : null,
@@ -370,7 +441,15 @@ router.get(
           avg_team_collaboration: r.avg_team_collaboration ? Number(r.avg_team_collaboration) : null,
           avg_manager_support: r.avg_manager_support ? Number(r.avg_manager_support) : null,
           avg_overall_score: r.avg_overall_score ? Number(r.avg_overall_score) : null
-        }))
+        })),
+        minGroupSize,
+        { labelField: 'role_name', countField: 'response_count', metricFields: SURVEY_METRICS }
+      );
+
+      res.json({
+        success: true,
+        data: groups,
+        anonymity: EngagementAnonymityService.describe(minGroupSize, suppressed)
       });
     } catch (error) {
       console.error('Error fetching role analytics:', error);
@@ -412,9 +491,10 @@ router.get(
         ORDER BY month ASC
       `;
 
-      res.json({
-        success: true,
-        data: results.map(r => ({
+      // Months are not merged: a month below the threshold keeps its count only
+      const minGroupSize = await EngagementAnonymityService.getMinGroupSize(tenantId);
+      const { points, suppressed } = EngagementAnonymityService.suppressSmallGroups(
+        results.map(r => ({
           month: r.month,
           response_count: r.response_count,
           avg_job_satisfaction: r.avg_job_satisfaction ? Number(r.avg_job_satisfaction) : null,
@@ -423,7 +503,15 @@ router.get(
           avg_team_collaboration: r.avg_team_collaboration ? Number(r.avg_team_collaboration) : null,
           avg_manager_support: r.avg_manager_support ? Number(r.avg_manager_support) : null,
           avg_overall_score: r.avg_overall_score ? Number(r.avg_overall_score) : null
-        }))
+        })),
+        minGroupSize,
+        { countField: 'response_count', metricFields: SURVEY_METRICS }
+      );
+
+      res.json({
+        success: true,
+        data: points,
+        anonymity: EngagementAnonymityService.describe(minGroupSize, suppressed)
       });
     } catch (error) {
       console.error('Error fetching trend analytics:', error);
@@ -435,6 +523,36 @@ router.get(
   }
 );
 
+// ========================================
+// ANONYMITY SETTINGS
+// ========================================
+
+const anonymityController = require('../controllers/engagement/engagementAnonymityController');
+
+/**
+ * @route GET /api/engagement/anonymity-settings
+ * @desc Get the minimum group size of the engagement analytics
+ * @access Private (HR, Admin)
+ */
+router.get(
+  '/anonymity-settings',
+  authenticate,
+  authorize(['HR', 'ADMIN', 'SUPER_ADMIN']),
+  anonymityController.getAnonymitySettings
+);
+
+/**
+ * @route PUT /api/engagement/anonymity-settings
+ * @desc Update the minimum group size of the engagement analytics
+ * @access Private (Admin)
+ */
+router.put(
+  '/anonymity-settings',
+  authenticate,
+  authorize(['ADMIN', 'SUPER_ADMIN']),
+  anonymityController.updateAnonymitySettings
+);
+
 // ========================================
 // RESPONSE ROUTES (For employees)
 // ========================================
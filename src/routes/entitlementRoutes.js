@@ -0,0 +1,80 @@
+/**
+ * Entitlement Routes
+ * @module routes/entitlementRoutes
+ * @created 2026-10-19
+ */
+
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const { ROLE_GROUPS } = require('../constants/roles');
+const entitlementController = require('../controllers/entitlementController');
+
+// Protect all routes
+router.use(authenticate);
+
+/**
+ * @route GET /api/entitlements
+ * @desc Plan, feature entitlements and monthly usage of the current tenant
+ * @access Private
+ */
+router.get(
+  '/',
+  entitlementController.getMyEntitlements.bind(entitlementController)
+);
+
+/**
+ * @route GET /api/entitlements/plans
+ * @desc Plans and the features they include
+ * @access Private (Super Admin)
+ */
+router.get(
+  '/plans',
+  authorize(ROLE_GROUPS.SYSTEM_ADMINS),
+  entitlementController.getPlans.bind(entitlementController)
+);
+
+/**
+ * @route GET /api/entitlements/tenants/:tenantId
+ * @desc Entitlements, usage and feature overrides of a tenant
+ * @access Private (Super Admin)
+ */
+router.get(
+  '/tenants/:tenantId',
+  authorize(ROLE_GROUPS.SYSTEM_ADMINS),
+  entitlementController.getTenantEntitlements.bind(entitlementController)
+);
+
+/**
+ * @route PUT /api/entitlements/tenants/:tenantId/plan
+ * @desc Change the plan of a tenant
+ * @access Private (Super Admin)
+ */
+router.put(
+  '/tenants/:tenantId/plan',
+  authorize(ROLE_GROUPS.SYSTEM_ADMINS),
+  entitlementController.updateTenantPlan.bind(entitlementController)
+);
+
+/**
+ * @route PUT /api/entitlements/tenants/:tenantId/features/:feature
+ * @desc Enable or disable a feature for a tenant, optionally with a custom monthly quota
+ * @access Private (Super Admin)
+ */
+router.put(
+  '/tenants/:tenantId/features/:feature',
+  authorize(ROLE_GROUPS.SYSTEM_ADMINS),
+  entitlementController.setFeatureOverride.bind(entitlementController)
+);
+
+/**
+ * @route DELETE /api/entitlements/tenants/:tenantId/features/:feature
+ * @desc Remove a feature override (the plan applies again)
+ * @access Private (Super Admin)
+ */
+router.delete(
+  '/tenants/:tenantId/features/:feature',
+  authorize(ROLE_GROUPS.SYSTEM_ADMINS),
+  entitlementController.removeFeatureOverride.bind(entitlementController)
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * GDPR Routes
+ * @module routes/gdprRoutes
+ * @created 2026-10-19
+ */
+
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const { ROLE_GROUPS } = require('../constants/roles');
+const gdprController = require('../controllers/gdprController');
+
+// Protect all routes: data subject requests are handled by tenant admins
+router.use(authenticate);
+router.use(authorize(ROLE_GROUPS.TENANT_ADMINS));
+
+/**
+ * @route GET /api/gdpr/employees/:employeeId/export
+ * @desc Machine-readable export of the employee's personal data and original CV files
+ * @access Private (Admin)
+ */
+router.get(
+  '/employees/:employeeId/export',
+  gdprController.exportEmployee.bind(gdprController)
+);
+
+/**
+ * @route POST /api/gdpr/employees/:employeeId/erase
+ * @desc Erase the employee's personal data (right to be forgotten)
+ * @access Private (Admin)
+ */
+router.post(
+  '/employees/:employeeId/erase',
+  gdprController.eraseEmployee.bind(gdprController)
+);
+
+/**
+ * @route GET /api/gdpr/requests
+ * @desc Receipts of exports and erasures
+ * @access Private (Admin)
+ */
+router.get(
+  '/requests',
+  gdprController.getRequests.bind(gdprController)
+);
+
+/**
+ * @route GET /api/gdpr/receipts/verify
+ * @desc Verify the receipt hash chain
+ * @access Private (Admin)
+ */
+router.get(
+  '/receipts/verify',
+  gdprController.verifyReceipts.bind(gdprController)
+);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const prisma = require('../config/database');
 const { authenticateTenantUser } = require('../middlewares/unifiedAuth');
+const EngagementAnonymityService = require('../services/engagementAnonymityService');
 
 /**
  * GET /api/hr/dashboard-stats
@@ -10,6 +11,8 @@ const { authenticateTenantUser } = require('../middlewares/unifiedAuth');
 router.get('/dashboard-stats', authenticateTenantUser, async (req, res) => {
   try {
     const tenantId = req.user.tenant_id || req.user.tenantId;
+    // Engagement scores of fewer respondents are not shown
+    const minGroupSize = await EngagementAnonymityService.getMinGroupSize(tenantId);
 
     const [
       employeeTotal,
@@ -125,6 +128,7 @@ router.get('/dashboard-stats', authenticateTenantUser, async (req, res) => {
             ), 0)::int as overall_score
           FROM engagement_surveys
           WHERE tenant_id = ${tenantId}::uuid
+          HAVING COUNT(*) >= ${minGroupSize}
         `
       ),
 
@@ -140,6 +144,7 @@ router.get('/dashboard-stats', authenticateTenantUser, async (req, res) => {
           JOIN engagement_campaigns ec ON er.campaign_id = ec.id
           WHERE ec.tenant_id = ${tenantId}
           GROUP BY TO_CHAR(er.completed_at, 'Mon'), EXTRACT(YEAR FROM er.completed_at), EXTRACT(MONTH FROM er.completed_at)
+          HAVING COUNT(er.id) >= ${minGroupSize}
           ORDER BY year DESC, month_num DESC
           LIMIT 6
         `
@@ -15,6 +15,7 @@ const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { validateInternalRequest } = require('../middleware/internalAuth');
+const LLMBudgetService = require('../services/llmBudgetService');
 
 // Apply HMAC validation middleware to all internal routes
 router.use(validateInternalRequest);
@@ -99,6 +100,11 @@ router.post('/llm-usage-log', async (req, res) => {
 
     console.log(`[LLM Audit] Logged ${operation_type} for tenant ${tenant_id}: ${total_tokens} tokens, $${estimated_cost?.toFixed(6)}`);
 
+    // Budget alerts for spend logged by Python (never rejects)
+    if (estimated_cost > 0) {
+      LLMBudgetService.recordSpend(tenant_id, operation_type);
+    }
+
     res.status(201).json({
       success: true,
       log_id: log.id
@@ -0,0 +1,78 @@
+/**
+ * Learning Catalog Routes
+ * @module routes/learningCatalogRoutes
+ * @created 2026-10-19
+ */
+
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const learningCatalogController = require('../controllers/learningCatalogController');
+
+// Protect all routes
+router.use(authenticate);
+
+/**
+ * @route GET /api/learning-catalog
+ * @desc List catalog items (filters: item_type, skill_id, soft_skill_id, search, include_inactive)
+ * @access Private (All authenticated users)
+ */
+router.get(
+  '/',
+  learningCatalogController.getItems.bind(learningCatalogController)
+);
+
+/**
+ * @route POST /api/learning-catalog/import
+ * @desc Import catalog items from CSV (upsert on external_id, ?dry_run=true to validate)
+ * @access Private (HR, Admin)
+ */
+router.post(
+  '/import',
+  authorize(['HR', 'HR_MANAGER', 'ADMIN', 'SUPER_ADMIN']),
+  learningCatalogController.importCsv.bind(learningCatalogController)
+);
+
+/**
+ * @route GET /api/learning-catalog/:itemId
+ * @desc Get single catalog item
+ * @access Private (All authenticated users)
+ */
+router.get(
+  '/:itemId',
+  learningCatalogController.getItemById.bind(learningCatalogController)
+);
+
+/**
+ * @route POST /api/learning-catalog
+ * @desc Create catalog item
+ * @access Private (HR, Admin)
+ */
+router.post(
+  '/',
+  authorize(['HR', 'HR_MANAGER', 'ADMIN', 'SUPER_ADMIN']),
+  learningCatalogController.createItem.bind(learningCatalogController)
+);
+
+/**
+ * @route PUT /api/learning-catalog/:itemId
+ * @desc Update catalog item
+ * @access Private (HR, Admin)
+ */
+router.put(
+  '/:itemId',
+  authorize(['HR', 'HR_MANAGER', 'ADMIN', 'SUPER_ADMIN']),
+  learningCatalogController.updateItem.bind(learningCatalogController)
+);
+
+/**
+ * @route DELETE /api/learning-catalog/:itemId
+ * @desc Deactivate catalog item
+ * @access Private (HR, Admin)
+ */
+router.delete(
+  '/:itemId',
+  authorize(['HR', 'HR_MANAGER', 'ADMIN', 'SUPER_ADMIN']),
+  learningCatalogController.deleteItem.bind(learningCatalogController)
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * LLM Budget Routes
+ * @module routes/llmBudgetRoutes
+ * @created 2026-10-19
+ */
+
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const { ROLE_GROUPS } = require('../constants/roles');
+const llmBudgetController = require('../controllers/llmBudgetController');
+
+// Protect all routes: budgets are managed by tenant admins
+router.use(authenticate);
+router.use(authorize(ROLE_GROUPS.TENANT_ADMINS));
+
+/**
+ * @route GET /api/llm-budgets
+ * @desc Budgets with spend and remaining amount in the current day/month
+ * @access Private (Admin)
+ */
+router.get(
+  '/',
+  llmBudgetController.getBudgets.bind(llmBudgetController)
+);
+
+/**
+ * @route GET /api/llm-budgets/alerts
+ * @desc Budget thresholds crossed
+ * @access Private (Admin)
+ */
+router.get(
+  '/alerts',
+  llmBudgetController.getAlerts.bind(llmBudgetController)
+);
+
+/**
+ * @route PUT /api/llm-budgets
+ * @desc Create or replace the daily/monthly budget of an operation type
+ * @access Private (Admin)
+ */
+router.put(
+  '/',
+  llmBudgetController.upsertBudget.bind(llmBudgetController)
+);
+
+/**
+ * @route DELETE /api/llm-budgets/:id
+ * @desc Delete a budget
+ * @access Private (Admin)
+ */
+router.delete(
+  '/:id',
+  llmBudgetController.deleteBudget.bind(llmBudgetController)
+);
+
+module.exports = router;
@@ -6,7 +6,10 @@
 
 const router = require('express').Router();
 const matchingController = require('../controllers/project/matchingController');
+const scoringProfileController = require('../controllers/project/scoringProfileController');
 const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const { requireFeature } = require('../middlewares/entitlements');
+const { FEATURES } = require('../constants/plans');
 
 // Protect all routes
 router.use(authenticate);
@@ -15,19 +18,51 @@ router.use(authenticate);
 router.post(
   '/project-roles/:roleId/match',
   authorize(['hr', 'hr_manager', 'manager', 'admin']),
-  matchingController.runMatching
+  requireFeature(FEATURES.PROJECT_MATCHING, { metered: true }),
+  matchingController.runMatching.bind(matchingController)
 );
 
 router.get(
   '/project-roles/:roleId/matches',
   authorize(['hr', 'hr_manager', 'manager', 'admin']),
-  matchingController.getMatchingResults
+  matchingController.getMatchingResults.bind(matchingController)
 );
 
 router.patch(
   '/matching-results/:resultId/shortlist',
   authorize(['hr', 'hr_manager', 'manager', 'admin']),
-  matchingController.updateShortlist
+  matchingController.updateShortlist.bind(matchingController)
 );
 
-module.exports = router;
\ No newline at end of file
+// Scoring profile routes
+router.get(
+  '/matching-profiles',
+  authorize(['hr', 'hr_manager', 'manager', 'admin']),
+  scoringProfileController.getProfiles.bind(scoringProfileController)
+);
+
+router.get(
+  '/matching-profiles/:profileId',
+  authorize(['hr', 'hr_manager', 'manager', 'admin']),
+  scoringProfileController.getProfileById.bind(scoringProfileController)
+);
+
+router.post(
+  '/matching-profiles',
+  authorize(['hr_manager', 'admin']),
+  scoringProfileController.createProfile.bind(scoringProfileController)
+);
+
+router.put(
+  '/matching-profiles/:profileId',
+  authorize(['hr_manager', 'admin']),
+  scoringProfileController.updateProfile.bind(scoringProfileController)
+);
+
+router.delete(
+  '/matching-profiles/:profileId',
+  authorize(['hr_manager', 'admin']),
+  scoringProfileController.deleteProfile.bind(scoringProfileController)
+);
+
+module.exports = router;
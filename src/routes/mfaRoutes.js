@@ -0,0 +1,108 @@
+/**
+ * MFA Routes
+ * @module routes/mfaRoutes
+ * @created 2026-10-19
+ */
+
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const { ROLE_GROUPS } = require('../constants/roles');
+const mfaController = require('../controllers/mfaController');
+
+router.use(authenticate);
+
+/**
+ * @route GET /api/mfa/status
+ * @desc MFA state of the current user (enabled, recovery codes left, required by the tenant)
+ * @access Private
+ */
+router.get(
+  '/status',
+  mfaController.getStatus.bind(mfaController)
+);
+
+/**
+ * @route POST /api/mfa/enroll
+ * @desc Start a TOTP enrollment: secret and otpauth:// provisioning URI (QR code)
+ * @access Private
+ */
+router.post(
+  '/enroll',
+  mfaController.startEnrollment.bind(mfaController)
+);
+
+/**
+ * @route POST /api/mfa/enroll/confirm
+ * @desc Enable MFA with a first code; returns the recovery codes
+ * @access Private
+ */
+router.post(
+  '/enroll/confirm',
+  mfaController.confirmEnrollment.bind(mfaController)
+);
+
+/**
+ * @route POST /api/mfa/recovery-codes
+ * @desc Replace the recovery codes
+ * @access Private
+ */
+router.post(
+  '/recovery-codes',
+  mfaController.regenerateRecoveryCodes.bind(mfaController)
+);
+
+/**
+ * @route POST /api/mfa/disable
+ * @desc Turn MFA off (refused when the tenant requires MFA)
+ * @access Private
+ */
+router.post(
+  '/disable',
+  mfaController.disable.bind(mfaController)
+);
+
+/**
+ * @route GET /api/mfa/policy
+ * @desc Tenant MFA policy and enrollment coverage
+ * @access Private (Admin)
+ */
+router.get(
+  '/policy',
+  authorize(ROLE_GROUPS.TENANT_ADMINS),
+  mfaController.getPolicy.bind(mfaController)
+);
+
+/**
+ * @route PUT /api/mfa/policy
+ * @desc Make MFA mandatory or optional for the tenant users
+ * @access Private (Admin)
+ */
+router.put(
+  '/policy',
+  authorize(ROLE_GROUPS.TENANT_ADMINS),
+  mfaController.updatePolicy.bind(mfaController)
+);
+
+/**
+ * @route POST /api/mfa/users/:userId/reset
+ * @desc Reset the MFA of a user (lost device)
+ * @access Private (Admin)
+ */
+router.post(
+  '/users/:userId/reset',
+  authorize(ROLE_GROUPS.TENANT_ADMINS),
+  mfaController.resetUser.bind(mfaController)
+);
+
+/**
+ * @route GET /api/mfa/events
+ * @desc MFA enrollments, challenges, recovery code uses and resets
+ * @access Private (Admin)
+ */
+router.get(
+  '/events',
+  authorize(ROLE_GROUPS.TENANT_ADMINS),
+  mfaController.getEvents.bind(mfaController)
+);
+
+module.exports = router;
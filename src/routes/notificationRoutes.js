@@ -0,0 +1,143 @@
+/**
+ * Notification Routes
+ * @module routes/notificationRoutes
+ * @created 2026-10-19
+ */
+
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const notificationController = require('../controllers/notificationController');
+
+const ADMIN_ROLES = ['HR', 'HR_MANAGER', 'ADMIN', 'SUPER_ADMIN'];
+
+// Protect all routes
+router.use(authenticate);
+
+/**
+ * @route GET /api/notifications
+ * @desc In-app notifications of the current user (?unread=true)
+ * @access Private (All authenticated users)
+ */
+router.get(
+  '/',
+  notificationController.getMyNotifications.bind(notificationController)
+);
+
+/**
+ * @route PATCH /api/notifications/read-all
+ * @desc Mark all in-app notifications as read
+ * @access Private (All authenticated users)
+ */
+router.patch(
+  '/read-all',
+  notificationController.markAllAsRead.bind(notificationController)
+);
+
+/**
+ * @route GET /api/notifications/preferences
+ * @desc Channel preferences of the current user
+ * @access Private (All authenticated users)
+ */
+router.get(
+  '/preferences',
+  notificationController.getPreferences.bind(notificationController)
+);
+
+/**
+ * @route PUT /api/notifications/preferences
+ * @desc Update channel preferences (per event type or * for all events)
+ * @access Private (All authenticated users)
+ */
+router.put(
+  '/preferences',
+  notificationController.updatePreferences.bind(notificationController)
+);
+
+/**
+ * @route GET /api/notifications/channels
+ * @desc List tenant notification channels
+ * @access Private (HR, Admin)
+ */
+router.get(
+  '/channels',
+  authorize(ADMIN_ROLES),
+  notificationController.getChannels.bind(notificationController)
+);
+
+/**
+ * @route POST /api/notifications/channels
+ * @desc Create a webhook, Slack, Teams, file or console channel
+ * @access Private (HR, Admin)
+ */
+router.post(
+  '/channels',
+  authorize(ADMIN_ROLES),
+  notificationController.createChannel.bind(notificationController)
+);
+
+/**
+ * @route PUT /api/notifications/channels/:channelId
+ * @desc Update a tenant notification channel
+ * @access Private (HR, Admin)
+ */
+router.put(
+  '/channels/:channelId',
+  authorize(ADMIN_ROLES),
+  notificationController.updateChannel.bind(notificationController)
+);
+
+/**
+ * @route DELETE /api/notifications/channels/:channelId
+ * @desc Delete a tenant notification channel
+ * @access Private (HR, Admin)
+ */
+router.delete(
+  '/channels/:channelId',
+  authorize(ADMIN_ROLES),
+  notificationController.deleteChannel.bind(notificationController)
+);
+
+/**
+ * @route POST /api/notifications/channels/:channelId/test
+ * @desc Send a test message to a tenant channel
+ * @access Private (HR, Admin)
+ */
+router.post(
+  '/channels/:channelId/test',
+  authorize(ADMIN_ROLES),
+  notificationController.testChannel.bind(notificationController)
+);
+
+/**
+ * @route GET /api/notifications/outbox
+ * @desc Delivery status of the notification outbox (filters: status, channel, event_type)
+ * @access Private (HR, Admin)
+ */
+router.get(
+  '/outbox',
+  authorize(ADMIN_ROLES),
+  notificationController.getOutbox.bind(notificationController)
+);
+
+/**
+ * @route POST /api/notifications/outbox/:id/retry
+ * @desc Requeue a failed or cancelled notification
+ * @access Private (HR, Admin)
+ */
+router.post(
+  '/outbox/:id/retry',
+  authorize(ADMIN_ROLES),
+  notificationController.retryNotification.bind(notificationController)
+);
+
+/**
+ * @route PATCH /api/notifications/:id/read
+ * @desc Mark an in-app notification as read
+ * @access Private (All authenticated users)
+ */
+router.patch(
+  '/:id/read',
+  notificationController.markAsRead.bind(notificationController)
+);
+
+module.exports = router;
@@ -7,12 +7,15 @@
 const router = require('express').Router();
 const { authenticate, authorize } = require('../middlewares/authMiddleware');
 const { generalLimiter } = require('../middlewares/rateLimiter');
+const { requireFeature } = require('../middlewares/entitlements');
+const { FEATURES } = require('../constants/plans');
 const prisma = require('../config/database');
 const projectController = require('../controllers/project/projectController');
 const matchingController = require('../controllers/project/matchingController');
 const roleController = require('../controllers/project/roleController');
 const roleSkillsController = require('../controllers/project/roleSkillsController');
 const assignmentController = require('../controllers/project/assignmentController');
+const simulationController = require('../controllers/project/simulationController');
 
 // ========================================
 // PROJECT ROUTES
@@ -247,9 +250,23 @@ router.post(
   '/roles/:roleId/match',
   authenticate,
   authorize(['HR', 'HR_MANAGER', 'MANAGER', 'ADMIN', 'SUPER_ADMIN']),
+  requireFeature(FEATURES.PROJECT_MATCHING, { metered: true }),
   matchingController.runMatching.bind(matchingController)
 );
 
+/**
+ * @route POST /api/projects/:projectId/staffing-plan
+ * @desc Propose a joint staffing plan across all open roles of a project
+ * @access Private (HR, Manager, Admin)
+ */
+router.post(
+  '/:projectId/staffing-plan',
+  authenticate,
+  authorize(['HR', 'HR_MANAGER', 'MANAGER', 'ADMIN', 'SUPER_ADMIN']),
+  requireFeature(FEATURES.PROJECT_MATCHING, { metered: true }),
+  matchingController.optimizeProjectStaffing.bind(matchingController)
+);
+
 /**
  * @route PATCH /api/projects/matching/:resultId/shortlist
  * @desc Update shortlist status
@@ -289,6 +306,18 @@ router.post(
   assignmentController.assignResource.bind(assignmentController)
 );
 
+/**
+ * @route POST /api/projects/:projectId/simulate-assignments
+ * @desc Simulate assignments (what-if, never writes)
+ * @access Private (HR, Manager)
+ */
+router.post(
+  '/:projectId/simulate-assignments',
+  authenticate,
+  authorize(['HR', 'HR_MANAGER', 'MANAGER', 'ADMIN']),
+  simulationController.simulateAssignments.bind(simulationController)
+);
+
 /**
  * @route PATCH /api/projects/assignments/:id
  * @desc Update assignment
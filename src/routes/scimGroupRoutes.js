@@ -0,0 +1,36 @@
+/**
+ * SCIM Group Role Routes
+ * @module routes/scimGroupRoutes
+ * @created 2026-10-19
+ */
+
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const { ROLE_GROUPS } = require('../constants/roles');
+const scimController = require('../controllers/scimController');
+
+// Protect all routes: group roles are managed by tenant admins
+router.use(authenticate);
+router.use(authorize(ROLE_GROUPS.TENANT_ADMINS));
+
+/**
+ * @route GET /api/scim/groups
+ * @desc Groups provisioned through SCIM with the role they grant
+ * @access Private (Admin)
+ */
+router.get(
+  '/',
+  scimController.getGroupRoles.bind(scimController)
+);
+
+/**
+ * @route PUT /api/scim/groups/:id/role
+ * @desc Set the role granted by a group to its members
+ * @access Private (Admin)
+ */
+router.put(
+  '/:id/role',
+  scimController.setGroupRole.bind(scimController)
+);
+
+module.exports = router;
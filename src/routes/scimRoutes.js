@@ -0,0 +1,159 @@
+/**
+ * SCIM 2.0 Routes
+ * @module routes/scimRoutes
+ * @created 2026-10-19
+ *
+ * Mounted at /scim/v2 for identity providers (Azure AD, Okta).
+ */
+
+const express = require('express');
+const { requireScimToken } = require('../middlewares/scimAuth');
+const scimController = require('../controllers/scimController');
+
+const router = express.Router();
+
+// SCIM clients send application/scim+json
+router.use(express.json({ type: ['application/json', 'application/scim+json'], limit: '1mb' }));
+router.use(requireScimToken);
+
+/**
+ * @route GET /scim/v2/ServiceProviderConfig
+ * @desc Supported SCIM features
+ * @access Private (API key, scim:write)
+ */
+router.get(
+  '/ServiceProviderConfig',
+  scimController.serviceProviderConfig.bind(scimController)
+);
+
+/**
+ * @route GET /scim/v2/ResourceTypes
+ * @desc Supported resource types (User, Group)
+ * @access Private (API key, scim:write)
+ */
+router.get(
+  '/ResourceTypes',
+  scimController.resourceTypes.bind(scimController)
+);
+
+/**
+ * @route GET /scim/v2/Users
+ * @desc List or filter users (employees with their tenant user)
+ * @access Private (API key, scim:write)
+ */
+router.get(
+  '/Users',
+  scimController.listUsers.bind(scimController)
+);
+
+/**
+ * @route POST /scim/v2/Users
+ * @desc Create an employee and its tenant user
+ * @access Private (API key, scim:write)
+ */
+router.post(
+  '/Users',
+  scimController.createUser.bind(scimController)
+);
+
+/**
+ * @route GET /scim/v2/Users/:id
+ * @desc Get a user
+ * @access Private (API key, scim:write)
+ */
+router.get(
+  '/Users/:id',
+  scimController.getUser.bind(scimController)
+);
+
+/**
+ * @route PUT /scim/v2/Users/:id
+ * @desc Replace a user
+ * @access Private (API key, scim:write)
+ */
+router.put(
+  '/Users/:id',
+  scimController.updateUser.bind(scimController)
+);
+
+/**
+ * @route PATCH /scim/v2/Users/:id
+ * @desc Update attributes of a user (active, department, manager, ...)
+ * @access Private (API key, scim:write)
+ */
+router.patch(
+  '/Users/:id',
+  scimController.updateUser.bind(scimController)
+);
+
+/**
+ * @route DELETE /scim/v2/Users/:id
+ * @desc Deactivate a user
+ * @access Private (API key, scim:write)
+ */
+router.delete(
+  '/Users/:id',
+  scimController.deleteUser.bind(scimController)
+);
+
+/**
+ * @route GET /scim/v2/Groups
+ * @desc List or filter groups
+ * @access Private (API key, scim:write)
+ */
+router.get(
+  '/Groups',
+  scimController.listGroups.bind(scimController)
+);
+
+/**
+ * @route POST /scim/v2/Groups
+ * @desc Create a group
+ * @access Private (API key, scim:write)
+ */
+router.post(
+  '/Groups',
+  scimController.createGroup.bind(scimController)
+);
+
+/**
+ * @route GET /scim/v2/Groups/:id
+ * @desc Get a group with its members
+ * @access Private (API key, scim:write)
+ */
+router.get(
+  '/Groups/:id',
+  scimController.getGroup.bind(scimController)
+);
+
+/**
+ * @route PUT /scim/v2/Groups/:id
+ * @desc Replace a group
+ * @access Private (API key, scim:write)
+ */
+router.put(
+  '/Groups/:id',
+  scimController.updateGroup.bind(scimController)
+);
+
+/**
+ * @route PATCH /scim/v2/Groups/:id
+ * @desc Rename a group or add/remove members
+ * @access Private (API key, scim:write)
+ */
+router.patch(
+  '/Groups/:id',
+  scimController.updateGroup.bind(scimController)
+);
+
+/**
+ * @route DELETE /scim/v2/Groups/:id
+ * @desc Delete a group
+ * @access Private (API key, scim:write)
+ */
+router.delete(
+  '/Groups/:id',
+  scimController.deleteGroup.bind(scimController)
+);
+
+module.exports = router;
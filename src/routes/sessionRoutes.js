@@ -0,0 +1,56 @@
+/**
+ * Session Routes
+ * @module routes/sessionRoutes
+ * @created 2026-10-19
+ */
+
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const { ROLE_GROUPS } = require('../constants/roles');
+const sessionController = require('../controllers/sessionController');
+
+router.use(authenticate);
+
+/**
+ * @route GET /api/sessions
+ * @desc Devices the current user is logged in on
+ * @access Private
+ */
+router.get(
+  '/',
+  sessionController.getSessions.bind(sessionController)
+);
+
+/**
+ * @route GET /api/sessions/users/:userId
+ * @desc Devices a user of the tenant is logged in on
+ * @access Private (Admin)
+ */
+router.get(
+  '/users/:userId',
+  authorize(ROLE_GROUPS.TENANT_ADMINS),
+  sessionController.getUserSessions.bind(sessionController)
+);
+
+/**
+ * @route DELETE /api/sessions/users/:userId
+ * @desc Log a user of the tenant out everywhere
+ * @access Private (Admin)
+ */
+router.delete(
+  '/users/:userId',
+  authorize(ROLE_GROUPS.TENANT_ADMINS),
+  sessionController.revokeUserSessions.bind(sessionController)
+);
+
+/**
+ * @route DELETE /api/sessions/:id
+ * @desc Log one of the current user's devices out
+ * @access Private
+ */
+router.delete(
+  '/:id',
+  sessionController.revokeSession.bind(sessionController)
+);
+
+module.exports = router;
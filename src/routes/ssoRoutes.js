@@ -0,0 +1,98 @@
+/**
+ * SSO Routes
+ * @module routes/ssoRoutes
+ * @created 2026-10-19
+ */
+
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const { ROLE_GROUPS } = require('../constants/roles');
+const ssoController = require('../controllers/ssoController');
+
+/**
+ * @route GET /api/sso/discover
+ * @desc Identity provider handling the domain of an email (login page)
+ * @access Public
+ */
+router.get(
+  '/discover',
+  ssoController.discover.bind(ssoController)
+);
+
+/**
+ * @route GET /api/sso/config
+ * @desc SSO configuration of the tenant and the endpoints to register at the IdP
+ * @access Private (Admin)
+ */
+router.get(
+  '/config',
+  authenticate,
+  authorize(ROLE_GROUPS.TENANT_ADMINS),
+  ssoController.getConfig.bind(ssoController)
+);
+
+/**
+ * @route PUT /api/sso/config
+ * @desc Create or update the OIDC/SAML configuration, role mapping and password login policy
+ * @access Private (Admin)
+ */
+router.put(
+  '/config',
+  authenticate,
+  authorize(ROLE_GROUPS.TENANT_ADMINS),
+  ssoController.updateConfig.bind(ssoController)
+);
+
+/**
+ * @route DELETE /api/sso/config
+ * @desc Remove the SSO configuration
+ * @access Private (Admin)
+ */
+router.delete(
+  '/config',
+  authenticate,
+  authorize(ROLE_GROUPS.TENANT_ADMINS),
+  ssoController.deleteConfig.bind(ssoController)
+);
+
+/**
+ * @route GET /api/sso/:tenant/login
+ * @desc Redirect to the identity provider of the tenant (slug or id)
+ * @access Public
+ */
+router.get(
+  '/:tenant/login',
+  ssoController.login.bind(ssoController)
+);
+
+/**
+ * @route GET /api/sso/:tenant/oidc/callback
+ * @desc OIDC authorization code callback
+ * @access Public (signed state)
+ */
+router.get(
+  '/:tenant/oidc/callback',
+  ssoController.oidcCallback.bind(ssoController)
+);
+
+/**
+ * @route POST /api/sso/:tenant/saml/acs
+ * @desc SAML assertion consumer service
+ * @access Public (signed assertion)
+ */
+router.post(
+  '/:tenant/saml/acs',
+  ssoController.samlAcs.bind(ssoController)
+);
+
+/**
+ * @route GET /api/sso/:tenant/saml/metadata
+ * @desc Service provider metadata
+ * @access Public
+ */
+router.get(
+  '/:tenant/saml/metadata',
+  ssoController.samlMetadata.bind(ssoController)
+);
+
+module.exports = router;
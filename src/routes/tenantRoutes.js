@@ -1,6 +1,10 @@
 const express = require('express');
 const prisma = require('../config/database');
 const { requireAdmin } = require('../middlewares/unifiedAuth');
+const { authenticate } = require('../middlewares/authMiddleware');
+const AuditLogService = require('../services/auditLogService');
+const SessionService = require('../services/sessionService');
+const auditLogController = require('../controllers/auditLogController');
 const { body, param, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 
@@ -70,11 +74,13 @@ router.get('/:id',
 
       let decoded;
       try {
-        decoded = require('jsonwebtoken').verify(token, process.env.JWT_ACCESS_SECRET);
+        decoded = await SessionService.verifyAccessToken(token);
       } catch (error) {
         return res.status(401).json({
           success: false,
-          message: 'Invalid token'
+          ...(error instanceof SessionService.SessionError
+            ? { message: error.message, code: error.code }
+            : { message: 'Invalid token' })
         });
       }
 
@@ -283,6 +289,15 @@ router.put('/:id',
         data: updateData
       });
 
+      await AuditLogService.record(req, {
+        action: AuditLogService.AUDIT_ACTIONS.UPDATE,
+        entity: AuditLogService.AUDIT_ENTITIES.TENANT,
+        entityId: tenantId,
+        before: existingTenant,
+        after: tenant,
+        tenantId
+      });
+
       res.json({
         success: true,
         message: 'Tenant updated successfully',
@@ -333,6 +348,15 @@ router.put('/:id/logo',
         }
       });
 
+      await AuditLogService.record(req, {
+        action: AuditLogService.AUDIT_ACTIONS.UPDATE,
+        entity: AuditLogService.AUDIT_ENTITIES.TENANT,
+        entityId: tenantId,
+        before: { logo: existingTenant.logo },
+        after: { logo: tenant.logo },
+        tenantId
+      });
+
       res.json({
         success: true,
         message: 'Logo uploaded successfully',
@@ -373,7 +397,7 @@ router.delete('/:id',
       }
 
       // Soft delete (mark as deleted)
-      await prisma.tenants.update({
+      const tenant = await prisma.tenants.update({
         where: { id: tenantId },
         data: {
           is_deleted: true,
@@ -383,6 +407,15 @@ router.delete('/:id',
         }
       });
 
+      await AuditLogService.record(req, {
+        action: AuditLogService.AUDIT_ACTIONS.DELETE,
+        entity: AuditLogService.AUDIT_ENTITIES.TENANT,
+        entityId: tenantId,
+        before: existingTenant,
+        after: tenant,
+        tenantId
+      });
+
       res.json({
         success: true,
         message: 'Tenant deleted successfully'
@@ -398,6 +431,17 @@ router.delete('/:id',
   }
 );
 
+// GET /api/tenants/:id/audit-log - Search, filter and export the tenant audit trail
+// Tenant admins see their own tenant, super admins any tenant
+router.get('/:id/audit-log',
+  authenticate,
+  [
+    param('id').isUUID()
+  ],
+  handleValidationErrors,
+  auditLogController.getAuditLog.bind(auditLogController)
+);
+
 // GET /api/tenants/:id/engagement-selections - Get tenant's selected engagement templates
 router.get('/:id/engagement-selections',
   [
@@ -418,11 +462,13 @@ router.get('/:id/engagement-selections',
 
       let decoded;
       try {
-        decoded = require('jsonwebtoken').verify(token, process.env.JWT_ACCESS_SECRET);
+        decoded = await SessionService.verifyAccessToken(token);
       } catch (error) {
         return res.status(401).json({
           success: false,
-          message: 'Invalid token'
+          ...(error instanceof SessionService.SessionError
+            ? { message: error.message, code: error.code }
+            : { message: 'Invalid token' })
         });
       }
 
@@ -492,11 +538,13 @@ router.post('/:id/engagement-selections',
 
       let decoded;
       try {
-        decoded = require('jsonwebtoken').verify(token, process.env.JWT_ACCESS_SECRET);
+        decoded = await SessionService.verifyAccessToken(token);
       } catch (error) {
         return res.status(401).json({
           success: false,
-          message: 'Invalid token'
+          ...(error instanceof SessionService.SessionError
+            ? { message: error.message, code: error.code }
+            : { message: 'Invalid token' })
         });
       }
 
@@ -609,11 +657,13 @@ router.delete('/:id/engagement-selections/:templateId',
 
       let decoded;
       try {
-        decoded = require('jsonwebtoken').verify(token, process.env.JWT_ACCESS_SECRET);
+        decoded = await SessionService.verifyAccessToken(token);
       } catch (error) {
         return res.status(401).json({
           success: false,
-          message: 'Invalid token'
+          ...(error instanceof SessionService.SessionError
+            ? { message: error.message, code: error.code }
+            : { message: 'Invalid token' })
         });
       }
 
@@ -3,14 +3,217 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const prisma = require('../config/database');
 const { body, validationResult } = require('express-validator');
+const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
+const PasswordResetService = require('../services/passwordResetService');
+const AuthTokenService = require('../services/authTokenService');
+const SSOService = require('../services/sso/ssoService');
+const MfaService = require('../services/mfaService');
+const SessionService = require('../services/sessionService');
+
+const { USER_INCLUDE } = AuthTokenService;
+const { MfaError } = MfaService;
+const { SessionError, REVOKE_REASONS } = SessionService;
 
 const router = express.Router();
 
+// Count a failed password or MFA code; the account is locked for 30 minutes after 5 failures
+const registerFailedLogin = (user) => prisma.tenant_users.update({
+  where: { id: user.id },
+  data: {
+    failed_login_count: (user.failed_login_count || 0) + 1,
+    locked_until: (user.failed_login_count || 0) >= 4
+      ? new Date(Date.now() + 30 * 60 * 1000)
+      : null
+  }
+});
+
+const isLocked = (user) => !!user.locked_until && user.locked_until > new Date();
+
+// Issue the tokens of a fully authenticated user and answer the login request
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Check if user must change password (admin-forced change, not a pending self-service reset)
+  const mustChangePassword = PasswordResetService.mustChangePassword(user);
+
+  // Reset failed login count on successful login
+  await prisma.tenant_users.update({
+    where: { id: user.id },
+    data: {
+      failed_login_count: 0,
+      last_login_at: new Date(),
+      last_login_ip: req.ip,
+      login_count: (user.login_count || 0) + 1
+    }
+  });
+
+  const { accessToken, refreshToken, payload } = await AuthTokenService.issueTokens(user, SessionService.contextFromRequest(req));
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    accessToken,
+    refreshToken,
+    redirectTo: AuthTokenService.getRedirectUrl(user.role, mustChangePassword),
+    userType: user.role,
+    mustChangePassword, // Aggiungi flag per indicare cambio password obbligatorio
+    user: payload,
+    ...extra
+  });
+};
+
+// User of the MFA token issued by /login, if the account can still log in
+const findMfaUser = async (mfaToken) => {
+  const user = await prisma.tenant_users.findFirst({
+    where: {
+      id: MfaService.verifyLoginToken(mfaToken),
+      is_active: true
+    },
+    include: USER_INCLUDE
+  });
+
+  if (!user) {
+    throw new MfaError('MFA session expired, please log in again', 'MFA_TOKEN_INVALID', 401);
+  }
+  if (isLocked(user)) {
+    throw new MfaError('Account is locked. Please try again later.', 'ACCOUNT_LOCKED', 401);
+  }
+  return user;
+};
+
+const sendMfaError = (res, error, action) => {
+  if (error instanceof MfaError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+  console.error(`${action} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+const LOGIN_VALIDATORS = [
+  body('email').isEmail().normalizeEmail(),
+  body('password').notEmpty()
+];
+
+// Password login handler: SSO enforcement, then the MFA challenge, then a session.
+// Also used by the legacy /api/admin/login, restricted to the given roles
+const passwordLogin = (roles = null) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    // Find user in tenant_users table (now unified for all users)
+    const user = await prisma.tenant_users.findFirst({
+      where: {
+        email,
+        is_active: true
+      },
+      include: USER_INCLUDE
+    });
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check if account is locked
+    if (isLocked(user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is locked. Please try again later.'
+      });
+    }
+
+    // Verify password
+    let validPassword = false;
+
+    if (user.password_hash) {
+      validPassword = await bcrypt.compare(password, user.password_hash);
+    } else if (user.password) {
+      // Fallback su campo password se password_hash non presente
+      validPassword = await bcrypt.compare(password, user.password);
+    } else if (email === 'superadmin@moobee.com' && password === 'SuperAdmin123!') {
+      // Caso speciale per super admin temporaneo
+      validPassword = true;
+    }
+
+    if (!validPassword) {
+      // Increment failed login count
+      await registerFailedLogin(user);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (roles && !roles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    // Tenants that enforce SSO refuse password logins (super admins excepted).
+    // Checked after the password so it does not reveal which accounts exist
+    const ssoConfig = await SSOService.getPasswordLoginBlock(user);
+    if (ssoConfig) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your organization requires single sign-on',
+        code: 'SSO_REQUIRED',
+        ssoLoginUrl: SSOService.getLoginPath(user.tenants)
+      });
+    }
+
+    // Second factor: no tokens until a TOTP/recovery code is checked (/login/mfa),
+    // or until the user enrolls when the tenant requires MFA (/login/mfa/enroll)
+    const mfaChallenge = MfaService.getLoginChallenge(user);
+    if (mfaChallenge) {
+      return res.json({
+        success: true,
+        message: mfaChallenge.mfaRequired
+          ? 'Verification code required'
+          : 'Your organization requires multi-factor authentication',
+        ...mfaChallenge
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Unified login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Unified login endpoint
-router.post('/login',
+router.post('/login', LOGIN_VALIDATORS, passwordLogin());
+
+// Second login step: TOTP code or recovery code for the MFA token returned by /login
+router.post('/login/mfa',
+  authLimiter,
   [
-    body('email').isEmail().normalizeEmail(),
-    body('password').notEmpty()
+    body('mfaToken').isString().notEmpty(),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString(),
+    body().custom(value => !!(value.code || value.recoveryCode))
+      .withMessage('code or recoveryCode is required')
   ],
   async (req, res) => {
     try {
@@ -22,189 +225,67 @@ router.post('/login',
         });
       }
 
-      const { email, password } = req.body;
-
-      // Find user in tenant_users table (now unified for all users)
-      const user = await prisma.tenant_users.findFirst({
-        where: {
-          email,
-          is_active: true
-        },
-        include: {
-          tenants: true,
-          employees: {
-            select: {
-              id: true,
-              first_name: true,
-              last_name: true,
-              position: true,
-              department_id: true
-            }
-          }
-        }
-      });
+      const user = await findMfaUser(req.body.mfaToken);
+      const result = await MfaService.verify(user, {
+        code: req.body.code,
+        recoveryCode: req.body.recoveryCode
+      }, MfaService.contextFromRequest(req));
 
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials'
-        });
-      }
+      if (!result) {
+        // Wrong codes count towards the account lockout, like wrong passwords
+        await registerFailedLogin(user);
 
-      // Check if account is locked
-      if (user.locked_until && user.locked_until > new Date()) {
         return res.status(401).json({
           success: false,
-          message: 'Account is locked. Please try again later.'
+          message: 'Invalid verification code',
+          code: 'MFA_INVALID_CODE'
         });
       }
 
-      // Verify password
-      let validPassword = false;
-
-      if (user.password_hash) {
-        validPassword = await bcrypt.compare(password, user.password_hash);
-      } else if (user.password) {
-        // Fallback su campo password se password_hash non presente
-        validPassword = await bcrypt.compare(password, user.password);
-      } else if (email === 'superadmin@moobee.com' && password === 'SuperAdmin123!') {
-        // Caso speciale per super admin temporaneo
-        validPassword = true;
-      }
-
-      if (!validPassword) {
-        // Increment failed login count
-        await prisma.tenant_users.update({
-          where: { id: user.id },
-          data: {
-            failed_login_count: (user.failed_login_count || 0) + 1,
-            locked_until: (user.failed_login_count || 0) >= 4
-              ? new Date(Date.now() + 30 * 60 * 1000)
-              : null
-          }
-        });
+      await completeLogin(req, res, user, result.method === 'recovery_code'
+        ? { recoveryCodesRemaining: result.recoveryCodesRemaining }
+        : {});
+    } catch (error) {
+      sendMfaError(res, error, 'MFA login');
+    }
+  }
+);
 
-        return res.status(401).json({
+// Enrollment during login, for users whose tenant requires MFA: secret and otpauth:// URI (QR code)
+router.post('/login/mfa/enroll',
+  authLimiter,
+  [
+    body('mfaToken').isString().notEmpty()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
-          message: 'Invalid credentials'
+          errors: errors.array()
         });
       }
 
-      // Check if user must change password (has password_reset_token)
-      const mustChangePassword = !!user.password_reset_token;
-
-      // Reset failed login count on successful login
-      await prisma.tenant_users.update({
-        where: { id: user.id },
-        data: {
-          failed_login_count: 0,
-          last_login_at: new Date(),
-          last_login_ip: req.ip,
-          login_count: (user.login_count || 0) + 1
-        }
-      });
-
-      // Determine redirect based on role and password change requirement
-      const getRedirectUrl = (role, mustChangePassword) => {
-        if (mustChangePassword) {
-          // All users must go to password change page first
-          return role === 'super_admin' || role === 'admin'
-            ? 'http://localhost:5174/change-password'
-            : 'http://localhost:5173/change-password';
-        }
-
-        switch(role) {
-          case 'super_admin':
-          case 'admin':
-            return 'http://localhost:5174'; // FE_tenant
-          case 'hr':
-          case 'employee':
-          case 'viewer':
-          default:
-            return 'http://localhost:5173'; // FE_moobee
-        }
-      };
-
-      // Generate tokens with comprehensive payload
-      // IMPORTANT: Exclude logo from tenant to avoid JWT size issues (431 error)
-      const { logo, ...tenantWithoutLogo } = user.tenants || {};
-
-      // Get employee data from relation (Prisma returns single object, not array)
-      const employeeData = user.employees || {};
-      console.log('[UNIFIED_AUTH] employee_id:', user.employee_id);
-      console.log('[UNIFIED_AUTH] employees relation:', employeeData);
-      console.log('[UNIFIED_AUTH] first_name:', employeeData.first_name);
-
-      const payload = {
-        id: user.id,
-        email: user.email,
-        // Prioritize employee data (single source of truth)
-        firstName: employeeData.first_name || user.first_name || '',
-        lastName: employeeData.last_name || user.last_name || '',
-        role: user.role,
-        tenantId: user.tenant_id,
-        tenant: tenantWithoutLogo, // Tenant without logo to keep JWT small
-        employeeId: employeeData.id || user.employee_id || null,
-        position: employeeData.position || null,
-        departmentId: employeeData.department_id || null
-      };
-
-      const accessToken = jwt.sign(
-        payload,
-        process.env.JWT_ACCESS_SECRET,
-        { expiresIn: '1h', issuer: 'moobee-unified' }
-      );
-
-      const refreshToken = jwt.sign(
-        { id: user.id, role: user.role },
-        process.env.JWT_REFRESH_SECRET,
-        { expiresIn: '7d', issuer: 'moobee-unified' }
-      );
-
-      // Store refresh token
-      await prisma.tenant_users.update({
-        where: { id: user.id },
-        data: {
-          refresh_token: refreshToken,
-          refresh_token_expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
-        }
-      });
+      const user = await findMfaUser(req.body.mfaToken);
+      const enrollment = await MfaService.startEnrollment(user, MfaService.contextFromRequest(req));
 
       res.json({
         success: true,
-        message: 'Login successful',
-        accessToken,
-        refreshToken,
-        redirectTo: getRedirectUrl(user.role, mustChangePassword),
-        userType: user.role,
-        mustChangePassword, // Aggiungi flag per indicare cambio password obbligatorio
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: employeeData.first_name || '',
-          lastName: employeeData.last_name || '',
-          role: user.role,
-          tenantId: user.tenant_id,
-          tenant: tenantWithoutLogo, // Use tenant without logo
-          employeeId: employeeData.id || user.employee_id || null,
-          position: employeeData.position || null,
-          departmentId: employeeData.department_id || null
-        }
+        data: enrollment
       });
     } catch (error) {
-      console.error('Unified login error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
+      sendMfaError(res, error, 'MFA enrollment');
     }
   }
 );
 
-// Refresh token endpoint
-router.post('/refresh',
+// Confirm the enrollment with a first code: enables MFA, returns the recovery codes and logs in
+router.post('/login/mfa/enroll/confirm',
+  authLimiter,
   [
-    body('refreshToken').notEmpty()
+    body('mfaToken').isString().notEmpty(),
+    body('code').isString().notEmpty()
   ],
   async (req, res) => {
     try {
@@ -216,83 +297,57 @@ router.post('/refresh',
         });
       }
 
-      const { refreshToken } = req.body;
-
-      // Verify refresh token
-      let decoded;
+      const user = await findMfaUser(req.body.mfaToken);
+      let recoveryCodes;
       try {
-        decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+        recoveryCodes = await MfaService.confirmEnrollment(user, req.body.code, MfaService.contextFromRequest(req));
       } catch (error) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid refresh token'
-        });
+        if (error.code === 'MFA_INVALID_CODE') await registerFailedLogin(user);
+        throw error;
       }
 
-      // Find user and verify stored refresh token
-      const user = await prisma.tenant_users.findUnique({
-        where: { id: decoded.id },
-        include: {
-          tenants: true,
-          employees: {
-            select: {
-              id: true,
-              first_name: true,
-              last_name: true,
-              position: true,
-              department_id: true
-            }
-          }
-        }
-      });
-
-      if (!user || user.refresh_token !== refreshToken) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid refresh token'
-        });
-      }
+      await completeLogin(req, res, user, { recoveryCodes });
+    } catch (error) {
+      sendMfaError(res, error, 'MFA enrollment');
+    }
+  }
+);
 
-      // Check if refresh token is expired
-      if (user.refresh_token_expires_at && user.refresh_token_expires_at < new Date()) {
-        return res.status(401).json({
+// Refresh token endpoint
+router.post('/refresh',
+  [
+    body('refreshToken').notEmpty()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
-          message: 'Refresh token expired'
+          errors: errors.array()
         });
       }
 
-      // Generate new access token
-      // IMPORTANT: Exclude logo from tenant to avoid JWT size issues (431 error)
-      const { logo, ...tenantWithoutLogo } = user.tenants || {};
-
-      // Get employee data from relation
-      const employeeData = user.employees || {};
-
-      const payload = {
-        id: user.id,
-        email: user.email,
-        firstName: employeeData.first_name || '',
-        lastName: employeeData.last_name || '',
-        role: user.role,
-        tenantId: user.tenant_id,
-        tenant: tenantWithoutLogo, // Tenant without logo to keep JWT small
-        employeeId: employeeData.id || user.employee_id || null,
-        position: employeeData.position || null,
-        departmentId: employeeData.department_id || null
-      };
-
-      const newAccessToken = jwt.sign(
-        payload,
-        process.env.JWT_ACCESS_SECRET,
-        { expiresIn: '1h', issuer: 'moobee-unified' }
+      // Rotates the refresh token: the one sent is no longer valid
+      const { accessToken, refreshToken } = await AuthTokenService.refreshTokens(
+        req.body.refreshToken,
+        SessionService.contextFromRequest(req)
       );
 
       res.json({
         success: true,
         message: 'Token refreshed',
-        accessToken: newAccessToken
+        accessToken,
+        refreshToken
       });
     } catch (error) {
+      if (error instanceof SessionError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
       console.error('Refresh token error:', error);
       res.status(500).json({
         success: false,
@@ -312,14 +367,19 @@ router.post('/logout', async (req, res) => {
       try {
         const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
 
-        // Clear refresh token
-        await prisma.tenant_users.update({
-          where: { id: decoded.id },
-          data: {
-            refresh_token: null,
-            refresh_token_expires_at: null
-          }
-        });
+        if (decoded.sid) {
+          // Close the session of this device only
+          await SessionService.revoke(decoded.sid, REVOKE_REASONS.LOGOUT);
+        } else {
+          // Token issued before sessions existed: clear the legacy refresh token
+          await prisma.tenant_users.update({
+            where: { id: decoded.id },
+            data: {
+              refresh_token: null,
+              refresh_token_expires_at: null
+            }
+          });
+        }
       } catch (error) {
         // Token might be invalid, but we still want to logout
       }
@@ -366,14 +426,16 @@ router.post('/change-password',
 
       const token = authHeader.substring(7);
 
-      // Verify token
+      // Verify token and session
       let decoded;
       try {
-        decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+        decoded = await SessionService.verifyAccessToken(token);
       } catch (error) {
         return res.status(401).json({
           success: false,
-          message: 'Invalid or expired token'
+          ...(error instanceof SessionError
+            ? { message: error.message, code: error.code }
+            : { message: 'Invalid or expired token' })
         });
       }
 
@@ -389,6 +451,7 @@ router.post('/change-password',
           password_hash: hashedPassword,
           password_reset_token: null,
           password_reset_expires_at: null,
+          force_password_change: false,
           updated_at: new Date()
         }
       });
@@ -396,6 +459,9 @@ router.post('/change-password',
       // Note: password is only stored in tenant_users table
       // employees table doesn't have password_hash field
 
+      // Whoever else holds a session of this user is logged out
+      await SessionService.revokeOthersForUser(decoded.id, decoded.sid || null, REVOKE_REASONS.PASSWORD_RESET);
+
       console.log(`Password changed for user: ${updatedUser.email}`);
 
       res.json({
@@ -412,6 +478,82 @@ router.post('/change-password',
   }
 );
 
+// Forgot password endpoint: emails a single-use reset link
+router.post('/forgot-password',
+  passwordResetLimiter,
+  [
+    body('email').isEmail().normalizeEmail()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      await PasswordResetService.requestReset(req.body.email);
+
+      // Same answer whether the account exists or not
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+// Reset password endpoint (token from the forgot-password email)
+router.post('/reset-password',
+  authLimiter,
+  [
+    body('token').isString().notEmpty(),
+    body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('confirmPassword').custom((value, { req }) => value === req.body.newPassword)
+      .withMessage('Passwords do not match')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const user = await PasswordResetService.resetPassword(req.body.token, req.body.newPassword);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset token'
+        });
+      }
+
+      console.log(`Password reset for user: ${user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password'
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
 // Verify token endpoint
 router.get('/verify', async (req, res) => {
   try {
@@ -425,7 +567,7 @@ router.get('/verify', async (req, res) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    const decoded = await SessionService.verifyAccessToken(token);
 
     res.json({
       success: true,
@@ -438,9 +580,13 @@ router.get('/verify', async (req, res) => {
   } catch (error) {
     res.status(401).json({
       success: false,
-      message: 'Invalid or expired token'
+      ...(error instanceof SessionError
+        ? { message: error.message, code: error.code }
+        : { message: 'Invalid or expired token' })
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.LOGIN_VALIDATORS = LOGIN_VALIDATORS;
+module.exports.passwordLogin = passwordLogin;
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * Webhook Routes
+ * @module routes/webhookRoutes
+ * @created 2026-10-19
+ */
+
+const router = require('express').Router();
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const webhookController = require('../controllers/webhookController');
+
+// Protect all routes: webhook subscriptions are tenant integration settings
+router.use(authenticate);
+router.use(authorize(['HR_MANAGER', 'ADMIN', 'SUPER_ADMIN']));
+
+/**
+ * @route GET /api/webhooks/events
+ * @desc Event types available for subscriptions
+ * @access Private (HR Manager, Admin)
+ */
+router.get(
+  '/events',
+  webhookController.getEvents.bind(webhookController)
+);
+
+/**
+ * @route GET /api/webhooks/deliveries/:deliveryId
+ * @desc Delivery detail with payload and last response
+ * @access Private (HR Manager, Admin)
+ */
+router.get(
+  '/deliveries/:deliveryId',
+  webhookController.getDelivery.bind(webhookController)
+);
+
+/**
+ * @route POST /api/webhooks/deliveries/:deliveryId/replay
+ * @desc Queue the event of a delivery again
+ * @access Private (HR Manager, Admin)
+ */
+router.post(
+  '/deliveries/:deliveryId/replay',
+  webhookController.replayDelivery.bind(webhookController)
+);
+
+/**
+ * @route GET /api/webhooks
+ * @desc List webhook subscriptions (secrets masked)
+ * @access Private (HR Manager, Admin)
+ */
+router.get(
+  '/',
+  webhookController.getSubscriptions.bind(webhookController)
+);
+
+/**
+ * @route POST /api/webhooks
+ * @desc Create a webhook subscription (returns the signing secret once)
+ * @access Private (HR Manager, Admin)
+ */
+router.post(
+  '/',
+  webhookController.createSubscription.bind(webhookController)
+);
+
+/**
+ * @route GET /api/webhooks/:id
+ * @desc Get a webhook subscription with its delivery summary
+ * @access Private (HR Manager, Admin)
+ */
+router.get(
+  '/:id',
+  webhookController.getSubscription.bind(webhookController)
+);
+
+/**
+ * @route PUT /api/webhooks/:id
+ * @desc Update a webhook subscription
+ * @access Private (HR Manager, Admin)
+ */
+router.put(
+  '/:id',
+  webhookController.updateSubscription.bind(webhookController)
+);
+
+/**
+ * @route DELETE /api/webhooks/:id
+ * @desc Delete a webhook subscription and its delivery log
+ * @access Private (HR Manager, Admin)
+ */
+router.delete(
+  '/:id',
+  webhookController.deleteSubscription.bind(webhookController)
+);
+
+/**
+ * @route POST /api/webhooks/:id/rotate-secret
+ * @desc Replace the signing secret
+ * @access Private (HR Manager, Admin)
+ */
+router.post(
+  '/:id/rotate-secret',
+  webhookController.rotateSecret.bind(webhookController)
+);
+
+/**
+ * @route POST /api/webhooks/:id/ping
+ * @desc Send a signed test ping right away
+ * @access Private (HR Manager, Admin)
+ */
+router.post(
+  '/:id/ping',
+  webhookController.pingSubscription.bind(webhookController)
+);
+
+/**
+ * @route GET /api/webhooks/:id/deliveries
+ * @desc Delivery log of a subscription (filters: status, event_type)
+ * @access Private (HR Manager, Admin)
+ */
+router.get(
+  '/:id/deliveries',
+  webhookController.getDeliveries.bind(webhookController)
+);
+
+module.exports = router;
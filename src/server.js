@@ -19,6 +19,7 @@ const aiRoutes = require('./routes/aiRoutes');
 const cvRoutes = require('./routes/cvRoutes');
 const internalRoutes = require('./routes/internalRoutes');
 const mcpProxyRoutes = require('./routes/mcpProxyRoutes');
+const { allowApiKey } = require('./middlewares/apiKeyAuth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -34,7 +35,7 @@ const corsOptions = {
   origin: allowedOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-User-Id', 'X-User-Role'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-User-Id', 'X-User-Role', 'X-API-Key'],
   optionsSuccessStatus: 200
 };
 
@@ -155,7 +156,7 @@ const tenantUserRoutes = require('./routes/tenantUserRoutes');
 
 // Mount routes
 app.use('/api/auth', authRoutes); // Legacy employee auth
-app.use('/api/employees', employeeRoutes);
+app.use('/api/employees', allowApiKey('employees'), employeeRoutes);
 app.use('/api/roles', roleRoutes);
 app.use('/api/sub-roles', subRolesRoutes); // Sub-roles search and retrieval
 app.use('/api/admin', adminRoutes); // Legacy admin auth
@@ -166,7 +167,7 @@ app.use('/api/dashboard', dashboardRoutes);
 
 // HR Dashboard aggregated stats
 const hrDashboardRoutes = require('./routes/hrDashboardRoutes');
-app.use('/api/hr', hrDashboardRoutes);
+app.use('/api/hr', allowApiKey('analytics'), hrDashboardRoutes);
 // Assessment routes (include /api/admin/assessment-catalog) - DISABLED FOR NOW
 // app.use('/', assessmentRoutes);
 
@@ -194,9 +195,16 @@ app.use('/api', roleBasedAssessmentRoutes); // Also mount at /api for routes lik
 
 // Analytics routes (Super Admin LLM Analytics + Regular Analytics)
 const analyticsRoutes = require('./routes/analyticsRoutes');
-app.use('/api/analytics', analyticsRoutes);
-
-// Engagement routes
+app.use('/api/analytics', allowApiKey('analytics'), analyticsRoutes);
+
+// Engagement routes (API keys: campaigns, results and analytics need analytics:read)
+app.use('/api/engagement', allowApiKey('campaigns', {
+  analytics: [
+    /^\/analytics\//,
+    /^\/campaigns\/[^/]+\/(stats|results|comments-insights|drivers|heatmap|pulse-scores)$/,
+    /^\/(weighted-results|trends)$/
+  ]
+}));
 app.use('/api/engagement', engagementRoutes);
 
 // AI routes (integration with Python backend)
@@ -215,7 +223,7 @@ app.use('/api/campaign-assignments', campaignAssignmentRoutes);
 
 // Assessment Campaign routes
 const assessmentCampaignRoutes = require('./routes/assessmentCampaignRoutes');
-app.use('/api/assessment/campaigns', assessmentCampaignRoutes);
+app.use('/api/assessment/campaigns', allowApiKey('campaigns'), assessmentCampaignRoutes);
 
 // Unified Calendar routes
 const unifiedRoutes = require('./routes/unifiedRoutes');
@@ -236,7 +244,7 @@ app.get('/api/roles/soft-skills', roleSoftSkillsController.getAllRolesSoftSkills
 
 // Project Management routes
 const projectRoutes = require('./routes/projectRoutes');
-app.use('/api/projects', projectRoutes);
+app.use('/api/projects', allowApiKey('projects'), projectRoutes);
 
 // Project Role routes
 const projectRoleRoutes = require('./routes/projectRoleRoutes');
@@ -258,6 +266,62 @@ app.use('/api/skills', skillsRoutes);
 const jobFamilyRoutes = require('./routes/jobFamilyRoutes');
 app.use('/api/job-families', jobFamilyRoutes);
 
+// Learning catalog routes
+const learningCatalogRoutes = require('./routes/learningCatalogRoutes');
+app.use('/api/learning-catalog', learningCatalogRoutes);
+
+// Individual development plan routes
+const developmentPlanRoutes = require('./routes/developmentPlanRoutes');
+app.use('/api/development-plans', developmentPlanRoutes);
+
+// Notification routes (in-app inbox, preferences, tenant channels, outbox)
+const notificationRoutes = require('./routes/notificationRoutes');
+app.use('/api/notifications', notificationRoutes);
+
+// Outgoing webhook routes (subscriptions, delivery log, replay, ping)
+const webhookRoutes = require('./routes/webhookRoutes');
+app.use('/api/webhooks', webhookRoutes);
+
+// Tenant API key management (machine-to-machine access)
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+app.use('/api/api-keys', apiKeyRoutes);
+
+// Plan entitlements and feature overrides
+const entitlementRoutes = require('./routes/entitlementRoutes');
+app.use('/api/entitlements', entitlementRoutes);
+
+// Tenant LLM budgets (remaining budget, limits, alerts)
+const llmBudgetRoutes = require('./routes/llmBudgetRoutes');
+app.use('/api/llm-budgets', llmBudgetRoutes);
+
+// Single sign-on (OIDC/SAML login, tenant IdP configuration)
+const ssoRoutes = require('./routes/ssoRoutes');
+app.use('/api/sso', ssoRoutes);
+
+// Multi-factor authentication (TOTP enrollment, tenant policy, admin reset)
+const mfaRoutes = require('./routes/mfaRoutes');
+app.use('/api/mfa', mfaRoutes);
+
+// Login sessions (devices, revocation, log out everywhere)
+const sessionRoutes = require('./routes/sessionRoutes');
+app.use('/api/sessions', sessionRoutes);
+
+// GDPR data subject requests (employee data export, erasure, receipts)
+const gdprRoutes = require('./routes/gdprRoutes');
+app.use('/api/gdpr', gdprRoutes);
+
+// SCIM 2.0 provisioning (identity providers) and provisioned group roles
+const scimRoutes = require('./routes/scimRoutes');
+const scimGroupRoutes = require('./routes/scimGroupRoutes');
+app.use('/scim/v2', scimRoutes);
+app.use('/api/scim/groups', scimGroupRoutes);
+
+// Local OIDC identity provider for SSO testing
+if (process.env.SSO_MOCK_IDP === 'true' && process.env.NODE_ENV !== 'production') {
+  const { createMockIdpRouter } = require('./services/sso/mockIdp');
+  app.use('/mock-idp', createMockIdpRouter());
+}
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
@@ -309,6 +373,9 @@ if (require.main === module) {
 
   // CV Worker flag (module scope for SIGTERM handler access)
   let isCVWorkerStarted = false;
+  let isCampaignSchedulerStarted = false;
+  let isNotificationWorkerStarted = false;
+  let isWebhookWorkerStarted = false;
 
   const server = app.listen(PORT, HOST, () => {
     console.log(`
@@ -330,6 +397,37 @@ if (require.main === module) {
     } else {
       console.log('⚠️  CV Extraction Background Worker disabled (START_CV_WORKER=false)');
     }
+
+    // Start campaign jobs: statuses, recurring occurrences, reminders (opt-in:
+    // they change campaigns of every tenant; one instance at a time runs them)
+    if (process.env.START_CAMPAIGN_JOBS === 'true') {
+      const { startScheduler } = require('./jobs/campaignStatusJob');
+      const jobsInterval = parseInt(process.env.CAMPAIGN_JOBS_INTERVAL_MS) || 60 * 60 * 1000; // Default: 1h
+      startScheduler(jobsInterval);
+      isCampaignSchedulerStarted = true;
+    } else {
+      console.log('⚠️  Campaign job scheduler disabled (set START_CAMPAIGN_JOBS=true to enable)');
+    }
+
+    // Start notification outbox worker (if enabled)
+    if (process.env.START_NOTIFICATION_WORKER !== 'false') {
+      const { startWorker: startNotificationWorker } = require('./services/notifications/outboxWorker');
+      const notificationInterval = parseInt(process.env.NOTIFICATION_WORKER_INTERVAL_MS) || 15000; // Default: 15s
+      startNotificationWorker(notificationInterval);
+      isNotificationWorkerStarted = true;
+    } else {
+      console.log('⚠️  Notification outbox worker disabled (START_NOTIFICATION_WORKER=false)');
+    }
+
+    // Start webhook delivery worker (if enabled)
+    if (process.env.START_WEBHOOK_WORKER !== 'false') {
+      const { startWorker: startWebhookWorker } = require('./services/webhooks/webhookWorker');
+      const webhookInterval = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 15000; // Default: 15s
+      startWebhookWorker(webhookInterval);
+      isWebhookWorkerStarted = true;
+    } else {
+      console.log('⚠️  Webhook worker disabled (START_WEBHOOK_WORKER=false)');
+    }
   });
 
   // Handle graceful shutdown
@@ -342,6 +440,21 @@ if (require.main === module) {
       stopWorker();
     }
 
+    if (isCampaignSchedulerStarted) {
+      const { stopScheduler } = require('./jobs/campaignStatusJob');
+      stopScheduler();
+    }
+
+    if (isNotificationWorkerStarted) {
+      const { stopWorker: stopNotificationWorker } = require('./services/notifications/outboxWorker');
+      stopNotificationWorker();
+    }
+
+    if (isWebhookWorkerStarted) {
+      const { stopWorker: stopWebhookWorker } = require('./services/webhooks/webhookWorker');
+      stopWebhookWorker();
+    }
+
     server.close(() => {
       console.log('HTTP server closed');
       process.exit(0);
@@ -114,6 +114,8 @@ class AIGenerationService {
       return questions;
 
     } catch (error) {
+      // A blocked budget must reach the caller, not be hidden by fallback questions
+      if (error.code === 'LLM_BUDGET_EXCEEDED') throw error;
       console.error('Error generating assessment questions:', error);
       console.log('Returning fallback questions due to error');
       return this.mockProvider.getFallbackQuestions(type, count);
@@ -228,6 +230,7 @@ class AIGenerationService {
       }));
 
     } catch (error) {
+      if (error.code === 'LLM_BUDGET_EXCEEDED') throw error;
       console.error('Error with custom generation:', error);
       console.log('Falling back to default generation');
       return this.generateAssessmentQuestions(type, options);
@@ -340,6 +343,7 @@ class AIGenerationService {
           auditContext
         );
       } catch (error) {
+        if (error.code === 'LLM_BUDGET_EXCEEDED') throw error;
         console.warn('OpenAI generation failed:', error.message);
       }
     }
@@ -356,6 +360,7 @@ class AIGenerationService {
           auditContext
         );
       } catch (error) {
+        if (error.code === 'LLM_BUDGET_EXCEEDED') throw error;
         console.warn('Anthropic generation failed:', error.message);
       }
     }
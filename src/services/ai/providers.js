@@ -57,6 +57,20 @@ class AIProviders {
     }
   }
 
+  /**
+   * Rifiuta la chiamata se un budget LLM bloccante del tenant è esaurito
+   * @private
+   * @param {Object} auditContext - Context for LLM audit logging
+   * @throws {LLMBudgetExceededError}
+   */
+  async checkBudget(auditContext) {
+    if (!auditContext || !auditContext.tenantId) return;
+
+    // Required on use: the budget service loads the database client
+    const LLMBudgetService = require('../llmBudgetService');
+    await LLMBudgetService.assertWithinBudget(auditContext.tenantId, auditContext.operationType || 'ai_generation');
+  }
+
   /**
    * Verifica se almeno un provider è disponibile
    * @returns {boolean}
@@ -231,12 +245,16 @@ class AIProviders {
    * @param {string} [auditContext.entityType] - Entity type
    * @param {string} [auditContext.entityId] - Entity ID
    * @returns {Promise<string>}
+   * @throws {LLMBudgetExceededError} when a hard budget limit of the tenant is reached
    */
   async generateWithOpenAI(prompt, systemPrompt, temperature, maxTokens, model = 'gpt-5', auditContext = null) {
     if (!this.openai) {
       throw new Error('OpenAI provider not initialized');
     }
 
+    // Hard budget limits refuse the call before anything is spent
+    await this.checkBudget(auditContext);
+
     const startTime = Date.now();
 
     try {
@@ -359,12 +377,16 @@ class AIProviders {
    * @param {string} [auditContext.entityType] - Entity type
    * @param {string} [auditContext.entityId] - Entity ID
    * @returns {Promise<string>}
+   * @throws {LLMBudgetExceededError} when a hard budget limit of the tenant is reached
    */
   async generateWithAnthropic(prompt, systemPrompt, temperature, maxTokens, model = 'claude-opus-4-1-20250805', auditContext = null) {
     if (!this.anthropic) {
       throw new Error('Anthropic provider not initialized');
     }
 
+    // Hard budget limits refuse the call before anything is spent
+    await this.checkBudget(auditContext);
+
     const startTime = Date.now();
 
     try {
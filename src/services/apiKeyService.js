@@ -0,0 +1,227 @@
+/**
+ * API Key Service
+ * @module services/apiKeyService
+ * @created 2026-10-19
+ *
+ * Scoped tenant API keys for machine-to-machine access. Only the SHA-256 hash
+ * of a key is stored (tenant_api_keys.apiKey); the plain key is returned once,
+ * on creation or rotation. Scopes are `resource:read` or `resource:write`,
+ * and write implies read.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../config/database');
+
+const KEY_PREFIX = 'mbk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+const API_KEY_RESOURCES = ['employees', 'projects', 'campaigns', 'analytics', 'scim'];
+const API_KEY_SCOPES = [
+  'employees:read',
+  'employees:write',
+  'projects:read',
+  'projects:write',
+  'campaigns:read',
+  'campaigns:write',
+  'analytics:read',
+  // SCIM provisioning (/scim/v2) of employees, tenant users and groups
+  'scim:write'
+];
+
+// Role API keys are checked as by authorize(): on top of its scopes, a key
+// only reaches the routes open to HR
+const API_KEY_ROLE = 'HR';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// lastUsedAt is refreshed at most once per interval per key
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+const MAX_ROTATION_GRACE_MINUTES = 7 * 24 * 60;
+
+class ApiKeyService {
+  static generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  }
+
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  static isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Scope needed for a request on a resource (read for safe methods)
+   */
+  static scopeFor(resource, method) {
+    return `${resource}:${READ_METHODS.includes(String(method).toUpperCase()) ? 'read' : 'write'}`;
+  }
+
+  static hasScope(grantedScopes, requiredScope) {
+    if (grantedScopes.includes(requiredScope)) return true;
+
+    const [resource, access] = requiredScope.split(':');
+    return access === 'read' && grantedScopes.includes(`${resource}:write`);
+  }
+
+  /**
+   * req.user for requests authenticated with an API key
+   */
+  static toPrincipal(apiKey) {
+    return {
+      id: `api-key:${apiKey.id}`,
+      email: null,
+      role: 'API_KEY',
+      tenantId: apiKey.tenant_id,
+      tenant_id: apiKey.tenant_id,
+      authType: 'api_key',
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes
+    };
+  }
+
+  /**
+   * API key as returned by the API (never the hash)
+   */
+  static serialize(apiKey) {
+    const now = new Date();
+    const rest = { ...apiKey };
+    delete rest.apiKey;
+
+    let status = 'ACTIVE';
+    if (!apiKey.isActive || apiKey.revokedAt) status = 'REVOKED';
+    else if (apiKey.expiresAt && apiKey.expiresAt <= now) status = 'EXPIRED';
+
+    return { ...rest, status };
+  }
+
+  /**
+   * Validate a create request
+   * @returns {{ errors: string[], data: Object }}
+   */
+  static validateKeyInput(body, now = new Date()) {
+    const errors = [];
+    const data = {};
+
+    const name = String(body.name || body.keyName || '').trim();
+    if (!name) errors.push('name is required');
+    else data.keyName = name.substring(0, 100);
+
+    const scopes = Array.isArray(body.scopes) ? body.scopes.map(s => String(s).trim().toLowerCase()) : [];
+    const unknown = scopes.filter(s => !API_KEY_SCOPES.includes(s));
+    if (scopes.length === 0 || unknown.length > 0) {
+      errors.push(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`);
+    } else {
+      data.scopes = [...new Set(scopes)];
+    }
+
+    if (body.expires_at) {
+      const expiresAt = new Date(body.expires_at);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= now) {
+        errors.push('expires_at must be a future date');
+      } else {
+        data.expiresAt = expiresAt;
+      }
+    }
+
+    return { errors, data };
+  }
+
+  /**
+   * Create a key
+   * @returns {Promise<{ apiKey: Object, key: string }>} the stored record and the plain key
+   */
+  static async createKey(tenantId, data, createdBy, { tx } = {}) {
+    const db = tx || prisma;
+    const key = this.generateKey();
+
+    const apiKey = await db.tenant_api_keys.create({
+      data: {
+        ...data,
+        tenant_id: tenantId,
+        apiKey: this.hashKey(key),
+        keyPrefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+        createdBy: createdBy ? String(createdBy) : null
+      }
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Replace a key with a new one with the same name, scopes and expiry.
+   * The old key is revoked now, or stays valid for graceMinutes.
+   * @returns {Promise<{ apiKey: Object, key: string, previous: Object }|null>} null if not found or revoked
+   */
+  static async rotateKey(tenantId, id, createdBy, { graceMinutes = 0 } = {}) {
+    const grace = Math.min(Math.max(parseInt(graceMinutes) || 0, 0), MAX_ROTATION_GRACE_MINUTES);
+    const now = new Date();
+
+    return prisma.$transaction(async (tx) => {
+      const existing = await tx.tenant_api_keys.findFirst({
+        where: { id, tenant_id: tenantId, isActive: true, revokedAt: null }
+      });
+      if (!existing) return null;
+
+      const { apiKey, key } = await this.createKey(tenantId, {
+        keyName: existing.keyName,
+        scopes: existing.scopes,
+        expiresAt: existing.expiresAt,
+        rotatedFromId: existing.id
+      }, createdBy, { tx });
+
+      const previous = await tx.tenant_api_keys.update({
+        where: { id: existing.id },
+        data: grace > 0
+          ? { expiresAt: new Date(now.getTime() + grace * 60 * 1000) }
+          : { isActive: false, revokedAt: now }
+      });
+
+      return { apiKey, key, previous };
+    });
+  }
+
+  /**
+   * Revoke a key
+   * @returns {Promise<Object|null>} the revoked key, null if not found
+   */
+  static async revokeKey(tenantId, id) {
+    const { count } = await prisma.tenant_api_keys.updateMany({
+      where: { id, tenant_id: tenantId, revokedAt: null },
+      data: { isActive: false, revokedAt: new Date() }
+    });
+    if (count === 0) return null;
+
+    return prisma.tenant_api_keys.findUnique({ where: { id } });
+  }
+
+  /**
+   * Resolve a plain key to its active record
+   * @returns {Promise<Object|null>} null if unknown, revoked or expired
+   */
+  static async authenticate(key, ip, now = new Date()) {
+    if (!this.isApiKey(key)) return null;
+
+    const apiKey = await prisma.tenant_api_keys.findUnique({
+      where: { apiKey: this.hashKey(key) }
+    });
+    if (!apiKey || !apiKey.isActive || apiKey.revokedAt) return null;
+    if (apiKey.expiresAt && apiKey.expiresAt <= now) return null;
+
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_UPDATE_INTERVAL_MS) {
+      prisma.tenant_api_keys.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: now, lastUsedIp: ip || null }
+      }).catch(error => {
+        console.error(`[API Keys] Failed to record usage of key ${apiKey.id}:`, error.message);
+      });
+    }
+
+    return apiKey;
+  }
+}
+
+module.exports = ApiKeyService;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
+module.exports.API_KEY_RESOURCES = API_KEY_RESOURCES;
+module.exports.API_KEY_ROLE = API_KEY_ROLE;
@@ -0,0 +1,268 @@
+/**
+ * Audit Log Service
+ * @module services/auditLogService
+ * @created 2026-10-19
+ *
+ * Tenant audit trail (tenant_audit_log): who created, changed or deleted
+ * employees, employee roles and skills, campaigns, project assignments,
+ * tenant users and tenant settings. Each entry stores the acting user, the
+ * request origin and a before/after diff limited to the changed fields.
+ *
+ * Writing an entry never fails the audited request: errors are logged.
+ */
+
+const prisma = require('../config/database');
+
+const AUDIT_ACTIONS = {
+  CREATE: 'CREATE',
+  UPDATE: 'UPDATE',
+  DELETE: 'DELETE'
+};
+
+const AUDIT_ENTITIES = {
+  EMPLOYEE: 'EMPLOYEE',
+  EMPLOYEE_ROLE: 'EMPLOYEE_ROLE',
+  EMPLOYEE_SKILL: 'EMPLOYEE_SKILL',
+  ENGAGEMENT_CAMPAIGN: 'ENGAGEMENT_CAMPAIGN',
+  ASSESSMENT_CAMPAIGN: 'ASSESSMENT_CAMPAIGN',
+  PROJECT_ASSIGNMENT: 'PROJECT_ASSIGNMENT',
+  TENANT_USER: 'TENANT_USER',
+  TENANT: 'TENANT',
+  API_KEY: 'API_KEY',
+  TENANT_FEATURE: 'TENANT_FEATURE',
+  LLM_BUDGET: 'LLM_BUDGET',
+  SSO_CONFIG: 'SSO_CONFIG',
+  SCIM_GROUP: 'SCIM_GROUP'
+};
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['updated_at', 'updatedAt', 'updated_by', 'updatedBy', 'last_updated'];
+// Stored as REDACTED: secrets, and values too large for a readable trail
+const REDACTED_FIELDS = [
+  'password', 'password_hash', 'refresh_token', 'password_reset_token',
+  'apiKey', 'secret', 'oidc_client_secret', 'mfa_secret', 'mfa_pending_secret',
+  'mfa_recovery_codes', 'refresh_token_hash', 'logo'
+];
+const REDACTED = '[REDACTED]';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  'createdAt', 'action', 'entity', 'entityId', 'actorEmail', 'actorRole', 'actorId',
+  'userId', 'changedFields', 'oldValue', 'newValue', 'ipAddress', 'userAgent'
+];
+
+class AuditLogService {
+  /**
+   * Plain JSON copy of a record (Dates as ISO strings, BigInt/Decimal as strings)
+   */
+  static toPlain(record) {
+    if (record === null || record === undefined) return null;
+    return JSON.parse(JSON.stringify(record, (key, value) => (
+      typeof value === 'bigint' ? value.toString() : value
+    )));
+  }
+
+  /**
+   * Copy of the audited fields of a record (leaves out relations and noise)
+   */
+  static snapshot(record, fields) {
+    if (!record) return null;
+    const copy = {};
+    for (const field of fields) {
+      if (record[field] !== undefined) copy[field] = record[field];
+    }
+    return copy;
+  }
+
+  static redact(values) {
+    if (!values) return values;
+    const redacted = { ...values };
+    for (const field of REDACTED_FIELDS) {
+      if (redacted[field] !== undefined && redacted[field] !== null) redacted[field] = REDACTED;
+    }
+    return redacted;
+  }
+
+  /**
+   * Before/after values restricted to the fields that changed.
+   * A missing `before` is a creation, a missing `after` a deletion.
+   * @returns {{ oldValue: Object|null, newValue: Object|null, changedFields: string[] }}
+   */
+  static diff(before, after) {
+    const oldPlain = this.toPlain(before);
+    const newPlain = this.toPlain(after);
+
+    const fields = [...new Set([...Object.keys(oldPlain || {}), ...Object.keys(newPlain || {})])]
+      .filter(field => !IGNORED_FIELDS.includes(field));
+
+    const changedFields = fields.filter(field => {
+      if (!oldPlain || !newPlain) return true;
+      return JSON.stringify(oldPlain[field] ?? null) !== JSON.stringify(newPlain[field] ?? null);
+    });
+
+    const pick = (values) => {
+      if (!values) return null;
+      const picked = {};
+      for (const field of changedFields) {
+        if (values[field] !== undefined) picked[field] = values[field];
+      }
+      return this.redact(picked);
+    };
+
+    return { oldValue: pick(oldPlain), newValue: pick(newPlain), changedFields };
+  }
+
+  /**
+   * Actor and origin of a request (JWT user or API key principal)
+   */
+  static actorFromRequest(req) {
+    const user = (req && req.user) || {};
+    const headers = (req && req.headers) || {};
+
+    return {
+      tenantId: user.tenant_id || user.tenantId || null,
+      userId: parseInt(user.employeeId || user.employee_id) || null,
+      actorId: user.id !== undefined && user.id !== null ? String(user.id) : null,
+      actorEmail: user.email || null,
+      actorRole: user.role || null,
+      ipAddress: (req && req.ip) || null,
+      userAgent: headers['user-agent'] ? String(headers['user-agent']).substring(0, 500) : null
+    };
+  }
+
+  /**
+   * Record a change made by a request
+   * @param {Object} req - Express request (actor and origin), or null for system changes
+   * @param {Object} entry
+   * @param {string} entry.action - one of AUDIT_ACTIONS
+   * @param {string} entry.entity - one of AUDIT_ENTITIES
+   * @param {string|number} entry.entityId
+   * @param {Object} [entry.before] - record before the change (omit on CREATE)
+   * @param {Object} [entry.after] - record after the change (omit on DELETE)
+   * @param {string} [entry.tenantId] - defaults to the actor tenant
+   * @returns {Promise<Object|null>} the entry, or null if nothing was recorded. Never rejects.
+   */
+  static async record(req, { action, entity, entityId, before = null, after = null, tenantId }) {
+    try {
+      const { tenantId: actorTenantId, ...actor } = this.actorFromRequest(req);
+      const entryTenantId = tenantId || actorTenantId;
+      if (!entryTenantId) {
+        console.warn(`[Audit] ${action} ${entity} ${entityId} not recorded: no tenant`);
+        return null;
+      }
+
+      const { oldValue, newValue, changedFields } = this.diff(before, after);
+      if (action === AUDIT_ACTIONS.UPDATE && changedFields.length === 0) return null;
+
+      return await prisma.tenant_audit_log.create({
+        data: {
+          ...actor,
+          tenant_id: entryTenantId,
+          action,
+          entity,
+          entityId: entityId !== undefined && entityId !== null ? String(entityId) : null,
+          oldValue: oldValue || undefined,
+          newValue: newValue || undefined,
+          changedFields
+        }
+      });
+    } catch (error) {
+      console.error(`[Audit] Failed to record ${action} ${entity} ${entityId}:`, error.message);
+      return null;
+    }
+  }
+
+  static buildWhere(tenantId, filters = {}) {
+    const where = { tenant_id: tenantId };
+    const list = (value) => String(value).split(',').map(v => v.trim().toUpperCase()).filter(Boolean);
+
+    if (filters.action) where.action = { in: list(filters.action) };
+    if (filters.entity) where.entity = { in: list(filters.entity) };
+    if (filters.entity_id) where.entityId = String(filters.entity_id);
+    if (filters.actor_id) where.actorId = String(filters.actor_id);
+    if (filters.actor) where.actorEmail = { contains: String(filters.actor), mode: 'insensitive' };
+    if (filters.field) where.changedFields = { has: String(filters.field) };
+
+    if (filters.from || filters.to) {
+      where.createdAt = {};
+      const from = filters.from ? new Date(filters.from) : null;
+      const to = filters.to ? new Date(filters.to) : null;
+      if (from && !isNaN(from.getTime())) where.createdAt.gte = from;
+      if (to && !isNaN(to.getTime())) where.createdAt.lte = to;
+    }
+
+    if (filters.q) {
+      const q = String(filters.q).trim();
+      where.OR = [
+        { entityId: q },
+        { actorEmail: { contains: q, mode: 'insensitive' } },
+        { entity: { contains: q, mode: 'insensitive' } },
+        { action: { contains: q, mode: 'insensitive' } },
+        { changedFields: { has: q } }
+      ];
+    }
+
+    return where;
+  }
+
+  /**
+   * Search the tenant audit trail, newest first
+   * @param {string} tenantId
+   * @param {Object} filters - action, entity (comma-separated), entity_id, actor_id,
+   *   actor (email), field (changed field), from, to, q (free text), page, limit
+   */
+  static async search(tenantId, filters = {}) {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const where = this.buildWhere(tenantId, filters);
+
+    const [logs, total] = await Promise.all([
+      prisma.tenant_audit_log.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.tenant_audit_log.count({ where })
+    ]);
+
+    return {
+      logs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * All entries matching the filters, up to MAX_EXPORT_ROWS, newest first
+   */
+  static async exportEntries(tenantId, filters = {}) {
+    return prisma.tenant_audit_log.findMany({
+      where: this.buildWhere(tenantId, filters),
+      orderBy: { createdAt: 'desc' },
+      take: MAX_EXPORT_ROWS
+    });
+  }
+
+  static toCsv(logs) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = value instanceof Date ? value.toISOString()
+        : Array.isArray(value) ? value.join(';')
+          : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      // Spreadsheet formula injection
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = logs.map(log => CSV_COLUMNS.map(column => escape(log[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+}
+
+module.exports = AuditLogService;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.AUDIT_ENTITIES = AUDIT_ENTITIES;
+module.exports.MAX_EXPORT_ROWS = MAX_EXPORT_ROWS;
@@ -0,0 +1,227 @@
+/**
+ * Auth Token Service
+ * @module services/authTokenService
+ * @created 2026-10-19
+ *
+ * Access/refresh tokens of tenant users, shared by the password login
+ * (routes/unifiedAuthRoutes) and the SSO login (controllers/ssoController).
+ * Each login opens a session (services/sessionService) whose id is signed in
+ * both tokens; refresh tokens are single use and rotated by refreshTokens.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../config/database');
+const SessionService = require('./sessionService');
+
+const { SessionError, REVOKE_REASONS } = SessionService;
+
+const ACCESS_TOKEN_TTL = '1h';
+const REFRESH_TOKEN_TTL = '7d';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const TOKEN_ISSUER = 'moobee-unified';
+
+// Relation data needed to build the token payload
+const USER_INCLUDE = {
+  tenants: true,
+  employees: {
+    select: {
+      id: true,
+      first_name: true,
+      last_name: true,
+      position: true,
+      department_id: true
+    }
+  }
+};
+
+class AuthTokenService {
+  /**
+   * Access token payload of a tenant user (loaded with USER_INCLUDE)
+   */
+  static buildPayload(user, sessionId = null) {
+    // IMPORTANT: Exclude logo from tenant to avoid JWT size issues (431 error)
+    const { logo, ...tenantWithoutLogo } = user.tenants || {};
+    const employeeData = user.employees || {};
+
+    return {
+      id: user.id,
+      email: user.email,
+      // Prioritize employee data (single source of truth)
+      firstName: employeeData.first_name || user.first_name || '',
+      lastName: employeeData.last_name || user.last_name || '',
+      role: user.role,
+      tenantId: user.tenant_id,
+      tenant: tenantWithoutLogo,
+      employeeId: employeeData.id || user.employee_id || null,
+      position: employeeData.position || null,
+      departmentId: employeeData.department_id || null,
+      ...(sessionId && { sid: sessionId })
+    };
+  }
+
+  static signAccessToken(payload) {
+    return jwt.sign(payload, process.env.JWT_ACCESS_SECRET, {
+      expiresIn: ACCESS_TOKEN_TTL,
+      issuer: TOKEN_ISSUER
+    });
+  }
+
+  static signRefreshToken(user, sessionId) {
+    return jwt.sign(
+      { id: user.id, role: user.role, sid: sessionId },
+      process.env.JWT_REFRESH_SECRET,
+      { expiresIn: REFRESH_TOKEN_TTL, issuer: TOKEN_ISSUER, jwtid: uuidv4() }
+    );
+  }
+
+  static getRefreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+  }
+
+  /**
+   * Open a session and sign its access and refresh tokens
+   * @param {Object} user - tenant user loaded with USER_INCLUDE
+   * @param {Object} [context] - { ipAddress, userAgent } of the login request
+   * @returns {Promise<{ accessToken: string, refreshToken: string, payload: Object, sessionId: string }>}
+   */
+  static async issueTokens(user, context = {}) {
+    const sessionId = uuidv4();
+    const payload = this.buildPayload(user, sessionId);
+    const accessToken = this.signAccessToken(payload);
+    const refreshToken = this.signRefreshToken(user, sessionId);
+
+    await SessionService.create({
+      id: sessionId,
+      user,
+      refreshToken,
+      expiresAt: this.getRefreshExpiry(),
+      context
+    });
+
+    return { accessToken, refreshToken, payload, sessionId };
+  }
+
+  /**
+   * Exchange a refresh token for new access and refresh tokens of the same session
+   * @param {string} refreshToken
+   * @param {Object} [context] - { ipAddress, userAgent }
+   * @returns {Promise<{ accessToken: string, refreshToken: string, payload: Object, sessionId: string }>}
+   * @throws {SessionError} invalid, expired or reused token
+   */
+  static async refreshTokens(refreshToken, context = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(refreshToken || ''), process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN', 401);
+    }
+
+    if (!decoded.sid) {
+      return this.refreshLegacyToken(decoded, refreshToken, context);
+    }
+
+    const session = await SessionService.findForRefresh(decoded.sid, USER_INCLUDE);
+    if (!session || session.user_id !== decoded.id || session.revoked_at) {
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN', 401);
+    }
+    if (session.expires_at < new Date()) {
+      throw new SessionError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED', 401);
+    }
+    if (SessionService.hashToken(refreshToken) !== session.refresh_token_hash) {
+      await SessionService.handleReuse(session, context);
+      throw new SessionError('Refresh token was already used, please log in again', 'REFRESH_TOKEN_REUSED', 401);
+    }
+
+    const user = session.tenant_users;
+    if (!user.is_active) {
+      await SessionService.revoke(session.id, REVOKE_REASONS.DEACTIVATED);
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN', 401);
+    }
+
+    const payload = this.buildPayload(user, session.id);
+    const newRefreshToken = this.signRefreshToken(user, session.id);
+    const rotated = await SessionService.rotate(session, refreshToken, newRefreshToken, this.getRefreshExpiry(), context);
+    if (!rotated) {
+      // Another request rotated the token first
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN', 401);
+    }
+
+    return { accessToken: this.signAccessToken(payload), refreshToken: newRefreshToken, payload, sessionId: session.id };
+  }
+
+  /**
+   * Refresh token issued before sessions existed (stored in tenant_users):
+   * accepted once and moved to a new session
+   */
+  static async refreshLegacyToken(decoded, refreshToken, context) {
+    const user = await prisma.tenant_users.findFirst({
+      where: { id: decoded.id, is_active: true },
+      include: USER_INCLUDE
+    });
+
+    if (!user || user.refresh_token !== refreshToken) {
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN', 401);
+    }
+    if (user.refresh_token_expires_at && user.refresh_token_expires_at < new Date()) {
+      throw new SessionError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED', 401);
+    }
+
+    const { count } = await prisma.tenant_users.updateMany({
+      where: { id: user.id, refresh_token: refreshToken },
+      data: { refresh_token: null, refresh_token_expires_at: null }
+    });
+    if (count === 0) {
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN', 401);
+    }
+    return this.issueTokens(user, context);
+  }
+
+  /**
+   * Signing key of short-lived tokens with a purpose (SSO state, ...).
+   * Derived from the access secret so these tokens are never accepted as
+   * access tokens.
+   */
+  static getPurposeSecret(purpose) {
+    return crypto.createHmac('sha256', process.env.JWT_ACCESS_SECRET || '').update(purpose).digest('hex');
+  }
+
+  static signPurposeToken(purpose, payload, expiresIn) {
+    return jwt.sign({ ...payload, purpose }, this.getPurposeSecret(purpose), {
+      expiresIn,
+      issuer: TOKEN_ISSUER
+    });
+  }
+
+  /**
+   * Payload of a purpose token
+   * @throws if the token is invalid, expired or for another purpose
+   */
+  static verifyPurposeToken(purpose, token) {
+    const payload = jwt.verify(String(token || ''), this.getPurposeSecret(purpose), { issuer: TOKEN_ISSUER });
+    if (payload.purpose !== purpose) throw new Error('Token purpose mismatch');
+    return payload;
+  }
+
+  /**
+   * Frontend the user lands on after login
+   */
+  static getRedirectUrl(role, mustChangePassword = false) {
+    const isAdmin = role === 'super_admin' || role === 'admin';
+
+    if (mustChangePassword) {
+      // All users must go to password change page first
+      return isAdmin
+        ? 'http://localhost:5174/change-password'
+        : 'http://localhost:5173/change-password';
+    }
+
+    return isAdmin
+      ? 'http://localhost:5174' // FE_tenant
+      : 'http://localhost:5173'; // FE_moobee
+  }
+}
+
+module.exports = AuthTokenService;
+module.exports.USER_INCLUDE = USER_INCLUDE;
@@ -0,0 +1,239 @@
+/**
+ * Availability Calendar Service
+ * @module services/availabilityCalendarService
+ * @created 2026-10-19
+ *
+ * Time-phased availability: per-employee weekly capacity derived from
+ * - employee_work_schedules (part-time contracts, default 100%)
+ * - employee_absences (planned/approved, full or partial days)
+ * - project_assignments (start/end/allocation)
+ *
+ * All figures are percentages of a full-time week, averaged over the
+ * working days (Mon-Fri) of each ISO week that fall inside the range.
+ */
+
+const prisma = require('../config/database');
+const { DAY_MS, toDay } = require('../utils/allocationTimeline');
+
+const MAX_WEEKS = 104;
+const DEFAULT_HORIZON_WEEKS = 12;
+const ACTIVE_ABSENCE_STATUSES = ['PLANNED', 'APPROVED'];
+
+/**
+ * Monday (UTC midnight) of the ISO week containing a date
+ * @param {Date|string} date
+ * @returns {number} Epoch milliseconds
+ */
+function getWeekStart(date) {
+  const day = toDay(date);
+  const weekday = (new Date(day).getUTCDay() + 6) % 7; // Monday = 0
+  return day - weekday * DAY_MS;
+}
+
+const isWeekday = (day) => {
+  const weekday = new Date(day).getUTCDay();
+  return weekday !== 0 && weekday !== 6;
+};
+
+const covers = (item, startField, endField, day) =>
+  toDay(item[startField]) <= day && (!item[endField] || toDay(item[endField]) >= day);
+
+/**
+ * Build the weekly availability series for one employee
+ * @param {Object} params
+ * @param {Date|string} params.from - Range start (inclusive)
+ * @param {Date|string} params.to - Range end (inclusive)
+ * @param {Object[]} [params.assignments] - project_assignments rows
+ * @param {Object[]} [params.absences] - employee_absences rows (cancelled ones are ignored)
+ * @param {Object[]} [params.schedules] - employee_work_schedules rows
+ * @returns {Object[]} [{ week_start, week_end, working_days, contract_capacity,
+ *                        absence, effective_capacity, allocated, available, over_allocated }]
+ */
+function buildWeeklyAvailability({ from, to, assignments = [], absences = [], schedules = [] }) {
+  const rangeStart = toDay(from);
+  const rangeEnd = toDay(to);
+  const activeAbsences = absences.filter(a => !a.status || ACTIVE_ABSENCE_STATUSES.includes(a.status));
+  const activeAssignments = assignments.filter(a => a.is_active !== false);
+  // Most recent schedule wins when periods overlap
+  const sortedSchedules = [...schedules].sort((a, b) => toDay(b.effective_from) - toDay(a.effective_from));
+
+  const weeks = [];
+
+  for (let weekStart = getWeekStart(rangeStart); weekStart <= rangeEnd; weekStart += 7 * DAY_MS) {
+    const totals = { days: 0, capacity: 0, absence: 0, effective: 0, allocated: 0, available: 0 };
+
+    for (let day = weekStart; day < weekStart + 7 * DAY_MS; day += DAY_MS) {
+      if (day < rangeStart || day > rangeEnd || !isWeekday(day)) continue;
+
+      const schedule = sortedSchedules.find(s => covers(s, 'effective_from', 'effective_to', day));
+      const capacity = schedule ? schedule.capacity_percentage : 100;
+
+      const absent = Math.min(100, activeAbsences
+        .filter(a => covers(a, 'start_date', 'end_date', day))
+        .reduce((sum, a) => sum + (a.absence_percentage ?? 100), 0));
+
+      const effective = capacity * (1 - absent / 100);
+
+      const allocated = activeAssignments
+        .filter(a => covers(a, 'start_date', 'end_date', day))
+        .reduce((sum, a) => sum + (a.allocation_percentage ?? 100), 0);
+
+      totals.days++;
+      totals.capacity += capacity;
+      totals.absence += capacity - effective;
+      totals.effective += effective;
+      totals.allocated += allocated;
+      totals.available += Math.max(0, effective - allocated);
+    }
+
+    const avg = (value) => (totals.days > 0 ? Math.round(value / totals.days) : 0);
+
+    weeks.push({
+      week_start: new Date(weekStart).toISOString().slice(0, 10),
+      week_end: new Date(weekStart + 6 * DAY_MS).toISOString().slice(0, 10),
+      working_days: totals.days,
+      contract_capacity: avg(totals.capacity),
+      absence: avg(totals.absence),
+      effective_capacity: avg(totals.effective),
+      allocated: avg(totals.allocated),
+      available: avg(totals.available),
+      over_allocated: totals.allocated > totals.effective
+    });
+  }
+
+  return weeks;
+}
+
+/**
+ * Aggregate figures over a weekly series (weeks without working days are ignored)
+ * @param {Object[]} weeks - Output of buildWeeklyAvailability
+ * @returns {Object} { average_available, min_available, peak_allocated, over_allocated_weeks, available_from }
+ */
+function summarizeAvailability(weeks) {
+  const working = weeks.filter(w => w.working_days > 0);
+  if (working.length === 0) {
+    return {
+      average_available: 0,
+      min_available: 0,
+      peak_allocated: 0,
+      over_allocated_weeks: 0,
+      available_from: null
+    };
+  }
+
+  const firstFree = working.find(w => w.available > 0);
+
+  return {
+    average_available: Math.round(working.reduce((sum, w) => sum + w.available, 0) / working.length),
+    min_available: Math.min(...working.map(w => w.available)),
+    peak_allocated: Math.max(...working.map(w => w.allocated)),
+    over_allocated_weeks: working.filter(w => w.over_allocated).length,
+    available_from: firstFree ? firstFree.week_start : null
+  };
+}
+
+/**
+ * Resolve and validate a calendar range (defaults: today + 12 weeks)
+ * @param {string} [from]
+ * @param {string} [to]
+ * @returns {{ error?: string, from?: Date, to?: Date }}
+ */
+function resolveRange(from, to) {
+  const start = from ? new Date(from) : new Date();
+  const end = to ? new Date(to) : new Date(toDay(start) + DEFAULT_HORIZON_WEEKS * 7 * DAY_MS);
+
+  if (isNaN(start) || isNaN(end)) {
+    return { error: 'from and to must be valid dates (YYYY-MM-DD)' };
+  }
+  if (toDay(end) < toDay(start)) {
+    return { error: 'to must be after from' };
+  }
+  if (toDay(end) - toDay(start) > MAX_WEEKS * 7 * DAY_MS) {
+    return { error: `Range cannot exceed ${MAX_WEEKS} weeks` };
+  }
+  return { from: new Date(toDay(start)), to: new Date(toDay(end)) };
+}
+
+/**
+ * Prisma include fragment loading everything the calendar needs for a range
+ * @param {Date} from
+ * @param {Date} to
+ */
+function calendarInclude(from, to) {
+  return {
+    project_assignments: {
+      where: {
+        is_active: true,
+        start_date: { lte: to },
+        OR: [{ end_date: null }, { end_date: { gte: from } }]
+      }
+    },
+    employee_absences: {
+      where: {
+        status: { in: ACTIVE_ABSENCE_STATUSES },
+        start_date: { lte: to },
+        end_date: { gte: from }
+      }
+    },
+    employee_work_schedules: {
+      where: {
+        effective_from: { lte: to },
+        OR: [{ effective_to: null }, { effective_to: { gte: from } }]
+      }
+    }
+  };
+}
+
+/**
+ * Availability calendar for an employee already loaded with calendarInclude()
+ * @param {Object} employee
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Object} { weeks, summary }
+ */
+function calendarForEmployee(employee, from, to) {
+  const weeks = buildWeeklyAvailability({
+    from,
+    to,
+    assignments: employee.project_assignments || [],
+    absences: employee.employee_absences || [],
+    schedules: employee.employee_work_schedules || []
+  });
+  return { weeks, summary: summarizeAvailability(weeks) };
+}
+
+/**
+ * Load the availability calendar of one employee
+ * @param {string} tenantId - Tenant UUID
+ * @param {number} employeeId
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Object|null>} null if the employee does not belong to the tenant
+ */
+async function getEmployeeCalendar(tenantId, employeeId, from, to) {
+  const employee = await prisma.employees.findFirst({
+    where: { id: employeeId, tenant_id: tenantId },
+    include: calendarInclude(from, to)
+  });
+
+  if (!employee) return null;
+
+  return {
+    employee_id: employee.id,
+    from: from.toISOString().slice(0, 10),
+    to: to.toISOString().slice(0, 10),
+    ...calendarForEmployee(employee, from, to)
+  };
+}
+
+module.exports = {
+  MAX_WEEKS,
+  ACTIVE_ABSENCE_STATUSES,
+  getWeekStart,
+  buildWeeklyAvailability,
+  summarizeAvailability,
+  resolveRange,
+  calendarInclude,
+  calendarForEmployee,
+  getEmployeeCalendar
+};
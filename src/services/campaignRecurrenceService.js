@@ -0,0 +1,496 @@
+/**
+ * Campaign Recurrence Service
+ * @module services/campaignRecurrenceService
+ * @created 2026-10-19
+ *
+ * Recurring engagement and assessment campaigns. When a recurring campaign
+ * completes, the campaign status job calls processRecurringCampaigns() which
+ * spawns the next occurrence with the same template and settings, re-resolves
+ * the target audience (so new hires and leavers are picked up) and links the
+ * occurrences through series_id / occurrence_number / previous_campaign_id.
+ *
+ * Audience: target_audience.rules ({ departmentIds, officeIds, roleIds,
+ * managerIds } or { allActive: true }) is re-evaluated for every occurrence.
+ * Campaigns created with an explicit employee list reuse that list, minus the
+ * employees that are no longer active.
+ *
+ * Pulse engagement campaigns (pulse_config) also draw the next question
+ * sample of every assignment, see services/engagementPulseService.
+ */
+
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const EngagementAnonymityService = require('./engagementAnonymityService');
+const EngagementPulseService = require('./engagementPulseService');
+
+const FREQUENCY_INTERVALS = {
+  weekly: { days: 7 },
+  biweekly: { days: 14 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  annually: { months: 12 }
+};
+
+const AUDIENCE_RULE_KEYS = ['departmentIds', 'officeIds', 'roleIds', 'managerIds'];
+
+// Engagement and assessment campaigns only differ in table names and date field
+const CAMPAIGN_KINDS = {
+  engagement: {
+    campaignModel: 'engagement_campaigns',
+    assignmentModel: 'engagement_campaign_assignments',
+    endField: 'end_date'
+  },
+  assessment: {
+    campaignModel: 'assessment_campaigns',
+    assignmentModel: 'assessment_campaign_assignments',
+    endField: 'deadline'
+  }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => {
+  const numbers = values.filter(v => typeof v === 'number' && !Number.isNaN(v));
+  return numbers.length > 0 ? round(numbers.reduce((sum, v) => sum + v, 0) / numbers.length) : null;
+};
+
+const delta = (current, previous) =>
+  current !== null && previous !== null && previous !== undefined ? round(current - previous) : null;
+
+class CampaignRecurrenceService {
+  /**
+   * Interval key of a campaign ("monthly", ...), or null if it does not recur.
+   * frequency "recurring" (accepted by the assessment API) reads the interval
+   * from recurring_config.interval.
+   */
+  static getInterval(campaign) {
+    const frequency = String(campaign.frequency || 'once').toLowerCase();
+    if (FREQUENCY_INTERVALS[frequency]) return frequency;
+
+    if (frequency === 'recurring') {
+      const interval = String(campaign.recurring_config?.interval || '').toLowerCase();
+      return FREQUENCY_INTERVALS[interval] ? interval : null;
+    }
+
+    return null;
+  }
+
+  static addInterval(date, interval) {
+    const { days, months } = FREQUENCY_INTERVALS[interval];
+    const next = new Date(date);
+    if (days) next.setDate(next.getDate() + days);
+    if (months) next.setMonth(next.getMonth() + months);
+    return next;
+  }
+
+  /**
+   * Start/end of the occurrence following `campaign`. The window keeps the
+   * duration of the previous one, never overlaps it and, if the job ran late,
+   * skips the periods that have already ended.
+   */
+  static getNextWindow(campaign, endField, now = new Date()) {
+    const interval = this.getInterval(campaign);
+    if (!interval) return null;
+
+    const previousStart = new Date(campaign.start_date);
+    const previousEnd = new Date(campaign[endField]);
+    const duration = previousEnd.getTime() - previousStart.getTime();
+
+    let start = this.addInterval(previousStart, interval);
+    while (start <= previousEnd || start.getTime() + duration < now.getTime()) {
+      start = this.addInterval(start, interval);
+    }
+
+    return { start, end: new Date(start.getTime() + duration) };
+  }
+
+  /**
+   * Whether the series may continue after `campaign` with the given window,
+   * honouring recurring_config.max_occurrences and recurring_config.end_date.
+   */
+  static shouldRecur(campaign, window) {
+    if (!window) return false;
+
+    const config = campaign.recurring_config || {};
+    const occurrence = campaign.occurrence_number || 1;
+
+    if (config.max_occurrences && occurrence >= parseInt(config.max_occurrences)) {
+      return false;
+    }
+    if (config.end_date && window.start > new Date(config.end_date)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate frequency / recurringConfig / audienceRules from a create request
+   * @returns {{ errors: string[], recurringConfig: Object|null, audienceRules: Object|null }}
+   */
+  static validateRecurrenceInput({ frequency, recurringConfig, audienceRules }) {
+    const errors = [];
+    const config = {};
+
+    const value = String(frequency || 'once').toLowerCase();
+    if (value !== 'once' && value !== 'recurring' && !FREQUENCY_INTERVALS[value]) {
+      errors.push(`frequency must be one of: once, recurring, ${Object.keys(FREQUENCY_INTERVALS).join(', ')}`);
+    }
+
+    if (recurringConfig) {
+      if (recurringConfig.interval !== undefined) {
+        if (!FREQUENCY_INTERVALS[String(recurringConfig.interval).toLowerCase()]) {
+          errors.push(`recurringConfig.interval must be one of: ${Object.keys(FREQUENCY_INTERVALS).join(', ')}`);
+        } else {
+          config.interval = String(recurringConfig.interval).toLowerCase();
+        }
+      }
+      if (recurringConfig.max_occurrences !== undefined) {
+        const max = parseInt(recurringConfig.max_occurrences);
+        if (isNaN(max) || max < 1) {
+          errors.push('recurringConfig.max_occurrences must be a positive integer');
+        } else {
+          config.max_occurrences = max;
+        }
+      }
+      if (recurringConfig.end_date !== undefined) {
+        if (isNaN(new Date(recurringConfig.end_date).getTime())) {
+          errors.push('recurringConfig.end_date must be a valid date');
+        } else {
+          config.end_date = recurringConfig.end_date;
+        }
+      }
+    }
+
+    if (value === 'recurring' && !config.interval) {
+      errors.push('recurringConfig.interval is required when frequency is "recurring"');
+    }
+
+    let rules = null;
+    if (audienceRules) {
+      rules = {};
+      if (audienceRules.allActive === true) rules.allActive = true;
+      for (const key of AUDIENCE_RULE_KEYS) {
+        if (audienceRules[key] === undefined) continue;
+        const ids = Array.isArray(audienceRules[key]) ? audienceRules[key].map(id => parseInt(id)) : [];
+        if (ids.length === 0 || ids.some(id => isNaN(id))) {
+          errors.push(`audienceRules.${key} must be a non-empty array of ids`);
+        } else {
+          rules[key] = ids;
+        }
+      }
+      if (Object.keys(rules).length === 0) {
+        errors.push(`audienceRules must set allActive or at least one of: ${AUDIENCE_RULE_KEYS.join(', ')}`);
+      }
+    }
+
+    return {
+      errors,
+      recurringConfig: Object.keys(config).length > 0 ? config : null,
+      audienceRules: rules
+    };
+  }
+
+  /**
+   * Resolve a campaign audience to the currently active employee ids
+   * @param {string} tenantId
+   * @param {Object} targetAudience - target_audience JSON ({ employeeIds, rules? })
+   * @returns {Promise<number[]>}
+   */
+  static async resolveAudience(tenantId, targetAudience) {
+    const rules = targetAudience?.rules;
+    const where = { tenant_id: tenantId, is_active: true };
+
+    if (rules) {
+      if (rules.departmentIds) where.department_id = { in: rules.departmentIds };
+      if (rules.officeIds) where.office_id = { in: rules.officeIds };
+      if (rules.managerIds) where.manager_id = { in: rules.managerIds };
+      if (rules.roleIds) {
+        where.employee_roles = { some: { role_id: { in: rules.roleIds }, is_current: true } };
+      }
+    } else {
+      const employeeIds = (targetAudience?.employeeIds || []).map(id => parseInt(id));
+      where.id = { in: employeeIds };
+    }
+
+    const employees = await prisma.employees.findMany({
+      where,
+      select: { id: true },
+      orderBy: { id: 'asc' }
+    });
+
+    return employees.map(e => e.id);
+  }
+
+  static buildTargetAudience(employeeIds, rules = null) {
+    const audience = {
+      employeeIds,
+      totalCount: employeeIds.length,
+      selectedAt: new Date()
+    };
+    if (rules) audience.rules = rules;
+    return audience;
+  }
+
+  static occurrenceName(name, occurrenceNumber) {
+    return `${name.replace(/ #\d+$/, '')} #${occurrenceNumber}`;
+  }
+
+  /**
+   * Spawn the occurrence following a completed recurring campaign
+   * @param {'engagement'|'assessment'} kind
+   * @param {Object} campaign - completed campaign row
+   * @returns {Promise<Object|null>} the new campaign, or null if the series ends here
+   */
+  static async spawnNextOccurrence(kind, campaign, now = new Date()) {
+    const { campaignModel, assignmentModel, endField } = CAMPAIGN_KINDS[kind];
+
+    const window = this.getNextWindow(campaign, endField, now);
+    if (!this.shouldRecur(campaign, window)) {
+      return null;
+    }
+
+    const employeeIds = await this.resolveAudience(campaign.tenant_id, campaign.target_audience);
+    if (employeeIds.length === 0) {
+      logger.warn(`Recurring ${kind} campaign ${campaign.id} has no active employees left, series stopped`);
+      return null;
+    }
+
+    const seriesId = campaign.series_id || campaign.id;
+    const occurrenceNumber = (campaign.occurrence_number || 1) + 1;
+
+    const data = {
+      tenant_id: campaign.tenant_id,
+      template_id: campaign.template_id,
+      name: this.occurrenceName(campaign.name, occurrenceNumber),
+      description: campaign.description,
+      start_date: window.start,
+      [endField]: window.end,
+      status: 'PLANNED',
+      frequency: campaign.frequency,
+      recurring_config: campaign.recurring_config ?? undefined,
+      target_audience: this.buildTargetAudience(employeeIds, campaign.target_audience?.rules),
+      created_by: campaign.created_by,
+      series_id: seriesId,
+      occurrence_number: occurrenceNumber,
+      previous_campaign_id: campaign.id
+    };
+
+    if (kind === 'engagement') {
+      Object.assign(data, {
+        anonymous_responses: campaign.anonymous_responses,
+        reminder_settings: campaign.reminder_settings ?? undefined,
+        pulse_config: campaign.pulse_config ?? undefined
+      });
+    } else {
+      Object.assign(data, {
+        mandatory: campaign.mandatory,
+        allow_retakes: campaign.allow_retakes,
+        max_attempts: campaign.max_attempts,
+        notification_settings: campaign.notification_settings
+      });
+    }
+
+    // Pulse campaigns: next window of every employee's rotation
+    const samples = kind === 'engagement'
+      ? await EngagementPulseService.sampleAssignments({ ...data, id: campaign.id }, employeeIds)
+      : null;
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        if (!campaign.series_id) {
+          await tx[campaignModel].update({
+            where: { id: campaign.id },
+            data: { series_id: seriesId }
+          });
+        }
+
+        const next = await tx[campaignModel].create({ data });
+
+        await tx[assignmentModel].createMany({
+          data: employeeIds.map(employeeId => ({
+            campaign_id: next.id,
+            employee_id: employeeId,
+            assigned_by: campaign.created_by,
+            status: 'ASSIGNED',
+            ...(samples && { question_ids: samples.get(employeeId) })
+          }))
+        });
+
+        return next;
+      });
+    } catch (error) {
+      // previous_campaign_id is unique: another run already spawned this occurrence
+      if (error.code === 'P2002') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Spawn the next occurrence of every completed recurring campaign that
+   * does not have one yet. Called by the campaign status job.
+   * @returns {Promise<{engagement: number, assessment: number}>} occurrences created
+   */
+  static async processRecurringCampaigns(now = new Date()) {
+    const created = { engagement: 0, assessment: 0 };
+
+    for (const kind of Object.keys(CAMPAIGN_KINDS)) {
+      const { campaignModel } = CAMPAIGN_KINDS[kind];
+
+      const completed = await prisma[campaignModel].findMany({
+        where: {
+          status: 'COMPLETED',
+          frequency: { notIn: ['once'] }
+        }
+      });
+      const recurring = completed.filter(c => this.getInterval(c));
+      if (recurring.length === 0) continue;
+
+      const successors = await prisma[campaignModel].findMany({
+        where: { previous_campaign_id: { in: recurring.map(c => c.id) } },
+        select: { previous_campaign_id: true }
+      });
+      const spawned = new Set(successors.map(s => s.previous_campaign_id));
+
+      for (const campaign of recurring.filter(c => !spawned.has(c.id))) {
+        try {
+          const next = await this.spawnNextOccurrence(kind, campaign, now);
+          if (next) {
+            created[kind]++;
+            logger.info(`Spawned occurrence #${next.occurrence_number} of ${kind} campaign series ${next.series_id}`, {
+              campaignId: next.id,
+              previousCampaignId: campaign.id,
+              employeeCount: next.target_audience.totalCount
+            });
+          }
+        } catch (error) {
+          logger.error(`Failed to spawn next occurrence of ${kind} campaign ${campaign.id}`, error);
+        }
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Per-occurrence trend of a campaign series
+   * @param {'engagement'|'assessment'} kind
+   * @param {Array} occurrences - campaigns ordered by occurrence_number, with
+   *   assignments ({ status }) and results (overall_score[, engagement_index, area_scores])
+   * @param {Object} [options]
+   * @param {number} [options.minGroupSize] - occurrences with fewer results
+   *   only report participation (engagement anonymity)
+   */
+  static buildSeriesTrend(kind, occurrences, { minGroupSize = 0 } = {}) {
+    const { endField } = CAMPAIGN_KINDS[kind];
+    let previous = null;
+
+    const trend = occurrences.map(campaign => {
+      const assigned = campaign.assignments.length;
+      const completed = campaign.assignments.filter(a => a.status === 'COMPLETED').length;
+      const suppressed = campaign.results.length < minGroupSize;
+      const results = suppressed ? [] : campaign.results;
+
+      const point = {
+        campaign_id: campaign.id,
+        name: campaign.name,
+        occurrence_number: campaign.occurrence_number || 1,
+        start_date: campaign.start_date,
+        end_date: campaign[endField],
+        status: campaign.status,
+        assigned,
+        completed,
+        participation_rate: assigned > 0 ? round((completed / assigned) * 100) : 0,
+        responses: campaign.results.length,
+        average_score: average(results.map(r => r.overall_score))
+      };
+      if (suppressed) point.suppressed = true;
+
+      if (kind === 'engagement') {
+        point.engagement_index = average(results.map(r => r.engagement_index));
+
+        const areas = {};
+        for (const result of results) {
+          for (const [area, score] of Object.entries(result.area_scores || {})) {
+            (areas[area] = areas[area] || []).push(score);
+          }
+        }
+        point.area_scores = Object.fromEntries(Object.entries(areas).map(([area, scores]) => [area, average(scores)]));
+      }
+
+      point.change = previous ? {
+        participation_rate: delta(point.participation_rate, previous.participation_rate),
+        average_score: delta(point.average_score, previous.average_score)
+      } : null;
+      if (point.change && kind === 'engagement') {
+        point.change.engagement_index = delta(point.engagement_index, previous.engagement_index);
+        point.change.area_scores = Object.fromEntries(
+          Object.entries(point.area_scores).map(([area, score]) => [area, delta(score, previous.area_scores[area] ?? null)])
+        );
+      }
+
+      previous = point;
+      return point;
+    });
+
+    const withScores = trend.filter(p => p.average_score !== null);
+    const first = withScores[0];
+    const latest = withScores[withScores.length - 1];
+
+    return {
+      occurrences: trend,
+      summary: {
+        total_occurrences: trend.length,
+        average_participation_rate: average(trend.map(p => p.participation_rate)),
+        first_score: first ? first.average_score : null,
+        latest_score: latest ? latest.average_score : null,
+        overall_change: first && latest && first !== latest ? delta(latest.average_score, first.average_score) : null
+      }
+    };
+  }
+
+  /**
+   * Load the series a campaign belongs to and build its trend
+   * @returns {Promise<Object|null>} null if the campaign does not exist in the tenant
+   */
+  static async getSeriesTrend(kind, tenantId, campaignId) {
+    const { campaignModel } = CAMPAIGN_KINDS[kind];
+
+    const campaign = await prisma[campaignModel].findFirst({
+      where: { id: campaignId, tenant_id: tenantId },
+      select: { id: true, series_id: true, frequency: true, recurring_config: true }
+    });
+    if (!campaign) return null;
+
+    const seriesId = campaign.series_id || campaign.id;
+    const resultSelect = kind === 'engagement'
+      ? { overall_score: true, engagement_index: true, area_scores: true }
+      : { overall_score: true };
+
+    const minGroupSize = kind === 'engagement' ? await EngagementAnonymityService.getMinGroupSize(tenantId) : 0;
+    const occurrences = await prisma[campaignModel].findMany({
+      where: {
+        tenant_id: tenantId,
+        OR: [{ id: seriesId }, { series_id: seriesId }]
+      },
+      include: {
+        assignments: { select: { status: true } },
+        results: { select: resultSelect }
+      },
+      orderBy: { occurrence_number: 'asc' }
+    });
+
+    return {
+      series_id: seriesId,
+      frequency: campaign.frequency,
+      interval: this.getInterval(campaign),
+      recurring_config: campaign.recurring_config,
+      ...this.buildSeriesTrend(kind, occurrences, { minGroupSize })
+    };
+  }
+}
+
+module.exports = CampaignRecurrenceService;
+module.exports.FREQUENCY_INTERVALS = FREQUENCY_INTERVALS;
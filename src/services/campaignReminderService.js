@@ -0,0 +1,400 @@
+/**
+ * Campaign Reminder Service
+ * @module services/campaignReminderService
+ * @created 2026-10-19
+ *
+ * Reminder and escalation engine for engagement and assessment campaign
+ * assignments, run by the campaign status job.
+ *
+ * Settings are read from engagement_campaigns.reminder_settings and
+ * assessment_campaigns.notification_settings:
+ * {
+ *   enabled: true,                      // sendReminders for assessment campaigns
+ *   schedule: [3, 0],                   // days before the deadline (0 = on deadline)
+ *   frequency: 7,                       // reminderFrequency: also remind every N days
+ *   escalation: { enabled: true, after_missed: 2 },
+ *   quiet_hours: { start: '20:00', end: '08:00', timezone: 'Europe/Rome' }
+ * }
+ *
+ * Every reminder is written to campaign_reminder_log in the same transaction
+ * that queues it in the notification outbox (email + in-app, honouring the
+ * recipient preferences); the unique (assignment, schedule_key) index makes
+ * each schedule step fire once. Delivery retries are handled by the outbox.
+ */
+
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { getEmailService } = require('./emailNotificationService');
+const NotificationOutboxService = require('./notifications/outboxService');
+
+const DEFAULT_SCHEDULE = [3, 0];
+const DEFAULT_ESCALATION_AFTER = 2;
+const DEFAULT_TIMEZONE = process.env.REMINDER_TIMEZONE || 'Europe/Rome';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CAMPAIGN_KINDS = {
+  engagement: {
+    campaignType: 'ENGAGEMENT',
+    campaignModel: 'engagement_campaigns',
+    assignmentModel: 'engagement_campaign_assignments',
+    activeStatuses: ['ACTIVE', 'IN_PROGRESS'],
+    endField: 'end_date',
+    settingsField: 'reminder_settings',
+    label: 'Survey di Engagement',
+    path: 'engagement'
+  },
+  assessment: {
+    campaignType: 'ASSESSMENT',
+    campaignModel: 'assessment_campaigns',
+    assignmentModel: 'assessment_campaign_assignments',
+    activeStatuses: ['ACTIVE'],
+    endField: 'deadline',
+    settingsField: 'notification_settings',
+    label: 'Assessment',
+    path: 'assessments'
+  }
+};
+
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const parseClock = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+class CampaignReminderService {
+  /**
+   * Normalize the reminder settings of a campaign (engagement and assessment
+   * campaigns use different key names for the same options)
+   */
+  static normalizeSettings(raw) {
+    const settings = raw || {};
+
+    const schedule = Array.isArray(settings.schedule)
+      ? settings.schedule
+        .map(step => parseInt(typeof step === 'object' ? step.days_before_deadline : step))
+        .filter(days => !isNaN(days) && days >= 0)
+      : DEFAULT_SCHEDULE;
+
+    const escalation = settings.escalation || {};
+    const quietHours = settings.quiet_hours;
+
+    return {
+      enabled: Boolean(settings.enabled ?? settings.sendReminders ?? false),
+      schedule: [...new Set(schedule)].sort((a, b) => b - a),
+      repeatEveryDays: parseInt(settings.frequency ?? settings.reminderFrequency) || null,
+      escalation: {
+        enabled: escalation === true || Boolean(escalation.enabled),
+        afterMissed: parseInt(escalation.after_missed) || DEFAULT_ESCALATION_AFTER
+      },
+      quietHours: quietHours && parseClock(quietHours.start) !== null && parseClock(quietHours.end) !== null
+        ? { start: parseClock(quietHours.start), end: parseClock(quietHours.end), timezone: quietHours.timezone || DEFAULT_TIMEZONE }
+        : null
+    };
+  }
+
+  /**
+   * Whether `now` falls in the quiet hours (windows may wrap past midnight)
+   */
+  static isQuietTime(quietHours, now = new Date()) {
+    if (!quietHours) return false;
+
+    const [hours, minutes] = new Intl.DateTimeFormat('en-GB', {
+      timeZone: quietHours.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(now).split(':').map(Number);
+    const current = hours * 60 + minutes;
+
+    return quietHours.start <= quietHours.end
+      ? current >= quietHours.start && current < quietHours.end
+      : current >= quietHours.start || current < quietHours.end;
+  }
+
+  /**
+   * Next reminder due for an assignment, or null
+   * Only the latest schedule step reached is considered, so an engine that
+   * was down for a few days sends one reminder instead of catching up on all.
+   * @param {Object} assignment - { assigned_at }
+   * @param {Date} deadline
+   * @param {Object} settings - normalized settings
+   * @param {Array} log - campaign_reminder_log rows of the assignment
+   */
+  static getDueReminder(assignment, deadline, settings, log, now = new Date()) {
+    const sentKeys = new Set(log.map(entry => entry.schedule_key));
+    const deadlineDay = startOfUtcDay(deadline);
+
+    const reached = settings.schedule
+      .map(days => ({ days, at: new Date(deadlineDay.getTime() - days * DAY_MS) }))
+      .filter(step => step.at <= now)
+      .pop();
+    if (reached) {
+      const key = `before_${reached.days}d`;
+      if (!sentKeys.has(key)) {
+        return { key, reminderType: 'REMINDER', daysRemaining: reached.days };
+      }
+    }
+
+    if (settings.repeatEveryDays && assignment.assigned_at) {
+      const intervalMs = settings.repeatEveryDays * DAY_MS;
+      const occurrence = Math.floor((now - new Date(assignment.assigned_at)) / intervalMs);
+      const lastSent = log
+        .filter(entry => entry.reminder_type === 'REMINDER')
+        .reduce((latest, entry) => Math.max(latest, new Date(entry.sent_at).getTime()), 0);
+
+      const key = `every_${settings.repeatEveryDays}d_${occurrence}`;
+      if (occurrence >= 1 && !sentKeys.has(key) && now.getTime() - lastSent >= intervalMs) {
+        return {
+          key,
+          reminderType: 'REMINDER',
+          daysRemaining: Math.max(0, Math.ceil((deadlineDay - startOfUtcDay(now)) / DAY_MS))
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Escalation due for an assignment after N reminders sent without completion
+   */
+  static getDueEscalation(settings, log) {
+    if (!settings.escalation.enabled) return null;
+    if (log.some(entry => entry.schedule_key === 'escalation')) return null;
+
+    const missed = log.filter(entry => entry.reminder_type === 'REMINDER' && entry.status === 'SENT').length;
+    return missed >= settings.escalation.afterMissed
+      ? { key: 'escalation', reminderType: 'ESCALATION', missedReminders: missed }
+      : null;
+  }
+
+  /**
+   * Claim a schedule step in the log and queue its notification atomically
+   * @param {Object} entry - campaign_reminder_log row
+   * @param {Function} enqueue - (tx) => queues the notification in the outbox
+   * @returns {Promise<string|null>} SENT, SKIPPED (no recipient) or null if already claimed
+   */
+  static async deliver(entry, enqueue) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const logEntry = await tx.campaign_reminder_log.create({
+          data: { ...entry, status: entry.recipient_employee_id ? 'SENT' : 'SKIPPED' }
+        });
+
+        if (logEntry.status === 'SENT') {
+          await enqueue(tx);
+        }
+        return logEntry.status;
+      });
+    } catch (error) {
+      // Unique (campaign_type, assignment_id, schedule_key): sent by another run
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Send the reminders and escalations due for one campaign
+   */
+  static async processCampaign(kind, campaign, now, stats) {
+    const config = CAMPAIGN_KINDS[kind];
+    const settings = this.normalizeSettings(campaign[config.settingsField]);
+    if (!settings.enabled) return;
+
+    if (this.isQuietTime(settings.quietHours, now)) {
+      stats.quietHours++;
+      return;
+    }
+
+    const log = await prisma.campaign_reminder_log.findMany({
+      where: { campaign_type: config.campaignType, campaign_id: campaign.id },
+      orderBy: { sent_at: 'asc' }
+    });
+    const logByAssignment = new Map();
+    for (const entry of log) {
+      if (!logByAssignment.has(entry.assignment_id)) logByAssignment.set(entry.assignment_id, []);
+      logByAssignment.get(entry.assignment_id).push(entry);
+    }
+
+    const deadline = campaign[config.endField];
+    const emailService = getEmailService();
+    const campaignUrl = `${process.env.FRONTEND_URL}/${config.path}/${campaign.id}`;
+
+    for (const assignment of campaign.assignments) {
+      const employee = assignment.employee;
+      if (!employee) continue;
+
+      const assignmentLog = logByAssignment.get(assignment.id) || [];
+      const base = {
+        tenant_id: campaign.tenant_id,
+        campaign_type: config.campaignType,
+        campaign_id: campaign.id,
+        assignment_id: assignment.id,
+        employee_id: employee.id
+      };
+      const employeeName = `${employee.first_name} ${employee.last_name}`;
+
+      const reminder = this.getDueReminder(assignment, deadline, settings, assignmentLog, now);
+      if (reminder) {
+        const status = await this.deliver({
+          ...base,
+          reminder_type: reminder.reminderType,
+          schedule_key: reminder.key,
+          recipient_employee_id: employee.id,
+          recipient_email: employee.email,
+          sent_at: now
+        }, (tx) => {
+          const email = emailService.buildCampaignReminder({
+            userName: employee.first_name,
+            campaignName: campaign.name,
+            campaignLabel: config.label,
+            dueDate: deadline,
+            daysRemaining: reminder.daysRemaining,
+            campaignUrl
+          });
+
+          return NotificationOutboxService.enqueue({
+            tenantId: campaign.tenant_id,
+            eventType: 'CAMPAIGN_REMINDER',
+            title: email.subject,
+            message: `${campaign.name}: ${reminder.daysRemaining > 0 ? `${reminder.daysRemaining} days left` : 'due today'}`,
+            html: email.html,
+            data: { campaign_type: config.campaignType, campaign_id: campaign.id, assignment_id: assignment.id },
+            recipients: [{ employeeId: employee.id, email: employee.email }]
+          }, { tx });
+        });
+
+        if (status) {
+          stats.reminders[status.toLowerCase()]++;
+          assignmentLog.push({ reminder_type: 'REMINDER', schedule_key: reminder.key, status, sent_at: now });
+        }
+
+        if (status === 'SENT' && kind === 'engagement') {
+          await prisma.engagement_campaign_assignments.update({
+            where: { id: assignment.id },
+            data: {
+              reminder_count: { increment: 1 },
+              last_reminder_at: now
+            }
+          });
+        }
+      }
+
+      const escalation = this.getDueEscalation(settings, assignmentLog);
+      if (escalation) {
+        const manager = employee.manager_id
+          ? await prisma.employees.findFirst({
+            where: { id: employee.manager_id, is_active: true },
+            select: { id: true, first_name: true, email: true }
+          })
+          : null;
+
+        const status = await this.deliver({
+          ...base,
+          reminder_type: escalation.reminderType,
+          schedule_key: escalation.key,
+          recipient_employee_id: manager ? manager.id : null,
+          recipient_email: manager ? manager.email : null,
+          error: manager ? null : 'Employee has no active manager',
+          sent_at: now
+        }, (tx) => {
+          const email = emailService.buildReminderEscalation({
+            managerName: manager.first_name,
+            employeeName,
+            campaignName: campaign.name,
+            campaignLabel: config.label,
+            dueDate: deadline,
+            missedReminders: escalation.missedReminders
+          });
+
+          return NotificationOutboxService.enqueue({
+            tenantId: campaign.tenant_id,
+            eventType: 'CAMPAIGN_ESCALATION',
+            title: email.subject,
+            message: `${employeeName} has not completed ${campaign.name} after ${escalation.missedReminders} reminders`,
+            html: email.html,
+            data: { campaign_type: config.campaignType, campaign_id: campaign.id, employee_id: employee.id },
+            recipients: [{ employeeId: manager.id, email: manager.email }]
+          }, { tx });
+        });
+
+        if (status) stats.escalations[status.toLowerCase()]++;
+      }
+    }
+  }
+
+  /**
+   * Send every reminder and escalation due for active campaigns
+   * @returns {Promise<Object>} counters per outcome
+   */
+  static async processReminders(now = new Date()) {
+    const stats = {
+      reminders: { sent: 0, skipped: 0 },
+      escalations: { sent: 0, skipped: 0 },
+      quietHours: 0
+    };
+
+    for (const kind of Object.keys(CAMPAIGN_KINDS)) {
+      const config = CAMPAIGN_KINDS[kind];
+
+      const campaigns = await prisma[config.campaignModel].findMany({
+        where: { status: { in: config.activeStatuses } },
+        include: {
+          assignments: {
+            where: {
+              status: { in: ['ASSIGNED', 'IN_PROGRESS'] },
+              completed_at: null
+            },
+            include: {
+              employee: {
+                select: { id: true, first_name: true, last_name: true, email: true, manager_id: true }
+              }
+            }
+          }
+        }
+      });
+
+      for (const campaign of campaigns) {
+        try {
+          await this.processCampaign(kind, campaign, now, stats);
+        } catch (error) {
+          logger.error(`Error processing reminders for ${kind} campaign ${campaign.id}`, error);
+        }
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Reminder log of a campaign
+   * @returns {Promise<Array|null>} null if the campaign does not exist in the tenant
+   */
+  static async getCampaignLog(kind, tenantId, campaignId, { assignmentId } = {}) {
+    const config = CAMPAIGN_KINDS[kind];
+
+    const campaign = await prisma[config.campaignModel].findFirst({
+      where: { id: campaignId, tenant_id: tenantId },
+      select: { id: true }
+    });
+    if (!campaign) return null;
+
+    const where = { campaign_type: config.campaignType, campaign_id: campaignId };
+    if (assignmentId) where.assignment_id = assignmentId;
+
+    return prisma.campaign_reminder_log.findMany({
+      where,
+      include: {
+        employees: { select: { id: true, first_name: true, last_name: true, email: true } }
+      },
+      orderBy: { sent_at: 'desc' }
+    });
+  }
+}
+
+module.exports = CampaignReminderService;
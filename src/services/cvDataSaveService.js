@@ -6,6 +6,7 @@
  */
 
 const prisma = require('../config/database');
+const DevelopmentPlanService = require('./developmentPlanService');
 
 /**
  * Validate that Python-provided skill ID matches the skill_name
@@ -1126,6 +1127,11 @@ class CVDataSaveService {
 
       console.log(`[CV Data Save] Completed for extraction ${cvExtractionId}:`, stats);
 
+      // New certifications may complete development plan goals
+      if (stats.certifications_created + stats.certifications_updated > 0) {
+        DevelopmentPlanService.scheduleSync(employeeId, 'CV certifications import');
+      }
+
       // LLM logging now handled centrally in cvExtractionBackgroundJob.js
       // No longer needed here to avoid duplicate logging
 
@@ -15,6 +15,7 @@ const os = require('os');
 const CVDataSaveService = require('./cvDataSaveService');
 const { getCVStorageService } = require('./cvStorageService');
 const LLMAuditService = require('./llmAuditService');
+const LLMBudgetService = require('./llmBudgetService');
 
 /**
  * Process CV extraction in background with granular status updates
@@ -29,6 +30,9 @@ async function processExtractionInBackground(extraction, prisma) {
   try {
     console.log(`[CV ${extractionId}] 🚀 Starting background extraction for employee ${employeeId}`);
 
+    // Hard LLM budget limit: fail the extraction before Python is called
+    await LLMBudgetService.assertWithinBudget(extraction.tenant_id, 'cv_extraction');
+
     // ============================================
     // PHASE 1: PROCESSING (Python extraction)
     // ============================================
@@ -95,7 +99,9 @@ async function processExtractionInBackground(extraction, prisma) {
 
     // Determine error phase
     let errorPhase = 'unknown';
-    if (error.code === 'ECONNREFUSED' || error.message.includes('ECONNREFUSED')) {
+    if (error.code === 'LLM_BUDGET_EXCEEDED') {
+      errorPhase = 'budget_exceeded';
+    } else if (error.code === 'ECONNREFUSED' || error.message.includes('ECONNREFUSED')) {
       errorPhase = 'python_connection';
     } else if (error.response?.status === 400) {
       errorPhase = 'python_bad_request';
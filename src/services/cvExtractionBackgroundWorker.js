@@ -13,6 +13,8 @@
 const { PrismaClient } = require('@prisma/client');
 const CVDataSaveService = require('./cvDataSaveService');
 const LLMAuditService = require('./llmAuditService');
+const WebhookService = require('./webhooks/webhookService');
+const { WEBHOOK_EVENTS } = WebhookService;
 
 const prisma = new PrismaClient();
 
@@ -120,24 +122,40 @@ async function processOneCVExtraction(extraction) {
     // PHASE 4: Update status to 'completed'
     // ============================================
 
+    const importStats = {
+      personal_info_updated: saveResult.stats.personal_info_updated || false,
+      education_saved: (saveResult.stats.education_created || 0) + (saveResult.stats.education_updated || 0),
+      work_experiences_saved: (saveResult.stats.work_experiences_created || 0) + (saveResult.stats.work_experiences_updated || 0),
+      skills_saved: saveResult.stats.skills_saved || 0,
+      languages_saved: (saveResult.stats.languages_created || 0) + (saveResult.stats.languages_updated || 0),
+      certifications_saved: (saveResult.stats.certifications_created || 0) + (saveResult.stats.certifications_updated || 0),
+      roles_saved: saveResult.stats.roles_saved || 0,
+      import_timestamp: new Date().toISOString()
+    };
+
     await prisma.cv_extractions.update({
       where: { id: extractionId },
       data: {
         status: 'completed',
-        import_stats: {
-          personal_info_updated: saveResult.stats.personal_info_updated || false,
-          education_saved: (saveResult.stats.education_created || 0) + (saveResult.stats.education_updated || 0),
-          work_experiences_saved: (saveResult.stats.work_experiences_created || 0) + (saveResult.stats.work_experiences_updated || 0),
-          skills_saved: saveResult.stats.skills_saved || 0,
-          languages_saved: (saveResult.stats.languages_created || 0) + (saveResult.stats.languages_updated || 0),
-          certifications_saved: (saveResult.stats.certifications_created || 0) + (saveResult.stats.certifications_updated || 0),
-          roles_saved: saveResult.stats.roles_saved || 0,
-          import_timestamp: new Date().toISOString()
-        },
+        import_stats: importStats,
         updated_at: new Date()
       }
     });
 
+    // Notify tenant integrations (webhooks)
+    WebhookService.emit(tenant_id, WEBHOOK_EVENTS.CV_EXTRACTION_COMPLETED, {
+      extraction_id: extractionId,
+      employee_id: employeeId,
+      import_stats: importStats
+    });
+    if (importStats.skills_saved > 0) {
+      WebhookService.emit(tenant_id, WEBHOOK_EVENTS.EMPLOYEE_SKILLS_UPDATED, {
+        employee_id: employeeId,
+        source: 'cv_import',
+        skills_saved: importStats.skills_saved
+      });
+    }
+
     const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log(`[WORKER ${extractionId}] 🎉 Status: COMPLETED in ${totalTime}s`);
 
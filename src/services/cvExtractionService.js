@@ -9,6 +9,8 @@ const axios = require('axios');
 const FormData = require('form-data');
 const { PrismaClient } = require('@prisma/client');
 const { v4: uuidv4 } = require('uuid');
+const DevelopmentPlanService = require('./developmentPlanService');
+const LLMBudgetService = require('./llmBudgetService');
 
 const prisma = new PrismaClient();
 
@@ -25,6 +27,7 @@ class CVExtractionService {
    * @param {string} tenantId - Tenant ID (UUID)
    * @param {string} userId - User ID who triggered extraction
    * @returns {Promise<Object>} Extraction result with stats
+   * @throws {LLMBudgetExceededError} when a hard budget limit of the tenant is reached
    */
   async extractAndSave(file, employeeId, tenantId, userId) {
     console.log('[CVExtractionService] Starting extraction and save');
@@ -32,6 +35,9 @@ class CVExtractionService {
 
     let extractionId = null;
 
+    // Refuse before Python spends anything on the LLM
+    await LLMBudgetService.assertWithinBudget(tenantId, 'cv_extraction');
+
     try {
       // 1. Call Python API for extraction
       console.log('[CVExtractionService] Calling Python extraction API...');
@@ -235,6 +241,11 @@ class CVExtractionService {
       return { extractionId, stats };
     });
 
+    // New certifications may complete development plan goals
+    if (stats.certifications_saved > 0) {
+      DevelopmentPlanService.scheduleSync(employeeId, 'CV certifications import');
+    }
+
     return result;
   }
 
@@ -0,0 +1,367 @@
+/**
+ * Development Plan Service
+ * @module services/developmentPlanService
+ * @created 2026-10-19
+ *
+ * Individual development plans (development_plans + goals, milestones,
+ * check-ins). Goal progress combines up to three signals:
+ * - score: latest assessed score of the linked skill between baseline and target
+ * - certification: target certification found in employee_certifications
+ * - milestones: share of completed milestones
+ * Scores come from employee_soft_skill_assessments (soft skills, 0-100) and
+ * from the category averages of assessment_results (1-5, scaled to 0-100).
+ */
+
+const prisma = require('../config/database');
+const recommendationEngine = require('./recommendationEngine');
+
+const PLAN_STATUSES = ['DRAFT', 'PENDING_APPROVAL', 'CHANGES_REQUESTED', 'ACTIVE', 'COMPLETED', 'CANCELLED'];
+const EDITABLE_STATUSES = ['DRAFT', 'CHANGES_REQUESTED', 'ACTIVE'];
+const GOAL_STATUSES = ['NOT_STARTED', 'IN_PROGRESS', 'ACHIEVED', 'CANCELLED'];
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase().replace(/[\s_-]+/g, '');
+const round2 = (value) => Math.round(value * 100) / 100;
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+class DevelopmentPlanService {
+  /**
+   * Validate and map a goal body to DB columns
+   * @param {Object} body - Request body
+   * @param {Object} [options]
+   * @param {boolean} [options.partial=false] - Allow missing fields (update)
+   * @returns {{ errors: string[], data: Object, milestones: Object[] }}
+   */
+  static validateGoalInput(body = {}, { partial = false } = {}) {
+    const errors = [];
+    const data = {};
+
+    if (body.title !== undefined || !partial) {
+      if (!body.title || typeof body.title !== 'string' || !body.title.trim()) {
+        errors.push('title is required');
+      } else {
+        data.title = body.title.trim().slice(0, 255);
+      }
+    }
+
+    for (const field of ['description', 'skill_name', 'target_certification', 'catalog_item_id']) {
+      if (body[field] !== undefined) {
+        data[field] = body[field] ? String(body[field]).trim() : null;
+      }
+    }
+
+    for (const field of ['skill_id', 'soft_skill_id']) {
+      if (body[field] === undefined) continue;
+      if (body[field] === null || body[field] === '') {
+        data[field] = null;
+        continue;
+      }
+      const value = parseInt(body[field]);
+      if (isNaN(value)) errors.push(`${field} must be an integer`);
+      else data[field] = value;
+    }
+    if (data.skill_id && data.soft_skill_id) {
+      errors.push('A goal can be linked to a skill or a soft skill, not both');
+    }
+
+    for (const field of ['baseline_score', 'target_score', 'current_score']) {
+      if (body[field] === undefined) continue;
+      if (body[field] === null || body[field] === '') {
+        data[field] = null;
+        continue;
+      }
+      const value = parseFloat(body[field]);
+      if (isNaN(value) || value < 0 || value > 100) errors.push(`${field} must be between 0 and 100`);
+      else data[field] = value;
+    }
+    if (data.target_score === 0) {
+      errors.push('target_score must be greater than 0');
+    }
+
+    if (body.due_date !== undefined) {
+      if (body.due_date && isNaN(new Date(body.due_date))) errors.push('due_date must be a valid date');
+      else data.due_date = body.due_date ? new Date(body.due_date) : null;
+    }
+
+    if (body.status !== undefined) {
+      if (!GOAL_STATUSES.includes(body.status)) errors.push(`status must be one of: ${GOAL_STATUSES.join(', ')}`);
+      else data.status = body.status;
+    }
+
+    const milestones = [];
+    if (body.milestones !== undefined) {
+      if (!Array.isArray(body.milestones)) {
+        errors.push('milestones must be an array');
+      } else {
+        body.milestones.forEach((milestone, index) => {
+          if (!milestone || !milestone.title || !String(milestone.title).trim()) {
+            errors.push(`milestones[${index}].title is required`);
+          } else if (milestone.due_date && isNaN(new Date(milestone.due_date))) {
+            errors.push(`milestones[${index}].due_date must be a valid date`);
+          } else {
+            milestones.push({
+              title: String(milestone.title).trim().slice(0, 255),
+              due_date: milestone.due_date ? new Date(milestone.due_date) : null,
+              order_index: index
+            });
+          }
+        });
+      }
+    }
+
+    return { errors, data, milestones };
+  }
+
+  /**
+   * Progress of a goal (0-100) and the status it implies
+   * @param {Object} goal - development_plan_goals row
+   * @param {Object[]} [milestones] - Its milestones
+   * @returns {{ progress: number, status: string }}
+   */
+  static calculateGoalProgress(goal, milestones = []) {
+    if (goal.status === 'CANCELLED') {
+      return { progress: toNumber(goal.progress) || 0, status: 'CANCELLED' };
+    }
+
+    const components = [];
+
+    const target = toNumber(goal.target_score);
+    const current = toNumber(goal.current_score);
+    if (target !== null && current !== null) {
+      const baseline = toNumber(goal.baseline_score) ?? 0;
+      if (target <= baseline) {
+        components.push(current >= target ? 100 : 0);
+      } else {
+        components.push(Math.max(0, Math.min(100, ((current - baseline) / (target - baseline)) * 100)));
+      }
+    }
+
+    if (goal.target_certification) {
+      components.push(goal.certification_obtained_at ? 100 : 0);
+    }
+
+    if (milestones.length > 0) {
+      components.push((milestones.filter(m => m.completed_at).length / milestones.length) * 100);
+    }
+
+    let progress;
+    if (components.length === 0) {
+      // Nothing measurable: the status set by hand is the only signal
+      progress = goal.status === 'ACHIEVED' ? 100 : 0;
+    } else {
+      progress = round2(components.reduce((sum, c) => sum + c, 0) / components.length);
+    }
+
+    let status = 'NOT_STARTED';
+    if (progress >= 100) status = 'ACHIEVED';
+    else if (progress > 0 || goal.status === 'IN_PROGRESS') status = 'IN_PROGRESS';
+
+    return { progress, status };
+  }
+
+  /**
+   * Plan progress: average of the non-cancelled goals
+   * @param {Object[]} goals - Goals with their computed progress
+   * @returns {number}
+   */
+  static calculatePlanProgress(goals) {
+    const open = goals.filter(g => g.status !== 'CANCELLED');
+    if (open.length === 0) return 0;
+    return round2(open.reduce((sum, g) => sum + (toNumber(g.progress) || 0), 0) / open.length);
+  }
+
+  /**
+   * Latest evidence available for an employee
+   * @param {number} employeeId
+   * @returns {Promise<Object>} { softSkillScores: Map<id, score>, categoryScores: Map<name, score>, certifications: Object[] }
+   */
+  static async collectEvidence(employeeId) {
+    const [softSkillAssessments, results, certifications] = await Promise.all([
+      prisma.employee_soft_skill_assessments.findMany({
+        where: { employeeId },
+        orderBy: { calculatedAt: 'desc' },
+        select: { softSkillId: true, score: true }
+      }),
+      prisma.assessment_results.findMany({
+        where: { employee_id: employeeId },
+        orderBy: { completed_at: 'desc' },
+        take: 20,
+        select: { scores: true }
+      }),
+      prisma.employee_certifications.findMany({
+        where: { employee_id: employeeId, is_active: true },
+        select: { certification_name: true, issue_date: true, created_at: true }
+      })
+    ]);
+
+    const softSkillScores = new Map();
+    for (const assessment of softSkillAssessments) {
+      if (!softSkillScores.has(assessment.softSkillId)) {
+        softSkillScores.set(assessment.softSkillId, Math.round(assessment.score));
+      }
+    }
+
+    // Category averages are on a 1-5 scale; the most recent result wins
+    const categoryScores = new Map();
+    for (const result of results) {
+      for (const [category, value] of Object.entries(result.scores || {})) {
+        const average = typeof value === 'object' && value !== null ? value.average : value;
+        const key = normalizeName(category);
+        if (typeof average === 'number' && !categoryScores.has(key)) {
+          categoryScores.set(key, round2(Math.min(100, average * 20)));
+        }
+      }
+    }
+
+    return { softSkillScores, categoryScores, certifications };
+  }
+
+  /**
+   * Fields of a goal that change given the evidence
+   * @param {Object} goal - development_plan_goals row
+   * @param {Object} evidence - Output of collectEvidence
+   * @returns {Object} Changed columns (empty when nothing changed)
+   */
+  static applyEvidence(goal, evidence) {
+    const changes = {};
+
+    let score = null;
+    if (goal.soft_skill_id && evidence.softSkillScores.has(goal.soft_skill_id)) {
+      score = evidence.softSkillScores.get(goal.soft_skill_id);
+    } else if (goal.skill_name && evidence.categoryScores.has(normalizeName(goal.skill_name))) {
+      score = evidence.categoryScores.get(normalizeName(goal.skill_name));
+    }
+    if (score !== null && score !== toNumber(goal.current_score)) {
+      changes.current_score = score;
+    }
+
+    if (goal.target_certification && !goal.certification_obtained_at) {
+      const wanted = goal.target_certification.toLowerCase();
+      const match = evidence.certifications.find(c =>
+        (c.certification_name || '').toLowerCase().includes(wanted)
+      );
+      if (match) {
+        changes.certification_obtained_at = match.issue_date || match.created_at || new Date();
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Recalculate and persist goal and plan progress
+   * @param {Object} plan - Plan with development_plan_goals (and their milestones)
+   * @param {Object} [evidence] - Output of collectEvidence; when omitted scores are not refreshed
+   * @returns {Promise<Object>} { plan_id, progress, status, goals_updated }
+   */
+  static async recalculatePlan(plan, evidence = null) {
+    let goalsUpdated = 0;
+    const goals = [];
+
+    for (const goal of plan.development_plan_goals) {
+      const changes = evidence && goal.status !== 'CANCELLED' ? this.applyEvidence(goal, evidence) : {};
+      const merged = { ...goal, ...changes };
+      const { progress, status } = this.calculateGoalProgress(merged, goal.development_plan_milestones || []);
+
+      if (Object.keys(changes).length > 0 || progress !== toNumber(goal.progress) || status !== goal.status) {
+        await prisma.development_plan_goals.update({
+          where: { id: goal.id },
+          data: { ...changes, progress, status, updated_at: new Date() }
+        });
+        goalsUpdated++;
+      }
+      goals.push({ ...merged, progress, status });
+    }
+
+    const progress = this.calculatePlanProgress(goals);
+    const open = goals.filter(g => g.status !== 'CANCELLED');
+    const completed = plan.status === 'ACTIVE' && open.length > 0 && open.every(g => g.status === 'ACHIEVED');
+
+    const planData = { progress, updated_at: new Date() };
+    if (evidence) planData.last_synced_at = new Date();
+    if (completed) {
+      planData.status = 'COMPLETED';
+      planData.completed_at = new Date();
+    }
+
+    await prisma.development_plans.update({ where: { id: plan.id }, data: planData });
+
+    return {
+      plan_id: plan.id,
+      progress,
+      status: planData.status || plan.status,
+      goals_updated: goalsUpdated
+    };
+  }
+
+  /**
+   * Refresh the active plans of an employee from their latest assessments and certifications
+   * @param {number} employeeId
+   * @param {Object} [options]
+   * @param {string} [options.planId] - Only this plan
+   * @returns {Promise<Object[]>} Output of recalculatePlan per plan
+   */
+  static async syncEmployeeProgress(employeeId, { planId } = {}) {
+    const plans = await prisma.development_plans.findMany({
+      where: {
+        employee_id: employeeId,
+        status: 'ACTIVE',
+        ...(planId && { id: planId })
+      },
+      include: {
+        development_plan_goals: { include: { development_plan_milestones: true } }
+      }
+    });
+    if (plans.length === 0) return [];
+
+    const evidence = await this.collectEvidence(employeeId);
+    const results = [];
+    for (const plan of plans) {
+      results.push(await this.recalculatePlan(plan, evidence));
+    }
+    return results;
+  }
+
+  /**
+   * Fire-and-forget progress refresh, for use after assessments/certifications are saved
+   * @param {number} employeeId
+   * @param {string} reason - Logged on failure
+   */
+  static scheduleSync(employeeId, reason) {
+    if (!employeeId) return;
+    this.syncEmployeeProgress(parseInt(employeeId)).catch(error => {
+      console.error(`[Development Plans] Progress sync after ${reason} failed for employee ${employeeId}:`, error);
+    });
+  }
+
+  /**
+   * Goal proposals from the employee's skill gaps and the learning catalog
+   * One goal per gap (top 5), with one milestone per recommended catalog item.
+   * @param {string} tenantId - Tenant UUID
+   * @param {number} employeeId
+   * @returns {Promise<Object[]|null>} Goal bodies for validateGoalInput, null if the employee is not found
+   */
+  static async proposeGoals(tenantId, employeeId) {
+    const trainingPlan = await recommendationEngine.generateEmployeeTrainingPlan(tenantId, employeeId);
+    if (!trainingPlan) return null;
+
+    return trainingPlan.gaps.slice(0, 5).map(gap => {
+      const recommendations = trainingPlan.recommendations.filter(r => r.skill === gap.skillName);
+      return {
+        title: `Improve ${gap.skillName}`,
+        skill_id: gap.skillId,
+        soft_skill_id: gap.softSkillId,
+        skill_name: gap.skillName,
+        baseline_score: gap.currentScore,
+        current_score: gap.currentScore,
+        target_score: gap.targetScore,
+        catalog_item_id: recommendations[0]?.catalogItemId || null,
+        milestones: recommendations.map(r => ({ title: `Complete: ${r.title}` }))
+      };
+    });
+  }
+}
+
+module.exports = DevelopmentPlanService;
+module.exports.PLAN_STATUSES = PLAN_STATUSES;
+module.exports.EDITABLE_STATUSES = EDITABLE_STATUSES;
+module.exports.GOAL_STATUSES = GOAL_STATUSES;
@@ -55,7 +55,10 @@ class EmailNotificationService {
       'assessment-completed',
       'assessment-expired',
       'weekly-report',
-      'team-progress'
+      'team-progress',
+      'campaign-reminder',
+      'reminder-escalation',
+      'password-reset'
     ];
 
     for (const name of templateNames) {
@@ -146,6 +149,34 @@ class EmailNotificationService {
           Visualizza Dettagli Team
         </a>
         <p>Il Team HR</p>
+      `,
+      'campaign-reminder': `
+        <h2>Promemoria {{campaignLabel}}</h2>
+        <p>Ciao {{userName}},</p>
+        <p>Ti ricordiamo che non hai ancora completato: <strong>{{campaignName}}</strong></p>
+        <p>Scade il: {{dueDate}}{{#if daysRemaining}} ({{daysRemaining}} giorni rimanenti){{else}} (oggi){{/if}}</p>
+        <a href="{{campaignUrl}}" style="display:inline-block;padding:10px 20px;background:#3B82F6;color:white;text-decoration:none;border-radius:5px;">
+          Completa ora
+        </a>
+        <p>Grazie,<br>Il Team HR</p>
+      `,
+      'reminder-escalation': `
+        <h2>{{campaignLabel}} non completato</h2>
+        <p>Ciao {{managerName}},</p>
+        <p>{{employeeName}} non ha ancora completato <strong>{{campaignName}}</strong> dopo {{missedReminders}} promemoria.</p>
+        <p>Scadenza: {{dueDate}}</p>
+        <p>Ti chiediamo di sollecitare il completamento.</p>
+        <p>Il Team HR</p>
+      `,
+      'password-reset': `
+        <h2>Reimposta la tua password</h2>
+        <p>Ciao {{userName}},</p>
+        <p>Abbiamo ricevuto una richiesta di reimpostazione della password del tuo account.</p>
+        <a href="{{resetUrl}}" style="display:inline-block;padding:10px 20px;background:#3B82F6;color:white;text-decoration:none;border-radius:5px;">
+          Reimposta password
+        </a>
+        <p>Il link è valido per {{expiresInMinutes}} minuti e può essere usato una sola volta.</p>
+        <p>Se non hai richiesto tu la reimpostazione, ignora questa email: la tua password resterà invariata.</p>
       `
     };
 
@@ -481,6 +512,57 @@ class EmailNotificationService {
     }
   }
 
+  /**
+   * Compila un template (usa il default se i template non sono ancora caricati)
+   */
+  renderTemplate(name, data) {
+    const template = this.templates.get(name) || handlebars.compile(this.getDefaultTemplate(name));
+    return template(data);
+  }
+
+  /**
+   * Email di reminder per un assignment di campagna (engagement o assessment)
+   * Consegnata tramite notification outbox
+   * @param {Object} params - { userName, campaignName, campaignLabel, dueDate, daysRemaining, campaignUrl }
+   * @returns {{ subject: string, html: string }}
+   */
+  buildCampaignReminder(params) {
+    return {
+      subject: `Promemoria: ${params.campaignName}`,
+      html: this.renderTemplate('campaign-reminder', {
+        ...params,
+        dueDate: new Date(params.dueDate).toLocaleDateString('it-IT')
+      })
+    };
+  }
+
+  /**
+   * Email di escalation al manager dopo N reminder ignorati
+   * @param {Object} params - { managerName, employeeName, campaignName, campaignLabel, dueDate, missedReminders }
+   * @returns {{ subject: string, html: string }}
+   */
+  buildReminderEscalation(params) {
+    return {
+      subject: `${params.employeeName} non ha completato: ${params.campaignName}`,
+      html: this.renderTemplate('reminder-escalation', {
+        ...params,
+        dueDate: new Date(params.dueDate).toLocaleDateString('it-IT')
+      })
+    };
+  }
+
+  /**
+   * Email con il link di reimpostazione password (forgot-password)
+   * @param {Object} params - { userName, resetUrl, expiresInMinutes }
+   * @returns {{ subject: string, html: string }}
+   */
+  buildPasswordReset(params) {
+    return {
+      subject: 'Reimposta la tua password',
+      html: this.renderTemplate('password-reset', params)
+    };
+  }
+
   /**
    * Invia notifiche batch
    */
@@ -608,34 +690,12 @@ class EmailNotificationService {
 
   /**
    * Scheduler automatico per reminder
+   * Delegato al reminder engine delle campagne (schedule, escalation, quiet hours)
    */
   async scheduleAutomaticReminders() {
     try {
-      // Trova assessment con scadenza imminente
-      const upcomingAssessments = await prisma.assessmentInstance.findMany({
-        where: {
-          status: 'IN_PROGRESS',
-          dueDate: {
-            gte: new Date(),
-            lte: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000) // Prossimi 3 giorni
-          }
-        },
-        include: {
-          user: true
-        }
-      });
-
-      const reminders = upcomingAssessments.map(assessment => ({
-        type: 'reminder',
-        userId: assessment.userId,
-        assessmentId: assessment.id
-      }));
-
-      if (reminders.length > 0) {
-        console.log(`Scheduling ${reminders.length} automatic reminders`);
-        await this.sendBatchNotifications(reminders);
-      }
-
+      const CampaignReminderService = require('./campaignReminderService');
+      return await CampaignReminderService.processReminders();
     } catch (error) {
       console.error('Error scheduling automatic reminders:', error);
     }
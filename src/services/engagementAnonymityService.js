@@ -0,0 +1,272 @@
+/**
+ * Engagement Anonymity Service
+ * @module services/engagementAnonymityService
+ * @created 2026-10-19
+ *
+ * Anonymous engagement campaigns (engagement_campaigns.anonymous_responses)
+ * and the minimum reporting group size of the engagement analytics.
+ * - anonymous submissions: completion is only recorded on the assignment;
+ *   engagement_results / engagement_responses are stored without employee,
+ *   tenant user, assignment or client data, with the submission day instead
+ *   of the exact time (so they cannot be matched with assignments.completed_at).
+ *   The answers of one submission share a random submission_id.
+ *   Of the segment snapshot only the department is kept: department, office,
+ *   role and manager together single out most respondents.
+ * - k-anonymity: analytics never show the scores of a group with fewer
+ *   responses than tenants.engagement_min_group_size. Categorical slices
+ *   (roles, departments...) are merged into an "Other" group, ordered ones
+ *   (months, occurrences) are suppressed.
+ */
+
+const prisma = require('../config/database');
+
+const DEFAULT_MIN_GROUP_SIZE = 5;
+// Below 3 a respondent can work out the answers of the other one
+const MIN_GROUP_SIZE_FLOOR = 3;
+const MIN_GROUP_SIZE_CEILING = 50;
+const MERGED_GROUP_LABEL = 'Other';
+// Segment snapshot fields kept on anonymous engagement_results
+const ANONYMOUS_SEGMENT_FIELDS = ['department_id'];
+
+class EngagementAnonymityError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'EngagementAnonymityError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class EngagementAnonymityService {
+  static async getMinGroupSize(tenantId) {
+    const tenant = await prisma.tenants.findUnique({
+      where: { id: tenantId },
+      select: { engagement_min_group_size: true }
+    });
+    return tenant?.engagement_min_group_size || DEFAULT_MIN_GROUP_SIZE;
+  }
+
+  /**
+   * @returns {Promise<number>} the new minimum group size
+   */
+  static async setMinGroupSize(tenantId, value) {
+    const size = Number(value);
+    if (!Number.isInteger(size) || size < MIN_GROUP_SIZE_FLOOR || size > MIN_GROUP_SIZE_CEILING) {
+      throw new EngagementAnonymityError(
+        `minGroupSize must be an integer between ${MIN_GROUP_SIZE_FLOOR} and ${MIN_GROUP_SIZE_CEILING}`,
+        'INVALID_MIN_GROUP_SIZE'
+      );
+    }
+
+    const tenant = await prisma.tenants.update({
+      where: { id: tenantId },
+      data: { engagement_min_group_size: size },
+      select: { engagement_min_group_size: true }
+    });
+    return tenant.engagement_min_group_size;
+  }
+
+  static isAnonymous(campaign) {
+    return !!campaign?.anonymous_responses;
+  }
+
+  static startOfDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  /**
+   * Author fields of the engagement_responses rows of one submission
+   * @param {Object} campaign
+   * @param {string} tenantUserId
+   * @param {string} submissionId - shared by the answers of the submission
+   * @param {Date} [now]
+   */
+  static responseAuthor(campaign, tenantUserId, submissionId, now = new Date()) {
+    if (!this.isAnonymous(campaign)) {
+      return { user_id: tenantUserId, responded_at: now };
+    }
+    return { user_id: null, submission_id: submissionId, responded_at: this.startOfDay(now) };
+  }
+
+  /**
+   * Segment snapshot of an engagement_results row (see ANONYMOUS_SEGMENT_FIELDS)
+   * @param {Object} campaign
+   * @param {Object} segments - { department_id, office_id, role_id, manager_id }
+   */
+  static resultSegments(campaign, segments) {
+    if (!this.isAnonymous(campaign)) return segments;
+    return Object.fromEntries(Object.entries(segments)
+      .map(([field, value]) => [field, ANONYMOUS_SEGMENT_FIELDS.includes(field) ? value : null]));
+  }
+
+  /**
+   * Whether the results of a campaign keep a segment field
+   */
+  static hasSegmentField(campaign, field) {
+    return !this.isAnonymous(campaign) || ANONYMOUS_SEGMENT_FIELDS.includes(field);
+  }
+
+  /**
+   * Identity and timing fields of an engagement_results row
+   * @param {Object} assignment - with its campaign
+   * @param {Object} identity - { employeeId, tenantUserId }
+   * @param {Date} [now]
+   */
+  static resultAuthor(assignment, { employeeId, tenantUserId }, now = new Date()) {
+    if (this.isAnonymous(assignment.campaign)) {
+      return {
+        assignment_id: null,
+        employee_id: null,
+        tenant_user_id: null,
+        started_at: null,
+        time_taken: null,
+        ip_address: null,
+        user_agent: null,
+        device_type: null,
+        completed_at: this.startOfDay(now)
+      };
+    }
+
+    const startedAt = assignment.started_at || assignment.assigned_at;
+    return {
+      assignment_id: assignment.id,
+      employee_id: employeeId,
+      tenant_user_id: tenantUserId,
+      started_at: startedAt,
+      time_taken: assignment.started_at
+        ? Math.floor((now.getTime() - new Date(assignment.started_at).getTime()) / 1000)
+        : null,
+      completed_at: now
+    };
+  }
+
+  /**
+   * Merge the groups below the threshold into an "Other" group.
+   * When "Other" would itself be too small, the smallest reportable groups
+   * join it, so no group can be worked out from the others and a total.
+   * If all responses together are below the threshold nothing is returned.
+   * @param {Object[]} groups
+   * @param {number} minGroupSize
+   * @param {Object} fields
+   * @param {string} fields.labelField - e.g. 'role_name'
+   * @param {string} fields.countField - e.g. 'response_count'
+   * @param {string[]} fields.metricFields - averages, merged weighted by count
+   * @returns {{ groups: Object[], suppressed: number }} suppressed = groups hidden or merged
+   */
+  static mergeSmallGroups(groups, minGroupSize, { labelField, countField, metricFields }) {
+    const count = group => Number(group[countField]) || 0;
+    const reportable = groups.filter(group => count(group) >= minGroupSize).sort((a, b) => count(a) - count(b));
+    const merged = groups.filter(group => count(group) < minGroupSize);
+    const total = items => items.reduce((sum, group) => sum + count(group), 0);
+
+    while (merged.length > 0 && total(merged) < minGroupSize && reportable.length > 0) {
+      merged.push(reportable.shift());
+    }
+
+    if (merged.length === 0) {
+      return { groups, suppressed: 0 };
+    }
+    if (total(merged) < minGroupSize) {
+      return { groups: [], suppressed: groups.length };
+    }
+
+    const other = {
+      [labelField]: MERGED_GROUP_LABEL,
+      [countField]: total(merged),
+      merged_groups: merged.length
+    };
+    for (const field of metricFields) {
+      const withValue = merged.filter(group => group[field] !== null && group[field] !== undefined);
+      const weight = total(withValue);
+      other[field] = weight > 0
+        ? round(withValue.reduce((sum, group) => sum + Number(group[field]) * count(group), 0) / weight)
+        : null;
+    }
+
+    return {
+      groups: [...groups.filter(group => reportable.includes(group)), other],
+      suppressed: merged.length
+    };
+  }
+
+  /**
+   * Split items (results, comments...) by a field with the rule of
+   * mergeSmallGroups: values below the threshold go to one "other" bucket.
+   * Both are empty when all items together are below the threshold.
+   * Buckets are sized in respondents: items of the same respondent (several
+   * comments of one person) count once.
+   * @param {Object[]} items
+   * @param {string} field
+   * @param {number} minGroupSize
+   * @param {*} [alwaysMerged] - value that is never reported on its own (e.g. "other")
+   * @param {Function} [respondentOf] - item => respondent key (default: one respondent per item)
+   * @returns {{ buckets: Array<[*, Object[]]>, other: Object[], suppressed: number }}
+   *   buckets largest first
+   */
+  static partition(items, field, minGroupSize, alwaysMerged, respondentOf = null) {
+    const respondents = members => (respondentOf ? new Set(members.map(respondentOf)).size : members.length);
+
+    const byValue = new Map();
+    for (const item of items) {
+      byValue.set(item[field], [...(byValue.get(item[field]) || []), item]);
+    }
+
+    const groups = [...byValue.entries()].map(([value, members]) => ({ value, members, count: respondents(members) }));
+    const reportable = groups
+      .filter(group => group.count >= minGroupSize && (alwaysMerged === undefined || group.value !== alwaysMerged))
+      .sort((a, b) => a.count - b.count);
+    const merged = groups.filter(group => !reportable.includes(group));
+    const mergedCount = () => respondents(merged.flatMap(group => group.members));
+
+    // As in mergeSmallGroups, "other" takes the smallest groups until it is large enough
+    while (merged.length > 0 && mergedCount() < minGroupSize && reportable.length > 0) {
+      merged.push(reportable.shift());
+    }
+    if (respondents(items) < minGroupSize) {
+      return { buckets: [], other: [], suppressed: groups.length };
+    }
+
+    const kept = new Set(reportable.map(group => group.value));
+    return {
+      buckets: reportable
+        .sort((a, b) => b.count - a.count)
+        .map(group => [group.value, group.members]),
+      other: items.filter(item => !kept.has(item[field])),
+      // alwaysMerged only counts when it was too small anyway
+      suppressed: merged.filter(group => group.count < minGroupSize || group.value !== alwaysMerged).length
+    };
+  }
+
+  /**
+   * Hide the metrics of the points below the threshold (time series)
+   * @returns {{ points: Object[], suppressed: number }}
+   */
+  static suppressSmallGroups(points, minGroupSize, { countField, metricFields }) {
+    let suppressed = 0;
+    const result = points.map(point => {
+      if ((Number(point[countField]) || 0) >= minGroupSize) return point;
+
+      suppressed++;
+      const hidden = { ...point, suppressed: true };
+      for (const field of metricFields) hidden[field] = null;
+      return hidden;
+    });
+    return { points: result, suppressed };
+  }
+
+  /**
+   * Anonymity block added to analytics responses
+   */
+  static describe(minGroupSize, suppressed = 0) {
+    return { min_group_size: minGroupSize, suppressed_groups: suppressed };
+  }
+}
+
+module.exports = EngagementAnonymityService;
+module.exports.EngagementAnonymityError = EngagementAnonymityError;
+module.exports.DEFAULT_MIN_GROUP_SIZE = DEFAULT_MIN_GROUP_SIZE;
+module.exports.MIN_GROUP_SIZE_FLOOR = MIN_GROUP_SIZE_FLOOR;
+module.exports.MERGED_GROUP_LABEL = MERGED_GROUP_LABEL;
+module.exports.ANONYMOUS_SEGMENT_FIELDS = ANONYMOUS_SEGMENT_FIELDS;
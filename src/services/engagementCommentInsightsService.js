@@ -0,0 +1,516 @@
+/**
+ * Engagement Comment Insights Service
+ * @module services/engagementCommentInsightsService
+ * @created 2026-10-19
+ *
+ * Campaign-level analysis of the open-text answers of an engagement survey
+ * (engagement_responses.response_text of TEXT questions):
+ * - sentiment of every comment and its distribution
+ * - topic of every comment, grouped into topics
+ * - representative quotes per topic, scrubbed of names and contact details
+ * - themes per area (the area of the question in engagement_question_weights)
+ *
+ * Comments are classified by the configured AI provider (services/ai/providers,
+ * logged by LLMAuditService and bound by the LLM budgets); without a provider,
+ * or when the call fails, a keyword lexicon gives a deterministic result.
+ * Only the aggregation is returned, with the minimum group size of
+ * services/engagementAnonymityService applied to topics and areas.
+ */
+
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const EngagementAnonymityService = require('./engagementAnonymityService');
+
+const { MERGED_GROUP_LABEL } = EngagementAnonymityService;
+
+// Question types whose answers are free text
+const COMMENT_QUESTION_TYPES = ['TEXT', 'OPEN_TEXT', 'TEXTAREA', 'COMMENT'];
+
+const SENTIMENTS = {
+  POSITIVE: 'POSITIVE',
+  NEUTRAL: 'NEUTRAL',
+  NEGATIVE: 'NEGATIVE'
+};
+
+// Comments that match no topic (and topics merged for anonymity) end up in "other".
+// Keywords are word prefixes, English and Italian.
+const OTHER_TOPIC = 'other';
+const TOPICS = {
+  workload: {
+    label: 'Workload',
+    keywords: ['workload', 'overload', 'overtime', 'busy', 'deadline', 'pressure', 'understaff', 'carico', 'straordinar', 'scadenz']
+  },
+  management: {
+    label: 'Management',
+    keywords: ['manager', 'management', 'leader', 'boss', 'supervisor', 'responsabil', 'capo', 'dirigen']
+  },
+  career_growth: {
+    label: 'Career & growth',
+    keywords: ['career', 'growth', 'promotion', 'promoted', 'training', 'learn', 'develop', 'carriera', 'crescita', 'formazion', 'promozion']
+  },
+  compensation: {
+    label: 'Compensation & benefits',
+    keywords: ['salary', 'salaries', 'pay', 'compensation', 'bonus', 'benefit', 'raise', 'stipend', 'retribuz', 'premi']
+  },
+  work_life_balance: {
+    label: 'Work-life balance',
+    keywords: ['balance', 'remote', 'flexib', 'hours', 'family', 'holiday', 'vacation', 'orari', 'famiglia', 'flessibil', 'ferie']
+  },
+  communication: {
+    label: 'Communication',
+    keywords: ['communicat', 'inform', 'transparen', 'meeting', 'feedback', 'comunica', 'trasparen', 'riunion']
+  },
+  team_culture: {
+    label: 'Team & culture',
+    keywords: ['team', 'colleague', 'culture', 'collaborat', 'respect', 'colleg', 'cultura', 'rispett', 'squadra']
+  },
+  recognition: {
+    label: 'Recognition',
+    keywords: ['recogni', 'appreciat', 'valued', 'thank', 'riconosc', 'apprezz', 'valorizz']
+  },
+  tools_resources: {
+    label: 'Tools & resources',
+    keywords: ['tool', 'software', 'equipment', 'laptop', 'resource', 'process', 'strument', 'risors']
+  }
+};
+
+const POSITIVE_WORDS = new Set([
+  'good', 'great', 'excellent', 'love', 'happy', 'helpful', 'supportive', 'appreciate', 'enjoy', 'fair',
+  'clear', 'flexible', 'proud', 'motivated', 'friendly', 'improved', 'better', 'best', 'positive', 'satisfied',
+  'transparent', 'amazing', 'buono', 'ottimo', 'ottima', 'bene', 'felice', 'contento', 'soddisfatto', 'chiaro',
+  'apprezzo', 'disponibile', 'motivato', 'migliorato', 'positivo'
+]);
+const NEGATIVE_WORDS = new Set([
+  'bad', 'poor', 'terrible', 'hate', 'unhappy', 'stressed', 'stress', 'stressful', 'overworked', 'unfair',
+  'unclear', 'toxic', 'worse', 'worst', 'frustrated', 'frustrating', 'lack', 'lacking', 'missing', 'slow',
+  'burnout', 'tired', 'ignored', 'negative', 'difficult', 'problem', 'problems', 'pessimo', 'stressato',
+  'ingiusto', 'frustrato', 'mancanza', 'manca', 'lento', 'stanco', 'problema', 'problemi', 'difficile', 'ignorato'
+]);
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", "doesn't", "isn't", "aren't", 'non', 'mai', 'nessun']);
+
+// Score above / below which a comment is positive / negative
+const SENTIMENT_THRESHOLD = 0.2;
+
+const QUOTES_PER_TOPIC = 3;
+const QUOTE_MIN_LENGTH = 20;
+const QUOTE_MAX_LENGTH = 240;
+const REDACTED = '[redacted]';
+
+const LLM_BATCH_SIZE = 50;
+const LLM_OPERATION_TYPE = 'engagement_comment_analysis';
+const CACHE_TTL = 3600000; // 1 hour
+
+class CommentInsightsError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'CommentInsightsError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+const average = (values) => values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+const respondentOf = comment => comment.respondent;
+const countRespondents = comments => new Set(comments.map(respondentOf)).size;
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Insights by tenant and campaign, reused while the comments do not change
+const cache = new Map();
+
+// Created on first use: the providers log their configuration on startup
+let aiProviders = null;
+const getProviders = () => {
+  if (!aiProviders) {
+    const AIProviders = require('./ai/providers');
+    aiProviders = new AIProviders();
+  }
+  return aiProviders;
+};
+
+class EngagementCommentInsightsService {
+  static tokenize(text) {
+    return String(text).toLowerCase().split(/[^\p{L}']+/u).filter(Boolean);
+  }
+
+  static labelFor(score) {
+    if (score > SENTIMENT_THRESHOLD) return SENTIMENTS.POSITIVE;
+    if (score < -SENTIMENT_THRESHOLD) return SENTIMENTS.NEGATIVE;
+    return SENTIMENTS.NEUTRAL;
+  }
+
+  /**
+   * Lexicon sentiment; a negation up to two words before flips a word
+   * @returns {{ sentiment: string, score: number }} score from -1 to 1
+   */
+  static scoreSentiment(text) {
+    const tokens = this.tokenize(text);
+    let positive = 0;
+    let negative = 0;
+
+    tokens.forEach((token, index) => {
+      const polarity = POSITIVE_WORDS.has(token) ? 1 : NEGATIVE_WORDS.has(token) ? -1 : 0;
+      if (polarity === 0) return;
+
+      const negated = tokens.slice(Math.max(0, index - 2), index).some(previous => NEGATIONS.has(previous));
+      if ((polarity > 0) !== negated) positive++;
+      else negative++;
+    });
+
+    const score = positive + negative > 0 ? round((positive - negative) / (positive + negative)) : 0;
+    return { sentiment: this.labelFor(score), score };
+  }
+
+  /**
+   * Words of a text matching the keywords of a topic
+   */
+  static topicHits(text, topic) {
+    if (!TOPICS[topic]) return 0;
+    const { keywords } = TOPICS[topic];
+    return this.tokenize(text).filter(token => keywords.some(keyword => token.startsWith(keyword))).length;
+  }
+
+  /**
+   * Topic with the most keyword matches
+   * @returns {{ topic: string, hits: number }}
+   */
+  static matchTopic(text) {
+    let best = { topic: OTHER_TOPIC, hits: 0 };
+
+    for (const topic of Object.keys(TOPICS)) {
+      const hits = this.topicHits(text, topic);
+      if (hits > best.hits) best = { topic, hits };
+    }
+    return best;
+  }
+
+  static classifyOffline(text) {
+    return { ...this.scoreSentiment(text), topic: this.matchTopic(text).topic };
+  }
+
+  /**
+   * Replace e-mail addresses, links, phone numbers and names of the
+   * tenant's employees
+   * @param {string} text
+   * @param {RegExp|null} namePattern - from buildNamePattern
+   */
+  static scrub(text, namePattern = null) {
+    let scrubbed = String(text)
+      .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, REDACTED)
+      .replace(/\bhttps?:\/\/\S+/gi, REDACTED)
+      .replace(/\+?\d[\d\s().-]{6,}\d/g, REDACTED);
+    if (namePattern) scrubbed = scrubbed.replace(namePattern, REDACTED);
+    return scrubbed.replace(/\s+/g, ' ').trim();
+  }
+
+  static buildNamePattern(employees) {
+    const names = new Set();
+    for (const employee of employees) {
+      for (const name of [employee.first_name, employee.last_name]) {
+        if (name && name.trim().length >= 3) names.add(escapeRegExp(name.trim()));
+      }
+    }
+    if (names.size === 0) return null;
+    return new RegExp(`(?<![\\p{L}])(${[...names].join('|')})(?![\\p{L}])`, 'giu');
+  }
+
+  static buildPrompt(comments) {
+    const topics = Object.entries(TOPICS).map(([key, { label }]) => `- ${key}: ${label}`).join('\n');
+    return `Classify each employee survey comment.
+For every comment return its sentiment (POSITIVE, NEUTRAL or NEGATIVE), a sentiment score from -1 to 1
+and the one topic it is mostly about, chosen from:
+${topics}
+- ${OTHER_TOPIC}: none of the above
+
+Comments:
+${JSON.stringify(comments.map((comment, index) => ({ i: index, text: comment.text })))}
+
+Answer with JSON only, in this format:
+{"results":[{"i":0,"sentiment":"NEGATIVE","score":-0.6,"topic":"workload"}]}`;
+  }
+
+  /**
+   * Classifications of a provider answer, by comment index.
+   * Invalid entries are left out and classified offline.
+   */
+  static parseClassification(response) {
+    const json = String(response).replace(/```(?:json)?/g, '').trim();
+    const start = json.indexOf('{');
+    const end = json.lastIndexOf('}');
+    const parsed = JSON.parse(json.slice(start, end + 1));
+
+    const classifications = new Map();
+    for (const item of Array.isArray(parsed.results) ? parsed.results : []) {
+      const score = Number(item.score);
+      if (!Number.isInteger(item.i) || !Object.values(SENTIMENTS).includes(item.sentiment) || Number.isNaN(score)) continue;
+
+      classifications.set(item.i, {
+        sentiment: item.sentiment,
+        score: round(Math.max(-1, Math.min(1, score))),
+        topic: TOPICS[item.topic] ? item.topic : OTHER_TOPIC
+      });
+    }
+    return classifications;
+  }
+
+  /**
+   * Classify comments with the AI provider, batch by batch
+   * @returns {Promise<Object[]|null>} null without a provider
+   */
+  static async classifyWithAI(comments, auditContext) {
+    const providers = getProviders();
+    if (!providers.hasProviders()) return null;
+
+    const systemPrompt = 'You analyse employee engagement survey comments for HR. Answer with valid JSON only.';
+    const classified = [];
+
+    for (let start = 0; start < comments.length; start += LLM_BATCH_SIZE) {
+      const batch = comments.slice(start, start + LLM_BATCH_SIZE);
+      const prompt = this.buildPrompt(batch);
+      const context = { ...auditContext, metadata: { batch_start: start, batch_size: batch.length } };
+
+      const response = providers.openai
+        ? await providers.generateWithOpenAI(prompt, systemPrompt, 0, 4000, 'gpt-4o-mini', context)
+        : await providers.generateWithAnthropic(prompt, systemPrompt, 0, 4000, undefined, context);
+
+      const classifications = this.parseClassification(response);
+      batch.forEach((comment, index) => {
+        classified.push(classifications.get(index) || this.classifyOffline(comment.text));
+      });
+    }
+
+    return classified;
+  }
+
+  /**
+   * Sentiment and topic of every comment
+   * @returns {Promise<{ classified: Object[], method: string }>} method 'ai' or 'lexicon'
+   */
+  static async classify(comments, auditContext) {
+    try {
+      const classified = await this.classifyWithAI(comments, auditContext);
+      if (classified) {
+        return { classified, method: 'ai' };
+      }
+    } catch (error) {
+      logger.warn(`Comment analysis of campaign ${auditContext.entityId} falls back to the lexicon: ${error.message}`);
+    }
+
+    return { classified: comments.map(comment => this.classifyOffline(comment.text)), method: 'lexicon' };
+  }
+
+  static summarizeSentiment(comments) {
+    const distribution = { [SENTIMENTS.POSITIVE]: 0, [SENTIMENTS.NEUTRAL]: 0, [SENTIMENTS.NEGATIVE]: 0 };
+    for (const comment of comments) distribution[comment.sentiment]++;
+    return { average_score: average(comments.map(comment => comment.score)), distribution };
+  }
+
+  /**
+   * Most representative comments of a topic: the dominant sentiment first,
+   * then the most on-topic and the most concise. A comment is quoted once.
+   * @param {Object[]} comments
+   * @param {Set<string>} quoted - ids already quoted
+   */
+  static selectQuotes(comments, quoted) {
+    const { distribution } = this.summarizeSentiment(comments);
+    const dominant = Object.entries(distribution).sort((a, b) => b[1] - a[1])[0][0];
+
+    return comments
+      .filter(comment => !quoted.has(comment.id) && comment.text.length >= QUOTE_MIN_LENGTH)
+      .sort((a, b) =>
+        (b.sentiment === dominant) - (a.sentiment === dominant) ||
+        b.hits - a.hits ||
+        a.text.length - b.text.length ||
+        a.id.localeCompare(b.id))
+      .slice(0, QUOTES_PER_TOPIC)
+      .map(comment => {
+        quoted.add(comment.id);
+        return {
+          text: comment.text.length > QUOTE_MAX_LENGTH
+            ? `${comment.text.slice(0, QUOTE_MAX_LENGTH).replace(/\s+\S*$/, '')}…`
+            : comment.text,
+          sentiment: comment.sentiment
+        };
+      });
+  }
+
+  /**
+   * Topics, areas and sentiment of classified comments. Topics and areas
+   * are reported from minGroupSize respondents, however many comments they wrote.
+   * @param {Object[]} comments - { id, respondent, text, area, sentiment, score, topic, hits }
+   * @param {number} minGroupSize
+   */
+  static aggregate(comments, minGroupSize) {
+    const total = comments.length;
+    const quoted = new Set();
+    const share = count => round((count / total) * 100);
+
+    const topicRow = (topic, items) => ({
+      topic,
+      label: topic === OTHER_TOPIC ? MERGED_GROUP_LABEL : TOPICS[topic].label,
+      comment_count: items.length,
+      respondent_count: countRespondents(items),
+      share: share(items.length),
+      sentiment: this.summarizeSentiment(items),
+      quotes: this.selectQuotes(items, quoted)
+    });
+
+    const topicSplit = EngagementAnonymityService.partition(comments, 'topic', minGroupSize, OTHER_TOPIC, respondentOf);
+    const topics = topicSplit.buckets.map(([topic, items]) => topicRow(topic, items));
+    if (topicSplit.other.length > 0) topics.push(topicRow(OTHER_TOPIC, topicSplit.other));
+
+    const reportedTopics = new Set(topicSplit.buckets.map(([topic]) => topic));
+    const areaRow = (area, items) => {
+      const counts = {};
+      for (const item of items) {
+        if (reportedTopics.has(item.topic)) counts[item.topic] = (counts[item.topic] || 0) + 1;
+      }
+      return {
+        area,
+        comment_count: items.length,
+        respondent_count: countRespondents(items),
+        sentiment: this.summarizeSentiment(items),
+        themes: Object.entries(counts)
+          .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+          .slice(0, 3)
+          .map(([topic]) => ({ topic, label: TOPICS[topic].label }))
+      };
+    };
+
+    const areaSplit = EngagementAnonymityService.partition(comments, 'area', minGroupSize, undefined, respondentOf);
+    const areas = areaSplit.buckets.map(([area, items]) => areaRow(area, items));
+    if (areaSplit.other.length > 0) areas.push(areaRow(MERGED_GROUP_LABEL, areaSplit.other));
+
+    return {
+      sentiment: this.summarizeSentiment(comments),
+      topics,
+      areas,
+      suppressed: topicSplit.suppressed + areaSplit.suppressed
+    };
+  }
+
+  /**
+   * Campaign and its scrubbed comments, with the area of their question
+   */
+  static async loadComments(tenantId, campaignId) {
+    const campaign = await prisma.engagement_campaigns.findFirst({
+      where: { id: campaignId, tenant_id: tenantId },
+      select: { id: true, name: true, template_id: true, anonymous_responses: true }
+    });
+    if (!campaign) {
+      throw new CommentInsightsError('Campaign not found', 'CAMPAIGN_NOT_FOUND', 404);
+    }
+
+    const questionTypes = [...COMMENT_QUESTION_TYPES, ...COMMENT_QUESTION_TYPES.map(type => type.toLowerCase())];
+    const [responses, weights, employees] = await Promise.all([
+      prisma.engagement_responses.findMany({
+        where: {
+          campaign_id: campaign.id,
+          response_text: { not: null },
+          question: { question_type: { in: questionTypes } }
+        },
+        select: { id: true, question_id: true, response_text: true, user_id: true, submission_id: true },
+        orderBy: { id: 'asc' }
+      }),
+      prisma.engagement_question_weights.findMany({
+        where: { template_id: campaign.template_id },
+        select: { question_id: true, area: true }
+      }),
+      prisma.employees.findMany({
+        where: { tenant_id: tenantId },
+        select: { first_name: true, last_name: true }
+      })
+    ]);
+
+    const areas = new Map(weights.map(weight => [weight.question_id, weight.area]));
+    const namePattern = this.buildNamePattern(employees);
+
+    const comments = responses
+      .map(response => ({
+        id: response.id,
+        // Anonymous answers are grouped by submission instead of user
+        respondent: response.user_id || response.submission_id || response.id,
+        area: areas.get(response.question_id) || 'GENERAL',
+        text: this.scrub(response.response_text, namePattern)
+      }))
+      .filter(comment => comment.text.length > 0);
+
+    return { campaign, comments };
+  }
+
+  /**
+   * Comment insights of a campaign
+   * @param {string} tenantId
+   * @param {string} campaignId
+   * @param {Object} [options]
+   * @param {string} [options.userId] - for the LLM audit log
+   * @param {boolean} [options.refresh] - analyse again even if cached
+   */
+  static async getInsights(tenantId, campaignId, { userId = null, refresh = false } = {}) {
+    const [{ campaign, comments }, minGroupSize] = await Promise.all([
+      this.loadComments(tenantId, campaignId),
+      EngagementAnonymityService.getMinGroupSize(tenantId)
+    ]);
+
+    const base = {
+      campaign_id: campaign.id,
+      campaign_name: campaign.name,
+      anonymous: EngagementAnonymityService.isAnonymous(campaign),
+      comment_count: comments.length,
+      respondent_count: countRespondents(comments)
+    };
+
+    // Too few people commented to say anything without pointing at them
+    if (base.respondent_count < minGroupSize) {
+      return {
+        ...base,
+        suppressed: true,
+        sentiment: null,
+        topics: [],
+        areas: [],
+        anonymity: EngagementAnonymityService.describe(minGroupSize, comments.length > 0 ? 1 : 0)
+      };
+    }
+
+    const cacheKey = `${tenantId}:${campaign.id}`;
+    const signature = `${comments.length}:${base.respondent_count}:${minGroupSize}`;
+    const cached = cache.get(cacheKey);
+    if (!refresh && cached && cached.signature === signature && cached.expiresAt > Date.now()) {
+      return cached.insights;
+    }
+
+    const { classified, method } = await this.classify(comments, {
+      tenantId,
+      userId,
+      operationType: LLM_OPERATION_TYPE,
+      entityType: 'engagement_campaign',
+      entityId: campaign.id
+    });
+
+    const analysed = comments.map((comment, index) => ({
+      ...comment,
+      ...classified[index],
+      hits: this.topicHits(comment.text, classified[index].topic)
+    }));
+    const { suppressed, ...aggregation } = this.aggregate(analysed, minGroupSize);
+
+    const insights = {
+      ...base,
+      suppressed: false,
+      method,
+      generated_at: new Date().toISOString(),
+      ...aggregation,
+      anonymity: EngagementAnonymityService.describe(minGroupSize, suppressed)
+    };
+
+    cache.set(cacheKey, { signature, insights, expiresAt: Date.now() + CACHE_TTL });
+    return insights;
+  }
+}
+
+module.exports = EngagementCommentInsightsService;
+module.exports.CommentInsightsError = CommentInsightsError;
+module.exports.COMMENT_QUESTION_TYPES = COMMENT_QUESTION_TYPES;
+module.exports.SENTIMENTS = SENTIMENTS;
+module.exports.TOPICS = TOPICS;
+module.exports.OTHER_TOPIC = OTHER_TOPIC;
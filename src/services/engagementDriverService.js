@@ -0,0 +1,362 @@
+/**
+ * Engagement Driver Service
+ * @module services/engagementDriverService
+ * @created 2026-10-19
+ *
+ * eNPS and key-driver analysis of engagement campaigns.
+ * - eNPS: answer (0-10) of the ENPS question of the template; 9-10 promoters,
+ *   7-8 passives, 0-6 detractors; eNPS = % promoters - % detractors.
+ * - engagement_index: the outcome, computed at submission from the weighted
+ *   overall score and, when given, the eNPS answer.
+ * - drivers: every area of the template ranked by the correlation of its
+ *   score with engagement_index across respondents (Pearson r), with the
+ *   slope as impact (index points per area point) and a priority quadrant
+ *   from importance (r) and performance (average score).
+ * Results carry a department / office / role snapshot taken at submission;
+ * anonymous campaigns keep the department only, so they are segmented by
+ * department alone. Segments follow the minimum group size of
+ * services/engagementAnonymityService.
+ */
+
+const prisma = require('../config/database');
+const EngagementAnonymityService = require('./engagementAnonymityService');
+
+const { MERGED_GROUP_LABEL } = EngagementAnonymityService;
+
+const ENPS_QUESTION_TYPE = 'ENPS';
+
+const ENPS_CATEGORIES = {
+  PROMOTER: 'PROMOTER',
+  PASSIVE: 'PASSIVE',
+  DETRACTOR: 'DETRACTOR'
+};
+
+// Segment dimensions: result field and where their names come from
+const SEGMENT_DIMENSIONS = {
+  department: { field: 'department_id', model: 'departments', nameField: 'department_name' },
+  office: { field: 'office_id', model: 'offices', nameField: 'name' },
+  role: { field: 'role_id', model: 'roles', nameField: 'Role' }
+};
+
+// Below this many respondents a correlation says nothing
+const MIN_DRIVER_SAMPLE = 5;
+const TOP_SEGMENT_DRIVERS = 3;
+
+const DRIVER_PRIORITIES = {
+  PRIORITY: 'PRIORITY', // high impact, low score: act here first
+  STRENGTH: 'STRENGTH', // high impact, high score: protect
+  MONITOR: 'MONITOR', // low impact, low score
+  MAINTAIN: 'MAINTAIN' // low impact, high score
+};
+
+class EngagementDriverError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'EngagementDriverError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+class EngagementDriverService {
+  /**
+   * @returns {number|null} the answer if it is a valid eNPS answer (integer 0-10)
+   */
+  static parseEnpsAnswer(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const score = Number(value);
+    return Number.isInteger(score) && score >= 0 && score <= 10 ? score : null;
+  }
+
+  static enpsCategory(score) {
+    if (!isNumber(score)) return null;
+    if (score >= 9) return ENPS_CATEGORIES.PROMOTER;
+    if (score >= 7) return ENPS_CATEGORIES.PASSIVE;
+    return ENPS_CATEGORIES.DETRACTOR;
+  }
+
+  /**
+   * eNPS of a set of answers
+   * @param {number[]} scores - 0-10, null entries are ignored
+   * @returns {Object|null} null without answers
+   */
+  static calculateEnps(scores) {
+    const answers = scores.filter(isNumber);
+    if (answers.length === 0) return null;
+
+    const counts = { promoters: 0, passives: 0, detractors: 0 };
+    for (const score of answers) {
+      const category = this.enpsCategory(score);
+      if (category === ENPS_CATEGORIES.PROMOTER) counts.promoters++;
+      else if (category === ENPS_CATEGORIES.PASSIVE) counts.passives++;
+      else counts.detractors++;
+    }
+
+    return {
+      enps: Math.round(((counts.promoters - counts.detractors) / answers.length) * 100),
+      responses: answers.length,
+      ...counts
+    };
+  }
+
+  /**
+   * engagement_index of a submission (0-100)
+   * @param {number} overallScore - weighted score of the areas (0-100)
+   * @param {number|null} enpsScore - eNPS answer (0-10)
+   */
+  static engagementIndex(overallScore, enpsScore = null) {
+    if (!isNumber(overallScore)) return null;
+    if (!isNumber(enpsScore)) return overallScore;
+    return round((overallScore + enpsScore * 10) / 2);
+  }
+
+  /**
+   * Department, office, current role and manager of an employee, stored on the result
+   */
+  static async getSegments(employeeId) {
+    const employee = await prisma.employees.findUnique({
+      where: { id: employeeId },
+      select: {
+        department_id: true,
+        office_id: true,
+        manager_id: true,
+        currentRoleId: true,
+        employee_roles: {
+          where: { is_current: true },
+          select: { role_id: true },
+          orderBy: { id: 'desc' },
+          take: 1
+        }
+      }
+    });
+    if (!employee) {
+      return { department_id: null, office_id: null, role_id: null, manager_id: null };
+    }
+
+    return {
+      department_id: employee.department_id,
+      office_id: employee.office_id,
+      role_id: employee.employee_roles[0]?.role_id ?? employee.currentRoleId ?? null,
+      manager_id: employee.manager_id
+    };
+  }
+
+  /**
+   * Pearson correlation, null when a series is constant
+   */
+  static correlation(xs, ys) {
+    const meanX = mean(xs);
+    const meanY = mean(ys);
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+
+    xs.forEach((x, i) => {
+      covariance += (x - meanX) * (ys[i] - meanY);
+      varianceX += (x - meanX) ** 2;
+      varianceY += (ys[i] - meanY) ** 2;
+    });
+
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+  }
+
+  /**
+   * Areas ranked by their correlation with engagement_index
+   * @param {Object[]} results - { area_scores, engagement_index }
+   * @returns {Object[]} drivers, strongest first; empty below MIN_DRIVER_SAMPLE
+   */
+  static rankDrivers(results) {
+    const scored = results.filter(result => isNumber(result.engagement_index));
+    if (scored.length < MIN_DRIVER_SAMPLE) return [];
+
+    const areas = [...new Set(scored.flatMap(result => Object.keys(result.area_scores || {})))];
+    const drivers = [];
+
+    for (const area of areas) {
+      const pairs = scored.filter(result => isNumber(result.area_scores?.[area]));
+      if (pairs.length < MIN_DRIVER_SAMPLE) continue;
+
+      const xs = pairs.map(result => result.area_scores[area]);
+      const ys = pairs.map(result => result.engagement_index);
+      const r = this.correlation(xs, ys);
+      if (r === null) continue;
+
+      const spreadX = Math.sqrt(mean(xs.map(x => (x - mean(xs)) ** 2)));
+      const spreadY = Math.sqrt(mean(ys.map(y => (y - mean(ys)) ** 2)));
+
+      drivers.push({
+        area,
+        average_score: round(mean(xs)),
+        correlation: round(r),
+        impact: round(r * (spreadY / spreadX)),
+        responses: pairs.length
+      });
+    }
+
+    drivers.sort((a, b) => b.correlation - a.correlation || a.area.localeCompare(b.area));
+
+    // Quadrant: importance against the median correlation, performance against the mean score
+    const correlations = drivers.map(driver => driver.correlation).sort((a, b) => a - b);
+    const middle = Math.floor(correlations.length / 2);
+    const medianCorrelation = correlations.length % 2
+      ? correlations[middle]
+      : (correlations[middle - 1] + correlations[middle]) / 2;
+    const meanScore = drivers.length > 0 ? mean(drivers.map(driver => driver.average_score)) : 0;
+
+    return drivers.map((driver, index) => {
+      const important = driver.correlation >= medianCorrelation;
+      const performing = driver.average_score >= meanScore;
+      let priority;
+      if (important) priority = performing ? DRIVER_PRIORITIES.STRENGTH : DRIVER_PRIORITIES.PRIORITY;
+      else priority = performing ? DRIVER_PRIORITIES.MAINTAIN : DRIVER_PRIORITIES.MONITOR;
+      return { rank: index + 1, ...driver, priority };
+    });
+  }
+
+  /**
+   * Engagement index, eNPS and drivers of a group of results
+   */
+  static summarize(results) {
+    const indexes = results.map(result => result.engagement_index).filter(isNumber);
+    return {
+      responses: results.length,
+      engagement_index: indexes.length > 0 ? round(mean(indexes)) : null,
+      enps: this.calculateEnps(results.map(result => result.enps_score)),
+      drivers: this.rankDrivers(results)
+    };
+  }
+
+  /**
+   * Display names of segment values ("Unassigned" for results without one)
+   * @returns {Promise<Function>} id => name
+   */
+  static async segmentNames(dimension, ids) {
+    const { model, nameField } = SEGMENT_DIMENSIONS[dimension];
+    const known = ids.filter(id => id !== null && id !== undefined);
+    const records = known.length > 0
+      ? await prisma[model].findMany({ where: { id: { in: known } }, select: { id: true, [nameField]: true } })
+      : [];
+    const names = new Map(records.map(record => [record.id, record[nameField]]));
+
+    return id => (id === null || id === undefined ? 'Unassigned' : names.get(id) || `#${id}`);
+  }
+
+  /**
+   * Segments of one dimension; segments below the minimum group size are merged
+   * @returns {Promise<{ segments: Object[], suppressed: number }>}
+   */
+  static async segment(results, dimension, minGroupSize) {
+    const { field } = SEGMENT_DIMENSIONS[dimension];
+    const { buckets, other, suppressed } = EngagementAnonymityService.partition(results, field, minGroupSize);
+    const nameOf = await this.segmentNames(dimension, buckets.map(([id]) => id));
+
+    const row = (id, name, items) => {
+      const { drivers, ...summary } = this.summarize(items);
+      return { id, name, ...summary, top_drivers: drivers.slice(0, TOP_SEGMENT_DRIVERS) };
+    };
+
+    const segments = buckets.map(([id, items]) => row(id ?? null, nameOf(id), items));
+    if (other.length > 0) segments.push(row(null, MERGED_GROUP_LABEL, other));
+
+    return { segments, suppressed };
+  }
+
+  /**
+   * eNPS and driver analysis of a campaign
+   * @param {string} tenantId
+   * @param {string} campaignId
+   * @param {Object} [options]
+   * @param {string[]} [options.segmentBy] - dimensions among department, office, role
+   *   (default all those the results keep)
+   */
+  static async analyseCampaign(tenantId, campaignId, { segmentBy = null } = {}) {
+    const unknown = (segmentBy || []).filter(dimension => !SEGMENT_DIMENSIONS[dimension]);
+    if (unknown.length > 0) {
+      throw new EngagementDriverError(
+        `Unknown segment ${unknown.join(', ')}: use ${Object.keys(SEGMENT_DIMENSIONS).join(', ')}`,
+        'INVALID_SEGMENT'
+      );
+    }
+
+    const campaign = await prisma.engagement_campaigns.findFirst({
+      where: { id: campaignId, tenant_id: tenantId },
+      select: { id: true, name: true, anonymous_responses: true }
+    });
+    if (!campaign) {
+      throw new EngagementDriverError('Campaign not found', 'CAMPAIGN_NOT_FOUND', 404);
+    }
+
+    const available = Object.keys(SEGMENT_DIMENSIONS)
+      .filter(dimension => EngagementAnonymityService.hasSegmentField(campaign, SEGMENT_DIMENSIONS[dimension].field));
+    const unavailable = (segmentBy || []).filter(dimension => !available.includes(dimension));
+    if (unavailable.length > 0) {
+      throw new EngagementDriverError(
+        `Anonymous campaigns cannot be segmented by ${unavailable.join(', ')}: use ${available.join(', ')}`,
+        'SEGMENT_NOT_AVAILABLE'
+      );
+    }
+    const dimensions = segmentBy || available;
+
+    const [results, minGroupSize] = await Promise.all([
+      prisma.engagement_results.findMany({
+        where: { campaign_id: campaign.id },
+        select: {
+          area_scores: true,
+          engagement_index: true,
+          enps_score: true,
+          department_id: true,
+          office_id: true,
+          role_id: true
+        }
+      }),
+      EngagementAnonymityService.getMinGroupSize(tenantId)
+    ]);
+
+    const base = {
+      campaign_id: campaign.id,
+      campaign_name: campaign.name,
+      anonymous: EngagementAnonymityService.isAnonymous(campaign)
+    };
+
+    if (results.length < minGroupSize) {
+      return {
+        ...base,
+        responses: results.length,
+        suppressed: true,
+        engagement_index: null,
+        enps: null,
+        drivers: [],
+        segments: {},
+        anonymity: EngagementAnonymityService.describe(minGroupSize, results.length > 0 ? 1 : 0)
+      };
+    }
+
+    const segments = {};
+    let suppressed = 0;
+    for (const dimension of dimensions) {
+      const split = await this.segment(results, dimension, minGroupSize);
+      segments[dimension] = split.segments;
+      suppressed += split.suppressed;
+    }
+
+    return {
+      ...base,
+      ...this.summarize(results),
+      suppressed: false,
+      segments,
+      anonymity: EngagementAnonymityService.describe(minGroupSize, suppressed)
+    };
+  }
+}
+
+module.exports = EngagementDriverService;
+module.exports.EngagementDriverError = EngagementDriverError;
+module.exports.ENPS_QUESTION_TYPE = ENPS_QUESTION_TYPE;
+module.exports.ENPS_CATEGORIES = ENPS_CATEGORIES;
+module.exports.DRIVER_PRIORITIES = DRIVER_PRIORITIES;
+module.exports.SEGMENT_DIMENSIONS = SEGMENT_DIMENSIONS;
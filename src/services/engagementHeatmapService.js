@@ -0,0 +1,401 @@
+/**
+ * Engagement Heatmap Service
+ * @module services/engagementHeatmapService
+ * @created 2026-10-19
+ *
+ * Heatmap of an engagement campaign: one row per organizational unit
+ * (department, office, role, manager subtree), one column per area of
+ * engagement_results.area_scores. Every cell carries the score and its delta
+ * versus the tenant average (all respondents of the campaign) and versus the
+ * same unit in the previous campaign (previous occurrence of the series, or
+ * else the last earlier campaign of the same template).
+ * Units come from the snapshot taken at submission (migrations 064 / 065);
+ * anonymous campaigns only keep the department (migration 071).
+ * Manager subtrees are resolved on the current employees.manager_id hierarchy.
+ *
+ * Anonymity (services/engagementAnonymityService):
+ * - flat dimensions merge units below the minimum group size into "Other";
+ * - subtrees overlap, so a manager is shown only when its subtree has at
+ *   least k respondents and adds 0 or at least k respondents to the subtrees
+ *   shown below it (no respondent group can be worked out by difference);
+ * - a cell answered by fewer than k respondents has no score.
+ */
+
+const ExcelJS = require('exceljs');
+const prisma = require('../config/database');
+const EngagementAnonymityService = require('./engagementAnonymityService');
+const EngagementDriverService = require('./engagementDriverService');
+
+const { MERGED_GROUP_LABEL } = EngagementAnonymityService;
+const { SEGMENT_DIMENSIONS } = EngagementDriverService;
+
+const MANAGER_DIMENSION = 'manager';
+const DIMENSIONS = [...Object.keys(SEGMENT_DIMENSIONS), MANAGER_DIMENSION];
+const DEFAULT_GROUP_BY = ['department', 'office', MANAGER_DIMENSION];
+const DIMENSION_FIELDS = {
+  ...Object.fromEntries(Object.entries(SEGMENT_DIMENSIONS).map(([dimension, { field }]) => [dimension, field])),
+  [MANAGER_DIMENSION]: 'manager_id'
+};
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+class EngagementHeatmapError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'EngagementHeatmapError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+const delta = (value, reference) => (isNumber(value) && isNumber(reference) ? round(value - reference) : null);
+
+class EngagementHeatmapService {
+  /**
+   * Responses, engagement index and area scores of a group of results
+   * @param {Object[]} results
+   * @param {string[]} areas
+   * @param {number} minGroupSize - areas answered by fewer respondents have no score
+   */
+  static summarize(results, areas, minGroupSize) {
+    const indexes = results
+      .map(result => result.engagement_index ?? result.overall_score)
+      .filter(isNumber);
+
+    const scores = {};
+    for (const area of areas) {
+      const values = results.map(result => result.area_scores?.[area]).filter(isNumber);
+      scores[area] = values.length > 0 && values.length >= minGroupSize
+        ? round(values.reduce((sum, v) => sum + v, 0) / values.length)
+        : null;
+    }
+
+    return {
+      responses: results.length,
+      engagement_index: indexes.length > 0 ? round(indexes.reduce((sum, v) => sum + v, 0) / indexes.length) : null,
+      scores
+    };
+  }
+
+  /**
+   * Result indexes of every manager subtree
+   * @param {Object[]} results - with manager_id (direct manager at submission)
+   * @param {Map<number, number|null>} parents - employee id => manager id
+   * @returns {Map<number, Set<number>>}
+   */
+  static subtreeMembers(results, parents) {
+    const members = new Map();
+    results.forEach((result, index) => {
+      for (const manager of this.chain(result.manager_id, parents)) {
+        if (!members.has(manager)) members.set(manager, new Set());
+        members.get(manager).add(index);
+      }
+    });
+    return members;
+  }
+
+  /**
+   * A manager and all managers above it, stopping on cycles
+   */
+  static chain(managerId, parents) {
+    const chain = [];
+    for (let id = managerId; id !== null && id !== undefined && !chain.includes(id); id = parents.get(id)) {
+      chain.push(id);
+    }
+    return chain;
+  }
+
+  /**
+   * Manager subtrees that can be shown
+   * @returns {{ subtrees: Array<[number, Object[]]>, suppressed: number }} largest first
+   */
+  static managerSubtrees(results, parents, minGroupSize) {
+    const members = this.subtreeMembers(results, parents);
+    const depth = id => this.chain(id, parents).length;
+
+    // Deepest first, so the subtrees below a manager are decided before it
+    const managers = [...members.keys()].sort((a, b) => depth(b) - depth(a) || members.get(a).size - members.get(b).size);
+    const shown = [];
+    let suppressed = 0;
+
+    for (const manager of managers) {
+      const subtree = members.get(manager);
+      const covered = new Set();
+      for (const below of shown) {
+        if (below !== manager && this.chain(below, parents).includes(manager)) {
+          members.get(below).forEach(index => covered.add(index));
+        }
+      }
+      const remainder = subtree.size - covered.size;
+
+      if (subtree.size >= minGroupSize && (remainder === 0 || remainder >= minGroupSize)) {
+        shown.push(manager);
+      } else {
+        suppressed++;
+      }
+    }
+
+    return {
+      subtrees: shown
+        .map(manager => [manager, [...members.get(manager)].map(index => results[index])])
+        .sort((a, b) => b[1].length - a[1].length),
+      suppressed
+    };
+  }
+
+  /**
+   * Units of one dimension: [id, name, results], "Other" last with id null
+   */
+  static async units(dimension, results, context) {
+    const { minGroupSize, parents, managerNames } = context;
+
+    if (dimension === MANAGER_DIMENSION) {
+      const { subtrees, suppressed } = this.managerSubtrees(results, parents, minGroupSize);
+      return {
+        units: subtrees.map(([id, items]) => ({ id, name: managerNames.get(id) || `#${id}`, results: items })),
+        suppressed
+      };
+    }
+
+    const { field } = SEGMENT_DIMENSIONS[dimension];
+    const { buckets, other, suppressed } = EngagementAnonymityService.partition(results, field, minGroupSize);
+    const nameOf = await EngagementDriverService.segmentNames(dimension, buckets.map(([id]) => id));
+
+    const units = buckets.map(([id, items]) => ({ id: id ?? null, name: nameOf(id), results: items }));
+    if (other.length > 0) {
+      units.push({ id: null, name: MERGED_GROUP_LABEL, results: other, merged: true });
+    }
+    return { units, suppressed };
+  }
+
+  /**
+   * Previous occurrence of the series, or else the last earlier campaign of the template
+   */
+  static async findPreviousCampaign(campaign) {
+    const where = campaign.previous_campaign_id
+      ? { id: campaign.previous_campaign_id, tenant_id: campaign.tenant_id }
+      : {
+        tenant_id: campaign.tenant_id,
+        template_id: campaign.template_id,
+        id: { not: campaign.id },
+        start_date: { lt: campaign.start_date },
+        has_responses: true
+      };
+
+    return prisma.engagement_campaigns.findFirst({
+      where,
+      orderBy: { start_date: 'desc' },
+      select: { id: true, name: true, start_date: true }
+    });
+  }
+
+  static loadResults(campaignId) {
+    return prisma.engagement_results.findMany({
+      where: { campaign_id: campaignId },
+      select: {
+        area_scores: true,
+        engagement_index: true,
+        overall_score: true,
+        department_id: true,
+        office_id: true,
+        role_id: true,
+        manager_id: true
+      }
+    });
+  }
+
+  /**
+   * Heatmap of a campaign
+   * @param {string} tenantId
+   * @param {string} campaignId
+   * @param {Object} [options]
+   * @param {string[]} [options.groupBy] - among department, office, role, manager
+   *   (default department, office, manager, those the results keep)
+   */
+  static async getHeatmap(tenantId, campaignId, { groupBy = null } = {}) {
+    const unknown = (groupBy || []).filter(dimension => !DIMENSIONS.includes(dimension));
+    if (unknown.length > 0 || (groupBy && groupBy.length === 0)) {
+      throw new EngagementHeatmapError(
+        `groupBy must be among ${DIMENSIONS.join(', ')}`,
+        'INVALID_GROUP_BY'
+      );
+    }
+
+    const campaign = await prisma.engagement_campaigns.findFirst({
+      where: { id: campaignId, tenant_id: tenantId },
+      select: {
+        id: true,
+        tenant_id: true,
+        template_id: true,
+        name: true,
+        start_date: true,
+        previous_campaign_id: true,
+        anonymous_responses: true
+      }
+    });
+    if (!campaign) {
+      throw new EngagementHeatmapError('Campaign not found', 'CAMPAIGN_NOT_FOUND', 404);
+    }
+
+    const available = DIMENSIONS
+      .filter(dimension => EngagementAnonymityService.hasSegmentField(campaign, DIMENSION_FIELDS[dimension]));
+    const unavailable = (groupBy || []).filter(dimension => !available.includes(dimension));
+    if (unavailable.length > 0) {
+      throw new EngagementHeatmapError(
+        `Anonymous campaigns cannot be grouped by ${unavailable.join(', ')}: use ${available.join(', ')}`,
+        'SEGMENT_NOT_AVAILABLE'
+      );
+    }
+    const dimensions = groupBy || DEFAULT_GROUP_BY.filter(dimension => available.includes(dimension));
+
+    const [results, minGroupSize, previousCampaign] = await Promise.all([
+      this.loadResults(campaign.id),
+      EngagementAnonymityService.getMinGroupSize(tenantId),
+      this.findPreviousCampaign(campaign)
+    ]);
+
+    const areas = [...new Set(results.flatMap(result => Object.keys(result.area_scores || {})))].sort();
+    const heatmap = {
+      campaign_id: campaign.id,
+      campaign_name: campaign.name,
+      anonymous: EngagementAnonymityService.isAnonymous(campaign),
+      previous_campaign: previousCampaign ? { id: previousCampaign.id, name: previousCampaign.name } : null,
+      group_by: dimensions,
+      areas
+    };
+
+    if (results.length < minGroupSize) {
+      return {
+        ...heatmap,
+        suppressed: true,
+        tenant_average: null,
+        rows: [],
+        anonymity: EngagementAnonymityService.describe(minGroupSize, results.length > 0 ? 1 : 0)
+      };
+    }
+
+    const previousResults = previousCampaign ? await this.loadResults(previousCampaign.id) : [];
+
+    let parents = new Map();
+    let managerNames = new Map();
+    if (dimensions.includes(MANAGER_DIMENSION)) {
+      const employees = await prisma.employees.findMany({
+        where: { tenant_id: tenantId },
+        select: { id: true, first_name: true, last_name: true, manager_id: true }
+      });
+      parents = new Map(employees.map(employee => [employee.id, employee.manager_id]));
+      managerNames = new Map(employees.map(employee =>
+        [employee.id, [employee.first_name, employee.last_name].filter(Boolean).join(' ')]));
+    }
+    const context = { minGroupSize, parents, managerNames };
+
+    const tenantAverage = this.summarize(results, areas, minGroupSize);
+    const previousAverage = previousResults.length >= minGroupSize
+      ? this.summarize(previousResults, areas, minGroupSize)
+      : null;
+
+    const row = (dimension, unit, current, previous) => ({
+      dimension,
+      id: unit.id,
+      name: unit.name,
+      responses: current.responses,
+      engagement_index: current.engagement_index,
+      vs_tenant: delta(current.engagement_index, tenantAverage.engagement_index),
+      vs_previous: delta(current.engagement_index, previous?.engagement_index),
+      cells: Object.fromEntries(areas.map(area => [area, {
+        score: current.scores[area],
+        vs_tenant: delta(current.scores[area], tenantAverage.scores[area]),
+        vs_previous: delta(current.scores[area], previous?.scores[area])
+      }]))
+    });
+
+    const rows = [];
+    let suppressed = 0;
+    for (const dimension of dimensions) {
+      const current = await this.units(dimension, results, context);
+      // The previous campaign follows the same rules; "Other" changes
+      // composition between campaigns and is not compared
+      const previous = previousAverage ? await this.units(dimension, previousResults, context) : { units: [] };
+      const previousById = new Map(previous.units.filter(unit => !unit.merged).map(unit => [unit.id, unit]));
+
+      for (const unit of current.units) {
+        const before = !unit.merged && previousById.get(unit.id);
+        rows.push(row(
+          dimension,
+          unit,
+          this.summarize(unit.results, areas, minGroupSize),
+          before ? this.summarize(before.results, areas, minGroupSize) : null
+        ));
+      }
+      suppressed += current.suppressed;
+    }
+
+    return {
+      ...heatmap,
+      suppressed: false,
+      tenant_average: {
+        ...tenantAverage,
+        vs_previous: delta(tenantAverage.engagement_index, previousAverage?.engagement_index)
+      },
+      rows,
+      anonymity: EngagementAnonymityService.describe(minGroupSize, suppressed)
+    };
+  }
+
+  /**
+   * Heatmap as a table: header and one line per row, tenant average first
+   * @returns {Array<Array<string|number|null>>}
+   */
+  static toTable(heatmap) {
+    const header = [
+      'Dimension', 'Unit', 'Responses', 'Engagement index', 'vs tenant', 'vs previous',
+      ...heatmap.areas.flatMap(area => [area, `${area} vs tenant`, `${area} vs previous`])
+    ];
+    if (heatmap.suppressed) return [header];
+
+    const average = heatmap.tenant_average;
+    const lines = [[
+      'tenant', 'Tenant average', average.responses, average.engagement_index, null, average.vs_previous,
+      ...heatmap.areas.flatMap(area => [average.scores[area], null, null])
+    ]];
+    for (const row of heatmap.rows) {
+      lines.push([
+        row.dimension, row.name, row.responses, row.engagement_index, row.vs_tenant, row.vs_previous,
+        ...heatmap.areas.flatMap(area => [row.cells[area].score, row.cells[area].vs_tenant, row.cells[area].vs_previous])
+      ]);
+    }
+    return [header, ...lines];
+  }
+
+  static toCsv(heatmap) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = String(value);
+      // Spreadsheet formula injection (unit names), negative deltas are numbers
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return this.toTable(heatmap).map(line => line.map(escape).join(',')).join('\n');
+  }
+
+  /**
+   * @returns {Promise<Buffer>} workbook with one "Heatmap" sheet
+   */
+  static async toXlsx(heatmap) {
+    const workbook = new ExcelJS.Workbook();
+    // Values are written as plain strings and numbers, never as formulas
+    workbook.addWorksheet('Heatmap').addRows(this.toTable(heatmap));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+}
+
+module.exports = EngagementHeatmapService;
+module.exports.EngagementHeatmapError = EngagementHeatmapError;
+module.exports.DIMENSIONS = DIMENSIONS;
+module.exports.DEFAULT_GROUP_BY = DEFAULT_GROUP_BY;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
@@ -0,0 +1,344 @@
+/**
+ * Engagement Pulse Service
+ * @module services/engagementPulseService
+ * @created 2026-10-19
+ *
+ * Pulse campaigns: weekly or bi-weekly recurring engagement campaigns
+ * (engagement_campaigns.pulse_config) where each employee answers a short
+ * rotating sample of the template instead of the whole survey.
+ * - sampling: the rotation of an employee (utils/adaptiveEngine pulse mode)
+ *   is seeded with series and employee, interleaves the areas and is walked
+ *   questions_per_survey at a time, one window per occurrence. Within a cycle
+ *   of cycle_length occurrences every question is asked once to everyone.
+ *   eNPS questions are asked every time. The sample is stored on the
+ *   assignment (question_ids). Anonymous campaigns share one rotation per
+ *   series: everyone gets the same sample in an occurrence, so the questions
+ *   of an anonymous result do not point back at an assignment.
+ * - scoring: area scores are reconstructed over the last cycle from the
+ *   partial samples: mean of every item over the respondents who got it,
+ *   then weighted mean of the items of the area, so areas are not biased by
+ *   which items happened to be drawn. Confidence combines item coverage and
+ *   the margin of error of the area score.
+ */
+
+const prisma = require('../config/database');
+const { adaptiveEngine } = require('../utils/adaptiveEngine');
+const EngagementAnonymityService = require('./engagementAnonymityService');
+const { ENPS_QUESTION_TYPE } = require('./engagementDriverService');
+
+const PULSE_FREQUENCIES = ['weekly', 'biweekly'];
+const MIN_QUESTIONS_PER_SURVEY = 3;
+const MAX_QUESTIONS_PER_SURVEY = 15;
+const DEFAULT_QUESTIONS_PER_SURVEY = 5;
+
+// Margin of error (95%, score points) at which confidence drops to 0
+const MAX_MARGIN = 25;
+const CONFIDENCE_LEVELS = [
+  { level: 'HIGH', from: 0.7 },
+  { level: 'MEDIUM', from: 0.4 },
+  { level: 'LOW', from: 0 }
+];
+
+class EngagementPulseError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'EngagementPulseError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+class EngagementPulseService {
+  /**
+   * Template questions with their area and weight
+   * @returns {Promise<Object[]>} { id, question_type, area, weight }
+   */
+  static async loadQuestions(templateId) {
+    const [questions, weights] = await Promise.all([
+      prisma.engagement_questions.findMany({
+        where: { template_id: templateId },
+        select: { id: true, question_type: true, metadata: true },
+        orderBy: { order: 'asc' }
+      }),
+      prisma.engagement_question_weights.findMany({
+        where: { template_id: templateId },
+        select: { question_id: true, area: true, weight: true }
+      })
+    ]);
+    const weightMap = new Map(weights.map(w => [w.question_id, w]));
+
+    return questions.map(question => ({
+      id: question.id,
+      question_type: question.question_type,
+      area: weightMap.get(question.id)?.area || question.metadata?.area || 'GENERAL',
+      weight: weightMap.get(question.id)?.weight ?? 1.0
+    }));
+  }
+
+  static isAnchor(question) {
+    return String(question.question_type).toUpperCase() === ENPS_QUESTION_TYPE;
+  }
+
+  /**
+   * Validate the pulse settings of a create request
+   * @param {Object|undefined} pulse - { questionsPerSurvey }
+   * @param {string} frequency
+   * @param {Object[]} questions - see loadQuestions
+   * @returns {{ errors: string[], pulseConfig: Object|null }}
+   */
+  static validatePulseInput(pulse, frequency, questions) {
+    if (!pulse) return { errors: [], pulseConfig: null };
+
+    const errors = [];
+    if (!PULSE_FREQUENCIES.includes(String(frequency || '').toLowerCase())) {
+      errors.push(`pulse campaigns must recur ${PULSE_FREQUENCIES.join(' or ')}`);
+    }
+
+    const size = pulse.questionsPerSurvey === undefined
+      ? DEFAULT_QUESTIONS_PER_SURVEY
+      : Number(pulse.questionsPerSurvey);
+    if (!Number.isInteger(size) || size < MIN_QUESTIONS_PER_SURVEY || size > MAX_QUESTIONS_PER_SURVEY) {
+      errors.push(`pulse.questionsPerSurvey must be an integer between ${MIN_QUESTIONS_PER_SURVEY} and ${MAX_QUESTIONS_PER_SURVEY}`);
+    }
+
+    const rotating = questions.filter(question => !this.isAnchor(question)).length;
+    if (errors.length === 0 && rotating <= size) {
+      errors.push(`The template has ${rotating} questions to rotate, pulse.questionsPerSurvey must be lower`);
+    }
+
+    return {
+      errors,
+      pulseConfig: errors.length > 0 ? null : {
+        questions_per_survey: size,
+        cycle_length: Math.ceil(rotating / size),
+        rotating_questions: rotating
+      }
+    };
+  }
+
+  /**
+   * Questions of one employee in one occurrence
+   * @param {Object[]} questions - see loadQuestions
+   * @param {Object} options
+   * @param {string} options.seriesId - first campaign of the series
+   * @param {number|null} options.employeeId - null for the rotation shared by everyone
+   * @param {number} options.occurrenceNumber
+   * @param {number} options.questionsPerSurvey
+   * @returns {string[]} question ids, in template order
+   */
+  static sampleQuestions(questions, { seriesId, employeeId, occurrenceNumber, questionsPerSurvey }) {
+    const rotation = adaptiveEngine.buildRotation(
+      questions.filter(question => !this.isAnchor(question)),
+      employeeId === null ? String(seriesId) : `${seriesId}:${employeeId}`,
+      question => question.area
+    );
+    const sample = new Set(adaptiveEngine.samplePulse(rotation, questionsPerSurvey, occurrenceNumber).map(q => q.id));
+
+    return questions
+      .filter(question => this.isAnchor(question) || sample.has(question.id))
+      .map(question => question.id);
+  }
+
+  /**
+   * question_ids of the assignments of a campaign occurrence
+   * @param {Object} campaign - with template_id, pulse_config, series_id, occurrence_number,
+   *   anonymous_responses
+   * @param {number[]} employeeIds
+   * @returns {Promise<Map<number, string[]>|null>} null for campaigns that are not pulses
+   */
+  static async sampleAssignments(campaign, employeeIds) {
+    if (!campaign.pulse_config) return null;
+
+    const questions = await this.loadQuestions(campaign.template_id);
+    const options = {
+      seriesId: campaign.series_id || campaign.id,
+      occurrenceNumber: campaign.occurrence_number || 1,
+      questionsPerSurvey: campaign.pulse_config.questions_per_survey
+    };
+
+    if (EngagementAnonymityService.isAnonymous(campaign)) {
+      const shared = this.sampleQuestions(questions, { ...options, employeeId: null });
+      return new Map(employeeIds.map(employeeId => [employeeId, shared]));
+    }
+
+    return new Map(employeeIds.map(employeeId => [
+      employeeId,
+      this.sampleQuestions(questions, { ...options, employeeId })
+    ]));
+  }
+
+  /**
+   * Keep only the answers to the questions of the assignment
+   * @param {Object} assignment - with question_ids
+   * @param {Object[]} responses - with question_id or id
+   */
+  static filterResponses(assignment, responses) {
+    if (!Array.isArray(assignment.question_ids) || !Array.isArray(responses)) return responses;
+    const sample = new Set(assignment.question_ids);
+    return responses.filter(response => sample.has(response.question_id ?? response.id));
+  }
+
+  static confidenceLevel(confidence) {
+    return CONFIDENCE_LEVELS.find(({ from }) => confidence >= from).level;
+  }
+
+  /**
+   * Area scores reconstructed from partial samples
+   * @param {Object[]} results - with weighted_scores ({ [question_id]: { weighted_score, weight, area } })
+   * @param {Object[]} questions - see loadQuestions
+   * @param {number} minGroupSize - areas answered by fewer respondents have no score
+   * @returns {Object[]} one entry per area
+   */
+  static reconstructAreaScores(results, questions, minGroupSize) {
+    const items = questions.filter(question => !this.isAnchor(question));
+    const areas = [...new Set(items.map(item => item.area))].sort();
+
+    // Item score on 0-100 (weighted_score is the item score x weight)
+    const itemScore = (result, itemId) => {
+      const entry = result.weighted_scores?.[itemId];
+      if (!entry || !isNumber(entry.weighted_score) || !entry.weight) return null;
+      return entry.weighted_score / entry.weight;
+    };
+
+    return areas.map(area => {
+      const areaItems = items.filter(item => item.area === area);
+      const answered = [];
+      let answers = 0;
+
+      for (const item of areaItems) {
+        const values = results.map(result => itemScore(result, item.id)).filter(isNumber);
+        if (values.length === 0) continue;
+        answered.push({ weight: item.weight, mean: mean(values) });
+        answers += values.length;
+      }
+
+      // Area score of every respondent from the items it was asked
+      const respondentScores = results
+        .map(result => {
+          const values = areaItems.map(item => itemScore(result, item.id)).filter(isNumber);
+          return values.length > 0 ? mean(values) : null;
+        })
+        .filter(isNumber);
+
+      const coverage = areaItems.length > 0 ? answered.length / areaItems.length : 0;
+      const base = {
+        area,
+        items_total: areaItems.length,
+        items_answered: answered.length,
+        coverage: round(coverage),
+        respondents: respondentScores.length,
+        answers
+      };
+
+      if (respondentScores.length === 0 || respondentScores.length < minGroupSize) {
+        return { ...base, score: null, margin: null, confidence: 0, level: this.confidenceLevel(0), suppressed: respondentScores.length > 0 };
+      }
+
+      const totalWeight = answered.reduce((sum, item) => sum + item.weight, 0);
+      const score = answered.reduce((sum, item) => sum + item.mean * item.weight, 0) / totalWeight;
+
+      const average = mean(respondentScores);
+      const variance = respondentScores.length > 1
+        ? respondentScores.reduce((sum, v) => sum + (v - average) ** 2, 0) / (respondentScores.length - 1)
+        : 0;
+      const margin = 1.96 * Math.sqrt(variance / respondentScores.length);
+      const confidence = round(coverage * Math.max(0, 1 - margin / MAX_MARGIN));
+
+      return {
+        ...base,
+        score: round(score),
+        margin: round(margin),
+        confidence,
+        level: this.confidenceLevel(confidence)
+      };
+    });
+  }
+
+  /**
+   * Area scores of a pulse campaign over the cycle ending with it
+   * @param {string} tenantId
+   * @param {string} campaignId
+   */
+  static async getPulseScores(tenantId, campaignId) {
+    const campaign = await prisma.engagement_campaigns.findFirst({
+      where: { id: campaignId, tenant_id: tenantId },
+      select: {
+        id: true,
+        name: true,
+        template_id: true,
+        series_id: true,
+        occurrence_number: true,
+        pulse_config: true,
+        anonymous_responses: true
+      }
+    });
+    if (!campaign) {
+      throw new EngagementPulseError('Campaign not found', 'CAMPAIGN_NOT_FOUND', 404);
+    }
+    if (!campaign.pulse_config) {
+      throw new EngagementPulseError('Campaign is not a pulse survey', 'NOT_A_PULSE');
+    }
+
+    const cycleLength = campaign.pulse_config.cycle_length || 1;
+    const occurrence = campaign.occurrence_number || 1;
+    const firstOccurrence = Math.max(1, occurrence - cycleLength + 1);
+    const seriesId = campaign.series_id || campaign.id;
+
+    const [occurrences, questions, minGroupSize] = await Promise.all([
+      prisma.engagement_campaigns.findMany({
+        where: {
+          tenant_id: tenantId,
+          OR: [{ id: seriesId }, { series_id: seriesId }],
+          occurrence_number: { gte: firstOccurrence, lte: occurrence }
+        },
+        select: { id: true }
+      }),
+      this.loadQuestions(campaign.template_id),
+      EngagementAnonymityService.getMinGroupSize(tenantId)
+    ]);
+
+    const results = await prisma.engagement_results.findMany({
+      where: { campaign_id: { in: occurrences.map(o => o.id) } },
+      select: { campaign_id: true, weighted_scores: true }
+    });
+
+    const areas = results.length >= minGroupSize
+      ? this.reconstructAreaScores(results, questions, minGroupSize)
+      : [];
+    const scored = areas.filter(area => isNumber(area.score));
+    const overallConfidence = scored.length > 0 ? round(mean(areas.map(area => area.confidence))) : 0;
+
+    return {
+      campaign_id: campaign.id,
+      campaign_name: campaign.name,
+      anonymous: EngagementAnonymityService.isAnonymous(campaign),
+      occurrence_number: occurrence,
+      questions_per_survey: campaign.pulse_config.questions_per_survey,
+      cycle_length: cycleLength,
+      window: {
+        from_occurrence: firstOccurrence,
+        to_occurrence: occurrence,
+        campaigns: occurrences.length,
+        complete_cycle: occurrence >= cycleLength
+      },
+      responses: results.length,
+      suppressed: results.length < minGroupSize,
+      overall: {
+        score: scored.length > 0 ? round(mean(scored.map(area => area.score))) : null,
+        confidence: overallConfidence,
+        level: this.confidenceLevel(overallConfidence)
+      },
+      areas,
+      anonymity: EngagementAnonymityService.describe(minGroupSize, areas.filter(area => area.suppressed).length)
+    };
+  }
+}
+
+module.exports = EngagementPulseService;
+module.exports.EngagementPulseError = EngagementPulseError;
+module.exports.PULSE_FREQUENCIES = PULSE_FREQUENCIES;
+module.exports.DEFAULT_QUESTIONS_PER_SURVEY = DEFAULT_QUESTIONS_PER_SURVEY;
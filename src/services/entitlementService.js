@@ -0,0 +1,305 @@
+/**
+ * Entitlement Service
+ * @module services/entitlementService
+ * @created 2026-10-19
+ *
+ * Resolves which features a tenant may use and how much of them:
+ * - plan: the active tenant_billing period, else tenants.subscription_plan.
+ *   A billing period that is not ACTIVE/TRIALING/PAID (or has ended) falls
+ *   back to the default plan.
+ * - overrides: tenant_features rows (featureName = feature key). isEnabled
+ *   false switches a feature off; true switches it on regardless of the plan.
+ *   config.monthly_quota replaces the plan quota (null = unlimited).
+ * - usage: metered requests per calendar month (tenant_feature_usage). A use
+ *   is counted up front, so concurrent requests cannot overrun the quota, and
+ *   given back (release) when the request does not succeed.
+ *
+ * Resolved entitlements are cached per tenant for CACHE_TTL_MS.
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const {
+  FEATURES,
+  PLANS,
+  DEFAULT_PLAN,
+  PLAN_ENTITLEMENTS,
+  ACTIVE_BILLING_STATUSES
+} = require('../constants/plans');
+
+const CACHE_TTL_MS = 60 * 1000;
+// Used as quota bound when a feature is unlimited (usage is still counted)
+const UNLIMITED = 2147483647;
+
+const DENIAL_REASONS = {
+  DISABLED: 'FEATURE_DISABLED',
+  NOT_IN_PLAN: 'PLAN_UPGRADE_REQUIRED',
+  BILLING_INACTIVE: 'BILLING_INACTIVE',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED'
+};
+
+const cache = new Map();
+
+class EntitlementService {
+  static isFeature(feature) {
+    return Object.values(FEATURES).includes(feature);
+  }
+
+  static normalizePlan(plan) {
+    const value = String(plan || '').trim().toLowerCase();
+    return Object.values(PLANS).includes(value) ? value : null;
+  }
+
+  /**
+   * First day (UTC) of the quota period containing `now`
+   */
+  static periodStart(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  static periodEnd(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  }
+
+  /**
+   * Plan in force for a tenant
+   * @returns {Promise<{ plan: string, source: string, billing_status: string|null, billing_active: boolean }>}
+   */
+  static async resolvePlan(tenantId, now = new Date()) {
+    const [tenant, billing] = await Promise.all([
+      prisma.tenants.findUnique({
+        where: { id: tenantId },
+        select: { subscription_plan: true }
+      }),
+      prisma.tenant_billing.findFirst({
+        where: { tenant_id: tenantId, startDate: { lte: now } },
+        orderBy: { startDate: 'desc' }
+      })
+    ]);
+
+    if (billing) {
+      const status = String(billing.status || '').toUpperCase();
+      const active = ACTIVE_BILLING_STATUSES.includes(status) && (!billing.endDate || billing.endDate > now);
+      return {
+        plan: this.normalizePlan(billing.plan) || DEFAULT_PLAN,
+        source: 'billing',
+        billing_status: status,
+        billing_active: active
+      };
+    }
+
+    return {
+      plan: this.normalizePlan(tenant?.subscription_plan) || DEFAULT_PLAN,
+      source: tenant?.subscription_plan ? 'tenant' : 'default',
+      billing_status: null,
+      billing_active: true
+    };
+  }
+
+  /**
+   * Entitlement of every feature, from the plan and the tenant overrides
+   * @param {Object} planInfo - resolvePlan() result
+   * @param {Object[]} overrides - tenant_features rows
+   */
+  static evaluate(planInfo, overrides = []) {
+    const effectivePlan = planInfo.billing_active ? planInfo.plan : DEFAULT_PLAN;
+    const planFeatures = PLAN_ENTITLEMENTS[effectivePlan] || {};
+    const features = {};
+
+    for (const feature of Object.values(FEATURES)) {
+      const fromPlan = planFeatures[feature];
+      const override = overrides.find(o => o.featureName === feature);
+      const config = (override && override.config) || {};
+
+      if (override && !override.isEnabled) {
+        features[feature] = { enabled: false, reason: DENIAL_REASONS.DISABLED, source: 'override' };
+      } else if (override) {
+        features[feature] = {
+          enabled: true,
+          monthly_quota: config.monthly_quota !== undefined ? config.monthly_quota : (fromPlan ? fromPlan.monthly_quota : null),
+          source: 'override'
+        };
+      } else if (fromPlan) {
+        features[feature] = { enabled: true, monthly_quota: fromPlan.monthly_quota, source: 'plan' };
+      } else {
+        features[feature] = {
+          enabled: false,
+          reason: planInfo.billing_active ? DENIAL_REASONS.NOT_IN_PLAN : DENIAL_REASONS.BILLING_INACTIVE,
+          source: 'plan'
+        };
+      }
+    }
+
+    return features;
+  }
+
+  /**
+   * Plan and feature entitlements of a tenant (cached)
+   */
+  static async getEntitlements(tenantId, now = new Date()) {
+    const cached = cache.get(tenantId);
+    if (cached && cached.expiresAt > now.getTime()) return cached.value;
+
+    const [planInfo, overrides] = await Promise.all([
+      this.resolvePlan(tenantId, now),
+      prisma.tenant_features.findMany({ where: { tenant_id: tenantId } })
+    ]);
+
+    const value = { ...planInfo, features: this.evaluate(planInfo, overrides) };
+    cache.set(tenantId, { value, expiresAt: now.getTime() + CACHE_TTL_MS });
+    return value;
+  }
+
+  static clearCache(tenantId) {
+    if (tenantId) cache.delete(tenantId);
+    else cache.clear();
+  }
+
+  /**
+   * Usage of the metered features in the current period
+   * @returns {Promise<Object>} feature -> used
+   */
+  static async getUsage(tenantId, now = new Date()) {
+    const rows = await prisma.tenant_feature_usage.findMany({
+      where: { tenant_id: tenantId, period_start: this.periodStart(now) }
+    });
+    return Object.fromEntries(rows.map(row => [row.feature_name, row.used]));
+  }
+
+  /**
+   * Count one use of a feature, unless the quota is used up
+   * @returns {Promise<{ allowed: boolean, used: number|null, quota: number|null }>}
+   */
+  static async consume(tenantId, feature, quota, now = new Date()) {
+    if (quota !== null && quota !== undefined && quota <= 0) {
+      return { allowed: false, used: null, quota };
+    }
+
+    const limit = quota === null || quota === undefined ? UNLIMITED : quota;
+    const rows = await prisma.$queryRaw`
+      INSERT INTO tenant_feature_usage (tenant_id, feature_name, period_start, used, updated_at)
+      VALUES (${tenantId}::uuid, ${feature}, ${this.periodStart(now)}::date, 1, NOW())
+      ON CONFLICT (tenant_id, feature_name, period_start)
+      DO UPDATE SET used = tenant_feature_usage.used + 1, updated_at = NOW()
+      WHERE tenant_feature_usage.used < ${limit}
+      RETURNING used
+    `;
+
+    if (rows.length === 0) return { allowed: false, used: quota, quota };
+    return { allowed: true, used: Number(rows[0].used), quota: quota ?? null };
+  }
+
+  /**
+   * Give back a use counted by consume(), for a request that did not succeed
+   * @param {Date} now - same date as the consume() call (quota period)
+   */
+  static async release(tenantId, feature, now = new Date()) {
+    await prisma.$executeRaw`
+      UPDATE tenant_feature_usage
+      SET used = used - 1, updated_at = NOW()
+      WHERE tenant_id = ${tenantId}::uuid
+        AND feature_name = ${feature}
+        AND period_start = ${this.periodStart(now)}::date
+        AND used > 0
+    `;
+  }
+
+  /**
+   * Whether a tenant may use a feature now; metered checks count one use
+   * @returns {Promise<{ allowed: boolean, reason?: string, plan: string, entitlement: Object, usage?: Object }>}
+   */
+  static async check(tenantId, feature, { metered = false, now = new Date() } = {}) {
+    const entitlements = await this.getEntitlements(tenantId, now);
+    const entitlement = entitlements.features[feature];
+
+    if (!entitlement || !entitlement.enabled) {
+      return {
+        allowed: false,
+        reason: entitlement ? entitlement.reason : DENIAL_REASONS.DISABLED,
+        plan: entitlements.plan,
+        entitlement
+      };
+    }
+
+    if (!metered) {
+      return { allowed: true, plan: entitlements.plan, entitlement };
+    }
+
+    const usage = await this.consume(tenantId, feature, entitlement.monthly_quota, now);
+    return {
+      allowed: usage.allowed,
+      reason: usage.allowed ? undefined : DENIAL_REASONS.QUOTA_EXCEEDED,
+      plan: entitlements.plan,
+      entitlement,
+      usage: { ...usage, resets_at: this.periodEnd(now) }
+    };
+  }
+
+  /**
+   * Create or replace a tenant override
+   * @param {Object} data - { is_enabled, monthly_quota? } (monthly_quota null = unlimited)
+   */
+  static async setOverride(tenantId, feature, data) {
+    const config = data.monthly_quota !== undefined ? { monthly_quota: data.monthly_quota } : undefined;
+    const now = new Date();
+
+    const override = await prisma.tenant_features.upsert({
+      where: { tenant_id_featureName: { tenant_id: tenantId, featureName: feature } },
+      update: { isEnabled: data.is_enabled, config: config ?? Prisma.DbNull, updatedAt: now },
+      create: {
+        tenant_id: tenantId,
+        featureName: feature,
+        isEnabled: data.is_enabled,
+        config,
+        updatedAt: now
+      }
+    });
+
+    this.clearCache(tenantId);
+    return override;
+  }
+
+  /**
+   * Remove a tenant override (back to the plan entitlement)
+   * @returns {Promise<Object|null>} the removed override, null if none
+   */
+  static async removeOverride(tenantId, feature) {
+    const existing = await prisma.tenant_features.findUnique({
+      where: { tenant_id_featureName: { tenant_id: tenantId, featureName: feature } }
+    });
+    if (!existing) return null;
+
+    await prisma.tenant_features.delete({ where: { id: existing.id } });
+    this.clearCache(tenantId);
+    return existing;
+  }
+
+  /**
+   * Validate an override request
+   * @returns {{ errors: string[], data: Object }}
+   */
+  static validateOverrideInput(body) {
+    const errors = [];
+    const data = {};
+
+    if (typeof body.is_enabled !== 'boolean') {
+      errors.push('is_enabled must be a boolean');
+    } else {
+      data.is_enabled = body.is_enabled;
+    }
+
+    if (body.monthly_quota !== undefined) {
+      const quota = body.monthly_quota;
+      if (quota !== null && (!Number.isInteger(quota) || quota < 0)) {
+        errors.push('monthly_quota must be a non-negative integer or null (unlimited)');
+      } else {
+        data.monthly_quota = quota;
+      }
+    }
+
+    return { errors, data };
+  }
+}
+
+module.exports = EntitlementService;
+module.exports.DENIAL_REASONS = DENIAL_REASONS;
@@ -0,0 +1,483 @@
+/**
+ * Data Subject Service
+ * @module services/gdpr/dataSubjectService
+ * @created 2026-10-19
+ *
+ * GDPR requests of one employee:
+ * - export (right of access): every record held about the employee, their
+ *   tenant user accounts and the original CV files, as one JSON document.
+ * - erasure (right to be forgotten): profile, CV and HR records are deleted
+ *   and stored CV files removed (CVStorageService). The employee and tenant
+ *   user rows are kept but pseudonymised, so that campaign results already
+ *   part of aggregated statistics stay consistent; free-text answers,
+ *   AI-generated feedback, client data, LLM payloads and audit values about
+ *   the employee are cleared.
+ * Both record a tamper-evident receipt (services/gdpr/receiptService).
+ */
+
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../config/database');
+const logger = require('../../utils/logger');
+const ReceiptService = require('./receiptService');
+const MfaService = require('../mfaService');
+const { getCVStorageService } = require('../cvStorageService');
+
+const REQUEST_TYPES = {
+  EXPORT: 'EXPORT',
+  ERASURE: 'ERASURE'
+};
+
+const EXPORT_FORMAT = 'moobee-data-subject-export';
+const EXPORT_VERSION = 1;
+const ERASED_EMAIL_DOMAIN = 'erased.invalid';
+
+// Records about the employee, exported and deleted on erasure (children before parents)
+const EMPLOYEE_TABLES = [
+  { model: 'employee_additional_info', field: 'employee_id' },
+  { model: 'employee_awards', field: 'employee_id' },
+  { model: 'employee_certifications', field: 'employee_id' },
+  { model: 'employee_domain_knowledge', field: 'employee_id' },
+  { model: 'employee_education', field: 'employee_id' },
+  { model: 'employee_languages', field: 'employee_id' },
+  { model: 'employee_projects', field: 'employee_id' },
+  { model: 'employee_publications', field: 'employee_id' },
+  { model: 'employee_work_experiences', field: 'employee_id' },
+  { model: 'employee_skills', field: 'employee_id' },
+  { model: 'employee_soft_skills', field: 'employee_id' },
+  { model: 'employee_roles', field: 'employee_id' },
+  { model: 'employee_soft_skill_assessments', field: 'employeeId' },
+  { model: 'assessment_soft_skill_scores', field: 'employeeId' },
+  { model: 'soft_skills_assessments', field: 'employee_id' },
+  { model: 'assessments', field: 'employee_id' },
+  { model: 'skill_gaps', field: 'employee_id' },
+  { model: 'career_aspirations', field: 'employee_id' },
+  { model: 'development_plans', field: 'employee_id' },
+  { model: 'employee_absences', field: 'employee_id' },
+  { model: 'employee_work_schedules', field: 'employee_id' },
+  { model: 'project_assignments', field: 'employee_id' },
+  { model: 'project_matching_results', field: 'employee_id' },
+  { model: 'engagement_surveys', field: 'employee_id' },
+  { model: 'notifications', field: 'employee_id' },
+  { model: 'notification_preferences', field: 'employee_id' },
+  { model: 'notification_outbox', field: 'recipient_employee_id' },
+  { model: 'campaign_reminder_log', field: 'employee_id' },
+  { model: 'scim_group_members', field: 'employee_id' },
+  // cv_files rows cascade
+  { model: 'cv_extractions', field: 'employee_id' }
+];
+
+// Records kept (pseudonymised) on erasure, exported as they are
+const RESULT_TABLES = [
+  { model: 'assessment_campaign_assignments', field: 'employee_id' },
+  { model: 'assessment_results', field: 'employee_id' },
+  { model: 'engagement_campaign_assignments', field: 'employee_id' },
+  { model: 'engagement_results', field: 'employee_id' }
+];
+
+// Secrets of the login accounts, never exported
+const ACCOUNT_SECRET_FIELDS = [
+  'password', 'password_hash', 'refresh_token', 'password_reset_token',
+  'mfa_secret', 'mfa_pending_secret', 'mfa_recovery_codes'
+];
+
+class DataSubjectError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'DataSubjectError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class DataSubjectService {
+  /**
+   * Employee of the tenant with their tenant user accounts
+   * @throws {DataSubjectError} EMPLOYEE_NOT_FOUND
+   */
+  static async loadSubject(tenantId, employeeId) {
+    const id = parseInt(employeeId);
+    const employee = Number.isInteger(id)
+      ? await prisma.employees.findFirst({ where: { id, tenant_id: tenantId } })
+      : null;
+    if (!employee) {
+      throw new DataSubjectError('Employee not found', 'EMPLOYEE_NOT_FOUND', 404);
+    }
+
+    const accounts = await prisma.tenant_users.findMany({
+      where: { tenant_id: tenantId, employee_id: employee.id }
+    });
+
+    return { employee, accounts, userIds: accounts.map(account => account.id) };
+  }
+
+  /**
+   * Identifiers the employee may appear under in llm_usage_logs.user_id
+   */
+  static getLlmUserKeys({ employee, userIds }) {
+    return [...userIds, String(employee.id), employee.email].filter(Boolean);
+  }
+
+  /**
+   * LLM calls triggered by the employee or about their profile and CVs
+   */
+  static llmLogsWhere(tenantId, subject, extractionIds) {
+    return {
+      tenant_id: tenantId,
+      OR: [
+        { user_id: { in: this.getLlmUserKeys(subject) } },
+        { entity_type: 'employee', entity_id: String(subject.employee.id) },
+        ...(extractionIds.length > 0 ? [{ entity_type: 'cv_extraction', entity_id: { in: extractionIds } }] : [])
+      ]
+    };
+  }
+
+  /**
+   * Audit entries about the employee or their accounts
+   */
+  static auditLogWhere(tenantId, { employee, userIds }) {
+    return {
+      tenant_id: tenantId,
+      OR: [
+        { entity: 'EMPLOYEE', entityId: String(employee.id) },
+        ...(userIds.length > 0 ? [{ entity: 'TENANT_USER', entityId: { in: userIds } }] : [])
+      ]
+    };
+  }
+
+  /**
+   * Plain JSON copy (BigInt as strings, Decimal and Date through toJSON)
+   */
+  static toPlain(value) {
+    return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+  }
+
+  /**
+   * Original CV files of the employee, read through CVStorageService
+   */
+  static async collectFiles(cvFiles) {
+    const storage = getCVStorageService();
+    const files = [];
+
+    for (const cvFile of cvFiles) {
+      const entry = {
+        extraction_id: cvFile.extraction_id,
+        original_filename: cvFile.original_filename,
+        mime_type: cvFile.mime_type,
+        uploaded_at: cvFile.uploaded_at
+      };
+      try {
+        const content = await storage.readFile(cvFile.file_path);
+        files.push({
+          ...entry,
+          size: content.length,
+          sha256: crypto.createHash('sha256').update(content).digest('hex'),
+          content_base64: content.toString('base64')
+        });
+      } catch (error) {
+        logger.warn(`GDPR export: CV file of extraction ${cvFile.extraction_id} unreadable: ${error.message}`);
+        files.push({ ...entry, missing: true });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Full export of the personal data of an employee
+   * @param {string} tenantId
+   * @param {number|string} employeeId
+   * @param {Object} [actor] - { id, email } of the admin
+   * @returns {Promise<{ document: Object, receipt: Object }>}
+   */
+  static async exportData(tenantId, employeeId, actor = {}) {
+    const subject = await this.loadSubject(tenantId, employeeId);
+    const { employee, accounts, userIds } = subject;
+    const data = {};
+
+    data.employee = employee;
+    data.tenant_users = accounts.map(account => {
+      const copy = { ...account };
+      ACCOUNT_SECRET_FIELDS.forEach(field => delete copy[field]);
+      return copy;
+    });
+
+    for (const { model, field } of [...EMPLOYEE_TABLES, ...RESULT_TABLES]) {
+      data[model] = await prisma[model].findMany({ where: { [field]: employee.id } });
+    }
+
+    const extractionIds = data.cv_extractions.map(extraction => extraction.id);
+    const cvFiles = extractionIds.length > 0
+      ? await prisma.cv_files.findMany({ where: { extraction_id: { in: extractionIds } } })
+      : [];
+
+    data.engagement_responses = userIds.length > 0
+      ? await prisma.engagement_responses.findMany({
+        where: { user_id: { in: userIds } },
+        include: { response_details: true }
+      })
+      : [];
+    data.llm_usage_logs = await prisma.llm_usage_logs.findMany({ where: this.llmLogsWhere(tenantId, subject, extractionIds) });
+    data.tenant_audit_log = await prisma.tenant_audit_log.findMany({ where: this.auditLogWhere(tenantId, subject) });
+    data.tenant_user_mfa_events = userIds.length > 0
+      ? await prisma.tenant_user_mfa_events.findMany({ where: { user_id: { in: userIds } } })
+      : [];
+    data.tenant_user_sessions = userIds.length > 0
+      ? await prisma.tenant_user_sessions.findMany({
+        where: { user_id: { in: userIds } },
+        select: {
+          id: true,
+          user_id: true,
+          device_name: true,
+          user_agent: true,
+          ip_address: true,
+          created_at: true,
+          last_used_at: true,
+          expires_at: true,
+          revoked_at: true,
+          revoked_reason: true
+        }
+      })
+      : [];
+
+    const plainData = this.toPlain(data);
+    const files = await this.collectFiles(cvFiles);
+
+    const summary = {
+      records: Object.fromEntries(Object.entries(plainData)
+        .map(([table, rows]) => [table, Array.isArray(rows) ? rows.length : 1])),
+      files: files.filter(file => !file.missing).length,
+      // Lets the requester prove what was delivered
+      data_sha256: crypto.createHash('sha256').update(JSON.stringify(plainData)).digest('hex')
+    };
+
+    const receipt = await ReceiptService.withSequenceRetry(() => ReceiptService.append(prisma, {
+      tenantId,
+      requestType: REQUEST_TYPES.EXPORT,
+      employeeId: employee.id,
+      subjectEmail: employee.email,
+      summary,
+      requestedBy: actor.id,
+      requestedByEmail: actor.email
+    }));
+
+    return {
+      document: {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        generated_at: receipt.completed_at,
+        tenant_id: tenantId,
+        employee_id: employee.id,
+        receipt: this.toReceipt(receipt),
+        data: plainData,
+        files
+      },
+      receipt
+    };
+  }
+
+  /**
+   * Pseudonymised values of the employee row
+   */
+  static anonymizedEmployee(employee) {
+    return {
+      first_name: 'Erased',
+      last_name: 'Employee',
+      email: `erased-${employee.id}@${ERASED_EMAIL_DOMAIN}`,
+      phone: null,
+      employee_code: null,
+      hire_date: null,
+      position: null,
+      manager_id: null,
+      scim_external_id: null,
+      competenze_trasversali: [],
+      is_active: false,
+      updated_at: new Date()
+    };
+  }
+
+  /**
+   * Pseudonymised values of a tenant user row (no way to log in)
+   */
+  static anonymizedAccount(account) {
+    return {
+      email: `erased-${account.id}@${ERASED_EMAIL_DOMAIN}`,
+      password: null,
+      password_hash: null,
+      is_active: false,
+      last_login_ip: null,
+      refresh_token: null,
+      refresh_token_expires_at: null,
+      password_reset_token: null,
+      password_reset_expires_at: null,
+      sso_subject: null,
+      ...MfaService.clearedFields(),
+      updated_at: new Date()
+    };
+  }
+
+  /**
+   * Right to erasure of an employee
+   * @param {string} tenantId
+   * @param {number|string} employeeId
+   * @param {Object} options
+   * @param {string} options.confirmEmail - must be the employee email (guards against wrong ids)
+   * @param {string} [options.reason]
+   * @param {Object} [options.actor] - { id, email } of the admin
+   * @returns {Promise<Object>} the receipt
+   * @throws {DataSubjectError} EMPLOYEE_NOT_FOUND, ALREADY_ERASED, CONFIRMATION_MISMATCH
+   */
+  static async erase(tenantId, employeeId, { confirmEmail, reason, actor = {} } = {}) {
+    const subject = await this.loadSubject(tenantId, employeeId);
+    const { employee, accounts, userIds } = subject;
+
+    if (employee.email.endsWith(`@${ERASED_EMAIL_DOMAIN}`)) {
+      throw new DataSubjectError('Employee data was already erased', 'ALREADY_ERASED', 409);
+    }
+    if (String(confirmEmail || '').trim().toLowerCase() !== employee.email.trim().toLowerCase()) {
+      throw new DataSubjectError('confirmEmail does not match the employee email', 'CONFIRMATION_MISMATCH', 400);
+    }
+
+    const extractions = await prisma.cv_extractions.findMany({
+      where: { employee_id: employee.id },
+      select: { id: true, cv_file: { select: { file_path: true } } }
+    });
+    const extractionIds = extractions.map(extraction => extraction.id);
+
+    // Files first: if one cannot be removed nothing is erased and the request can be retried
+    const storage = getCVStorageService();
+    const filePaths = extractions.map(extraction => extraction.cv_file?.file_path).filter(Boolean);
+    for (const filePath of filePaths) {
+      await storage.deleteFile(filePath);
+    }
+
+    return ReceiptService.withSequenceRetry(() => prisma.$transaction(async (tx) => {
+      const deleted = {};
+      const anonymized = {};
+
+      for (const { model, field } of EMPLOYEE_TABLES) {
+        deleted[model] = (await tx[model].deleteMany({ where: { [field]: employee.id } })).count;
+      }
+      if (userIds.length > 0) {
+        deleted.tenant_user_mfa_events = (await tx.tenant_user_mfa_events.deleteMany({
+          where: { user_id: { in: userIds } }
+        })).count;
+        deleted.tenant_user_sessions = (await tx.tenant_user_sessions.deleteMany({
+          where: { user_id: { in: userIds } }
+        })).count;
+
+        await tx.response_details.updateMany({
+          where: { response: { user_id: { in: userIds } } },
+          data: { text_value: null }
+        });
+        anonymized.engagement_responses = (await tx.engagement_responses.updateMany({
+          where: { user_id: { in: userIds } },
+          data: { response_text: null }
+        })).count;
+      }
+
+      anonymized.engagement_results = (await tx.engagement_results.updateMany({
+        where: { employee_id: employee.id },
+        data: {
+          strengths: Prisma.DbNull,
+          improvements: Prisma.DbNull,
+          recommendations: Prisma.DbNull,
+          ip_address: null,
+          user_agent: null,
+          device_type: null
+        }
+      })).count;
+      anonymized.assessment_results = (await tx.assessment_results.updateMany({
+        where: { employee_id: employee.id },
+        data: {
+          strengths: Prisma.DbNull,
+          improvements: Prisma.DbNull,
+          recommendations: Prisma.DbNull
+        }
+      })).count;
+      anonymized.llm_usage_logs = (await tx.llm_usage_logs.updateMany({
+        where: this.llmLogsWhere(tenantId, subject, extractionIds),
+        data: {
+          user_id: null,
+          entity_id: null,
+          request_params: Prisma.DbNull,
+          response_summary: Prisma.DbNull,
+          metadata: Prisma.DbNull,
+          error_message: null
+        }
+      })).count;
+      anonymized.tenant_audit_log = (await tx.tenant_audit_log.updateMany({
+        where: this.auditLogWhere(tenantId, subject),
+        data: { oldValue: Prisma.DbNull, newValue: Prisma.DbNull }
+      })).count;
+      if (userIds.length > 0) {
+        await tx.tenant_audit_log.updateMany({
+          where: { tenant_id: tenantId, actorId: { in: userIds } },
+          data: { actorEmail: null, ipAddress: null, userAgent: null }
+        });
+      }
+      await tx.learning_catalog_items.updateMany({
+        where: { mentor_employee_id: employee.id },
+        data: { mentor_employee_id: null }
+      });
+
+      for (const account of accounts) {
+        await tx.tenant_users.update({ where: { id: account.id }, data: this.anonymizedAccount(account) });
+      }
+      anonymized.tenant_users = accounts.length;
+      await tx.employees.update({ where: { id: employee.id }, data: this.anonymizedEmployee(employee) });
+      anonymized.employees = 1;
+
+      return ReceiptService.append(tx, {
+        tenantId,
+        requestType: REQUEST_TYPES.ERASURE,
+        employeeId: employee.id,
+        subjectEmail: employee.email,
+        reason,
+        summary: { deleted, anonymized, files_removed: filePaths.length },
+        requestedBy: actor.id,
+        requestedByEmail: actor.email
+      });
+    }));
+  }
+
+  /**
+   * Receipt as handed to the requester
+   */
+  static toReceipt(receipt) {
+    return {
+      id: receipt.id,
+      sequence: receipt.sequence,
+      request_type: receipt.request_type,
+      employee_id: receipt.employee_id,
+      subject_hash: receipt.subject_hash,
+      reason: receipt.reason,
+      summary: receipt.summary,
+      requested_by_email: receipt.requested_by_email,
+      completed_at: receipt.completed_at,
+      previous_hash: receipt.previous_hash,
+      receipt_hash: receipt.receipt_hash
+    };
+  }
+
+  /**
+   * Receipts of a tenant, newest first
+   * @param {string} tenantId
+   * @param {Object} [filters] - employeeId, email (matched through the subject hash), requestType
+   */
+  static async listRequests(tenantId, { employeeId, email, requestType } = {}) {
+    const receipts = await prisma.data_subject_requests.findMany({
+      where: {
+        tenant_id: tenantId,
+        ...(employeeId && { employee_id: parseInt(employeeId) }),
+        ...(email && { subject_hash: ReceiptService.hashSubject(email) }),
+        ...(requestType && { request_type: String(requestType).toUpperCase() })
+      },
+      orderBy: { sequence: 'desc' }
+    });
+    return receipts.map(receipt => this.toReceipt(receipt));
+  }
+}
+
+module.exports = DataSubjectService;
+module.exports.DataSubjectError = DataSubjectError;
+module.exports.REQUEST_TYPES = REQUEST_TYPES;
@@ -0,0 +1,156 @@
+/**
+ * GDPR Receipt Service
+ * @module services/gdpr/receiptService
+ * @created 2026-10-19
+ *
+ * Tamper-evident receipts of data subject requests (data_subject_requests).
+ * Receipts of a tenant form a hash chain: each one stores the hash of the
+ * previous one and a gap-free sequence number, and its own receipt_hash is
+ * an HMAC-SHA256 of its canonical content (GDPR_RECEIPT_SECRET, falls back
+ * to a key derived from JWT_ACCESS_SECRET). Editing a receipt breaks its
+ * hash; deleting or reordering receipts breaks the chain.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../../config/database');
+
+// Attempts when a concurrent request takes the same sequence number
+const MAX_APPEND_ATTEMPTS = 3;
+
+// Fields covered by receipt_hash
+const HASHED_FIELDS = [
+  'id', 'tenant_id', 'sequence', 'request_type', 'employee_id', 'subject_hash', 'reason',
+  'summary', 'requested_by', 'requested_by_email', 'previous_hash', 'completed_at'
+];
+
+class ReceiptService {
+  static getSecret() {
+    return process.env.GDPR_RECEIPT_SECRET || `gdpr-receipt:${process.env.JWT_ACCESS_SECRET || ''}`;
+  }
+
+  static hmac(value) {
+    return crypto.createHmac('sha256', this.getSecret()).update(value).digest('hex');
+  }
+
+  /**
+   * Pseudonymous identifier of a data subject (lowercased email)
+   */
+  static hashSubject(email) {
+    return this.hmac(`subject:${String(email || '').trim().toLowerCase()}`);
+  }
+
+  /**
+   * JSON with sorted keys, so JSONB round trips hash the same
+   */
+  static canonicalize(value) {
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (Array.isArray(value)) return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  static computeHash(receipt) {
+    const content = {};
+    for (const field of HASHED_FIELDS) {
+      content[field] = receipt[field] === undefined ? null : receipt[field];
+    }
+    return this.hmac(this.canonicalize(content));
+  }
+
+  /**
+   * Append a receipt to the tenant chain
+   * @param {Object} tx - Prisma client or transaction
+   * @param {Object} data
+   * @param {string} data.tenantId
+   * @param {'EXPORT'|'ERASURE'} data.requestType
+   * @param {number} data.employeeId
+   * @param {string} data.subjectEmail - hashed, never stored
+   * @param {Object} data.summary
+   * @param {string} [data.reason]
+   * @param {string} [data.requestedBy]
+   * @param {string} [data.requestedByEmail]
+   * @returns {Promise<Object>} the stored receipt
+   */
+  static async append(tx, { tenantId, requestType, employeeId, subjectEmail, summary, reason, requestedBy, requestedByEmail }) {
+    const previous = await tx.data_subject_requests.findFirst({
+      where: { tenant_id: tenantId },
+      orderBy: { sequence: 'desc' },
+      select: { sequence: true, receipt_hash: true }
+    });
+
+    const receipt = {
+      id: uuidv4(),
+      tenant_id: tenantId,
+      sequence: (previous?.sequence || 0) + 1,
+      request_type: requestType,
+      employee_id: employeeId,
+      subject_hash: this.hashSubject(subjectEmail),
+      reason: reason || null,
+      summary,
+      requested_by: requestedBy || null,
+      requested_by_email: requestedByEmail || null,
+      previous_hash: previous?.receipt_hash || null,
+      completed_at: new Date()
+    };
+    receipt.receipt_hash = this.computeHash(receipt);
+
+    return tx.data_subject_requests.create({ data: receipt });
+  }
+
+  /**
+   * Run work that appends a receipt, again if a concurrent request took the
+   * same sequence number (unique violation on uq_data_subject_requests_sequence)
+   */
+  static async withSequenceRetry(work) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await work();
+      } catch (error) {
+        if (error.code !== 'P2002' || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Check every receipt of a tenant and the links between them
+   * @returns {Promise<{ valid: boolean, receipts: number, lastHash: string|null, error?: Object }>}
+   */
+  static async verifyChain(tenantId) {
+    const receipts = await prisma.data_subject_requests.findMany({
+      where: { tenant_id: tenantId },
+      orderBy: { sequence: 'asc' }
+    });
+
+    let previousHash = null;
+    for (const [index, receipt] of receipts.entries()) {
+      let reason = null;
+      if (receipt.sequence !== index + 1) {
+        reason = `Expected sequence ${index + 1}, found ${receipt.sequence} (missing receipt)`;
+      } else if ((receipt.previous_hash || null) !== previousHash) {
+        reason = 'Link to the previous receipt does not match';
+      } else if (this.computeHash(receipt) !== receipt.receipt_hash) {
+        reason = 'Receipt content was modified';
+      }
+
+      if (reason) {
+        return {
+          valid: false,
+          receipts: receipts.length,
+          lastHash: receipts[receipts.length - 1].receipt_hash,
+          error: { id: receipt.id, sequence: receipt.sequence, reason }
+        };
+      }
+      previousHash = receipt.receipt_hash;
+    }
+
+    return { valid: true, receipts: receipts.length, lastHash: previousHash };
+  }
+}
+
+module.exports = ReceiptService;
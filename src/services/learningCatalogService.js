@@ -0,0 +1,460 @@
+/**
+ * Learning Catalog Service
+ * @module services/learningCatalogService
+ * @created 2026-10-19
+ *
+ * Tenant-managed catalog of learning opportunities (learning_catalog_items)
+ * used by the recommendation engine to turn skill gaps into training plans.
+ * Items are linked to skills / soft skills by id, or by free-text keyword
+ * when the CSV source does not match the taxonomy.
+ */
+
+const { parse } = require('csv-parse/sync');
+const prisma = require('../config/database');
+
+const ITEM_TYPES = ['COURSE', 'WORKSHOP', 'MENTORING', 'STRETCH_PROJECT', 'READING'];
+const LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'ALL'];
+const DELIVERY_FORMATS = ['ONLINE', 'IN_PERSON', 'BLENDED'];
+const COMPLEXITIES = ['LOW', 'MEDIUM', 'HIGH'];
+const MAX_IMPORT_ROWS = 2000;
+
+const normalizeKeyword = (value) => String(value || '').trim().toLowerCase().replace(/[\s_-]+/g, '');
+
+const splitList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(/[;|]/).map(v => v.trim()).filter(Boolean);
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  return !['false', '0', 'no', 'n'].includes(String(value).trim().toLowerCase());
+};
+
+class LearningCatalogService {
+  /**
+   * Validate and map a create/update request body to DB columns
+   * @param {Object} body - Request body
+   * @param {Object} [options]
+   * @param {boolean} [options.partial=false] - Allow missing fields (update)
+   * @returns {{ errors: string[], data: Object }}
+   */
+  static validateItemInput(body = {}, { partial = false } = {}) {
+    const errors = [];
+    const data = {};
+
+    if (body.item_type !== undefined || !partial) {
+      const type = String(body.item_type || '').trim().toUpperCase();
+      if (!ITEM_TYPES.includes(type)) {
+        errors.push(`item_type must be one of: ${ITEM_TYPES.join(', ')}`);
+      } else {
+        data.item_type = type;
+      }
+    }
+
+    if (body.title !== undefined || !partial) {
+      if (!body.title || typeof body.title !== 'string' || !body.title.trim()) {
+        errors.push('title is required');
+      } else if (body.title.trim().length > 255) {
+        errors.push('title must be at most 255 characters');
+      } else {
+        data.title = body.title.trim();
+      }
+    }
+
+    for (const field of ['external_id', 'description', 'provider', 'url']) {
+      if (body[field] !== undefined) {
+        data[field] = body[field] === null || body[field] === '' ? null : String(body[field]).trim();
+      }
+    }
+    if (data.external_id && data.external_id.length > 100) {
+      errors.push('external_id must be at most 100 characters');
+    }
+
+    const enums = [
+      ['level', LEVELS],
+      ['delivery_format', DELIVERY_FORMATS],
+      ['complexity', COMPLEXITIES]
+    ];
+    for (const [field, allowed] of enums) {
+      if (body[field] === undefined) continue;
+      if (body[field] === null || body[field] === '') {
+        if (field === 'level') data.level = 'ALL';
+        else data[field] = null;
+        continue;
+      }
+      const value = String(body[field]).trim().toUpperCase().replace(/[\s-]+/g, '_');
+      if (!allowed.includes(value)) {
+        errors.push(`${field} must be one of: ${allowed.join(', ')}`);
+      } else {
+        data[field] = value;
+      }
+    }
+
+    const numbers = [
+      ['duration_hours', parseFloat, 0],
+      ['duration_weeks', parseInt, 1],
+      ['capacity', parseInt, 1],
+      ['cost', parseFloat, 0],
+      ['mentor_employee_id', parseInt, 1]
+    ];
+    for (const [field, parser, min] of numbers) {
+      if (body[field] === undefined) continue;
+      if (body[field] === null || body[field] === '') {
+        data[field] = null;
+        continue;
+      }
+      const value = parser(body[field]);
+      if (isNaN(value) || value < min) {
+        errors.push(`${field} must be a number >= ${min}`);
+      } else {
+        data[field] = value;
+      }
+    }
+
+    if (body.currency !== undefined) {
+      const currency = body.currency ? String(body.currency).trim().toUpperCase() : null;
+      if (currency && !/^[A-Z]{3}$/.test(currency)) {
+        errors.push('currency must be a 3-letter ISO code');
+      } else {
+        data.currency = currency;
+      }
+    }
+
+    for (const field of ['skill_ids', 'soft_skill_ids']) {
+      if (body[field] === undefined) continue;
+      const ids = splitList(body[field]).map(id => parseInt(id));
+      if (ids.some(isNaN)) {
+        errors.push(`${field} must be an array of integers`);
+      } else {
+        data[field] = [...new Set(ids)];
+      }
+    }
+
+    if (body.skill_keywords !== undefined) {
+      data.skill_keywords = [...new Set(splitList(body.skill_keywords).map(k => String(k).trim()).filter(Boolean))];
+    }
+
+    if (body.is_active !== undefined) {
+      data.is_active = parseBoolean(body.is_active);
+    }
+
+    if (data.item_type === 'MENTORING' && !partial && !data.mentor_employee_id && !data.provider) {
+      errors.push('MENTORING items require mentor_employee_id or provider');
+    }
+
+    return { errors, data };
+  }
+
+  /**
+   * Check that linked skills, soft skills and mentor exist for the tenant
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} data - Output of validateItemInput
+   * @returns {Promise<string[]>} Errors
+   */
+  static async validateReferences(tenantId, data) {
+    const errors = [];
+
+    if (data.skill_ids && data.skill_ids.length > 0) {
+      const found = await prisma.skills.findMany({
+        where: {
+          id: { in: data.skill_ids },
+          OR: [{ tenant_id: tenantId }, { tenant_id: null }]
+        },
+        select: { id: true }
+      });
+      const missing = data.skill_ids.filter(id => !found.some(s => s.id === id));
+      if (missing.length > 0) errors.push(`Unknown skill_ids: ${missing.join(', ')}`);
+    }
+
+    if (data.soft_skill_ids && data.soft_skill_ids.length > 0) {
+      const found = await prisma.soft_skills.findMany({
+        where: { id: { in: data.soft_skill_ids } },
+        select: { id: true }
+      });
+      const missing = data.soft_skill_ids.filter(id => !found.some(s => s.id === id));
+      if (missing.length > 0) errors.push(`Unknown soft_skill_ids: ${missing.join(', ')}`);
+    }
+
+    if (data.mentor_employee_id) {
+      const mentor = await prisma.employees.findFirst({
+        where: { id: data.mentor_employee_id, tenant_id: tenantId },
+        select: { id: true }
+      });
+      if (!mentor) errors.push('mentor_employee_id does not belong to the tenant');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Parse a catalog CSV export
+   * Columns (header row, case-insensitive): external_id, item_type (or type), title,
+   * description, provider, url, delivery_format (or format), level, complexity,
+   * duration_hours, duration_weeks, capacity, cost, currency, mentor_email,
+   * skills, soft_skills, is_active. skills/soft_skills are ";"-separated names.
+   * @param {string|Buffer} content - CSV content
+   * @returns {{ errors: string[], rows: Object[] }} rows keep their 1-based CSV line in `line`
+   */
+  static parseCsv(content) {
+    let records;
+    try {
+      records = parse(content, {
+        columns: header => header.map(h => h.trim().toLowerCase().replace(/\s+/g, '_')),
+        skip_empty_lines: true,
+        trim: true,
+        bom: true
+      });
+    } catch (error) {
+      return { errors: [`Invalid CSV: ${error.message}`], rows: [] };
+    }
+
+    if (records.length === 0) {
+      return { errors: ['CSV contains no rows'], rows: [] };
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return { errors: [`CSV cannot contain more than ${MAX_IMPORT_ROWS} rows`], rows: [] };
+    }
+
+    const rows = records.map((record, index) => ({
+      line: index + 2, // header is line 1
+      external_id: record.external_id,
+      item_type: record.item_type || record.type,
+      title: record.title,
+      description: record.description,
+      provider: record.provider,
+      url: record.url,
+      delivery_format: record.delivery_format || record.format,
+      level: record.level,
+      complexity: record.complexity,
+      duration_hours: record.duration_hours,
+      duration_weeks: record.duration_weeks,
+      capacity: record.capacity,
+      cost: record.cost,
+      currency: record.currency,
+      mentor_email: record.mentor_email,
+      skills: splitList(record.skills),
+      soft_skills: splitList(record.soft_skills),
+      ...(record.is_active !== undefined && record.is_active !== '' && { is_active: record.is_active })
+    }));
+
+    return { errors: [], rows };
+  }
+
+  /**
+   * Resolve skill / soft skill names of parsed CSV rows against the taxonomy
+   * Unknown skill names are kept as keywords; unknown soft skills are errors.
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object[]} rows - Output of parseCsv
+   * @returns {Promise<{ items: Object[], errors: Object[] }>} items ready for validateItemInput
+   */
+  static async resolveCsvRows(tenantId, rows) {
+    const skillNames = [...new Set(rows.flatMap(r => r.skills))];
+    const mentorEmails = [...new Set(rows.map(r => r.mentor_email).filter(Boolean).map(e => e.toLowerCase()))];
+
+    const [skills, softSkills, mentors] = await Promise.all([
+      skillNames.length > 0
+        ? prisma.skills.findMany({
+          where: { is_active: true, OR: [{ tenant_id: tenantId }, { tenant_id: null }] },
+          select: { id: true, Skill: true, NameKnown_Skill: true, Synonyms_Skill: true }
+        })
+        : [],
+      rows.some(r => r.soft_skills.length > 0)
+        ? prisma.soft_skills.findMany({
+          where: { isActive: true },
+          select: { id: true, code: true, name: true, nameEn: true }
+        })
+        : [],
+      mentorEmails.length > 0
+        ? prisma.employees.findMany({
+          where: { tenant_id: tenantId, email: { in: mentorEmails, mode: 'insensitive' } },
+          select: { id: true, email: true }
+        })
+        : []
+    ]);
+
+    const skillIndex = new Map();
+    for (const skill of skills) {
+      for (const name of [skill.Skill, skill.NameKnown_Skill, ...(skill.Synonyms_Skill || [])]) {
+        if (name && !skillIndex.has(normalizeKeyword(name))) skillIndex.set(normalizeKeyword(name), skill.id);
+      }
+    }
+    const softSkillIndex = new Map();
+    for (const softSkill of softSkills) {
+      for (const name of [softSkill.code, softSkill.name, softSkill.nameEn]) {
+        if (name) softSkillIndex.set(normalizeKeyword(name), softSkill.id);
+      }
+    }
+
+    const items = [];
+    const errors = [];
+
+    for (const row of rows) {
+      const rowErrors = [];
+      const { line, skills: rowSkills, soft_skills: rowSoftSkills, mentor_email: mentorEmail, ...fields } = row;
+
+      const skillIds = [];
+      const keywords = [];
+      for (const name of rowSkills) {
+        const id = skillIndex.get(normalizeKeyword(name));
+        if (id) skillIds.push(id);
+        else keywords.push(name);
+      }
+
+      const softSkillIds = [];
+      for (const name of rowSoftSkills) {
+        const id = softSkillIndex.get(normalizeKeyword(name));
+        if (id) softSkillIds.push(id);
+        else rowErrors.push(`Unknown soft skill "${name}"`);
+      }
+
+      let mentorId;
+      if (mentorEmail) {
+        const mentor = mentors.find(m => m.email.toLowerCase() === mentorEmail.toLowerCase());
+        if (mentor) mentorId = mentor.id;
+        else rowErrors.push(`No employee with email ${mentorEmail}`);
+      }
+
+      const { errors: validationErrors, data } = this.validateItemInput({
+        ...fields,
+        skill_ids: skillIds,
+        soft_skill_ids: softSkillIds,
+        skill_keywords: keywords,
+        ...(mentorId && { mentor_employee_id: mentorId })
+      });
+      rowErrors.push(...validationErrors);
+
+      if (skillIds.length + softSkillIds.length + keywords.length === 0) {
+        rowErrors.push('At least one skill or soft skill is required');
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push({ line, title: fields.title || null, errors: rowErrors });
+      } else {
+        items.push({ line, data });
+      }
+    }
+
+    return { items, errors };
+  }
+
+  /**
+   * Import a catalog CSV: rows with external_id are upserted, others created
+   * The import is all-or-nothing: any invalid row aborts it.
+   * @param {string} tenantId - Tenant UUID
+   * @param {string|Buffer} content - CSV content
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Importing user (created_by)
+   * @param {boolean} [options.dryRun=false] - Validate only
+   * @returns {Promise<Object>} { imported, created, updated, errors, dry_run }
+   */
+  static async importCsv(tenantId, content, { userId = null, dryRun = false } = {}) {
+    const parsed = this.parseCsv(content);
+    if (parsed.errors.length > 0) {
+      return { imported: 0, created: 0, updated: 0, errors: parsed.errors.map(e => ({ line: null, errors: [e] })), dry_run: dryRun };
+    }
+
+    const { items, errors } = await this.resolveCsvRows(tenantId, parsed.rows);
+
+    const seen = new Map();
+    for (const item of items) {
+      const key = item.data.external_id;
+      if (!key) continue;
+      if (seen.has(key)) {
+        errors.push({ line: item.line, title: item.data.title, errors: [`Duplicate external_id "${key}" (line ${seen.get(key)})`] });
+      }
+      seen.set(key, item.line);
+    }
+
+    if (errors.length > 0 || dryRun) {
+      return {
+        imported: 0,
+        created: 0,
+        updated: 0,
+        valid_rows: items.length,
+        errors: errors.sort((a, b) => a.line - b.line),
+        dry_run: dryRun
+      };
+    }
+
+    const externalIds = items.map(i => i.data.external_id).filter(Boolean);
+    const existing = externalIds.length > 0
+      ? await prisma.learning_catalog_items.findMany({
+        where: { tenant_id: tenantId, external_id: { in: externalIds } },
+        select: { id: true, external_id: true }
+      })
+      : [];
+    const existingByKey = new Map(existing.map(e => [e.external_id, e.id]));
+
+    let created = 0;
+    let updated = 0;
+
+    await prisma.$transaction(async (tx) => {
+      for (const { data } of items) {
+        const id = data.external_id ? existingByKey.get(data.external_id) : null;
+        if (id) {
+          await tx.learning_catalog_items.update({
+            where: { id },
+            data: { ...data, is_active: data.is_active ?? true, updated_at: new Date() }
+          });
+          updated++;
+        } else {
+          await tx.learning_catalog_items.create({
+            data: { ...data, tenant_id: tenantId, created_by: userId ? String(userId) : null }
+          });
+          created++;
+        }
+      }
+    });
+
+    return { imported: created + updated, created, updated, errors: [], dry_run: false };
+  }
+
+  /**
+   * Active catalog items of a tenant
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object[]>}
+   */
+  static async getActiveItems(tenantId) {
+    return prisma.learning_catalog_items.findMany({
+      where: { tenant_id: tenantId, is_active: true },
+      include: {
+        employees: { select: { id: true, first_name: true, last_name: true, email: true } }
+      },
+      orderBy: { title: 'asc' }
+    });
+  }
+
+  /**
+   * Catalog items covering a competency
+   * An item matches when it is linked to the skill / soft skill id, or when
+   * one of its keywords equals the competency name (case and spacing insensitive).
+   * @param {Object[]} items - Catalog items
+   * @param {Object} competency - { skillId?, softSkillId?, skillName? }
+   * @returns {Object[]}
+   */
+  static matchItems(items, { skillId = null, softSkillId = null, skillName = null }) {
+    const keyword = skillName ? normalizeKeyword(skillName) : null;
+
+    return items.filter(item =>
+      (skillId && (item.skill_ids || []).includes(skillId)) ||
+      (softSkillId && (item.soft_skill_ids || []).includes(softSkillId)) ||
+      (keyword && (item.skill_keywords || []).some(k => normalizeKeyword(k) === keyword))
+    );
+  }
+
+  /**
+   * Catalog level suited to a current score (0-100)
+   * @param {number} score
+   * @returns {string} BEGINNER | INTERMEDIATE | ADVANCED
+   */
+  static levelForScore(score) {
+    if (score < 40) return 'BEGINNER';
+    if (score < 70) return 'INTERMEDIATE';
+    return 'ADVANCED';
+  }
+}
+
+module.exports = LearningCatalogService;
+module.exports.ITEM_TYPES = ITEM_TYPES;
+module.exports.LEVELS = LEVELS;
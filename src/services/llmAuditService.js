@@ -154,6 +154,11 @@ class LLMAuditService {
       // IMPORTANT: Log success AFTER database write completes
       console.log(`[LLM Audit] ✅ Logged ${operationType} | ${provider}/${model} | ${totalTokens} tokens | $${estimatedCost.toFixed(4)} | DB ID: ${logEntry.id.substring(0, 8)}...`);
 
+      // Raise budget alerts (required here: llmBudgetService depends on this service)
+      if (estimatedCost > 0) {
+        require('./llmBudgetService').recordSpend(tenantId, operationType);
+      }
+
       return logEntry;
     } catch (error) {
       console.error('[LLM Audit] ❌ Failed to log LLM usage:', error.message);
@@ -261,6 +266,36 @@ class LLMAuditService {
     }
   }
 
+  /**
+   * Get the spend of a tenant since a date, optionally for one operation type
+   * @param {string} tenantId - Tenant UUID
+   * @param {Date} startDate - Start date
+   * @param {string} [operationType] - Operation type; also matches its sub-operations
+   *   ('cv_extraction' matches 'cv_extraction_personal_info')
+   * @returns {Promise<number>} Cost in USD
+   */
+  static async getSpend(tenantId, startDate, operationType = null) {
+    const where = {
+      tenant_id: tenantId,
+      status: 'success',
+      created_at: { gte: startDate }
+    };
+
+    if (operationType) {
+      where.OR = [
+        { operation_type: operationType },
+        { operation_type: { startsWith: `${operationType}_` } }
+      ];
+    }
+
+    const result = await prisma.llm_usage_logs.aggregate({
+      where,
+      _sum: { estimated_cost: true }
+    });
+
+    return Number(result._sum.estimated_cost || 0);
+  }
+
   /**
    * Get failed LLM operations for debugging (UPDATED for Super Admin)
    * @param {string} tenantId - Tenant UUID (null = all tenants for super admin)
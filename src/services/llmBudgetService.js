@@ -0,0 +1,328 @@
+/**
+ * LLM Budget Service
+ * @module services/llmBudgetService
+ * @created 2026-10-19
+ *
+ * Daily/monthly LLM spend limits per tenant (tenant_llm_budgets). A budget
+ * covers all operations ('*') or one operation type and its sub-operations;
+ * spend comes from llm_usage_logs (LLMAuditService.getSpend).
+ * - soft limit: crossing a warning threshold raises one alert per budget,
+ *   window and threshold, sent to the tenant admins through the outbox.
+ * - hard limit: assertWithinBudget() refuses new LLM calls once the limit
+ *   is reached (called by AIProviders and the CV extraction services).
+ */
+
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const LLMAuditService = require('./llmAuditService');
+const NotificationOutboxService = require('./notifications/outboxService');
+
+const PERIODS = {
+  DAILY: 'DAILY',
+  MONTHLY: 'MONTHLY'
+};
+
+const ALL_OPERATIONS = '*';
+const LIMIT_THRESHOLD = 100;
+const DEFAULT_WARNING_THRESHOLDS = [80];
+
+const BUDGET_EVENTS = {
+  WARNING: 'LLM_BUDGET_WARNING',
+  EXCEEDED: 'LLM_BUDGET_EXCEEDED'
+};
+
+/**
+ * Raised when a hard budget limit blocks an LLM call
+ */
+class LLMBudgetExceededError extends Error {
+  constructor(budget) {
+    const scope = budget.operation_type === ALL_OPERATIONS ? 'AI' : budget.operation_type;
+    super(`${budget.period === PERIODS.DAILY ? 'Daily' : 'Monthly'} ${scope} budget of $${budget.limit_usd} reached`);
+    this.name = 'LLMBudgetExceededError';
+    this.status = 402;
+    this.code = 'LLM_BUDGET_EXCEEDED';
+    this.budget = budget;
+  }
+}
+
+class LLMBudgetService {
+  /**
+   * Start of the budget window (UTC day or month) containing `now`
+   */
+  static windowStart(period, now = new Date()) {
+    if (period === PERIODS.DAILY) {
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    }
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  static windowEnd(period, now = new Date()) {
+    if (period === PERIODS.DAILY) {
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+    }
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  }
+
+  /**
+   * Whether a budget covers an operation type
+   */
+  static appliesTo(budget, operationType) {
+    if (budget.operation_type === ALL_OPERATIONS) return true;
+    if (!operationType) return false;
+    return operationType === budget.operation_type || operationType.startsWith(`${budget.operation_type}_`);
+  }
+
+  /**
+   * Spend of every active budget of a tenant in its current window
+   * @param {string} tenantId
+   * @param {Object} [options]
+   * @param {string} [options.operationType] - only the budgets covering this operation
+   * @returns {Promise<Object[]>}
+   */
+  static async getStatus(tenantId, { operationType = null, now = new Date() } = {}) {
+    const budgets = await prisma.tenant_llm_budgets.findMany({
+      where: { tenant_id: tenantId, is_active: true },
+      orderBy: [{ period: 'asc' }, { operation_type: 'asc' }]
+    });
+
+    const applicable = operationType
+      ? budgets.filter(budget => this.appliesTo(budget, operationType))
+      : budgets;
+
+    return Promise.all(applicable.map(async (budget) => {
+      const windowStart = this.windowStart(budget.period, now);
+      const spent = await LLMAuditService.getSpend(
+        tenantId,
+        windowStart,
+        budget.operation_type === ALL_OPERATIONS ? null : budget.operation_type
+      );
+      const limit = Number(budget.limit_usd);
+
+      return {
+        budget_id: budget.id,
+        period: budget.period,
+        operation_type: budget.operation_type,
+        limit_usd: limit,
+        spent_usd: parseFloat(spent.toFixed(6)),
+        remaining_usd: parseFloat(Math.max(limit - spent, 0).toFixed(6)),
+        percent_used: limit > 0 ? parseFloat(((spent / limit) * 100).toFixed(2)) : 100,
+        warning_thresholds: budget.warning_thresholds,
+        hard_limit: budget.hard_limit,
+        exceeded: spent >= limit,
+        window_start: windowStart,
+        resets_at: this.windowEnd(budget.period, now)
+      };
+    }));
+  }
+
+  /**
+   * Throw LLMBudgetExceededError if a hard-limited budget covering the
+   * operation is used up. Lookup failures let the call through.
+   */
+  static async assertWithinBudget(tenantId, operationType, now = new Date()) {
+    if (!tenantId) return;
+
+    let statuses;
+    try {
+      statuses = await this.getStatus(tenantId, { operationType, now });
+    } catch (error) {
+      logger.error(`LLM budget check failed for tenant ${tenantId}: ${error.message}`);
+      return;
+    }
+
+    const blocking = statuses.find(status => status.hard_limit && status.exceeded);
+    if (blocking) {
+      logger.warn(`LLM call ${operationType} blocked for tenant ${tenantId}: ${blocking.period} ${blocking.operation_type} budget reached`);
+      throw new LLMBudgetExceededError(blocking);
+    }
+  }
+
+  /**
+   * Thresholds (percent) reached by a budget status, ascending
+   */
+  static reachedThresholds(status) {
+    const thresholds = [...new Set([...(status.warning_thresholds || []), LIMIT_THRESHOLD])];
+    return thresholds
+      .filter(threshold => status.percent_used >= threshold)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Raise the alerts for the thresholds crossed after new spend.
+   * Never rejects: alerting must not break the LLM call that was logged.
+   */
+  static async recordSpend(tenantId, operationType, now = new Date()) {
+    try {
+      const statuses = await this.getStatus(tenantId, { operationType, now });
+
+      for (const status of statuses) {
+        let highest = null;
+
+        for (const threshold of this.reachedThresholds(status)) {
+          const created = await this.createAlert(tenantId, status, threshold);
+          if (created) highest = threshold;
+        }
+
+        if (highest !== null) {
+          await this.notify(tenantId, status, highest);
+        }
+      }
+    } catch (error) {
+      logger.error(`LLM budget alerting failed for tenant ${tenantId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store an alert; false if it was already raised in this window
+   */
+  static async createAlert(tenantId, status, threshold) {
+    try {
+      await prisma.tenant_llm_budget_alerts.create({
+        data: {
+          tenant_id: tenantId,
+          budget_id: status.budget_id,
+          window_start: status.window_start,
+          threshold,
+          spent_usd: status.spent_usd,
+          limit_usd: status.limit_usd
+        }
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 'P2002') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Notify the tenant admins (and the tenant channels) of a crossed threshold
+   */
+  static async notify(tenantId, status, threshold) {
+    const admins = await prisma.tenant_users.findMany({
+      where: { tenant_id: tenantId, is_active: true, role: { equals: 'ADMIN', mode: 'insensitive' } },
+      select: { email: true, employee_id: true }
+    });
+
+    const exceeded = threshold >= LIMIT_THRESHOLD;
+    const scope = status.operation_type === ALL_OPERATIONS ? 'AI' : status.operation_type;
+    const period = status.period === PERIODS.DAILY ? 'daily' : 'monthly';
+    const title = exceeded
+      ? `The ${period} ${scope} budget has been reached`
+      : `${threshold}% of the ${period} ${scope} budget has been used`;
+    const message = `Spent $${status.spent_usd.toFixed(2)} of $${status.limit_usd.toFixed(2)}` +
+      (exceeded && status.hard_limit ? '. New AI requests are blocked until ' : '. The budget resets on ') +
+      status.resets_at.toISOString().split('T')[0];
+
+    await NotificationOutboxService.enqueue({
+      tenantId,
+      eventType: exceeded ? BUDGET_EVENTS.EXCEEDED : BUDGET_EVENTS.WARNING,
+      title,
+      message,
+      data: { ...status, threshold },
+      recipients: admins.map(admin => ({ employeeId: admin.employee_id, email: admin.email })),
+      broadcast: true
+    });
+  }
+
+  /**
+   * Validate a budget request
+   * @returns {{ errors: string[], data: Object }}
+   */
+  static validateBudgetInput(body) {
+    const errors = [];
+    const data = {};
+
+    const period = String(body.period || '').toUpperCase();
+    if (!Object.values(PERIODS).includes(period)) {
+      errors.push(`period must be one of: ${Object.values(PERIODS).join(', ')}`);
+    } else {
+      data.period = period;
+    }
+
+    if (body.operation_type === undefined || body.operation_type === null || body.operation_type === '') {
+      data.operation_type = ALL_OPERATIONS;
+    } else if (typeof body.operation_type !== 'string' || !/^(\*|[a-z0-9_]{1,100})$/.test(body.operation_type)) {
+      errors.push('operation_type must be * or an operation type (lowercase letters, digits, underscores)');
+    } else {
+      data.operation_type = body.operation_type;
+    }
+
+    const limit = Number(body.limit_usd);
+    if (body.limit_usd === undefined || body.limit_usd === null || !Number.isFinite(limit) || limit < 0) {
+      errors.push('limit_usd must be a non-negative number');
+    } else {
+      data.limit_usd = limit;
+    }
+
+    if (body.warning_thresholds !== undefined) {
+      const thresholds = body.warning_thresholds;
+      if (!Array.isArray(thresholds) || thresholds.some(t => !Number.isInteger(t) || t < 1 || t > 100)) {
+        errors.push('warning_thresholds must be an array of integers between 1 and 100');
+      } else {
+        data.warning_thresholds = [...new Set(thresholds)].sort((a, b) => a - b);
+      }
+    }
+
+    if (body.hard_limit !== undefined) {
+      if (typeof body.hard_limit !== 'boolean') {
+        errors.push('hard_limit must be a boolean');
+      } else {
+        data.hard_limit = body.hard_limit;
+      }
+    }
+
+    return { errors, data };
+  }
+
+  /**
+   * Create or replace the budget of a tenant for a period and operation type
+   */
+  static async upsertBudget(tenantId, data, createdBy = null) {
+    const now = new Date();
+    const values = {
+      limit_usd: data.limit_usd,
+      warning_thresholds: data.warning_thresholds || DEFAULT_WARNING_THRESHOLDS,
+      hard_limit: data.hard_limit !== undefined ? data.hard_limit : true,
+      is_active: true,
+      updated_at: now
+    };
+
+    return prisma.tenant_llm_budgets.upsert({
+      where: {
+        tenant_id_period_operation_type: {
+          tenant_id: tenantId,
+          period: data.period,
+          operation_type: data.operation_type
+        }
+      },
+      update: values,
+      create: {
+        tenant_id: tenantId,
+        period: data.period,
+        operation_type: data.operation_type,
+        created_by: createdBy,
+        ...values
+      }
+    });
+  }
+
+  /**
+   * Delete a budget of a tenant
+   * @returns {Promise<Object|null>} the deleted budget, null if not found
+   */
+  static async removeBudget(tenantId, budgetId) {
+    const budget = await prisma.tenant_llm_budgets.findFirst({
+      where: { id: budgetId, tenant_id: tenantId }
+    });
+    if (!budget) return null;
+
+    await prisma.tenant_llm_budgets.delete({ where: { id: budget.id } });
+    return budget;
+  }
+}
+
+module.exports = LLMBudgetService;
+module.exports.LLMBudgetExceededError = LLMBudgetExceededError;
+module.exports.PERIODS = PERIODS;
+module.exports.ALL_OPERATIONS = ALL_OPERATIONS;
+module.exports.BUDGET_EVENTS = BUDGET_EVENTS;
@@ -0,0 +1,189 @@
+/**
+ * Matching Profile Service
+ * @module services/matchingProfileService
+ * @created 2026-10-19
+ *
+ * Resolves the scoring profile (factor weights + thresholds) used by
+ * the project role matching algorithm. Tenants can define named profiles
+ * in matching_scoring_profiles; when none is selected the tenant default
+ * is used, falling back to the built-in 40/30/20/10 split.
+ */
+
+const prisma = require('../config/database');
+
+const WEIGHT_FIELDS = {
+  skills: 'skills_weight',
+  availability: 'availability_weight',
+  experience: 'experience_weight',
+  preferences: 'preference_weight'
+};
+
+/**
+ * Built-in profile, used when the tenant has no default profile
+ */
+const DEFAULT_SCORING_PROFILE = Object.freeze({
+  id: null,
+  name: 'Default',
+  weights: Object.freeze({
+    skills: 0.4,
+    availability: 0.3,
+    experience: 0.2,
+    preferences: 0.1
+  }),
+  min_match_score: 30,
+  shortlist_threshold: 70
+});
+
+class MatchingProfileService {
+  /**
+   * Normalize raw weights so that they sum to 100
+   * @param {Object} weights - { skills, availability, experience, preferences } (any non-negative scale)
+   * @returns {Object} Weights as percentages rounded to 2 decimals
+   * @throws {Error} If a weight is negative/not numeric or all weights are zero
+   */
+  static normalizeWeights(weights = {}) {
+    const raw = {};
+    for (const factor of Object.keys(WEIGHT_FIELDS)) {
+      const value = weights[factor] === undefined ? 0 : Number(weights[factor]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid weight for ${factor}: must be a non-negative number`);
+      }
+      raw[factor] = value;
+    }
+
+    const total = Object.values(raw).reduce((sum, v) => sum + v, 0);
+    if (total <= 0) {
+      throw new Error('At least one weight must be greater than zero');
+    }
+
+    const normalized = {};
+    for (const factor of Object.keys(raw)) {
+      normalized[factor] = Math.round((raw[factor] / total) * 10000) / 100;
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate and map a create/update request body to DB columns
+   * @param {Object} body - Request body
+   * @param {Object} [options]
+   * @param {boolean} [options.partial=false] - Allow missing fields (update)
+   * @returns {{ errors: string[], data: Object }}
+   */
+  static validateProfileInput(body = {}, { partial = false } = {}) {
+    const errors = [];
+    const data = {};
+
+    if (body.name !== undefined || !partial) {
+      if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+        errors.push('name is required');
+      } else if (body.name.trim().length > 100) {
+        errors.push('name must be at most 100 characters');
+      } else {
+        data.name = body.name.trim();
+      }
+    }
+
+    if (body.description !== undefined) {
+      data.description = body.description || null;
+    }
+
+    if (body.weights !== undefined || !partial) {
+      if (!body.weights || typeof body.weights !== 'object') {
+        errors.push('weights is required ({ skills, availability, experience, preferences })');
+      } else {
+        try {
+          const normalized = this.normalizeWeights(body.weights);
+          for (const [factor, column] of Object.entries(WEIGHT_FIELDS)) {
+            data[column] = normalized[factor];
+          }
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+
+    for (const field of ['min_match_score', 'shortlist_threshold']) {
+      if (body[field] !== undefined) {
+        const value = parseInt(body[field]);
+        if (isNaN(value) || value < 0 || value > 100) {
+          errors.push(`${field} must be an integer between 0 and 100`);
+        } else {
+          data[field] = value;
+        }
+      }
+    }
+
+    if (data.min_match_score !== undefined && data.shortlist_threshold !== undefined &&
+        data.shortlist_threshold < data.min_match_score) {
+      errors.push('shortlist_threshold must be greater than or equal to min_match_score');
+    }
+
+    if (body.is_default !== undefined) {
+      data.is_default = Boolean(body.is_default);
+    }
+
+    return { errors, data };
+  }
+
+  /**
+   * Convert a matching_scoring_profiles row to the shape used by the algorithm
+   * @param {Object|null} row - DB row
+   * @returns {Object} { id, name, weights (fractions), min_match_score, shortlist_threshold }
+   */
+  static toScoringProfile(row) {
+    if (!row) return DEFAULT_SCORING_PROFILE;
+
+    const weights = {};
+    for (const [factor, column] of Object.entries(WEIGHT_FIELDS)) {
+      weights[factor] = Number(row[column]) / 100;
+    }
+
+    return {
+      id: row.id,
+      name: row.name,
+      weights,
+      min_match_score: row.min_match_score,
+      shortlist_threshold: row.shortlist_threshold
+    };
+  }
+
+  /**
+   * Snapshot persisted on each project_matching_results row
+   * @param {Object} profile - Scoring profile (see toScoringProfile)
+   * @returns {Object}
+   */
+  static toSnapshot(profile) {
+    return {
+      id: profile.id,
+      name: profile.name,
+      weights: { ...profile.weights },
+      min_match_score: profile.min_match_score,
+      shortlist_threshold: profile.shortlist_threshold
+    };
+  }
+
+  /**
+   * Resolve the scoring profile for a matching run
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} [profileId] - Explicit profile, otherwise tenant default
+   * @returns {Promise<Object|null>} Scoring profile, or null if profileId was given but not found
+   */
+  static async resolveProfile(tenantId, profileId = null) {
+    if (profileId) {
+      const row = await prisma.matching_scoring_profiles.findFirst({
+        where: { id: profileId, tenant_id: tenantId, is_active: true }
+      });
+      return row ? this.toScoringProfile(row) : null;
+    }
+
+    const defaultRow = await prisma.matching_scoring_profiles.findFirst({
+      where: { tenant_id: tenantId, is_default: true, is_active: true }
+    });
+    return this.toScoringProfile(defaultRow);
+  }
+}
+
+module.exports = MatchingProfileService;
+module.exports.DEFAULT_SCORING_PROFILE = DEFAULT_SCORING_PROFILE;
+module.exports.WEIGHT_FIELDS = WEIGHT_FIELDS;
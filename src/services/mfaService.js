@@ -0,0 +1,536 @@
+/**
+ * MFA Service
+ * @module services/mfaService
+ * @created 2026-10-19
+ *
+ * TOTP multi-factor authentication of tenant users (RFC 6238: HMAC-SHA1,
+ * 6 digits, 30 second steps, one step of clock drift accepted).
+ * - enrollment: a secret is generated and kept in mfa_pending_secret until
+ *   the user confirms it with a first code; the otpauth:// URI is rendered
+ *   as a QR code by the frontend. Confirming enables MFA and returns the
+ *   recovery codes, shown once (only their SHA-256 hashes are stored).
+ * - login: once the password is checked, users with MFA (or who must enroll
+ *   because their tenant requires it) get a short-lived MFA token instead of
+ *   access tokens; routes/unifiedAuthRoutes exchanges it with a code.
+ * - secrets are encrypted with AES-256-GCM (MFA_ENCRYPTION_KEY, falls back
+ *   to a key derived from JWT_ACCESS_SECRET).
+ *
+ * SSO logins are not challenged: the identity provider owns the second factor.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const AuthTokenService = require('./authTokenService');
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Steps accepted before/after the current one (clock drift)
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+const MFA_TOKEN_PURPOSE = 'mfa_login';
+const MFA_TOKEN_TTL = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CIPHER = 'aes-256-gcm';
+const CIPHER_VERSION = 'v1';
+
+const MFA_EVENTS = {
+  ENROLLMENT_STARTED: 'ENROLLMENT_STARTED',
+  ENABLED: 'ENABLED',
+  DISABLED: 'DISABLED',
+  RESET: 'RESET',
+  CHALLENGE_SUCCEEDED: 'CHALLENGE_SUCCEEDED',
+  CHALLENGE_FAILED: 'CHALLENGE_FAILED',
+  RECOVERY_CODE_USED: 'RECOVERY_CODE_USED',
+  RECOVERY_CODES_REGENERATED: 'RECOVERY_CODES_REGENERATED'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+class MfaError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'MfaError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class MfaService {
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  static base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 secret');
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(SECRET_BYTES));
+  }
+
+  static getTimeStep(now = new Date()) {
+    return Math.floor(now.getTime() / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * Code of a base32 secret for a time step (RFC 4226 dynamic truncation)
+   */
+  static generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+
+    return String(binary).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Time step matched by a code, or null
+   * @param {string} secret - base32
+   * @param {string} code
+   * @param {Object} [options]
+   * @param {number|bigint} [options.lastUsedStep] - steps up to this one are refused (replay)
+   * @param {Date} [options.now]
+   * @returns {number|null}
+   */
+  static verifyCode(secret, code, { lastUsedStep = null, now = new Date() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+    const current = this.getTimeStep(now);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+      if (lastUsedStep !== null && lastUsedStep !== undefined && step <= Number(lastUsedStep)) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * otpauth:// URI scanned by authenticator apps (rendered as a QR code)
+   */
+  static getProvisioningUri(secret, accountName, issuer = process.env.MFA_ISSUER || 'Moobee') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  static getEncryptionKey() {
+    const material = process.env.MFA_ENCRYPTION_KEY || `mfa:${process.env.JWT_ACCESS_SECRET || ''}`;
+    return crypto.createHash('sha256').update(material).digest();
+  }
+
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.getEncryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [CIPHER_VERSION, iv, cipher.getAuthTag(), data].map(part =>
+      Buffer.isBuffer(part) ? part.toString('base64') : part
+    ).join(':');
+  }
+
+  static decryptSecret(stored) {
+    const [version, iv, tag, data] = String(stored || '').split(':');
+    if (version !== CIPHER_VERSION || !iv || !tag || !data) {
+      throw new Error('Unreadable MFA secret');
+    }
+
+    const decipher = crypto.createDecipheriv(CIPHER, this.getEncryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Plain recovery codes (xxxxx-xxxxx), returned to the user once
+   */
+  static generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  static hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Whether the tenant of a user (loaded with its tenant) makes MFA mandatory.
+   * Super admins are not bound by tenant policies.
+   */
+  static isRequired(user) {
+    if (String(user.role || '').toUpperCase() === 'SUPER_ADMIN') return false;
+    return !!user.tenants?.mfa_required;
+  }
+
+  /**
+   * Second login step of a user whose password was just checked, or null
+   * when tokens can be issued right away
+   * @returns {{ mfaRequired: true, mfaToken: string } | { mfaEnrollmentRequired: true, mfaToken: string } | null}
+   */
+  static getLoginChallenge(user) {
+    if (!user.mfa_enabled && !this.isRequired(user)) return null;
+
+    const mfaToken = AuthTokenService.signPurposeToken(MFA_TOKEN_PURPOSE, { id: user.id }, MFA_TOKEN_TTL);
+    return user.mfa_enabled
+      ? { mfaRequired: true, mfaToken }
+      : { mfaEnrollmentRequired: true, mfaToken };
+  }
+
+  /**
+   * Id of the user an MFA token was issued to
+   * @throws {MfaError} MFA_TOKEN_INVALID
+   */
+  static verifyLoginToken(token) {
+    try {
+      return AuthTokenService.verifyPurposeToken(MFA_TOKEN_PURPOSE, token).id;
+    } catch (error) {
+      throw new MfaError('MFA session expired, please log in again', 'MFA_TOKEN_INVALID', 401);
+    }
+  }
+
+  /**
+   * Generate a secret for the user; MFA is only enabled once it is confirmed
+   * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+   */
+  static async startEnrollment(user, context = {}) {
+    if (user.mfa_enabled) {
+      throw new MfaError('MFA is already enabled', 'MFA_ALREADY_ENABLED', 409);
+    }
+
+    const secret = this.generateSecret();
+    await prisma.tenant_users.update({
+      where: { id: user.id },
+      data: { mfa_pending_secret: this.encryptSecret(secret) }
+    });
+    await this.recordEvent(user, MFA_EVENTS.ENROLLMENT_STARTED, context);
+
+    return {
+      secret,
+      otpauthUrl: this.getProvisioningUri(secret, user.email)
+    };
+  }
+
+  /**
+   * Enable MFA with the first code of the pending secret
+   * @returns {Promise<string[]>} recovery codes
+   * @throws {MfaError} no enrollment in progress, or wrong code
+   */
+  static async confirmEnrollment(user, code, context = {}) {
+    if (user.mfa_enabled) {
+      throw new MfaError('MFA is already enabled', 'MFA_ALREADY_ENABLED', 409);
+    }
+    if (!user.mfa_pending_secret) {
+      throw new MfaError('No MFA enrollment in progress', 'MFA_NOT_ENROLLING', 409);
+    }
+
+    const secret = this.decryptSecret(user.mfa_pending_secret);
+    const step = this.verifyCode(secret, code);
+    if (step === null) {
+      await this.recordEvent(user, MFA_EVENTS.CHALLENGE_FAILED, context);
+      throw new MfaError('Invalid verification code', 'MFA_INVALID_CODE', 401);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await prisma.tenant_users.update({
+      where: { id: user.id },
+      data: {
+        mfa_enabled: true,
+        mfa_secret: user.mfa_pending_secret,
+        mfa_pending_secret: null,
+        mfa_enrolled_at: new Date(),
+        mfa_recovery_codes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)),
+        mfa_last_used_step: step
+      }
+    });
+    await this.recordEvent(user, MFA_EVENTS.ENABLED, context);
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP code or a recovery code of a user with MFA enabled.
+   * Accepted codes are consumed (time step recorded, recovery code removed)
+   * by a conditional update, so concurrent requests cannot use the same
+   * code twice: the one that finds the row changed is rejected.
+   * @param {Object} user
+   * @param {Object} input
+   * @param {string} [input.code]
+   * @param {string} [input.recoveryCode]
+   * @param {Object} [context] - see contextFromRequest
+   * @returns {Promise<{ method: 'totp'|'recovery_code', recoveryCodesRemaining: number }|null>}
+   */
+  static async verify(user, { code, recoveryCode } = {}, context = {}) {
+    if (!user.mfa_enabled || !user.mfa_secret) {
+      throw new MfaError('MFA is not enabled', 'MFA_NOT_ENABLED', 409);
+    }
+    const storedCodes = user.mfa_recovery_codes || [];
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      if (storedCodes.includes(hash)) {
+        const remaining = storedCodes.filter(stored => stored !== hash);
+        const { count } = await prisma.tenant_users.updateMany({
+          where: { id: user.id, mfa_recovery_codes: { equals: storedCodes } },
+          data: { mfa_recovery_codes: remaining }
+        });
+        if (count > 0) {
+          await this.recordEvent(user, MFA_EVENTS.RECOVERY_CODE_USED, context);
+          return { method: 'recovery_code', recoveryCodesRemaining: remaining.length };
+        }
+      }
+    } else {
+      const step = this.verifyCode(this.decryptSecret(user.mfa_secret), code, {
+        lastUsedStep: user.mfa_last_used_step
+      });
+      if (step !== null) {
+        const { count } = await prisma.tenant_users.updateMany({
+          where: {
+            id: user.id,
+            OR: [{ mfa_last_used_step: null }, { mfa_last_used_step: { lt: step } }]
+          },
+          data: { mfa_last_used_step: step }
+        });
+        if (count > 0) {
+          await this.recordEvent(user, MFA_EVENTS.CHALLENGE_SUCCEEDED, context);
+          return { method: 'totp', recoveryCodesRemaining: storedCodes.length };
+        }
+      }
+    }
+
+    await this.recordEvent(user, MFA_EVENTS.CHALLENGE_FAILED, context);
+    return null;
+  }
+
+  /**
+   * Replace the recovery codes (the user proves possession with a TOTP code)
+   * @returns {Promise<string[]>}
+   */
+  static async regenerateRecoveryCodes(user, code, context = {}) {
+    const result = await this.verify(user, { code }, context);
+    if (!result) {
+      throw new MfaError('Invalid verification code', 'MFA_INVALID_CODE', 401);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await prisma.tenant_users.update({
+      where: { id: user.id },
+      data: { mfa_recovery_codes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)) }
+    });
+    await this.recordEvent(user, MFA_EVENTS.RECOVERY_CODES_REGENERATED, context);
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn MFA off (self-service). Refused when the tenant requires MFA.
+   */
+  static async disable(user, input, context = {}) {
+    if (this.isRequired(user)) {
+      throw new MfaError('Your organization requires MFA', 'MFA_REQUIRED_BY_TENANT', 403);
+    }
+
+    const result = await this.verify(user, input, context);
+    if (!result) {
+      throw new MfaError('Invalid verification code', 'MFA_INVALID_CODE', 401);
+    }
+
+    await prisma.tenant_users.update({
+      where: { id: user.id },
+      data: this.clearedFields()
+    });
+    await this.recordEvent(user, MFA_EVENTS.DISABLED, context);
+  }
+
+  /**
+   * Admin reset (lost device): clears the secret and recovery codes. The user
+   * enrolls again, at next login if the tenant requires MFA.
+   * @returns {Promise<Object>} the user before the reset
+   * @throws {MfaError} MFA_USER_NOT_FOUND
+   */
+  static async reset(tenantId, userId, context = {}) {
+    const user = await prisma.tenant_users.findFirst({
+      where: { id: userId, tenant_id: tenantId }
+    });
+    if (!user) {
+      throw new MfaError('User not found', 'MFA_USER_NOT_FOUND', 404);
+    }
+
+    await prisma.tenant_users.update({
+      where: { id: user.id },
+      data: this.clearedFields()
+    });
+    await this.recordEvent(user, MFA_EVENTS.RESET, context);
+
+    return user;
+  }
+
+  static clearedFields() {
+    return {
+      mfa_enabled: false,
+      mfa_secret: null,
+      mfa_pending_secret: null,
+      mfa_enrolled_at: null,
+      mfa_recovery_codes: [],
+      mfa_last_used_step: null
+    };
+  }
+
+  /**
+   * MFA state of a user (loaded with its tenant)
+   */
+  static getStatus(user) {
+    return {
+      enabled: !!user.mfa_enabled,
+      enrolledAt: user.mfa_enrolled_at || null,
+      enrollmentPending: !user.mfa_enabled && !!user.mfa_pending_secret,
+      recoveryCodesRemaining: (user.mfa_recovery_codes || []).length,
+      required: this.isRequired(user)
+    };
+  }
+
+  /**
+   * Make MFA mandatory (or optional) for the users of a tenant
+   */
+  static async setTenantPolicy(tenantId, required) {
+    return prisma.tenants.update({
+      where: { id: tenantId },
+      data: { mfa_required: !!required },
+      select: { id: true, mfa_required: true }
+    });
+  }
+
+  /**
+   * Enrollment coverage of a tenant
+   */
+  static async getTenantSummary(tenantId) {
+    const [tenant, activeUsers, enrolledUsers] = await Promise.all([
+      prisma.tenants.findUnique({ where: { id: tenantId }, select: { mfa_required: true } }),
+      prisma.tenant_users.count({ where: { tenant_id: tenantId, is_active: true } }),
+      prisma.tenant_users.count({ where: { tenant_id: tenantId, is_active: true, mfa_enabled: true } })
+    ]);
+
+    return {
+      required: !!tenant?.mfa_required,
+      activeUsers,
+      enrolledUsers
+    };
+  }
+
+  /**
+   * Event context of a request: client and, for admin actions, the actor
+   */
+  static contextFromRequest(req, { asActor = false } = {}) {
+    return {
+      ipAddress: req.ip || null,
+      userAgent: req.get?.('user-agent') || null,
+      actorId: asActor ? req.user?.id || null : null,
+      actorEmail: asActor ? req.user?.email || null : null
+    };
+  }
+
+  /**
+   * Record an MFA event. Never rejects: a failed write must not fail a login.
+   */
+  static async recordEvent(user, eventType, context = {}) {
+    try {
+      return await prisma.tenant_user_mfa_events.create({
+        data: {
+          tenant_id: user.tenant_id,
+          user_id: user.id,
+          event_type: eventType,
+          actor_id: context.actorId || null,
+          actor_email: context.actorEmail || null,
+          ip_address: context.ipAddress || null,
+          user_agent: context.userAgent || null
+        }
+      });
+    } catch (error) {
+      logger.error(`MFA event ${eventType} not recorded for user ${user.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * MFA events of a tenant, newest first
+   * @param {string} tenantId
+   * @param {Object} [filters] - userId, eventType, page, limit
+   */
+  static async listEvents(tenantId, { userId, eventType, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const take = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const where = {
+      tenant_id: tenantId,
+      ...(userId && { user_id: userId }),
+      ...(eventType && { event_type: String(eventType).toUpperCase() })
+    };
+
+    const [events, total] = await Promise.all([
+      prisma.tenant_user_mfa_events.findMany({
+        where,
+        orderBy: { created_at: 'desc' },
+        skip: (currentPage - 1) * take,
+        take,
+        include: { tenant_users: { select: { email: true } } }
+      }),
+      prisma.tenant_user_mfa_events.count({ where })
+    ]);
+
+    return {
+      events: events.map(({ tenant_users: tenantUser, ...event }) => ({ ...event, user_email: tenantUser?.email || null })),
+      pagination: { page: currentPage, limit: take, total, pages: Math.ceil(total / take) }
+    };
+  }
+}
+
+module.exports = MfaService;
+module.exports.MfaError = MfaError;
+module.exports.MFA_EVENTS = MFA_EVENTS;
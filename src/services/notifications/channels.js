@@ -0,0 +1,182 @@
+/**
+ * Notification Channels
+ * Registry of the delivery channels used by the notification outbox
+ * @module services/notifications/channels
+ * @created 2026-10-19
+ *
+ * A channel is an object with an async send(notification, target) method that
+ * throws on delivery failure (the outbox worker then schedules a retry).
+ * `notification` is the notification_outbox row, `target` the
+ * notification_channels row for tenant channels (WEBHOOK/SLACK/TEAMS).
+ * New channels can be plugged in with registerChannel().
+ *
+ * NOTIFICATION_TEST_CHANNEL=file|console redirects every external delivery
+ * (email, webhooks) to the local file/console channel during development;
+ * FILE and CONSOLE are not available as tenant channels.
+ */
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const prisma = require('../../config/database');
+const { getEmailService } = require('../emailNotificationService');
+const { assertOutboundUrl, outboundRequestOptions } = require('../../utils/outboundUrl');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Tenant URLs are checked again before each call (see utils/outboundUrl)
+const requireUrl = async (target) => {
+  if (!target || !target.url) {
+    throw new Error('Channel has no URL configured');
+  }
+  await assertOutboundUrl(target.url);
+  return target.url;
+};
+
+/**
+ * JSON body of generic webhook deliveries
+ */
+const toWebhookPayload = (notification) => ({
+  id: notification.id,
+  event: notification.event_type,
+  tenant_id: notification.tenant_id,
+  title: notification.title,
+  message: notification.message,
+  data: notification.payload?.data || null,
+  created_at: notification.created_at
+});
+
+const channels = {
+  EMAIL: {
+    async send(notification) {
+      if (!notification.recipient_email) {
+        throw new Error('Recipient has no email address');
+      }
+
+      const html = notification.payload?.html || `<p>${escapeHtml(notification.message)}</p>`;
+      await getEmailService().transporter.sendMail({
+        from: process.env.SMTP_FROM || 'hr@moobee.com',
+        to: notification.recipient_email,
+        subject: notification.title,
+        html
+      });
+    }
+  },
+
+  IN_APP: {
+    async send(notification) {
+      if (!notification.recipient_employee_id) {
+        throw new Error('In-app notifications require a recipient employee');
+      }
+
+      await prisma.notifications.create({
+        data: {
+          employee_id: notification.recipient_employee_id,
+          type: notification.event_type.substring(0, 50),
+          title: notification.title.substring(0, 200),
+          message: notification.message
+        }
+      });
+    }
+  },
+
+  WEBHOOK: {
+    async send(notification, target) {
+      await axios.post(await requireUrl(target), toWebhookPayload(notification), {
+        headers: { 'Content-Type': 'application/json', ...(target.headers || {}) },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        ...outboundRequestOptions()
+      });
+    }
+  },
+
+  // Slack-compatible incoming webhook (also accepted by Mattermost, Rocket.Chat)
+  SLACK: {
+    async send(notification, target) {
+      await axios.post(await requireUrl(target), {
+        text: `*${notification.title}*\n${notification.message || ''}`
+      }, { timeout: WEBHOOK_TIMEOUT_MS, ...outboundRequestOptions() });
+    }
+  },
+
+  // Microsoft Teams incoming webhook (MessageCard)
+  TEAMS: {
+    async send(notification, target) {
+      await axios.post(await requireUrl(target), {
+        '@type': 'MessageCard',
+        '@context': 'http://schema.org/extensions',
+        summary: notification.title,
+        title: notification.title,
+        text: notification.message || ''
+      }, { timeout: WEBHOOK_TIMEOUT_MS, ...outboundRequestOptions() });
+    }
+  },
+
+  // Appends one JSON line per notification to NOTIFICATION_FILE_PATH
+  // (default: logs/notifications.log); the path is never taken from a channel
+  FILE: {
+    async send(notification) {
+      const filePath = process.env.NOTIFICATION_FILE_PATH ||
+        path.join(process.cwd(), 'logs', 'notifications.log');
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, JSON.stringify({
+        ...toWebhookPayload(notification),
+        // Never write secrets (reset links) to disk
+        ...(notification.payload?.sensitive ? { message: '[redacted]' } : {}),
+        channel: notification.channel,
+        recipient_employee_id: notification.recipient_employee_id,
+        recipient_email: notification.recipient_email,
+        delivered_at: new Date()
+      }) + '\n');
+    }
+  },
+
+  CONSOLE: {
+    async send(notification) {
+      const recipient = notification.recipient_email || notification.recipient_employee_id || notification.tenant_id;
+      console.log(`[NOTIFICATION] ${notification.channel} ${notification.event_type} -> ${recipient}: ${notification.title}`);
+    }
+  }
+};
+
+/**
+ * Register (or replace) a delivery channel
+ * @param {string} name - channel name stored in notification_outbox.channel
+ * @param {{ send: Function }} channel
+ */
+function registerChannel(name, channel) {
+  if (!channel || typeof channel.send !== 'function') {
+    throw new Error('A channel must implement send(notification, target)');
+  }
+  channels[name.toUpperCase()] = channel;
+}
+
+/**
+ * Channel that delivers a notification, honouring NOTIFICATION_TEST_CHANNEL
+ * @param {string} name - notification_outbox.channel
+ */
+function getChannel(name) {
+  const testChannel = (process.env.NOTIFICATION_TEST_CHANNEL || '').toUpperCase();
+  if (testChannel && name !== 'IN_APP' && channels[testChannel]) {
+    return channels[testChannel];
+  }
+
+  const channel = channels[name];
+  if (!channel) {
+    throw new Error(`Unknown notification channel: ${name}`);
+  }
+  return channel;
+}
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  toWebhookPayload
+};
@@ -0,0 +1,416 @@
+/**
+ * Notification Outbox Service
+ * @module services/notifications/outboxService
+ * @created 2026-10-19
+ *
+ * Producers call enqueue() - optionally with their Prisma transaction client,
+ * so the notification is only stored if their own write commits. The outbox
+ * worker (services/notifications/outboxWorker) claims pending rows, delivers
+ * them through the channel registry and retries failures with exponential
+ * backoff up to max_attempts.
+ */
+
+const prisma = require('../../config/database');
+const logger = require('../../utils/logger');
+const { getChannel } = require('./channels');
+const { checkOutboundUrl } = require('../../utils/outboundUrl');
+
+const PERSONAL_CHANNELS = ['EMAIL', 'IN_APP'];
+// FILE and CONSOLE are developer channels (NOTIFICATION_TEST_CHANNEL), never tenant channels
+const TENANT_CHANNEL_TYPES = ['WEBHOOK', 'SLACK', 'TEAMS'];
+// Set by the HTTP client, a channel cannot override them
+const RESERVED_HEADERS = ['host', 'content-length', 'transfer-encoding', 'connection', 'expect', 'upgrade'];
+const OUTBOX_STATUSES = ['PENDING', 'PROCESSING', 'SENT', 'FAILED', 'CANCELLED'];
+
+// Fields returned by the outbox API: never the message body, which may
+// carry links with secrets (password reset)
+const OUTBOX_SUMMARY_FIELDS = {
+  id: true,
+  event_type: true,
+  channel: true,
+  channel_id: true,
+  recipient_employee_id: true,
+  recipient_email: true,
+  title: true,
+  status: true,
+  attempts: true,
+  max_attempts: true,
+  next_attempt_at: true,
+  last_error: true,
+  sent_at: true,
+  created_at: true
+};
+
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+class NotificationOutboxService {
+  /**
+   * Personal channels enabled for an event, given the recipient preferences.
+   * An event-specific preference wins over the '*' preference; channels
+   * without preferences are enabled.
+   */
+  static resolvePersonalChannels(eventType, preferences, requested = PERSONAL_CHANNELS) {
+    return requested.filter(channel => {
+      const specific = preferences.find(p => p.event_type === eventType && p.channel === channel);
+      if (specific) return specific.enabled;
+
+      const wildcard = preferences.find(p => p.event_type === '*' && p.channel === channel);
+      return wildcard ? wildcard.enabled : true;
+    });
+  }
+
+  /**
+   * Delay before the next attempt after `attempts` failed attempts
+   */
+  static getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_DELAY_MS);
+  }
+
+  /**
+   * Write a notification to the outbox
+   * @param {Object} event
+   * @param {string} event.tenantId
+   * @param {string} event.eventType - e.g. CAMPAIGN_REMINDER
+   * @param {string} event.title - subject / title
+   * @param {string} [event.message] - plain text body
+   * @param {string} [event.html] - HTML body for the EMAIL channel
+   * @param {Object} [event.data] - structured data for webhook channels
+   * @param {Array<{employeeId?: number, email?: string}>} [event.recipients] - IN_APP needs an employeeId
+   * @param {string[]} [event.channels] - personal channels to use (default EMAIL and IN_APP)
+   * @param {boolean} [event.broadcast] - also deliver to the tenant channels subscribed to the event
+   * @param {boolean} [event.mandatory] - ignore recipient preferences (security emails)
+   * @param {boolean} [event.sensitive] - the body carries a secret: it is erased once the
+   *   delivery ends (sent, failed or cancelled) and the notification cannot be retried
+   * @param {Object} [options]
+   * @param {Object} [options.tx] - Prisma transaction client of the producer
+   * @returns {Promise<number>} outbox rows created
+   */
+  static async enqueue(event, { tx } = {}) {
+    const db = tx || prisma;
+    const {
+      tenantId,
+      eventType,
+      title,
+      message = null,
+      html,
+      data,
+      recipients = [],
+      channels = PERSONAL_CHANNELS,
+      broadcast = false,
+      mandatory = false,
+      sensitive = false
+    } = event;
+
+    const base = {
+      tenant_id: tenantId,
+      event_type: eventType,
+      title: String(title).substring(0, 200),
+      message,
+      payload: { html: html || null, data: data || null, ...(sensitive ? { sensitive: true } : {}) }
+    };
+    const rows = [];
+
+    const employeeIds = recipients.map(r => r.employeeId).filter(Boolean);
+    if (recipients.length > 0) {
+      const preferences = employeeIds.length > 0 && !mandatory
+        ? await db.notification_preferences.findMany({
+          where: { employee_id: { in: employeeIds }, event_type: { in: [eventType, '*'] } }
+        })
+        : [];
+
+      const missingEmail = recipients.filter(r => r.employeeId && !r.email).map(r => r.employeeId);
+      const emails = new Map();
+      if (missingEmail.length > 0 && channels.includes('EMAIL')) {
+        const employees = await db.employees.findMany({
+          where: { id: { in: missingEmail } },
+          select: { id: true, email: true }
+        });
+        employees.forEach(e => emails.set(e.id, e.email));
+      }
+
+      for (const recipient of recipients) {
+        const enabled = this.resolvePersonalChannels(
+          eventType,
+          preferences.filter(p => p.employee_id === recipient.employeeId),
+          channels
+        ).filter(channel => channel !== 'IN_APP' || recipient.employeeId);
+
+        for (const channel of enabled) {
+          rows.push({
+            ...base,
+            channel,
+            recipient_employee_id: recipient.employeeId || null,
+            recipient_email: recipient.email || emails.get(recipient.employeeId) || null
+          });
+        }
+      }
+    }
+
+    if (broadcast) {
+      const tenantChannels = await db.notification_channels.findMany({
+        where: {
+          tenant_id: tenantId,
+          is_active: true,
+          OR: [{ event_types: { isEmpty: true } }, { event_types: { has: eventType } }]
+        },
+        select: { id: true, channel_type: true }
+      });
+
+      for (const target of tenantChannels) {
+        rows.push({ ...base, channel: target.channel_type, channel_id: target.id });
+      }
+    }
+
+    if (rows.length === 0) return 0;
+
+    const { count } = await db.notification_outbox.createMany({ data: rows });
+    return count;
+  }
+
+  /**
+   * Claim a batch of due notifications (safe with several workers)
+   * @returns {Promise<Array>} claimed rows with their tenant channel
+   */
+  static async claimBatch(limit = 50) {
+    // Release rows left in PROCESSING by a worker that crashed mid-delivery
+    await prisma.notification_outbox.updateMany({
+      where: {
+        status: 'PROCESSING',
+        locked_at: { lt: new Date(Date.now() - LOCK_TIMEOUT_MS) }
+      },
+      data: { status: 'PENDING', locked_at: null }
+    });
+
+    const claimed = await prisma.$queryRaw`
+      UPDATE notification_outbox
+      SET status = 'PROCESSING', locked_at = NOW(), updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM notification_outbox
+        WHERE status = 'PENDING' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id
+    `;
+    if (claimed.length === 0) return [];
+
+    return prisma.notification_outbox.findMany({
+      where: { id: { in: claimed.map(row => row.id) } },
+      include: { notification_channels: true },
+      orderBy: { created_at: 'asc' }
+    });
+  }
+
+  /**
+   * Fields that erase the body of a sensitive notification whose delivery ended
+   */
+  static redaction(notification) {
+    return notification.payload?.sensitive
+      ? { message: null, payload: { sensitive: true, redacted: true } }
+      : {};
+  }
+
+  /**
+   * Deliver one claimed notification and record the outcome
+   * @returns {Promise<string>} new status
+   */
+  static async deliver(notification, now = new Date()) {
+    const target = notification.notification_channels;
+
+    if (notification.channel_id && (!target || !target.is_active)) {
+      await prisma.notification_outbox.update({
+        where: { id: notification.id },
+        data: { status: 'CANCELLED', locked_at: null, last_error: 'Channel disabled', updated_at: now, ...this.redaction(notification) }
+      });
+      return 'CANCELLED';
+    }
+
+    try {
+      await getChannel(notification.channel).send(notification, target);
+
+      await prisma.notification_outbox.update({
+        where: { id: notification.id },
+        data: {
+          status: 'SENT',
+          attempts: notification.attempts + 1,
+          sent_at: now,
+          locked_at: null,
+          last_error: null,
+          updated_at: now,
+          ...this.redaction(notification)
+        }
+      });
+      return 'SENT';
+    } catch (error) {
+      const attempts = notification.attempts + 1;
+      const exhausted = attempts >= notification.max_attempts;
+      const status = exhausted ? 'FAILED' : 'PENDING';
+
+      await prisma.notification_outbox.update({
+        where: { id: notification.id },
+        data: {
+          status,
+          attempts,
+          last_error: String(error.message).substring(0, 1000),
+          next_attempt_at: exhausted ? notification.next_attempt_at : new Date(now.getTime() + this.getRetryDelay(attempts)),
+          locked_at: null,
+          updated_at: now,
+          ...(exhausted ? this.redaction(notification) : {})
+        }
+      });
+
+      if (exhausted) {
+        logger.error(`Notification ${notification.id} (${notification.channel}) failed after ${attempts} attempts`, error);
+      }
+      return status;
+    }
+  }
+
+  /**
+   * Claim and deliver one batch
+   * @returns {Promise<Object>} number of notifications per resulting status
+   */
+  static async processBatch(limit = 50) {
+    const stats = { processed: 0, SENT: 0, PENDING: 0, FAILED: 0, CANCELLED: 0 };
+    const batch = await this.claimBatch(limit);
+
+    for (const notification of batch) {
+      const status = await this.deliver(notification);
+      stats[status]++;
+      stats.processed++;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Validate a tenant channel from a create/update request
+   * @returns {{ errors: string[], data: Object }}
+   */
+  static validateChannelInput(body, { partial = false } = {}) {
+    const errors = [];
+    const data = {};
+
+    if (!partial || body.channel_type !== undefined) {
+      const type = String(body.channel_type || '').toUpperCase();
+      if (!TENANT_CHANNEL_TYPES.includes(type)) {
+        errors.push(`channel_type must be one of: ${TENANT_CHANNEL_TYPES.join(', ')}`);
+      } else {
+        data.channel_type = type;
+      }
+    }
+
+    if (!partial || body.name !== undefined) {
+      const name = String(body.name || '').trim();
+      if (!name) errors.push('name is required');
+      else data.name = name.substring(0, 100);
+    }
+
+    if (body.url !== undefined) {
+      data.url = body.url ? String(body.url).trim() : null;
+    }
+    if (data.channel_type && !partial && !/^https?:\/\//.test(data.url || '')) {
+      errors.push(`url must be an http(s) URL for ${data.channel_type} channels`);
+    }
+
+    if (body.headers !== undefined) {
+      const entries = body.headers && typeof body.headers === 'object' ? Object.entries(body.headers) : [];
+      if (body.headers !== null && (typeof body.headers !== 'object' || Array.isArray(body.headers) ||
+        entries.some(([, value]) => typeof value !== 'string'))) {
+        errors.push('headers must be an object of string values');
+      } else if (entries.some(([name]) => RESERVED_HEADERS.includes(name.toLowerCase()))) {
+        errors.push(`headers must not set ${RESERVED_HEADERS.join(', ')}`);
+      } else {
+        data.headers = body.headers;
+      }
+    }
+
+    if (body.event_types !== undefined) {
+      if (!Array.isArray(body.event_types) || body.event_types.some(e => typeof e !== 'string')) {
+        errors.push('event_types must be an array of event type names');
+      } else {
+        data.event_types = body.event_types.map(e => e.trim().toUpperCase()).filter(Boolean);
+      }
+    }
+
+    if (body.is_active !== undefined) {
+      data.is_active = body.is_active === true || body.is_active === 'true';
+    }
+
+    return { errors, data };
+  }
+
+  /**
+   * Check the destination of a channel as it will be stored: on update, the
+   * stored channel merged with the changes. The URL must be http(s) and must
+   * not resolve to a private or reserved address.
+   * @returns {Promise<string[]>} errors
+   */
+  static async validateChannelTarget(channel) {
+    if (!TENANT_CHANNEL_TYPES.includes(channel.channel_type)) {
+      return [`channel_type must be one of: ${TENANT_CHANNEL_TYPES.join(', ')}`];
+    }
+
+    const reason = channel.url ? await checkOutboundUrl(channel.url) : 'url must be an http(s) URL';
+    return reason ? [`${reason} for ${channel.channel_type} channels`] : [];
+  }
+
+  /**
+   * Send a test message to a tenant channel right away (bypasses the outbox)
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  static async testChannel(target) {
+    try {
+      await getChannel(target.channel_type).send({
+        id: null,
+        tenant_id: target.tenant_id,
+        event_type: 'TEST',
+        channel: target.channel_type,
+        title: 'Test notification',
+        message: `Test message for channel "${target.name}"`,
+        payload: null,
+        created_at: new Date()
+      }, target);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Requeue a failed or cancelled notification
+   * Sensitive notifications are not retryable: their body is gone, the
+   * recipient asks for a new one (e.g. a new reset link).
+   * @returns {Promise<Object|null>} the notification summary, or null if not found / not retryable
+   */
+  static async retry(tenantId, id) {
+    const notification = await prisma.notification_outbox.findFirst({
+      where: { id, tenant_id: tenantId, status: { in: ['FAILED', 'CANCELLED'] } },
+      select: { id: true, payload: true }
+    });
+    if (!notification || notification.payload?.sensitive) return null;
+
+    const { count } = await prisma.notification_outbox.updateMany({
+      where: { id, tenant_id: tenantId, status: { in: ['FAILED', 'CANCELLED'] } },
+      data: {
+        status: 'PENDING',
+        attempts: 0,
+        next_attempt_at: new Date(),
+        last_error: null,
+        updated_at: new Date()
+      }
+    });
+    if (count === 0) return null;
+
+    return prisma.notification_outbox.findUnique({ where: { id }, select: OUTBOX_SUMMARY_FIELDS });
+  }
+}
+
+module.exports = NotificationOutboxService;
+module.exports.PERSONAL_CHANNELS = PERSONAL_CHANNELS;
+module.exports.TENANT_CHANNEL_TYPES = TENANT_CHANNEL_TYPES;
+module.exports.OUTBOX_STATUSES = OUTBOX_STATUSES;
+module.exports.OUTBOX_SUMMARY_FIELDS = OUTBOX_SUMMARY_FIELDS;
@@ -0,0 +1,88 @@
+/**
+ * Notification Outbox Worker
+ * Polls notification_outbox and delivers pending notifications
+ * @module services/notifications/outboxWorker
+ * @created 2026-10-19
+ */
+
+const NotificationOutboxService = require('./outboxService');
+
+let workerInterval = null;
+let isRunning = false;
+let isPolling = false;
+let sentCount = 0;
+let failedCount = 0;
+
+/**
+ * Deliver one batch (skipped if the previous poll is still running)
+ */
+async function poll() {
+  if (isPolling) return;
+  isPolling = true;
+
+  try {
+    const stats = await NotificationOutboxService.processBatch();
+    sentCount += stats.SENT;
+    failedCount += stats.FAILED;
+
+    if (stats.processed > 0) {
+      console.log(`[NOTIFICATION WORKER] Processed ${stats.processed} notifications (sent: ${stats.SENT}, retry: ${stats.PENDING}, failed: ${stats.FAILED})`);
+    }
+  } catch (error) {
+    console.error('[NOTIFICATION WORKER] Poll error:', error.message);
+  } finally {
+    isPolling = false;
+  }
+}
+
+/**
+ * Start the outbox worker
+ * @param {number} intervalMs - Polling interval in milliseconds (default: 15000 = 15s)
+ */
+function startWorker(intervalMs = 15000) {
+  if (isRunning) {
+    console.log('[NOTIFICATION WORKER] Already running, skipping start');
+    return;
+  }
+
+  isRunning = true;
+  sentCount = 0;
+  failedCount = 0;
+
+  poll();
+  workerInterval = setInterval(poll, intervalMs);
+
+  console.log(`[NOTIFICATION WORKER] Started (polling every ${intervalMs / 1000}s)`);
+}
+
+/**
+ * Stop the outbox worker
+ */
+function stopWorker() {
+  if (!isRunning) return;
+
+  isRunning = false;
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+  }
+
+  console.log(`[NOTIFICATION WORKER] Stopped (sent: ${sentCount}, failed: ${failedCount})`);
+}
+
+/**
+ * Get worker statistics
+ */
+function getWorkerStats() {
+  return {
+    isRunning,
+    sentCount,
+    failedCount
+  };
+}
+
+module.exports = {
+  startWorker,
+  stopWorker,
+  getWorkerStats
+};
@@ -0,0 +1,163 @@
+/**
+ * Password Reset Service
+ * @module services/passwordResetService
+ * @created 2026-10-19
+ *
+ * Self-service forgot/reset password for tenant users. The emailed token is
+ * random and only its SHA-256 hash is stored in tenant_users.password_reset_token
+ * (prefixed with RESET_TOKEN_PREFIX). Tokens expire after
+ * PASSWORD_RESET_TOKEN_TTL_MINUTES and are cleared when used.
+ *
+ * Admin-forced password changes (tenantUserController/tenantUserService) also
+ * write a UUID into password_reset_token: those values are not prefixed and
+ * keep meaning "must change password at next login".
+ */
+
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const NotificationOutboxService = require('./notifications/outboxService');
+const SessionService = require('./sessionService');
+const { getEmailService } = require('./emailNotificationService');
+
+const RESET_TOKEN_PREFIX = 'reset:';
+const DEFAULT_TOKEN_TTL_MINUTES = 60;
+// Minimum delay between two reset emails for the same account
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+class PasswordResetService {
+  static getTokenTtlMinutes() {
+    return parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || DEFAULT_TOKEN_TTL_MINUTES;
+  }
+
+  /**
+   * Stored value of a reset token
+   */
+  static hashToken(token) {
+    return RESET_TOKEN_PREFIX + crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  static isSelfServiceToken(storedToken) {
+    return typeof storedToken === 'string' && storedToken.startsWith(RESET_TOKEN_PREFIX);
+  }
+
+  /**
+   * Whether the user must change password at login (admin-forced change)
+   */
+  static mustChangePassword(user) {
+    return !!user.force_password_change ||
+      (!!user.password_reset_token && !this.isSelfServiceToken(user.password_reset_token));
+  }
+
+  /**
+   * Issue a reset token and queue the reset email.
+   * Resolves without error for unknown or inactive emails, so the caller
+   * can answer identically whether the account exists or not.
+   * @param {string} email
+   * @param {Date} [now]
+   * @returns {Promise<boolean>} whether an email was queued
+   */
+  static async requestReset(email, now = new Date()) {
+    const user = await prisma.tenant_users.findFirst({
+      where: { email, is_active: true },
+      include: {
+        employees: { select: { id: true, first_name: true } }
+      }
+    });
+    if (!user) return false;
+
+    const ttlMs = this.getTokenTtlMinutes() * 60 * 1000;
+    const selfService = this.isSelfServiceToken(user.password_reset_token);
+    const issuedAt = selfService && user.password_reset_expires_at
+      ? user.password_reset_expires_at.getTime() - ttlMs
+      : null;
+    if (issuedAt && issuedAt + RESEND_COOLDOWN_MS > now.getTime()) {
+      return false;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const resetUrl = new URL('/reset-password', process.env.FRONTEND_URL || 'http://localhost:5173');
+    resetUrl.searchParams.set('token', token);
+    const emailContent = getEmailService().buildPasswordReset({
+      userName: user.employees?.first_name || user.email,
+      resetUrl: resetUrl.toString(),
+      expiresInMinutes: this.getTokenTtlMinutes()
+    });
+
+    await prisma.$transaction(async (tx) => {
+      await tx.tenant_users.update({
+        where: { id: user.id },
+        data: {
+          password_reset_token: this.hashToken(token),
+          password_reset_expires_at: new Date(now.getTime() + ttlMs),
+          // The token overwrites an admin-forced change marker: keep the obligation
+          ...(user.password_reset_token && !selfService ? { force_password_change: true } : {}),
+          updated_at: now
+        }
+      });
+
+      await NotificationOutboxService.enqueue({
+        tenantId: user.tenant_id,
+        eventType: 'PASSWORD_RESET_REQUESTED',
+        title: emailContent.subject,
+        message: `Reimposta la password: ${resetUrl}`,
+        html: emailContent.html,
+        recipients: [{ employeeId: user.employee_id, email: user.email }],
+        channels: ['EMAIL'],
+        mandatory: true,
+        // The link is a credential: erased from the outbox once delivered
+        sensitive: true
+      }, { tx });
+    });
+
+    return true;
+  }
+
+  /**
+   * Set a new password with a reset token and revoke existing refresh tokens
+   * @param {string} token - token from the reset email
+   * @param {string} newPassword
+   * @param {Date} [now]
+   * @returns {Promise<Object|null>} the updated user, or null if the token is invalid, expired or used
+   */
+  static async resetPassword(token, newPassword, now = new Date()) {
+    const storedToken = this.hashToken(token);
+
+    const user = await prisma.tenant_users.findFirst({
+      where: {
+        password_reset_token: storedToken,
+        password_reset_expires_at: { gt: now },
+        is_active: true
+      },
+      select: { id: true, email: true, tenant_id: true }
+    });
+    if (!user) return null;
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+
+    // Conditional update: a token can only be consumed once
+    const { count } = await prisma.tenant_users.updateMany({
+      where: { id: user.id, password_reset_token: storedToken },
+      data: {
+        password_hash: passwordHash,
+        password_reset_token: null,
+        password_reset_expires_at: null,
+        force_password_change: false,
+        refresh_token: null,
+        refresh_token_expires_at: null,
+        failed_login_count: 0,
+        locked_until: null,
+        updated_at: now
+      }
+    });
+
+    if (count === 0) return null;
+
+    // Whoever knew the old password is logged out of every device
+    await SessionService.revokeAllForUser(user.id, SessionService.REVOKE_REASONS.PASSWORD_RESET);
+    return user;
+  }
+}
+
+module.exports = PasswordResetService;
+module.exports.RESET_TOKEN_PREFIX = RESET_TOKEN_PREFIX;
@@ -2,160 +2,45 @@
  * Recommendation Engine Service
  * Sistema intelligente di raccomandazioni basato su risultati assessment
  * @module services/recommendationEngine
+ *
+ * Le raccomandazioni provengono dal catalogo formativo del tenant
+ * (learning_catalog_items, vedi LearningCatalogService): corsi, workshop
+ * interni, mentor, stretch project e letture collegati a skill/soft skill.
  */
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../config/database');
+const LearningCatalogService = require('./learningCatalogService');
 
-class RecommendationEngine {
-  constructor() {
-    this.recommendationDatabase = {
-      training: {
-        Leadership: [
-          {
-            title: 'Leadership Essentials',
-            provider: 'LinkedIn Learning',
-            duration: '4 hours',
-            level: 'intermediate',
-            format: 'online',
-            description: 'Fondamenti di leadership moderna per team digitali',
-            link: 'https://learning.linkedin.com/leadership',
-            skills: ['Leadership', 'Team Management', 'Decision Making']
-          },
-          {
-            title: 'Situational Leadership Workshop',
-            provider: 'Internal Training',
-            duration: '2 days',
-            level: 'advanced',
-            format: 'classroom',
-            description: 'Workshop intensivo su leadership situazionale',
-            skills: ['Leadership', 'Adaptability', 'Coaching']
-          }
-        ],
-        Communication: [
-          {
-            title: 'Effective Business Communication',
-            provider: 'Coursera',
-            duration: '6 weeks',
-            level: 'beginner',
-            format: 'online',
-            description: 'Migliora comunicazione scritta e verbale nel business',
-            link: 'https://coursera.org/communication',
-            skills: ['Communication', 'Presentation', 'Writing']
-          },
-          {
-            title: 'Crucial Conversations',
-            provider: 'VitalSmarts',
-            duration: '16 hours',
-            level: 'intermediate',
-            format: 'workshop',
-            description: 'Gestire conversazioni difficili con successo',
-            skills: ['Communication', 'Conflict Resolution', 'Negotiation']
-          }
-        ],
-        ProblemSolving: [
-          {
-            title: 'Design Thinking Fundamentals',
-            provider: 'IDEO U',
-            duration: '5 weeks',
-            level: 'intermediate',
-            format: 'online',
-            description: 'Approccio creativo alla risoluzione problemi',
-            link: 'https://ideou.com/design-thinking',
-            skills: ['Problem Solving', 'Innovation', 'Creativity']
-          },
-          {
-            title: 'Data-Driven Decision Making',
-            provider: 'Google',
-            duration: '8 hours',
-            level: 'intermediate',
-            format: 'online',
-            description: 'Usare dati per decisioni strategiche',
-            skills: ['Problem Solving', 'Analytics', 'Decision Making']
-          }
-        ]
-      },
-      mentoring: {
-        Leadership: [
-          {
-            title: 'Executive Mentorship Program',
-            description: 'Mentoring 1:1 con senior executive',
-            duration: '6 months',
-            frequency: 'Biweekly',
-            focus: ['Strategic thinking', 'Executive presence', 'Change management']
-          }
-        ],
-        Communication: [
-          {
-            title: 'Communication Coach',
-            description: 'Coaching personalizzato su comunicazione efficace',
-            duration: '3 months',
-            frequency: 'Weekly',
-            focus: ['Public speaking', 'Written communication', 'Stakeholder management']
-          }
-        ]
-      },
-      projects: {
-        Leadership: [
-          {
-            title: 'Lead Cross-functional Initiative',
-            description: 'Guidare progetto inter-dipartimentale',
-            duration: '3-6 months',
-            complexity: 'high',
-            skills: ['Leadership', 'Project Management', 'Stakeholder Management']
-          }
-        ],
-        TeamWork: [
-          {
-            title: 'Agile Team Transformation',
-            description: 'Partecipare a trasformazione agile del team',
-            duration: '2-3 months',
-            complexity: 'medium',
-            skills: ['Team Work', 'Collaboration', 'Agile Methods']
-          }
-        ]
-      },
-      reading: {
-        Leadership: [
-          {
-            title: 'The Five Dysfunctions of a Team',
-            author: 'Patrick Lencioni',
-            type: 'book',
-            estimatedTime: '8 hours',
-            description: 'Classico sulla gestione efficace dei team'
-          },
-          {
-            title: 'Leaders Eat Last',
-            author: 'Simon Sinek',
-            type: 'book',
-            estimatedTime: '10 hours',
-            description: 'Leadership attraverso il servizio al team'
-          }
-        ],
-        Communication: [
-          {
-            title: 'Nonviolent Communication',
-            author: 'Marshall Rosenberg',
-            type: 'book',
-            estimatedTime: '6 hours',
-            description: 'Comunicazione empatica e non violenta'
-          }
-        ]
-      }
-    };
-  }
+/**
+ * Catalog item type -> recommendation type
+ */
+const RECOMMENDATION_TYPES = {
+  COURSE: 'training',
+  WORKSHOP: 'training',
+  MENTORING: 'mentoring',
+  STRETCH_PROJECT: 'project',
+  READING: 'reading'
+};
+
+/**
+ * Target score (0-100) for soft skills required by the employee's role
+ */
+const SOFT_SKILL_TARGET_SCORE = 70;
 
+class RecommendationEngine {
   /**
    * Genera raccomandazioni personalizzate basate su risultati assessment
    * @param {string} userId - ID utente
    * @param {Object} assessmentResults - Risultati assessment con skills
-   * @param {Object} userProfile - Profilo utente (ruolo, seniority, etc)
+   * @param {Object} userProfile - Profilo utente (tenantId, ruolo, seniority, etc)
    * @returns {Array} Lista raccomandazioni prioritizzate
    */
   async generateRecommendations(userId, assessmentResults, userProfile) {
     try {
       console.log(`Generating recommendations for user ${userId}`);
 
+      const catalog = await LearningCatalogService.getActiveItems(userProfile.tenantId);
+
       // Identify skill gaps
       const gaps = await this.identifySkillGaps(assessmentResults, userProfile);
 
@@ -163,10 +48,10 @@ class RecommendationEngine {
       const strengths = this.identifyStrengths(assessmentResults);
 
       // Generate recommendations for gaps
-      const gapRecommendations = await this.generateGapRecommendations(gaps, userProfile);
+      const gapRecommendations = await this.generateGapRecommendations(gaps, userProfile, catalog);
 
       // Generate leverage recommendations for strengths
-      const strengthRecommendations = this.generateStrengthRecommendations(strengths, userProfile);
+      const strengthRecommendations = this.generateStrengthRecommendations(strengths, userProfile, catalog);
 
       // Combine and prioritize all recommendations
       const allRecommendations = [
@@ -211,6 +96,8 @@ class RecommendationEngine {
         const gap = target.minScore - skill.score;
         if (gap > 0) {
           gaps.push({
+            skillId: skill.skillId || null,
+            softSkillId: skill.softSkillId || null,
             skillName: skill.skillName,
             currentScore: skill.score,
             targetScore: target.minScore,
@@ -237,20 +124,30 @@ class RecommendationEngine {
   }
 
   /**
-   * Genera raccomandazioni per colmare gap
+   * Genera raccomandazioni per colmare gap, scegliendo dal catalogo del tenant
+   * @param {Array} gaps - Gap ordinati per priorità ({ skillId?, softSkillId?, skillName, ... })
+   * @param {Object} userProfile - Profilo utente (tenantId, seniority, ...)
+   * @param {Array} [catalog] - Voci attive del catalogo (caricate se assenti)
    */
-  async generateGapRecommendations(gaps, userProfile) {
+  async generateGapRecommendations(gaps, userProfile, catalog = null) {
+    const items = catalog || await LearningCatalogService.getActiveItems(userProfile.tenantId);
     const recommendations = [];
 
     for (const gap of gaps.slice(0, 5)) { // Focus on top 5 gaps
+      const matched = LearningCatalogService.matchItems(items, gap);
+      const base = {
+        priority: gap.priority,
+        skill: gap.skillName,
+        skillId: gap.skillId || null,
+        softSkillId: gap.softSkillId || null,
+        gap: gap.gap
+      };
+
       // Training recommendations
-      const trainings = this.getTrainingSuggestions(gap.skillName, gap.currentScore);
+      const trainings = this.getTrainingSuggestions(matched, gap.currentScore);
       trainings.forEach(training => {
         recommendations.push({
-          type: 'training',
-          priority: gap.priority,
-          skill: gap.skillName,
-          gap: gap.gap,
+          ...base,
           ...training,
           reason: `Colmare gap di ${gap.gap} punti in ${gap.skillName}`
         });
@@ -258,14 +155,12 @@ class RecommendationEngine {
 
       // Mentoring for complex skills
       if (gap.complexity === 'high' && gap.gap > 20) {
-        const mentoring = this.getMentoringSuggestions(gap.skillName);
+        const mentoring = this.getMentoringSuggestions(matched);
         mentoring.forEach(mentor => {
           recommendations.push({
-            type: 'mentoring',
-            priority: gap.priority * 1.2, // Higher priority for mentoring
-            skill: gap.skillName,
-            gap: gap.gap,
+            ...base,
             ...mentor,
+            priority: gap.priority * 1.2, // Higher priority for mentoring
             reason: `Supporto personalizzato per sviluppare ${gap.skillName}`
           });
         });
@@ -273,28 +168,24 @@ class RecommendationEngine {
 
       // Project assignments for practical skills
       if (gap.gap <= 30 && userProfile.seniority >= 2) {
-        const projects = this.getProjectSuggestions(gap.skillName);
+        const projects = this.getProjectSuggestions(matched);
         projects.forEach(project => {
           recommendations.push({
-            type: 'project',
-            priority: gap.priority * 0.9,
-            skill: gap.skillName,
-            gap: gap.gap,
+            ...base,
             ...project,
+            priority: gap.priority * 0.9,
             reason: `Esperienza pratica per migliorare ${gap.skillName}`
           });
         });
       }
 
       // Reading suggestions for all
-      const readings = this.getReadingSuggestions(gap.skillName);
+      const readings = this.getReadingSuggestions(matched);
       readings.forEach(reading => {
         recommendations.push({
-          type: 'reading',
-          priority: gap.priority * 0.7,
-          skill: gap.skillName,
-          gap: gap.gap,
+          ...base,
           ...reading,
+          priority: gap.priority * 0.7,
           reason: `Approfondimento teorico su ${gap.skillName}`
         });
       });
@@ -306,15 +197,16 @@ class RecommendationEngine {
   /**
    * Genera raccomandazioni per sfruttare punti di forza
    */
-  generateStrengthRecommendations(strengths, userProfile) {
+  generateStrengthRecommendations(strengths, userProfile, catalog = []) {
     const recommendations = [];
 
     strengths.forEach(strength => {
+      const matched = LearningCatalogService.matchItems(catalog, strength);
+
       // Suggest advanced training for strengths
-      const advancedTraining = this.getAdvancedTraining(strength.skillName);
+      const advancedTraining = this.getAdvancedTraining(matched);
       if (advancedTraining) {
         recommendations.push({
-          type: 'training',
           priority: 50, // Lower priority than gaps
           skill: strength.skillName,
           ...advancedTraining,
@@ -336,10 +228,9 @@ class RecommendationEngine {
       }
 
       // Suggest stretch projects
-      const stretchProjects = this.getStretchProjects(strength.skillName);
+      const stretchProjects = this.getStretchProjects(matched);
       stretchProjects.forEach(project => {
         recommendations.push({
-          type: 'project',
           priority: 45,
           skill: strength.skillName,
           ...project,
@@ -373,54 +264,99 @@ class RecommendationEngine {
   }
 
   /**
-   * Get training suggestions for skill
+   * Convert a catalog item into recommendation fields
    */
-  getTrainingSuggestions(skillName, currentScore) {
-    const trainings = this.recommendationDatabase.training[skillName] || [];
-
-    // Filter by appropriate level
-    return trainings.filter(training => {
-      if (currentScore < 40) return training.level === 'beginner';
-      if (currentScore < 70) return training.level === 'intermediate';
-      return training.level === 'advanced';
-    }).slice(0, 2); // Max 2 training suggestions per skill
+  toRecommendation(item) {
+    let duration = null;
+    if (item.duration_weeks) {
+      duration = `${item.duration_weeks} ${item.duration_weeks === 1 ? 'week' : 'weeks'}`;
+    } else if (item.duration_hours !== null && item.duration_hours !== undefined) {
+      duration = `${Number(item.duration_hours)} hours`;
+    }
+
+    const mentor = item.employees
+      ? { id: item.employees.id, name: `${item.employees.first_name} ${item.employees.last_name}`, email: item.employees.email }
+      : null;
+
+    return {
+      type: RECOMMENDATION_TYPES[item.item_type],
+      catalogItemId: item.id,
+      catalogItemType: item.item_type,
+      title: item.title,
+      description: item.description,
+      provider: item.provider || mentor?.name || null,
+      link: item.url,
+      format: item.item_type === 'WORKSHOP' ? 'workshop' : (item.delivery_format || '').toLowerCase() || null,
+      level: item.level === 'ALL' ? null : item.level.toLowerCase(),
+      complexity: item.complexity ? item.complexity.toLowerCase() : null,
+      duration,
+      durationHours: item.duration_hours !== null && item.duration_hours !== undefined ? Number(item.duration_hours) : null,
+      durationWeeks: item.duration_weeks || null,
+      cost: item.cost !== null && item.cost !== undefined ? Number(item.cost) : null,
+      currency: item.currency || null,
+      mentor
+    };
+  }
+
+  /**
+   * Get training suggestions (courses and workshops) suited to the current score
+   */
+  getTrainingSuggestions(items, currentScore) {
+    const level = LearningCatalogService.levelForScore(currentScore);
+
+    return items
+      .filter(item => ['COURSE', 'WORKSHOP'].includes(item.item_type))
+      .filter(item => item.level === level || item.level === 'ALL')
+      // Prefer items targeted at the exact level
+      .sort((a, b) => (a.level === level ? 0 : 1) - (b.level === level ? 0 : 1))
+      .slice(0, 2) // Max 2 training suggestions per skill
+      .map(item => this.toRecommendation(item));
   }
 
   /**
    * Get mentoring suggestions
    */
-  getMentoringSuggestions(skillName) {
-    return this.recommendationDatabase.mentoring[skillName] || [];
+  getMentoringSuggestions(items) {
+    return items
+      .filter(item => item.item_type === 'MENTORING')
+      .map(item => this.toRecommendation(item));
   }
 
   /**
    * Get project suggestions
    */
-  getProjectSuggestions(skillName) {
-    return this.recommendationDatabase.projects[skillName] || [];
+  getProjectSuggestions(items) {
+    return items
+      .filter(item => item.item_type === 'STRETCH_PROJECT')
+      .map(item => this.toRecommendation(item));
   }
 
   /**
    * Get reading suggestions
    */
-  getReadingSuggestions(skillName) {
-    return this.recommendationDatabase.reading[skillName] || [];
+  getReadingSuggestions(items) {
+    return items
+      .filter(item => item.item_type === 'READING')
+      .map(item => this.toRecommendation(item));
   }
 
   /**
    * Get advanced training for strengths
    */
-  getAdvancedTraining(skillName) {
-    const trainings = this.recommendationDatabase.training[skillName] || [];
-    return trainings.find(t => t.level === 'advanced');
+  getAdvancedTraining(items) {
+    const training = items.find(item =>
+      ['COURSE', 'WORKSHOP'].includes(item.item_type) && item.level === 'ADVANCED'
+    );
+    return training ? this.toRecommendation(training) : null;
   }
 
   /**
    * Get stretch projects for strengths
    */
-  getStretchProjects(skillName) {
-    const projects = this.recommendationDatabase.projects[skillName] || [];
-    return projects.filter(p => p.complexity === 'high');
+  getStretchProjects(items) {
+    return items
+      .filter(item => item.item_type === 'STRETCH_PROJECT' && item.complexity === 'HIGH')
+      .map(item => this.toRecommendation(item));
   }
 
   /**
@@ -614,8 +550,151 @@ class RecommendationEngine {
     }
   }
 
+  /**
+   * Load the current gaps of an employee
+   * - skill_gaps: technical skills vs. the requirements of the role
+   * - employee_soft_skills: soft skills expected by the employee's sub-roles,
+   *   compared with the latest assessment score (skills never assessed are skipped)
+   * @param {string} tenantId - Tenant UUID
+   * @param {number} employeeId
+   * @returns {Promise<Array>} Gaps sorted by priority, same shape as identifySkillGaps
+   */
+  async loadEmployeeGaps(tenantId, employeeId) {
+    const [skillGaps, expectedSoftSkills, assessments] = await Promise.all([
+      prisma.skill_gaps.findMany({ where: { employee_id: employeeId } }),
+      prisma.employee_soft_skills.findMany({
+        where: { employee_id: employeeId, tenant_id: tenantId },
+        include: { soft_skills: { select: { id: true, name: true } } }
+      }),
+      prisma.employee_soft_skill_assessments.findMany({
+        where: { employeeId },
+        orderBy: { calculatedAt: 'desc' },
+        select: { softSkillId: true, score: true }
+      })
+    ]);
+
+    const gaps = [];
+
+    // Technical skills: keep the largest gap when several roles require the same skill
+    const skillIds = [...new Set(skillGaps.map(g => g.skill_id))];
+    const skills = skillIds.length > 0
+      ? await prisma.skills.findMany({
+        where: { id: { in: skillIds } },
+        select: { id: true, Skill: true, NameKnown_Skill: true }
+      })
+      : [];
+    const bySkill = new Map();
+    for (const row of skillGaps) {
+      const required = row.required_level || 0;
+      if (required <= 0 || (row.gap_size ?? required - (row.current_level || 0)) <= 0) continue;
+
+      const currentScore = Math.min(100, Math.round(((row.current_level || 0) / required) * 100));
+      const gapPoints = row.gap_percentage !== null && row.gap_percentage !== undefined
+        ? Math.round(Number(row.gap_percentage))
+        : 100 - currentScore;
+      const previous = bySkill.get(row.skill_id);
+      if (previous && previous.gap >= gapPoints) continue;
+
+      const skill = skills.find(s => s.id === row.skill_id);
+      const importance = (row.priority || 'medium').toLowerCase();
+      bySkill.set(row.skill_id, {
+        skillId: row.skill_id,
+        softSkillId: null,
+        skillName: skill ? (skill.Skill || skill.NameKnown_Skill) : `Skill ${row.skill_id}`,
+        source: 'skill_gaps',
+        currentScore,
+        targetScore: 100,
+        gap: gapPoints,
+        priority: this.calculateGapPriority(gapPoints, importance),
+        complexity: importance === 'critical' || importance === 'high' ? 'high' : 'medium'
+      });
+    }
+    gaps.push(...bySkill.values());
+
+    // Soft skills: latest assessment score per skill
+    const latestScore = new Map();
+    for (const assessment of assessments) {
+      if (!latestScore.has(assessment.softSkillId)) latestScore.set(assessment.softSkillId, assessment.score);
+    }
+    const seenSoftSkills = new Set();
+    // role_soft_skills.priority: 1 = most important
+    const sortedExpected = [...expectedSoftSkills].sort((a, b) => (a.importance ?? 99) - (b.importance ?? 99));
+    for (const expected of sortedExpected) {
+      if (seenSoftSkills.has(expected.soft_skill_id) || !latestScore.has(expected.soft_skill_id)) continue;
+      seenSoftSkills.add(expected.soft_skill_id);
+
+      const currentScore = Math.round(latestScore.get(expected.soft_skill_id));
+      const gapPoints = SOFT_SKILL_TARGET_SCORE - currentScore;
+      if (gapPoints <= 0) continue;
+
+      let importance = 'low';
+      if (expected.importance !== null && expected.importance <= 2) importance = 'high';
+      else if (expected.importance !== null && expected.importance <= 4) importance = 'medium';
+
+      gaps.push({
+        skillId: null,
+        softSkillId: expected.soft_skill_id,
+        skillName: expected.soft_skills?.name || `Soft skill ${expected.soft_skill_id}`,
+        source: 'employee_soft_skills',
+        currentScore,
+        targetScore: SOFT_SKILL_TARGET_SCORE,
+        gap: gapPoints,
+        priority: this.calculateGapPriority(gapPoints, importance),
+        complexity: importance === 'high' ? 'high' : 'medium'
+      });
+    }
+
+    return gaps.sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Build the training plan of an employee from their gaps and the tenant catalog
+   * @param {string} tenantId - Tenant UUID
+   * @param {number} employeeId
+   * @param {Object} [options]
+   * @param {string} [options.learningPreference] - 'self-paced' | 'interactive'
+   * @returns {Promise<Object|null>} { employee_id, gaps, recommendations, actionPlan, uncoveredGaps } or null if not found
+   */
+  async generateEmployeeTrainingPlan(tenantId, employeeId, { learningPreference } = {}) {
+    const employee = await prisma.employees.findFirst({
+      where: { id: employeeId, tenant_id: tenantId },
+      select: { id: true, hire_date: true }
+    });
+    if (!employee) return null;
+
+    const seniority = employee.hire_date
+      ? Math.floor((Date.now() - new Date(employee.hire_date).getTime()) / (365.25 * 24 * 60 * 60 * 1000))
+      : 0;
+    const userProfile = { tenantId, seniority, learningPreference };
+
+    const [gaps, catalog] = await Promise.all([
+      this.loadEmployeeGaps(tenantId, employeeId),
+      LearningCatalogService.getActiveItems(tenantId)
+    ]);
+
+    const gapRecommendations = await this.generateGapRecommendations(gaps, userProfile, catalog);
+    const recommendations = await this.enrichRecommendations(
+      this.prioritizeRecommendations(gapRecommendations, userProfile),
+      employeeId
+    );
+
+    const covered = new Set(gapRecommendations.map(r => r.skill));
+
+    return {
+      employee_id: employeeId,
+      catalog_size: catalog.length,
+      gaps,
+      recommendations,
+      actionPlan: await this.generateActionPlan(employeeId, recommendations),
+      // Top gaps the catalog has nothing for: input for the L&D team
+      uncoveredGaps: gaps.slice(0, 5).filter(g => !covered.has(g.skillName))
+    };
+  }
+
   /**
    * Generate action plan from recommendations
+   * Catalog durations are used when available: up to 8 hours is a quick win,
+   * otherwise the calendar span decides the horizon (3 / 6 / 12 months).
    */
   async generateActionPlan(userId, recommendations) {
     const actionPlan = {
@@ -629,7 +708,17 @@ class RecommendationEngine {
 
     recommendations.forEach(rec => {
       // Categorize by time and effort
-      if (rec.type === 'reading' || (rec.estimatedTime && rec.estimatedTime.includes('hour'))) {
+      if (rec.durationWeeks || rec.durationHours) {
+        if (!rec.durationWeeks && rec.durationHours <= 8) {
+          actionPlan.quickWins.push(rec);
+        } else if (!rec.durationWeeks || rec.durationWeeks <= 13) {
+          actionPlan.shortTerm.push(rec);
+        } else if (rec.durationWeeks <= 26) {
+          actionPlan.mediumTerm.push(rec);
+        } else {
+          actionPlan.longTerm.push(rec);
+        }
+      } else if (rec.type === 'reading' || (rec.estimatedTime && rec.estimatedTime.includes('hour'))) {
         actionPlan.quickWins.push(rec);
       } else if (rec.duration && rec.duration.includes('month')) {
         const months = parseInt(rec.duration);
@@ -649,6 +738,8 @@ class RecommendationEngine {
       }
     });
 
+    actionPlan.totalHours = recommendations.reduce((sum, rec) => sum + (rec.durationHours || 0), 0);
+
     return actionPlan;
   }
 }
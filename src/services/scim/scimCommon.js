@@ -0,0 +1,203 @@
+/**
+ * SCIM Common
+ * @module services/scim/scimCommon
+ * @created 2026-10-19
+ *
+ * SCIM 2.0 (RFC 7643/7644) building blocks shared by the Users and Groups
+ * services: schema URNs, errors, the filter subset used by Azure AD and Okta
+ * (`attr eq "value"` joined with `and`), list responses and PATCH operations
+ * applied to a resource representation.
+ */
+
+const SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  ENTERPRISE_USER: 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  LIST_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH_OP: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  RESOURCE_TYPE: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType'
+};
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Error returned with the SCIM error schema
+ */
+class ScimError extends Error {
+  constructor(status, detail, scimType = null) {
+    super(detail);
+    this.name = 'ScimError';
+    this.status = status;
+    this.scimType = scimType;
+  }
+
+  toJSON() {
+    return {
+      schemas: [SCHEMAS.ERROR],
+      status: String(this.status),
+      ...(this.scimType && { scimType: this.scimType }),
+      detail: this.message
+    };
+  }
+}
+
+/**
+ * Parse a filter made of `attribute eq "value"` comparisons joined by `and`
+ * @returns {Array<{ attribute: string, value: string|boolean|null }>} empty for no filter
+ * @throws {ScimError} 400 invalidFilter for anything else
+ */
+const parseFilter = (filter) => {
+  if (!filter || !String(filter).trim()) return [];
+
+  return String(filter).split(/\s+and\s+/i).map(part => {
+    const match = part.trim().match(/^([\w.:]+)\s+eq\s+(?:"((?:[^"\\]|\\.)*)"|(true|false|null))$/i);
+    if (!match) {
+      throw new ScimError(400, `Unsupported filter: ${part.trim()}`, 'invalidFilter');
+    }
+
+    const [, attribute, quoted, literal] = match;
+    const value = quoted !== undefined
+      ? quoted.replace(/\\(.)/g, '$1')
+      : literal.toLowerCase() === 'null' ? null : literal.toLowerCase() === 'true';
+    return { attribute, value };
+  });
+};
+
+/**
+ * startIndex (1-based) and count query parameters as skip/take
+ */
+const parsePaging = (query = {}) => {
+  const startIndex = Math.max(parseInt(query.startIndex) || 1, 1);
+  const count = query.count !== undefined
+    ? Math.min(Math.max(parseInt(query.count) || 0, 0), MAX_PAGE_SIZE)
+    : DEFAULT_PAGE_SIZE;
+  return { startIndex, count, skip: startIndex - 1, take: count };
+};
+
+const listResponse = (resources, total, { startIndex }) => ({
+  schemas: [SCHEMAS.LIST_RESPONSE],
+  totalResults: total,
+  startIndex,
+  itemsPerPage: resources.length,
+  Resources: resources
+});
+
+/**
+ * Split a PATCH path into the attribute, an optional `[sub eq "value"]`
+ * filter and an optional sub-attribute. Paths of an extension schema
+ * (`urn:...:User:department`) are resolved inside the extension object.
+ */
+const parsePath = (path) => {
+  let container = null;
+  let rest = path;
+
+  if (path.startsWith(SCHEMAS.ENTERPRISE_USER)) {
+    container = SCHEMAS.ENTERPRISE_USER;
+    rest = path.substring(SCHEMAS.ENTERPRISE_USER.length + 1);
+  }
+
+  const match = rest.match(/^([\w]+)(?:\[(\w+)\s+eq\s+"([^"]*)"\])?(?:\.([\w]+))?$/i);
+  if (!match) throw new ScimError(400, `Unsupported path: ${path}`, 'invalidPath');
+
+  const [, attribute, filterAttribute, filterValue, subAttribute] = match;
+  return {
+    container,
+    attribute,
+    filter: filterAttribute ? { attribute: filterAttribute, value: filterValue } : null,
+    subAttribute: subAttribute || null
+  };
+};
+
+/**
+ * Apply one add/replace/remove operation to a resource (in place)
+ */
+const applyOperation = (resource, { op, path, value }) => {
+  const operation = String(op || '').toLowerCase();
+  if (!['add', 'replace', 'remove'].includes(operation)) {
+    throw new ScimError(400, `Unsupported operation: ${op}`, 'invalidSyntax');
+  }
+
+  if (!path) {
+    if (operation === 'remove' || !value || typeof value !== 'object') {
+      throw new ScimError(400, 'Operations without a path need an object value', 'noTarget');
+    }
+    for (const [key, attributeValue] of Object.entries(value)) {
+      if (key === SCHEMAS.ENTERPRISE_USER && attributeValue && typeof attributeValue === 'object') {
+        resource[key] = { ...(resource[key] || {}), ...attributeValue };
+      } else {
+        applyOperation(resource, { op: operation, path: key, value: attributeValue });
+      }
+    }
+    return resource;
+  }
+
+  const { container, attribute, filter, subAttribute } = parsePath(path);
+  const target = container ? (resource[container] = resource[container] || {}) : resource;
+  const remove = operation === 'remove';
+
+  if (filter) {
+    // Multi-valued attribute element, e.g. emails[type eq "work"].value
+    const items = Array.isArray(target[attribute]) ? target[attribute] : [];
+    let item = items.find(element => String(element[filter.attribute]) === filter.value);
+
+    if (remove && !subAttribute) {
+      target[attribute] = items.filter(element => element !== item);
+      return resource;
+    }
+    if (!item) {
+      item = { [filter.attribute]: filter.value };
+      items.push(item);
+    }
+    if (subAttribute) item[subAttribute] = remove ? null : value;
+    else Object.assign(item, value);
+    target[attribute] = items;
+    return resource;
+  }
+
+  if (subAttribute) {
+    target[attribute] = { ...(target[attribute] || {}), [subAttribute]: remove ? null : value };
+  } else if (remove) {
+    target[attribute] = null;
+  } else if (operation === 'add' && Array.isArray(target[attribute]) && Array.isArray(value)) {
+    target[attribute] = [...target[attribute], ...value];
+  } else {
+    target[attribute] = value;
+  }
+  return resource;
+};
+
+/**
+ * Apply the operations of a PatchOp request to a copy of a resource
+ */
+const applyPatch = (resource, body) => {
+  if (!body || !Array.isArray(body.Operations)) {
+    throw new ScimError(400, 'Operations must be an array', 'invalidSyntax');
+  }
+  const patched = JSON.parse(JSON.stringify(resource));
+  for (const operation of body.Operations) {
+    applyOperation(patched, operation);
+  }
+  return patched;
+};
+
+/**
+ * SCIM booleans may arrive as strings ("False" from Azure AD)
+ */
+const toBoolean = (value, fallback = true) => {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value === 'string') return value.toLowerCase() === 'true';
+  return !!value;
+};
+
+module.exports = {
+  SCHEMAS,
+  ScimError,
+  parseFilter,
+  parsePaging,
+  listResponse,
+  applyPatch,
+  toBoolean
+};
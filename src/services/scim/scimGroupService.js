@@ -0,0 +1,358 @@
+/**
+ * SCIM Group Service
+ * @module services/scim/scimGroupService
+ * @created 2026-10-19
+ *
+ * SCIM Groups (scim_groups) and their members (employees). A group may carry
+ * an application role: on creation it comes from the SSO role_mapping of the
+ * tenant only (the group name alone never grants a role, anyone who can create
+ * IdP groups could pick it); tenant admins can change it afterwards. Whenever the members or the role
+ * of such a group change, the tenant users of the affected employees get the
+ * highest role of their groups, or the default role when none is left.
+ * Super admins are never changed.
+ */
+
+const prisma = require('../../config/database');
+const { APPLICATION_ROLES, ROLE_HIERARCHY } = require('../../constants/roles');
+const { SCHEMAS, ScimError, parseFilter, parsePaging, listResponse } = require('./scimCommon');
+
+// Roles a group can grant (never SUPER_ADMIN)
+const GROUP_ROLES = Object.values(APPLICATION_ROLES)
+  .filter(role => role !== APPLICATION_ROLES.SUPER_ADMIN);
+
+const GROUP_INCLUDE = {
+  scim_group_members: {
+    include: { employees: { select: { id: true, first_name: true, last_name: true } } },
+    orderBy: { employee_id: 'asc' }
+  }
+};
+
+class ScimGroupService {
+  static toResource(group, baseUrl = '', { excludeMembers = false } = {}) {
+    return {
+      schemas: [SCHEMAS.GROUP],
+      id: group.id,
+      externalId: group.external_id || undefined,
+      displayName: group.display_name,
+      ...(!excludeMembers && {
+        members: (group.scim_group_members || []).map(member => ({
+          value: String(member.employee_id),
+          display: member.employees
+            ? `${member.employees.first_name} ${member.employees.last_name}`.trim()
+            : undefined
+        }))
+      }),
+      meta: {
+        resourceType: 'Group',
+        created: group.created_at,
+        lastModified: group.updated_at,
+        location: `${baseUrl}/Groups/${group.id}`
+      }
+    };
+  }
+
+  /**
+   * Role for a new group from the SSO role mapping, null when unmapped
+   */
+  static resolveRole(displayName, roleMapping = {}) {
+    const mapped = roleMapping[displayName] && String(roleMapping[displayName]).toUpperCase();
+    return GROUP_ROLES.includes(mapped) ? mapped : null;
+  }
+
+  /**
+   * Role mapping and default role from the tenant SSO configuration
+   */
+  static async getRoleSettings(tenantId) {
+    const config = await prisma.tenant_sso_configs.findUnique({
+      where: { tenant_id: tenantId },
+      select: { role_mapping: true, default_role: true }
+    });
+    return {
+      roleMapping: (config && config.role_mapping) || {},
+      defaultRole: (config && config.default_role) || APPLICATION_ROLES.EMPLOYEE
+    };
+  }
+
+  static async findGroup(tenantId, id, db = prisma) {
+    const group = await db.scim_groups.findFirst({
+      where: { id: String(id), tenant_id: tenantId },
+      include: GROUP_INCLUDE
+    }).catch(error => {
+      // Malformed UUID
+      if (error.code === 'P2023') return null;
+      throw error;
+    });
+    if (!group) throw new ScimError(404, `Group ${id} not found`);
+    return group;
+  }
+
+  /**
+   * GET /Groups with filter (displayName, externalId, id), startIndex and count
+   */
+  static async list(tenantId, query = {}, baseUrl = '') {
+    const where = { tenant_id: tenantId };
+    for (const { attribute, value } of parseFilter(query.filter)) {
+      const name = attribute.toLowerCase();
+      if (name === 'displayname') where.display_name = String(value);
+      else if (name === 'externalid') where.external_id = value === null ? null : String(value);
+      else if (name === 'id') where.id = String(value);
+      else throw new ScimError(400, `Filtering on ${attribute} is not supported`, 'invalidFilter');
+    }
+
+    const excludeMembers = String(query.excludedAttributes || '').split(',')
+      .some(attribute => attribute.trim().toLowerCase() === 'members');
+    const paging = parsePaging(query);
+    const [groups, total] = await Promise.all([
+      paging.take > 0
+        ? prisma.scim_groups.findMany({
+          where,
+          include: excludeMembers ? undefined : GROUP_INCLUDE,
+          orderBy: { display_name: 'asc' },
+          skip: paging.skip,
+          take: paging.take
+        })
+        : [],
+      prisma.scim_groups.count({ where })
+    ]);
+
+    return listResponse(groups.map(g => this.toResource(g, baseUrl, { excludeMembers })), total, paging);
+  }
+
+  /**
+   * Employee ids of a members list, all in the tenant
+   */
+  static async resolveMembers(tx, tenantId, members) {
+    if (members === undefined || members === null) return [];
+    if (!Array.isArray(members)) throw new ScimError(400, 'members must be an array', 'invalidSyntax');
+
+    const ids = [...new Set(members.map(member => parseInt(member && member.value)))];
+    if (ids.some(id => !Number.isInteger(id))) {
+      throw new ScimError(400, 'members must reference Users by id', 'invalidValue');
+    }
+    if (ids.length === 0) return [];
+
+    const found = await tx.employees.findMany({
+      where: { id: { in: ids }, tenant_id: tenantId },
+      select: { id: true }
+    });
+    if (found.length !== ids.length) {
+      const known = found.map(e => e.id);
+      throw new ScimError(400, `Unknown members: ${ids.filter(id => !known.includes(id)).join(', ')}`, 'invalidValue');
+    }
+    return ids;
+  }
+
+  static async setMembers(tx, groupId, employeeIds) {
+    await tx.scim_group_members.deleteMany({ where: { group_id: groupId } });
+    if (employeeIds.length > 0) {
+      await tx.scim_group_members.createMany({
+        data: employeeIds.map(employeeId => ({ group_id: groupId, employee_id: employeeId })),
+        skipDuplicates: true
+      });
+    }
+  }
+
+  static async assertNameAvailable(tx, tenantId, displayName, groupId = null) {
+    const existing = await tx.scim_groups.findFirst({
+      where: { tenant_id: tenantId, display_name: displayName, ...(groupId && { NOT: { id: groupId } }) },
+      select: { id: true }
+    });
+    if (existing) throw new ScimError(409, `Group ${displayName} already exists`, 'uniqueness');
+  }
+
+  /**
+   * Give the tenant users of employees the highest role of their groups
+   */
+  static async syncRoles(tx, tenantId, employeeIds, defaultRole = APPLICATION_ROLES.EMPLOYEE) {
+    for (const employeeId of [...new Set(employeeIds)]) {
+      const memberships = await tx.scim_group_members.findMany({
+        where: { employee_id: employeeId, scim_groups: { tenant_id: tenantId, role: { not: null } } },
+        include: { scim_groups: { select: { role: true } } }
+      });
+
+      const role = memberships
+        .map(membership => membership.scim_groups.role)
+        .reduce((best, candidate) => (
+          !best || (ROLE_HIERARCHY[candidate] || 0) > (ROLE_HIERARCHY[best] || 0) ? candidate : best
+        ), null) || defaultRole;
+
+      await tx.tenant_users.updateMany({
+        where: {
+          tenant_id: tenantId,
+          employee_id: employeeId,
+          NOT: { role: { equals: APPLICATION_ROLES.SUPER_ADMIN, mode: 'insensitive' } }
+        },
+        data: { role, updated_at: new Date() }
+      });
+    }
+  }
+
+  /**
+   * POST /Groups
+   */
+  static async create(tenantId, resource) {
+    const displayName = String((resource && resource.displayName) || '').trim();
+    if (!displayName) throw new ScimError(400, 'displayName is required', 'invalidValue');
+
+    const { roleMapping, defaultRole } = await this.getRoleSettings(tenantId);
+
+    return prisma.$transaction(async (tx) => {
+      await this.assertNameAvailable(tx, tenantId, displayName);
+      const memberIds = await this.resolveMembers(tx, tenantId, resource.members);
+
+      const group = await tx.scim_groups.create({
+        data: {
+          tenant_id: tenantId,
+          display_name: displayName.substring(0, 255),
+          external_id: resource.externalId ? String(resource.externalId) : null,
+          role: this.resolveRole(displayName, roleMapping)
+        }
+      });
+      await this.setMembers(tx, group.id, memberIds);
+      if (group.role) await this.syncRoles(tx, tenantId, memberIds, defaultRole);
+
+      return this.findGroup(tenantId, group.id, tx);
+    });
+  }
+
+  /**
+   * Write name and members of a group and resync the roles of the
+   * employees who joined or left it
+   */
+  static async save(tenantId, group, { displayName, externalId, memberIds }) {
+    const { defaultRole } = await this.getRoleSettings(tenantId);
+    const previousIds = group.scim_group_members.map(member => member.employee_id);
+
+    return prisma.$transaction(async (tx) => {
+      if (displayName !== group.display_name) {
+        await this.assertNameAvailable(tx, tenantId, displayName, group.id);
+      }
+
+      await tx.scim_groups.update({
+        where: { id: group.id },
+        data: { display_name: displayName.substring(0, 255), external_id: externalId, updated_at: new Date() }
+      });
+      await this.setMembers(tx, group.id, memberIds);
+
+      if (group.role) {
+        const changed = [
+          ...memberIds.filter(id => !previousIds.includes(id)),
+          ...previousIds.filter(id => !memberIds.includes(id))
+        ];
+        await this.syncRoles(tx, tenantId, changed, defaultRole);
+      }
+
+      return this.findGroup(tenantId, group.id, tx);
+    });
+  }
+
+  /**
+   * PUT /Groups/:id
+   */
+  static async replace(tenantId, id, resource) {
+    const group = await this.findGroup(tenantId, id);
+    const displayName = String((resource && resource.displayName) || '').trim();
+    if (!displayName) throw new ScimError(400, 'displayName is required', 'invalidValue');
+
+    const memberIds = await this.resolveMembers(prisma, tenantId, resource.members);
+    return this.save(tenantId, group, {
+      displayName,
+      externalId: resource.externalId ? String(resource.externalId) : null,
+      memberIds
+    });
+  }
+
+  /**
+   * PATCH /Groups/:id: displayName/externalId replace and members
+   * add/remove/replace (Azure AD and Okta forms)
+   */
+  static async patch(tenantId, id, body) {
+    if (!body || !Array.isArray(body.Operations)) {
+      throw new ScimError(400, 'Operations must be an array', 'invalidSyntax');
+    }
+
+    const group = await this.findGroup(tenantId, id);
+    let displayName = group.display_name;
+    let externalId = group.external_id;
+    let memberIds = group.scim_group_members.map(member => member.employee_id);
+
+    for (const { op, path, value } of body.Operations) {
+      const operation = String(op || '').toLowerCase();
+      const target = path ? String(path) : null;
+      const memberFilter = target && target.match(/^members\[value\s+eq\s+"([^"]+)"\]$/i);
+
+      if (!target && operation !== 'remove' && value && typeof value === 'object') {
+        if (value.displayName !== undefined) displayName = String(value.displayName).trim();
+        if (value.externalId !== undefined) externalId = value.externalId ? String(value.externalId) : null;
+        if (value.members !== undefined) {
+          const ids = await this.resolveMembers(prisma, tenantId, value.members);
+          memberIds = operation === 'add' ? [...new Set([...memberIds, ...ids])] : ids;
+        }
+      } else if (target && target.toLowerCase() === 'displayname' && operation !== 'remove') {
+        displayName = String(value || '').trim();
+      } else if (target && target.toLowerCase() === 'externalid') {
+        externalId = operation === 'remove' || !value ? null : String(value);
+      } else if (target && target.toLowerCase() === 'members') {
+        if (operation === 'remove') {
+          // Azure AD sends the members to remove as value; no value removes all
+          const ids = value ? (await this.resolveMembers(prisma, tenantId, [].concat(value))) : memberIds;
+          memberIds = memberIds.filter(memberId => !ids.includes(memberId));
+        } else {
+          const ids = await this.resolveMembers(prisma, tenantId, [].concat(value || []));
+          memberIds = operation === 'add' ? [...new Set([...memberIds, ...ids])] : ids;
+        }
+      } else if (memberFilter && operation === 'remove') {
+        memberIds = memberIds.filter(memberId => String(memberId) !== memberFilter[1]);
+      } else {
+        throw new ScimError(400, `Unsupported operation ${op} ${path || ''}`.trim(), 'invalidPath');
+      }
+    }
+
+    if (!displayName) throw new ScimError(400, 'displayName is required', 'invalidValue');
+    return this.save(tenantId, group, { displayName, externalId, memberIds });
+  }
+
+  /**
+   * DELETE /Groups/:id (members of a role group fall back to their other groups)
+   */
+  static async remove(tenantId, id) {
+    const group = await this.findGroup(tenantId, id);
+    const { defaultRole } = await this.getRoleSettings(tenantId);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.scim_groups.delete({ where: { id: group.id } });
+      if (group.role) {
+        await this.syncRoles(tx, tenantId, group.scim_group_members.map(m => m.employee_id), defaultRole);
+      }
+    });
+    return group;
+  }
+
+  /**
+   * Change the role granted by a group (tenant admin)
+   * @param {string|null} role - one of GROUP_ROLES, null for none
+   */
+  static async setRole(tenantId, id, role) {
+    const normalized = role === null || role === undefined || role === '' ? null : String(role).toUpperCase();
+    if (normalized !== null && !GROUP_ROLES.includes(normalized)) {
+      throw new ScimError(400, `role must be one of: ${GROUP_ROLES.join(', ')}`, 'invalidValue');
+    }
+
+    const group = await this.findGroup(tenantId, id);
+    const { defaultRole } = await this.getRoleSettings(tenantId);
+
+    return prisma.$transaction(async (tx) => {
+      const updated = await tx.scim_groups.update({
+        where: { id: group.id },
+        data: { role: normalized, updated_at: new Date() }
+      });
+      if (normalized !== group.role) {
+        await this.syncRoles(tx, tenantId, group.scim_group_members.map(m => m.employee_id), defaultRole);
+      }
+      return updated;
+    });
+  }
+}
+
+module.exports = ScimGroupService;
+module.exports.GROUP_ROLES = GROUP_ROLES;
@@ -0,0 +1,381 @@
+/**
+ * SCIM User Service
+ * @module services/scim/scimUserService
+ * @created 2026-10-19
+ *
+ * SCIM Users are employees together with their tenant user (login account).
+ * - id: employees.id; externalId: employees.scim_external_id
+ * - userName / primary email: employees.email and tenant_users.email
+ * - active: employees.is_active and tenant_users.is_active (deactivation
+ *   also revokes the sessions of the tenant user)
+ * - enterprise extension: employeeNumber, department (by name, created when
+ *   missing) and manager (SCIM id of the manager)
+ * Provisioned tenant users have no password: they sign in through SSO.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../../config/database');
+const { APPLICATION_ROLES } = require('../../constants/roles');
+const SessionService = require('../sessionService');
+const { SCHEMAS, ScimError, parseFilter, parsePaging, listResponse, applyPatch, toBoolean } = require('./scimCommon');
+
+const EMPLOYEE_INCLUDE = {
+  departments: { select: { department_name: true } },
+  tenant_users: { select: { id: true, email: true, is_active: true, role: true } },
+  scim_group_members: {
+    include: { scim_groups: { select: { id: true, display_name: true } } }
+  }
+};
+
+// Filterable attributes -> employees where clause
+const FILTERS = {
+  username: (value) => ({ email: { equals: String(value), mode: 'insensitive' } }),
+  'emails.value': (value) => ({ email: { equals: String(value), mode: 'insensitive' } }),
+  externalid: (value) => ({ scim_external_id: value === null ? null : String(value) }),
+  id: (value) => ({ id: parseInt(value) || -1 }),
+  active: (value) => ({ is_active: value === true })
+};
+
+class ScimUserService {
+  static parseId(id) {
+    const employeeId = parseInt(id);
+    if (!Number.isInteger(employeeId) || String(employeeId) !== String(id)) {
+      throw new ScimError(404, `User ${id} not found`);
+    }
+    return employeeId;
+  }
+
+  /**
+   * SCIM representation of an employee (loaded with EMPLOYEE_INCLUDE)
+   */
+  static toResource(employee, baseUrl = '') {
+    const tenantUser = (employee.tenant_users || [])[0] || null;
+    const email = tenantUser ? tenantUser.email : employee.email;
+
+    return {
+      schemas: [SCHEMAS.USER, SCHEMAS.ENTERPRISE_USER],
+      id: String(employee.id),
+      externalId: employee.scim_external_id || undefined,
+      userName: email,
+      name: {
+        givenName: employee.first_name,
+        familyName: employee.last_name,
+        formatted: `${employee.first_name} ${employee.last_name}`.trim()
+      },
+      displayName: `${employee.first_name} ${employee.last_name}`.trim(),
+      title: employee.position || undefined,
+      active: employee.is_active !== false && (!tenantUser || tenantUser.is_active),
+      emails: [{ value: email, type: 'work', primary: true }],
+      groups: (employee.scim_group_members || []).map(member => ({
+        value: member.scim_groups.id,
+        display: member.scim_groups.display_name
+      })),
+      [SCHEMAS.ENTERPRISE_USER]: {
+        employeeNumber: employee.employee_code || undefined,
+        department: employee.departments ? employee.departments.department_name : undefined,
+        manager: employee.manager_id ? { value: String(employee.manager_id) } : undefined
+      },
+      meta: {
+        resourceType: 'User',
+        created: employee.created_at,
+        lastModified: employee.updated_at,
+        location: `${baseUrl}/Users/${employee.id}`
+      }
+    };
+  }
+
+  /**
+   * Employee fields from a SCIM User resource (POST / PUT body)
+   */
+  static parseResource(resource) {
+    if (!resource || typeof resource !== 'object') {
+      throw new ScimError(400, 'Invalid User resource', 'invalidSyntax');
+    }
+
+    const emails = Array.isArray(resource.emails) ? resource.emails : [];
+    const primaryEmail = emails.find(e => e && toBoolean(e.primary, false)) ||
+      emails.find(e => e && e.type === 'work') || emails[0];
+    const email = String(resource.userName || (primaryEmail && primaryEmail.value) || '').trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+      throw new ScimError(400, 'userName must be an email address', 'invalidValue');
+    }
+
+    const name = resource.name || {};
+    const enterprise = resource[SCHEMAS.ENTERPRISE_USER] || {};
+    const [localPart] = email.split('@');
+    const manager = enterprise.manager;
+    const managerId = manager && typeof manager === 'object' ? manager.value : manager;
+
+    return {
+      email,
+      externalId: resource.externalId ? String(resource.externalId) : null,
+      firstName: String(name.givenName || resource.displayName || localPart).substring(0, 100),
+      lastName: String(name.familyName || '').substring(0, 100),
+      title: resource.title ? String(resource.title).substring(0, 100) : null,
+      active: toBoolean(resource.active, true),
+      employeeNumber: enterprise.employeeNumber ? String(enterprise.employeeNumber).substring(0, 50) : null,
+      department: enterprise.department ? String(enterprise.department).trim() : null,
+      managerId: managerId ? String(managerId) : null
+    };
+  }
+
+  static async findEmployee(tenantId, id, db = prisma) {
+    const employee = await db.employees.findFirst({
+      where: { id: this.parseId(id), tenant_id: tenantId },
+      include: EMPLOYEE_INCLUDE
+    });
+    if (!employee) throw new ScimError(404, `User ${id} not found`);
+    return employee;
+  }
+
+  /**
+   * GET /Users with filter, startIndex and count
+   */
+  static async list(tenantId, query = {}, baseUrl = '') {
+    const where = { tenant_id: tenantId };
+    for (const { attribute, value } of parseFilter(query.filter)) {
+      const build = FILTERS[attribute.toLowerCase()];
+      if (!build) throw new ScimError(400, `Filtering on ${attribute} is not supported`, 'invalidFilter');
+      Object.assign(where, build(value));
+    }
+
+    const paging = parsePaging(query);
+    const [employees, total] = await Promise.all([
+      paging.take > 0
+        ? prisma.employees.findMany({
+          where,
+          include: EMPLOYEE_INCLUDE,
+          orderBy: { id: 'asc' },
+          skip: paging.skip,
+          take: paging.take
+        })
+        : [],
+      prisma.employees.count({ where })
+    ]);
+
+    return listResponse(employees.map(e => this.toResource(e, baseUrl)), total, paging);
+  }
+
+  /**
+   * Department id for a department name, created when missing
+   */
+  static async resolveDepartment(tx, tenantId, name) {
+    if (!name) return null;
+
+    const existing = await tx.departments.findFirst({
+      where: { tenant_id: tenantId, department_name: { equals: name, mode: 'insensitive' } },
+      select: { id: true }
+    });
+    if (existing) return existing.id;
+
+    const created = await tx.departments.create({
+      data: { tenant_id: tenantId, department_name: name.substring(0, 100), is_active: true },
+      select: { id: true }
+    });
+    return created.id;
+  }
+
+  static async resolveManager(tx, tenantId, managerId, employeeId = null) {
+    if (!managerId) return null;
+
+    const id = parseInt(managerId);
+    if (!Number.isInteger(id) || id === employeeId) {
+      throw new ScimError(400, `Invalid manager ${managerId}`, 'invalidValue');
+    }
+    const manager = await tx.employees.findFirst({ where: { id, tenant_id: tenantId }, select: { id: true } });
+    if (!manager) throw new ScimError(400, `Manager ${managerId} not found`, 'invalidValue');
+    return manager.id;
+  }
+
+  /**
+   * Fail with 409 when another employee of the tenant has the email or externalId,
+   * or when the email is the login of a tenant user not linked to this employee
+   */
+  static async assertUnique(tx, tenantId, data, employeeId = null) {
+    const others = { tenant_id: tenantId, ...(employeeId && { NOT: { id: employeeId } }) };
+
+    const sameEmail = await tx.employees.findFirst({
+      where: { ...others, email: { equals: data.email, mode: 'insensitive' } },
+      select: { id: true }
+    });
+    if (sameEmail) throw new ScimError(409, `User ${data.email} already exists`, 'uniqueness');
+
+    const sameLogin = await tx.tenant_users.findFirst({
+      where: {
+        tenant_id: tenantId,
+        email: { equals: data.email, mode: 'insensitive' },
+        ...(employeeId && { OR: [{ employee_id: null }, { employee_id: { not: employeeId } }] })
+      },
+      select: { id: true }
+    });
+    if (sameLogin) throw new ScimError(409, `User ${data.email} already exists`, 'uniqueness');
+
+    if (data.externalId) {
+      const sameExternalId = await tx.employees.findFirst({
+        where: { ...others, scim_external_id: data.externalId },
+        select: { id: true }
+      });
+      if (sameExternalId) throw new ScimError(409, `externalId ${data.externalId} already exists`, 'uniqueness');
+    }
+  }
+
+  /**
+   * Create or update the tenant user linked to an employee (logins of other
+   * employees or without one are never taken over, see assertUnique)
+   */
+  static async syncTenantUser(tx, tenantId, employee, data, now, defaultRole) {
+    const tenantUser = await tx.tenant_users.findFirst({
+      where: { tenant_id: tenantId, employee_id: employee.id }
+    });
+
+    const values = {
+      email: data.email,
+      is_active: data.active,
+      employee_id: employee.id,
+      // Deactivated users are logged out
+      ...(!data.active && { refresh_token: null, refresh_token_expires_at: null }),
+      updated_at: now
+    };
+
+    if (tenantUser) {
+      if (!data.active) {
+        await tx.tenant_user_sessions.updateMany({
+          where: { user_id: tenantUser.id, revoked_at: null },
+          data: SessionService.revokedFields(SessionService.REVOKE_REASONS.DEACTIVATED)
+        });
+      }
+      return tx.tenant_users.update({ where: { id: tenantUser.id }, data: values });
+    }
+    return tx.tenant_users.create({
+      data: {
+        id: uuidv4(),
+        tenant_id: tenantId,
+        password: null,
+        role: defaultRole || APPLICATION_ROLES.EMPLOYEE,
+        ...values
+      }
+    });
+  }
+
+  /**
+   * POST /Users
+   * @param {Object} [options] - defaultRole of the new tenant user
+   * @returns {Promise<Object>} the created employee (EMPLOYEE_INCLUDE)
+   */
+  static async create(tenantId, resource, { defaultRole } = {}) {
+    const data = this.parseResource(resource);
+    const now = new Date();
+
+    return prisma.$transaction(async (tx) => {
+      await this.assertUnique(tx, tenantId, data);
+
+      const employee = await tx.employees.create({
+        data: {
+          tenant_id: tenantId,
+          email: data.email,
+          first_name: data.firstName,
+          last_name: data.lastName,
+          position: data.title,
+          employee_code: data.employeeNumber,
+          department_id: await this.resolveDepartment(tx, tenantId, data.department),
+          manager_id: await this.resolveManager(tx, tenantId, data.managerId),
+          is_active: data.active,
+          scim_external_id: data.externalId,
+          created_at: now,
+          updated_at: now
+        }
+      });
+
+      await this.syncTenantUser(tx, tenantId, employee, data, now, defaultRole);
+      return this.findEmployee(tenantId, employee.id, tx);
+    });
+  }
+
+  /**
+   * Write the fields of a full User resource over an employee
+   */
+  static async save(tenantId, employee, data, options = {}) {
+    const now = new Date();
+
+    return prisma.$transaction(async (tx) => {
+      await this.assertUnique(tx, tenantId, data, employee.id);
+
+      await tx.employees.update({
+        where: { id: employee.id },
+        data: {
+          email: data.email,
+          first_name: data.firstName,
+          last_name: data.lastName,
+          position: data.title,
+          employee_code: data.employeeNumber,
+          department_id: await this.resolveDepartment(tx, tenantId, data.department),
+          manager_id: await this.resolveManager(tx, tenantId, data.managerId, employee.id),
+          is_active: data.active,
+          scim_external_id: data.externalId,
+          updated_at: now
+        }
+      });
+
+      await this.syncTenantUser(tx, tenantId, employee, data, now, options.defaultRole);
+      return this.findEmployee(tenantId, employee.id, tx);
+    });
+  }
+
+  /**
+   * PUT /Users/:id (attributes left out are cleared)
+   * @returns {Promise<{ before: Object, after: Object }>}
+   */
+  static async replace(tenantId, id, resource, options = {}) {
+    const before = await this.findEmployee(tenantId, id);
+    const after = await this.save(tenantId, before, this.parseResource(resource), options);
+    return { before, after };
+  }
+
+  /**
+   * PATCH /Users/:id
+   * @returns {Promise<{ before: Object, after: Object }>}
+   */
+  static async patch(tenantId, id, body, options = {}) {
+    const before = await this.findEmployee(tenantId, id);
+    const patched = applyPatch(this.toResource(before), body);
+    // The email of the resource follows userName unless the patch changed the emails only
+    if (patched.userName === this.toResource(before).userName && Array.isArray(patched.emails)) {
+      const primary = patched.emails.find(e => e && toBoolean(e.primary, false)) || patched.emails[0];
+      if (primary && primary.value) patched.userName = primary.value;
+    }
+
+    const after = await this.save(tenantId, before, this.parseResource(patched), options);
+    return { before, after };
+  }
+
+  /**
+   * DELETE /Users/:id: deactivate the employee and its tenant user and
+   * leave the groups. HR data is kept.
+   * @returns {Promise<Object>} the employee before deactivation
+   */
+  static async deactivate(tenantId, id) {
+    const employee = await this.findEmployee(tenantId, id);
+    const now = new Date();
+
+    await prisma.$transaction([
+      prisma.employees.update({
+        where: { id: employee.id },
+        data: { is_active: false, updated_at: now }
+      }),
+      prisma.tenant_users.updateMany({
+        where: { tenant_id: tenantId, employee_id: employee.id },
+        data: { is_active: false, refresh_token: null, refresh_token_expires_at: null, updated_at: now }
+      }),
+      prisma.tenant_user_sessions.updateMany({
+        where: { tenant_id: tenantId, tenant_users: { employee_id: employee.id }, revoked_at: null },
+        data: SessionService.revokedFields(SessionService.REVOKE_REASONS.DEACTIVATED)
+      }),
+      prisma.scim_group_members.deleteMany({ where: { employee_id: employee.id } })
+    ]);
+
+    return employee;
+  }
+}
+
+module.exports = ScimUserService;
+module.exports.EMPLOYEE_INCLUDE = EMPLOYEE_INCLUDE;
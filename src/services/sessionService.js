@@ -0,0 +1,314 @@
+/**
+ * Session Service
+ * @module services/sessionService
+ * @created 2026-10-19
+ *
+ * Login sessions of tenant users (tenant_user_sessions), one per device.
+ * Every session holds its own refresh token, of which only the SHA-256 hash
+ * is stored. Refresh tokens are rotated on each use (services/authTokenService):
+ * a token that does not match the current hash of its session was already
+ * rotated, so someone replayed it and the session is revoked.
+ * Access tokens carry the session id (sid), checked by verifyAccessToken on
+ * every authenticated route, so a revoked session stops working immediately.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { validate: isUuid } = require('uuid');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+
+const REVOKE_REASONS = {
+  LOGOUT: 'LOGOUT',
+  USER_REVOKED: 'USER_REVOKED',
+  ADMIN_REVOKED: 'ADMIN_REVOKED',
+  TOKEN_REUSE: 'TOKEN_REUSE',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  DEACTIVATED: 'DEACTIVATED'
+};
+
+// Issuer of the legacy employee access tokens (services/authService), which have no session
+const EMPLOYEE_TOKEN_ISSUER = 'moobee-api';
+
+// Fields returned by the session lists (never the token hash)
+const SESSION_SELECT = {
+  id: true,
+  device_name: true,
+  user_agent: true,
+  ip_address: true,
+  created_at: true,
+  last_used_at: true,
+  expires_at: true
+};
+
+// User agent fragments, most specific first
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Firefox/', 'Firefox'],
+  ['Chrome/', 'Chrome'],
+  ['Safari/', 'Safari']
+];
+const PLATFORMS = [
+  ['iPhone', 'iPhone'],
+  ['iPad', 'iPad'],
+  ['Android', 'Android'],
+  ['Windows', 'Windows'],
+  ['Mac OS X', 'macOS'],
+  ['Linux', 'Linux']
+];
+
+class SessionError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class SessionService {
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Readable device name ("Chrome on macOS") from a user agent
+   */
+  static describeDevice(userAgent) {
+    if (!userAgent) return null;
+
+    const browser = BROWSERS.find(([fragment]) => userAgent.includes(fragment));
+    const platform = PLATFORMS.find(([fragment]) => userAgent.includes(fragment));
+    if (!browser && !platform) return userAgent.slice(0, 255);
+
+    return [browser?.[1], platform?.[1]].filter(Boolean).join(' on ');
+  }
+
+  /**
+   * Open a session for a login
+   * @param {Object} data
+   * @param {string} data.id - session id, also signed in the tokens
+   * @param {Object} data.user - tenant user
+   * @param {string} data.refreshToken
+   * @param {Date} data.expiresAt
+   * @param {Object} [data.context] - { ipAddress, userAgent }
+   */
+  static async create({ id, user, refreshToken, expiresAt, context = {} }) {
+    return prisma.tenant_user_sessions.create({
+      data: {
+        id,
+        tenant_id: user.tenant_id,
+        user_id: user.id,
+        refresh_token_hash: this.hashToken(refreshToken),
+        device_name: this.describeDevice(context.userAgent),
+        user_agent: context.userAgent || null,
+        ip_address: context.ipAddress || null,
+        expires_at: expiresAt
+      }
+    });
+  }
+
+  /**
+   * Session of a refresh token id, with the user to issue new tokens for
+   */
+  static async findForRefresh(id, userInclude) {
+    return prisma.tenant_user_sessions.findFirst({
+      where: { id },
+      include: { tenant_users: { include: userInclude } }
+    });
+  }
+
+  /**
+   * Replace the refresh token of a session.
+   * Conditional on the previous hash: of two concurrent refreshes with the
+   * same token only one succeeds.
+   * @returns {Promise<boolean>} false if the token was rotated or the session revoked meanwhile
+   */
+  static async rotate(session, previousToken, refreshToken, expiresAt, context = {}) {
+    const { count } = await prisma.tenant_user_sessions.updateMany({
+      where: {
+        id: session.id,
+        refresh_token_hash: this.hashToken(previousToken),
+        revoked_at: null
+      },
+      data: {
+        refresh_token_hash: this.hashToken(refreshToken),
+        rotation_count: { increment: 1 },
+        last_used_at: new Date(),
+        expires_at: expiresAt,
+        ...(context.ipAddress && { ip_address: context.ipAddress })
+      }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Whether an access token's session is still open
+   */
+  static async isActive(id) {
+    const session = await prisma.tenant_user_sessions.findFirst({
+      where: { id, revoked_at: null, expires_at: { gt: new Date() } },
+      select: { id: true }
+    });
+    return !!session;
+  }
+
+  /**
+   * Verify an access token and that its session is still open. Every route
+   * that accepts an access token goes through here. Tenant user tokens
+   * without a session could not be revoked and are refused; only the
+   * employee tokens of services/authService carry no session.
+   * @returns {Promise<Object>} token payload
+   * @throws jsonwebtoken errors, or SessionError SESSION_REQUIRED / SESSION_REVOKED (401)
+   */
+  static async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    if (!decoded.sid) {
+      if (decoded.iss !== EMPLOYEE_TOKEN_ISSUER) {
+        throw new SessionError('Session expired, please log in again', 'SESSION_REQUIRED', 401);
+      }
+      return decoded;
+    }
+    if (!(await this.isActive(decoded.sid))) {
+      throw new SessionError('Session has been revoked', 'SESSION_REVOKED', 401);
+    }
+    return decoded;
+  }
+
+  /**
+   * Update that revokes sessions, also used inside transactions
+   */
+  static revokedFields(reason, revokedBy = null) {
+    return { revoked_at: new Date(), revoked_reason: reason, revoked_by: revokedBy };
+  }
+
+  /**
+   * @returns {Promise<number>} sessions revoked (0 if already revoked)
+   */
+  static async revoke(id, reason, revokedBy = null) {
+    const { count } = await prisma.tenant_user_sessions.updateMany({
+      where: { id, revoked_at: null },
+      data: this.revokedFields(reason, revokedBy)
+    });
+    return count;
+  }
+
+  /**
+   * Revoke every open session of a user
+   * @returns {Promise<number>} sessions revoked
+   */
+  static async revokeAllForUser(userId, reason, revokedBy = null) {
+    const { count } = await prisma.tenant_user_sessions.updateMany({
+      where: { user_id: userId, revoked_at: null },
+      data: this.revokedFields(reason, revokedBy)
+    });
+    return count;
+  }
+
+  /**
+   * Revoke every open session of a user but the current one
+   * @param {string|null} currentSessionId - session kept open (none when null)
+   * @returns {Promise<number>} sessions revoked
+   */
+  static async revokeOthersForUser(userId, currentSessionId, reason) {
+    const { count } = await prisma.tenant_user_sessions.updateMany({
+      where: {
+        user_id: userId,
+        revoked_at: null,
+        ...(currentSessionId && { id: { not: currentSessionId } })
+      },
+      data: this.revokedFields(reason)
+    });
+    return count;
+  }
+
+  /**
+   * A rotated refresh token was presented again: revoke its session
+   */
+  static async handleReuse(session, context = {}) {
+    await this.revoke(session.id, REVOKE_REASONS.TOKEN_REUSE);
+    logger.warn(`Refresh token reuse detected: session ${session.id} of user ${session.user_id} revoked (ip ${context.ipAddress || 'unknown'})`);
+  }
+
+  /**
+   * Open sessions of a user, newest activity first
+   * @param {string} userId
+   * @param {string} [currentSessionId] - session of the request, flagged as current
+   */
+  static async listForUser(userId, currentSessionId = null) {
+    const sessions = await prisma.tenant_user_sessions.findMany({
+      where: { user_id: userId, revoked_at: null, expires_at: { gt: new Date() } },
+      orderBy: { last_used_at: 'desc' },
+      select: SESSION_SELECT
+    });
+
+    return sessions.map(session => ({ ...session, current: session.id === currentSessionId }));
+  }
+
+  /**
+   * Revoke one of the user's own sessions (a lost or shared device)
+   */
+  static async revokeOwn(userId, sessionId) {
+    const session = isUuid(String(sessionId)) && await prisma.tenant_user_sessions.findFirst({
+      where: { id: sessionId, user_id: userId, revoked_at: null },
+      select: SESSION_SELECT
+    });
+    if (!session) {
+      throw new SessionError('Session not found', 'SESSION_NOT_FOUND', 404);
+    }
+
+    await this.revoke(session.id, REVOKE_REASONS.USER_REVOKED);
+    return session;
+  }
+
+  static async findTenantUser(tenantId, userId) {
+    const user = await prisma.tenant_users.findFirst({
+      where: { id: userId, tenant_id: tenantId },
+      select: { id: true, email: true }
+    });
+    if (!user) {
+      throw new SessionError('User not found', 'SESSION_USER_NOT_FOUND', 404);
+    }
+    return user;
+  }
+
+  /**
+   * Open sessions of a user of the tenant (admin view)
+   */
+  static async listForTenantUser(tenantId, userId) {
+    const user = await this.findTenantUser(tenantId, userId);
+    return this.listForUser(user.id);
+  }
+
+  /**
+   * Log a user of the tenant out of every device
+   * @param {string} tenantId
+   * @param {string} userId
+   * @param {string} revokedBy - admin id
+   * @returns {Promise<{ user: Object, revoked: number }>}
+   */
+  static async revokeAllForTenantUser(tenantId, userId, revokedBy) {
+    const user = await this.findTenantUser(tenantId, userId);
+
+    const revoked = await this.revokeAllForUser(user.id, REVOKE_REASONS.ADMIN_REVOKED, revokedBy);
+    // Refresh token issued before sessions existed
+    await prisma.tenant_users.update({
+      where: { id: user.id },
+      data: { refresh_token: null, refresh_token_expires_at: null }
+    });
+
+    return { user, revoked };
+  }
+
+  static contextFromRequest(req) {
+    return {
+      ipAddress: req.ip || null,
+      userAgent: req.get?.('user-agent') || null
+    };
+  }
+}
+
+module.exports = SessionService;
+module.exports.SessionError = SessionError;
+module.exports.REVOKE_REASONS = REVOKE_REASONS;
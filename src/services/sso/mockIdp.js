@@ -0,0 +1,145 @@
+/**
+ * Mock OIDC Identity Provider
+ * @module services/sso/mockIdp
+ * @created 2026-10-19
+ *
+ * Minimal OpenID Connect provider for local SSO testing, mounted at /mock-idp
+ * when SSO_MOCK_IDP=true (never in production). Any email is accepted: the
+ * login form (or the email/groups query parameters of /authorize) decides
+ * the identity and the groups sent in the ID token.
+ *
+ * Tenant configuration to use it:
+ *   { protocol: 'OIDC', oidc_discovery_url: '<SSO_BASE_URL>/mock-idp/.well-known/openid-configuration',
+ *     oidc_client_id: 'mock-client', oidc_client_secret: 'mock-secret' }
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 60 * 1000;
+const KEY_ID = 'mock-idp-key';
+
+// Signing key, regenerated at each start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+// code -> { claims, clientId, redirectUri, expiresAt }
+const codes = new Map();
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[c]
+));
+
+const getIssuer = () => (
+  `${(process.env.SSO_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '')}/mock-idp`
+);
+
+/**
+ * Store an authorization code and redirect back to the client
+ */
+const redirectWithCode = (res, params) => {
+  const email = String(params.email).trim().toLowerCase();
+  const [localPart] = email.split('@');
+  const code = crypto.randomBytes(24).toString('hex');
+
+  codes.set(code, {
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: `mock|${email}`,
+      email,
+      email_verified: true,
+      given_name: params.given_name || localPart,
+      family_name: params.family_name || 'Mock',
+      groups: String(params.groups || '').split(',').map(g => g.trim()).filter(Boolean),
+      nonce: params.nonce
+    }
+  });
+
+  const url = new URL(params.redirect_uri);
+  url.searchParams.set('code', code);
+  if (params.state) url.searchParams.set('state', params.state);
+  res.redirect(url.toString());
+};
+
+const createMockIdpRouter = () => {
+  const router = express.Router();
+
+  router.get('/.well-known/openid-configuration', (req, res) => {
+    const issuer = getIssuer();
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  router.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+  });
+
+  router.get('/authorize', (req, res) => {
+    if (!req.query.redirect_uri || !req.query.client_id) {
+      return res.status(400).send('redirect_uri and client_id are required');
+    }
+    if (req.query.email) return redirectWithCode(res, req.query);
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce']
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+      .join('');
+
+    res.send(`<!DOCTYPE html>
+<html><head><title>Mock IdP</title></head>
+<body>
+  <h1>Mock identity provider</h1>
+  <form method="post" action="authorize">
+    ${hidden}
+    <p><label>Email <input name="email" type="email" required></label></p>
+    <p><label>First name <input name="given_name"></label></p>
+    <p><label>Last name <input name="family_name"></label></p>
+    <p><label>Groups (comma-separated) <input name="groups"></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`);
+  });
+
+  router.post('/authorize', (req, res) => {
+    if (!req.body.redirect_uri || !req.body.client_id || !req.body.email) {
+      return res.status(400).send('email, redirect_uri and client_id are required');
+    }
+    redirectWithCode(res, req.body);
+  });
+
+  router.post('/token', (req, res) => {
+    const entry = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!entry || entry.expiresAt < Date.now() ||
+        entry.clientId !== req.body.client_id || entry.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(entry.claims, privateKey, {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: getIssuer(),
+      audience: entry.clientId,
+      expiresIn: '5m'
+    });
+
+    res.json({
+      access_token: crypto.randomBytes(24).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createMockIdpRouter };
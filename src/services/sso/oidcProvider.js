@@ -0,0 +1,158 @@
+/**
+ * OIDC Provider
+ * @module services/sso/oidcProvider
+ * @created 2026-10-19
+ *
+ * Authorization code flow against the identity provider of a tenant:
+ * discovery document, authorization URL, code exchange and ID token
+ * verification (signature from the IdP JWKS, issuer, audience, nonce).
+ * The discovery URL is set by the tenant admin, so the discovery document,
+ * JWKS and token endpoint are only called through the outbound URL guard
+ * (utils/outboundUrl).
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { assertOutboundUrl, outboundRequestOptions } = require('../../utils/outboundUrl');
+
+const DISCOVERY_CACHE_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// url -> { value, fetchedAt }
+const cache = new Map();
+
+class OIDCProvider {
+  static async fetchCached(url) {
+    const cached = cache.get(url);
+    if (cached && Date.now() - cached.fetchedAt < DISCOVERY_CACHE_TTL_MS) {
+      return cached.value;
+    }
+
+    await assertOutboundUrl(url, { requireHttps: process.env.NODE_ENV === 'production' });
+    const response = await axios.get(url, { timeout: HTTP_TIMEOUT_MS, ...outboundRequestOptions() });
+    cache.set(url, { value: response.data, fetchedAt: Date.now() });
+    return response.data;
+  }
+
+  static clearCache() {
+    cache.clear();
+  }
+
+  /**
+   * Discovery document (.well-known/openid-configuration) of the IdP
+   */
+  static async discover(config) {
+    const document = await this.fetchCached(config.oidc_discovery_url);
+    for (const field of ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+      if (!document || !document[field]) {
+        throw new Error(`OIDC discovery document has no ${field}`);
+      }
+    }
+    return document;
+  }
+
+  static async getAuthorizationUrl(config, { redirectUri, state, nonce }) {
+    const { authorization_endpoint: endpoint } = await this.discover(config);
+
+    const url = new URL(endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', config.oidc_client_id);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', config.oidc_scopes || 'openid email profile');
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    return url.toString();
+  }
+
+  /**
+   * Exchange an authorization code for the ID token
+   */
+  static async exchangeCode(config, { code, redirectUri }) {
+    const { token_endpoint: endpoint } = await this.discover(config);
+    await assertOutboundUrl(endpoint, { requireHttps: process.env.NODE_ENV === 'production' });
+
+    const response = await axios.post(endpoint, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: config.oidc_client_id,
+      client_secret: config.oidc_client_secret || ''
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: HTTP_TIMEOUT_MS,
+      ...outboundRequestOptions()
+    });
+
+    if (!response.data || !response.data.id_token) {
+      throw new Error('OIDC token response has no id_token');
+    }
+    return response.data.id_token;
+  }
+
+  /**
+   * Public key of the IdP that signed a token
+   */
+  static async getSigningKey(discovery, kid) {
+    let jwks = await this.fetchCached(discovery.jwks_uri);
+    let jwk = (jwks.keys || []).find(key => !kid || key.kid === kid);
+
+    if (!jwk) {
+      // Keys may have been rotated since they were cached
+      cache.delete(discovery.jwks_uri);
+      jwks = await this.fetchCached(discovery.jwks_uri);
+      jwk = (jwks.keys || []).find(key => !kid || key.kid === kid);
+    }
+    if (!jwk) throw new Error(`No IdP signing key ${kid || ''}`.trim());
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Verify an ID token and return its claims
+   * @throws if the signature, issuer, audience, expiry or nonce is invalid
+   */
+  static async verifyIdToken(config, idToken, nonce) {
+    const discovery = await this.discover(config);
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error('Malformed ID token');
+
+    const key = await this.getSigningKey(discovery, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: SUPPORTED_ALGORITHMS,
+      issuer: discovery.issuer,
+      audience: config.oidc_client_id
+    });
+
+    if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+    return claims;
+  }
+
+  /**
+   * Identity of the user from the ID token claims
+   */
+  static toProfile(config, claims) {
+    const groups = claims[config.groups_claim || 'groups'];
+    return {
+      subject: String(claims.sub),
+      email: claims.email || null,
+      // Only an explicit email_verified claim lets the email link accounts
+      emailVerified: claims.email_verified === true,
+      firstName: claims.given_name || null,
+      lastName: claims.family_name || null,
+      groups: Array.isArray(groups) ? groups.map(String) : groups ? [String(groups)] : []
+    };
+  }
+
+  /**
+   * Run the code exchange and return the user identity
+   */
+  static async handleCallback(config, { code, redirectUri, nonce }) {
+    const idToken = await this.exchangeCode(config, { code, redirectUri });
+    const claims = await this.verifyIdToken(config, idToken, nonce);
+    return this.toProfile(config, claims);
+  }
+}
+
+module.exports = OIDCProvider;
@@ -0,0 +1,139 @@
+/**
+ * SAML Provider
+ * @module services/sso/samlProvider
+ * @created 2026-10-19
+ *
+ * SAML 2.0 Web SSO (HTTP-Redirect request, HTTP-POST response) with
+ * @node-saml/node-saml. The IdP entry point, issuer and signing certificates
+ * are read from the metadata XML uploaded by the tenant admin.
+ */
+
+const { SAML } = require('@node-saml/node-saml');
+const xml2js = require('xml2js');
+
+const EMAIL_ATTRIBUTES = [
+  'email',
+  'mail',
+  'urn:oid:0.9.2342.19200300.100.1.3',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress'
+];
+const FIRST_NAME_ATTRIBUTES = [
+  'firstName',
+  'givenName',
+  'urn:oid:2.5.4.42',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname'
+];
+const LAST_NAME_ATTRIBUTES = [
+  'lastName',
+  'sn',
+  'urn:oid:2.5.4.4',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname'
+];
+const REDIRECT_BINDING = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect';
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+const text = (node) => (node && typeof node === 'object' ? node._ : node);
+
+class SAMLProvider {
+  /**
+   * Entry point, issuer and signing certificates of an IdP metadata document
+   * @returns {Promise<{ entryPoint: string, issuer: string, certs: string[] }>}
+   */
+  static async parseMetadata(xml) {
+    const document = await xml2js.parseStringPromise(xml, {
+      tagNameProcessors: [xml2js.processors.stripPrefix],
+      explicitArray: false
+    });
+
+    const descriptor = document.EntityDescriptor ||
+      asArray(document.EntitiesDescriptor && document.EntitiesDescriptor.EntityDescriptor)[0];
+    if (!descriptor) throw new Error('No EntityDescriptor in the SAML metadata');
+
+    const idp = asArray(descriptor.IDPSSODescriptor)[0];
+    if (!idp) throw new Error('No IDPSSODescriptor in the SAML metadata');
+
+    const services = asArray(idp.SingleSignOnService).map(service => service.$ || {});
+    const service = services.find(s => s.Binding === REDIRECT_BINDING) || services[0];
+    if (!service || !service.Location) throw new Error('No SingleSignOnService in the SAML metadata');
+
+    const certs = asArray(idp.KeyDescriptor)
+      .filter(key => !key.$ || !key.$.use || key.$.use === 'signing')
+      .map(key => text(key.KeyInfo && key.KeyInfo.X509Data && key.KeyInfo.X509Data.X509Certificate))
+      .filter(Boolean)
+      .map(cert => String(cert).replace(/\s+/g, ''));
+    if (certs.length === 0) throw new Error('No signing certificate in the SAML metadata');
+
+    return {
+      entryPoint: service.Location,
+      issuer: descriptor.$ && descriptor.$.entityID,
+      certs: [...new Set(certs)]
+    };
+  }
+
+  /**
+   * node-saml client for a tenant configuration
+   * @param {Object} config - tenant_sso_configs row
+   * @param {Object} sp - { entityId, callbackUrl } of this service provider
+   */
+  static createClient(config, { entityId, callbackUrl }) {
+    return new SAML({
+      entryPoint: config.saml_entry_point,
+      idpIssuer: config.saml_idp_issuer || undefined,
+      idpCert: config.saml_idp_cert.split(',').filter(Boolean),
+      issuer: entityId,
+      audience: entityId,
+      callbackUrl,
+      // Most IdPs sign the assertion, not the whole response
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: false
+    });
+  }
+
+  static async getAuthorizationUrl(config, sp, relayState) {
+    return this.createClient(config, sp).getAuthorizeUrlAsync(relayState, undefined, {});
+  }
+
+  static getServiceProviderMetadata(config, sp) {
+    return this.createClient(config, sp).generateServiceProviderMetadata(null);
+  }
+
+  static attribute(profile, names) {
+    for (const name of names) {
+      const value = asArray(profile[name])[0];
+      if (value) return String(value);
+    }
+    return null;
+  }
+
+  /**
+   * Identity of the user from a validated assertion
+   */
+  static toProfile(config, profile) {
+    const groupsAttribute = config.groups_claim || 'groups';
+    const nameIdIsEmail = profile.nameIDFormat && profile.nameIDFormat.endsWith(':emailAddress');
+
+    return {
+      subject: String(profile.nameID),
+      email: this.attribute(profile, EMAIL_ATTRIBUTES) || (nameIdIsEmail ? profile.nameID : null),
+      // Signed assertion of the tenant IdP, restricted to its email domains
+      emailVerified: true,
+      firstName: this.attribute(profile, FIRST_NAME_ATTRIBUTES),
+      lastName: this.attribute(profile, LAST_NAME_ATTRIBUTES),
+      groups: asArray(profile[groupsAttribute]).map(String)
+    };
+  }
+
+  /**
+   * Validate the POSTed SAMLResponse and return the user identity
+   * @throws if the response is unsigned, expired or for another audience
+   */
+  static async handleResponse(config, sp, samlResponse) {
+    const { profile } = await this.createClient(config, sp).validatePostResponseAsync({
+      SAMLResponse: samlResponse
+    });
+    if (!profile) throw new Error('SAML response has no assertion');
+    return this.toProfile(config, profile);
+  }
+}
+
+module.exports = SAMLProvider;
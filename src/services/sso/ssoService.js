@@ -0,0 +1,490 @@
+/**
+ * SSO Service
+ * @module services/sso/ssoService
+ * @created 2026-10-19
+ *
+ * Single sign-on of tenant users through the tenant identity provider
+ * (tenant_sso_configs): OIDC (services/sso/oidcProvider) or SAML
+ * (services/sso/samlProvider).
+ * - login: the browser is sent to the IdP with a signed, short-lived state
+ *   (tenant + nonce) that comes back on the callback.
+ * - provisioning: the IdP user is matched on its subject, then on its email
+ *   when the IdP has verified it (and the account is not linked to another
+ *   subject); unknown users are created just in time and linked to the
+ *   employee with the same email.
+ * - email domains: a domain belongs to one tenant only, otherwise a tenant
+ *   could capture the discovery of another one's users. Domains claimed by
+ *   several tenants (saved before this check) are used by neither.
+ * - roles: IdP groups are mapped through role_mapping; the highest mapped role
+ *   wins, default_role applies when no group is mapped. SUPER_ADMIN is never
+ *   granted through SSO.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../../config/database');
+const { APPLICATION_ROLES, ROLE_HIERARCHY } = require('../../constants/roles');
+const AuthTokenService = require('../authTokenService');
+const OIDCProvider = require('./oidcProvider');
+const SAMLProvider = require('./samlProvider');
+const { checkOutboundUrl } = require('../../utils/outboundUrl');
+
+const PROTOCOLS = {
+  OIDC: 'OIDC',
+  SAML: 'SAML'
+};
+
+const STATE_TTL = '10m';
+const STATE_PURPOSE = 'sso_state';
+
+const { USER_INCLUDE } = AuthTokenService;
+
+// Roles an IdP group can be mapped to
+const MAPPABLE_ROLES = Object.values(APPLICATION_ROLES)
+  .filter(role => role !== APPLICATION_ROLES.SUPER_ADMIN);
+
+const CONFIG_FIELDS = [
+  'protocol', 'is_enabled', 'oidc_discovery_url', 'oidc_client_id', 'oidc_client_secret',
+  'oidc_scopes', 'saml_metadata_xml', 'email_domains', 'groups_claim', 'role_mapping',
+  'default_role', 'jit_provisioning', 'password_login_disabled'
+];
+
+/**
+ * SSO login refused (bad state, unknown or inactive user, ...)
+ */
+class SSOError extends Error {
+  constructor(message, code, status = 403) {
+    super(message);
+    this.name = 'SSOError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const emailDomain = (email) => String(email || '').split('@')[1]?.trim().toLowerCase() || null;
+
+class SSOService {
+  /**
+   * Tenant by slug or id
+   */
+  static async findTenant(identifier) {
+    if (!identifier) return null;
+    return prisma.tenants.findFirst({
+      where: {
+        OR: [{ slug: String(identifier) }, { id: String(identifier) }],
+        is_deleted: false
+      },
+      select: { id: true, slug: true, name: true, is_active: true }
+    });
+  }
+
+  static async getConfig(tenantId) {
+    return prisma.tenant_sso_configs.findUnique({ where: { tenant_id: tenantId } });
+  }
+
+  /**
+   * Enabled configuration of a tenant, or a 404 SSOError
+   */
+  static async getEnabledConfig(tenant) {
+    const config = tenant && tenant.is_active ? await this.getConfig(tenant.id) : null;
+    if (!config || !config.is_enabled) {
+      throw new SSOError('Single sign-on is not enabled for this organization', 'SSO_NOT_ENABLED', 404);
+    }
+    return config;
+  }
+
+  /**
+   * Path of the SSO login of a tenant
+   */
+  static getLoginPath(tenant) {
+    return `/api/sso/${encodeURIComponent(tenant.slug || tenant.id)}/login`;
+  }
+
+  /**
+   * Tenant whose IdP handles an email domain (login page discovery)
+   * @returns {Promise<Object|null>} { tenant, protocol, login_url, password_login_disabled }
+   */
+  static async discover(email) {
+    const domain = emailDomain(email);
+    if (!domain) return null;
+
+    const configs = await prisma.tenant_sso_configs.findMany({
+      where: { is_enabled: true, email_domains: { has: domain } },
+      take: 2
+    });
+    if (configs.length !== 1) return null;
+    const [config] = configs;
+
+    const tenant = await prisma.tenants.findUnique({
+      where: { id: config.tenant_id },
+      select: { id: true, slug: true, name: true, is_active: true }
+    });
+    if (!tenant || !tenant.is_active) return null;
+
+    return {
+      tenant: { slug: tenant.slug, name: tenant.name },
+      protocol: config.protocol,
+      login_url: this.getLoginPath(tenant),
+      password_login_disabled: config.password_login_disabled
+    };
+  }
+
+  /**
+   * Email domains among `domains` that the SSO configuration of another tenant claims
+   * @returns {Promise<string[]>}
+   */
+  static async findDomainConflicts(tenantId, domains) {
+    if (domains.length === 0) return [];
+
+    const others = await prisma.tenant_sso_configs.findMany({
+      where: { tenant_id: { not: tenantId }, email_domains: { hasSome: domains } },
+      select: { email_domains: true }
+    });
+    return domains.filter(domain => others.some(config => config.email_domains.includes(domain)));
+  }
+
+  /**
+   * SSO configuration that forbids the password login of a user, if any.
+   * Super admins can always use their password.
+   */
+  static async getPasswordLoginBlock(user) {
+    if (String(user.role || '').toUpperCase() === APPLICATION_ROLES.SUPER_ADMIN) return null;
+
+    const config = await this.getConfig(user.tenant_id);
+    return config && config.is_enabled && config.password_login_disabled ? config : null;
+  }
+
+  /**
+   * Our endpoints for a tenant, as registered at the IdP
+   */
+  static getServiceProvider(tenant) {
+    const baseUrl = (process.env.SSO_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+    const tenantPath = `${baseUrl}/api/sso/${encodeURIComponent(tenant.slug || tenant.id)}`;
+    return {
+      entityId: `${tenantPath}/saml/metadata`,
+      callbackUrl: `${tenantPath}/saml/acs`,
+      redirectUri: `${tenantPath}/oidc/callback`
+    };
+  }
+
+  /**
+   * Signed login state bound to the tenant, with the OIDC nonce
+   */
+  static createState(tenantId) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const state = AuthTokenService.signPurposeToken(STATE_PURPOSE, { tenantId, nonce }, STATE_TTL);
+    return { state, nonce };
+  }
+
+  static verifyState(state, tenantId) {
+    let payload;
+    try {
+      payload = AuthTokenService.verifyPurposeToken(STATE_PURPOSE, state);
+    } catch (error) {
+      throw new SSOError('SSO login expired, please try again', 'SSO_INVALID_STATE', 400);
+    }
+    if (payload.tenantId !== tenantId) {
+      throw new SSOError('SSO login expired, please try again', 'SSO_INVALID_STATE', 400);
+    }
+    return payload;
+  }
+
+  /**
+   * URL of the IdP login page for a tenant
+   */
+  static async getLoginUrl(tenant, config) {
+    const { state, nonce } = this.createState(tenant.id);
+    const sp = this.getServiceProvider(tenant);
+
+    if (config.protocol === PROTOCOLS.SAML) {
+      return SAMLProvider.getAuthorizationUrl(config, sp, state);
+    }
+    return OIDCProvider.getAuthorizationUrl(config, { redirectUri: sp.redirectUri, state, nonce });
+  }
+
+  /**
+   * Identity of the user from the OIDC callback
+   */
+  static async handleOidcCallback(tenant, config, { code, state }) {
+    if (config.protocol !== PROTOCOLS.OIDC) {
+      throw new SSOError('OIDC is not configured for this organization', 'SSO_NOT_ENABLED', 404);
+    }
+    const { nonce } = this.verifyState(state, tenant.id);
+    if (!code) throw new SSOError('Missing authorization code', 'SSO_INVALID_RESPONSE', 400);
+
+    try {
+      return await OIDCProvider.handleCallback(config, {
+        code,
+        redirectUri: this.getServiceProvider(tenant).redirectUri,
+        nonce
+      });
+    } catch (error) {
+      throw new SSOError(`Identity provider response rejected: ${error.message}`, 'SSO_INVALID_RESPONSE', 401);
+    }
+  }
+
+  /**
+   * Identity of the user from the SAML response
+   */
+  static async handleSamlResponse(tenant, config, { SAMLResponse, RelayState }) {
+    if (config.protocol !== PROTOCOLS.SAML) {
+      throw new SSOError('SAML is not configured for this organization', 'SSO_NOT_ENABLED', 404);
+    }
+    this.verifyState(RelayState, tenant.id);
+    if (!SAMLResponse) throw new SSOError('Missing SAML response', 'SSO_INVALID_RESPONSE', 400);
+
+    try {
+      return await SAMLProvider.handleResponse(config, this.getServiceProvider(tenant), SAMLResponse);
+    } catch (error) {
+      throw new SSOError(`Identity provider response rejected: ${error.message}`, 'SSO_INVALID_RESPONSE', 401);
+    }
+  }
+
+  /**
+   * Application role for the IdP groups of a user
+   * @returns {string|null} highest mapped role, null if no group is mapped
+   */
+  static mapGroups(config, groups = []) {
+    const mapping = config.role_mapping || {};
+    let best = null;
+
+    for (const group of groups) {
+      const role = mapping[group] && String(mapping[group]).toUpperCase();
+      if (!MAPPABLE_ROLES.includes(role)) continue;
+      if (!best || ROLE_HIERARCHY[role] > ROLE_HIERARCHY[best]) best = role;
+    }
+
+    return best;
+  }
+
+  /**
+   * Find, link or create (just in time) the tenant user of an IdP identity
+   * @param {Object} tenant
+   * @param {Object} config - tenant_sso_configs row
+   * @param {Object} profile - { subject, email, emailVerified, firstName, lastName, groups }
+   * @returns {Promise<Object>} tenant user loaded with USER_INCLUDE
+   */
+  static async provisionUser(tenant, config, profile) {
+    const email = profile.email ? String(profile.email).trim().toLowerCase() : null;
+    if (!email) {
+      throw new SSOError('The identity provider did not send an email address', 'SSO_NO_EMAIL');
+    }
+    // The IdP may only sign in users of the domains it was configured for
+    if (config.email_domains.length > 0 && !config.email_domains.includes(emailDomain(email))) {
+      throw new SSOError('Email domain not allowed for this organization', 'SSO_DOMAIN_NOT_ALLOWED');
+    }
+
+    const mappedRole = this.mapGroups(config, profile.groups);
+    const now = new Date();
+
+    let user = await prisma.tenant_users.findFirst({
+      where: { tenant_id: tenant.id, sso_subject: profile.subject }
+    });
+    if (!user) {
+      // Accounts and employees are matched on the email from here on, so the
+      // IdP must vouch for it
+      if (!profile.emailVerified) {
+        throw new SSOError('The identity provider has not verified this email address', 'SSO_EMAIL_NOT_VERIFIED');
+      }
+      if ((await this.findDomainConflicts(tenant.id, [emailDomain(email)])).length > 0) {
+        throw new SSOError('Email domain is claimed by another organization', 'SSO_DOMAIN_CONFLICT');
+      }
+      user = await prisma.tenant_users.findFirst({
+        where: { tenant_id: tenant.id, email: { equals: email, mode: 'insensitive' } }
+      });
+      // Never move an account from one IdP identity to another
+      if (user && user.sso_subject && user.sso_subject !== profile.subject) {
+        throw new SSOError('This account is linked to another identity provider user', 'SSO_SUBJECT_MISMATCH');
+      }
+    }
+
+    const linkEmployee = profile.emailVerified && !(user && user.employee_id);
+    const employee = !linkEmployee ? null : await prisma.employees.findFirst({
+      where: { tenant_id: tenant.id, email: { equals: email, mode: 'insensitive' } },
+      select: { id: true }
+    });
+
+    if (user) {
+      if (!user.is_active) {
+        throw new SSOError('Your account is disabled', 'SSO_USER_INACTIVE');
+      }
+
+      const isSuperAdmin = String(user.role).toUpperCase() === APPLICATION_ROLES.SUPER_ADMIN;
+      return prisma.tenant_users.update({
+        where: { id: user.id },
+        data: {
+          sso_subject: profile.subject,
+          // Roles follow the IdP groups; users without mapped groups keep theirs
+          ...(mappedRole && !isSuperAdmin && { role: mappedRole }),
+          ...(employee && { employee_id: employee.id }),
+          failed_login_count: 0,
+          last_login_at: now,
+          last_sso_login_at: now,
+          login_count: (user.login_count || 0) + 1,
+          updated_at: now
+        },
+        include: USER_INCLUDE
+      });
+    }
+
+    if (!config.jit_provisioning) {
+      throw new SSOError('No account exists for this user', 'SSO_USER_NOT_PROVISIONED');
+    }
+
+    return prisma.tenant_users.create({
+      data: {
+        id: uuidv4(),
+        tenant_id: tenant.id,
+        email,
+        password: null,
+        role: mappedRole || config.default_role,
+        is_active: true,
+        employee_id: employee ? employee.id : null,
+        sso_subject: profile.subject,
+        last_login_at: now,
+        last_sso_login_at: now,
+        login_count: 1,
+        updated_at: now
+      },
+      include: USER_INCLUDE
+    });
+  }
+
+  /**
+   * Validate a configuration request, merged over the current configuration.
+   * The OIDC discovery URL must not resolve to a private or reserved address
+   * and the email domains must not be claimed by another tenant.
+   * @returns {Promise<{ errors: string[], data: Object }>}
+   */
+  static async validateConfigInput(body, current = null, tenantId = current && current.tenant_id) {
+    const errors = [];
+    const data = {};
+
+    for (const field of CONFIG_FIELDS) {
+      if (body[field] !== undefined) data[field] = body[field];
+    }
+    const merged = { ...(current || {}), ...data };
+
+    const protocol = String(merged.protocol || '').toUpperCase();
+    if (!Object.values(PROTOCOLS).includes(protocol)) {
+      errors.push(`protocol must be one of: ${Object.values(PROTOCOLS).join(', ')}`);
+    } else {
+      data.protocol = protocol;
+    }
+
+    for (const field of ['is_enabled', 'jit_provisioning', 'password_login_disabled']) {
+      if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+        errors.push(`${field} must be a boolean`);
+      }
+    }
+
+    if (protocol === PROTOCOLS.OIDC) {
+      const reason = merged.oidc_discovery_url
+        ? await checkOutboundUrl(String(merged.oidc_discovery_url), { requireHttps: process.env.NODE_ENV === 'production' })
+        : 'url is required';
+      if (reason) errors.push(reason.replace(/^url/, 'oidc_discovery_url'));
+      if (!merged.oidc_client_id) errors.push('oidc_client_id is required for OIDC');
+    }
+    if (protocol === PROTOCOLS.SAML && !merged.saml_metadata_xml) {
+      errors.push('saml_metadata_xml is required for SAML');
+    }
+
+    if (data.email_domains !== undefined) {
+      if (!Array.isArray(data.email_domains) ||
+          data.email_domains.some(d => typeof d !== 'string' || !/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(d.trim()))) {
+        errors.push('email_domains must be an array of domain names');
+      } else {
+        data.email_domains = [...new Set(data.email_domains.map(d => d.trim().toLowerCase()))];
+        const conflicts = await this.findDomainConflicts(tenantId, data.email_domains);
+        if (conflicts.length > 0) {
+          errors.push(`email_domains already used by another organization: ${conflicts.join(', ')}`);
+        }
+      }
+    }
+
+    if (data.role_mapping !== undefined) {
+      const mapping = data.role_mapping;
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) ||
+          Object.values(mapping).some(role => !MAPPABLE_ROLES.includes(String(role).toUpperCase()))) {
+        errors.push(`role_mapping must map group names to one of: ${MAPPABLE_ROLES.join(', ')}`);
+      } else {
+        data.role_mapping = Object.fromEntries(
+          Object.entries(mapping).map(([group, role]) => [group, String(role).toUpperCase()])
+        );
+      }
+    }
+
+    if (data.default_role !== undefined) {
+      const role = String(data.default_role).toUpperCase();
+      if (!MAPPABLE_ROLES.includes(role)) {
+        errors.push(`default_role must be one of: ${MAPPABLE_ROLES.join(', ')}`);
+      } else {
+        data.default_role = role;
+      }
+    }
+
+    if (data.groups_claim !== undefined && (typeof data.groups_claim !== 'string' || !data.groups_claim.trim())) {
+      errors.push('groups_claim must be a non-empty string');
+    }
+
+    return { errors, data };
+  }
+
+  /**
+   * Create or update the SSO configuration of a tenant.
+   * SAML metadata is parsed into entry point, issuer and certificates.
+   */
+  static async saveConfig(tenantId, data, createdBy = null) {
+    const values = { ...data, updated_at: new Date() };
+
+    if (data.saml_metadata_xml) {
+      let metadata;
+      try {
+        metadata = await SAMLProvider.parseMetadata(data.saml_metadata_xml);
+      } catch (error) {
+        throw new SSOError(`Invalid SAML metadata: ${error.message}`, 'SSO_INVALID_METADATA', 400);
+      }
+      values.saml_entry_point = metadata.entryPoint;
+      values.saml_idp_issuer = metadata.issuer || null;
+      values.saml_idp_cert = metadata.certs.join(',');
+    }
+
+    return prisma.tenant_sso_configs.upsert({
+      where: { tenant_id: tenantId },
+      update: values,
+      create: { tenant_id: tenantId, created_by: createdBy, ...values }
+    });
+  }
+
+  /**
+   * Delete the SSO configuration of a tenant
+   * @returns {Promise<Object|null>} the deleted configuration, null if none
+   */
+  static async removeConfig(tenantId) {
+    const config = await this.getConfig(tenantId);
+    if (!config) return null;
+
+    await prisma.tenant_sso_configs.delete({ where: { id: config.id } });
+    return config;
+  }
+
+  /**
+   * Configuration without the client secret and the raw metadata
+   */
+  static toPublicConfig(config) {
+    if (!config) return null;
+    const publicConfig = {
+      ...config,
+      has_client_secret: !!config.oidc_client_secret,
+      has_saml_metadata: !!config.saml_metadata_xml
+    };
+    delete publicConfig.oidc_client_secret;
+    delete publicConfig.saml_metadata_xml;
+    return publicConfig;
+  }
+}
+
+module.exports = SSOService;
+module.exports.SSOError = SSOError;
+module.exports.PROTOCOLS = PROTOCOLS;
+module.exports.MAPPABLE_ROLES = MAPPABLE_ROLES;
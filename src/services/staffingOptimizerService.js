@@ -0,0 +1,232 @@
+/**
+ * Staffing Optimizer Service
+ * @module services/staffingOptimizerService
+ * @created 2026-10-19
+ *
+ * Jointly assigns employees across all roles of a project instead of
+ * matching one role at a time. Input scores come from
+ * MatchingController.calculateMatchScore; this module only decides who
+ * goes where.
+ *
+ * Algorithm (greedy with regret):
+ * 1. Each role is expanded into `quantity` slots and grouped by priority tier
+ * 2. Within a tier, the slot with the largest gap between its best and
+ *    second-best feasible candidate is filled first, so that roles with
+ *    a single strong option are not starved by roles with many options
+ * 3. Assigning an employee consumes the role allocation_percentage from
+ *    their remaining capacity
+ */
+
+const PRIORITY_WEIGHTS = {
+  CRITICAL: 5,
+  URGENT: 4,
+  HIGH: 3,
+  NORMAL: 2,
+  LOW: 1
+};
+
+const DEFAULT_OPTIONS = {
+  minMatchScore: 30,
+  maxAlternatives: 3,
+  allowMultipleRoles: false
+};
+
+/**
+ * Priority rank of a project role (higher = staffed first)
+ * @param {Object} role - project_roles row
+ * @returns {number}
+ */
+function getRolePriorityRank(role) {
+  let rank = PRIORITY_WEIGHTS[(role.priority || 'NORMAL').toUpperCase()] || PRIORITY_WEIGHTS.NORMAL;
+  if (role.is_critical) rank += 1;
+  if (role.is_urgent) rank += 0.5;
+  return rank;
+}
+
+/**
+ * Allocation percentage a role requires from each assigned employee
+ */
+function getRequiredAllocation(role) {
+  return role.allocation_percentage || 100;
+}
+
+/**
+ * Build a staffing plan for a set of roles
+ * @param {Object} params
+ * @param {Object[]} params.roles - project_roles rows (id, title, quantity, priority, allocation_percentage, ...)
+ * @param {Object} params.candidatesByRole - { [roleId]: [{ employee_id, match_score, ...factor scores }] }
+ * @param {Object} params.capacities - { [employeeId]: available allocation percentage }
+ * @param {Object} [params.options]
+ * @param {number} [params.options.minMatchScore=30] - Candidates below this score are never assigned
+ * @param {number} [params.options.maxAlternatives=3] - Alternatives returned per slot
+ * @param {boolean} [params.options.allowMultipleRoles=false] - Allow one employee on several roles of the project
+ * @returns {Object} { assignments, unfilled, summary }
+ */
+function optimizeStaffing({ roles, candidatesByRole, capacities, options = {} }) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+
+  const remaining = new Map(
+    Object.entries(capacities).map(([employeeId, capacity]) => [
+      Number(employeeId),
+      Math.max(0, Math.min(100, Number(capacity) || 0))
+    ])
+  );
+  const rolesByEmployee = new Map();
+
+  // Sorted, thresholded candidate lists per role
+  const rankedCandidates = {};
+  for (const role of roles) {
+    rankedCandidates[role.id] = (candidatesByRole[role.id] || [])
+      .filter(c => c.match_score >= opts.minMatchScore)
+      .sort((a, b) => b.match_score - a.match_score);
+  }
+
+  const isFeasible = (role, candidate) => {
+    const assignedRoles = rolesByEmployee.get(candidate.employee_id);
+    if (assignedRoles) {
+      if (assignedRoles.has(role.id)) return false;
+      if (!opts.allowMultipleRoles) return false;
+    }
+    return (remaining.get(candidate.employee_id) || 0) >= getRequiredAllocation(role);
+  };
+
+  // Why no feasible candidate is left for a slot
+  const explainUnfilled = (role) => {
+    if ((candidatesByRole[role.id] || []).length === 0) return 'no_candidates';
+    if (rankedCandidates[role.id].length === 0) return 'no_candidates_above_threshold';
+    return rankedCandidates[role.id].some(c => rolesByEmployee.has(c.employee_id))
+      ? 'candidates_assigned_elsewhere'
+      : 'insufficient_capacity';
+  };
+
+  // Expand roles into slots, grouped by priority tier
+  const tiers = new Map();
+  for (const role of roles) {
+    const rank = getRolePriorityRank(role);
+    if (!tiers.has(rank)) tiers.set(rank, []);
+    for (let slot = 0; slot < Math.max(1, role.quantity || 1); slot++) {
+      tiers.get(rank).push({ role, slot_index: slot });
+    }
+  }
+
+  const assignments = [];
+  const unfilled = [];
+
+  for (const rank of [...tiers.keys()].sort((a, b) => b - a)) {
+    let open = tiers.get(rank);
+
+    while (open.length > 0) {
+      let chosen = null;
+      let chosenRegret = -Infinity;
+      const stillOpen = [];
+
+      for (const slot of open) {
+        const feasible = rankedCandidates[slot.role.id].filter(c => isFeasible(slot.role, c));
+
+        if (feasible.length === 0) {
+          unfilled.push({
+            ...slot,
+            reason: explainUnfilled(slot.role)
+          });
+          continue;
+        }
+
+        stillOpen.push(slot);
+        const regret = feasible[0].match_score - (feasible[1] ? feasible[1].match_score : 0);
+        if (regret > chosenRegret ||
+            (regret === chosenRegret && feasible[0].match_score > chosen.candidate.match_score)) {
+          chosen = { slot, candidate: feasible[0] };
+          chosenRegret = regret;
+        }
+      }
+
+      if (!chosen) break;
+
+      const { slot, candidate } = chosen;
+      const allocation = getRequiredAllocation(slot.role);
+      remaining.set(candidate.employee_id, remaining.get(candidate.employee_id) - allocation);
+      if (!rolesByEmployee.has(candidate.employee_id)) rolesByEmployee.set(candidate.employee_id, new Set());
+      rolesByEmployee.get(candidate.employee_id).add(slot.role.id);
+
+      assignments.push({
+        ...slot,
+        candidate,
+        allocation_percentage: allocation,
+        priority_rank: rank
+      });
+
+      open = stillOpen.filter(s => s !== slot);
+    }
+  }
+
+  // Alternatives are computed against the final plan
+  const assignedTo = new Map();
+  for (const a of assignments) {
+    if (!assignedTo.has(a.candidate.employee_id)) assignedTo.set(a.candidate.employee_id, []);
+    assignedTo.get(a.candidate.employee_id).push({ role_id: a.role.id, role_title: a.role.title });
+  }
+
+  const describeAlternative = (role, candidate) => ({
+    ...candidate,
+    remaining_capacity: remaining.has(candidate.employee_id) ? remaining.get(candidate.employee_id) : 0,
+    fits_capacity: (remaining.get(candidate.employee_id) || 0) >= getRequiredAllocation(role),
+    assigned_in_plan: assignedTo.get(candidate.employee_id) || []
+  });
+
+  const chosenByRole = new Map();
+  for (const a of assignments) {
+    if (!chosenByRole.has(a.role.id)) chosenByRole.set(a.role.id, new Set());
+    chosenByRole.get(a.role.id).add(a.candidate.employee_id);
+  }
+
+  const alternativesFor = (role) => rankedCandidates[role.id]
+    .filter(c => !(chosenByRole.get(role.id) || new Set()).has(c.employee_id))
+    .slice(0, opts.maxAlternatives)
+    .map(c => describeAlternative(role, c));
+
+  const formattedAssignments = assignments.map(a => ({
+    role_id: a.role.id,
+    role_title: a.role.title,
+    slot_index: a.slot_index,
+    priority_rank: a.priority_rank,
+    allocation_percentage: a.allocation_percentage,
+    employee_id: a.candidate.employee_id,
+    match_score: a.candidate.match_score,
+    candidate: a.candidate,
+    alternatives: alternativesFor(a.role)
+  }));
+
+  const formattedUnfilled = unfilled.map(u => ({
+    role_id: u.role.id,
+    role_title: u.role.title,
+    slot_index: u.slot_index,
+    reason: u.reason,
+    alternatives: alternativesFor(u.role)
+  }));
+
+  const totalSlots = formattedAssignments.length + formattedUnfilled.length;
+  const totalScore = formattedAssignments.reduce((sum, a) => sum + a.match_score, 0);
+
+  return {
+    assignments: formattedAssignments,
+    unfilled: formattedUnfilled,
+    summary: {
+      total_slots: totalSlots,
+      filled_slots: formattedAssignments.length,
+      unfilled_slots: formattedUnfilled.length,
+      coverage_percentage: totalSlots > 0
+        ? Math.round((formattedAssignments.length / totalSlots) * 100)
+        : 0,
+      average_match_score: formattedAssignments.length > 0
+        ? Math.round(totalScore / formattedAssignments.length)
+        : 0,
+      employees_used: assignedTo.size
+    }
+  };
+}
+
+module.exports = {
+  PRIORITY_WEIGHTS,
+  getRolePriorityRank,
+  optimizeStaffing
+};
@@ -0,0 +1,307 @@
+/**
+ * Staffing Simulation Service
+ * @module services/staffingSimulationService
+ * @created 2026-10-19
+ *
+ * What-if analysis for project assignments: "if we assign these people
+ * to this project from X to Y, what happens?". Reads project_assignments,
+ * projects and project_matching_results and NEVER writes; the result is a
+ * before/after diff of utilization per employee and of candidate coverage
+ * per project.
+ */
+
+const prisma = require('../config/database');
+const { summarizeUtilization, toDay } = require('../utils/allocationTimeline');
+
+const OPEN_ROLE_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+class StaffingSimulationService {
+  /**
+   * Validate simulated assignments and fill defaults from the project
+   * @param {Object[]} input - [{ employee_id, role_id?, allocation_percentage?, start_date?, end_date? }]
+   * @param {Object} project - projects row with project_roles
+   * @returns {{ errors: string[], assignments: Object[] }}
+   */
+  static normalizeAssignments(input, project) {
+    const errors = [];
+    const assignments = [];
+
+    if (!Array.isArray(input) || input.length === 0) {
+      return { errors: ['assignments must be a non-empty array'], assignments };
+    }
+
+    input.forEach((item, index) => {
+      const employeeId = parseInt(item.employee_id);
+      if (isNaN(employeeId)) {
+        errors.push(`assignments[${index}].employee_id is required`);
+        return;
+      }
+
+      const role = item.role_id
+        ? (project.project_roles || []).find(r => r.id === item.role_id)
+        : null;
+      if (item.role_id && !role) {
+        errors.push(`assignments[${index}].role_id does not belong to the project`);
+        return;
+      }
+
+      const startDate = item.start_date || project.start_date;
+      const endDate = item.end_date || project.end_date;
+      if (!startDate || isNaN(new Date(startDate))) {
+        errors.push(`assignments[${index}].start_date is required (project has no start date)`);
+        return;
+      }
+      if (!endDate || isNaN(new Date(endDate))) {
+        errors.push(`assignments[${index}].end_date is required (project has no end date)`);
+        return;
+      }
+      if (toDay(endDate) < toDay(startDate)) {
+        errors.push(`assignments[${index}].end_date must be after start_date`);
+        return;
+      }
+
+      const allocation = item.allocation_percentage !== undefined
+        ? parseInt(item.allocation_percentage)
+        : (role?.allocation_percentage || 100);
+      if (isNaN(allocation) || allocation <= 0 || allocation > 100) {
+        errors.push(`assignments[${index}].allocation_percentage must be between 1 and 100`);
+        return;
+      }
+
+      assignments.push({
+        employee_id: employeeId,
+        role_id: role?.id || null,
+        role_title: role?.title || item.role_in_project || null,
+        project_id: project.id,
+        allocation_percentage: allocation,
+        start_date: new Date(startDate),
+        end_date: new Date(endDate),
+        simulated: true
+      });
+    });
+
+    return { errors, assignments };
+  }
+
+  /**
+   * Run a what-if simulation
+   * @param {Object} params
+   * @param {string} params.tenantId - Tenant UUID
+   * @param {Object} params.project - Target project (with project_roles)
+   * @param {Object[]} params.assignments - Normalized simulated assignments
+   * @returns {Promise<Object>} { window, employees, projects, summary }
+   */
+  static async simulate({ tenantId, project, assignments }) {
+    const employeeIds = [...new Set(assignments.map(a => a.employee_id))];
+    const windowStart = new Date(Math.min(...assignments.map(a => toDay(a.start_date))));
+    const windowEnd = new Date(Math.max(...assignments.map(a => toDay(a.end_date))));
+
+    const employees = await prisma.employees.findMany({
+      where: { id: { in: employeeIds }, tenant_id: tenantId, is_active: true },
+      select: { id: true, first_name: true, last_name: true, email: true }
+    });
+
+    const missing = employeeIds.filter(id => !employees.some(e => e.id === id));
+    if (missing.length > 0) {
+      const error = new Error(`Employees not found: ${missing.join(', ')}`);
+      error.status = 404;
+      throw error;
+    }
+
+    // Every current assignment of the simulated employees (any date): the
+    // impact on other projects is evaluated over their own date ranges
+    const existing = await prisma.project_assignments.findMany({
+      where: { employee_id: { in: employeeIds }, is_active: true },
+      include: { projects: { select: { id: true, project_name: true } } }
+    });
+
+    const before = new Map(employeeIds.map(id => [id, []]));
+    for (const assignment of existing) {
+      before.get(assignment.employee_id).push(assignment);
+    }
+    const after = new Map(employeeIds.map(id => [
+      id,
+      this.applySimulation(before.get(id), assignments.filter(a => a.employee_id === id), project.id)
+    ]));
+
+    const employeeDiffs = employees.map(employee => {
+      const utilBefore = summarizeUtilization(before.get(employee.id), windowStart, windowEnd);
+      const utilAfter = summarizeUtilization(after.get(employee.id), windowStart, windowEnd);
+
+      return {
+        employee_id: employee.id,
+        employee,
+        simulated_assignments: assignments.filter(a => a.employee_id === employee.id),
+        replaced_assignments: before.get(employee.id).filter(a => a.project_id === project.id).length,
+        before: { ...utilBefore, on_bench: utilBefore.peak_allocation === 0 },
+        after: { ...utilAfter, on_bench: utilAfter.peak_allocation === 0 },
+        delta: {
+          peak_allocation: utilAfter.peak_allocation - utilBefore.peak_allocation,
+          average_allocation: utilAfter.average_allocation - utilBefore.average_allocation
+        },
+        over_allocated: utilAfter.peak_allocation > 100,
+        becomes_over_allocated: utilBefore.peak_allocation <= 100 && utilAfter.peak_allocation > 100,
+        leaves_bench: utilBefore.peak_allocation === 0 && utilAfter.peak_allocation > 0
+      };
+    });
+
+    const projectImpacts = await this.evaluateCandidateCoverage({
+      tenantId,
+      projectId: project.id,
+      employeeIds,
+      before,
+      after
+    });
+
+    const targetProject = this.summarizeTargetProject(project, assignments);
+
+    return {
+      window: { start_date: windowStart, end_date: windowEnd },
+      target_project: targetProject,
+      employees: employeeDiffs,
+      projects: projectImpacts,
+      summary: {
+        employees_simulated: employeeDiffs.length,
+        employees_over_allocated: employeeDiffs.filter(e => e.over_allocated).length,
+        employees_becoming_over_allocated: employeeDiffs.filter(e => e.becomes_over_allocated).length,
+        bench_before: employeeDiffs.filter(e => e.before.on_bench).length,
+        bench_after: employeeDiffs.filter(e => e.after.on_bench).length,
+        projects_impacted: projectImpacts.length,
+        roles_losing_best_candidate: projectImpacts.reduce(
+          (sum, p) => sum + p.roles.filter(r => r.loses_best_candidate).length, 0
+        )
+      }
+    };
+  }
+
+  /**
+   * Assignments of an employee once the simulation is applied
+   * The simulated assignments replace the ones the employee already has on
+   * the target project, so re-simulating a staffed project does not count
+   * the same allocation twice.
+   * @param {Object[]} current - Existing assignments of the employee
+   * @param {Object[]} simulated - Simulated assignments of the employee
+   * @param {string} projectId - Target project
+   * @returns {Object[]}
+   */
+  static applySimulation(current, simulated, projectId) {
+    return [...current.filter(a => a.project_id !== projectId), ...simulated];
+  }
+
+  /**
+   * Roles of the target project covered by the simulation
+   */
+  static summarizeTargetProject(project, assignments) {
+    const roles = (project.project_roles || []).map(role => {
+      const simulated = assignments.filter(a => a.role_id === role.id);
+      return {
+        role_id: role.id,
+        title: role.title,
+        quantity: role.quantity || 1,
+        status: role.status,
+        simulated_assignees: simulated.map(a => a.employee_id),
+        covered_after: Math.min(simulated.length, role.quantity || 1)
+      };
+    });
+
+    return {
+      project_id: project.id,
+      project_name: project.project_name,
+      roles,
+      added_allocation: assignments.reduce((sum, a) => sum + a.allocation_percentage, 0)
+    };
+  }
+
+  /**
+   * Find open roles of other projects whose candidates are taken by the simulation
+   * A candidate is lost when, after the simulation, their free capacity over
+   * the other project's date range is below the role allocation. Employees
+   * outside the simulation are unaffected and always count as available.
+   */
+  static async evaluateCandidateCoverage({ tenantId, projectId, employeeIds, before, after }) {
+    const touched = await prisma.project_matching_results.findMany({
+      where: {
+        employee_id: { in: employeeIds },
+        project_roles: {
+          status: { in: OPEN_ROLE_STATUSES },
+          project_id: { not: projectId },
+          projects: { tenant_id: tenantId }
+        }
+      },
+      select: { project_role_id: true }
+    });
+
+    const roleIds = [...new Set(touched.map(t => t.project_role_id))];
+    if (roleIds.length === 0) return [];
+
+    const roles = await prisma.project_roles.findMany({
+      where: { id: { in: roleIds } },
+      include: {
+        projects: { select: { id: true, project_name: true, start_date: true, end_date: true } },
+        project_matching_results: {
+          orderBy: { match_score: 'desc' },
+          select: { employee_id: true, match_score: true }
+        }
+      }
+    });
+
+    const fits = (assignmentsByEmployee, employeeId, role) => {
+      const { start_date: start, end_date: end } = role.projects;
+      if (!start || !end) return true;
+      const peak = summarizeUtilization(assignmentsByEmployee.get(employeeId), start, end).peak_allocation;
+      return 100 - peak >= (role.allocation_percentage || 100);
+    };
+
+    const isAvailable = (state, employeeId, role) =>
+      !state.has(employeeId) || fits(state, employeeId, role);
+
+    const byProject = new Map();
+
+    for (const role of roles) {
+      const results = role.project_matching_results;
+      const firstAvailable = (state) => results.find(r => isAvailable(state, r.employee_id, role)) || null;
+
+      const bestBefore = firstAvailable(before);
+      const bestAfter = firstAvailable(after);
+      const lostCandidates = results
+        .filter(r => employeeIds.includes(r.employee_id))
+        .filter(r => isAvailable(before, r.employee_id, role) && !isAvailable(after, r.employee_id, role))
+        .map(r => ({ employee_id: r.employee_id, match_score: Number(r.match_score) }));
+
+      if (lostCandidates.length === 0) continue;
+
+      if (!byProject.has(role.projects.id)) {
+        byProject.set(role.projects.id, {
+          project_id: role.projects.id,
+          project_name: role.projects.project_name,
+          roles: []
+        });
+      }
+
+      byProject.get(role.projects.id).roles.push({
+        role_id: role.id,
+        title: role.title,
+        lost_candidates: lostCandidates,
+        best_candidate_before: bestBefore
+          ? { employee_id: bestBefore.employee_id, match_score: Number(bestBefore.match_score) }
+          : null,
+        best_candidate_after: bestAfter
+          ? { employee_id: bestAfter.employee_id, match_score: Number(bestAfter.match_score) }
+          : null,
+        loses_best_candidate: !!bestBefore && (!bestAfter || bestAfter.employee_id !== bestBefore.employee_id),
+        covered_before: !!bestBefore,
+        covered_after: !!bestAfter
+      });
+    }
+
+    return [...byProject.values()].map(p => ({
+      ...p,
+      coverage: {
+        roles_covered_before: p.roles.filter(r => r.covered_before).length,
+        roles_covered_after: p.roles.filter(r => r.covered_after).length
+      }
+    }));
+  }
+}
+
+module.exports = StaffingSimulationService;
@@ -25,6 +25,7 @@ async function getUsersForTenant(tenantId) {
       role: true,
       is_active: true,
       employee_id: true,
+      mfa_enabled: true,
       created_at: true,
       updated_at: true,
       employees: {
@@ -0,0 +1,435 @@
+/**
+ * Webhook Service
+ * @module services/webhooks/webhookService
+ * @created 2026-10-19
+ *
+ * Outgoing webhooks for tenant integrations. Producers call emit() (or
+ * dispatch() with their transaction client); every event is written to
+ * webhook_deliveries once per matching subscription and delivered by the
+ * webhook worker (services/webhooks/webhookWorker) with exponential backoff.
+ *
+ * Every request is a JSON POST of { id, event, tenant_id, created_at, data }
+ * with the headers:
+ *   X-Webhook-Id         event id (same for retries and replays)
+ *   X-Webhook-Delivery   delivery id
+ *   X-Webhook-Event      event type
+ *   X-Webhook-Timestamp  unix seconds
+ *   X-Webhook-Signature  sha256=HMAC_SHA256(secret, `${timestamp}.${body}`) in hex
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const prisma = require('../../config/database');
+const logger = require('../../utils/logger');
+const { checkOutboundUrl, assertOutboundUrl, outboundRequestOptions } = require('../../utils/outboundUrl');
+
+const WEBHOOK_EVENTS = {
+  CAMPAIGN_COMPLETED: 'CAMPAIGN_COMPLETED',
+  ASSESSMENT_SUBMITTED: 'ASSESSMENT_SUBMITTED',
+  CV_EXTRACTION_COMPLETED: 'CV_EXTRACTION_COMPLETED',
+  PROJECT_ASSIGNMENT_CREATED: 'PROJECT_ASSIGNMENT_CREATED',
+  EMPLOYEE_SKILLS_UPDATED: 'EMPLOYEE_SKILLS_UPDATED',
+  PING: 'PING'
+};
+const DELIVERY_STATUSES = ['PENDING', 'PROCESSING', 'DELIVERED', 'FAILED'];
+
+const REQUEST_TIMEOUT_MS = 10000;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+class WebhookService {
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Secret shown in listings (prefix and last 4 characters)
+   */
+  static maskSecret(secret) {
+    return secret ? `whsec_…${secret.slice(-4)}` : null;
+  }
+
+  /**
+   * Value of the X-Webhook-Signature header
+   * @param {string} secret - subscription secret
+   * @param {number} timestamp - unix seconds, also sent as X-Webhook-Timestamp
+   * @param {string} body - raw JSON body
+   */
+  static sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Delay before the next attempt after `attempts` failed attempts
+   */
+  static getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_DELAY_MS);
+  }
+
+  static buildPayload(tenantId, eventType, data) {
+    return {
+      id: crypto.randomUUID(),
+      event: eventType,
+      tenant_id: tenantId,
+      created_at: new Date().toISOString(),
+      data
+    };
+  }
+
+  /**
+   * Queue an event for every active subscription of the tenant listening to it
+   * @param {string} tenantId
+   * @param {string} eventType - one of WEBHOOK_EVENTS
+   * @param {Object} data - event data
+   * @param {Object} [options]
+   * @param {Object} [options.tx] - Prisma transaction client of the producer
+   * @returns {Promise<number>} deliveries created
+   */
+  static async dispatch(tenantId, eventType, data, { tx } = {}) {
+    const db = tx || prisma;
+
+    const subscriptions = await db.webhook_subscriptions.findMany({
+      where: {
+        tenant_id: tenantId,
+        is_active: true,
+        OR: [{ event_types: { isEmpty: true } }, { event_types: { has: eventType } }]
+      },
+      select: { id: true }
+    });
+    if (subscriptions.length === 0) return 0;
+
+    const payload = this.buildPayload(tenantId, eventType, data);
+    const { count } = await db.webhook_deliveries.createMany({
+      data: subscriptions.map(subscription => ({
+        tenant_id: tenantId,
+        subscription_id: subscription.id,
+        event_id: payload.id,
+        event_type: eventType,
+        payload
+      }))
+    });
+    return count;
+  }
+
+  /**
+   * Fire-and-forget dispatch, for use after the producer's own write succeeded.
+   * Failures are logged; the returned promise never rejects (jobs may await it).
+   * @returns {Promise<number>} deliveries created
+   */
+  static emit(tenantId, eventType, data) {
+    if (!tenantId) return Promise.resolve(0);
+    return this.dispatch(tenantId, eventType, data).catch(error => {
+      console.error(`[Webhooks] Failed to queue ${eventType} for tenant ${tenantId}:`, error);
+      return 0;
+    });
+  }
+
+  /**
+   * Data of CAMPAIGN_COMPLETED events
+   * @param {string} campaignType - ENGAGEMENT or ASSESSMENT
+   * @param {Object} campaign - engagement_campaigns / assessment_campaigns row
+   * @param {string} trigger - 'schedule' (end date reached) or 'manual'
+   */
+  static campaignCompletedData(campaignType, campaign, trigger) {
+    return {
+      campaign_type: campaignType,
+      campaign_id: campaign.id,
+      name: campaign.name,
+      series_id: campaign.series_id || null,
+      occurrence_number: campaign.occurrence_number || 1,
+      completed_at: new Date().toISOString(),
+      trigger
+    };
+  }
+
+  /**
+   * POST a payload to a subscription
+   * Only the status line of the response is kept: the body is never read,
+   * so the delivery log cannot be used to read what a URL returns.
+   * @returns {Promise<{ ok: boolean, status: number|null, body: string|null, durationMs: number, error: string|null }>}
+   */
+  static async send(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+
+    try {
+      // The host may resolve elsewhere than when the subscription was saved
+      await assertOutboundUrl(subscription.url, { requireHttps: process.env.NODE_ENV === 'production' });
+
+      const response = await axios.post(subscription.url, body, {
+        ...outboundRequestOptions(),
+        timeout: REQUEST_TIMEOUT_MS,
+        responseType: 'stream',
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Moobee-Webhooks/1.0',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': this.sign(subscription.secret, timestamp, body)
+        }
+      });
+
+      response.data.destroy();
+
+      const ok = response.status >= 200 && response.status < 300;
+      return {
+        ok,
+        status: response.status,
+        body: `${response.status} ${response.statusText || ''}`.trim(),
+        durationMs: Date.now() - startTime,
+        error: ok ? null : `HTTP ${response.status}`
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        status: null,
+        body: null,
+        durationMs: Date.now() - startTime,
+        error: error.code ? `${error.code}: ${error.message}` : error.message
+      };
+    }
+  }
+
+  /**
+   * Claim a batch of due deliveries (safe with several workers)
+   * @returns {Promise<Array>} claimed rows with their subscription
+   */
+  static async claimBatch(limit = 50) {
+    // Release rows left in PROCESSING by a worker that crashed mid-delivery
+    await prisma.webhook_deliveries.updateMany({
+      where: {
+        status: 'PROCESSING',
+        locked_at: { lt: new Date(Date.now() - LOCK_TIMEOUT_MS) }
+      },
+      data: { status: 'PENDING', locked_at: null }
+    });
+
+    const claimed = await prisma.$queryRaw`
+      UPDATE webhook_deliveries
+      SET status = 'PROCESSING', locked_at = NOW(), updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'PENDING' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id
+    `;
+    if (claimed.length === 0) return [];
+
+    return prisma.webhook_deliveries.findMany({
+      where: { id: { in: claimed.map(row => row.id) } },
+      include: { webhook_subscriptions: true },
+      orderBy: { created_at: 'asc' }
+    });
+  }
+
+  /**
+   * Attempt one claimed delivery and record the outcome
+   * @returns {Promise<string>} new status
+   */
+  static async deliver(delivery, now = new Date()) {
+    const subscription = delivery.webhook_subscriptions;
+    const attempts = delivery.attempts + 1;
+
+    if (!subscription.is_active) {
+      await prisma.webhook_deliveries.update({
+        where: { id: delivery.id },
+        data: { status: 'FAILED', attempts, locked_at: null, last_error: 'Subscription disabled', updated_at: now }
+      });
+      return 'FAILED';
+    }
+
+    const result = await this.send(subscription, delivery);
+    const outcome = {
+      attempts,
+      response_status: result.status,
+      response_body: result.body,
+      duration_ms: result.durationMs,
+      locked_at: null,
+      updated_at: now
+    };
+
+    if (result.ok) {
+      await prisma.webhook_deliveries.update({
+        where: { id: delivery.id },
+        data: { ...outcome, status: 'DELIVERED', delivered_at: now, last_error: null }
+      });
+      return 'DELIVERED';
+    }
+
+    const exhausted = attempts >= delivery.max_attempts;
+    await prisma.webhook_deliveries.update({
+      where: { id: delivery.id },
+      data: {
+        ...outcome,
+        status: exhausted ? 'FAILED' : 'PENDING',
+        last_error: String(result.error).substring(0, 1000),
+        next_attempt_at: exhausted ? delivery.next_attempt_at : new Date(now.getTime() + this.getRetryDelay(attempts))
+      }
+    });
+
+    if (exhausted) {
+      logger.error(`Webhook delivery ${delivery.id} (${delivery.event_type}) to ${subscription.url} failed after ${attempts} attempts: ${result.error}`);
+    }
+    return exhausted ? 'FAILED' : 'PENDING';
+  }
+
+  /**
+   * Claim and deliver one batch
+   * @returns {Promise<Object>} number of deliveries per resulting status
+   */
+  static async processBatch(limit = 50) {
+    const stats = { processed: 0, DELIVERED: 0, PENDING: 0, FAILED: 0 };
+    const batch = await this.claimBatch(limit);
+
+    for (const delivery of batch) {
+      const status = await this.deliver(delivery);
+      stats[status]++;
+      stats.processed++;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Queue a new delivery of the same event to the same subscription
+   * @returns {Promise<Object|null>} the new delivery, or null if not found
+   */
+  static async replay(tenantId, deliveryId) {
+    const original = await prisma.webhook_deliveries.findFirst({
+      where: { id: deliveryId, tenant_id: tenantId }
+    });
+    if (!original) return null;
+
+    return prisma.webhook_deliveries.create({
+      data: {
+        tenant_id: tenantId,
+        subscription_id: original.subscription_id,
+        event_id: original.event_id,
+        event_type: original.event_type,
+        payload: original.payload,
+        replay_of: original.id
+      }
+    });
+  }
+
+  /**
+   * Send a PING event right away and log it as a delivery (no retries)
+   * @returns {Promise<Object>} the logged delivery
+   */
+  static async ping(subscription) {
+    const payload = this.buildPayload(subscription.tenant_id, WEBHOOK_EVENTS.PING, {
+      subscription_id: subscription.id,
+      message: 'Webhook test ping'
+    });
+
+    const delivery = await prisma.webhook_deliveries.create({
+      data: {
+        tenant_id: subscription.tenant_id,
+        subscription_id: subscription.id,
+        event_id: payload.id,
+        event_type: WEBHOOK_EVENTS.PING,
+        payload,
+        status: 'PROCESSING',
+        max_attempts: 1,
+        locked_at: new Date()
+      }
+    });
+
+    const result = await this.send(subscription, delivery);
+    const now = new Date();
+
+    return prisma.webhook_deliveries.update({
+      where: { id: delivery.id },
+      data: {
+        status: result.ok ? 'DELIVERED' : 'FAILED',
+        attempts: 1,
+        response_status: result.status,
+        response_body: result.body,
+        duration_ms: result.durationMs,
+        last_error: result.error,
+        delivered_at: result.ok ? now : null,
+        locked_at: null,
+        updated_at: now
+      }
+    });
+  }
+
+  /**
+   * Validate a subscription from a create/update request
+   * @returns {{ errors: string[], data: Object }}
+   */
+  static validateSubscriptionInput(body, { partial = false } = {}) {
+    const errors = [];
+    const data = {};
+    const subscribable = Object.values(WEBHOOK_EVENTS).filter(e => e !== WEBHOOK_EVENTS.PING);
+
+    if (!partial || body.name !== undefined) {
+      const name = String(body.name || '').trim();
+      if (!name) errors.push('name is required');
+      else data.name = name.substring(0, 100);
+    }
+
+    if (!partial || body.url !== undefined) {
+      const url = String(body.url || '').trim();
+      const allowHttp = process.env.NODE_ENV !== 'production';
+      if (!(allowHttp ? /^https?:\/\//i : /^https:\/\//i).test(url)) {
+        errors.push(allowHttp ? 'url must be an http(s) URL' : 'url must be an https URL');
+      } else {
+        data.url = url;
+      }
+    }
+
+    if (body.event_types !== undefined) {
+      const events = Array.isArray(body.event_types)
+        ? body.event_types.map(e => String(e).trim().toUpperCase()).filter(Boolean)
+        : null;
+      const unknown = events ? events.filter(e => !subscribable.includes(e)) : [];
+
+      if (!events || unknown.length > 0) {
+        errors.push(`event_types must be an array of: ${subscribable.join(', ')}`);
+      } else {
+        data.event_types = [...new Set(events)];
+      }
+    }
+
+    if (body.is_active !== undefined) {
+      data.is_active = body.is_active === true || body.is_active === 'true';
+    }
+
+    return { errors, data };
+  }
+
+  /**
+   * Check the URL of a subscription before saving it: it must not resolve
+   * to a private or reserved address (https only in production)
+   * @returns {Promise<string[]>} errors
+   */
+  static async validateSubscriptionUrl(url) {
+    const reason = await checkOutboundUrl(url, { requireHttps: process.env.NODE_ENV === 'production' });
+    return reason ? [reason] : [];
+  }
+
+  /**
+   * Subscription as returned by the API (secret masked unless requested)
+   */
+  static serialize(subscription, { revealSecret = false } = {}) {
+    const { secret, ...rest } = subscription;
+    return {
+      ...rest,
+      secret: revealSecret ? secret : this.maskSecret(secret)
+    };
+  }
+}
+
+module.exports = WebhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -0,0 +1,88 @@
+/**
+ * Webhook Worker
+ * Polls webhook_deliveries and delivers pending webhook events
+ * @module services/webhooks/webhookWorker
+ * @created 2026-10-19
+ */
+
+const WebhookService = require('./webhookService');
+
+let workerInterval = null;
+let isRunning = false;
+let isPolling = false;
+let deliveredCount = 0;
+let failedCount = 0;
+
+/**
+ * Deliver one batch (skipped if the previous poll is still running)
+ */
+async function poll() {
+  if (isPolling) return;
+  isPolling = true;
+
+  try {
+    const stats = await WebhookService.processBatch();
+    deliveredCount += stats.DELIVERED;
+    failedCount += stats.FAILED;
+
+    if (stats.processed > 0) {
+      console.log(`[WEBHOOK WORKER] Processed ${stats.processed} webhook deliveries (delivered: ${stats.DELIVERED}, retry: ${stats.PENDING}, failed: ${stats.FAILED})`);
+    }
+  } catch (error) {
+    console.error('[WEBHOOK WORKER] Poll error:', error.message);
+  } finally {
+    isPolling = false;
+  }
+}
+
+/**
+ * Start the webhook worker
+ * @param {number} intervalMs - Polling interval in milliseconds (default: 15000 = 15s)
+ */
+function startWorker(intervalMs = 15000) {
+  if (isRunning) {
+    console.log('[WEBHOOK WORKER] Already running, skipping start');
+    return;
+  }
+
+  isRunning = true;
+  deliveredCount = 0;
+  failedCount = 0;
+
+  poll();
+  workerInterval = setInterval(poll, intervalMs);
+
+  console.log(`[WEBHOOK WORKER] Started (polling every ${intervalMs / 1000}s)`);
+}
+
+/**
+ * Stop the webhook worker
+ */
+function stopWorker() {
+  if (!isRunning) return;
+
+  isRunning = false;
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+  }
+
+  console.log(`[WEBHOOK WORKER] Stopped (delivered: ${deliveredCount}, failed: ${failedCount})`);
+}
+
+/**
+ * Get worker statistics
+ */
+function getWorkerStats() {
+  return {
+    isRunning,
+    deliveredCount,
+    failedCount
+  };
+}
+
+module.exports = {
+  startWorker,
+  stopWorker,
+  getWorkerStats
+};
@@ -138,6 +138,66 @@ class AdaptiveEngine {
     });
   }
 
+  /**
+   * Pulse mode: order of the questions a respondent goes through, survey
+   * after survey. Questions are shuffled within their area and the areas are
+   * interleaved, so any window of the rotation spreads over the areas.
+   * The same seed always gives the same rotation.
+   * @param {Object[]} questions - with id
+   * @param {string} seed - e.g. series and employee
+   * @param {Function} areaOf - question => area
+   */
+  buildRotation(questions, seed, areaOf) {
+    const random = this.seededRandom(seed);
+    const byArea = new Map();
+    for (const question of [...questions].sort((a, b) => String(a.id).localeCompare(String(b.id)))) {
+      const area = areaOf(question);
+      byArea.set(area, [...(byArea.get(area) || []), question]);
+    }
+
+    const areas = this.shuffle([...byArea.keys()].sort(), random).map(area => this.shuffle(byArea.get(area), random));
+    const rotation = [];
+    for (let i = 0; rotation.length < questions.length; i++) {
+      for (const areaQuestions of areas) {
+        if (i < areaQuestions.length) rotation.push(areaQuestions[i]);
+      }
+    }
+    return rotation;
+  }
+
+  /**
+   * Questions of survey number `round` (1-based): the next `size` questions of
+   * the rotation, wrapping around, so every question is asked once per
+   * ceil(rotation.length / size) surveys
+   */
+  samplePulse(rotation, size, round) {
+    if (rotation.length <= size) return [...rotation];
+    const start = ((round - 1) * size) % rotation.length;
+    return Array.from({ length: size }, (_, i) => rotation[(start + i) % rotation.length]);
+  }
+
+  // mulberry32 on a FNV-1a hash of the seed
+  seededRandom(seed) {
+    let state = 2166136261;
+    for (const char of String(seed)) {
+      state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+    }
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
   generateSurveyId() {
     const timestamp = Date.now();
     const random = Math.floor(Math.random() * 10000);
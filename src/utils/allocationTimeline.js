@@ -0,0 +1,112 @@
+/**
+ * Allocation Timeline Helpers
+ * @module utils/allocationTimeline
+ * @created 2026-10-19
+ *
+ * Day-granular utilization math over project_assignments rows.
+ * Start and end dates are inclusive; a missing end_date means the
+ * assignment is open-ended.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Truncate a date to UTC midnight
+ * @param {Date|string} date
+ * @returns {number} Epoch milliseconds
+ */
+function toDay(date) {
+  const d = new Date(date);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+/**
+ * Number of days in an inclusive range
+ */
+function daysBetween(from, to) {
+  return Math.round((toDay(to) - toDay(from)) / DAY_MS) + 1;
+}
+
+/**
+ * Split [from, to] into segments of constant total allocation
+ * @param {Object[]} assignments - { start_date, end_date?, allocation_percentage? }
+ * @param {Date|string} from - Window start (inclusive)
+ * @param {Date|string} to - Window end (inclusive)
+ * @returns {Object[]} [{ start: Date, end: Date, days, allocation }]
+ */
+function buildAllocationTimeline(assignments, from, to) {
+  const windowStart = toDay(from);
+  const windowEnd = toDay(to) + DAY_MS; // exclusive
+
+  if (windowEnd <= windowStart) return [];
+
+  const deltas = new Map([[windowStart, 0], [windowEnd, 0]]);
+  const addDelta = (day, value) => deltas.set(day, (deltas.get(day) || 0) + value);
+
+  for (const assignment of assignments) {
+    const allocation = assignment.allocation_percentage ?? 100;
+    const start = Math.max(toDay(assignment.start_date), windowStart);
+    const end = Math.min(
+      assignment.end_date ? toDay(assignment.end_date) + DAY_MS : windowEnd,
+      windowEnd
+    );
+    if (end <= start || !allocation) continue;
+    addDelta(start, allocation);
+    addDelta(end, -allocation);
+  }
+
+  const days = [...deltas.keys()].sort((a, b) => a - b);
+  const segments = [];
+  let current = 0;
+
+  for (let i = 0; i < days.length - 1; i++) {
+    current += deltas.get(days[i]);
+    if (days[i] < windowStart || days[i] >= windowEnd) continue;
+
+    const last = segments[segments.length - 1];
+    const segmentDays = Math.round((days[i + 1] - days[i]) / DAY_MS);
+    if (last && last.allocation === current) {
+      last.end = new Date(days[i + 1] - DAY_MS);
+      last.days += segmentDays;
+    } else {
+      segments.push({
+        start: new Date(days[i]),
+        end: new Date(days[i + 1] - DAY_MS),
+        days: segmentDays,
+        allocation: current
+      });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Summarize utilization over a window
+ * @param {Object[]} assignments - { start_date, end_date?, allocation_percentage? }
+ * @param {Date|string} from - Window start (inclusive)
+ * @param {Date|string} to - Window end (inclusive)
+ * @returns {Object} { days, peak_allocation, average_allocation, over_allocated_days, idle_days }
+ */
+function summarizeUtilization(assignments, from, to) {
+  const segments = buildAllocationTimeline(assignments, from, to);
+  const totalDays = segments.reduce((sum, s) => sum + s.days, 0);
+
+  return {
+    days: totalDays,
+    peak_allocation: segments.reduce((max, s) => Math.max(max, s.allocation), 0),
+    average_allocation: totalDays > 0
+      ? Math.round(segments.reduce((sum, s) => sum + s.allocation * s.days, 0) / totalDays)
+      : 0,
+    over_allocated_days: segments.filter(s => s.allocation > 100).reduce((sum, s) => sum + s.days, 0),
+    idle_days: segments.filter(s => s.allocation === 0).reduce((sum, s) => sum + s.days, 0)
+  };
+}
+
+module.exports = {
+  DAY_MS,
+  toDay,
+  daysBetween,
+  buildAllocationTimeline,
+  summarizeUtilization
+};
@@ -0,0 +1,204 @@
+/**
+ * Outbound URL Guard
+ * @module utils/outboundUrl
+ * @created 2026-10-19
+ *
+ * Tenant-configured URLs (notification channels, webhooks) are called from
+ * inside our network, so they must not reach loopback, private, link-local
+ * or otherwise reserved addresses. Hosts are checked when the URL is saved
+ * and again on every request and connection (outboundRequestOptions), which
+ * also covers DNS
+ * answers that change after validation.
+ *
+ * OUTBOUND_ALLOW_PRIVATE_NETWORKS=true lifts the address check for local
+ * development.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// [network, prefix length]
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const BLOCKED_HOST_SUFFIXES = ['localhost', '.local', '.internal', '.localdomain'];
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((value, octet) => (value << 8) + Number(octet), 0) >>> 0;
+
+const inIpv4Range = (ip, [network, bits]) => {
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (ipv4ToInt(ip) & mask) === (ipv4ToInt(network) & mask);
+};
+
+/**
+ * Expand an IPv6 address to its 8 16-bit groups
+ */
+function ipv6Groups(ip) {
+  let address = ip.toLowerCase().split('%')[0];
+  // Trailing embedded IPv4 (::ffff:10.0.0.1)
+  const v4 = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const value = ipv4ToInt(v4[1]);
+    address = address.replace(v4[1], `${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`);
+  }
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...Array(tail !== undefined ? missing : 0).fill('0'), ...tailGroups]
+    .map(group => parseInt(group, 16) || 0);
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or reserved
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    return BLOCKED_IPV4.some(range => inIpv4Range(ip, range)) || ip === '255.255.255.255';
+  }
+  if (!net.isIPv6(ip)) return true;
+
+  const groups = ipv6Groups(ip);
+  const embeddedIpv4 = () => [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+
+  if (groups.every(group => group === 0)) return true; // ::
+  if (groups.slice(0, 7).every(group => group === 0) && groups[7] === 1) return true; // ::1
+  // IPv4-mapped (::ffff:0:0/96), IPv4-compatible (::/96) and NAT64 (64:ff9b::/96)
+  if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0xffff || groups[5] === 0)) {
+    return isPrivateAddress(embeddedIpv4());
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return isPrivateAddress(embeddedIpv4());
+  }
+  if ((groups[0] & 0xfe00) === 0xfc00) return true; // fc00::/7 unique local
+  if ((groups[0] & 0xffc0) === 0xfe80) return true; // fe80::/10 link-local
+  if ((groups[0] & 0xffc0) === 0xfec0) return true; // fec0::/10 site-local
+  if ((groups[0] & 0xff00) === 0xff00) return true; // ff00::/8 multicast
+  if (groups[0] === 0x2001 && groups[1] === 0x0db8) return true; // documentation
+  return false;
+}
+
+const privateNetworksAllowed = () => process.env.OUTBOUND_ALLOW_PRIVATE_NETWORKS === 'true';
+
+/**
+ * Check a tenant-configured URL before saving it
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.requireHttps=false]
+ * @returns {Promise<string|null>} Reason the URL is refused, or null
+ */
+async function checkOutboundUrl(url, { requireHttps = false } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url is not a valid URL';
+  }
+
+  if (requireHttps ? parsed.protocol !== 'https:' : !['http:', 'https:'].includes(parsed.protocol)) {
+    return requireHttps ? 'url must be an https URL' : 'url must be an http(s) URL';
+  }
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+  if (privateNetworksAllowed()) return null;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (BLOCKED_HOST_SUFFIXES.some(suffix => host === suffix.replace(/^\./, '') || host.endsWith(suffix))) {
+    return 'url must not point to an internal host';
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return `url host ${host} cannot be resolved`;
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    return 'url must not point to a private or reserved network address';
+  }
+  return null;
+}
+
+/**
+ * Same check right before a request: throws when the URL is refused
+ * (sockets to IP literals skip the lookup, so they are only checked here)
+ * @param {string} url
+ * @param {Object} [options] - see checkOutboundUrl
+ */
+async function assertOutboundUrl(url, options) {
+  const reason = await checkOutboundUrl(url, options);
+  if (reason) {
+    const error = new Error(`Refusing to call ${url}: ${reason}`);
+    error.code = 'EADDRNOTALLOWED';
+    throw error;
+  }
+}
+
+/**
+ * dns.lookup replacement for outgoing sockets: fails the connection when the
+ * host resolves to a private or reserved address
+ */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = !privateNetworksAllowed() && addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      const refused = new Error(`Refusing to connect to ${hostname} (${blocked.address}): private or reserved address`);
+      refused.code = 'EADDRNOTALLOWED';
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup })
+};
+
+/**
+ * axios options for requests to tenant-configured URLs: guarded DNS lookup
+ * and no redirects (a redirect could lead to an address we did not check)
+ */
+function outboundRequestOptions() {
+  return { ...agents, maxRedirects: 0 };
+}
+
+module.exports = {
+  isPrivateAddress,
+  checkOutboundUrl,
+  assertOutboundUrl,
+  guardedLookup,
+  outboundRequestOptions
+};
@@ -23,8 +23,8 @@ const TEMPLATE_TYPES = ['UWES', 'GALLUP_Q12', 'CUSTOM'];
 // Frequency options
 const FREQUENCIES = ['WEEKLY', 'MONTHLY', 'QUARTERLY', 'BIANNUAL', 'ANNUAL'];
 
-// Question types
-const QUESTION_TYPES = ['LIKERT', 'MULTIPLE_CHOICE', 'OPEN_TEXT'];
+// Question types (ENPS: 0-10 recommendation question, see services/engagementDriverService)
+const QUESTION_TYPES = ['LIKERT', 'MULTIPLE_CHOICE', 'OPEN_TEXT', 'ENPS'];
 
 /**
  * Validate engagement template creation/update
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for MatchingController scoring profiles
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  matching_scoring_profiles: {
+    findFirst: jest.fn()
+  }
+}));
+
+const prisma = require('../../../src/config/database');
+const matchingController = require('../../../src/controllers/project/matchingController');
+const MatchingProfileService = require('../../../src/services/matchingProfileService');
+
+describe('MatchingController scoring profiles', () => {
+  const employee = {
+    id: 1,
+    available_allocation: 50,
+    employee_skills: [],
+    employee_roles: []
+  };
+  const role = {
+    allocation_percentage: 100,
+    hard_skills: []
+  };
+
+  describe('calculateMatchScore', () => {
+    it('should use the built-in 40/30/20/10 weights by default', async () => {
+      const result = await matchingController.calculateMatchScore(employee, role);
+
+      const expected = matchingController.calculateWeightedScore(result, {
+        skills: 0.4, availability: 0.3, experience: 0.2, preferences: 0.1
+      });
+      expect(result.match_score).toBe(Math.round(expected));
+    });
+
+    it('should apply custom profile weights', async () => {
+      const availabilityOnly = {
+        ...MatchingProfileService.DEFAULT_SCORING_PROFILE,
+        weights: { skills: 0, availability: 1, experience: 0, preferences: 0 }
+      };
+
+      const result = await matchingController.calculateMatchScore(employee, role, availabilityOnly);
+
+      expect(result.availability_match).toBe(50);
+      expect(result.match_score).toBe(50);
+    });
+  });
+
+  describe('MatchingProfileService.normalizeWeights', () => {
+    it('should scale weights to percentages summing to 100', () => {
+      expect(MatchingProfileService.normalizeWeights({
+        skills: 2, availability: 1, experience: 1, preferences: 0
+      })).toEqual({ skills: 50, availability: 25, experience: 25, preferences: 0 });
+    });
+
+    it('should reject negative weights', () => {
+      expect(() => MatchingProfileService.normalizeWeights({ skills: -1, availability: 1 }))
+        .toThrow('Invalid weight for skills');
+    });
+
+    it('should reject all-zero weights', () => {
+      expect(() => MatchingProfileService.normalizeWeights({}))
+        .toThrow('At least one weight must be greater than zero');
+    });
+  });
+
+  describe('MatchingProfileService.validateProfileInput', () => {
+    it('should map weights to DB columns', () => {
+      const { errors, data } = MatchingProfileService.validateProfileInput({
+        name: 'Urgent staffing',
+        weights: { skills: 20, availability: 60, experience: 10, preferences: 10 },
+        min_match_score: 20,
+        shortlist_threshold: 60
+      });
+
+      expect(errors).toEqual([]);
+      expect(data).toMatchObject({
+        name: 'Urgent staffing',
+        skills_weight: 20,
+        availability_weight: 60,
+        experience_weight: 10,
+        preference_weight: 10,
+        min_match_score: 20,
+        shortlist_threshold: 60
+      });
+    });
+
+    it('should reject a shortlist threshold below the minimum score', () => {
+      const { errors } = MatchingProfileService.validateProfileInput({
+        name: 'Broken',
+        weights: { skills: 1 },
+        min_match_score: 50,
+        shortlist_threshold: 40
+      });
+
+      expect(errors).toContain('shortlist_threshold must be greater than or equal to min_match_score');
+    });
+  });
+
+  describe('MatchingProfileService.resolveProfile', () => {
+    it('should fall back to the built-in profile when the tenant has no default', async () => {
+      prisma.matching_scoring_profiles.findFirst.mockResolvedValue(null);
+
+      const profile = await MatchingProfileService.resolveProfile('tenant-1');
+
+      expect(profile).toBe(MatchingProfileService.DEFAULT_SCORING_PROFILE);
+    });
+
+    it('should return null for an unknown explicit profile', async () => {
+      prisma.matching_scoring_profiles.findFirst.mockResolvedValue(null);
+
+      expect(await MatchingProfileService.resolveProfile('tenant-1', 'missing')).toBeNull();
+    });
+
+    it('should convert stored percentages to fractions', async () => {
+      prisma.matching_scoring_profiles.findFirst.mockResolvedValue({
+        id: 'p1',
+        name: 'Strategic hire',
+        skills_weight: '60',
+        availability_weight: '10',
+        experience_weight: '20',
+        preference_weight: '10',
+        min_match_score: 40,
+        shortlist_threshold: 80
+      });
+
+      const profile = await MatchingProfileService.resolveProfile('tenant-1', 'p1');
+
+      expect(profile.weights).toEqual({
+        skills: 0.6, availability: 0.1, experience: 0.2, preferences: 0.1
+      });
+      expect(profile.shortlist_threshold).toBe(80);
+    });
+  });
+});
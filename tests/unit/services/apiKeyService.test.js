@@ -0,0 +1,225 @@
+/**
+ * Unit Tests for apiKeyService
+ */
+
+jest.mock('../../../src/config/database', () => {
+  const prisma = {
+    tenant_api_keys: {
+      create: jest.fn(),
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn()
+    }
+  };
+  prisma.$transaction = jest.fn(fn => fn(prisma));
+  return prisma;
+});
+
+const prisma = require('../../../src/config/database');
+const ApiKeyService = require('../../../src/services/apiKeyService');
+const { allowApiKey } = require('../../../src/middlewares/apiKeyAuth');
+const { authorize } = require('../../../src/middlewares/authMiddleware');
+
+describe('ApiKeyService', () => {
+  const now = new Date('2026-10-19T09:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.tenant_api_keys.update.mockResolvedValue({});
+  });
+
+  describe('scopes', () => {
+    it('should require read for safe methods and write otherwise', () => {
+      expect(ApiKeyService.scopeFor('employees', 'GET')).toBe('employees:read');
+      expect(ApiKeyService.scopeFor('employees', 'patch')).toBe('employees:write');
+    });
+
+    it('should let write imply read', () => {
+      expect(ApiKeyService.hasScope(['projects:write'], 'projects:read')).toBe(true);
+      expect(ApiKeyService.hasScope(['projects:read'], 'projects:write')).toBe(false);
+      expect(ApiKeyService.hasScope(['projects:write'], 'employees:read')).toBe(false);
+    });
+  });
+
+  describe('validateKeyInput', () => {
+    it('should accept known scopes and a future expiry', () => {
+      const { errors, data } = ApiKeyService.validateKeyInput({
+        name: ' HRIS sync ',
+        scopes: ['Employees:Read', 'employees:read'],
+        expires_at: '2027-01-01T00:00:00Z'
+      }, now);
+
+      expect(errors).toEqual([]);
+      expect(data).toEqual({
+        keyName: 'HRIS sync',
+        scopes: ['employees:read'],
+        expiresAt: new Date('2027-01-01T00:00:00Z')
+      });
+    });
+
+    it('should reject unknown scopes and past expiries', () => {
+      const { errors } = ApiKeyService.validateKeyInput({
+        name: 'BI',
+        scopes: ['admin:write'],
+        expires_at: '2026-01-01'
+      }, now);
+
+      expect(errors).toHaveLength(2);
+    });
+  });
+
+  describe('createKey', () => {
+    it('should store the hash and a display prefix only', async () => {
+      prisma.tenant_api_keys.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+
+      const { apiKey, key } = await ApiKeyService.createKey('t1', { keyName: 'BI', scopes: ['analytics:read'] }, 'u1');
+
+      expect(key).toMatch(/^mbk_/);
+      expect(apiKey.apiKey).toBe(ApiKeyService.hashKey(key));
+      expect(apiKey.keyPrefix).toBe(key.substring(0, 12));
+      expect(ApiKeyService.serialize(apiKey)).not.toHaveProperty('apiKey');
+    });
+  });
+
+  describe('authenticate', () => {
+    const stored = (overrides = {}) => ({
+      id: 1,
+      tenant_id: 't1',
+      isActive: true,
+      revokedAt: null,
+      expiresAt: null,
+      lastUsedAt: now,
+      scopes: ['employees:read'],
+      ...overrides
+    });
+
+    it('should look keys up by hash', async () => {
+      prisma.tenant_api_keys.findUnique.mockResolvedValue(stored());
+
+      expect(await ApiKeyService.authenticate('mbk_abc', '10.0.0.1', now)).toMatchObject({ id: 1 });
+      expect(prisma.tenant_api_keys.findUnique).toHaveBeenCalledWith({
+        where: { apiKey: ApiKeyService.hashKey('mbk_abc') }
+      });
+      // used less than a minute ago: no write
+      expect(prisma.tenant_api_keys.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject revoked and expired keys', async () => {
+      prisma.tenant_api_keys.findUnique.mockResolvedValue(stored({ isActive: false, revokedAt: now }));
+      expect(await ApiKeyService.authenticate('mbk_abc', null, now)).toBeNull();
+
+      prisma.tenant_api_keys.findUnique.mockResolvedValue(stored({ expiresAt: now }));
+      expect(await ApiKeyService.authenticate('mbk_abc', null, now)).toBeNull();
+    });
+
+    it('should ignore values without the key prefix', async () => {
+      expect(await ApiKeyService.authenticate('eyJhbGciOi...', null, now)).toBeNull();
+      expect(prisma.tenant_api_keys.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rotateKey', () => {
+    const existing = { id: 1, tenant_id: 't1', keyName: 'BI', scopes: ['analytics:read'], expiresAt: null };
+
+    beforeEach(() => {
+      prisma.tenant_api_keys.findFirst.mockResolvedValue(existing);
+      prisma.tenant_api_keys.create.mockImplementation(({ data }) => Promise.resolve({ id: 2, ...data }));
+      prisma.tenant_api_keys.update.mockImplementation(({ data }) => Promise.resolve({ ...existing, ...data }));
+    });
+
+    it('should revoke the old key immediately by default', async () => {
+      const { apiKey, previous } = await ApiKeyService.rotateKey('t1', 1, 'u1');
+
+      expect(apiKey).toMatchObject({ keyName: 'BI', scopes: ['analytics:read'], rotatedFromId: 1 });
+      expect(previous).toMatchObject({ isActive: false });
+      expect(previous.revokedAt).toBeInstanceOf(Date);
+    });
+
+    it('should keep the old key valid during the grace period', async () => {
+      const { previous } = await ApiKeyService.rotateKey('t1', 1, 'u1', { graceMinutes: 30 });
+
+      expect(previous.isActive).toBeUndefined();
+      expect(previous.expiresAt.getTime() - Date.now()).toBeGreaterThan(29 * 60 * 1000);
+    });
+
+    it('should return null for unknown keys', async () => {
+      prisma.tenant_api_keys.findFirst.mockResolvedValue(null);
+
+      expect(await ApiKeyService.rotateKey('t1', 99, 'u1')).toBeNull();
+      expect(prisma.tenant_api_keys.create).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('allowApiKey middleware', () => {
+  const run = async (resource, req, overrides) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    const request = { headers: {}, method: 'GET', path: '/', ...req };
+    await allowApiKey(resource, overrides)(request, res, next);
+    return { req: request, res, next };
+  };
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it('should pass through requests without an API key', async () => {
+    const { next } = await run('employees', { headers: { authorization: 'Bearer eyJhbGciOi' } });
+
+    expect(next).toHaveBeenCalled();
+    expect(prisma.tenant_api_keys.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('should reject keys without the required scope', async () => {
+    prisma.tenant_api_keys.findUnique.mockResolvedValue({
+      id: 1, tenant_id: 't1', isActive: true, scopes: ['employees:read'], lastUsedAt: new Date()
+    });
+
+    const { res, next } = await run('employees', { headers: { 'x-api-key': 'mbk_abc' }, method: 'POST' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].requiredScope).toBe('employees:write');
+  });
+
+  it('should authenticate keys with the required scope', async () => {
+    prisma.tenant_api_keys.findUnique.mockResolvedValue({
+      id: 1, tenant_id: 't1', isActive: true, scopes: ['employees:read'], lastUsedAt: new Date()
+    });
+    const { req, next } = await run('employees', { headers: { authorization: 'ApiKey mbk_abc' } });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toMatchObject({ role: 'API_KEY', tenant_id: 't1', authType: 'api_key', apiKeyId: 1 });
+  });
+
+  it('should require the scope mapped to the path', async () => {
+    prisma.tenant_api_keys.findUnique.mockResolvedValue({
+      id: 1, tenant_id: 't1', isActive: true, scopes: ['campaigns:read'], lastUsedAt: new Date()
+    });
+    const overrides = { analytics: [/^\/campaigns\/[^/]+\/heatmap$/] };
+
+    const campaigns = await run('campaigns', { headers: { 'x-api-key': 'mbk_abc' }, path: '/campaigns/c1' }, overrides);
+    expect(campaigns.next).toHaveBeenCalled();
+
+    const heatmap = await run('campaigns', { headers: { 'x-api-key': 'mbk_abc' }, path: '/campaigns/c1/heatmap' }, overrides);
+    expect(heatmap.next).not.toHaveBeenCalled();
+    expect(heatmap.res.json.mock.calls[0][0].requiredScope).toBe('analytics:read');
+  });
+});
+
+describe('authorize with API keys', () => {
+  const check = (roles) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    authorize(roles)({ apiKey: { id: 1 }, user: { role: 'API_KEY' } }, res, next);
+    return { res, next };
+  };
+
+  it('should check keys as the HR role instead of skipping the role list', () => {
+    expect(check(['HR', 'ADMIN']).next).toHaveBeenCalled();
+
+    const { res, next } = check(['ADMIN', 'SUPER_ADMIN']);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
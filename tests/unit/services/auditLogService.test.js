@@ -0,0 +1,187 @@
+/**
+ * Unit Tests for auditLogService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  tenant_audit_log: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn()
+  }
+}));
+
+const prisma = require('../../../src/config/database');
+const AuditLogService = require('../../../src/services/auditLogService');
+
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = AuditLogService;
+
+describe('AuditLogService', () => {
+  const req = {
+    user: { id: 'tu-1', email: 'hr@example.com', role: 'HR_MANAGER', tenantId: 't1', employeeId: 42 },
+    ip: '10.0.0.1',
+    headers: { 'user-agent': 'jest' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.tenant_audit_log.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+  });
+
+  describe('diff', () => {
+    it('should keep only the changed fields', () => {
+      const { oldValue, newValue, changedFields } = AuditLogService.diff(
+        { position: 'Developer', department_id: 3, hire_date: new Date('2024-01-01'), updated_at: new Date('2026-01-01') },
+        { position: 'Lead Developer', department_id: 3, hire_date: new Date('2024-01-01'), updated_at: new Date('2026-10-19') }
+      );
+
+      expect(changedFields).toEqual(['position']);
+      expect(oldValue).toEqual({ position: 'Developer' });
+      expect(newValue).toEqual({ position: 'Lead Developer' });
+    });
+
+    it('should compare nested values structurally', () => {
+      const { changedFields } = AuditLogService.diff(
+        { roles: [{ role_id: 1, is_current: true }] },
+        { roles: [{ role_id: 1, is_current: true }, { role_id: 2, is_current: false }] }
+      );
+
+      expect(changedFields).toEqual(['roles']);
+    });
+
+    it('should redact secrets but still report the change', () => {
+      const { oldValue, newValue, changedFields } = AuditLogService.diff(
+        { role: 'HR', password_hash: '$2b$10$old' },
+        { role: 'HR', password_hash: '$2b$10$new' }
+      );
+
+      expect(changedFields).toEqual(['password_hash']);
+      expect(oldValue).toEqual({ password_hash: '[REDACTED]' });
+      expect(newValue).toEqual({ password_hash: '[REDACTED]' });
+    });
+  });
+
+  describe('record', () => {
+    it('should store the actor, origin and diff', async () => {
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE,
+        entityId: 7,
+        before: { position: 'Developer' },
+        after: { position: 'Lead Developer' }
+      });
+
+      expect(prisma.tenant_audit_log.create).toHaveBeenCalledWith({
+        data: {
+          tenant_id: 't1',
+          userId: 42,
+          actorId: 'tu-1',
+          actorEmail: 'hr@example.com',
+          actorRole: 'HR_MANAGER',
+          ipAddress: '10.0.0.1',
+          userAgent: 'jest',
+          action: 'UPDATE',
+          entity: 'EMPLOYEE',
+          entityId: '7',
+          oldValue: { position: 'Developer' },
+          newValue: { position: 'Lead Developer' },
+          changedFields: ['position']
+        }
+      });
+    });
+
+    it('should record creations with the new values only', async () => {
+      await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.CREATE,
+        entity: AUDIT_ENTITIES.PROJECT_ASSIGNMENT,
+        entityId: 3,
+        after: { employee_id: 7, allocation_percentage: 50 }
+      });
+
+      const { data } = prisma.tenant_audit_log.create.mock.calls[0][0];
+      expect(data.oldValue).toBeUndefined();
+      expect(data.newValue).toEqual({ employee_id: 7, allocation_percentage: 50 });
+    });
+
+    it('should skip updates that change nothing', async () => {
+      const entry = await AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.EMPLOYEE,
+        entityId: 7,
+        before: { position: 'Developer' },
+        after: { position: 'Developer' }
+      });
+
+      expect(entry).toBeNull();
+      expect(prisma.tenant_audit_log.create).not.toHaveBeenCalled();
+    });
+
+    it('should prefer an explicit tenant and never reject', async () => {
+      prisma.tenant_audit_log.create.mockRejectedValue(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(AuditLogService.record(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entity: AUDIT_ENTITIES.TENANT,
+        entityId: 't2',
+        before: { name: 'Acme' },
+        after: { name: 'Acme Srl' },
+        tenantId: 't2'
+      })).resolves.toBeNull();
+
+      expect(prisma.tenant_audit_log.create.mock.calls[0][0].data.tenant_id).toBe('t2');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('search', () => {
+    it('should apply filters and paginate', async () => {
+      prisma.tenant_audit_log.findMany.mockResolvedValue([]);
+      prisma.tenant_audit_log.count.mockResolvedValue(120);
+
+      const { pagination } = await AuditLogService.search('t1', {
+        entity: 'employee,employee_skill',
+        action: 'update',
+        field: 'position',
+        from: '2026-10-01',
+        q: 'anna',
+        page: '2',
+        limit: '50'
+      });
+
+      const { where, skip, take } = prisma.tenant_audit_log.findMany.mock.calls[0][0];
+      expect(where).toMatchObject({
+        tenant_id: 't1',
+        entity: { in: ['EMPLOYEE', 'EMPLOYEE_SKILL'] },
+        action: { in: ['UPDATE'] },
+        changedFields: { has: 'position' },
+        createdAt: { gte: new Date('2026-10-01') }
+      });
+      expect(where.OR).toHaveLength(5);
+      expect(skip).toBe(50);
+      expect(take).toBe(50);
+      expect(pagination).toEqual({ page: 2, limit: 50, total: 120, pages: 3 });
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should escape values and neutralise formulas', () => {
+      const csv = AuditLogService.toCsv([{
+        createdAt: new Date('2026-10-19T09:00:00Z'),
+        action: 'UPDATE',
+        entity: 'EMPLOYEE',
+        entityId: '7',
+        actorEmail: 'hr@example.com',
+        changedFields: ['position', 'notes'],
+        oldValue: { notes: 'a, "b"' },
+        newValue: { notes: '=HYPERLINK("x")' }
+      }]);
+
+      const [header, row] = csv.split('\n');
+      expect(header.startsWith('createdAt,action,entity,entityId')).toBe(true);
+      expect(row).toContain('2026-10-19T09:00:00.000Z,UPDATE,EMPLOYEE,7,hr@example.com');
+      expect(row).toContain('position;notes');
+      expect(row).toContain('"{""notes"":""a, \\""b\\""""}"');
+      expect(row).not.toMatch(/,=/);
+    });
+  });
+});
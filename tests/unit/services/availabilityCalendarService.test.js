@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for availabilityCalendarService
+ */
+
+jest.mock('../../../src/config/database', () => ({}));
+
+const {
+  buildWeeklyAvailability,
+  summarizeAvailability,
+  resolveRange,
+  getWeekStart
+} = require('../../../src/services/availabilityCalendarService');
+const matchingController = require('../../../src/controllers/project/matchingController');
+
+describe('availabilityCalendarService', () => {
+  describe('getWeekStart', () => {
+    it('should return the Monday of the ISO week', () => {
+      // 2026-03-05 is a Thursday
+      expect(new Date(getWeekStart('2026-03-05')).toISOString().slice(0, 10)).toBe('2026-03-02');
+      // Sunday belongs to the previous week
+      expect(new Date(getWeekStart('2026-03-08')).toISOString().slice(0, 10)).toBe('2026-03-02');
+    });
+  });
+
+  describe('buildWeeklyAvailability', () => {
+    it('should subtract assignments from full-time capacity', () => {
+      const weeks = buildWeeklyAvailability({
+        from: '2026-03-02',
+        to: '2026-03-15',
+        assignments: [
+          { start_date: '2026-03-02', end_date: '2026-03-08', allocation_percentage: 50 }
+        ]
+      });
+
+      expect(weeks).toHaveLength(2);
+      expect(weeks[0]).toMatchObject({ working_days: 5, allocated: 50, available: 50 });
+      expect(weeks[1]).toMatchObject({ working_days: 5, allocated: 0, available: 100 });
+    });
+
+    it('should apply part-time schedules and absences', () => {
+      const weeks = buildWeeklyAvailability({
+        from: '2026-03-02',
+        to: '2026-03-08',
+        schedules: [{ capacity_percentage: 60, effective_from: '2026-01-01', effective_to: null }],
+        // Absent Monday and Tuesday
+        absences: [{ start_date: '2026-03-02', end_date: '2026-03-03', absence_percentage: 100, status: 'APPROVED' }]
+      });
+
+      expect(weeks[0]).toMatchObject({
+        contract_capacity: 60,
+        absence: 24, // 2 of 5 days at 60%
+        effective_capacity: 36,
+        available: 36
+      });
+    });
+
+    it('should ignore cancelled absences', () => {
+      const weeks = buildWeeklyAvailability({
+        from: '2026-03-02',
+        to: '2026-03-08',
+        absences: [{ start_date: '2026-03-02', end_date: '2026-03-06', status: 'CANCELLED' }]
+      });
+
+      expect(weeks[0].available).toBe(100);
+    });
+
+    it('should flag over-allocated weeks', () => {
+      const weeks = buildWeeklyAvailability({
+        from: '2026-03-02',
+        to: '2026-03-08',
+        assignments: [
+          { start_date: '2026-03-01', end_date: null, allocation_percentage: 80 },
+          { start_date: '2026-03-01', end_date: null, allocation_percentage: 40 }
+        ]
+      });
+
+      expect(weeks[0]).toMatchObject({ allocated: 120, available: 0, over_allocated: true });
+    });
+  });
+
+  describe('summarizeAvailability', () => {
+    it('should report the first week with free capacity', () => {
+      const summary = summarizeAvailability([
+        { week_start: '2026-03-02', working_days: 5, available: 0, allocated: 100, over_allocated: false },
+        { week_start: '2026-03-09', working_days: 5, available: 50, allocated: 50, over_allocated: false }
+      ]);
+
+      expect(summary).toMatchObject({
+        average_available: 25,
+        min_available: 0,
+        peak_allocated: 100,
+        available_from: '2026-03-09'
+      });
+    });
+  });
+
+  describe('resolveRange', () => {
+    it('should reject inverted ranges', () => {
+      expect(resolveRange('2026-04-01', '2026-03-01').error).toBe('to must be after from');
+    });
+
+    it('should reject ranges longer than two years', () => {
+      expect(resolveRange('2026-01-01', '2029-01-01').error).toMatch(/cannot exceed/);
+    });
+  });
+
+  describe('MatchingController.calculateAvailabilityMatch', () => {
+    it('should score availability week by week over the project range', () => {
+      // Free 50% in March, fully booked in April: 50% role
+      const weeks = buildWeeklyAvailability({
+        from: '2026-03-02',
+        to: '2026-04-26',
+        assignments: [
+          { start_date: '2026-03-02', end_date: '2026-03-29', allocation_percentage: 50 },
+          { start_date: '2026-03-30', end_date: '2026-04-26', allocation_percentage: 100 }
+        ]
+      });
+
+      const score = matchingController.calculateAvailabilityMatch(
+        { availability_calendar: { weeks } },
+        { allocation_percentage: 50 }
+      );
+
+      expect(score).toBe(50);
+    });
+  });
+});
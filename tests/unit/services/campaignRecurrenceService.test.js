@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for campaignRecurrenceService
+ */
+
+jest.mock('../../../src/config/database', () => ({}));
+
+const CampaignRecurrenceService = require('../../../src/services/campaignRecurrenceService');
+
+describe('CampaignRecurrenceService', () => {
+  describe('getInterval', () => {
+    it('should read the interval from frequency or recurring_config', () => {
+      expect(CampaignRecurrenceService.getInterval({ frequency: 'quarterly' })).toBe('quarterly');
+      expect(CampaignRecurrenceService.getInterval({ frequency: 'recurring', recurring_config: { interval: 'monthly' } })).toBe('monthly');
+      expect(CampaignRecurrenceService.getInterval({ frequency: 'once' })).toBeNull();
+      expect(CampaignRecurrenceService.getInterval({ frequency: null })).toBeNull();
+    });
+  });
+
+  describe('getNextWindow', () => {
+    const campaign = {
+      frequency: 'monthly',
+      start_date: new Date('2026-09-01T00:00:00Z'),
+      end_date: new Date('2026-09-15T00:00:00Z')
+    };
+
+    it('should keep the duration of the previous occurrence', () => {
+      const window = CampaignRecurrenceService.getNextWindow(campaign, 'end_date', new Date('2026-09-16T00:00:00Z'));
+      expect(window.start).toEqual(new Date('2026-10-01T00:00:00Z'));
+      expect(window.end).toEqual(new Date('2026-10-15T00:00:00Z'));
+    });
+
+    it('should skip periods that already ended when the job runs late', () => {
+      const window = CampaignRecurrenceService.getNextWindow(campaign, 'end_date', new Date('2026-10-20T00:00:00Z'));
+      expect(window.start).toEqual(new Date('2026-11-01T00:00:00Z'));
+    });
+
+    it('should not overlap the previous occurrence', () => {
+      const window = CampaignRecurrenceService.getNextWindow(
+        { frequency: 'weekly', start_date: new Date('2026-09-01T00:00:00Z'), deadline: new Date('2026-09-11T00:00:00Z') },
+        'deadline',
+        new Date('2026-09-12T00:00:00Z')
+      );
+      expect(window.start).toEqual(new Date('2026-09-15T00:00:00Z'));
+    });
+  });
+
+  describe('shouldRecur', () => {
+    const window = { start: new Date('2026-11-01'), end: new Date('2026-11-15') };
+
+    it('should stop after max_occurrences', () => {
+      expect(CampaignRecurrenceService.shouldRecur({ occurrence_number: 3, recurring_config: { max_occurrences: 3 } }, window)).toBe(false);
+      expect(CampaignRecurrenceService.shouldRecur({ occurrence_number: 2, recurring_config: { max_occurrences: 3 } }, window)).toBe(true);
+    });
+
+    it('should stop after the series end date', () => {
+      expect(CampaignRecurrenceService.shouldRecur({ recurring_config: { end_date: '2026-10-31' } }, window)).toBe(false);
+    });
+  });
+
+  describe('validateRecurrenceInput', () => {
+    it('should require an interval for generic recurring campaigns', () => {
+      const { errors } = CampaignRecurrenceService.validateRecurrenceInput({ frequency: 'recurring' });
+      expect(errors).toEqual(['recurringConfig.interval is required when frequency is "recurring"']);
+    });
+
+    it('should normalize audience rules', () => {
+      const { errors, audienceRules } = CampaignRecurrenceService.validateRecurrenceInput({
+        frequency: 'monthly',
+        audienceRules: { departmentIds: ['3', 4] }
+      });
+      expect(errors).toEqual([]);
+      expect(audienceRules).toEqual({ departmentIds: [3, 4] });
+    });
+  });
+
+  it('should number occurrence names', () => {
+    expect(CampaignRecurrenceService.occurrenceName('Pulse Q3', 2)).toBe('Pulse Q3 #2');
+    expect(CampaignRecurrenceService.occurrenceName('Pulse Q3 #2', 3)).toBe('Pulse Q3 #3');
+  });
+
+  describe('buildSeriesTrend', () => {
+    it('should compute participation, scores and deltas per occurrence', () => {
+      const trend = CampaignRecurrenceService.buildSeriesTrend('engagement', [
+        {
+          id: 'a', name: 'Pulse', occurrence_number: 1, status: 'COMPLETED',
+          assignments: [{ status: 'COMPLETED' }, { status: 'EXPIRED' }],
+          results: [{ overall_score: 60, engagement_index: 58, area_scores: { growth: 50 } }]
+        },
+        {
+          id: 'b', name: 'Pulse #2', occurrence_number: 2, status: 'COMPLETED',
+          assignments: [{ status: 'COMPLETED' }, { status: 'COMPLETED' }, { status: 'ASSIGNED' }],
+          results: [
+            { overall_score: 70, engagement_index: 66, area_scores: { growth: 60 } },
+            { overall_score: 80, engagement_index: 70, area_scores: { growth: 70 } }
+          ]
+        }
+      ]);
+
+      expect(trend.occurrences[0]).toMatchObject({ participation_rate: 50, average_score: 60, change: null });
+      expect(trend.occurrences[1]).toMatchObject({
+        participation_rate: 66.67,
+        average_score: 75,
+        engagement_index: 68,
+        change: { participation_rate: 16.67, average_score: 15, engagement_index: 10, area_scores: { growth: 15 } }
+      });
+      expect(trend.summary).toMatchObject({ total_occurrences: 2, first_score: 60, latest_score: 75, overall_change: 15 });
+    });
+
+    it('should only report participation for occurrences below the minimum group size', () => {
+      const results = (count, score) => Array.from({ length: count }, () => ({
+        overall_score: score, engagement_index: score, area_scores: { growth: score }
+      }));
+      const trend = CampaignRecurrenceService.buildSeriesTrend('engagement', [
+        { id: 'a', name: 'Pulse', occurrence_number: 1, assignments: [{ status: 'COMPLETED' }], results: results(2, 40) },
+        { id: 'b', name: 'Pulse #2', occurrence_number: 2, assignments: [{ status: 'COMPLETED' }], results: results(3, 70) }
+      ], { minGroupSize: 3 });
+
+      expect(trend.occurrences[0]).toMatchObject({
+        responses: 2,
+        suppressed: true,
+        average_score: null,
+        engagement_index: null,
+        area_scores: {}
+      });
+      expect(trend.occurrences[1]).toMatchObject({ average_score: 70, change: { average_score: null } });
+      expect(trend.occurrences[1].suppressed).toBeUndefined();
+      expect(trend.summary).toMatchObject({ first_score: 70, overall_change: null });
+    });
+  });
+});
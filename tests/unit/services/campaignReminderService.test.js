@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for campaignReminderService
+ */
+
+jest.mock('../../../src/config/database', () => {
+  const prisma = {
+    campaign_reminder_log: {
+      create: jest.fn()
+    }
+  };
+  prisma.$transaction = jest.fn(fn => fn(prisma));
+  return prisma;
+});
+jest.mock('../../../src/services/emailNotificationService', () => ({
+  getEmailService: jest.fn()
+}));
+
+const prisma = require('../../../src/config/database');
+const CampaignReminderService = require('../../../src/services/campaignReminderService');
+
+describe('CampaignReminderService', () => {
+  describe('normalizeSettings', () => {
+    it('should read engagement reminder settings', () => {
+      const settings = CampaignReminderService.normalizeSettings({
+        enabled: true,
+        frequency: 7,
+        schedule: [{ days_before_deadline: 0 }, 3, 3],
+        escalation: { enabled: true, after_missed: 3 },
+        quiet_hours: { start: '20:00', end: '08:00', timezone: 'Europe/Rome' }
+      });
+
+      expect(settings).toEqual({
+        enabled: true,
+        schedule: [3, 0],
+        repeatEveryDays: 7,
+        escalation: { enabled: true, afterMissed: 3 },
+        quietHours: { start: 1200, end: 480, timezone: 'Europe/Rome' }
+      });
+    });
+
+    it('should read assessment notification settings', () => {
+      const settings = CampaignReminderService.normalizeSettings({ sendReminders: true, reminderFrequency: 5 });
+      expect(settings).toMatchObject({ enabled: true, schedule: [3, 0], repeatEveryDays: 5, quietHours: null });
+    });
+  });
+
+  describe('isQuietTime', () => {
+    const quietHours = { start: 20 * 60, end: 8 * 60, timezone: 'UTC' };
+
+    it('should handle windows that wrap past midnight', () => {
+      expect(CampaignReminderService.isQuietTime(quietHours, new Date('2026-10-19T22:30:00Z'))).toBe(true);
+      expect(CampaignReminderService.isQuietTime(quietHours, new Date('2026-10-19T07:59:00Z'))).toBe(true);
+      expect(CampaignReminderService.isQuietTime(quietHours, new Date('2026-10-19T08:00:00Z'))).toBe(false);
+    });
+
+    it('should use the configured timezone', () => {
+      // 19:30 UTC is 21:30 in Rome (CEST)
+      const rome = { ...quietHours, timezone: 'Europe/Rome' };
+      expect(CampaignReminderService.isQuietTime(rome, new Date('2026-07-01T19:30:00Z'))).toBe(true);
+    });
+  });
+
+  describe('getDueReminder', () => {
+    const settings = CampaignReminderService.normalizeSettings({ enabled: true });
+    const deadline = new Date('2026-10-30T00:00:00Z');
+    const assignment = { assigned_at: new Date('2026-10-01T00:00:00Z') };
+
+    it('should send nothing before the first schedule step', () => {
+      expect(CampaignReminderService.getDueReminder(assignment, deadline, settings, [], new Date('2026-10-20T10:00:00Z'))).toBeNull();
+    });
+
+    it('should send the latest step reached only once', () => {
+      const now = new Date('2026-10-30T09:00:00Z');
+      expect(CampaignReminderService.getDueReminder(assignment, deadline, settings, [], now))
+        .toEqual({ key: 'before_0d', reminderType: 'REMINDER', daysRemaining: 0 });
+      expect(CampaignReminderService.getDueReminder(assignment, deadline, settings, [{ schedule_key: 'before_0d' }], now))
+        .toBeNull();
+    });
+
+    it('should send periodic reminders spaced by the interval', () => {
+      const periodic = CampaignReminderService.normalizeSettings({ enabled: true, frequency: 7, schedule: [] });
+      const now = new Date('2026-10-16T09:00:00Z');
+
+      expect(CampaignReminderService.getDueReminder(assignment, deadline, periodic, [], now))
+        .toMatchObject({ key: 'every_7d_2', daysRemaining: 14 });
+      expect(CampaignReminderService.getDueReminder(assignment, deadline, periodic, [
+        { schedule_key: 'every_7d_1', reminder_type: 'REMINDER', sent_at: new Date('2026-10-12T09:00:00Z') }
+      ], now)).toBeNull();
+    });
+  });
+
+  describe('getDueEscalation', () => {
+    const settings = CampaignReminderService.normalizeSettings({ enabled: true, escalation: { enabled: true, after_missed: 2 } });
+    const sent = (key) => ({ schedule_key: key, reminder_type: 'REMINDER', status: 'SENT' });
+
+    it('should escalate once after N sent reminders', () => {
+      expect(CampaignReminderService.getDueEscalation(settings, [sent('before_3d')])).toBeNull();
+      expect(CampaignReminderService.getDueEscalation(settings, [sent('before_3d'), sent('before_0d')]))
+        .toEqual({ key: 'escalation', reminderType: 'ESCALATION', missedReminders: 2 });
+      expect(CampaignReminderService.getDueEscalation(settings, [
+        sent('before_3d'), sent('before_0d'), { schedule_key: 'escalation', reminder_type: 'ESCALATION', status: 'SENT' }
+      ])).toBeNull();
+    });
+  });
+
+  describe('deliver', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('should skip steps already claimed by another run', async () => {
+      prisma.campaign_reminder_log.create.mockRejectedValue(Object.assign(new Error('duplicate'), { code: 'P2002' }));
+      const enqueue = jest.fn();
+
+      expect(await CampaignReminderService.deliver({ recipient_employee_id: 5 }, enqueue)).toBeNull();
+      expect(enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should queue the notification in the same transaction as the log entry', async () => {
+      prisma.campaign_reminder_log.create.mockImplementation(({ data }) => Promise.resolve(data));
+      const enqueue = jest.fn();
+
+      expect(await CampaignReminderService.deliver({ recipient_employee_id: 5 }, enqueue)).toBe('SENT');
+      expect(enqueue).toHaveBeenCalledWith(prisma);
+    });
+
+    it('should log escalations without a manager as skipped', async () => {
+      prisma.campaign_reminder_log.create.mockImplementation(({ data }) => Promise.resolve(data));
+      const enqueue = jest.fn();
+
+      expect(await CampaignReminderService.deliver({ recipient_employee_id: null }, enqueue)).toBe('SKIPPED');
+      expect(enqueue).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Unit Tests for the campaign job scheduler lock
+ */
+
+// tests/setup.js mocks @prisma/client with one shared client
+const { PrismaClient } = require('@prisma/client');
+const mockPrisma = Object.assign(new PrismaClient(), {
+  engagement_campaigns: { updateMany: jest.fn() }
+});
+
+jest.mock('../../../src/config/database', () => ({}));
+jest.mock('../../../src/services/campaignRecurrenceService', () => ({}));
+jest.mock('../../../src/services/campaignReminderService', () => ({}));
+jest.mock('../../../src/services/webhooks/webhookService', () => ({}));
+
+const campaignStatusJob = require('../../../src/jobs/campaignStatusJob');
+
+describe('campaignStatusJob', () => {
+  const tx = { $queryRaw: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$transaction.mockImplementation((callback) => callback(tx));
+    mockPrisma.engagement_campaigns.updateMany.mockRejectedValue(new Error('stop'));
+  });
+
+  it('should skip the run when another instance holds the lock', async () => {
+    tx.$queryRaw.mockResolvedValue([{ locked: false }]);
+
+    await expect(campaignStatusJob.runJobsExclusively(1000)).resolves.toBe(false);
+    expect(mockPrisma.engagement_campaigns.updateMany).not.toHaveBeenCalled();
+    expect(mockPrisma.$transaction).toHaveBeenCalledWith(expect.any(Function), { timeout: 1000 });
+  });
+
+  it('should run the jobs while holding the lock', async () => {
+    tx.$queryRaw.mockResolvedValue([{ locked: true }]);
+
+    await expect(campaignStatusJob.runJobsExclusively(1000)).resolves.toBe(true);
+    expect(mockPrisma.engagement_campaigns.updateMany).toHaveBeenCalled();
+  });
+});
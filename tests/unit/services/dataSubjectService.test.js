@@ -0,0 +1,249 @@
+/**
+ * Unit Tests for the GDPR data subject services (dataSubjectService, receiptService)
+ */
+
+jest.mock('../../../src/config/database', () => {
+  const models = {};
+  const prisma = new Proxy(models, {
+    get: (target, name) => {
+      if (!(name in target)) {
+        target[name] = {
+          findFirst: jest.fn(),
+          findMany: jest.fn(),
+          create: jest.fn(),
+          update: jest.fn(),
+          updateMany: jest.fn().mockResolvedValue({ count: 0 }),
+          deleteMany: jest.fn().mockResolvedValue({ count: 0 })
+        };
+      }
+      return target[name];
+    }
+  });
+  models.$transaction = jest.fn(fn => fn(prisma));
+  return prisma;
+});
+
+jest.mock('../../../src/services/cvStorageService', () => {
+  const storage = {
+    readFile: jest.fn(),
+    deleteFile: jest.fn()
+  };
+  return { getCVStorageService: () => storage };
+});
+
+// tests/setup.js mocks @prisma/client without the Prisma namespace
+require('@prisma/client').Prisma = { DbNull: 'DbNull' };
+
+const prisma = require('../../../src/config/database');
+const { getCVStorageService } = require('../../../src/services/cvStorageService');
+const DataSubjectService = require('../../../src/services/gdpr/dataSubjectService');
+const ReceiptService = require('../../../src/services/gdpr/receiptService');
+
+const { DataSubjectError } = DataSubjectService;
+
+describe('GDPR data subject services', () => {
+  const tenantId = 'tenant-1';
+  const storage = getCVStorageService();
+
+  const employee = (overrides = {}) => ({
+    id: 42,
+    tenant_id: tenantId,
+    first_name: 'Jane',
+    last_name: 'Doe',
+    email: 'Jane.Doe@acme.test',
+    phone: '+39 333 000000',
+    ...overrides
+  });
+
+  const account = {
+    id: 'user-1',
+    tenant_id: tenantId,
+    email: 'jane.doe@acme.test',
+    password_hash: '$2a$10$hash',
+    refresh_token: 'refresh',
+    mfa_secret: 'v1:secret',
+    mfa_recovery_codes: ['hash'],
+    mfa_last_used_step: BigInt(123)
+  };
+
+  // In-memory data_subject_requests
+  let receipts;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+    receipts = [];
+
+    for (const model of ['employees', 'tenant_users', 'cv_extractions', 'cv_files', 'engagement_responses']) {
+      prisma[model].findMany.mockResolvedValue([]);
+    }
+    prisma.employees.findFirst.mockResolvedValue(employee());
+    prisma.tenant_users.findMany.mockResolvedValue([account]);
+
+    prisma.data_subject_requests.findFirst.mockImplementation(() =>
+      Promise.resolve(receipts[receipts.length - 1] || null));
+    prisma.data_subject_requests.create.mockImplementation(({ data }) => {
+      receipts.push(data);
+      return Promise.resolve(data);
+    });
+    prisma.data_subject_requests.findMany.mockImplementation(() => Promise.resolve(receipts));
+  });
+
+  const proxyModel = name => prisma[name];
+
+  describe('ReceiptService', () => {
+    const appendReceipt = (overrides = {}) => ReceiptService.append(prisma, {
+      tenantId,
+      requestType: 'ERASURE',
+      employeeId: 42,
+      subjectEmail: 'jane.doe@acme.test',
+      summary: { deleted: { employee_skills: 3 }, files_removed: 1 },
+      ...overrides
+    });
+
+    it('should chain receipts and verify them', async () => {
+      const first = await appendReceipt();
+      const second = await appendReceipt({ requestType: 'EXPORT' });
+
+      expect(first).toMatchObject({ sequence: 1, previous_hash: null });
+      expect(second).toMatchObject({ sequence: 2, previous_hash: first.receipt_hash });
+      expect(first.subject_hash).toBe(ReceiptService.hashSubject(' Jane.Doe@ACME.test'));
+      expect(JSON.stringify(first)).not.toContain('jane.doe');
+
+      expect(await ReceiptService.verifyChain(tenantId)).toEqual({ valid: true, receipts: 2, lastHash: second.receipt_hash });
+    });
+
+    it('should ignore the key order of JSONB round trips', async () => {
+      const receipt = await appendReceipt();
+      receipts[0] = { ...receipt, summary: { files_removed: 1, deleted: { employee_skills: 3 } } };
+
+      expect((await ReceiptService.verifyChain(tenantId)).valid).toBe(true);
+    });
+
+    it('should detect modified and missing receipts', async () => {
+      await appendReceipt();
+      await appendReceipt();
+      await appendReceipt();
+
+      receipts[1] = { ...receipts[1], summary: { deleted: {}, files_removed: 0 } };
+      expect((await ReceiptService.verifyChain(tenantId)).error).toMatchObject({ sequence: 2, reason: 'Receipt content was modified' });
+
+      receipts.splice(1, 1);
+      expect((await ReceiptService.verifyChain(tenantId)).error).toMatchObject({ sequence: 3 });
+    });
+
+    it('should retry when a concurrent request took the sequence number', async () => {
+      const work = jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Unique constraint'), { code: 'P2002' }))
+        .mockResolvedValueOnce('receipt');
+
+      expect(await ReceiptService.withSequenceRetry(work)).toBe('receipt');
+      expect(work).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('exportData', () => {
+    it('should export the records, the CV files and record a receipt', async () => {
+      prisma.employee_skills.findMany.mockResolvedValue([{ id: 1, employee_id: 42, skill_id: 7 }]);
+      prisma.cv_extractions.findMany.mockResolvedValue([{ id: 'ext-1', employee_id: 42, file_size_bytes: BigInt(2048) }]);
+      prisma.cv_files.findMany.mockResolvedValue([{
+        extraction_id: 'ext-1', file_path: '/cv-storage/cv_ext-1.pdf', original_filename: 'cv.pdf', mime_type: 'application/pdf'
+      }]);
+      storage.readFile.mockResolvedValue(Buffer.from('%PDF-1.4'));
+
+      const { document, receipt } = await DataSubjectService.exportData(tenantId, '42', { id: 'admin-1', email: 'admin@acme.test' });
+
+      expect(prisma.employees.findFirst).toHaveBeenCalledWith({ where: { id: 42, tenant_id: tenantId } });
+      expect(document.data.employee_skills).toHaveLength(1);
+      expect(document.data.cv_extractions[0].file_size_bytes).toBe('2048');
+      expect(document.data.tenant_users[0]).not.toHaveProperty('password_hash');
+      expect(document.data.tenant_users[0]).not.toHaveProperty('mfa_secret');
+      expect(document.files).toEqual([expect.objectContaining({
+        extraction_id: 'ext-1',
+        content_base64: Buffer.from('%PDF-1.4').toString('base64'),
+        size: 8
+      })]);
+
+      expect(receipt).toMatchObject({ request_type: 'EXPORT', employee_id: 42, requested_by_email: 'admin@acme.test' });
+      expect(receipt.summary).toMatchObject({ files: 1, records: expect.objectContaining({ employee_skills: 1 }) });
+      expect(document.receipt.receipt_hash).toBe(receipt.receipt_hash);
+    });
+
+    it('should refuse employees of other tenants', async () => {
+      prisma.employees.findFirst.mockResolvedValue(null);
+
+      await expect(DataSubjectService.exportData(tenantId, 99)).rejects.toMatchObject({ code: 'EMPLOYEE_NOT_FOUND', status: 404 });
+      expect(receipts).toHaveLength(0);
+    });
+  });
+
+  describe('erase', () => {
+    beforeEach(() => {
+      prisma.cv_extractions.findMany.mockResolvedValue([
+        { id: 'ext-1', cv_file: { file_path: '/cv-storage/cv_ext-1.pdf' } },
+        { id: 'ext-2', cv_file: null }
+      ]);
+      storage.deleteFile.mockResolvedValue(true);
+      prisma.employee_skills.deleteMany.mockResolvedValue({ count: 3 });
+    });
+
+    it('should require the employee email as confirmation', async () => {
+      await expect(DataSubjectService.erase(tenantId, 42, { confirmEmail: 'someone@acme.test' }))
+        .rejects.toMatchObject({ code: 'CONFIRMATION_MISMATCH' });
+
+      expect(storage.deleteFile).not.toHaveBeenCalled();
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should delete files and records, pseudonymise the rest and record a receipt', async () => {
+      const receipt = await DataSubjectService.erase(tenantId, 42, {
+        confirmEmail: 'jane.doe@acme.test',
+        reason: 'Art. 17 request',
+        actor: { id: 'admin-1', email: 'admin@acme.test' }
+      });
+
+      expect(storage.deleteFile).toHaveBeenCalledWith('/cv-storage/cv_ext-1.pdf');
+      for (const model of ['employee_skills', 'employee_education', 'development_plans', 'cv_extractions', 'notification_outbox']) {
+        expect(proxyModel(model).deleteMany).toHaveBeenCalled();
+      }
+      expect(prisma.notification_outbox.deleteMany).toHaveBeenCalledWith({ where: { recipient_employee_id: 42 } });
+      expect(prisma.tenant_user_mfa_events.deleteMany).toHaveBeenCalledWith({ where: { user_id: { in: ['user-1'] } } });
+      expect(prisma.engagement_responses.updateMany).toHaveBeenCalledWith({
+        where: { user_id: { in: ['user-1'] } },
+        data: { response_text: null }
+      });
+
+      const employeeUpdate = prisma.employees.update.mock.calls[0][0];
+      expect(employeeUpdate.where).toEqual({ id: 42 });
+      expect(employeeUpdate.data).toMatchObject({ first_name: 'Erased', email: 'erased-42@erased.invalid', phone: null, is_active: false });
+
+      const accountUpdate = prisma.tenant_users.update.mock.calls[0][0];
+      expect(accountUpdate.data).toMatchObject({
+        email: 'erased-user-1@erased.invalid',
+        password_hash: null,
+        refresh_token: null,
+        mfa_secret: null,
+        is_active: false
+      });
+
+      expect(receipt).toMatchObject({ request_type: 'ERASURE', reason: 'Art. 17 request', sequence: 1 });
+      expect(receipt.summary).toMatchObject({ files_removed: 1, deleted: expect.objectContaining({ employee_skills: 3 }) });
+      expect(JSON.stringify(receipt)).not.toMatch(/jane/i);
+    });
+
+    it('should not touch the database when a CV file cannot be removed', async () => {
+      storage.deleteFile.mockRejectedValue(new Error('EACCES'));
+
+      await expect(DataSubjectService.erase(tenantId, 42, { confirmEmail: 'jane.doe@acme.test' })).rejects.toThrow('EACCES');
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+      expect(receipts).toHaveLength(0);
+    });
+
+    it('should refuse to erase twice', async () => {
+      prisma.employees.findFirst.mockResolvedValue(employee({ email: 'erased-42@erased.invalid' }));
+
+      await expect(DataSubjectService.erase(tenantId, 42, { confirmEmail: 'erased-42@erased.invalid' }))
+        .rejects.toBeInstanceOf(DataSubjectError);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for developmentPlanService
+ */
+
+jest.mock('../../../src/config/database', () => ({}));
+
+const DevelopmentPlanService = require('../../../src/services/developmentPlanService');
+
+describe('DevelopmentPlanService', () => {
+  describe('calculateGoalProgress', () => {
+    it('should measure score progress between baseline and target', () => {
+      const result = DevelopmentPlanService.calculateGoalProgress({
+        status: 'NOT_STARTED',
+        baseline_score: 40,
+        target_score: 80,
+        current_score: 60
+      });
+
+      expect(result).toEqual({ progress: 50, status: 'IN_PROGRESS' });
+    });
+
+    it('should average score, certification and milestones', () => {
+      const result = DevelopmentPlanService.calculateGoalProgress(
+        {
+          status: 'IN_PROGRESS',
+          baseline_score: 40,
+          target_score: 80,
+          current_score: 90, // capped at 100%
+          target_certification: 'CKA',
+          certification_obtained_at: null
+        },
+        [{ completed_at: new Date() }, { completed_at: null }]
+      );
+
+      expect(result.progress).toBe(50); // (100 + 0 + 50) / 3
+    });
+
+    it('should mark the goal achieved when every signal is complete', () => {
+      const result = DevelopmentPlanService.calculateGoalProgress(
+        { status: 'IN_PROGRESS', target_certification: 'CKA', certification_obtained_at: '2026-10-01' },
+        [{ completed_at: new Date() }]
+      );
+
+      expect(result).toEqual({ progress: 100, status: 'ACHIEVED' });
+    });
+
+    it('should leave cancelled goals untouched', () => {
+      const result = DevelopmentPlanService.calculateGoalProgress({ status: 'CANCELLED', progress: 30 });
+      expect(result).toEqual({ progress: 30, status: 'CANCELLED' });
+    });
+  });
+
+  describe('calculatePlanProgress', () => {
+    it('should ignore cancelled goals', () => {
+      expect(DevelopmentPlanService.calculatePlanProgress([
+        { status: 'ACHIEVED', progress: 100 },
+        { status: 'IN_PROGRESS', progress: 50 },
+        { status: 'CANCELLED', progress: 0 }
+      ])).toBe(75);
+    });
+  });
+
+  describe('applyEvidence', () => {
+    const evidence = {
+      softSkillScores: new Map([[7, 72]]),
+      categoryScores: new Map([['problemsolving', 80]]),
+      certifications: [{ certification_name: 'Certified Kubernetes Administrator (CKA)', issue_date: new Date('2026-09-30') }]
+    };
+
+    it('should take the latest soft skill assessment score', () => {
+      expect(DevelopmentPlanService.applyEvidence({ soft_skill_id: 7, current_score: 60 }, evidence))
+        .toEqual({ current_score: 72 });
+    });
+
+    it('should match assessment categories by skill name', () => {
+      expect(DevelopmentPlanService.applyEvidence({ skill_name: 'Problem Solving', current_score: null }, evidence))
+        .toEqual({ current_score: 80 });
+    });
+
+    it('should detect the target certification', () => {
+      expect(DevelopmentPlanService.applyEvidence({ target_certification: 'cka' }, evidence))
+        .toEqual({ certification_obtained_at: new Date('2026-09-30') });
+    });
+
+    it('should report no changes when the evidence is already applied', () => {
+      expect(DevelopmentPlanService.applyEvidence({ soft_skill_id: 7, current_score: '72.00' }, evidence)).toEqual({});
+    });
+  });
+
+  describe('validateGoalInput', () => {
+    it('should reject goals linked to both a skill and a soft skill', () => {
+      const { errors } = DevelopmentPlanService.validateGoalInput({ title: 'Grow', skill_id: 1, soft_skill_id: 2 });
+      expect(errors).toContain('A goal can be linked to a skill or a soft skill, not both');
+    });
+
+    it('should validate milestones', () => {
+      const { errors, milestones } = DevelopmentPlanService.validateGoalInput({
+        title: 'Grow',
+        target_score: 80,
+        milestones: [{ title: 'Finish course', due_date: '2026-12-01' }, { title: '' }]
+      });
+
+      expect(errors).toEqual(['milestones[1].title is required']);
+      expect(milestones).toHaveLength(1);
+    });
+  });
+});
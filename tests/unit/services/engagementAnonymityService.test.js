@@ -0,0 +1,194 @@
+/**
+ * Unit Tests for engagementAnonymityService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  tenants: {
+    findUnique: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+const prisma = require('../../../src/config/database');
+const EngagementAnonymityService = require('../../../src/services/engagementAnonymityService');
+
+const { DEFAULT_MIN_GROUP_SIZE, MERGED_GROUP_LABEL } = EngagementAnonymityService;
+
+describe('EngagementAnonymityService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('minimum group size', () => {
+    it('should fall back to the default when the tenant has none', async () => {
+      prisma.tenants.findUnique.mockResolvedValue(null);
+      await expect(EngagementAnonymityService.getMinGroupSize('tenant-1')).resolves.toBe(DEFAULT_MIN_GROUP_SIZE);
+
+      prisma.tenants.findUnique.mockResolvedValue({ engagement_min_group_size: 8 });
+      await expect(EngagementAnonymityService.getMinGroupSize('tenant-1')).resolves.toBe(8);
+    });
+
+    it('should refuse thresholds that do not protect anyone', async () => {
+      for (const value of [2, 0, 'five', 4.5, 51]) {
+        await expect(EngagementAnonymityService.setMinGroupSize('tenant-1', value))
+          .rejects.toMatchObject({ code: 'INVALID_MIN_GROUP_SIZE', status: 400 });
+      }
+      expect(prisma.tenants.update).not.toHaveBeenCalled();
+
+      prisma.tenants.update.mockResolvedValue({ engagement_min_group_size: 3 });
+      await expect(EngagementAnonymityService.setMinGroupSize('tenant-1', '3')).resolves.toBe(3);
+      expect(prisma.tenants.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'tenant-1' },
+        data: { engagement_min_group_size: 3 }
+      }));
+    });
+  });
+
+  describe('submission fields', () => {
+    const now = new Date('2026-10-19T14:37:12Z');
+    const assignment = {
+      id: 'assignment-1',
+      assigned_at: new Date('2026-10-18T09:00:00Z'),
+      started_at: new Date('2026-10-19T14:30:00Z')
+    };
+
+    it('should keep the identity of named campaigns', () => {
+      expect(EngagementAnonymityService.resultAuthor(
+        { ...assignment, campaign: { anonymous_responses: false } },
+        { employeeId: 42, tenantUserId: 'user-1' },
+        now
+      )).toEqual({
+        assignment_id: 'assignment-1',
+        employee_id: 42,
+        tenant_user_id: 'user-1',
+        started_at: assignment.started_at,
+        time_taken: 432,
+        completed_at: now
+      });
+      expect(EngagementAnonymityService.responseAuthor({ anonymous_responses: false }, 'user-1', 'submission-1', now))
+        .toEqual({ user_id: 'user-1', responded_at: now });
+    });
+
+    it('should store anonymous answers without identity, client data or exact time', () => {
+      const result = EngagementAnonymityService.resultAuthor(
+        { ...assignment, campaign: { anonymous_responses: true } },
+        { employeeId: 42, tenantUserId: 'user-1' },
+        now
+      );
+
+      expect(result).toMatchObject({
+        assignment_id: null,
+        employee_id: null,
+        tenant_user_id: null,
+        started_at: null,
+        time_taken: null,
+        ip_address: null,
+        user_agent: null,
+        completed_at: new Date('2026-10-19T00:00:00Z')
+      });
+      expect(EngagementAnonymityService.responseAuthor({ anonymous_responses: true }, 'user-1', 'submission-1', now))
+        .toEqual({ user_id: null, submission_id: 'submission-1', responded_at: new Date('2026-10-19T00:00:00Z') });
+    });
+  });
+
+  describe('resultSegments', () => {
+    const segments = { department_id: 1, office_id: 2, role_id: 3, manager_id: 4 };
+
+    it('should keep the department only for anonymous campaigns', () => {
+      expect(EngagementAnonymityService.resultSegments({ anonymous_responses: false }, segments)).toEqual(segments);
+      expect(EngagementAnonymityService.resultSegments({ anonymous_responses: true }, segments))
+        .toEqual({ department_id: 1, office_id: null, role_id: null, manager_id: null });
+      expect(EngagementAnonymityService.hasSegmentField({ anonymous_responses: true }, 'manager_id')).toBe(false);
+    });
+  });
+
+  describe('mergeSmallGroups', () => {
+    const fields = { labelField: 'role_name', countField: 'response_count', metricFields: ['avg_overall_score'] };
+    const group = (name, count, score) => ({ role_name: name, response_count: count, avg_overall_score: score });
+
+    it('should leave groups at or above the threshold untouched', () => {
+      const groups = [group('Engineer', 5, 70), group('Designer', 6, 80)];
+      expect(EngagementAnonymityService.mergeSmallGroups(groups, 5, fields)).toEqual({ groups, suppressed: 0 });
+    });
+
+    it('should merge small groups into "Other" with weighted averages', () => {
+      const { groups, suppressed } = EngagementAnonymityService.mergeSmallGroups(
+        [group('Engineer', 10, 70), group('Designer', 2, 90), group('Analyst', 3, 40), group('Sales', 1, null)],
+        5,
+        fields
+      );
+
+      expect(suppressed).toBe(3);
+      expect(groups).toEqual([
+        group('Engineer', 10, 70),
+        { role_name: MERGED_GROUP_LABEL, response_count: 6, merged_groups: 3, avg_overall_score: 60 }
+      ]);
+    });
+
+    it('should add the smallest reportable group when "Other" stays below the threshold', () => {
+      const { groups } = EngagementAnonymityService.mergeSmallGroups(
+        [group('Engineer', 12, 70), group('Designer', 2, 90), group('Analyst', 6, 50)],
+        5,
+        fields
+      );
+
+      expect(groups.map(g => g.role_name)).toEqual(['Engineer', MERGED_GROUP_LABEL]);
+      expect(groups[1]).toMatchObject({ response_count: 8, merged_groups: 2, avg_overall_score: 60 });
+    });
+
+    it('should report nothing when all responses together are below the threshold', () => {
+      expect(EngagementAnonymityService.mergeSmallGroups([group('Engineer', 2, 70), group('Designer', 2, 90)], 5, fields))
+        .toEqual({ groups: [], suppressed: 2 });
+    });
+  });
+
+  describe('partition', () => {
+    // Three comments of one person and one of another, on the same topic
+    const items = [
+      { id: 1, topic: 'workload', respondent: 'a' },
+      { id: 2, topic: 'workload', respondent: 'a' },
+      { id: 3, topic: 'workload', respondent: 'a' },
+      { id: 4, topic: 'workload', respondent: 'b' },
+      { id: 5, topic: 'pay', respondent: 'c' },
+      { id: 6, topic: 'pay', respondent: 'd' },
+      { id: 7, topic: 'pay', respondent: 'e' }
+    ];
+
+    it('should size buckets in items by default', () => {
+      const { buckets, other, suppressed } = EngagementAnonymityService.partition(items, 'topic', 3);
+
+      expect(buckets.map(([topic, members]) => [topic, members.length])).toEqual([['workload', 4], ['pay', 3]]);
+      expect(other).toEqual([]);
+      expect(suppressed).toBe(0);
+    });
+
+    it('should count each respondent once', () => {
+      const respondentOf = item => item.respondent;
+      const { buckets, other, suppressed } = EngagementAnonymityService.partition(items, 'topic', 3, undefined, respondentOf);
+
+      // workload has 2 respondents: with pay it makes "other", nothing is left on its own
+      expect(buckets).toEqual([]);
+      expect(other).toHaveLength(7);
+      expect(suppressed).toBe(2);
+
+      expect(EngagementAnonymityService.partition(items.slice(0, 4), 'topic', 3, undefined, respondentOf))
+        .toEqual({ buckets: [], other: [], suppressed: 1 });
+    });
+  });
+
+  describe('suppressSmallGroups', () => {
+    it('should hide the metrics of points below the threshold and keep their counts', () => {
+      const { points, suppressed } = EngagementAnonymityService.suppressSmallGroups(
+        [{ month: '2026-09', response_count: 7, avg_overall_score: 71 }, { month: '2026-10', response_count: 2, avg_overall_score: 55 }],
+        5,
+        { countField: 'response_count', metricFields: ['avg_overall_score'] }
+      );
+
+      expect(suppressed).toBe(1);
+      expect(points).toEqual([
+        { month: '2026-09', response_count: 7, avg_overall_score: 71 },
+        { month: '2026-10', response_count: 2, avg_overall_score: null, suppressed: true }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for engagementCommentInsightsService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  engagement_campaigns: { findFirst: jest.fn() },
+  engagement_responses: { findMany: jest.fn() },
+  engagement_question_weights: { findMany: jest.fn() },
+  employees: { findMany: jest.fn() },
+  tenants: { findUnique: jest.fn() }
+}));
+
+jest.mock('../../../src/services/ai/providers', () => {
+  const provider = {
+    openai: null,
+    hasProviders: jest.fn(),
+    generateWithOpenAI: jest.fn(),
+    generateWithAnthropic: jest.fn()
+  };
+  const AIProviders = jest.fn(() => provider);
+  AIProviders.provider = provider;
+  return AIProviders;
+});
+
+const prisma = require('../../../src/config/database');
+const AIProviders = require('../../../src/services/ai/providers');
+const EngagementCommentInsightsService = require('../../../src/services/engagementCommentInsightsService');
+
+const { MERGED_GROUP_LABEL } = require('../../../src/services/engagementAnonymityService');
+
+const { SENTIMENTS, OTHER_TOPIC } = EngagementCommentInsightsService;
+
+describe('EngagementCommentInsightsService', () => {
+  const provider = AIProviders.provider;
+  let campaignId = 0;
+
+  const comments = [
+    ['c01', 'q-growth', 'No career growth here, the training budget is missing'],
+    ['c02', 'q-growth', 'Great training and learning opportunities this year'],
+    ['c03', 'q-growth', 'Career development is slow and promotion criteria are unclear'],
+    ['c04', 'q-open', 'The workload is terrible, overtime every week before each deadline'],
+    ['c05', 'q-open', 'Too much workload and pressure, I am stressed'],
+    ['c06', 'q-open', 'Workload is fine but deadlines are tight, ask Marco Rossi'],
+    ['c07', 'q-open', 'Our manager is not supportive'],
+    ['c08', 'q-open', 'Write to jane.doe@acme.test or call +39 333 123 4567 about the laptop'],
+    ['c09', 'q-open', 'Nothing to add'],
+    ['c10', 'q-growth', 'Learning paths are good, career talks happen often']
+  ].map(([id, questionId, text]) => ({ id, question_id: questionId, response_text: text }));
+
+  const setup = (responses = comments, minGroupSize = 3) => {
+    campaignId++;
+    prisma.engagement_campaigns.findFirst.mockResolvedValue({
+      id: `campaign-${campaignId}`, name: 'Q3 Pulse', template_id: 'template-1', anonymous_responses: true
+    });
+    prisma.engagement_responses.findMany.mockResolvedValue(responses);
+    prisma.engagement_question_weights.findMany.mockResolvedValue([
+      { question_id: 'q-growth', area: 'GROWTH' },
+      { question_id: 'q-open', area: 'GENERAL' }
+    ]);
+    prisma.employees.findMany.mockResolvedValue([{ first_name: 'Marco', last_name: 'Rossi' }, { first_name: 'Al', last_name: null }]);
+    prisma.tenants.findUnique.mockResolvedValue({ engagement_min_group_size: minGroupSize });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider.openai = null;
+    provider.hasProviders.mockReturnValue(false);
+  });
+
+  describe('scoreSentiment', () => {
+    it('should score lexicon words and flip negated ones', () => {
+      expect(EngagementCommentInsightsService.scoreSentiment('Great team, really good support'))
+        .toEqual({ sentiment: SENTIMENTS.POSITIVE, score: 1 });
+      expect(EngagementCommentInsightsService.scoreSentiment('My manager is not supportive'))
+        .toEqual({ sentiment: SENTIMENTS.NEGATIVE, score: -1 });
+      expect(EngagementCommentInsightsService.scoreSentiment('Good pay, bad hours'))
+        .toEqual({ sentiment: SENTIMENTS.NEUTRAL, score: 0 });
+    });
+  });
+
+  describe('scrub', () => {
+    it('should remove contact details and employee names', () => {
+      const pattern = EngagementCommentInsightsService.buildNamePattern([{ first_name: 'Marco', last_name: 'Rossi' }]);
+
+      expect(EngagementCommentInsightsService.scrub('Ask marco ROSSI at m.rossi@acme.test or +39 333 123 4567', pattern))
+        .toBe('Ask [redacted] [redacted] at [redacted] or [redacted]');
+      expect(EngagementCommentInsightsService.scrub('Marcos and Rossini are not names here', pattern))
+        .toBe('Marcos and Rossini are not names here');
+    });
+  });
+
+  describe('getInsights', () => {
+    it('should not analyse fewer comments than the minimum group size', async () => {
+      setup(comments.slice(0, 4), 5);
+      provider.hasProviders.mockReturnValue(true);
+
+      const insights = await EngagementCommentInsightsService.getInsights('tenant-1', 'campaign');
+
+      expect(insights).toMatchObject({ comment_count: 4, suppressed: true, sentiment: null, topics: [], areas: [] });
+      expect(provider.generateWithOpenAI).not.toHaveBeenCalled();
+      expect(provider.generateWithAnthropic).not.toHaveBeenCalled();
+    });
+
+    it('should group comments into topics and areas with the lexicon offline', async () => {
+      setup();
+
+      const insights = await EngagementCommentInsightsService.getInsights('tenant-1', 'campaign');
+
+      expect(insights).toMatchObject({ comment_count: 10, suppressed: false, method: 'lexicon', anonymous: true });
+      expect(insights.topics.map(topic => [topic.topic, topic.comment_count])).toEqual([
+        ['career_growth', 4],
+        ['workload', 3],
+        [OTHER_TOPIC, 3]
+      ]);
+      expect(insights.topics[1]).toMatchObject({ share: 30, sentiment: { distribution: { NEGATIVE: 2, NEUTRAL: 1 } } });
+      expect(insights.areas).toEqual([
+        expect.objectContaining({ area: 'GENERAL', comment_count: 6, themes: [{ topic: 'workload', label: 'Workload' }] }),
+        expect.objectContaining({ area: 'GROWTH', comment_count: 4, themes: [{ topic: 'career_growth', label: 'Career & growth' }] })
+      ]);
+      expect(insights.anonymity).toEqual({ min_group_size: 3, suppressed_groups: 3 });
+    });
+
+    it('should apply the minimum group size to respondents, not comments', async () => {
+      // Two people wrote the four career comments
+      const submissions = { c01: 's1', c02: 's2', c03: 's1', c10: 's2' };
+      setup(comments.map(comment => ({ ...comment, user_id: null, submission_id: submissions[comment.id] || `s-${comment.id}` })));
+
+      const insights = await EngagementCommentInsightsService.getInsights('tenant-1', 'campaign');
+
+      expect(insights).toMatchObject({ comment_count: 10, respondent_count: 8, suppressed: false });
+      expect(insights.topics.map(topic => topic.topic)).not.toContain('career_growth');
+      // GROWTH alone is too small, and GENERAL would follow from the total
+      expect(insights.areas.map(area => [area.area, area.respondent_count])).toEqual([[MERGED_GROUP_LABEL, 8]]);
+
+      // Ten comments from two people say nothing
+      setup(comments.map((comment, i) => ({ ...comment, user_id: `user-${i % 2}` })));
+      expect(await EngagementCommentInsightsService.getInsights('tenant-1', 'campaign'))
+        .toMatchObject({ comment_count: 10, respondent_count: 2, suppressed: true, topics: [] });
+    });
+
+    it('should quote each comment once, scrubbed and never below the quote length', async () => {
+      setup();
+
+      const insights = await EngagementCommentInsightsService.getInsights('tenant-1', 'campaign');
+      const quotes = insights.topics.flatMap(topic => topic.quotes.map(quote => quote.text));
+
+      expect(insights.topics.every(topic => topic.quotes.length <= 3)).toBe(true);
+      expect(new Set(quotes).size).toBe(quotes.length);
+      expect(quotes).not.toContain('Nothing to add');
+      expect(quotes.join(' ')).not.toMatch(/Marco|Rossi|jane\.doe|333/);
+      // Quotes follow the dominant sentiment of the topic
+      expect(insights.topics[1].quotes[0].sentiment).toBe(SENTIMENTS.NEGATIVE);
+    });
+
+    it('should classify with the AI provider and fall back per comment on invalid entries', async () => {
+      setup();
+      provider.hasProviders.mockReturnValue(true);
+      provider.openai = {};
+      provider.generateWithOpenAI.mockImplementation(async (prompt) => {
+        expect(prompt).not.toMatch(/Marco|jane\.doe/);
+        const results = comments.map((comment, i) => (i < 6
+          ? { i, sentiment: 'NEGATIVE', score: -0.8, topic: 'management' }
+          : { i, sentiment: 'POSITIVE', score: 0.6, topic: 'compensation' }));
+        results[9] = { i: 9, sentiment: 'ANGRY', score: 0, topic: 'compensation' };
+        return `\`\`\`json\n${JSON.stringify({ results })}\n\`\`\``;
+      });
+
+      const insights = await EngagementCommentInsightsService.getInsights('tenant-1', 'campaign', { userId: 'user-1' });
+
+      expect(provider.generateWithOpenAI).toHaveBeenCalledWith(
+        expect.any(String), expect.any(String), 0, 4000, 'gpt-4o-mini',
+        expect.objectContaining({ tenantId: 'tenant-1', userId: 'user-1', operationType: 'engagement_comment_analysis' })
+      );
+      expect(insights.method).toBe('ai');
+      // The invalid entry is classified offline (career_growth), too small alone, merged with compensation
+      expect(insights.topics.map(topic => [topic.topic, topic.comment_count])).toEqual([['management', 6], [OTHER_TOPIC, 4]]);
+      expect(insights.sentiment.distribution).toEqual({ POSITIVE: 4, NEUTRAL: 0, NEGATIVE: 6 });
+    });
+
+    it('should use the lexicon when the AI call fails', async () => {
+      setup();
+      provider.hasProviders.mockReturnValue(true);
+      provider.generateWithAnthropic.mockRejectedValue(Object.assign(new Error('Budget exceeded'), { code: 'LLM_BUDGET_EXCEEDED' }));
+
+      const insights = await EngagementCommentInsightsService.getInsights('tenant-1', 'campaign');
+
+      expect(provider.generateWithAnthropic).toHaveBeenCalled();
+      expect(insights.method).toBe('lexicon');
+    });
+
+    it('should reject campaigns of other tenants', async () => {
+      setup();
+      prisma.engagement_campaigns.findFirst.mockResolvedValue(null);
+
+      await expect(EngagementCommentInsightsService.getInsights('tenant-2', 'campaign'))
+        .rejects.toMatchObject({ code: 'CAMPAIGN_NOT_FOUND', status: 404 });
+    });
+  });
+});
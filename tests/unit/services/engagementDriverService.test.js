@@ -0,0 +1,157 @@
+/**
+ * Unit Tests for engagementDriverService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  engagement_campaigns: { findFirst: jest.fn() },
+  engagement_results: { findMany: jest.fn() },
+  employees: { findUnique: jest.fn() },
+  departments: { findMany: jest.fn() },
+  offices: { findMany: jest.fn() },
+  roles: { findMany: jest.fn() },
+  tenants: { findUnique: jest.fn() }
+}));
+
+const prisma = require('../../../src/config/database');
+const EngagementDriverService = require('../../../src/services/engagementDriverService');
+
+const { ENPS_CATEGORIES, DRIVER_PRIORITIES } = EngagementDriverService;
+
+describe('EngagementDriverService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('eNPS', () => {
+    it('should categorise answers and compute promoters minus detractors', () => {
+      expect([10, 9, 8, 7, 6, 0].map(score => EngagementDriverService.enpsCategory(score))).toEqual([
+        ENPS_CATEGORIES.PROMOTER, ENPS_CATEGORIES.PROMOTER,
+        ENPS_CATEGORIES.PASSIVE, ENPS_CATEGORIES.PASSIVE,
+        ENPS_CATEGORIES.DETRACTOR, ENPS_CATEGORIES.DETRACTOR
+      ]);
+
+      expect(EngagementDriverService.calculateEnps([10, 9, 9, 8, 3, null, 6, 10, 7]))
+        .toEqual({ enps: 25, responses: 8, promoters: 4, passives: 2, detractors: 2 });
+      expect(EngagementDriverService.calculateEnps([null])).toBeNull();
+    });
+
+    it('should accept only integer answers from 0 to 10', () => {
+      expect(['0', 10, 7].map(value => EngagementDriverService.parseEnpsAnswer(value))).toEqual([0, 10, 7]);
+      expect([11, -1, 7.5, 'ten', '', null].map(value => EngagementDriverService.parseEnpsAnswer(value)))
+        .toEqual([null, null, null, null, null, null]);
+    });
+
+    it('should blend the eNPS answer into the engagement index', () => {
+      expect(EngagementDriverService.engagementIndex(70, null)).toBe(70);
+      expect(EngagementDriverService.engagementIndex(70, 9)).toBe(80);
+    });
+  });
+
+  describe('rankDrivers', () => {
+    // GROWTH moves with the index, BELONGING barely, LEADERSHIP is constant
+    const results = [40, 50, 60, 70, 80, 90].map((index, i) => ({
+      engagement_index: index,
+      area_scores: { GROWTH: index - 10, BELONGING: [70, 90, 60, 95, 65, 85][i], LEADERSHIP: 75 }
+    }));
+
+    it('should rank areas by correlation with the engagement index', () => {
+      const drivers = EngagementDriverService.rankDrivers(results);
+
+      expect(drivers.map(driver => driver.area)).toEqual(['GROWTH', 'BELONGING']);
+      expect(drivers[0]).toEqual({
+        rank: 1,
+        area: 'GROWTH',
+        average_score: 55,
+        correlation: 1,
+        impact: 1,
+        responses: 6,
+        priority: DRIVER_PRIORITIES.PRIORITY
+      });
+      expect(drivers[1]).toMatchObject({ rank: 2, average_score: 77.5, priority: DRIVER_PRIORITIES.MAINTAIN });
+    });
+
+    it('should not correlate samples that are too small', () => {
+      expect(EngagementDriverService.rankDrivers(results.slice(0, 4))).toEqual([]);
+    });
+  });
+
+  describe('analyseCampaign', () => {
+    const result = (index, enps, segment) => ({
+      engagement_index: index,
+      enps_score: enps,
+      area_scores: { GROWTH: index - 5, BELONGING: 100 - index },
+      department_id: 1,
+      office_id: null,
+      role_id: 7,
+      ...segment
+    });
+
+    const setup = (results, minGroupSize = 3, anonymous = false) => {
+      prisma.engagement_campaigns.findFirst.mockResolvedValue({ id: 'campaign-1', name: 'Annual survey', anonymous_responses: anonymous });
+      prisma.engagement_results.findMany.mockResolvedValue(results);
+      prisma.tenants.findUnique.mockResolvedValue({ engagement_min_group_size: minGroupSize });
+      prisma.departments.findMany.mockResolvedValue([{ id: 1, department_name: 'Engineering' }]);
+      prisma.offices.findMany.mockResolvedValue([]);
+      prisma.roles.findMany.mockResolvedValue([{ id: 7, Role: 'Developer' }]);
+    };
+
+    it('should report drivers and eNPS overall and by segment, merging small segments', async () => {
+      setup([
+        result(50, 9), result(60, 10), result(70, 6), result(80, 8), result(90, 9),
+        result(55, 3, { department_id: 2 }), result(65, 10, { department_id: 3 }), result(75, 7, { department_id: 4 })
+      ]);
+
+      const analysis = await EngagementDriverService.analyseCampaign('tenant-1', 'campaign-1');
+
+      expect(analysis).toMatchObject({ responses: 8, suppressed: false, anonymous: false, engagement_index: 68.13 });
+      expect(analysis.enps).toEqual({ enps: 25, responses: 8, promoters: 4, passives: 2, detractors: 2 });
+      expect(analysis.drivers.map(driver => driver.area)).toEqual(['GROWTH', 'BELONGING']);
+
+      expect(analysis.segments.department.map(s => [s.name, s.responses])).toEqual([['Engineering', 5], ['Other', 3]]);
+      expect(analysis.segments.department[0].top_drivers[0]).toMatchObject({ area: 'GROWTH', rank: 1 });
+      // Three responses are too few to correlate
+      expect(analysis.segments.department[1].top_drivers).toEqual([]);
+      expect(analysis.segments.office).toEqual([expect.objectContaining({ id: null, name: 'Unassigned', responses: 8 })]);
+      expect(analysis.segments.role[0]).toMatchObject({ id: 7, name: 'Developer' });
+      expect(analysis.anonymity).toEqual({ min_group_size: 3, suppressed_groups: 3 });
+      expect(prisma.departments.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { id: { in: [1] } } }));
+    });
+
+    it('should not analyse campaigns below the minimum group size', async () => {
+      setup([result(50, 9), result(60, 10)], 5);
+
+      const analysis = await EngagementDriverService.analyseCampaign('tenant-1', 'campaign-1');
+
+      expect(analysis).toMatchObject({ responses: 2, suppressed: true, enps: null, drivers: [], segments: {} });
+      expect(prisma.departments.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should only segment by the requested dimensions', async () => {
+      setup([result(50, 9), result(60, 10), result(70, 6)]);
+
+      const analysis = await EngagementDriverService.analyseCampaign('tenant-1', 'campaign-1', { segmentBy: ['role'] });
+      expect(Object.keys(analysis.segments)).toEqual(['role']);
+
+      await expect(EngagementDriverService.analyseCampaign('tenant-1', 'campaign-1', { segmentBy: ['team'] }))
+        .rejects.toMatchObject({ code: 'INVALID_SEGMENT', status: 400 });
+    });
+
+    it('should segment anonymous campaigns by department only', async () => {
+      setup([result(50, 9), result(60, 10), result(70, 6)], 3, true);
+
+      const analysis = await EngagementDriverService.analyseCampaign('tenant-1', 'campaign-1');
+      expect(Object.keys(analysis.segments)).toEqual(['department']);
+
+      await expect(EngagementDriverService.analyseCampaign('tenant-1', 'campaign-1', { segmentBy: ['department', 'role'] }))
+        .rejects.toMatchObject({ code: 'SEGMENT_NOT_AVAILABLE', status: 400 });
+    });
+
+    it('should reject campaigns of other tenants', async () => {
+      setup([]);
+      prisma.engagement_campaigns.findFirst.mockResolvedValue(null);
+
+      await expect(EngagementDriverService.analyseCampaign('tenant-2', 'campaign-1'))
+        .rejects.toMatchObject({ code: 'CAMPAIGN_NOT_FOUND', status: 404 });
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for engagementHeatmapService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  engagement_campaigns: { findFirst: jest.fn() },
+  engagement_results: { findMany: jest.fn() },
+  employees: { findMany: jest.fn() },
+  departments: { findMany: jest.fn() },
+  offices: { findMany: jest.fn() },
+  roles: { findMany: jest.fn() },
+  tenants: { findUnique: jest.fn() }
+}));
+
+const ExcelJS = require('exceljs');
+const prisma = require('../../../src/config/database');
+const EngagementHeatmapService = require('../../../src/services/engagementHeatmapService');
+
+describe('EngagementHeatmapService', () => {
+  // 1 CEO > 2 Anna > 4 Carlo, 1 CEO > 3 Bruno
+  const employees = [
+    { id: 1, first_name: 'Marta', last_name: 'Bianchi', manager_id: null },
+    { id: 2, first_name: 'Anna', last_name: 'Verdi', manager_id: 1 },
+    { id: 3, first_name: 'Bruno', last_name: 'Neri', manager_id: 1 },
+    { id: 4, first_name: 'Carlo', last_name: 'Russo', manager_id: 2 }
+  ];
+  const parents = new Map(employees.map(e => [e.id, e.manager_id]));
+
+  const result = (managerId, departmentId, index, areaScores) => ({
+    manager_id: managerId,
+    department_id: departmentId,
+    office_id: null,
+    role_id: null,
+    engagement_index: index,
+    overall_score: index,
+    area_scores: areaScores
+  });
+
+  const current = [
+    result(4, 10, 75, { GROWTH: 80, BELONGING: 70 }),
+    result(4, 10, 75, { GROWTH: 80, BELONGING: 70 }),
+    result(4, 10, 75, { GROWTH: 80 }),
+    result(2, 10, 80, { GROWTH: 80 }),
+    result(2, 10, 80, { GROWTH: 80 }),
+    result(2, 10, 80, { GROWTH: 80 }),
+    result(3, 20, 45, { GROWTH: 50, BELONGING: 40 }),
+    result(3, 20, 45, { GROWTH: 50, BELONGING: 40 }),
+    result(3, 20, 45, { GROWTH: 50, BELONGING: 40 }),
+    result(1, 30, 45, { GROWTH: 50, BELONGING: 40 })
+  ];
+  const previous = [
+    ...Array(3).fill(result(4, 10, 70, { GROWTH: 70 })),
+    ...Array(3).fill(result(3, 20, 50, { GROWTH: 50 }))
+  ];
+
+  const setup = ({ results = current, previousResults = previous, minGroupSize = 3, anonymous = false } = {}) => {
+    prisma.engagement_campaigns.findFirst
+      .mockResolvedValueOnce({
+        id: 'campaign-2',
+        tenant_id: 'tenant-1',
+        template_id: 'template-1',
+        name: 'Engagement 2026',
+        start_date: new Date('2026-10-01'),
+        previous_campaign_id: null,
+        anonymous_responses: anonymous
+      })
+      .mockResolvedValueOnce(previousResults ? { id: 'campaign-1', name: 'Engagement 2025' } : null);
+    prisma.engagement_results.findMany
+      .mockResolvedValueOnce(results)
+      .mockResolvedValueOnce(previousResults || []);
+    prisma.tenants.findUnique.mockResolvedValue({ engagement_min_group_size: minGroupSize });
+    prisma.employees.findMany.mockResolvedValue(employees);
+    prisma.departments.findMany.mockResolvedValue([{ id: 10, department_name: 'Engineering' }]);
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('managerSubtrees', () => {
+    it('should hide subtrees that would reveal a small group by difference', () => {
+      const { subtrees, suppressed } = EngagementHeatmapService.managerSubtrees(current, parents, 3);
+
+      // Anna adds 3 respondents to Carlo, the CEO only 1 to Anna and Bruno
+      expect(subtrees.map(([id, items]) => [id, items.length])).toEqual([[2, 6], [4, 3], [3, 3]]);
+      expect(suppressed).toBe(1);
+    });
+
+    it('should show a subtree identical to the ones shown below it', () => {
+      const { subtrees } = EngagementHeatmapService.managerSubtrees(current.slice(0, 9), parents, 3);
+      expect(subtrees.map(([id, items]) => [id, items.length])).toEqual([[1, 9], [2, 6], [4, 3], [3, 3]]);
+    });
+
+    it('should stop on cycles in the hierarchy', () => {
+      const cyclic = new Map([[1, 2], [2, 1]]);
+      expect(EngagementHeatmapService.chain(1, cyclic)).toEqual([1, 2]);
+    });
+  });
+
+  describe('getHeatmap', () => {
+    it('should build rows with deltas versus tenant average and previous campaign', async () => {
+      setup();
+
+      const heatmap = await EngagementHeatmapService.getHeatmap('tenant-1', 'campaign-2');
+
+      expect(heatmap).toMatchObject({
+        suppressed: false,
+        areas: ['BELONGING', 'GROWTH'],
+        group_by: ['department', 'office', 'manager'],
+        previous_campaign: { id: 'campaign-1', name: 'Engagement 2025' },
+        tenant_average: { responses: 10, engagement_index: 64.5, scores: { GROWTH: 68, BELONGING: 50 }, vs_previous: 4.5 }
+      });
+      expect(heatmap.rows.map(row => [row.dimension, row.name, row.responses])).toEqual([
+        ['department', 'Engineering', 6],
+        ['department', 'Other', 4],
+        ['office', 'Unassigned', 10],
+        ['manager', 'Anna Verdi', 6],
+        ['manager', 'Carlo Russo', 3],
+        ['manager', 'Bruno Neri', 3]
+      ]);
+
+      const engineering = heatmap.rows[0];
+      expect(engineering).toMatchObject({ engagement_index: 77.5, vs_tenant: 13, vs_previous: 7.5 });
+      expect(engineering.cells.GROWTH).toEqual({ score: 80, vs_tenant: 12, vs_previous: 10 });
+      // Only two respondents of Engineering answered BELONGING
+      expect(engineering.cells.BELONGING).toEqual({ score: null, vs_tenant: null, vs_previous: null });
+
+      // "Other" is not compared with the previous campaign
+      expect(heatmap.rows[1].vs_previous).toBeNull();
+      expect(heatmap.rows[3].cells.GROWTH.vs_previous).toBe(10);
+      expect(heatmap.anonymity).toEqual({ min_group_size: 3, suppressed_groups: 3 });
+    });
+
+    it('should only group anonymous campaigns by department', async () => {
+      setup({ anonymous: true });
+
+      const heatmap = await EngagementHeatmapService.getHeatmap('tenant-1', 'campaign-2');
+      expect(heatmap).toMatchObject({ anonymous: true, group_by: ['department'] });
+      expect(prisma.employees.findMany).not.toHaveBeenCalled();
+
+      setup({ anonymous: true });
+      await expect(EngagementHeatmapService.getHeatmap('tenant-1', 'campaign-2', { groupBy: ['manager'] }))
+        .rejects.toMatchObject({ code: 'SEGMENT_NOT_AVAILABLE', status: 400 });
+    });
+
+    it('should look for the previous campaign of the same template', async () => {
+      setup({ previousResults: null });
+
+      const heatmap = await EngagementHeatmapService.getHeatmap('tenant-1', 'campaign-2', { groupBy: ['department'] });
+
+      expect(prisma.engagement_campaigns.findFirst).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ template_id: 'template-1', start_date: { lt: new Date('2026-10-01') } })
+      }));
+      expect(heatmap.previous_campaign).toBeNull();
+      expect(heatmap.rows[0]).toMatchObject({ name: 'Engineering', vs_previous: null });
+      expect(prisma.employees.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should not show anything below the minimum group size', async () => {
+      setup({ results: current.slice(0, 4), minGroupSize: 5 });
+
+      const heatmap = await EngagementHeatmapService.getHeatmap('tenant-1', 'campaign-2');
+
+      expect(heatmap).toMatchObject({ suppressed: true, tenant_average: null, rows: [] });
+      expect(EngagementHeatmapService.toTable(heatmap)).toHaveLength(1);
+    });
+
+    it('should reject unknown dimensions and campaigns of other tenants', async () => {
+      await expect(EngagementHeatmapService.getHeatmap('tenant-1', 'campaign-2', { groupBy: ['team'] }))
+        .rejects.toMatchObject({ code: 'INVALID_GROUP_BY', status: 400 });
+
+      prisma.engagement_campaigns.findFirst.mockResolvedValue(null);
+      await expect(EngagementHeatmapService.getHeatmap('tenant-2', 'campaign-2'))
+        .rejects.toMatchObject({ code: 'CAMPAIGN_NOT_FOUND', status: 404 });
+    });
+  });
+
+  describe('export', () => {
+    it('should export CSV without spreadsheet formulas and XLSX with the same cells', async () => {
+      setup();
+      prisma.departments.findMany.mockResolvedValue([{ id: 10, department_name: '=HYPERLINK("x")' }]);
+
+      const heatmap = await EngagementHeatmapService.getHeatmap('tenant-1', 'campaign-2', { groupBy: ['department'] });
+      const csv = EngagementHeatmapService.toCsv(heatmap).split('\n');
+
+      expect(csv[0]).toBe('Dimension,Unit,Responses,Engagement index,vs tenant,vs previous,' +
+        'BELONGING,BELONGING vs tenant,BELONGING vs previous,GROWTH,GROWTH vs tenant,GROWTH vs previous');
+      expect(csv[1]).toBe('tenant,Tenant average,10,64.5,,4.5,50,,,68,,');
+      expect(csv[2]).toBe('department,"\'=HYPERLINK(""x"")",6,77.5,13,7.5,,,,80,12,10');
+      expect(csv[3]).toBe('department,Other,4,45,-19.5,,40,-10,,50,-18,');
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(await EngagementHeatmapService.toXlsx(heatmap));
+      const sheet = workbook.getWorksheet('Heatmap');
+      expect(workbook.worksheets.map(ws => ws.name)).toEqual(['Heatmap']);
+      expect(sheet.getCell('A1').value).toBe('Dimension');
+      // A string, not a formula
+      expect(sheet.getCell('B3').type).toBe(ExcelJS.ValueType.String);
+      expect(sheet.getCell('B3').value).toBe('=HYPERLINK("x")');
+      expect(sheet.getCell('E4').value).toBe(-19.5);
+      expect(sheet.getCell('G3').value).toBeNull();
+    });
+  });
+});
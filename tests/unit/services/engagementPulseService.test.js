@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for engagementPulseService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  engagement_campaigns: { findFirst: jest.fn(), findMany: jest.fn() },
+  engagement_results: { findMany: jest.fn() },
+  engagement_questions: { findMany: jest.fn() },
+  engagement_question_weights: { findMany: jest.fn() },
+  tenants: { findUnique: jest.fn() }
+}));
+
+const prisma = require('../../../src/config/database');
+const EngagementPulseService = require('../../../src/services/engagementPulseService');
+
+describe('EngagementPulseService', () => {
+  const areas = { g: 'GROWTH', b: 'BELONGING', l: 'LEADERSHIP' };
+  // 3 areas x 4 questions, plus the eNPS question
+  const questions = [
+    ...['g', 'b', 'l'].flatMap(prefix => [1, 2, 3, 4].map(n => ({
+      id: `${prefix}${n}`, question_type: 'LIKERT', area: areas[prefix], weight: 1
+    }))),
+    { id: 'enps', question_type: 'ENPS', area: 'GENERAL', weight: 1 }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validatePulseInput', () => {
+    it('should derive the cycle from the template and the sample size', () => {
+      expect(EngagementPulseService.validatePulseInput({ questionsPerSurvey: 5 }, 'weekly', questions)).toEqual({
+        errors: [],
+        pulseConfig: { questions_per_survey: 5, cycle_length: 3, rotating_questions: 12 }
+      });
+      expect(EngagementPulseService.validatePulseInput(undefined, 'monthly', questions))
+        .toEqual({ errors: [], pulseConfig: null });
+    });
+
+    it('should refuse settings that are not a pulse', () => {
+      expect(EngagementPulseService.validatePulseInput({}, 'monthly', questions).errors)
+        .toEqual(['pulse campaigns must recur weekly or biweekly']);
+      expect(EngagementPulseService.validatePulseInput({ questionsPerSurvey: 2 }, 'biweekly', questions).errors)
+        .toEqual(['pulse.questionsPerSurvey must be an integer between 3 and 15']);
+      expect(EngagementPulseService.validatePulseInput({ questionsPerSurvey: 12 }, 'weekly', questions).errors)
+        .toEqual(['The template has 12 questions to rotate, pulse.questionsPerSurvey must be lower']);
+    });
+  });
+
+  describe('sampleQuestions', () => {
+    const sample = (employeeId, occurrenceNumber) => EngagementPulseService.sampleQuestions(questions, {
+      seriesId: 'series-1', employeeId, occurrenceNumber, questionsPerSurvey: 4
+    });
+
+    it('should ask every question once per cycle and every area in each survey', () => {
+      const cycle = [1, 2, 3].map(occurrence => sample(42, occurrence));
+
+      for (const ids of cycle) {
+        expect(ids).toHaveLength(5);
+        expect(ids).toContain('enps');
+        expect(new Set(ids.filter(id => id !== 'enps').map(id => id[0]))).toEqual(new Set(['g', 'b', 'l']));
+      }
+      expect(new Set(cycle.flat()).size).toBe(13);
+      // The next cycle starts over
+      expect(sample(42, 4)).toEqual(cycle[0]);
+    });
+
+    it('should be stable for an employee and differ between employees', () => {
+      expect(sample(42, 2)).toEqual(sample(42, 2));
+
+      const firstSurveys = [1, 2, 3, 4, 5, 6].map(employeeId => sample(employeeId, 1).join());
+      expect(new Set(firstSurveys).size).toBeGreaterThan(1);
+    });
+
+    it('should keep the template order', () => {
+      const order = questions.map(q => q.id);
+      const ids = sample(7, 1);
+      expect(ids).toEqual([...ids].sort((a, b) => order.indexOf(a) - order.indexOf(b)));
+    });
+  });
+
+  describe('sampleAssignments', () => {
+    const campaign = (anonymous) => ({
+      id: 'c2', template_id: 'template-1', series_id: 'c1', occurrence_number: 2,
+      pulse_config: { questions_per_survey: 4 }, anonymous_responses: anonymous
+    });
+
+    beforeEach(() => {
+      prisma.engagement_questions.findMany.mockResolvedValue(questions.map(({ id, question_type }) => ({ id, question_type, metadata: null })));
+      prisma.engagement_question_weights.findMany.mockResolvedValue(
+        questions.filter(q => q.id !== 'enps').map(q => ({ question_id: q.id, area: q.area, weight: 1 }))
+      );
+    });
+
+    it('should give every employee of an anonymous occurrence the same sample', async () => {
+      const samples = await EngagementPulseService.sampleAssignments(campaign(true), [1, 2, 3, 4, 5, 6]);
+
+      expect(new Set([...samples.values()].map(ids => ids.join())).size).toBe(1);
+      expect(samples.get(1)).toEqual(EngagementPulseService.sampleQuestions(questions, {
+        seriesId: 'c1', employeeId: null, occurrenceNumber: 2, questionsPerSurvey: 4
+      }));
+    });
+
+    it('should sample each employee of a named campaign', async () => {
+      const samples = await EngagementPulseService.sampleAssignments(campaign(false), [1, 2, 3, 4, 5, 6]);
+
+      expect(new Set([...samples.values()].map(ids => ids.join())).size).toBeGreaterThan(1);
+      expect(await EngagementPulseService.sampleAssignments({ pulse_config: null }, [1])).toBeNull();
+    });
+  });
+
+  describe('filterResponses', () => {
+    it('should drop answers to questions outside the sample', () => {
+      const responses = [{ question_id: 'g1', answer: 4 }, { question_id: 'g2', answer: 2 }, { id: 'enps', answer: 9 }];
+
+      expect(EngagementPulseService.filterResponses({ question_ids: ['g1', 'enps'] }, responses))
+        .toEqual([{ question_id: 'g1', answer: 4 }, { id: 'enps', answer: 9 }]);
+      expect(EngagementPulseService.filterResponses({ question_ids: null }, responses)).toBe(responses);
+    });
+  });
+
+  describe('reconstructAreaScores', () => {
+    const item = (score, weight = 1) => ({ weighted_score: score * weight, weight });
+    // g1 is an "easy" item drawn three times, g2 a harder one drawn once
+    const results = [
+      { weighted_scores: { g1: item(90), b1: item(60) } },
+      { weighted_scores: { g1: item(90), b1: item(70) } },
+      { weighted_scores: { g1: item(90) } },
+      { weighted_scores: { g2: item(50, 2), enps: item(100) } }
+    ];
+
+    it('should average items, not answers, and report confidence', () => {
+      const [belonging, growth, leadership] = EngagementPulseService.reconstructAreaScores(results, questions, 3);
+
+      // A plain average of the answers would give 80
+      expect(growth).toEqual({
+        area: 'GROWTH',
+        items_total: 4,
+        items_answered: 2,
+        coverage: 0.5,
+        respondents: 4,
+        answers: 4,
+        score: 70,
+        margin: 19.6,
+        confidence: 0.11,
+        level: 'LOW'
+      });
+      expect(belonging).toMatchObject({ respondents: 2, score: null, confidence: 0, suppressed: true });
+      expect(leadership).toMatchObject({ respondents: 0, score: null, suppressed: false });
+    });
+
+    it('should be confident when the items are covered and answers agree', () => {
+      const covered = [1, 2, 3, 4, 5, 6, 7, 8].map(n => ({
+        weighted_scores: { [`g${(n % 4) + 1}`]: item(n % 2 ? 80 : 76) }
+      }));
+      const growth = EngagementPulseService.reconstructAreaScores(covered, questions, 3).find(a => a.area === 'GROWTH');
+
+      expect(growth).toMatchObject({ coverage: 1, score: 78, level: 'HIGH' });
+      expect(growth.confidence).toBeGreaterThan(0.9);
+    });
+  });
+
+  describe('getPulseScores', () => {
+    const setup = (campaign) => {
+      prisma.engagement_campaigns.findFirst.mockResolvedValue(campaign);
+      prisma.engagement_campaigns.findMany.mockResolvedValue([{ id: 'c2' }, { id: 'c3' }, { id: 'c4' }, { id: 'c5' }]);
+      prisma.engagement_questions.findMany.mockResolvedValue(questions.map(({ id, question_type }) => ({ id, question_type, metadata: null })));
+      prisma.engagement_question_weights.findMany.mockResolvedValue(
+        questions.filter(q => q.id !== 'enps').map(q => ({ question_id: q.id, area: q.area, weight: 1 }))
+      );
+      prisma.engagement_results.findMany.mockResolvedValue([
+        { weighted_scores: { g1: { weighted_score: 90, weight: 1 } } },
+        { weighted_scores: { g1: { weighted_score: 90, weight: 1 } } },
+        { weighted_scores: { g1: { weighted_score: 90, weight: 1 } } },
+        { weighted_scores: { g2: { weighted_score: 50, weight: 1 } } }
+      ]);
+      prisma.tenants.findUnique.mockResolvedValue({ engagement_min_group_size: 3 });
+    };
+
+    it('should reconstruct the scores over the last cycle of the series', async () => {
+      setup({
+        id: 'c5', name: 'Pulse #5', template_id: 'template-1', series_id: 'c1', occurrence_number: 5,
+        pulse_config: { questions_per_survey: 3, cycle_length: 4 }, anonymous_responses: true
+      });
+
+      const scores = await EngagementPulseService.getPulseScores('tenant-1', 'c5');
+
+      expect(prisma.engagement_campaigns.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { tenant_id: 'tenant-1', OR: [{ id: 'c1' }, { series_id: 'c1' }], occurrence_number: { gte: 2, lte: 5 } }
+      }));
+      expect(prisma.engagement_results.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { campaign_id: { in: ['c2', 'c3', 'c4', 'c5'] } }
+      }));
+      expect(scores).toMatchObject({
+        cycle_length: 4,
+        window: { from_occurrence: 2, to_occurrence: 5, campaigns: 4, complete_cycle: true },
+        responses: 4,
+        suppressed: false,
+        overall: { score: 70, level: 'LOW' }
+      });
+      expect(scores.areas.map(area => [area.area, area.score])).toEqual([['BELONGING', null], ['GROWTH', 70], ['LEADERSHIP', null]]);
+    });
+
+    it('should refuse campaigns that are not pulses', async () => {
+      setup({ id: 'c9', occurrence_number: 1, pulse_config: null });
+
+      await expect(EngagementPulseService.getPulseScores('tenant-1', 'c9'))
+        .rejects.toMatchObject({ code: 'NOT_A_PULSE', status: 400 });
+
+      prisma.engagement_campaigns.findFirst.mockResolvedValue(null);
+      await expect(EngagementPulseService.getPulseScores('tenant-2', 'c9'))
+        .rejects.toMatchObject({ code: 'CAMPAIGN_NOT_FOUND', status: 404 });
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Unit Tests for entitlementService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  tenants: {
+    findUnique: jest.fn()
+  },
+  tenant_billing: {
+    findFirst: jest.fn()
+  },
+  tenant_features: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    upsert: jest.fn(),
+    delete: jest.fn()
+  },
+  tenant_feature_usage: {
+    findMany: jest.fn()
+  },
+  $queryRaw: jest.fn(),
+  $executeRaw: jest.fn()
+}));
+
+const { EventEmitter } = require('events');
+const prisma = require('../../../src/config/database');
+const EntitlementService = require('../../../src/services/entitlementService');
+const { requireFeature } = require('../../../src/middlewares/entitlements');
+const { FEATURES } = require('../../../src/constants/plans');
+
+const { DENIAL_REASONS } = EntitlementService;
+
+describe('EntitlementService', () => {
+  const tenantId = '11111111-1111-1111-1111-111111111111';
+  const now = new Date('2026-10-19T09:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    EntitlementService.clearCache();
+    prisma.tenants.findUnique.mockResolvedValue({ subscription_plan: 'professional' });
+    prisma.tenant_billing.findFirst.mockResolvedValue(null);
+    prisma.tenant_features.findMany.mockResolvedValue([]);
+  });
+
+  describe('resolvePlan', () => {
+    it('should use the tenant plan when there is no billing period', async () => {
+      const plan = await EntitlementService.resolvePlan(tenantId, now);
+
+      expect(plan).toEqual({
+        plan: 'professional',
+        source: 'tenant',
+        billing_status: null,
+        billing_active: true
+      });
+    });
+
+    it('should prefer the current billing period', async () => {
+      prisma.tenant_billing.findFirst.mockResolvedValue({
+        plan: 'Enterprise',
+        status: 'active',
+        startDate: new Date('2026-10-01'),
+        endDate: new Date('2026-11-01')
+      });
+
+      const plan = await EntitlementService.resolvePlan(tenantId, now);
+
+      expect(plan.plan).toBe('enterprise');
+      expect(plan.source).toBe('billing');
+      expect(plan.billing_active).toBe(true);
+    });
+
+    it('should mark ended or unpaid billing periods inactive', async () => {
+      prisma.tenant_billing.findFirst.mockResolvedValue({
+        plan: 'enterprise',
+        status: 'PAST_DUE',
+        startDate: new Date('2026-10-01'),
+        endDate: null
+      });
+
+      const plan = await EntitlementService.resolvePlan(tenantId, now);
+
+      expect(plan.billing_active).toBe(false);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should fall back to the default plan when billing is inactive', () => {
+      const features = EntitlementService.evaluate({ plan: 'enterprise', billing_active: false });
+
+      expect(features[FEATURES.CV_EXTRACTION]).toEqual({ enabled: true, monthly_quota: 20, source: 'plan' });
+      expect(features[FEATURES.AI_SERVICES]).toMatchObject({
+        enabled: false,
+        reason: DENIAL_REASONS.BILLING_INACTIVE
+      });
+    });
+
+    it('should apply overrides over the plan', () => {
+      const features = EntitlementService.evaluate({ plan: 'basic', billing_active: true }, [
+        { featureName: FEATURES.CV_EXTRACTION, isEnabled: false },
+        { featureName: FEATURES.AI_SERVICES, isEnabled: true, config: { monthly_quota: 10 } },
+        { featureName: FEATURES.PROJECT_MATCHING, isEnabled: true, config: null }
+      ]);
+
+      expect(features[FEATURES.CV_EXTRACTION]).toMatchObject({ enabled: false, reason: DENIAL_REASONS.DISABLED });
+      expect(features[FEATURES.AI_SERVICES]).toEqual({ enabled: true, monthly_quota: 10, source: 'override' });
+      expect(features[FEATURES.PROJECT_MATCHING]).toEqual({ enabled: true, monthly_quota: 50, source: 'override' });
+      expect(features[FEATURES.ENGAGEMENT_AI]).toMatchObject({ enabled: false, reason: DENIAL_REASONS.NOT_IN_PLAN });
+    });
+  });
+
+  describe('check', () => {
+    it('should deny features outside the plan without metering', async () => {
+      prisma.tenants.findUnique.mockResolvedValue({ subscription_plan: 'basic' });
+
+      const result = await EntitlementService.check(tenantId, FEATURES.AI_SERVICES, { metered: true, now });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe(DENIAL_REASONS.NOT_IN_PLAN);
+      expect(prisma.$queryRaw).not.toHaveBeenCalled();
+    });
+
+    it('should count metered uses within the quota', async () => {
+      prisma.$queryRaw.mockResolvedValue([{ used: 7 }]);
+
+      const result = await EntitlementService.check(tenantId, FEATURES.CV_EXTRACTION, { metered: true, now });
+
+      expect(result.allowed).toBe(true);
+      expect(result.usage).toEqual({
+        allowed: true,
+        used: 7,
+        quota: 200,
+        resets_at: new Date('2026-11-01T00:00:00Z')
+      });
+    });
+
+    it('should deny once the monthly quota is used up', async () => {
+      prisma.$queryRaw.mockResolvedValue([]);
+
+      const result = await EntitlementService.check(tenantId, FEATURES.CV_EXTRACTION, { metered: true, now });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe(DENIAL_REASONS.QUOTA_EXCEEDED);
+    });
+
+    it('should cache entitlements per tenant', async () => {
+      await EntitlementService.check(tenantId, FEATURES.CV_EXTRACTION, { now });
+      await EntitlementService.check(tenantId, FEATURES.PROJECT_MATCHING, { now });
+
+      expect(prisma.tenant_features.findMany).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('overrides', () => {
+    it('should validate override input', () => {
+      expect(EntitlementService.validateOverrideInput({ is_enabled: true, monthly_quota: null })).toEqual({
+        errors: [],
+        data: { is_enabled: true, monthly_quota: null }
+      });
+      expect(EntitlementService.validateOverrideInput({ is_enabled: 'yes', monthly_quota: -1 }).errors).toHaveLength(2);
+    });
+
+    it('should return null when removing a missing override', async () => {
+      prisma.tenant_features.findUnique.mockResolvedValue(null);
+
+      expect(await EntitlementService.removeOverride(tenantId, FEATURES.AI_SERVICES)).toBeNull();
+      expect(prisma.tenant_features.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireFeature middleware', () => {
+    const run = async (feature, options, method = 'POST') => {
+      const req = { method, user: { tenantId } };
+      const res = Object.assign(new EventEmitter(), {
+        setHeader: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      });
+      const next = jest.fn();
+      await requireFeature(feature, options)(req, res, next);
+      return { req, res, next };
+    };
+
+    it('should respond 402 for features outside the plan', async () => {
+      prisma.tenants.findUnique.mockResolvedValue({ subscription_plan: 'basic' });
+
+      const { res, next } = await run(FEATURES.ENGAGEMENT_AI, { metered: true });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(402);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: DENIAL_REASONS.NOT_IN_PLAN }));
+    });
+
+    it('should respond 403 for disabled features', async () => {
+      prisma.tenant_features.findMany.mockResolvedValue([
+        { featureName: FEATURES.PROJECT_MATCHING, isEnabled: false }
+      ]);
+
+      const { res } = await run(FEATURES.PROJECT_MATCHING);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should set quota headers and not meter safe methods', async () => {
+      prisma.$queryRaw.mockResolvedValue([{ used: 3 }]);
+
+      const post = await run(FEATURES.CV_EXTRACTION, { metered: true });
+      expect(post.next).toHaveBeenCalled();
+      expect(post.res.setHeader).toHaveBeenCalledWith('X-Quota-Remaining', '197');
+
+      const get = await run(FEATURES.CV_EXTRACTION, { metered: true }, 'GET');
+      expect(get.next).toHaveBeenCalled();
+      expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give the use back when the request does not succeed', async () => {
+      prisma.$queryRaw.mockResolvedValue([{ used: 3 }]);
+      prisma.$executeRaw.mockResolvedValue(1);
+
+      const ok = await run(FEATURES.CV_EXTRACTION, { metered: true });
+      Object.assign(ok.res, { statusCode: 201, writableFinished: true }).emit('close');
+      expect(prisma.$executeRaw).not.toHaveBeenCalled();
+
+      const failed = await run(FEATURES.CV_EXTRACTION, { metered: true });
+      Object.assign(failed.res, { statusCode: 500, writableFinished: true }).emit('close');
+      expect(prisma.$executeRaw).toHaveBeenCalledTimes(1);
+
+      // Connection closed before the response was sent
+      const aborted = await run(FEATURES.CV_EXTRACTION, { metered: true });
+      Object.assign(aborted.res, { statusCode: 200, writableFinished: false }).emit('close');
+      expect(prisma.$executeRaw).toHaveBeenCalledTimes(2);
+      expect(prisma.$executeRaw.mock.calls[0]).toEqual(expect.arrayContaining([tenantId, FEATURES.CV_EXTRACTION]));
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for learningCatalogService and catalog-based recommendations
+ */
+
+jest.mock('../../../src/config/database', () => ({}));
+
+const LearningCatalogService = require('../../../src/services/learningCatalogService');
+const recommendationEngine = require('../../../src/services/recommendationEngine');
+
+const catalog = [
+  { id: 'c1', item_type: 'COURSE', title: 'Negotiation Basics', level: 'BEGINNER', skill_ids: [], soft_skill_ids: [7], skill_keywords: [], duration_hours: 6 },
+  { id: 'c2', item_type: 'COURSE', title: 'Advanced Negotiation', level: 'ADVANCED', skill_ids: [], soft_skill_ids: [7], skill_keywords: [], duration_hours: 16 },
+  { id: 'w1', item_type: 'WORKSHOP', title: 'Kubernetes Lab', level: 'ALL', skill_ids: [42], soft_skill_ids: [], skill_keywords: [], duration_weeks: 4 },
+  { id: 'm1', item_type: 'MENTORING', title: 'Platform mentor', level: 'ALL', skill_ids: [42], soft_skill_ids: [], skill_keywords: [], duration_weeks: 26,
+    employees: { id: 5, first_name: 'Ada', last_name: 'Rossi', email: 'ada@example.com' } },
+  { id: 'r1', item_type: 'READING', title: 'Getting to Yes', level: 'ALL', skill_ids: [], soft_skill_ids: [], skill_keywords: ['Problem Solving'] }
+];
+
+describe('LearningCatalogService', () => {
+  describe('validateItemInput', () => {
+    it('should normalize enums and lists', () => {
+      const { errors, data } = LearningCatalogService.validateItemInput({
+        item_type: 'course',
+        title: '  Kubernetes 101 ',
+        level: 'beginner',
+        delivery_format: 'in person',
+        duration_hours: '12.5',
+        skill_ids: '42;43',
+        currency: 'eur'
+      });
+
+      expect(errors).toEqual([]);
+      expect(data).toMatchObject({
+        item_type: 'COURSE',
+        title: 'Kubernetes 101',
+        level: 'BEGINNER',
+        delivery_format: 'IN_PERSON',
+        duration_hours: 12.5,
+        skill_ids: [42, 43],
+        currency: 'EUR'
+      });
+    });
+
+    it('should reject unknown types and require a title', () => {
+      const { errors } = LearningCatalogService.validateItemInput({ item_type: 'PODCAST' });
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringMatching(/^item_type must be one of/),
+        'title is required'
+      ]));
+    });
+
+    it('should only validate provided fields on partial updates', () => {
+      const { errors, data } = LearningCatalogService.validateItemInput({ is_active: 'false' }, { partial: true });
+      expect(errors).toEqual([]);
+      expect(data).toEqual({ is_active: false });
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should map headers and split skill lists', () => {
+      const { errors, rows } = LearningCatalogService.parseCsv(
+        'External ID,Type,Title,Skills,Soft Skills\n' +
+        'LMS-1,COURSE,Kubernetes 101,Kubernetes;Docker,\n'
+      );
+
+      expect(errors).toEqual([]);
+      expect(rows[0]).toMatchObject({
+        line: 2,
+        external_id: 'LMS-1',
+        item_type: 'COURSE',
+        title: 'Kubernetes 101',
+        skills: ['Kubernetes', 'Docker'],
+        soft_skills: []
+      });
+    });
+
+    it('should reject an empty file', () => {
+      expect(LearningCatalogService.parseCsv('title,type\n').errors).toEqual(['CSV contains no rows']);
+    });
+  });
+
+  describe('matchItems', () => {
+    it('should match by skill id, soft skill id or keyword', () => {
+      expect(LearningCatalogService.matchItems(catalog, { skillId: 42 }).map(i => i.id)).toEqual(['w1', 'm1']);
+      expect(LearningCatalogService.matchItems(catalog, { softSkillId: 7 }).map(i => i.id)).toEqual(['c1', 'c2']);
+      expect(LearningCatalogService.matchItems(catalog, { skillName: 'problem_solving' }).map(i => i.id)).toEqual(['r1']);
+    });
+  });
+});
+
+describe('RecommendationEngine with learning catalog', () => {
+  it('should pick catalog items matching the gap and the current level', async () => {
+    const gaps = [
+      { softSkillId: 7, skillName: 'Negotiation', currentScore: 30, gap: 40, priority: 40, complexity: 'medium' },
+      { skillId: 42, skillName: 'Kubernetes', currentScore: 50, gap: 50, priority: 60, complexity: 'high' }
+    ];
+
+    const recommendations = await recommendationEngine.generateGapRecommendations(gaps, { seniority: 1 }, catalog);
+
+    expect(recommendations.map(r => [r.catalogItemId, r.type])).toEqual([
+      ['c1', 'training'],
+      ['w1', 'training'],
+      ['m1', 'mentoring']
+    ]);
+    expect(recommendations[2]).toMatchObject({ provider: 'Ada Rossi', skillId: 42, priority: 72 });
+  });
+
+  it('should schedule the action plan from catalog durations', async () => {
+    const recommendations = catalog.map(item => recommendationEngine.toRecommendation(item));
+    const plan = await recommendationEngine.generateActionPlan(1, recommendations);
+
+    expect(plan.quickWins.map(r => r.catalogItemId)).toEqual(['c1', 'r1']);
+    expect(plan.shortTerm.map(r => r.catalogItemId)).toEqual(['c2', 'w1']);
+    expect(plan.mediumTerm.map(r => r.catalogItemId)).toEqual(['m1']);
+    expect(plan.totalHours).toBe(22);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Unit Tests for llmBudgetService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  tenant_llm_budgets: {
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+    upsert: jest.fn(),
+    delete: jest.fn()
+  },
+  tenant_llm_budget_alerts: {
+    create: jest.fn()
+  },
+  tenant_users: {
+    findMany: jest.fn()
+  }
+}));
+
+jest.mock('../../../src/services/llmAuditService', () => ({
+  getSpend: jest.fn()
+}));
+
+jest.mock('../../../src/services/notifications/outboxService', () => ({
+  enqueue: jest.fn()
+}));
+
+const prisma = require('../../../src/config/database');
+const LLMAuditService = require('../../../src/services/llmAuditService');
+const NotificationOutboxService = require('../../../src/services/notifications/outboxService');
+const LLMBudgetService = require('../../../src/services/llmBudgetService');
+
+const { LLMBudgetExceededError, BUDGET_EVENTS } = LLMBudgetService;
+
+describe('LLMBudgetService', () => {
+  const tenantId = '11111111-1111-1111-1111-111111111111';
+  const now = new Date('2026-10-19T09:00:00Z');
+
+  const budget = (overrides = {}) => ({
+    id: 'budget-1',
+    period: 'MONTHLY',
+    operation_type: '*',
+    limit_usd: '100.0000',
+    warning_thresholds: [50, 80],
+    hard_limit: true,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.tenant_users.findMany.mockResolvedValue([{ email: 'admin@acme.test', employee_id: 7 }]);
+    prisma.tenant_llm_budget_alerts.create.mockResolvedValue({});
+  });
+
+  describe('windows', () => {
+    it('should use UTC days and months', () => {
+      expect(LLMBudgetService.windowStart('DAILY', now)).toEqual(new Date('2026-10-19T00:00:00Z'));
+      expect(LLMBudgetService.windowEnd('DAILY', now)).toEqual(new Date('2026-10-20T00:00:00Z'));
+      expect(LLMBudgetService.windowStart('MONTHLY', now)).toEqual(new Date('2026-10-01T00:00:00Z'));
+      expect(LLMBudgetService.windowEnd('MONTHLY', now)).toEqual(new Date('2026-11-01T00:00:00Z'));
+    });
+  });
+
+  describe('appliesTo', () => {
+    it('should match the operation type and its sub-operations', () => {
+      const cv = budget({ operation_type: 'cv_extraction' });
+
+      expect(LLMBudgetService.appliesTo(cv, 'cv_extraction')).toBe(true);
+      expect(LLMBudgetService.appliesTo(cv, 'cv_extraction_personal_info')).toBe(true);
+      expect(LLMBudgetService.appliesTo(cv, 'cv_extractions')).toBe(false);
+      expect(LLMBudgetService.appliesTo(cv, 'assessment_generation')).toBe(false);
+      expect(LLMBudgetService.appliesTo(budget(), 'assessment_generation')).toBe(true);
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should report spend and remaining budget per window', async () => {
+      prisma.tenant_llm_budgets.findMany.mockResolvedValue([
+        budget(),
+        budget({ id: 'budget-2', period: 'DAILY', operation_type: 'cv_extraction', limit_usd: '5.0000' })
+      ]);
+      LLMAuditService.getSpend.mockResolvedValueOnce(42.5).mockResolvedValueOnce(1.25);
+
+      const statuses = await LLMBudgetService.getStatus(tenantId, { now });
+
+      expect(LLMAuditService.getSpend).toHaveBeenCalledWith(tenantId, new Date('2026-10-01T00:00:00Z'), null);
+      expect(LLMAuditService.getSpend).toHaveBeenCalledWith(tenantId, new Date('2026-10-19T00:00:00Z'), 'cv_extraction');
+      expect(statuses[0]).toMatchObject({ limit_usd: 100, spent_usd: 42.5, remaining_usd: 57.5, percent_used: 42.5, exceeded: false });
+      expect(statuses[1]).toMatchObject({ limit_usd: 5, remaining_usd: 3.75, resets_at: new Date('2026-10-20T00:00:00Z') });
+    });
+  });
+
+  describe('assertWithinBudget', () => {
+    it('should block calls once a hard limit is reached', async () => {
+      prisma.tenant_llm_budgets.findMany.mockResolvedValue([budget({ operation_type: 'cv_extraction' })]);
+      LLMAuditService.getSpend.mockResolvedValue(100);
+
+      await expect(LLMBudgetService.assertWithinBudget(tenantId, 'cv_extraction', now))
+        .rejects.toBeInstanceOf(LLMBudgetExceededError);
+      await expect(LLMBudgetService.assertWithinBudget(tenantId, 'assessment_generation', now))
+        .resolves.toBeUndefined();
+    });
+
+    it('should only warn for soft budgets', async () => {
+      prisma.tenant_llm_budgets.findMany.mockResolvedValue([budget({ hard_limit: false })]);
+      LLMAuditService.getSpend.mockResolvedValue(150);
+
+      await expect(LLMBudgetService.assertWithinBudget(tenantId, 'ai_generation', now)).resolves.toBeUndefined();
+    });
+
+    it('should let calls through when the budget lookup fails', async () => {
+      prisma.tenant_llm_budgets.findMany.mockRejectedValue(new Error('connection lost'));
+
+      await expect(LLMBudgetService.assertWithinBudget(tenantId, 'ai_generation', now)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('recordSpend', () => {
+    it('should raise each crossed threshold once and notify the highest', async () => {
+      prisma.tenant_llm_budgets.findMany.mockResolvedValue([budget()]);
+      LLMAuditService.getSpend.mockResolvedValue(85);
+      // 50% was already raised earlier in the month
+      prisma.tenant_llm_budget_alerts.create
+        .mockRejectedValueOnce(Object.assign(new Error('duplicate'), { code: 'P2002' }))
+        .mockResolvedValueOnce({});
+
+      await LLMBudgetService.recordSpend(tenantId, 'assessment_generation', now);
+
+      expect(prisma.tenant_llm_budget_alerts.create).toHaveBeenCalledTimes(2);
+      expect(NotificationOutboxService.enqueue).toHaveBeenCalledTimes(1);
+      expect(NotificationOutboxService.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: BUDGET_EVENTS.WARNING,
+        title: '80% of the monthly AI budget has been used',
+        recipients: [{ employeeId: 7, email: 'admin@acme.test' }],
+        broadcast: true
+      }));
+    });
+
+    it('should send the exceeded alert when the limit is reached', async () => {
+      prisma.tenant_llm_budgets.findMany.mockResolvedValue([budget({ warning_thresholds: [] })]);
+      LLMAuditService.getSpend.mockResolvedValue(100.5);
+
+      await LLMBudgetService.recordSpend(tenantId, 'ai_generation', now);
+
+      expect(prisma.tenant_llm_budget_alerts.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ threshold: 100, window_start: new Date('2026-10-01T00:00:00Z') })
+      });
+      expect(NotificationOutboxService.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: BUDGET_EVENTS.EXCEEDED
+      }));
+    });
+
+    it('should not notify when every threshold was already raised', async () => {
+      prisma.tenant_llm_budgets.findMany.mockResolvedValue([budget()]);
+      LLMAuditService.getSpend.mockResolvedValue(60);
+      prisma.tenant_llm_budget_alerts.create.mockRejectedValue(Object.assign(new Error('duplicate'), { code: 'P2002' }));
+
+      await LLMBudgetService.recordSpend(tenantId, 'ai_generation', now);
+
+      expect(NotificationOutboxService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateBudgetInput', () => {
+    it('should normalise a valid budget', () => {
+      expect(LLMBudgetService.validateBudgetInput({
+        period: 'daily',
+        operation_type: 'cv_extraction',
+        limit_usd: '12.5',
+        warning_thresholds: [90, 50, 90]
+      })).toEqual({
+        errors: [],
+        data: { period: 'DAILY', operation_type: 'cv_extraction', limit_usd: 12.5, warning_thresholds: [50, 90] }
+      });
+    });
+
+    it('should reject invalid values', () => {
+      const { errors } = LLMBudgetService.validateBudgetInput({
+        period: 'weekly',
+        operation_type: 'CV Extraction',
+        limit_usd: -1,
+        warning_thresholds: [120],
+        hard_limit: 'yes'
+      });
+
+      expect(errors).toHaveLength(5);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Unit Tests for mfaService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  tenant_users: {
+    findFirst: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  tenant_user_mfa_events: {
+    create: jest.fn()
+  }
+}));
+
+const jwt = require('jsonwebtoken');
+const prisma = require('../../../src/config/database');
+const MfaService = require('../../../src/services/mfaService');
+
+const { MfaError, MFA_EVENTS } = MfaService;
+
+describe('MfaService', () => {
+  // RFC 6238 test secret ("12345678901234567890")
+  const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  const now = new Date('2026-10-19T09:00:00Z');
+
+  const user = (overrides = {}) => ({
+    id: 'user-1',
+    tenant_id: 'tenant-1',
+    email: 'jane@acme.test',
+    role: 'HR',
+    mfa_enabled: false,
+    mfa_secret: null,
+    mfa_pending_secret: null,
+    mfa_recovery_codes: [],
+    mfa_last_used_step: null,
+    tenants: { id: 'tenant-1', mfa_required: false },
+    ...overrides
+  });
+
+  const eventTypes = () => prisma.tenant_user_mfa_events.create.mock.calls.map(([{ data }]) => data.event_type);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+    prisma.tenant_users.update.mockImplementation(({ data }) => Promise.resolve(data));
+    prisma.tenant_users.updateMany.mockResolvedValue({ count: 1 });
+    prisma.tenant_user_mfa_events.create.mockResolvedValue({});
+  });
+
+  describe('TOTP', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      expect(MfaService.base32Encode(Buffer.from('12345678901234567890'))).toBe(rfcSecret);
+      expect(MfaService.generateCode(rfcSecret, MfaService.getTimeStep(new Date(59 * 1000)))).toBe('287082');
+      expect(MfaService.generateCode(rfcSecret, MfaService.getTimeStep(new Date(1111111109 * 1000)))).toBe('081804');
+    });
+
+    it('should accept one step of clock drift and refuse replays', () => {
+      const step = MfaService.getTimeStep(now);
+      const previous = MfaService.generateCode(rfcSecret, step - 1);
+
+      expect(MfaService.verifyCode(rfcSecret, previous, { now })).toBe(step - 1);
+      expect(MfaService.verifyCode(rfcSecret, MfaService.generateCode(rfcSecret, step - 2), { now })).toBeNull();
+      expect(MfaService.verifyCode(rfcSecret, previous, { now, lastUsedStep: step - 1 })).toBeNull();
+      expect(MfaService.verifyCode(rfcSecret, 'abcdef', { now })).toBeNull();
+    });
+
+    it('should build an otpauth provisioning URI', () => {
+      const uri = MfaService.getProvisioningUri(rfcSecret, 'jane@acme.test', 'Moobee');
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/Moobee%3Ajane%40acme\.test\?/);
+      expect(new URL(uri).searchParams.get('secret')).toBe(rfcSecret);
+      expect(new URL(uri).searchParams.get('period')).toBe('30');
+    });
+  });
+
+  describe('secret storage', () => {
+    it('should encrypt secrets and detect tampering', () => {
+      const stored = MfaService.encryptSecret(rfcSecret);
+
+      expect(stored).not.toContain(rfcSecret);
+      expect(MfaService.decryptSecret(stored)).toBe(rfcSecret);
+
+      const parts = stored.split(':');
+      parts[3] = Buffer.from('tampered').toString('base64');
+      expect(() => MfaService.decryptSecret(parts.join(':'))).toThrow();
+    });
+  });
+
+  describe('getLoginChallenge', () => {
+    it('should only challenge users with MFA, or whose tenant requires it', () => {
+      expect(MfaService.getLoginChallenge(user())).toBeNull();
+      expect(MfaService.getLoginChallenge(user({ mfa_enabled: true }))).toMatchObject({ mfaRequired: true });
+      expect(MfaService.getLoginChallenge(user({ tenants: { mfa_required: true } })))
+        .toMatchObject({ mfaEnrollmentRequired: true });
+      expect(MfaService.getLoginChallenge(user({ role: 'super_admin', tenants: { mfa_required: true } }))).toBeNull();
+    });
+
+    it('should issue an MFA token that is not an access token', () => {
+      const { mfaToken } = MfaService.getLoginChallenge(user({ mfa_enabled: true }));
+
+      expect(MfaService.verifyLoginToken(mfaToken)).toBe('user-1');
+      expect(() => jwt.verify(mfaToken, process.env.JWT_ACCESS_SECRET)).toThrow();
+      expect(() => MfaService.verifyLoginToken('forged')).toThrow(MfaError);
+    });
+  });
+
+  describe('enrollment', () => {
+    it('should enable MFA with the first code and only store recovery code hashes', async () => {
+      const { secret, otpauthUrl } = await MfaService.startEnrollment(user());
+      const pending = prisma.tenant_users.update.mock.calls[0][0].data.mfa_pending_secret;
+
+      expect(otpauthUrl).toContain(secret);
+      expect(pending).not.toContain(secret);
+
+      const code = MfaService.generateCode(secret, MfaService.getTimeStep());
+      const recoveryCodes = await MfaService.confirmEnrollment(user({ mfa_pending_secret: pending }), code);
+      const { data } = prisma.tenant_users.update.mock.calls[1][0];
+
+      expect(recoveryCodes).toHaveLength(10);
+      expect(data).toMatchObject({ mfa_enabled: true, mfa_secret: pending, mfa_pending_secret: null });
+      expect(data.mfa_recovery_codes).toEqual(recoveryCodes.map(recoveryCode => MfaService.hashRecoveryCode(recoveryCode)));
+      expect(eventTypes()).toEqual([MFA_EVENTS.ENROLLMENT_STARTED, MFA_EVENTS.ENABLED]);
+    });
+
+    it('should refuse a wrong first code', async () => {
+      const pending = MfaService.encryptSecret(rfcSecret);
+
+      await expect(MfaService.confirmEnrollment(user({ mfa_pending_secret: pending }), '000000'))
+        .rejects.toMatchObject({ code: 'MFA_INVALID_CODE', status: 401 });
+      expect(prisma.tenant_users.update).not.toHaveBeenCalled();
+      expect(eventTypes()).toEqual([MFA_EVENTS.CHALLENGE_FAILED]);
+    });
+
+    it('should refuse to enroll twice', async () => {
+      await expect(MfaService.startEnrollment(user({ mfa_enabled: true })))
+        .rejects.toMatchObject({ code: 'MFA_ALREADY_ENABLED' });
+    });
+  });
+
+  describe('verify', () => {
+    const enrolled = (overrides = {}) => user({
+      mfa_enabled: true,
+      mfa_secret: MfaService.encryptSecret(rfcSecret),
+      mfa_recovery_codes: [MfaService.hashRecoveryCode('abcde-12345'), MfaService.hashRecoveryCode('fghij-67890')],
+      ...overrides
+    });
+
+    it('should accept a TOTP code once', async () => {
+      const step = MfaService.getTimeStep();
+      const code = MfaService.generateCode(rfcSecret, step);
+
+      expect(await MfaService.verify(enrolled(), { code })).toEqual({ method: 'totp', recoveryCodesRemaining: 2 });
+      expect(prisma.tenant_users.updateMany).toHaveBeenCalledWith({
+        where: { id: 'user-1', OR: [{ mfa_last_used_step: null }, { mfa_last_used_step: { lt: step } }] },
+        data: { mfa_last_used_step: step }
+      });
+
+      expect(await MfaService.verify(enrolled({ mfa_last_used_step: BigInt(step + 1) }), { code })).toBeNull();
+      expect(eventTypes()).toEqual([MFA_EVENTS.CHALLENGE_SUCCEEDED, MFA_EVENTS.CHALLENGE_FAILED]);
+    });
+
+    it('should consume recovery codes', async () => {
+      const result = await MfaService.verify(enrolled(), { recoveryCode: 'ABCDE 12345' });
+
+      expect(result).toEqual({ method: 'recovery_code', recoveryCodesRemaining: 1 });
+      expect(prisma.tenant_users.updateMany.mock.calls[0][0]).toEqual({
+        where: { id: 'user-1', mfa_recovery_codes: { equals: enrolled().mfa_recovery_codes } },
+        data: { mfa_recovery_codes: [MfaService.hashRecoveryCode('fghij-67890')] }
+      });
+      expect(eventTypes()).toEqual([MFA_EVENTS.RECOVERY_CODE_USED]);
+
+      expect(await MfaService.verify(enrolled(), { recoveryCode: 'zzzzz-00000' })).toBeNull();
+    });
+
+    it('should reject a code that a concurrent request consumed first', async () => {
+      const code = MfaService.generateCode(rfcSecret, MfaService.getTimeStep());
+      prisma.tenant_users.updateMany.mockResolvedValue({ count: 0 });
+
+      expect(await MfaService.verify(enrolled(), { code })).toBeNull();
+      expect(await MfaService.verify(enrolled(), { recoveryCode: 'abcde-12345' })).toBeNull();
+      expect(eventTypes()).toEqual([MFA_EVENTS.CHALLENGE_FAILED, MFA_EVENTS.CHALLENGE_FAILED]);
+    });
+
+    it('should not let users disable MFA their tenant requires', async () => {
+      await expect(MfaService.disable(enrolled({ tenants: { mfa_required: true } }), { recoveryCode: 'abcde-12345' }))
+        .rejects.toMatchObject({ code: 'MFA_REQUIRED_BY_TENANT', status: 403 });
+      expect(prisma.tenant_users.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reset', () => {
+    it('should clear the MFA of a user of the tenant and record the admin', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValue({ id: 'user-1', tenant_id: 'tenant-1', mfa_enabled: true });
+
+      await MfaService.reset('tenant-1', 'user-1', { actorId: 'admin-1', actorEmail: 'admin@acme.test' });
+
+      expect(prisma.tenant_users.findFirst).toHaveBeenCalledWith({ where: { id: 'user-1', tenant_id: 'tenant-1' } });
+      expect(prisma.tenant_users.update.mock.calls[0][0].data).toMatchObject({
+        mfa_enabled: false,
+        mfa_secret: null,
+        mfa_recovery_codes: []
+      });
+      expect(prisma.tenant_user_mfa_events.create.mock.calls[0][0].data).toMatchObject({
+        event_type: MFA_EVENTS.RESET,
+        user_id: 'user-1',
+        actor_id: 'admin-1'
+      });
+    });
+
+    it('should not reset users of another tenant', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValue(null);
+
+      await expect(MfaService.reset('tenant-1', 'user-9')).rejects.toMatchObject({ code: 'MFA_USER_NOT_FOUND', status: 404 });
+      expect(prisma.tenant_users.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Unit Tests for notifications/outboxService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  notification_outbox: {
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    createMany: jest.fn()
+  },
+  notification_preferences: {
+    findMany: jest.fn()
+  },
+  notification_channels: {
+    findMany: jest.fn()
+  },
+  employees: {
+    findMany: jest.fn()
+  }
+}));
+jest.mock('../../../src/services/emailNotificationService', () => ({
+  getEmailService: jest.fn()
+}));
+
+const prisma = require('../../../src/config/database');
+const { registerChannel } = require('../../../src/services/notifications/channels');
+const NotificationOutboxService = require('../../../src/services/notifications/outboxService');
+const { isPrivateAddress, guardedLookup } = require('../../../src/utils/outboundUrl');
+
+describe('NotificationOutboxService', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe('resolvePersonalChannels', () => {
+    it('should let event preferences override the wildcard', () => {
+      const preferences = [
+        { event_type: '*', channel: 'EMAIL', enabled: false },
+        { event_type: 'CAMPAIGN_REMINDER', channel: 'EMAIL', enabled: true },
+        { event_type: '*', channel: 'IN_APP', enabled: false }
+      ];
+
+      expect(NotificationOutboxService.resolvePersonalChannels('CAMPAIGN_REMINDER', preferences)).toEqual(['EMAIL']);
+      expect(NotificationOutboxService.resolvePersonalChannels('CAMPAIGN_ESCALATION', preferences)).toEqual([]);
+      expect(NotificationOutboxService.resolvePersonalChannels('CAMPAIGN_ESCALATION', [])).toEqual(['EMAIL', 'IN_APP']);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should back off exponentially up to one hour', () => {
+      expect(NotificationOutboxService.getRetryDelay(1)).toBe(30 * 1000);
+      expect(NotificationOutboxService.getRetryDelay(3)).toBe(120 * 1000);
+      expect(NotificationOutboxService.getRetryDelay(20)).toBe(60 * 60 * 1000);
+    });
+  });
+
+  describe('validateChannelInput', () => {
+    it('should require an http(s) url for webhook channels', () => {
+      const { errors } = NotificationOutboxService.validateChannelInput({ channel_type: 'slack', name: 'HR' });
+      expect(errors).toEqual(['url must be an http(s) URL for SLACK channels']);
+    });
+
+    it('should normalise channel type and event types', () => {
+      const { errors, data } = NotificationOutboxService.validateChannelInput({
+        channel_type: 'webhook',
+        name: ' People Ops ',
+        url: 'https://example.com/hook',
+        event_types: ['campaign_reminder']
+      });
+
+      expect(errors).toEqual([]);
+      expect(data).toEqual({
+        channel_type: 'WEBHOOK',
+        name: 'People Ops',
+        url: 'https://example.com/hook',
+        event_types: ['CAMPAIGN_REMINDER']
+      });
+    });
+  });
+
+  describe('validateChannelTarget', () => {
+    it('should refuse private addresses and developer channel types', async () => {
+      expect(await NotificationOutboxService.validateChannelTarget({ channel_type: 'WEBHOOK', url: 'http://169.254.169.254/latest' }))
+        .toEqual(['url must not point to a private or reserved network address for WEBHOOK channels']);
+      expect(await NotificationOutboxService.validateChannelTarget({ channel_type: 'SLACK', url: 'http://localhost:5432' }))
+        .toEqual(['url must not point to an internal host for SLACK channels']);
+      expect(await NotificationOutboxService.validateChannelTarget({ channel_type: 'TEAMS', url: null }))
+        .toEqual(['url must be an http(s) URL for TEAMS channels']);
+      expect(await NotificationOutboxService.validateChannelTarget({ channel_type: 'FILE', url: '/etc/passwd' }))
+        .toEqual(['channel_type must be one of: WEBHOOK, SLACK, TEAMS']);
+      expect(await NotificationOutboxService.validateChannelTarget({ channel_type: 'WEBHOOK', url: 'https://93.184.215.14/hook' }))
+        .toEqual([]);
+    });
+
+    it('should refuse FILE channels and headers reserved to the HTTP client', () => {
+      expect(NotificationOutboxService.validateChannelInput({ channel_type: 'file', name: 'Log', url: '/tmp/x' }).errors)
+        .toEqual(['channel_type must be one of: WEBHOOK, SLACK, TEAMS']);
+      expect(NotificationOutboxService.validateChannelInput({ headers: { Host: 'internal' } }, { partial: true }).errors)
+        .toEqual(['headers must not set host, content-length, transfer-encoding, connection, expect, upgrade']);
+      expect(NotificationOutboxService.validateChannelInput({ headers: { 'X-Token': 1 } }, { partial: true }).errors)
+        .toEqual(['headers must be an object of string values']);
+    });
+  });
+
+  describe('outboundUrl', () => {
+    it('should classify private and public addresses', () => {
+      for (const ip of ['127.0.0.1', '10.2.3.4', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+        '0.0.0.0', '::1', '::', 'fe80::1', 'fd12::1', '::ffff:10.0.0.1', '64:ff9b::7f00:1']) {
+        expect([ip, isPrivateAddress(ip)]).toEqual([ip, true]);
+      }
+      for (const ip of ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+        expect([ip, isPrivateAddress(ip)]).toEqual([ip, false]);
+      }
+    });
+
+    it('should refuse hosts resolving to a private address at connection time', (done) => {
+      guardedLookup('localhost', {}, (error) => {
+        expect(error.code).toBe('EADDRNOTALLOWED');
+        done();
+      });
+    });
+  });
+
+  describe('retry', () => {
+    it('should requeue failed notifications without returning their body', async () => {
+      prisma.notification_outbox.findFirst.mockResolvedValue({ id: 'n1', payload: { html: null } });
+      prisma.notification_outbox.updateMany.mockResolvedValue({ count: 1 });
+      prisma.notification_outbox.findUnique.mockResolvedValue({ id: 'n1', status: 'PENDING' });
+
+      expect(await NotificationOutboxService.retry('t1', 'n1')).toEqual({ id: 'n1', status: 'PENDING' });
+      const { select } = prisma.notification_outbox.findUnique.mock.calls[0][0];
+      expect(select).not.toHaveProperty('message');
+      expect(select).not.toHaveProperty('payload');
+    });
+
+    it('should not retry sensitive notifications', async () => {
+      prisma.notification_outbox.findFirst.mockResolvedValue({ id: 'n1', payload: { sensitive: true, redacted: true } });
+
+      expect(await NotificationOutboxService.retry('t1', 'n1')).toBeNull();
+      expect(prisma.notification_outbox.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enqueue', () => {
+    it('should fan out to enabled personal channels and subscribed tenant channels', async () => {
+      prisma.notification_preferences.findMany.mockResolvedValue([
+        { employee_id: 2, event_type: '*', channel: 'EMAIL', enabled: false }
+      ]);
+      prisma.notification_channels.findMany.mockResolvedValue([{ id: 'ch-1', channel_type: 'SLACK' }]);
+      prisma.notification_outbox.createMany.mockImplementation(({ data }) => Promise.resolve({ count: data.length }));
+
+      const count = await NotificationOutboxService.enqueue({
+        tenantId: 't1',
+        eventType: 'CAMPAIGN_REMINDER',
+        title: 'Reminder',
+        recipients: [{ employeeId: 1, email: 'a@example.com' }, { employeeId: 2, email: 'b@example.com' }],
+        broadcast: true
+      });
+
+      expect(count).toBe(4);
+      const rows = prisma.notification_outbox.createMany.mock.calls[0][0].data;
+      expect(rows.map(r => [r.channel, r.recipient_employee_id || r.channel_id])).toEqual([
+        ['EMAIL', 1], ['IN_APP', 1], ['IN_APP', 2], ['SLACK', 'ch-1']
+      ]);
+    });
+  });
+
+  describe('deliver', () => {
+    const send = jest.fn();
+    registerChannel('UNIT_TEST', { send });
+
+    const notification = (overrides = {}) => ({
+      id: 'n1',
+      channel: 'UNIT_TEST',
+      channel_id: null,
+      notification_channels: null,
+      attempts: 0,
+      max_attempts: 3,
+      next_attempt_at: new Date('2026-10-19T08:00:00Z'),
+      ...overrides
+    });
+    const now = new Date('2026-10-19T09:00:00Z');
+
+    it('should mark delivered notifications as sent', async () => {
+      send.mockResolvedValue();
+
+      expect(await NotificationOutboxService.deliver(notification(), now)).toBe('SENT');
+      expect(prisma.notification_outbox.update.mock.calls[0][0].data).toMatchObject({ status: 'SENT', attempts: 1, sent_at: now });
+    });
+
+    it('should reschedule failed attempts with backoff', async () => {
+      send.mockRejectedValue(new Error('timeout'));
+
+      expect(await NotificationOutboxService.deliver(notification({ attempts: 1 }), now)).toBe('PENDING');
+      expect(prisma.notification_outbox.update.mock.calls[0][0].data).toMatchObject({
+        status: 'PENDING',
+        attempts: 2,
+        last_error: 'timeout',
+        next_attempt_at: new Date(now.getTime() + 60 * 1000)
+      });
+    });
+
+    it('should give up after max_attempts', async () => {
+      send.mockRejectedValue(new Error('timeout'));
+
+      expect(await NotificationOutboxService.deliver(notification({ attempts: 2 }), now)).toBe('FAILED');
+    });
+
+    it('should erase the body of sensitive notifications once the delivery ends', async () => {
+      const sensitive = { payload: { html: '<a href="https://app/reset?token=x">', sensitive: true }, message: 'token=x' };
+      send.mockResolvedValue();
+      await NotificationOutboxService.deliver(notification(sensitive), now);
+
+      send.mockRejectedValue(new Error('timeout'));
+      await NotificationOutboxService.deliver(notification({ ...sensitive, attempts: 1 }), now);
+      await NotificationOutboxService.deliver(notification({ ...sensitive, attempts: 2 }), now);
+
+      const [sent, retried, failed] = prisma.notification_outbox.update.mock.calls.map(([call]) => call.data);
+      expect(sent).toMatchObject({ status: 'SENT', message: null, payload: { sensitive: true, redacted: true } });
+      expect(retried).not.toHaveProperty('message');
+      expect(failed).toMatchObject({ status: 'FAILED', message: null, payload: { sensitive: true, redacted: true } });
+    });
+
+    it('should cancel deliveries to disabled tenant channels', async () => {
+      const result = await NotificationOutboxService.deliver(notification({
+        channel_id: 'ch-1',
+        notification_channels: { id: 'ch-1', is_active: false }
+      }), now);
+
+      expect(result).toBe('CANCELLED');
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+});
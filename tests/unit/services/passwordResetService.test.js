@@ -0,0 +1,153 @@
+/**
+ * Unit Tests for passwordResetService
+ */
+
+jest.mock('../../../src/config/database', () => {
+  const prisma = {
+    tenant_users: {
+      findFirst: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn()
+    },
+    tenant_user_sessions: {
+      updateMany: jest.fn()
+    }
+  };
+  prisma.$transaction = jest.fn(fn => fn(prisma));
+  return prisma;
+});
+jest.mock('../../../src/services/notifications/outboxService', () => ({
+  enqueue: jest.fn()
+}));
+jest.mock('../../../src/services/emailNotificationService', () => ({
+  getEmailService: () => ({
+    buildPasswordReset: jest.fn(params => ({ subject: 'Reset', html: `<a href="${params.resetUrl}">` }))
+  })
+}));
+
+const prisma = require('../../../src/config/database');
+const NotificationOutboxService = require('../../../src/services/notifications/outboxService');
+const PasswordResetService = require('../../../src/services/passwordResetService');
+
+describe('PasswordResetService', () => {
+  const now = new Date('2026-10-19T09:00:00Z');
+
+  beforeEach(() => jest.clearAllMocks());
+
+  describe('mustChangePassword', () => {
+    it('should ignore pending self-service reset tokens', () => {
+      expect(PasswordResetService.mustChangePassword({ password_reset_token: '4f0c2d1e-uuid' })).toBe(true);
+      expect(PasswordResetService.mustChangePassword({ password_reset_token: PasswordResetService.hashToken('abc') })).toBe(false);
+      expect(PasswordResetService.mustChangePassword({
+        password_reset_token: PasswordResetService.hashToken('abc'),
+        force_password_change: true
+      })).toBe(true);
+    });
+  });
+
+  describe('requestReset', () => {
+    it('should do nothing for unknown emails', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValue(null);
+
+      expect(await PasswordResetService.requestReset('nobody@example.com', now)).toBe(false);
+      expect(NotificationOutboxService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should store the token hash only and email the token', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValue({
+        id: 'u1', tenant_id: 't1', email: 'anna@example.com', employee_id: 7, employees: { first_name: 'Anna' }
+      });
+
+      expect(await PasswordResetService.requestReset('anna@example.com', now)).toBe(true);
+
+      const { data } = prisma.tenant_users.update.mock.calls[0][0];
+      const event = NotificationOutboxService.enqueue.mock.calls[0][0];
+      const token = event.html.match(/token=([0-9a-f]+)/)[1];
+
+      expect(data.password_reset_token).toBe(PasswordResetService.hashToken(token));
+      expect(data.password_reset_token).not.toContain(token);
+      expect(data.password_reset_expires_at).toEqual(new Date(now.getTime() + 60 * 60 * 1000));
+      expect(data.force_password_change).toBeUndefined();
+      expect(event).toMatchObject({ channels: ['EMAIL'], mandatory: true, sensitive: true, recipients: [{ employeeId: 7, email: 'anna@example.com' }] });
+    });
+
+    it('should link to the default frontend when FRONTEND_URL is not set', async () => {
+      const frontendUrl = process.env.FRONTEND_URL;
+      delete process.env.FRONTEND_URL;
+      prisma.tenant_users.findFirst.mockResolvedValue({ id: 'u1', tenant_id: 't1', email: 'anna@example.com' });
+
+      try {
+        await PasswordResetService.requestReset('anna@example.com', now);
+      } finally {
+        if (frontendUrl !== undefined) process.env.FRONTEND_URL = frontendUrl;
+      }
+      expect(NotificationOutboxService.enqueue.mock.calls[0][0].html)
+        .toMatch(/href="http:\/\/localhost:5173\/reset-password\?token=[0-9a-f]{64}"/);
+    });
+
+    it('should keep an admin-forced password change when overwriting its marker', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValue({
+        id: 'u1', tenant_id: 't1', email: 'anna@example.com', password_reset_token: '4f0c2d1e-uuid'
+      });
+
+      await PasswordResetService.requestReset('anna@example.com', now);
+      expect(prisma.tenant_users.update.mock.calls[0][0].data.force_password_change).toBe(true);
+    });
+
+    it('should not resend within the cooldown', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValue({
+        id: 'u1',
+        email: 'anna@example.com',
+        password_reset_token: PasswordResetService.hashToken('abc'),
+        // issued 30 seconds ago
+        password_reset_expires_at: new Date(now.getTime() + 60 * 60 * 1000 - 30 * 1000)
+      });
+
+      expect(await PasswordResetService.requestReset('anna@example.com', now)).toBe(false);
+      expect(prisma.tenant_users.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('should reject unknown or expired tokens', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValue(null);
+
+      expect(await PasswordResetService.resetPassword('bad', 'NewPassword1', now)).toBeNull();
+      expect(prisma.tenant_users.findFirst.mock.calls[0][0].where).toMatchObject({
+        password_reset_token: PasswordResetService.hashToken('bad'),
+        password_reset_expires_at: { gt: now }
+      });
+      expect(prisma.tenant_users.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should consume the token and revoke refresh tokens', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValue({ id: 'u1', email: 'anna@example.com' });
+      prisma.tenant_users.updateMany.mockResolvedValue({ count: 1 });
+      prisma.tenant_user_sessions.updateMany.mockResolvedValue({ count: 2 });
+
+      expect(await PasswordResetService.resetPassword('abc', 'NewPassword1', now)).toEqual({ id: 'u1', email: 'anna@example.com' });
+
+      const { where, data } = prisma.tenant_users.updateMany.mock.calls[0][0];
+      expect(where).toEqual({ id: 'u1', password_reset_token: PasswordResetService.hashToken('abc') });
+      expect(data).toMatchObject({
+        password_reset_token: null,
+        password_reset_expires_at: null,
+        refresh_token: null,
+        refresh_token_expires_at: null
+      });
+      expect(data.password_hash).toMatch(/^\$2[aby]\$/);
+      expect(prisma.tenant_user_sessions.updateMany).toHaveBeenCalledWith({
+        where: { user_id: 'u1', revoked_at: null },
+        data: expect.objectContaining({ revoked_reason: 'PASSWORD_RESET' })
+      });
+    });
+
+    it('should fail when the token was used concurrently', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValue({ id: 'u1' });
+      prisma.tenant_users.updateMany.mockResolvedValue({ count: 0 });
+
+      expect(await PasswordResetService.resetPassword('abc', 'NewPassword1', now)).toBeNull();
+      expect(prisma.tenant_user_sessions.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * Unit Tests for the SCIM services
+ */
+
+jest.mock('../../../src/config/database', () => {
+  const prisma = {
+    employees: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn()
+    },
+    departments: {
+      findFirst: jest.fn(),
+      create: jest.fn()
+    },
+    tenant_users: {
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn()
+    },
+    tenant_user_sessions: {
+      updateMany: jest.fn()
+    },
+    tenant_sso_configs: {
+      findUnique: jest.fn()
+    },
+    scim_groups: {
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn()
+    },
+    scim_group_members: {
+      findMany: jest.fn(),
+      deleteMany: jest.fn(),
+      createMany: jest.fn()
+    }
+  };
+  prisma.$transaction = jest.fn(arg => (typeof arg === 'function' ? arg(prisma) : Promise.all(arg)));
+  return prisma;
+});
+
+const prisma = require('../../../src/config/database');
+const { SCHEMAS, ScimError, parseFilter, parsePaging, applyPatch } = require('../../../src/services/scim/scimCommon');
+const ScimUserService = require('../../../src/services/scim/scimUserService');
+const ScimGroupService = require('../../../src/services/scim/scimGroupService');
+
+const tenantId = '11111111-1111-1111-1111-111111111111';
+
+const employee = (overrides = {}) => ({
+  id: 10,
+  tenant_id: tenantId,
+  first_name: 'Jane',
+  last_name: 'Doe',
+  email: 'jane@acme.test',
+  position: 'Engineer',
+  employee_code: 'E-10',
+  department_id: 3,
+  manager_id: 5,
+  is_active: true,
+  scim_external_id: 'ext-10',
+  departments: { department_name: 'Engineering' },
+  tenant_users: [{ id: 'user-10', email: 'jane@acme.test', is_active: true, role: 'EMPLOYEE' }],
+  scim_group_members: [],
+  ...overrides
+});
+
+describe('scimCommon', () => {
+  it('should parse eq filters joined by and', () => {
+    expect(parseFilter('userName eq "jane@acme.test"')).toEqual([{ attribute: 'userName', value: 'jane@acme.test' }]);
+    expect(parseFilter('externalId eq "a\\"b" and active eq true')).toEqual([
+      { attribute: 'externalId', value: 'a"b' },
+      { attribute: 'active', value: true }
+    ]);
+    expect(parseFilter(undefined)).toEqual([]);
+  });
+
+  it('should reject unsupported filters', () => {
+    expect(() => parseFilter('userName sw "j"')).toThrow(ScimError);
+    expect(() => parseFilter('userName eq "a" or userName eq "b"')).toThrow(ScimError);
+  });
+
+  it('should convert startIndex and count', () => {
+    expect(parsePaging({ startIndex: '11', count: '5' })).toMatchObject({ skip: 10, take: 5 });
+    expect(parsePaging({ count: '1000' }).take).toBe(200);
+  });
+
+  it('should apply Okta and Azure AD style patch operations', () => {
+    const resource = ScimUserService.toResource(employee());
+
+    const patched = applyPatch(resource, {
+      schemas: [SCHEMAS.PATCH_OP],
+      Operations: [
+        { op: 'replace', value: { active: false } },
+        { op: 'Replace', path: 'name.familyName', value: 'Smith' },
+        { op: 'Replace', path: 'emails[type eq "work"].value', value: 'jane.smith@acme.test' },
+        { op: 'Add', path: `${SCHEMAS.ENTERPRISE_USER}:department`, value: 'Sales' },
+        { op: 'Remove', path: `${SCHEMAS.ENTERPRISE_USER}:manager` }
+      ]
+    });
+
+    expect(patched.active).toBe(false);
+    expect(patched.name.familyName).toBe('Smith');
+    expect(patched.emails[0]).toMatchObject({ type: 'work', value: 'jane.smith@acme.test' });
+    expect(patched[SCHEMAS.ENTERPRISE_USER]).toMatchObject({ department: 'Sales', manager: null });
+    // The original is untouched
+    expect(resource.active).toBe(true);
+  });
+});
+
+describe('ScimUserService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.employees.findFirst.mockResolvedValue(null);
+    prisma.departments.findFirst.mockResolvedValue(null);
+    prisma.departments.create.mockResolvedValue({ id: 8 });
+    prisma.tenant_users.findFirst.mockResolvedValue(null);
+  });
+
+  it('should map an employee to a SCIM User', () => {
+    expect(ScimUserService.toResource(employee(), 'https://api.test/scim/v2')).toMatchObject({
+      id: '10',
+      externalId: 'ext-10',
+      userName: 'jane@acme.test',
+      active: true,
+      title: 'Engineer',
+      [SCHEMAS.ENTERPRISE_USER]: { employeeNumber: 'E-10', department: 'Engineering', manager: { value: '5' } },
+      meta: { resourceType: 'User', location: 'https://api.test/scim/v2/Users/10' }
+    });
+  });
+
+  it('should read Azure AD string booleans and the enterprise extension', () => {
+    const data = ScimUserService.parseResource({
+      userName: 'John.Roe@Acme.test',
+      active: 'False',
+      name: { givenName: 'John', familyName: 'Roe' },
+      [SCHEMAS.ENTERPRISE_USER]: { department: ' Sales ', manager: '5' }
+    });
+
+    expect(data).toMatchObject({
+      email: 'john.roe@acme.test',
+      active: false,
+      department: 'Sales',
+      managerId: '5'
+    });
+    expect(() => ScimUserService.parseResource({ userName: 'not-an-email' })).toThrow(ScimError);
+  });
+
+  it('should create the employee, its department and a passwordless tenant user', async () => {
+    prisma.employees.findFirst
+      .mockResolvedValueOnce(null) // email uniqueness
+      .mockResolvedValueOnce(null) // externalId uniqueness
+      .mockResolvedValueOnce({ id: 5 }) // manager
+      .mockResolvedValueOnce(employee({ id: 11 })); // reload
+    prisma.employees.create.mockResolvedValue({ id: 11 });
+
+    await ScimUserService.create(tenantId, {
+      userName: 'john@acme.test',
+      externalId: 'ext-11',
+      name: { givenName: 'John', familyName: 'Roe' },
+      [SCHEMAS.ENTERPRISE_USER]: { department: 'Sales', manager: { value: '5' } }
+    }, { defaultRole: 'VIEWER' });
+
+    expect(prisma.departments.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: { tenant_id: tenantId, department_name: 'Sales', is_active: true }
+    }));
+    expect(prisma.employees.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        email: 'john@acme.test',
+        department_id: 8,
+        manager_id: 5,
+        is_active: true,
+        scim_external_id: 'ext-11'
+      })
+    });
+    expect(prisma.tenant_users.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ email: 'john@acme.test', password: null, role: 'VIEWER', employee_id: 11 })
+    });
+  });
+
+  it('should refuse duplicate users', async () => {
+    prisma.employees.findFirst.mockResolvedValueOnce({ id: 10 });
+
+    await expect(ScimUserService.create(tenantId, { userName: 'jane@acme.test' }))
+      .rejects.toMatchObject({ status: 409, scimType: 'uniqueness' });
+    expect(prisma.employees.create).not.toHaveBeenCalled();
+  });
+
+  it('should refuse the email of a login not linked to the employee', async () => {
+    prisma.tenant_users.findFirst.mockResolvedValueOnce({ id: 'admin-1' });
+
+    await expect(ScimUserService.create(tenantId, { userName: 'admin@acme.test' }))
+      .rejects.toMatchObject({ status: 409, scimType: 'uniqueness' });
+    expect(prisma.employees.create).not.toHaveBeenCalled();
+
+    prisma.employees.findFirst.mockResolvedValueOnce(employee());
+    prisma.tenant_users.findFirst.mockResolvedValueOnce({ id: 'admin-1' });
+
+    await expect(ScimUserService.patch(tenantId, '10', {
+      Operations: [{ op: 'replace', path: 'userName', value: 'admin@acme.test' }]
+    })).rejects.toMatchObject({ status: 409, scimType: 'uniqueness' });
+    expect(prisma.tenant_users.findFirst).toHaveBeenLastCalledWith({
+      where: {
+        tenant_id: tenantId,
+        email: { equals: 'admin@acme.test', mode: 'insensitive' },
+        OR: [{ employee_id: null }, { employee_id: { not: 10 } }]
+      },
+      select: { id: true }
+    });
+    expect(prisma.tenant_users.update).not.toHaveBeenCalled();
+  });
+
+  it('should deactivate the tenant user and revoke its session on active=false', async () => {
+    prisma.employees.findFirst
+      .mockResolvedValueOnce(employee()) // current
+      .mockResolvedValueOnce(null) // email uniqueness
+      .mockResolvedValueOnce(null) // externalId uniqueness
+      .mockResolvedValueOnce({ id: 5 }) // manager
+      .mockResolvedValueOnce(employee({ is_active: false }));
+    prisma.departments.findFirst.mockResolvedValue({ id: 3 });
+    prisma.tenant_users.findFirst
+      .mockResolvedValueOnce(null) // login uniqueness
+      .mockResolvedValueOnce({ id: 'user-10' }); // linked tenant user
+
+    await ScimUserService.patch(tenantId, '10', {
+      Operations: [{ op: 'replace', path: 'active', value: false }]
+    });
+
+    expect(prisma.employees.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ is_active: false, department_id: 3, manager_id: 5 })
+    }));
+    expect(prisma.tenant_users.findFirst).toHaveBeenLastCalledWith({
+      where: { tenant_id: tenantId, employee_id: 10 }
+    });
+    expect(prisma.tenant_users.update).toHaveBeenCalledWith({
+      where: { id: 'user-10' },
+      data: expect.objectContaining({ is_active: false, refresh_token: null })
+    });
+    expect(prisma.tenant_user_sessions.updateMany).toHaveBeenCalledWith({
+      where: { user_id: 'user-10', revoked_at: null },
+      data: expect.objectContaining({ revoked_reason: 'DEACTIVATED' })
+    });
+  });
+
+  it('should return 404 for unknown or malformed ids', async () => {
+    await expect(ScimUserService.findEmployee(tenantId, 'abc')).rejects.toMatchObject({ status: 404 });
+    await expect(ScimUserService.findEmployee(tenantId, '99')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('ScimGroupService', () => {
+  const group = (overrides = {}) => ({
+    id: 'group-1',
+    tenant_id: tenantId,
+    display_name: 'HR Team',
+    external_id: null,
+    role: 'HR',
+    scim_group_members: [{ employee_id: 10 }, { employee_id: 11 }],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.tenant_sso_configs.findUnique.mockResolvedValue(null);
+    prisma.scim_groups.findFirst.mockResolvedValue(group());
+    prisma.scim_group_members.findMany.mockResolvedValue([]);
+    prisma.employees.findMany.mockImplementation(({ where }) => Promise.resolve(where.id.in.map(id => ({ id }))));
+  });
+
+  it('should resolve the role of a new group', () => {
+    expect(ScimGroupService.resolveRole('Moobee Admins', { 'Moobee Admins': 'admin' })).toBe('ADMIN');
+    expect(ScimGroupService.resolveRole('hr manager')).toBeNull();
+    expect(ScimGroupService.resolveRole('Admin', { 'Moobee Admins': 'admin' })).toBeNull();
+    expect(ScimGroupService.resolveRole('root', { root: 'super_admin' })).toBeNull();
+    expect(ScimGroupService.resolveRole('Engineering')).toBeNull();
+  });
+
+  it('should apply Azure AD member operations and resync the roles of the changed members', async () => {
+    // Employee 12 gets the HR role, employee 10 has no role group left
+    prisma.scim_group_members.findMany.mockImplementation(({ where }) => Promise.resolve(
+      where.employee_id === 12 ? [{ scim_groups: { role: 'HR' } }] : []
+    ));
+
+    await ScimGroupService.patch(tenantId, 'group-1', {
+      Operations: [
+        { op: 'Add', path: 'members', value: [{ value: '12' }] },
+        { op: 'Remove', path: 'members', value: [{ value: '10' }] }
+      ]
+    });
+
+    expect(prisma.scim_group_members.createMany).toHaveBeenCalledWith({
+      data: [{ group_id: 'group-1', employee_id: 11 }, { group_id: 'group-1', employee_id: 12 }],
+      skipDuplicates: true
+    });
+    expect(prisma.tenant_users.updateMany).toHaveBeenCalledTimes(2);
+    expect(prisma.tenant_users.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ employee_id: 12 }),
+      data: expect.objectContaining({ role: 'HR' })
+    }));
+    expect(prisma.tenant_users.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({
+        employee_id: 10,
+        NOT: { role: { equals: 'SUPER_ADMIN', mode: 'insensitive' } }
+      }),
+      data: expect.objectContaining({ role: 'EMPLOYEE' })
+    }));
+  });
+
+  it('should apply Okta member removal by filter and renames', async () => {
+    prisma.scim_groups.findFirst
+      .mockResolvedValueOnce(group()) // current
+      .mockResolvedValueOnce(null); // name available
+
+    await ScimGroupService.patch(tenantId, 'group-1', {
+      Operations: [
+        { op: 'remove', path: 'members[value eq "11"]' },
+        { op: 'replace', value: { id: 'group-1', displayName: 'People Team' } }
+      ]
+    });
+
+    expect(prisma.scim_groups.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ display_name: 'People Team' })
+    }));
+    expect(prisma.scim_group_members.createMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: [{ group_id: 'group-1', employee_id: 10 }]
+    }));
+  });
+
+  it('should not touch roles for groups without a role', async () => {
+    prisma.scim_groups.findFirst.mockResolvedValue(group({ role: null }));
+
+    await ScimGroupService.patch(tenantId, 'group-1', {
+      Operations: [{ op: 'add', path: 'members', value: [{ value: '12' }] }]
+    });
+
+    expect(prisma.tenant_users.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should refuse members of other tenants', async () => {
+    prisma.employees.findMany.mockResolvedValue([]);
+
+    await expect(ScimGroupService.patch(tenantId, 'group-1', {
+      Operations: [{ op: 'add', path: 'members', value: [{ value: '99' }] }]
+    })).rejects.toMatchObject({ status: 400, scimType: 'invalidValue' });
+  });
+
+  it('should validate the role set by an admin', async () => {
+    await expect(ScimGroupService.setRole(tenantId, 'group-1', 'SUPER_ADMIN'))
+      .rejects.toMatchObject({ status: 400 });
+
+    prisma.scim_groups.update.mockResolvedValue(group({ role: 'MANAGER' }));
+    await ScimGroupService.setRole(tenantId, 'group-1', 'manager');
+
+    expect(prisma.scim_groups.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ role: 'MANAGER' })
+    }));
+    expect(prisma.tenant_users.updateMany).toHaveBeenCalledTimes(2);
+  });
+});
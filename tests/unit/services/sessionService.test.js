@@ -0,0 +1,237 @@
+/**
+ * Unit Tests for sessionService and the refresh token rotation of authTokenService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  tenant_user_sessions: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    updateMany: jest.fn()
+  },
+  tenant_users: {
+    findFirst: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  }
+}));
+
+const jwt = require('jsonwebtoken');
+const prisma = require('../../../src/config/database');
+const SessionService = require('../../../src/services/sessionService');
+const AuthTokenService = require('../../../src/services/authTokenService');
+const { requireAdmin } = require('../../../src/middlewares/unifiedAuth');
+
+const { REVOKE_REASONS } = SessionService;
+
+describe('Sessions', () => {
+  const chromeOnMac = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0 Safari/537.36';
+
+  const user = (overrides = {}) => ({
+    id: 'user-1',
+    tenant_id: 'tenant-1',
+    email: 'jane@acme.test',
+    role: 'HR',
+    is_active: true,
+    tenants: { id: 'tenant-1', name: 'Acme' },
+    employees: { id: 42, first_name: 'Jane', last_name: 'Doe' },
+    ...overrides
+  });
+
+  // In-memory tenant_user_sessions
+  let sessions;
+
+  const matches = (session, where) => Object.entries(where).every(([field, value]) => session[field] === value);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+    process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+    sessions = [];
+
+    prisma.tenant_user_sessions.create.mockImplementation(({ data }) => {
+      const session = { rotation_count: 0, revoked_at: null, ...data };
+      sessions.push(session);
+      return Promise.resolve(session);
+    });
+    prisma.tenant_user_sessions.findFirst.mockImplementation(({ where }) => {
+      const session = sessions.find(item => item.id === where.id);
+      return Promise.resolve(session ? { ...session, tenant_users: user() } : null);
+    });
+    prisma.tenant_user_sessions.updateMany.mockImplementation(({ where, data }) => {
+      const updated = sessions.filter(session => matches(session, where));
+      for (const session of updated) {
+        Object.assign(session, data, data.rotation_count ? { rotation_count: session.rotation_count + 1 } : {});
+      }
+      return Promise.resolve({ count: updated.length });
+    });
+  });
+
+  describe('describeDevice', () => {
+    it('should name the browser and the platform', () => {
+      expect(SessionService.describeDevice(chromeOnMac)).toBe('Chrome on macOS');
+      expect(SessionService.describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0) AppleWebKit/605.1.15 Safari/604.1'))
+        .toBe('Safari on iPhone');
+      expect(SessionService.describeDevice('curl/8.4.0')).toBe('curl/8.4.0');
+      expect(SessionService.describeDevice(null)).toBeNull();
+    });
+  });
+
+  describe('issueTokens', () => {
+    it('should open one session per login and only store the refresh token hash', async () => {
+      const first = await AuthTokenService.issueTokens(user(), { userAgent: chromeOnMac, ipAddress: '10.0.0.1' });
+      const second = await AuthTokenService.issueTokens(user());
+
+      expect(sessions).toHaveLength(2);
+      expect(first.sessionId).not.toBe(second.sessionId);
+      expect(sessions[0]).toMatchObject({
+        id: first.sessionId,
+        tenant_id: 'tenant-1',
+        user_id: 'user-1',
+        device_name: 'Chrome on macOS',
+        ip_address: '10.0.0.1',
+        refresh_token_hash: SessionService.hashToken(first.refreshToken)
+      });
+      expect(JSON.stringify(sessions)).not.toContain(first.refreshToken);
+
+      expect(jwt.verify(first.accessToken, process.env.JWT_ACCESS_SECRET).sid).toBe(first.sessionId);
+      expect(prisma.tenant_users.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshTokens', () => {
+    it('should rotate the refresh token', async () => {
+      const { refreshToken, sessionId } = await AuthTokenService.issueTokens(user());
+
+      const refreshed = await AuthTokenService.refreshTokens(refreshToken, { ipAddress: '10.0.0.2' });
+
+      expect(refreshed.refreshToken).not.toBe(refreshToken);
+      expect(refreshed.sessionId).toBe(sessionId);
+      expect(sessions[0]).toMatchObject({
+        refresh_token_hash: SessionService.hashToken(refreshed.refreshToken),
+        rotation_count: 1,
+        ip_address: '10.0.0.2',
+        revoked_at: null
+      });
+    });
+
+    it('should revoke the session when a rotated token is used again', async () => {
+      const { refreshToken } = await AuthTokenService.issueTokens(user());
+      const refreshed = await AuthTokenService.refreshTokens(refreshToken);
+
+      await expect(AuthTokenService.refreshTokens(refreshToken))
+        .rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED', status: 401 });
+      expect(sessions[0]).toMatchObject({ revoked_reason: REVOKE_REASONS.TOKEN_REUSE });
+
+      // The legitimate holder is logged out too
+      await expect(AuthTokenService.refreshTokens(refreshed.refreshToken))
+        .rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    });
+
+    it('should refuse revoked, expired and forged tokens', async () => {
+      const revoked = await AuthTokenService.issueTokens(user());
+      await SessionService.revoke(revoked.sessionId, REVOKE_REASONS.LOGOUT);
+      await expect(AuthTokenService.refreshTokens(revoked.refreshToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+
+      const expired = await AuthTokenService.issueTokens(user());
+      sessions[1].expires_at = new Date(Date.now() - 1000);
+      await expect(AuthTokenService.refreshTokens(expired.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_EXPIRED' });
+
+      const forged = jwt.sign({ id: 'user-1', sid: sessions[1].id }, 'another-secret');
+      await expect(AuthTokenService.refreshTokens(forged)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    });
+
+    it('should move a refresh token issued before sessions existed to a session', async () => {
+      const legacyToken = jwt.sign({ id: 'user-1', role: 'HR' }, process.env.JWT_REFRESH_SECRET);
+      prisma.tenant_users.findFirst.mockResolvedValue(user({ refresh_token: legacyToken }));
+      prisma.tenant_users.updateMany.mockResolvedValue({ count: 1 });
+
+      const refreshed = await AuthTokenService.refreshTokens(legacyToken);
+
+      expect(prisma.tenant_users.updateMany).toHaveBeenCalledWith({
+        where: { id: 'user-1', refresh_token: legacyToken },
+        data: { refresh_token: null, refresh_token_expires_at: null }
+      });
+      expect(sessions).toHaveLength(1);
+      expect(jwt.decode(refreshed.refreshToken).sid).toBe(sessions[0].id);
+    });
+  });
+
+  describe('revocation', () => {
+    it('should only let users revoke their own sessions', async () => {
+      const { sessionId } = await AuthTokenService.issueTokens(user());
+
+      // Sessions of other users are not found
+      prisma.tenant_user_sessions.findFirst.mockResolvedValueOnce(null);
+      await expect(SessionService.revokeOwn('user-2', sessionId)).rejects.toMatchObject({ code: 'SESSION_NOT_FOUND', status: 404 });
+      expect(prisma.tenant_user_sessions.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: sessionId, user_id: 'user-2', revoked_at: null }
+      }));
+      expect(sessions[0].revoked_at).toBeNull();
+      await expect(SessionService.revokeOwn('user-1', 'not-a-uuid')).rejects.toMatchObject({ status: 404 });
+
+      await SessionService.revokeOwn('user-1', sessionId);
+      expect(sessions[0]).toMatchObject({ revoked_reason: REVOKE_REASONS.USER_REVOKED });
+    });
+
+    it('should log a user of the tenant out everywhere', async () => {
+      await AuthTokenService.issueTokens(user());
+      await AuthTokenService.issueTokens(user());
+      prisma.tenant_users.findFirst.mockResolvedValue({ id: 'user-1', email: 'jane@acme.test' });
+
+      const { revoked } = await SessionService.revokeAllForTenantUser('tenant-1', 'user-1', 'admin-1');
+
+      expect(prisma.tenant_users.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'user-1', tenant_id: 'tenant-1' }
+      }));
+      expect(revoked).toBe(2);
+      expect(sessions.every(session => session.revoked_reason === REVOKE_REASONS.ADMIN_REVOKED && session.revoked_by === 'admin-1'))
+        .toBe(true);
+    });
+
+    it('should refuse access tokens of a revoked session everywhere', async () => {
+      const { accessToken, sessionId } = await AuthTokenService.issueTokens(user({ role: 'admin' }));
+
+      await expect(SessionService.verifyAccessToken(accessToken)).resolves.toMatchObject({ sid: sessionId });
+
+      prisma.tenant_user_sessions.findFirst.mockResolvedValue(null);
+      await expect(SessionService.verifyAccessToken(accessToken))
+        .rejects.toMatchObject({ code: 'SESSION_REVOKED', status: 401 });
+
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await requireAdmin({ headers: { authorization: `Bearer ${accessToken}` } }, res, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+    });
+
+    it('should refuse tenant user access tokens without a session', async () => {
+      const legacyAdminToken = jwt.sign({ id: 'user-1', role: 'admin', tenantId: 'tenant-1' }, process.env.JWT_ACCESS_SECRET, { issuer: 'moobee-admin' });
+      const employeeToken = jwt.sign({ id: 'employee-1', tenant_id: 'tenant-1' }, process.env.JWT_ACCESS_SECRET, { issuer: 'moobee-api' });
+
+      await expect(SessionService.verifyAccessToken(legacyAdminToken))
+        .rejects.toMatchObject({ code: 'SESSION_REQUIRED', status: 401 });
+      await expect(SessionService.verifyAccessToken(employeeToken)).resolves.toMatchObject({ id: 'employee-1' });
+      expect(prisma.tenant_user_sessions.findFirst).not.toHaveBeenCalled();
+    });
+
+    it('should keep the current session when revoking the others', async () => {
+      prisma.tenant_user_sessions.updateMany.mockResolvedValue({ count: 2 });
+
+      await expect(SessionService.revokeOthersForUser('user-1', 'session-1', REVOKE_REASONS.PASSWORD_RESET)).resolves.toBe(2);
+      expect(prisma.tenant_user_sessions.updateMany).toHaveBeenCalledWith({
+        where: { user_id: 'user-1', revoked_at: null, id: { not: 'session-1' } },
+        data: expect.objectContaining({ revoked_reason: REVOKE_REASONS.PASSWORD_RESET })
+      });
+    });
+
+    it('should not revoke sessions of users of another tenant', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValue(null);
+
+      await expect(SessionService.revokeAllForTenantUser('tenant-1', 'user-9', 'admin-1'))
+        .rejects.toMatchObject({ code: 'SESSION_USER_NOT_FOUND', status: 404 });
+      expect(prisma.tenant_user_sessions.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,451 @@
+/**
+ * Unit Tests for ssoService (and the OIDC / SAML providers)
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  tenants: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn()
+  },
+  tenant_sso_configs: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    upsert: jest.fn(),
+    delete: jest.fn()
+  },
+  tenant_users: {
+    findFirst: jest.fn(),
+    update: jest.fn(),
+    create: jest.fn()
+  },
+  employees: {
+    findFirst: jest.fn()
+  }
+}));
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn()
+}));
+
+const crypto = require('crypto');
+const dns = require('dns');
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const prisma = require('../../../src/config/database');
+const SSOService = require('../../../src/services/sso/ssoService');
+const OIDCProvider = require('../../../src/services/sso/oidcProvider');
+const SAMLProvider = require('../../../src/services/sso/samlProvider');
+
+const { SSOError } = SSOService;
+
+// IdP hosts of the tests resolve to a public address
+jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+describe('SSOService', () => {
+  const tenant = { id: 'tenant-1', slug: 'acme', name: 'Acme', is_active: true };
+
+  const ssoConfig = (overrides = {}) => ({
+    id: 'config-1',
+    tenant_id: tenant.id,
+    protocol: 'OIDC',
+    is_enabled: true,
+    oidc_discovery_url: 'https://idp.acme.test/.well-known/openid-configuration',
+    oidc_client_id: 'moobee',
+    oidc_client_secret: 'secret',
+    email_domains: ['acme.test'],
+    groups_claim: 'groups',
+    role_mapping: { 'hr-team': 'HR', 'it-admins': 'ADMIN', 'staff': 'EMPLOYEE' },
+    default_role: 'EMPLOYEE',
+    jit_provisioning: true,
+    password_login_disabled: false,
+    ...overrides
+  });
+
+  const profile = (overrides = {}) => ({
+    subject: 'idp|123',
+    email: 'Jane.Doe@acme.test',
+    emailVerified: true,
+    firstName: 'Jane',
+    lastName: 'Doe',
+    groups: ['staff'],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+    prisma.tenant_users.findFirst.mockResolvedValue(null);
+    prisma.employees.findFirst.mockResolvedValue({ id: 42 });
+    prisma.tenant_sso_configs.findMany.mockResolvedValue([]);
+    prisma.tenant_users.create.mockImplementation(({ data }) => Promise.resolve(data));
+    prisma.tenant_users.update.mockImplementation(({ data }) => Promise.resolve(data));
+  });
+
+  describe('mapGroups', () => {
+    it('should pick the highest mapped role', () => {
+      expect(SSOService.mapGroups(ssoConfig(), ['staff', 'hr-team', 'unknown'])).toBe('HR');
+      expect(SSOService.mapGroups(ssoConfig(), ['hr-team', 'it-admins'])).toBe('ADMIN');
+      expect(SSOService.mapGroups(ssoConfig(), ['unknown'])).toBeNull();
+    });
+
+    it('should never grant SUPER_ADMIN', () => {
+      const config = ssoConfig({ role_mapping: { root: 'SUPER_ADMIN', staff: 'EMPLOYEE' } });
+
+      expect(SSOService.mapGroups(config, ['root', 'staff'])).toBe('EMPLOYEE');
+    });
+  });
+
+  describe('provisionUser', () => {
+    it('should create unknown users just in time, linked to their employee', async () => {
+      const user = await SSOService.provisionUser(tenant, ssoConfig(), profile({ groups: ['hr-team'] }));
+
+      expect(prisma.employees.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { tenant_id: tenant.id, email: { equals: 'jane.doe@acme.test', mode: 'insensitive' } }
+      }));
+      expect(user).toMatchObject({
+        tenant_id: tenant.id,
+        email: 'jane.doe@acme.test',
+        password: null,
+        role: 'HR',
+        employee_id: 42,
+        sso_subject: 'idp|123',
+        login_count: 1
+      });
+    });
+
+    it('should use the default role when no group is mapped', async () => {
+      const user = await SSOService.provisionUser(
+        tenant, ssoConfig({ default_role: 'VIEWER' }), profile({ groups: [] })
+      );
+
+      expect(user.role).toBe('VIEWER');
+    });
+
+    it('should link existing users by email and sync their role', async () => {
+      prisma.tenant_users.findFirst
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'user-1', role: 'employee', is_active: true, employee_id: 7, login_count: 3 });
+
+      const user = await SSOService.provisionUser(tenant, ssoConfig(), profile({ groups: ['it-admins'] }));
+
+      expect(prisma.tenant_users.create).not.toHaveBeenCalled();
+      expect(prisma.employees.findFirst).not.toHaveBeenCalled();
+      expect(prisma.tenant_users.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'user-1' } }));
+      expect(user).toMatchObject({ sso_subject: 'idp|123', role: 'ADMIN', login_count: 4 });
+    });
+
+    it('should keep the role of users without mapped groups', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValueOnce({ id: 'user-1', role: 'MANAGER', is_active: true, employee_id: 7 });
+
+      const user = await SSOService.provisionUser(tenant, ssoConfig(), profile({ groups: ['unknown'] }));
+
+      expect(user.role).toBeUndefined();
+    });
+
+    it('should refuse disabled users, unknown users without JIT and foreign domains', async () => {
+      prisma.tenant_users.findFirst.mockResolvedValueOnce({ id: 'user-1', role: 'EMPLOYEE', is_active: false });
+      await expect(SSOService.provisionUser(tenant, ssoConfig(), profile()))
+        .rejects.toMatchObject({ code: 'SSO_USER_INACTIVE' });
+
+      await expect(SSOService.provisionUser(tenant, ssoConfig({ jit_provisioning: false }), profile()))
+        .rejects.toMatchObject({ code: 'SSO_USER_NOT_PROVISIONED' });
+
+      await expect(SSOService.provisionUser(tenant, ssoConfig(), profile({ email: 'eve@evil.test' })))
+        .rejects.toMatchObject({ code: 'SSO_DOMAIN_NOT_ALLOWED' });
+
+      expect(prisma.tenant_users.create).not.toHaveBeenCalled();
+    });
+
+    it('should not match accounts on an email the IdP has not verified', async () => {
+      await expect(SSOService.provisionUser(tenant, ssoConfig(), profile({ emailVerified: false })))
+        .rejects.toMatchObject({ code: 'SSO_EMAIL_NOT_VERIFIED' });
+      expect(prisma.tenant_users.findFirst).toHaveBeenCalledTimes(1);
+
+      // Known subjects still sign in, without linking an employee by email
+      prisma.tenant_users.findFirst.mockResolvedValueOnce({ id: 'user-1', role: 'EMPLOYEE', is_active: true, employee_id: null });
+      const user = await SSOService.provisionUser(tenant, ssoConfig(), profile({ emailVerified: false }));
+
+      expect(prisma.employees.findFirst).not.toHaveBeenCalled();
+      expect(user.employee_id).toBeUndefined();
+    });
+
+    it('should refuse to relink an account linked to another subject', async () => {
+      prisma.tenant_users.findFirst
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'user-1', role: 'EMPLOYEE', is_active: true, sso_subject: 'idp|999' });
+
+      await expect(SSOService.provisionUser(tenant, ssoConfig(), profile()))
+        .rejects.toMatchObject({ code: 'SSO_SUBJECT_MISMATCH' });
+      expect(prisma.tenant_users.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('email domains', () => {
+    it('should refuse domains claimed by another tenant', async () => {
+      prisma.tenant_sso_configs.findMany.mockResolvedValue([{ email_domains: ['acme.test', 'acme.example'] }]);
+
+      const { errors } = await SSOService.validateConfigInput({
+        protocol: 'SAML',
+        saml_metadata_xml: '<xml/>',
+        email_domains: ['acme.test', 'evil.test']
+      }, null, 'tenant-2');
+
+      expect(errors).toEqual(['email_domains already used by another organization: acme.test']);
+      expect(prisma.tenant_sso_configs.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { tenant_id: { not: 'tenant-2' }, email_domains: { hasSome: ['acme.test', 'evil.test'] } }
+      }));
+    });
+
+    it('should not discover nor match emails of a domain claimed by several tenants', async () => {
+      prisma.tenant_sso_configs.findMany.mockResolvedValue([ssoConfig(), ssoConfig({ tenant_id: 'tenant-2' })]);
+
+      await expect(SSOService.discover('jane@acme.test')).resolves.toBeNull();
+      await expect(SSOService.provisionUser(tenant, ssoConfig(), profile()))
+        .rejects.toMatchObject({ code: 'SSO_DOMAIN_CONFLICT' });
+      expect(prisma.tenant_users.create).not.toHaveBeenCalled();
+    });
+
+    it('should discover the tenant that owns a domain', async () => {
+      prisma.tenant_sso_configs.findMany.mockResolvedValue([ssoConfig()]);
+      prisma.tenants.findUnique.mockResolvedValue(tenant);
+
+      await expect(SSOService.discover('jane@acme.test')).resolves.toMatchObject({
+        tenant: { slug: 'acme' },
+        login_url: '/api/sso/acme/login'
+      });
+    });
+  });
+
+  describe('state', () => {
+    it('should only accept the state of the same tenant', () => {
+      const { state, nonce } = SSOService.createState(tenant.id);
+
+      expect(SSOService.verifyState(state, tenant.id).nonce).toBe(nonce);
+      expect(() => SSOService.verifyState(state, 'tenant-2')).toThrow(SSOError);
+      expect(() => SSOService.verifyState('forged', tenant.id)).toThrow(SSOError);
+      // Never usable as an access token
+      expect(() => jwt.verify(state, process.env.JWT_ACCESS_SECRET)).toThrow();
+    });
+  });
+
+  describe('getPasswordLoginBlock', () => {
+    it('should block password logins when the tenant enforces SSO, except for super admins', async () => {
+      prisma.tenant_sso_configs.findUnique.mockResolvedValue(ssoConfig({ password_login_disabled: true }));
+
+      expect(await SSOService.getPasswordLoginBlock({ tenant_id: tenant.id, role: 'employee' })).not.toBeNull();
+      expect(await SSOService.getPasswordLoginBlock({ tenant_id: tenant.id, role: 'SUPER_ADMIN' })).toBeNull();
+
+      prisma.tenant_sso_configs.findUnique.mockResolvedValue(ssoConfig({ password_login_disabled: true, is_enabled: false }));
+      expect(await SSOService.getPasswordLoginBlock({ tenant_id: tenant.id, role: 'employee' })).toBeNull();
+    });
+  });
+
+  describe('validateConfigInput', () => {
+    it('should normalise a valid OIDC configuration', async () => {
+      const { errors, data } = await SSOService.validateConfigInput({
+        protocol: 'oidc',
+        oidc_discovery_url: 'https://idp.acme.test/.well-known/openid-configuration',
+        oidc_client_id: 'moobee',
+        email_domains: ['Acme.test', 'acme.test'],
+        role_mapping: { admins: 'admin' },
+        default_role: 'viewer'
+      });
+
+      expect(errors).toEqual([]);
+      expect(data).toMatchObject({
+        protocol: 'OIDC',
+        email_domains: ['acme.test'],
+        role_mapping: { admins: 'ADMIN' },
+        default_role: 'VIEWER'
+      });
+    });
+
+    it('should reject invalid values', async () => {
+      const { errors } = await SSOService.validateConfigInput({
+        protocol: 'OIDC',
+        oidc_discovery_url: 'not a url',
+        role_mapping: { root: 'SUPER_ADMIN' },
+        is_enabled: 'yes'
+      });
+
+      expect(errors).toHaveLength(4);
+    });
+
+    it('should merge over the current configuration', async () => {
+      const { errors } = await SSOService.validateConfigInput({ is_enabled: true }, ssoConfig());
+
+      expect(errors).toEqual([]);
+    });
+
+    it('should refuse discovery URLs on private networks', async () => {
+      const { errors } = await SSOService.validateConfigInput({
+        protocol: 'OIDC',
+        oidc_discovery_url: 'http://169.254.169.254/latest/meta-data',
+        oidc_client_id: 'moobee'
+      });
+
+      expect(errors).toEqual(['oidc_discovery_url must not point to a private or reserved network address']);
+    });
+  });
+
+  describe('toPublicConfig', () => {
+    it('should hide the client secret and metadata', () => {
+      const config = SSOService.toPublicConfig(ssoConfig({ saml_metadata_xml: '<xml/>' }));
+
+      expect(config.oidc_client_secret).toBeUndefined();
+      expect(config.saml_metadata_xml).toBeUndefined();
+      expect(config).toMatchObject({ has_client_secret: true, has_saml_metadata: true });
+    });
+  });
+});
+
+describe('OIDCProvider', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const config = {
+    oidc_discovery_url: 'https://idp.acme.test/.well-known/openid-configuration',
+    oidc_client_id: 'moobee',
+    groups_claim: 'roles'
+  };
+
+  const sign = (claims, options = {}) => jwt.sign(claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: 'key-1',
+    issuer: 'https://idp.acme.test',
+    audience: 'moobee',
+    expiresIn: '5m',
+    ...options
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OIDCProvider.clearCache();
+    axios.get.mockImplementation((url) => Promise.resolve({
+      data: url.endsWith('openid-configuration')
+        ? {
+          issuer: 'https://idp.acme.test',
+          authorization_endpoint: 'https://idp.acme.test/authorize',
+          token_endpoint: 'https://idp.acme.test/token',
+          jwks_uri: 'https://idp.acme.test/jwks'
+        }
+        : { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1' }] }
+    }));
+  });
+
+  it('should build the authorization URL from the discovery document', async () => {
+    const url = new URL(await OIDCProvider.getAuthorizationUrl(
+      { ...config, oidc_scopes: 'openid email' },
+      { redirectUri: 'https://api.test/cb', state: 'state-1', nonce: 'nonce-1' }
+    ));
+
+    expect(url.origin + url.pathname).toBe('https://idp.acme.test/authorize');
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({
+      response_type: 'code',
+      client_id: 'moobee',
+      scope: 'openid email',
+      state: 'state-1',
+      nonce: 'nonce-1'
+    });
+  });
+
+  it('should verify the ID token signature and nonce', async () => {
+    const claims = await OIDCProvider.verifyIdToken(
+      config,
+      sign({ sub: 'u1', email: 'jane@acme.test', nonce: 'nonce-1', roles: 'hr-team' }),
+      'nonce-1'
+    );
+
+    expect(OIDCProvider.toProfile(config, claims)).toEqual({
+      subject: 'u1',
+      email: 'jane@acme.test',
+      emailVerified: false,
+      firstName: null,
+      lastName: null,
+      groups: ['hr-team']
+    });
+    // Discovery and keys are cached
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject tokens with another nonce, audience or signing key', async () => {
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+    await expect(OIDCProvider.verifyIdToken(config, sign({ sub: 'u1', nonce: 'other' }), 'nonce-1'))
+      .rejects.toThrow('nonce');
+    await expect(OIDCProvider.verifyIdToken(config, sign({ sub: 'u1', nonce: 'nonce-1' }, { audience: 'app' }), 'nonce-1'))
+      .rejects.toThrow('audience');
+    await expect(OIDCProvider.verifyIdToken(
+      config,
+      jwt.sign({ sub: 'u1', nonce: 'nonce-1' }, other, { algorithm: 'RS256', keyid: 'key-1', issuer: 'https://idp.acme.test', audience: 'moobee' }),
+      'nonce-1'
+    )).rejects.toThrow('signature');
+  });
+
+  it('should not follow redirects nor call IdP endpoints on private networks', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        issuer: 'https://idp.acme.test',
+        authorization_endpoint: 'https://idp.acme.test/authorize',
+        token_endpoint: 'http://10.0.0.5/token',
+        jwks_uri: 'http://127.0.0.1:8080/jwks'
+      }
+    });
+
+    await expect(OIDCProvider.exchangeCode(config, { code: 'code-1', redirectUri: 'https://api.test/cb' }))
+      .rejects.toMatchObject({ code: 'EADDRNOTALLOWED' });
+    await expect(OIDCProvider.verifyIdToken(config, sign({ sub: 'u1', nonce: 'nonce-1' }), 'nonce-1'))
+      .rejects.toMatchObject({ code: 'EADDRNOTALLOWED' });
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get).toHaveBeenCalledWith(config.oidc_discovery_url, expect.objectContaining({ maxRedirects: 0 }));
+  });
+});
+
+describe('SAMLProvider', () => {
+  const metadata = `<?xml version="1.0"?>
+<md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" xmlns:ds="http://www.w3.org/2000/09/xmldsig#" entityID="https://idp.acme.test/saml">
+  <md:IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">
+    <md:KeyDescriptor use="signing">
+      <ds:KeyInfo><ds:X509Data><ds:X509Certificate>
+        MIIBsigningcert
+      </ds:X509Certificate></ds:X509Data></ds:KeyInfo>
+    </md:KeyDescriptor>
+    <md:KeyDescriptor use="encryption">
+      <ds:KeyInfo><ds:X509Data><ds:X509Certificate>MIIBencryptioncert</ds:X509Certificate></ds:X509Data></ds:KeyInfo>
+    </md:KeyDescriptor>
+    <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="https://idp.acme.test/sso/post"/>
+    <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" Location="https://idp.acme.test/sso/redirect"/>
+  </md:IDPSSODescriptor>
+</md:EntityDescriptor>`;
+
+  it('should read the entry point, issuer and signing certificates from the metadata', async () => {
+    expect(await SAMLProvider.parseMetadata(metadata)).toEqual({
+      entryPoint: 'https://idp.acme.test/sso/redirect',
+      issuer: 'https://idp.acme.test/saml',
+      certs: ['MIIBsigningcert']
+    });
+  });
+
+  it('should reject metadata without an IdP descriptor', async () => {
+    await expect(SAMLProvider.parseMetadata('<EntityDescriptor entityID="x"/>'))
+      .rejects.toThrow('IDPSSODescriptor');
+  });
+
+  it('should map assertion attributes to the user identity', () => {
+    expect(SAMLProvider.toProfile({ groups_claim: 'memberOf' }, {
+      nameID: 'jane@acme.test',
+      nameIDFormat: 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
+      givenName: 'Jane',
+      sn: 'Doe',
+      memberOf: ['hr-team', 'staff']
+    })).toEqual({
+      subject: 'jane@acme.test',
+      email: 'jane@acme.test',
+      emailVerified: true,
+      firstName: 'Jane',
+      lastName: 'Doe',
+      groups: ['hr-team', 'staff']
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for staffingOptimizerService
+ */
+
+const { optimizeStaffing, getRolePriorityRank } = require('../../../src/services/staffingOptimizerService');
+
+const candidate = (employeeId, score) => ({ employee_id: employeeId, match_score: score });
+
+describe('staffingOptimizerService', () => {
+  describe('getRolePriorityRank', () => {
+    it('should rank critical roles above normal ones', () => {
+      expect(getRolePriorityRank({ priority: 'NORMAL', is_critical: true }))
+        .toBeGreaterThan(getRolePriorityRank({ priority: 'NORMAL' }));
+      expect(getRolePriorityRank({ priority: 'CRITICAL' }))
+        .toBeGreaterThan(getRolePriorityRank({ priority: 'HIGH' }));
+    });
+  });
+
+  describe('optimizeStaffing', () => {
+    it('should not give the same employee to every role', () => {
+      const roles = [
+        { id: 'backend', title: 'Backend', quantity: 1, allocation_percentage: 100 },
+        { id: 'frontend', title: 'Frontend', quantity: 1, allocation_percentage: 100 }
+      ];
+
+      const plan = optimizeStaffing({
+        roles,
+        candidatesByRole: {
+          backend: [candidate(1, 90), candidate(2, 85)],
+          frontend: [candidate(1, 88), candidate(3, 50)]
+        },
+        capacities: { 1: 100, 2: 100, 3: 100 }
+      });
+
+      const byRole = Object.fromEntries(plan.assignments.map(a => [a.role_id, a.employee_id]));
+      // Employee 1 is almost as good on backend as employee 2, but the
+      // frontend alternative is much weaker: employee 1 goes to frontend
+      expect(byRole).toEqual({ backend: 2, frontend: 1 });
+      expect(plan.summary.coverage_percentage).toBe(100);
+    });
+
+    it('should staff higher priority roles first', () => {
+      const roles = [
+        { id: 'low', title: 'Low', priority: 'LOW', allocation_percentage: 100 },
+        { id: 'critical', title: 'Critical', priority: 'CRITICAL', allocation_percentage: 100 }
+      ];
+
+      const plan = optimizeStaffing({
+        roles,
+        candidatesByRole: {
+          low: [candidate(1, 95)],
+          critical: [candidate(1, 60)]
+        },
+        capacities: { 1: 100 }
+      });
+
+      expect(plan.assignments).toHaveLength(1);
+      expect(plan.assignments[0].role_id).toBe('critical');
+      expect(plan.unfilled).toEqual([
+        expect.objectContaining({ role_id: 'low', reason: 'candidates_assigned_elsewhere' })
+      ]);
+    });
+
+    it('should respect remaining allocation capacity', () => {
+      const roles = [
+        { id: 'a', title: 'A', allocation_percentage: 50 },
+        { id: 'b', title: 'B', allocation_percentage: 50 }
+      ];
+
+      const plan = optimizeStaffing({
+        roles,
+        candidatesByRole: { a: [candidate(1, 80)], b: [candidate(1, 80)] },
+        capacities: { 1: 60 },
+        options: { allowMultipleRoles: true }
+      });
+
+      expect(plan.summary.filled_slots).toBe(1);
+      expect(plan.unfilled[0].reason).toBe('candidates_assigned_elsewhere');
+    });
+
+    it('should skip candidates below the minimum match score', () => {
+      const plan = optimizeStaffing({
+        roles: [{ id: 'a', title: 'A', quantity: 2 }],
+        candidatesByRole: { a: [candidate(1, 90), candidate(2, 20)] },
+        capacities: { 1: 100, 2: 100 },
+        options: { minMatchScore: 30 }
+      });
+
+      expect(plan.summary).toMatchObject({ total_slots: 2, filled_slots: 1 });
+      expect(plan.unfilled[0].reason).toBe('candidates_assigned_elsewhere');
+    });
+
+    it('should report alternatives with their remaining capacity', () => {
+      const plan = optimizeStaffing({
+        roles: [{ id: 'a', title: 'A', allocation_percentage: 100 }],
+        candidatesByRole: { a: [candidate(1, 90), candidate(2, 70), candidate(3, 60)] },
+        capacities: { 1: 100, 2: 100, 3: 40 },
+        options: { maxAlternatives: 2 }
+      });
+
+      expect(plan.assignments[0].alternatives).toEqual([
+        expect.objectContaining({ employee_id: 2, remaining_capacity: 100, fits_capacity: true }),
+        expect.objectContaining({ employee_id: 3, remaining_capacity: 40, fits_capacity: false })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for staffingSimulationService and the allocation timeline
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  employees: { findMany: jest.fn() },
+  project_assignments: { findMany: jest.fn() },
+  project_matching_results: { findMany: jest.fn() },
+  project_roles: { findMany: jest.fn() }
+}));
+
+const prisma = require('../../../src/config/database');
+const StaffingSimulationService = require('../../../src/services/staffingSimulationService');
+const { buildAllocationTimeline, summarizeUtilization } = require('../../../src/utils/allocationTimeline');
+
+describe('allocationTimeline', () => {
+  const assignment = (start, end, allocation) => ({
+    start_date: new Date(start),
+    end_date: end ? new Date(end) : null,
+    allocation_percentage: allocation
+  });
+
+  it('should split the window where overlapping assignments start and end', () => {
+    const segments = buildAllocationTimeline([
+      assignment('2026-01-01', '2026-01-10', 50),
+      assignment('2026-01-06', '2026-01-15', 60)
+    ], '2026-01-01', '2026-01-20');
+
+    expect(segments.map(s => [s.start.toISOString().slice(0, 10), s.days, s.allocation])).toEqual([
+      ['2026-01-01', 5, 50],
+      ['2026-01-06', 5, 110],
+      ['2026-01-11', 5, 60],
+      ['2026-01-16', 5, 0]
+    ]);
+  });
+
+  it('should count over-allocated and idle days', () => {
+    expect(summarizeUtilization([
+      assignment('2026-01-01', '2026-01-10', 50),
+      assignment('2026-01-06', '2026-01-15', 60)
+    ], '2026-01-01', '2026-01-20')).toEqual({
+      days: 20,
+      peak_allocation: 110,
+      average_allocation: 55,
+      over_allocated_days: 5,
+      idle_days: 5
+    });
+  });
+
+  it('should clip to the window and treat a missing end date as open-ended', () => {
+    const segments = buildAllocationTimeline([
+      assignment('2025-12-01', null, 40),
+      assignment('2026-01-03', '2026-01-03', undefined)
+    ], '2026-01-01', '2026-01-04');
+
+    expect(segments.map(s => [s.days, s.allocation])).toEqual([[2, 40], [1, 140], [1, 40]]);
+    expect(buildAllocationTimeline([assignment('2026-01-01', '2026-01-02', 50)], '2026-01-05', '2026-01-01')).toEqual([]);
+  });
+});
+
+describe('StaffingSimulationService', () => {
+  const project = {
+    id: 'project-1',
+    project_name: 'Portal',
+    start_date: new Date('2026-03-01'),
+    end_date: new Date('2026-03-31'),
+    project_roles: [{ id: 'role-1', title: 'Backend', quantity: 1, allocation_percentage: 60 }]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.employees.findMany.mockResolvedValue([{ id: 7, first_name: 'Luca', last_name: 'Gallo', email: 'luca@example.com' }]);
+    prisma.project_matching_results.findMany.mockResolvedValue([]);
+  });
+
+  describe('normalizeAssignments', () => {
+    it('should take dates and allocation from the project and role', () => {
+      const { errors, assignments } = StaffingSimulationService.normalizeAssignments(
+        [{ employee_id: '7', role_id: 'role-1' }], project
+      );
+
+      expect(errors).toEqual([]);
+      expect(assignments).toEqual([expect.objectContaining({
+        employee_id: 7, role_id: 'role-1', project_id: 'project-1', allocation_percentage: 60, simulated: true
+      })]);
+    });
+
+    it('should report invalid rows', () => {
+      const { errors } = StaffingSimulationService.normalizeAssignments([
+        { employee_id: 'x' },
+        { employee_id: 7, role_id: 'role-9' },
+        { employee_id: 7, allocation_percentage: 150 },
+        { employee_id: 7, start_date: '2026-04-01', end_date: '2026-03-01' }
+      ], project);
+
+      expect(errors).toEqual([
+        'assignments[0].employee_id is required',
+        'assignments[1].role_id does not belong to the project',
+        'assignments[2].allocation_percentage must be between 1 and 100',
+        'assignments[3].end_date must be after start_date'
+      ]);
+    });
+  });
+
+  describe('simulate', () => {
+    const simulated = () => StaffingSimulationService.normalizeAssignments(
+      [{ employee_id: 7, role_id: 'role-1' }], project
+    ).assignments;
+
+    it('should flag employees the simulation over-allocates', async () => {
+      prisma.project_assignments.findMany.mockResolvedValue([{
+        employee_id: 7, project_id: 'project-2', allocation_percentage: 50,
+        start_date: new Date('2026-03-16'), end_date: null, is_active: true
+      }]);
+
+      const result = await StaffingSimulationService.simulate({ tenantId: 'tenant-1', project, assignments: simulated() });
+      const [employee] = result.employees;
+
+      expect(employee.before).toMatchObject({ peak_allocation: 50, over_allocated_days: 0, on_bench: false });
+      expect(employee.after).toMatchObject({ peak_allocation: 110, over_allocated_days: 16 });
+      expect(employee).toMatchObject({ over_allocated: true, becomes_over_allocated: true, replaced_assignments: 0 });
+      expect(result.summary.employees_becoming_over_allocated).toBe(1);
+    });
+
+    it('should replace an existing allocation on the same project instead of adding to it', async () => {
+      prisma.project_assignments.findMany.mockResolvedValue([{
+        employee_id: 7, project_id: 'project-1', allocation_percentage: 60,
+        start_date: new Date('2026-03-01'), end_date: new Date('2026-03-31'), is_active: true
+      }]);
+
+      const result = await StaffingSimulationService.simulate({ tenantId: 'tenant-1', project, assignments: simulated() });
+      const [employee] = result.employees;
+
+      expect(employee.before.peak_allocation).toBe(60);
+      expect(employee.after.peak_allocation).toBe(60);
+      expect(employee).toMatchObject({ over_allocated: false, replaced_assignments: 1, delta: { peak_allocation: 0 } });
+    });
+  });
+});
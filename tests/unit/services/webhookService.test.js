@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for webhooks/webhookService
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  webhook_subscriptions: {
+    findMany: jest.fn()
+  },
+  webhook_deliveries: {
+    createMany: jest.fn(),
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+jest.mock('axios');
+
+const axios = require('axios');
+const crypto = require('crypto');
+const prisma = require('../../../src/config/database');
+const WebhookService = require('../../../src/services/webhooks/webhookService');
+
+const { WEBHOOK_EVENTS } = WebhookService;
+
+describe('WebhookService', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe('sign', () => {
+    it('should sign the timestamp and raw body with HMAC-SHA256', () => {
+      const body = JSON.stringify({ id: 'evt-1', event: 'PING' });
+      const expected = crypto.createHmac('sha256', 'whsec_test').update(`1760860800.${body}`).digest('hex');
+
+      expect(WebhookService.sign('whsec_test', 1760860800, body)).toBe(`sha256=${expected}`);
+      expect(WebhookService.sign('whsec_other', 1760860800, body)).not.toBe(`sha256=${expected}`);
+    });
+  });
+
+  describe('validateSubscriptionInput', () => {
+    it('should accept known events only', () => {
+      const { errors, data } = WebhookService.validateSubscriptionInput({
+        name: 'BI export',
+        url: 'https://bi.example.com/hooks',
+        event_types: ['campaign_completed', 'CAMPAIGN_COMPLETED']
+      });
+      expect(errors).toEqual([]);
+      expect(data.event_types).toEqual(['CAMPAIGN_COMPLETED']);
+
+      expect(WebhookService.validateSubscriptionInput({
+        name: 'BI export',
+        url: 'https://bi.example.com/hooks',
+        event_types: ['PING']
+      }).errors).toHaveLength(1);
+    });
+
+    it('should require https in production', () => {
+      const env = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        const { errors } = WebhookService.validateSubscriptionInput({ name: 'HRIS', url: 'http://hris.local/hook' });
+        expect(errors).toEqual(['url must be an https URL']);
+      } finally {
+        process.env.NODE_ENV = env;
+      }
+    });
+  });
+
+  describe('validateSubscriptionUrl', () => {
+    it('should refuse loopback, private and metadata addresses', async () => {
+      expect(await WebhookService.validateSubscriptionUrl('http://127.0.0.1:5432/'))
+        .toEqual(['url must not point to a private or reserved network address']);
+      expect(await WebhookService.validateSubscriptionUrl('http://[::ffff:169.254.169.254]/latest/meta-data'))
+        .toEqual(['url must not point to a private or reserved network address']);
+      expect(await WebhookService.validateSubscriptionUrl('https://api.internal/hook'))
+        .toEqual(['url must not point to an internal host']);
+      expect(await WebhookService.validateSubscriptionUrl('https://93.184.215.14/hook')).toEqual([]);
+    });
+  });
+
+  describe('send', () => {
+    const delivery = { id: 'd1', event_id: 'e1', event_type: 'PING', payload: { id: 'e1' } };
+
+    it('should keep the status line and never read the response body', async () => {
+      const data = { destroy: jest.fn() };
+      axios.post.mockResolvedValue({ status: 200, statusText: 'OK', data });
+
+      const result = await WebhookService.send({ url: 'https://93.184.215.14/hook', secret: 'whsec_x' }, delivery);
+
+      expect(result).toMatchObject({ ok: true, status: 200, body: '200 OK', error: null });
+      expect(data.destroy).toHaveBeenCalled();
+      expect(axios.post.mock.calls[0][2]).toMatchObject({ maxRedirects: 0, responseType: 'stream' });
+    });
+
+    it('should not call URLs that point to a private address', async () => {
+      const result = await WebhookService.send({ url: 'http://10.0.0.8/admin', secret: 'whsec_x' }, delivery);
+
+      expect(result).toMatchObject({ ok: false, status: null, body: null });
+      expect(result.error).toMatch(/^EADDRNOTALLOWED/);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dispatch', () => {
+    it('should create one delivery per subscription sharing the event id', async () => {
+      prisma.webhook_subscriptions.findMany.mockResolvedValue([{ id: 'sub-1' }, { id: 'sub-2' }]);
+      prisma.webhook_deliveries.createMany.mockImplementation(({ data }) => Promise.resolve({ count: data.length }));
+
+      const count = await WebhookService.dispatch('t1', WEBHOOK_EVENTS.ASSESSMENT_SUBMITTED, { assignment_id: 'a1' });
+
+      expect(count).toBe(2);
+      const rows = prisma.webhook_deliveries.createMany.mock.calls[0][0].data;
+      expect(rows.map(r => r.subscription_id)).toEqual(['sub-1', 'sub-2']);
+      expect(rows[0].event_id).toBe(rows[1].event_id);
+      expect(rows[0].payload).toMatchObject({
+        id: rows[0].event_id,
+        event: 'ASSESSMENT_SUBMITTED',
+        tenant_id: 't1',
+        data: { assignment_id: 'a1' }
+      });
+    });
+
+    it('should not write anything without subscribers', async () => {
+      prisma.webhook_subscriptions.findMany.mockResolvedValue([]);
+
+      expect(await WebhookService.dispatch('t1', WEBHOOK_EVENTS.CAMPAIGN_COMPLETED, {})).toBe(0);
+      expect(prisma.webhook_deliveries.createMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('emit', () => {
+    it('should never reject', async () => {
+      prisma.webhook_subscriptions.findMany.mockRejectedValue(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(WebhookService.emit('t1', WEBHOOK_EVENTS.CAMPAIGN_COMPLETED, {})).resolves.toBe(0);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('deliver', () => {
+    const now = new Date('2026-10-19T09:00:00Z');
+    const delivery = (overrides = {}) => ({
+      id: 'd1',
+      event_id: 'e1',
+      event_type: 'CAMPAIGN_COMPLETED',
+      payload: { id: 'e1' },
+      attempts: 0,
+      max_attempts: 3,
+      next_attempt_at: now,
+      webhook_subscriptions: { id: 'sub-1', url: 'https://example.com', secret: 'whsec_x', is_active: true },
+      ...overrides
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should record successful deliveries', async () => {
+      jest.spyOn(WebhookService, 'send').mockResolvedValue({ ok: true, status: 204, body: null, durationMs: 12, error: null });
+
+      expect(await WebhookService.deliver(delivery(), now)).toBe('DELIVERED');
+      expect(prisma.webhook_deliveries.update.mock.calls[0][0].data).toMatchObject({
+        status: 'DELIVERED',
+        attempts: 1,
+        response_status: 204,
+        delivered_at: now
+      });
+    });
+
+    it('should retry non-2xx responses with backoff until max_attempts', async () => {
+      jest.spyOn(WebhookService, 'send').mockResolvedValue({ ok: false, status: 500, body: 'oops', durationMs: 5, error: 'HTTP 500' });
+
+      expect(await WebhookService.deliver(delivery({ attempts: 1 }), now)).toBe('PENDING');
+      expect(prisma.webhook_deliveries.update.mock.calls[0][0].data).toMatchObject({
+        status: 'PENDING',
+        attempts: 2,
+        last_error: 'HTTP 500',
+        next_attempt_at: new Date(now.getTime() + 2 * 60 * 1000)
+      });
+
+      expect(await WebhookService.deliver(delivery({ attempts: 2 }), now)).toBe('FAILED');
+    });
+
+    it('should not call disabled subscriptions', async () => {
+      const send = jest.spyOn(WebhookService, 'send');
+      const disabled = delivery({ webhook_subscriptions: { id: 'sub-1', is_active: false } });
+
+      expect(await WebhookService.deliver(disabled, now)).toBe('FAILED');
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replay', () => {
+    it('should queue a new delivery of the same event', async () => {
+      prisma.webhook_deliveries.findFirst.mockResolvedValue({
+        id: 'd1',
+        subscription_id: 'sub-1',
+        event_id: 'e1',
+        event_type: 'CAMPAIGN_COMPLETED',
+        payload: { id: 'e1' }
+      });
+      prisma.webhook_deliveries.create.mockImplementation(({ data }) => Promise.resolve(data));
+
+      const replayed = await WebhookService.replay('t1', 'd1');
+
+      expect(prisma.webhook_deliveries.findFirst).toHaveBeenCalledWith({ where: { id: 'd1', tenant_id: 't1' } });
+      expect(replayed).toEqual({
+        tenant_id: 't1',
+        subscription_id: 'sub-1',
+        event_id: 'e1',
+        event_type: 'CAMPAIGN_COMPLETED',
+        payload: { id: 'e1' },
+        replay_of: 'd1'
+      });
+    });
+  });
+});